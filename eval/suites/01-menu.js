@@ -0,0 +1,86 @@
+/**
+ * Fluxos do menu (sem IA): saudação, busca por nome,
+ * atendente humano e contato fora do horário.
+ */
+
+module.exports = {
+    name: 'Menu e fluxos básicos',
+
+    conversations: [
+        {
+            name: 'Saudação mostra boas-vindas e menu',
+            turns: [
+                {
+                    send: 'oi',
+                    expect: {
+                        intent: 'greeting',
+                        state: 'idle',
+                        usedAI: false,
+                        reply: { contains: ['Bem-vindo', 'Buscar peça por nome'] },
+                        messages: 1,
+                    },
+                },
+            ],
+        },
+        {
+            name: 'Busca por nome pelo menu',
+            turns: [
+                {
+                    send: '2',
+                    expect: { intent: 'menu_option', state: 'waiting_search', usedAI: false },
+                },
+                {
+                    send: 'pastilha',
+                    expect: {
+                        state: 'idle',
+                        reply: { contains: 'Pastilha de Freio Dianteira', notContains: 'Nenhum produto encontrado' },
+                        session: { searchTerm: 'pastilha', lastSearch: [{ codigo: 'FRE001' }] },
+                    },
+                },
+            ],
+        },
+        {
+            name: 'Busca sem resultado',
+            turns: [
+                { send: '2', expect: { state: 'waiting_search' } },
+                {
+                    send: 'turbina',
+                    expect: { state: 'idle', reply: 'Nenhum produto encontrado' },
+                },
+            ],
+        },
+        {
+            name: 'Pedido de atendente entra na fila',
+            turns: [
+                {
+                    send: 'atendente',
+                    expect: {
+                        intent: 'human',
+                        state: 'waiting_human',
+                        usedAI: false,
+                        reply: 'Atendimento Humano',
+                    },
+                },
+                {
+                    send: 'cancelar',
+                    expect: { state: 'idle', reply: 'Operação cancelada' },
+                },
+            ],
+        },
+        {
+            name: 'Fora do horário avisa a abertura e registra retorno',
+            hours: 'closed',
+            turns: [
+                {
+                    send: 'bom dia',
+                    expect: {
+                        intent: 'greeting',
+                        reply: 'fora do horário',
+                        messages: 1,
+                        notifications: ['callback:created'],
+                    },
+                },
+            ],
+        },
+    ],
+};
@@ -0,0 +1,96 @@
+/**
+ * Respostas da IA com o provedor mock: consultas
+ * ao catálogo, fluxos pedidos pelo modelo (atendente,
+ * orçamento) e fatos gravados pela memória da conversa.
+ *
+ * "llm" lista as respostas do modelo na ordem em que
+ * são pedidas na mensagem (rodadas de ferramentas
+ * primeiro, depois o texto final).
+ */
+
+module.exports = {
+    name: 'Respostas da IA',
+
+    // Chamadas fora do roteiro (ex.: nota de repasse em segundo plano)
+    mock: {
+        fallback: 'Posso ajudar com mais alguma coisa?',
+    },
+
+    conversations: [
+        {
+            name: 'Consulta de peça usa a busca do catálogo',
+            turns: [
+                {
+                    send: 'vocês tem pastilha de freio pro gol g5?',
+                    llm: [
+                        { toolCalls: [{ name: 'search_products', arguments: { query: 'pastilha de freio', vehicle: 'gol' } }] },
+                        'Temos sim! Pastilha de Freio Dianteira Cobreq por R$ 89,90, compatível com Gol G5. Quer montar um orçamento?',
+                    ],
+                    expect: {
+                        usedAI: true,
+                        action: null,
+                        tools: ['search_products'],
+                        state: 'idle',
+                        reply: { contains: 'R$ 89,90', maxLength: 600 },
+                        session: { lastSearch: [{ codigo: 'FRE001' }] },
+                    },
+                },
+                {
+                    send: '1',
+                    expect: { intent: 'menu_option', usedAI: false },
+                },
+            ],
+        },
+        {
+            name: 'IA encaminha para atendente',
+            turns: [
+                {
+                    send: 'meu carro está fazendo um barulho estranho na suspensão, quero falar com alguém',
+                    llm: [
+                        {
+                            content: 'Entendi! Vou te passar para um dos nossos atendentes.',
+                            toolCalls: [{ name: 'request_human', arguments: { reason: 'Barulho na suspensão' } }],
+                        },
+                    ],
+                    expect: {
+                        usedAI: true,
+                        action: 'request_human',
+                        state: 'waiting_human',
+                        messages: 2,
+                        reply: { contains: ['atendentes', 'Atendimento Humano'] },
+                    },
+                },
+            ],
+        },
+        {
+            name: 'IA inicia orçamento com o produto pedido',
+            turns: [
+                {
+                    send: 'quero um orçamento da pastilha FRE001',
+                    llm: [
+                        { toolCalls: [{ name: 'create_quote', arguments: { code: 'FRE001', quantity: 1 } }] },
+                    ],
+                    expect: {
+                        action: 'create_quote',
+                        state: 'building_quote',
+                        reply: 'Montar Orçamento',
+                    },
+                },
+            ],
+        },
+        {
+            name: 'Placa e orçamento informados vão para o cadastro',
+            customer: { nome: 'Carlos', veiculo: 'Gol G5' },
+            turns: [
+                {
+                    send: 'minha placa é ABC1D23, quanto fica o filtro de óleo? posso gastar 100',
+                    llm: ['O Filtro de Óleo Tecfil sai por R$ 35,90, dentro do seu orçamento.'],
+                    expect: {
+                        usedAI: true,
+                        customer: { placa: 'ABC1D23', orcamento_max: 100 },
+                    },
+                },
+            ],
+        },
+    ],
+};
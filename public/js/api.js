@@ -277,6 +277,41 @@ const API = {
          */
         async getRecentActivity(limit = 10) {
             return API.get('/dashboard/activity', { limit });
+        },
+
+        /**
+         * Obtém sentimento das mensagens recebidas por dia
+         * @param {number} days - Dias para trás
+         * @returns {Promise<object>}
+         */
+        async getSentimentTrend(days = 30) {
+            return API.get('/dashboard/chart/sentiment', { days });
+        },
+
+        /**
+         * Obtém uso e custo da IA
+         * @param {number} days - Dias para trás
+         * @returns {Promise<object>}
+         */
+        async getAIUsage(days = 30) {
+            return API.get('/dashboard/ai-usage', { days });
+        },
+
+        /**
+         * Obtém orçamento e limites da IA
+         * @returns {Promise<object>}
+         */
+        async getAIUsageConfig() {
+            return API.get('/dashboard/ai-usage/config');
+        },
+
+        /**
+         * Atualiza orçamento e limites da IA (admin)
+         * @param {object} data - { monthlyBudget, exchangeRate, customerHourlyLimit, customerDailyLimit }
+         * @returns {Promise<object>}
+         */
+        async updateAIUsageConfig(data) {
+            return API.put('/dashboard/ai-usage/config', data);
         }
     },
 
@@ -517,6 +552,207 @@ const API = {
         }
     },
 
+    // ============================================
+    // AGENDAMENTOS
+    // ============================================
+
+    appointments: {
+        /**
+         * Lista agendamentos de um período
+         * @param {object} params - Filtros (inicio, fim, status, telefone)
+         * @returns {Promise<object>}
+         */
+        async list(params = {}) {
+            return API.get('/agendamentos', params);
+        },
+
+        /**
+         * Busca agendamento por ID
+         * @param {number} id - ID do agendamento
+         * @returns {Promise<object>}
+         */
+        async getById(id) {
+            return API.get(`/agendamentos/${id}`);
+        },
+
+        /**
+         * Horários livres de um dia
+         * @param {string} data - Data (YYYY-MM-DD)
+         * @param {number} servicoId - ID do serviço
+         * @returns {Promise<object>}
+         */
+        async slots(data, servicoId = null) {
+            return API.get('/agendamentos/horarios', { data, servico_id: servicoId });
+        },
+
+        /**
+         * Cria agendamento
+         * @param {object} data - Dados do agendamento
+         * @returns {Promise<object>}
+         */
+        async create(data) {
+            return API.post('/agendamentos', data);
+        },
+
+        /**
+         * Atualiza/remarca agendamento
+         * @param {number} id - ID do agendamento
+         * @param {object} data - Dados a atualizar
+         * @returns {Promise<object>}
+         */
+        async update(id, data) {
+            return API.put(`/agendamentos/${id}`, data);
+        },
+
+        /**
+         * Altera status do agendamento
+         * @param {number} id - ID do agendamento
+         * @param {string} status - Novo status
+         * @returns {Promise<object>}
+         */
+        async updateStatus(id, status) {
+            return API.patch(`/agendamentos/${id}/status`, { status });
+        },
+
+        /**
+         * Remove agendamento
+         * @param {number} id - ID do agendamento
+         * @returns {Promise<object>}
+         */
+        async delete(id) {
+            return API.delete(`/agendamentos/${id}`);
+        }
+    },
+
+    // ============================================
+    // PROMOÇÕES
+    // ============================================
+
+    promotions: {
+        /**
+         * Lista promoções
+         * @param {object} params - Filtros (page, limit, search, tipo, situacao)
+         * @returns {Promise<object>}
+         */
+        async list(params = {}) {
+            return API.get('/promocoes', params);
+        },
+
+        /**
+         * Busca promoção por ID
+         * @param {number} id - ID da promoção
+         * @returns {Promise<object>}
+         */
+        async getById(id) {
+            return API.get(`/promocoes/${id}`);
+        },
+
+        /**
+         * Cria promoção
+         * @param {object} data - Dados da promoção
+         * @returns {Promise<object>}
+         */
+        async create(data) {
+            return API.post('/promocoes', data);
+        },
+
+        /**
+         * Atualiza promoção
+         * @param {number} id - ID da promoção
+         * @param {object} data - Dados a atualizar
+         * @returns {Promise<object>}
+         */
+        async update(id, data) {
+            return API.put(`/promocoes/${id}`, data);
+        },
+
+        /**
+         * Ativa/desativa promoção
+         * @param {number} id - ID da promoção
+         * @returns {Promise<object>}
+         */
+        async toggleActive(id) {
+            return API.patch(`/promocoes/${id}/toggle-active`);
+        },
+
+        /**
+         * Remove promoção
+         * @param {number} id - ID da promoção
+         * @returns {Promise<object>}
+         */
+        async delete(id) {
+            return API.delete(`/promocoes/${id}`);
+        },
+
+        /**
+         * Estatísticas de promoções
+         * @returns {Promise<object>}
+         */
+        async stats() {
+            return API.get('/promocoes/stats');
+        }
+    },
+
+    // ============================================
+    // RETORNOS (CONTATOS FORA DO HORÁRIO)
+    // ============================================
+
+    callbacks: {
+        /**
+         * Lista retornos por prioridade
+         * @param {object} params - Filtros (page, limit, status)
+         * @returns {Promise<object>}
+         */
+        async list(params = {}) {
+            return API.get('/retornos', params);
+        },
+
+        /**
+         * Altera status do retorno
+         * @param {number} id - ID do retorno
+         * @param {string} status - em_contato, concluido, descartado ou pendente
+         * @param {string} observacoes - Observações (opcional)
+         * @returns {Promise<object>}
+         */
+        async updateStatus(id, status, observacoes) {
+            return API.patch(`/retornos/${id}/status`, { status, observacoes });
+        },
+
+        /**
+         * Envia agora a mensagem de retorno ao cliente
+         * @param {number} id - ID do retorno
+         * @returns {Promise<object>}
+         */
+        async sendFollowUp(id) {
+            return API.post(`/retornos/${id}/follow-up`);
+        },
+
+        /**
+         * Configuração do retorno automático
+         * @returns {Promise<object>}
+         */
+        async getConfig() {
+            return API.get('/retornos/config');
+        },
+
+        /**
+         * Atualiza configuração do retorno automático
+         * @param {object} data - { autoFollowUp, followUpDelay }
+         * @returns {Promise<object>}
+         */
+        async updateConfig(data) {
+            return API.put('/retornos/config', data);
+        },
+
+        /**
+         * Contagem de retornos
+         * @returns {Promise<object>}
+         */
+        async stats() {
+            return API.get('/retornos/stats');
+        }
+    },
+
     // ============================================
     // CLIENTES
     // ============================================
@@ -616,7 +852,42 @@ const API = {
          * @returns {Promise<object>}
          */
         async getMessages(phone, params = {}) {
-            return API.get(`/conversations/${phone}/messages`, params);
+            return API.get(`/conversations/${phone}`, params);
+        },
+
+        /**
+         * Baixa arquivo recebido do cliente (rota autenticada)
+         * @param {number} id - ID da mídia
+         * @returns {Promise<Blob>}
+         */
+        async getMedia(id) {
+            const response = await fetch(`${API.baseUrl}/conversations/media/${id}`, {
+                headers: { 'Authorization': `Bearer ${API.token}` }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Erro ${response.status}`);
+            }
+
+            return response.blob();
+        },
+
+        /**
+         * Obtém nota de repasse do último atendimento
+         * @param {string} phone - Telefone
+         * @returns {Promise<object>}
+         */
+        async getHandoff(phone) {
+            return API.get(`/conversations/${phone}/handoff`);
+        },
+
+        /**
+         * Gera rascunhos de resposta para o atendente
+         * @param {string} phone - Telefone
+         * @returns {Promise<object>}
+         */
+        async getSuggestions(phone) {
+            return API.post(`/conversations/${phone}/suggestions`);
         },
 
         /**
@@ -863,10 +1134,19 @@ const API = {
 
         /**
          * Lista templates de mensagem
+         * @param {object} params - Filtros (category, search, active)
          * @returns {Promise<object>}
          */
-        async getTemplates() {
-            return API.get('/whatsapp/templates');
+        async getTemplates(params = {}) {
+            return API.get('/whatsapp/templates', params);
+        },
+
+        /**
+         * Lista variáveis e categorias disponíveis para templates
+         * @returns {Promise<object>}
+         */
+        async getTemplateVariables() {
+            return API.get('/whatsapp/templates/variables');
         },
 
         /**
@@ -897,6 +1177,28 @@ const API = {
             return API.delete(`/whatsapp/templates/${id}`);
         },
 
+        /**
+         * Renderiza template para um cliente sem enviar
+         * @param {number} id - ID do template
+         * @param {string} phone - Telefone do cliente
+         * @param {object} variables - Variáveis extras
+         * @returns {Promise<object>}
+         */
+        async previewTemplate(id, phone, variables = {}) {
+            return API.post(`/whatsapp/templates/${id}/preview`, { phone, variables });
+        },
+
+        /**
+         * Envia template renderizado para um cliente
+         * @param {number} id - ID do template
+         * @param {string} phone - Telefone do cliente
+         * @param {object} variables - Variáveis extras
+         * @returns {Promise<object>}
+         */
+        async sendTemplate(id, phone, variables = {}) {
+            return API.post(`/whatsapp/templates/${id}/send`, { phone, variables });
+        },
+
         /**
          * Obtém configurações do WhatsApp
          * @returns {Promise<object>}
@@ -972,7 +1274,7 @@ const API = {
         },
 
         /**
-         * Obtém horário de funcionamento
+         * Obtém horário de funcionamento (por dia, fuso e próxima abertura)
          * @returns {Promise<object>}
          */
         async getSchedule() {
@@ -981,11 +1283,298 @@ const API = {
 
         /**
          * Atualiza horário de funcionamento
-         * @param {object} data - Dados
+         * @param {object} data - { horarios: { seg: [{ inicio, fim }] }, fuso }
          * @returns {Promise<object>}
          */
         async updateSchedule(data) {
             return API.put('/settings/schedule', data);
+        },
+
+        /**
+         * Restaura horário padrão
+         * @returns {Promise<object>}
+         */
+        async resetSchedule() {
+            return API.delete('/settings/schedule');
+        },
+
+        /**
+         * Lista feriados e exceções
+         * @param {object} params - { futuros }
+         * @returns {Promise<object>}
+         */
+        async getHolidays(params = {}) {
+            return API.get('/settings/holidays', params);
+        },
+
+        /**
+         * Cadastra feriado/exceção
+         * @param {object} data - { data, descricao, recorrente, fechado, hora_inicio, hora_fim }
+         * @returns {Promise<object>}
+         */
+        async createHoliday(data) {
+            return API.post('/settings/holidays', data);
+        },
+
+        /**
+         * Atualiza feriado/exceção
+         * @param {number} id - ID do feriado
+         * @param {object} data - Dados
+         * @returns {Promise<object>}
+         */
+        async updateHoliday(id, data) {
+            return API.put(`/settings/holidays/${id}`, data);
+        },
+
+        /**
+         * Remove feriado/exceção
+         * @param {number} id - ID do feriado
+         * @returns {Promise<object>}
+         */
+        async deleteHoliday(id) {
+            return API.delete(`/settings/holidays/${id}`);
+        },
+
+        /**
+         * Lista mensagens do bot (atual, padrão e variáveis)
+         * @returns {Promise<object>}
+         */
+        async getBotMessages() {
+            return API.get('/settings/bot/messages');
+        },
+
+        /**
+         * Atualiza mensagem do bot
+         * @param {string} key - Chave da mensagem (welcome, outsideHours...)
+         * @param {string} texto - Novo texto
+         * @returns {Promise<object>}
+         */
+        async updateBotMessage(key, texto) {
+            return API.put(`/settings/bot/messages/${key}`, { texto });
+        },
+
+        /**
+         * Restaura mensagem padrão do bot
+         * @param {string} key - Chave da mensagem
+         * @returns {Promise<object>}
+         */
+        async resetBotMessage(key) {
+            return API.delete(`/settings/bot/messages/${key}`);
+        },
+
+        /**
+         * Pré-visualiza mensagem do bot com dados de exemplo
+         * @param {string} key - Chave da mensagem
+         * @param {string} texto - Texto a testar
+         * @returns {Promise<object>}
+         */
+        async previewBotMessage(key, texto) {
+            return API.post('/settings/bot/messages/preview', { key, texto });
+        },
+
+        /**
+         * Lista gatilhos (palavras-chave) do bot
+         * @returns {Promise<object>}
+         */
+        async getBotTriggers() {
+            return API.get('/settings/bot/triggers');
+        },
+
+        /**
+         * Atualiza palavras-chave de um gatilho
+         * @param {string} key - Chave do gatilho (greetings, menu...)
+         * @param {array} palavras - Palavras-chave
+         * @returns {Promise<object>}
+         */
+        async updateBotTriggers(key, palavras) {
+            return API.put(`/settings/bot/triggers/${key}`, { palavras });
+        },
+
+        /**
+         * Restaura gatilhos padrão
+         * @param {string} key - Chave do gatilho
+         * @returns {Promise<object>}
+         */
+        async resetBotTriggers(key) {
+            return API.delete(`/settings/bot/triggers/${key}`);
+        },
+
+        /**
+         * Busca menu do bot (árvore atual, padrão e ações)
+         * @returns {Promise<object>}
+         */
+        async getBotMenu() {
+            return API.get('/settings/bot/menu');
+        },
+
+        /**
+         * Atualiza menu do bot
+         * @param {object} menu - { titulo, rodape, opcoes }
+         * @returns {Promise<object>}
+         */
+        async updateBotMenu(menu) {
+            return API.put('/settings/bot/menu', { menu });
+        },
+
+        /**
+         * Restaura menu padrão do bot
+         * @returns {Promise<object>}
+         */
+        async resetBotMenu() {
+            return API.delete('/settings/bot/menu');
+        },
+
+        /**
+         * Pré-visualiza as telas do menu (sem salvar)
+         * @param {object} menu - Menu a testar
+         * @returns {Promise<object>}
+         */
+        async previewBotMenu(menu) {
+            return API.post('/settings/bot/menu/preview', { menu });
+        },
+
+        /**
+         * Recarrega textos do bot a partir do banco
+         * @returns {Promise<object>}
+         */
+        async reloadBot() {
+            return API.post('/settings/bot/reload');
+        }
+    },
+
+    // ============================================
+    // ASSISTENTE IA (PERSONA, BASE E REGRAS)
+    // ============================================
+
+    assistant: {
+        /**
+         * Busca rascunho, opções e situação da publicação
+         * @returns {Promise<object>}
+         */
+        async get() {
+            return API.get('/settings/ai/assistant');
+        },
+
+        /**
+         * Salva persona no rascunho
+         * @param {object} persona - { nome, tom, tamanho, emojis, apresentacao, instrucoes }
+         * @returns {Promise<object>}
+         */
+        async updatePersona(persona) {
+            return API.put('/settings/ai/assistant/persona', persona);
+        },
+
+        /**
+         * Salva temas proibidos no rascunho
+         * @param {array} regras - [{ tema, palavras, resposta, encaminhar }]
+         * @returns {Promise<object>}
+         */
+        async updateRules(regras) {
+            return API.put('/settings/ai/assistant/rules', { regras });
+        },
+
+        /**
+         * Cadastra item na base de conhecimento
+         * @param {object} data - { categoria, titulo, conteudo, ordem, ativo }
+         * @returns {Promise<object>}
+         */
+        async createKnowledge(data) {
+            return API.post('/settings/ai/knowledge', data);
+        },
+
+        /**
+         * Atualiza item da base de conhecimento
+         * @param {number} id - ID do item
+         * @param {object} data - Campos a alterar
+         * @returns {Promise<object>}
+         */
+        async updateKnowledge(id, data) {
+            return API.put(`/settings/ai/knowledge/${id}`, data);
+        },
+
+        /**
+         * Remove item da base de conhecimento
+         * @param {number} id - ID do item
+         * @returns {Promise<object>}
+         */
+        async deleteKnowledge(id) {
+            return API.delete(`/settings/ai/knowledge/${id}`);
+        },
+
+        /**
+         * Prompt do sistema montado com o rascunho
+         * @returns {Promise<object>}
+         */
+        async getPrompt() {
+            return API.get('/settings/ai/assistant/prompt');
+        },
+
+        /**
+         * Envia mensagem ao console de teste (usa o rascunho)
+         * @param {object} data - { message, history, sessionData, customerName, customerVehicle }
+         * @returns {Promise<object>}
+         */
+        async console(data) {
+            return API.post('/settings/ai/assistant/console', data);
+        },
+
+        /**
+         * Publica o rascunho
+         * @param {string} observacao - Observação da versão
+         * @returns {Promise<object>}
+         */
+        async publish(observacao = '') {
+            return API.post('/settings/ai/assistant/publish', { observacao });
+        },
+
+        /**
+         * Histórico de publicações
+         * @param {number} limit - Quantidade
+         * @returns {Promise<object>}
+         */
+        async publications(limit = 10) {
+            return API.get('/settings/ai/assistant/publications', { limit });
+        }
+    },
+
+    // ============================================
+    // SIMULADOR DE WHATSAPP
+    // ============================================
+
+    simulator: {
+        /**
+         * Status do canal simulado e conversas
+         * @returns {Promise<object>}
+         */
+        async get() {
+            return API.get('/simulator');
+        },
+
+        /**
+         * Mensagens e sessão de um telefone simulado
+         * @param {string} phone - Telefone
+         * @returns {Promise<object>}
+         */
+        async getConversation(phone) {
+            return API.get(`/simulator/conversations/${phone}`);
+        },
+
+        /**
+         * Envia mensagem como o cliente
+         * @param {object} data - { phone, text, pushName, media, location }
+         * @returns {Promise<object>}
+         */
+        async send(data) {
+            return API.post('/simulator/messages', data);
+        },
+
+        /**
+         * Reinicia conversa e sessão do telefone
+         * @param {string} phone - Telefone
+         * @returns {Promise<object>}
+         */
+        async reset(phone) {
+            return API.delete(`/simulator/conversations/${phone}`);
         }
     },
 
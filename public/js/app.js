@@ -20,8 +20,13 @@ const App = {
         dashboard: Dashboard,
         products: Products,
         services: Services,
+        appointments: Appointments,
+        promotions: Promotions,
         customers: Customers,
-        conversations: Conversations
+        conversations: Conversations,
+        callbacks: Callbacks,
+        assistant: Assistant,
+        simulator: Simulator
     },
 
     // Estado da aplicação
@@ -105,6 +110,9 @@ const App = {
         // Carrega status do WhatsApp
         this.loadWhatsAppStatus();
 
+        // Contagem de retornos pendentes
+        this.updateCallbacksBadge();
+
         // Carrega página inicial
         await this.loadPage('dashboard');
 
@@ -255,6 +263,68 @@ const App = {
                 Toast.warning(`Estoque baixo: ${data.product?.nome || 'Produto'}`);
             });
 
+            // Cliente irritado ou com urgência (ex.: carro parado na estrada)
+            Socket.on('customer:urgent', (data) => {
+                const reason = data.urgency === 'alta' ? 'com urgência' : 'insatisfeito';
+                const message = `Cliente ${reason}: ${Utils.escapeHtml(data.name || data.phone)} - "${Utils.escapeHtml(Utils.truncate(data.message, 80))}"`;
+
+                Toast.warning(data.inQueue ? `${message} (prioridade elevada na fila)` : message, 10000);
+
+                if (document.hidden) {
+                    this.showNotification(`Cliente ${reason}`, data.message);
+                }
+
+                if (this.currentPage === 'dashboard') {
+                    Dashboard.loadSentiment();
+                }
+            });
+
+            // ============================================
+            // EVENTOS DE AGENDAMENTOS
+            // ============================================
+
+            ['appointment:created', 'appointment:updated', 'appointment:status', 'appointment:deleted'].forEach(event => {
+                Socket.on(event, (data) => {
+                    if (event === 'appointment:created' && data.phone) {
+                        Toast.info(`Novo agendamento pelo WhatsApp: ${data.servico || 'serviço'} em ${data.data} ${data.hora}`);
+                    }
+
+                    if (this.currentPage === 'appointments') {
+                        Appointments.loadAppointments();
+                    }
+                });
+            });
+
+            // ============================================
+            // EVENTOS DE RETORNOS (FORA DO HORÁRIO)
+            // ============================================
+
+            ['callback:created', 'callback:updated', 'callback:due'].forEach(event => {
+                Socket.on(event, (data) => {
+                    this.updateCallbacksBadge();
+
+                    if (event === 'callback:due' && data.prioridade === 'alta') {
+                        Toast.warning(`Retorno prioritário: ${data.nome || data.phone} escreveu fora do horário`);
+                    }
+
+                    if (this.currentPage === 'callbacks') {
+                        Callbacks.loadCallbacks();
+                    }
+                });
+            });
+
+            // ============================================
+            // EVENTOS DA IA
+            // ============================================
+
+            Socket.on('ai:budget_exceeded', (data) => {
+                Toast.warning(`Orçamento mensal da IA esgotado (${Utils.formatCurrency(data.spent)} de ${Utils.formatCurrency(data.budget)}). O bot está respondendo só pelo menu.`);
+
+                if (this.currentPage === 'dashboard') {
+                    Dashboard.loadAIUsage();
+                }
+            });
+
         } catch (error) {
             console.error('Erro ao inicializar Socket.IO:', error);
         }
@@ -434,8 +504,13 @@ const App = {
             'dashboard': 'Dashboard',
             'products': 'Produtos',
             'services': 'Serviços',
+            'appointments': 'Agendamentos',
+            'promotions': 'Promoções',
             'customers': 'Clientes',
             'conversations': 'Conversas',
+            'callbacks': 'Retornos',
+            'assistant': 'Assistente IA',
+            'simulator': 'Simulador',
             'whatsapp': 'WhatsApp',
             'settings': 'Configurações'
         };
@@ -1024,6 +1099,12 @@ const App = {
             // Configura formulários
             this.setupSettingsForms();
 
+            // Horário por dia e feriados
+            await ScheduleEditor.init();
+
+            // Editor do menu do bot
+            await MenuEditor.init();
+
         } catch (error) {
             console.error('Erro ao carregar configurações:', error);
             Toast.error('Erro ao carregar configurações');
@@ -1046,21 +1127,6 @@ const App = {
             if (storeAddress) storeAddress.value = settings.store.address || '';
         }
 
-        // Horário
-        if (settings.schedule) {
-            const scheduleStart = document.getElementById('schedule-start');
-            const scheduleEnd = document.getElementById('schedule-end');
-            
-            if (scheduleStart) scheduleStart.value = settings.schedule.startTime || '08:00';
-            if (scheduleEnd) scheduleEnd.value = settings.schedule.endTime || '18:00';
-
-            // Dias da semana
-            const days = settings.schedule.workDays || [];
-            document.querySelectorAll('#schedule-settings-form input[type="checkbox"]').forEach(cb => {
-                cb.checked = days.includes(cb.value);
-            });
-        }
-
         // Bot
         if (settings.bot) {
             const botName = document.getElementById('bot-name');
@@ -1095,15 +1161,6 @@ const App = {
             });
         }
 
-        // Horário
-        const scheduleForm = document.getElementById('schedule-settings-form');
-        if (scheduleForm) {
-            scheduleForm.addEventListener('submit', async (e) => {
-                e.preventDefault();
-                await this.saveScheduleSettings();
-            });
-        }
-
         // Bot
         const botForm = document.getElementById('bot-settings-form');
         if (botForm) {
@@ -1141,29 +1198,6 @@ const App = {
         }
     },
 
-    /**
-     * Salva configurações de horário
-     */
-    async saveScheduleSettings() {
-        try {
-            const workDays = [];
-            document.querySelectorAll('#schedule-settings-form input[type="checkbox"]:checked').forEach(cb => {
-                workDays.push(cb.value);
-            });
-
-            const data = {
-                startTime: document.getElementById('schedule-start')?.value,
-                endTime: document.getElementById('schedule-end')?.value,
-                workDays
-            };
-
-            await API.settings.updateSchedule(data);
-            Toast.success('Horário de funcionamento salvo!');
-        } catch (error) {
-            Toast.error('Erro ao salvar horário');
-        }
-    },
-
     /**
      * Salva configurações do bot
      */
@@ -1304,6 +1338,31 @@ const App = {
         }
     },
 
+    /**
+     * Atualiza badge de retornos pendentes
+     */
+    async updateCallbacksBadge() {
+        try {
+            const badge = document.getElementById('callbacks-badge');
+            if (!badge) return;
+
+            const response = await API.callbacks.stats();
+
+            if (response.success) {
+                const count = response.data.pendentes || 0;
+
+                if (count > 0) {
+                    badge.textContent = count > 99 ? '99+' : count;
+                    badge.style.display = 'inline-flex';
+                } else {
+                    badge.style.display = 'none';
+                }
+            }
+        } catch (error) {
+            // Silencioso
+        }
+    },
+
     /**
      * Mostra notificação do sistema
      * @param {string} title - Título
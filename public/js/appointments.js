@@ -0,0 +1,412 @@
+/**
+ * ============================================
+ * AGENDAMENTOS
+ * Calendário semanal de serviços agendados
+ * ============================================
+ */
+
+const Appointments = {
+    // Dados carregados
+    data: {
+        appointments: [],
+        services: []
+    },
+
+    // Filtros atuais
+    filters: {
+        status: ''
+    },
+
+    // Primeiro dia (domingo) da semana exibida
+    weekStart: null,
+
+    // Rótulos de status
+    statusLabels: {
+        agendado: 'Agendado',
+        confirmado: 'Confirmado',
+        em_andamento: 'Em andamento',
+        concluido: 'Concluído',
+        cancelado: 'Cancelado',
+        nao_compareceu: 'Não compareceu'
+    },
+
+    weekDays: ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'],
+
+    /**
+     * Inicializa o módulo de agendamentos
+     */
+    async init() {
+        console.log('📅 Inicializando Agendamentos...');
+
+        this.weekStart = this.getWeekStart(new Date());
+
+        // Carrega agenda
+        await this.loadAppointments();
+
+        // Configura eventos
+        this.setupEventListeners();
+    },
+
+    /**
+     * Retorna o domingo da semana de uma data
+     * @param {Date} date - Data de referência
+     * @returns {Date} Início da semana
+     */
+    getWeekStart(date) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        start.setDate(start.getDate() - start.getDay());
+        return start;
+    },
+
+    /**
+     * Formata data como YYYY-MM-DD (horário local)
+     * @param {Date} date - Data
+     * @returns {string} Data formatada
+     */
+    toISODate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Formata YYYY-MM-DD como DD/MM
+     * @param {string} isoDate - Data
+     * @returns {string} Data formatada
+     */
+    formatShortDate(isoDate) {
+        const [, month, day] = isoDate.split('-');
+        return `${day}/${month}`;
+    },
+
+    /**
+     * Dias da semana exibida
+     * @returns {array} Datas (YYYY-MM-DD)
+     */
+    getWeekDates() {
+        return Array.from({ length: 7 }, (_, i) => {
+            const date = new Date(this.weekStart);
+            date.setDate(date.getDate() + i);
+            return this.toISODate(date);
+        });
+    },
+
+    /**
+     * Carrega agendamentos da semana
+     */
+    async loadAppointments() {
+        const container = document.getElementById('appointments-calendar');
+        if (!container) return;
+
+        const dates = this.getWeekDates();
+
+        const range = document.getElementById('appointments-range');
+        if (range) {
+            range.textContent = `${this.formatShortDate(dates[0])} a ${this.formatShortDate(dates[6])}`;
+        }
+
+        try {
+            const response = await API.appointments.list({
+                inicio: dates[0],
+                fim: dates[6],
+                status: this.filters.status
+            });
+
+            if (response.success) {
+                this.data.appointments = response.data || [];
+                this.renderCalendar();
+            }
+        } catch (error) {
+            console.error('Erro ao carregar agendamentos:', error);
+            container.innerHTML = `
+                <div class="empty-state" style="grid-column: 1 / -1;">
+                    <i class="fas fa-exclamation-circle text-danger"></i>
+                    <p>Erro ao carregar agenda</p>
+                    <button class="btn btn-primary btn-sm" onclick="Appointments.loadAppointments()">
+                        <i class="fas fa-sync"></i> Tentar novamente
+                    </button>
+                </div>
+            `;
+        }
+    },
+
+    /**
+     * Renderiza calendário semanal
+     */
+    renderCalendar() {
+        const container = document.getElementById('appointments-calendar');
+        if (!container) return;
+
+        const today = this.toISODate(new Date());
+
+        container.innerHTML = this.getWeekDates().map((date, index) => {
+            const items = this.data.appointments.filter(a => a.data_agendamento === date);
+
+            return `
+                <div class="calendar-day ${date === today ? 'today' : ''}">
+                    <div class="calendar-day-header">
+                        <strong>${this.weekDays[index]}</strong>
+                        <span>${this.formatShortDate(date)}</span>
+                    </div>
+                    <div class="calendar-day-body">
+                        ${items.length > 0
+                            ? items.map(item => this.renderAppointmentItem(item)).join('')
+                            : '<div class="calendar-empty">Sem agendamentos</div>'
+                        }
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        // Clique abre detalhes
+        container.querySelectorAll('.appointment-item').forEach(el => {
+            el.addEventListener('click', () => this.showDetails(el.dataset.id));
+        });
+    },
+
+    /**
+     * Renderiza um agendamento no calendário
+     * @param {object} appointment - Dados do agendamento
+     * @returns {string} HTML do item
+     */
+    renderAppointmentItem(appointment) {
+        return `
+            <div class="appointment-item status-${appointment.status}" data-id="${appointment.id}"
+                 title="${this.statusLabels[appointment.status] || appointment.status}">
+                <div class="appointment-time">${appointment.hora_inicio} - ${appointment.hora_fim || ''}</div>
+                <div class="appointment-service">${Utils.escapeHtml(appointment.servico_nome || 'Serviço')}</div>
+                <div class="appointment-customer">${Utils.escapeHtml(appointment.cliente_nome || Utils.formatPhone(appointment.telefone))}</div>
+            </div>
+        `;
+    },
+
+    /**
+     * Mostra detalhes do agendamento com ações de status
+     * @param {number} id - ID do agendamento
+     */
+    async showDetails(id) {
+        const appointment = this.data.appointments.find(a => String(a.id) === String(id));
+        if (!appointment) return;
+
+        const content = `
+            <div class="appointment-details">
+                <p><strong>Serviço:</strong> ${Utils.escapeHtml(appointment.servico_nome || '-')}</p>
+                <p><strong>Data:</strong> ${this.formatShortDate(appointment.data_agendamento)} às ${appointment.hora_inicio} (até ${appointment.hora_fim || '-'})</p>
+                <p><strong>Cliente:</strong> ${Utils.escapeHtml(appointment.cliente_nome || '-')} - ${Utils.formatPhone(appointment.telefone)}</p>
+                <p><strong>Veículo:</strong> ${Utils.escapeHtml(appointment.veiculo || '-')} ${appointment.placa ? `(${Utils.escapeHtml(appointment.placa)})` : ''}</p>
+                <p><strong>Status:</strong> ${this.statusLabels[appointment.status] || appointment.status}</p>
+                ${appointment.observacoes ? `<p><strong>Observações:</strong> ${Utils.escapeHtml(appointment.observacoes)}</p>` : ''}
+            </div>
+        `;
+
+        const statusButton = (status, text, cssClass) => ({
+            text,
+            class: cssClass,
+            action: () => this.changeStatus(appointment.id, status)
+        });
+
+        const buttons = [];
+        if (appointment.status === 'agendado') {
+            buttons.push(statusButton('confirmado', '<i class="fas fa-check"></i> Confirmar', 'btn btn-success'));
+        }
+        if (['agendado', 'confirmado'].includes(appointment.status)) {
+            buttons.push(statusButton('em_andamento', '<i class="fas fa-play"></i> Iniciar', 'btn btn-primary'));
+            buttons.push(statusButton('nao_compareceu', '<i class="fas fa-user-times"></i> Não compareceu', 'btn btn-outline'));
+            buttons.push(statusButton('cancelado', '<i class="fas fa-times"></i> Cancelar', 'btn btn-danger'));
+        }
+        if (appointment.status === 'em_andamento') {
+            buttons.push(statusButton('concluido', '<i class="fas fa-flag-checkered"></i> Concluir', 'btn btn-success'));
+        }
+        buttons.push({ text: 'Fechar', class: 'btn btn-outline', action: () => Modal.close() });
+
+        await Modal.show('Agendamento', content, { buttons });
+    },
+
+    /**
+     * Altera status do agendamento
+     * @param {number} id - ID do agendamento
+     * @param {string} status - Novo status
+     */
+    async changeStatus(id, status) {
+        try {
+            const response = await API.appointments.updateStatus(id, status);
+
+            if (response.success) {
+                Toast.success(`Agendamento: ${this.statusLabels[status]}`);
+                this.loadAppointments();
+            }
+        } catch (error) {
+            console.error('Erro ao alterar status:', error);
+            Toast.error(error.message || 'Erro ao alterar status');
+            return false;
+        }
+    },
+
+    /**
+     * Abre formulário de novo agendamento
+     */
+    async openCreateModal() {
+        try {
+            if (this.data.services.length === 0) {
+                const response = await API.services.list({ limit: 100, ativo: 'true' });
+                this.data.services = response.data || [];
+            }
+        } catch (error) {
+            Toast.error('Erro ao carregar serviços');
+            return;
+        }
+
+        const content = `
+            <form id="appointment-form">
+                <div class="form-group">
+                    <label for="appointment-phone">Telefone do cliente *</label>
+                    <input type="text" id="appointment-phone" class="form-control" placeholder="5511999999999">
+                </div>
+                <div class="form-group">
+                    <label for="appointment-service">Serviço *</label>
+                    <select id="appointment-service" class="form-control">
+                        ${this.data.services.map(s => `<option value="${s.id}">${Utils.escapeHtml(s.nome)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="appointment-date">Data *</label>
+                    <input type="date" id="appointment-date" class="form-control" value="${this.toISODate(new Date())}">
+                </div>
+                <div class="form-group">
+                    <label>Horário *</label>
+                    <div class="slot-list" id="appointment-slots"></div>
+                </div>
+                <div class="form-group">
+                    <label for="appointment-notes">Observações</label>
+                    <textarea id="appointment-notes" class="form-control" rows="2"></textarea>
+                </div>
+            </form>
+        `;
+
+        let selectedSlot = null;
+
+        const loadSlots = async () => {
+            const container = document.getElementById('appointment-slots');
+            const date = document.getElementById('appointment-date').value;
+            const serviceId = document.getElementById('appointment-service').value;
+            selectedSlot = null;
+
+            if (!container || !date) return;
+            container.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+            try {
+                const response = await API.appointments.slots(date, serviceId);
+                const slots = response.data || [];
+
+                container.innerHTML = slots.length > 0
+                    ? slots.map(slot => `<button type="button" class="btn btn-sm btn-outline" data-slot="${slot}">${slot}</button>`).join('')
+                    : '<span class="text-muted">Nenhum horário livre neste dia</span>';
+
+                container.querySelectorAll('[data-slot]').forEach(btn => {
+                    btn.addEventListener('click', () => {
+                        container.querySelectorAll('[data-slot]').forEach(b => b.classList.remove('selected'));
+                        btn.classList.add('selected');
+                        selectedSlot = btn.dataset.slot;
+                    });
+                });
+            } catch (error) {
+                container.innerHTML = '<span class="text-danger">Erro ao carregar horários</span>';
+            }
+        };
+
+        setTimeout(() => {
+            document.getElementById('appointment-date')?.addEventListener('change', loadSlots);
+            document.getElementById('appointment-service')?.addEventListener('change', loadSlots);
+            loadSlots();
+        }, 50);
+
+        await Modal.prompt('Novo Agendamento', content, {
+            confirmText: 'Agendar',
+            onConfirm: async () => {
+                const telefone = document.getElementById('appointment-phone').value.replace(/\D/g, '');
+
+                if (!telefone) {
+                    Toast.error('Telefone é obrigatório');
+                    return false;
+                }
+
+                if (!selectedSlot) {
+                    Toast.error('Escolha um horário');
+                    return false;
+                }
+
+                try {
+                    const response = await API.appointments.create({
+                        telefone,
+                        servico_id: parseInt(document.getElementById('appointment-service').value),
+                        data_agendamento: document.getElementById('appointment-date').value,
+                        hora_inicio: selectedSlot,
+                        observacoes: document.getElementById('appointment-notes').value.trim() || null
+                    });
+
+                    if (response.success) {
+                        Toast.success('Agendamento criado!');
+                        this.loadAppointments();
+                        return true;
+                    }
+                } catch (error) {
+                    Toast.error(error.message || 'Erro ao criar agendamento');
+                    loadSlots();
+                }
+
+                return false;
+            }
+        });
+    },
+
+    /**
+     * Navega entre semanas
+     * @param {number} weeks - Quantidade de semanas (negativo volta)
+     */
+    changeWeek(weeks) {
+        const start = new Date(this.weekStart);
+        start.setDate(start.getDate() + weeks * 7);
+        this.weekStart = start;
+        this.loadAppointments();
+    },
+
+    /**
+     * Configura event listeners gerais
+     */
+    setupEventListeners() {
+        document.getElementById('btn-appointments-prev')?.addEventListener('click', () => this.changeWeek(-1));
+        document.getElementById('btn-appointments-next')?.addEventListener('click', () => this.changeWeek(1));
+
+        document.getElementById('btn-appointments-today')?.addEventListener('click', () => {
+            this.weekStart = this.getWeekStart(new Date());
+            this.loadAppointments();
+        });
+
+        document.getElementById('btn-add-appointment')?.addEventListener('click', () => this.openCreateModal());
+
+        const statusFilter = document.getElementById('appointments-status-filter');
+        if (statusFilter) {
+            statusFilter.addEventListener('change', (e) => {
+                this.filters.status = e.target.value;
+                this.loadAppointments();
+            });
+        }
+    },
+
+    /**
+     * Cleanup ao sair da página
+     */
+    destroy() {
+        this.data = {
+            appointments: [],
+            services: []
+        };
+        this.filters = {
+            status: ''
+        };
+        this.weekStart = null;
+    }
+};
+
+// Exporta para uso global
+window.Appointments = Appointments;
@@ -0,0 +1,615 @@
+/**
+ * ============================================
+ * ASSISTENTE IA
+ * Persona, base de conhecimento, temas proibidos
+ * e console de teste. Tudo é editado em rascunho
+ * e só chega ao bot depois de publicado.
+ * ============================================
+ */
+
+const Assistant = {
+    // Dados carregados
+    data: {
+        persona: null,
+        regras: [],
+        conhecimento: [],
+        publicacao: null,
+        opcoes: null
+    },
+
+    // Conversa do console de teste
+    testChat: {
+        history: [],
+        sessionData: {},
+        sending: false
+    },
+
+    // Rótulos das ações de fluxo devolvidas pela IA
+    actionLabels: {
+        request_human: 'Transferir para atendente',
+        create_quote: 'Iniciar orçamento',
+        schedule_service: 'Iniciar agendamento'
+    },
+
+    /**
+     * Inicializa a página do assistente
+     */
+    async init() {
+        console.log('🧠 Inicializando Assistente IA...');
+
+        this.resetConsole();
+        this.setupEventListeners();
+
+        await this.load();
+
+        Auth.updatePermissionBasedElements();
+    },
+
+    /**
+     * Configura eventos da página
+     */
+    setupEventListeners() {
+        document.getElementById('assistant-persona-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePersona();
+        });
+
+        document.getElementById('btn-knowledge-add')?.addEventListener('click', () => this.openKnowledgeForm());
+        document.getElementById('btn-rule-add')?.addEventListener('click', () => this.addRule());
+        document.getElementById('btn-rules-save')?.addEventListener('click', () => this.saveRules());
+        document.getElementById('btn-assistant-publish')?.addEventListener('click', () => this.publish());
+        document.getElementById('btn-assistant-prompt')?.addEventListener('click', () => this.showPrompt());
+        document.getElementById('btn-assistant-history')?.addEventListener('click', () => this.showPublications());
+        document.getElementById('btn-console-reset')?.addEventListener('click', () => this.resetConsole());
+
+        document.getElementById('assistant-console-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendConsoleMessage();
+        });
+
+        document.getElementById('knowledge-tbody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (!button) return;
+
+            const item = this.data.conhecimento.find(entry => entry.id === parseInt(button.dataset.id));
+            if (!item) return;
+
+            if (button.classList.contains('btn-edit')) {
+                this.openKnowledgeForm(item);
+            } else if (button.classList.contains('btn-delete')) {
+                this.deleteKnowledge(item);
+            }
+        });
+
+        document.getElementById('assistant-rules')?.addEventListener('click', (e) => {
+            const button = e.target.closest('.btn-rule-remove');
+            if (!button) return;
+
+            this.data.regras = this.readRules();
+            this.data.regras.splice(parseInt(button.dataset.index), 1);
+            this.renderRules();
+        });
+    },
+
+    /**
+     * Carrega rascunho, opções e situação da publicação
+     */
+    async load() {
+        try {
+            const response = await API.assistant.get();
+
+            if (response.success) {
+                this.data = response.data;
+
+                this.fillPersona();
+                this.renderKnowledge();
+                this.renderRules();
+                this.renderPublishStatus();
+            }
+        } catch (error) {
+            console.error('Erro ao carregar assistente:', error);
+            Toast.error('Erro ao carregar configuração da IA');
+        }
+    },
+
+    /**
+     * Recarrega só a situação da publicação (após editar o rascunho)
+     */
+    async refreshPublishStatus() {
+        try {
+            const response = await API.assistant.get();
+
+            if (response.success) {
+                this.data.publicacao = response.data.publicacao;
+                this.renderPublishStatus();
+            }
+        } catch (error) {
+            console.error('Erro ao verificar publicação:', error);
+        }
+    },
+
+    /**
+     * Mostra se há alterações não publicadas
+     */
+    renderPublishStatus() {
+        const status = document.getElementById('assistant-publish-status');
+        if (!status || !this.data.publicacao) return;
+
+        const { pendente, ultimaPublicacao } = this.data.publicacao;
+
+        const last = ultimaPublicacao
+            ? `Versão ${ultimaPublicacao.id} publicada ${Utils.formatRelativeDate(ultimaPublicacao.created_at)}${ultimaPublicacao.publicado_por_nome ? ` por ${Utils.escapeHtml(ultimaPublicacao.publicado_por_nome)}` : ''}`
+            : 'Nada publicado ainda: o bot usa a configuração padrão';
+
+        status.innerHTML = pendente
+            ? `<i class="fas fa-exclamation-circle text-warning"></i> Alterações não publicadas · ${last}`
+            : `<i class="fas fa-check-circle text-success"></i> ${last}`;
+    },
+
+    // ============================================
+    // PERSONA
+    // ============================================
+
+    /**
+     * Preenche formulário da persona
+     */
+    fillPersona() {
+        const { persona, opcoes } = this.data;
+
+        const fillSelect = (id, options, value) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            select.innerHTML = options.map(option => `
+                <option value="${option.key}" ${option.key === value ? 'selected' : ''}>${Utils.escapeHtml(option.descricao)}</option>
+            `).join('');
+        };
+
+        fillSelect('persona-tone', opcoes.tons, persona.tom);
+        fillSelect('persona-length', opcoes.tamanhos, persona.tamanho);
+
+        document.getElementById('persona-name').value = persona.nome || '';
+        document.getElementById('persona-emojis').checked = persona.emojis !== false;
+        document.getElementById('persona-about').value = persona.apresentacao || '';
+        document.getElementById('persona-instructions').value = persona.instrucoes || '';
+    },
+
+    /**
+     * Salva persona no rascunho
+     */
+    async savePersona() {
+        try {
+            const response = await API.assistant.updatePersona({
+                nome: document.getElementById('persona-name').value,
+                tom: document.getElementById('persona-tone').value,
+                tamanho: document.getElementById('persona-length').value,
+                emojis: document.getElementById('persona-emojis').checked,
+                apresentacao: document.getElementById('persona-about').value,
+                instrucoes: document.getElementById('persona-instructions').value
+            });
+
+            this.data.persona = response.data;
+            Toast.success('Persona salva no rascunho');
+            this.refreshPublishStatus();
+
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao salvar persona');
+        }
+    },
+
+    // ============================================
+    // BASE DE CONHECIMENTO
+    // ============================================
+
+    /**
+     * Rótulo da categoria
+     * @param {string} key - Categoria
+     * @returns {string} Rótulo
+     */
+    getCategoryLabel(key) {
+        const category = this.data.opcoes?.categorias.find(item => item.key === key);
+        return category ? category.descricao : key;
+    },
+
+    /**
+     * Desenha tabela da base de conhecimento
+     */
+    renderKnowledge() {
+        const tbody = document.getElementById('knowledge-tbody');
+        if (!tbody) return;
+
+        if (this.data.conhecimento.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="text-center text-muted">
+                        Nenhum item cadastrado. Comece por garantia, trocas, formas de pagamento e entrega.
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.data.conhecimento.map(item => `
+            <tr>
+                <td>${Utils.escapeHtml(this.getCategoryLabel(item.categoria))}</td>
+                <td>
+                    <strong>${Utils.escapeHtml(item.titulo)}</strong>
+                    <br><small class="text-muted">${Utils.escapeHtml(Utils.truncate(item.conteudo, 80))}</small>
+                </td>
+                <td>
+                    <span class="status-badge ${item.ativo ? 'active' : 'inactive'}">${item.ativo ? 'Sim' : 'Não'}</span>
+                </td>
+                <td>
+                    <div class="table-actions">
+                        <button class="btn-icon-only btn-edit" title="Editar" data-id="${item.id}" data-require-admin>
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn-icon-only btn-danger btn-delete" title="Excluir" data-id="${item.id}" data-require-admin>
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        Auth.updatePermissionBasedElements();
+    },
+
+    /**
+     * Abre formulário de item (novo ou edição)
+     * @param {object|null} item - Item em edição
+     */
+    async openKnowledgeForm(item = null) {
+        const categories = this.data.opcoes.categorias.map(category => `
+            <option value="${category.key}" ${item?.categoria === category.key ? 'selected' : ''}>${Utils.escapeHtml(category.descricao)}</option>
+        `).join('');
+
+        const content = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Categoria *</label>
+                    <select id="knowledge-category" class="form-select">${categories}</select>
+                </div>
+                <div class="form-group">
+                    <label>Ordem</label>
+                    <input type="number" id="knowledge-order" class="form-control" value="${item?.ordem || 0}">
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Título ou pergunta *</label>
+                <input type="text" id="knowledge-title" class="form-control" maxlength="200"
+                    value="${Utils.escapeHtml(item?.titulo || '')}" placeholder="Ex.: Vocês entregam em outros bairros?">
+            </div>
+            <div class="form-group">
+                <label>Conteúdo ou resposta *</label>
+                <textarea id="knowledge-content" class="form-control" rows="5" maxlength="2000">${Utils.escapeHtml(item?.conteudo || '')}</textarea>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="knowledge-active" ${!item || item.ativo ? 'checked' : ''}> Ativo</label>
+            </div>
+        `;
+
+        await Modal.prompt(item ? 'Editar Item' : 'Novo Item', content, {
+            confirmText: 'Salvar',
+            onConfirm: async () => {
+                const data = {
+                    categoria: document.getElementById('knowledge-category').value,
+                    ordem: document.getElementById('knowledge-order').value,
+                    titulo: document.getElementById('knowledge-title').value,
+                    conteudo: document.getElementById('knowledge-content').value,
+                    ativo: document.getElementById('knowledge-active').checked
+                };
+
+                try {
+                    if (item) {
+                        await API.assistant.updateKnowledge(item.id, data);
+                    } else {
+                        await API.assistant.createKnowledge(data);
+                    }
+
+                    Toast.success(item ? 'Item atualizado no rascunho' : 'Item cadastrado no rascunho');
+                    this.load();
+                } catch (error) {
+                    Toast.error(error.message || 'Erro ao salvar item');
+                    return false;
+                }
+            }
+        });
+    },
+
+    /**
+     * Remove item da base
+     * @param {object} item - Item
+     */
+    async deleteKnowledge(item) {
+        const confirmed = await Modal.confirm(
+            'Excluir item',
+            `Excluir "${Utils.escapeHtml(item.titulo)}" da base de conhecimento?`
+        );
+
+        if (!confirmed) return;
+
+        try {
+            await API.assistant.deleteKnowledge(item.id);
+
+            Toast.success('Item removido do rascunho');
+            this.load();
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao remover item');
+        }
+    },
+
+    // ============================================
+    // TEMAS PROIBIDOS
+    // ============================================
+
+    /**
+     * Desenha lista editável de temas
+     */
+    renderRules() {
+        const container = document.getElementById('assistant-rules');
+        if (!container) return;
+
+        if (this.data.regras.length === 0) {
+            container.innerHTML = '<p class="text-muted">Nenhum tema proibido.</p>';
+            return;
+        }
+
+        container.innerHTML = this.data.regras.map((rule, index) => `
+            <div class="assistant-rule" data-index="${index}">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Tema *</label>
+                        <input type="text" class="form-control rule-topic" maxlength="100"
+                            value="${Utils.escapeHtml(rule.tema || '')}" placeholder="Ex.: política">
+                    </div>
+                    <div class="form-group">
+                        <label>Palavras-chave (separadas por vírgula)</label>
+                        <input type="text" class="form-control rule-words"
+                            value="${Utils.escapeHtml((rule.palavras || []).join(', '))}" placeholder="Ex.: eleição, candidato">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Resposta pronta</label>
+                    <input type="text" class="form-control rule-answer" maxlength="500"
+                        value="${Utils.escapeHtml(rule.resposta || '')}" placeholder="Ex.: Prefiro não falar sobre isso, mas posso ajudar com peças e serviços! 🚗">
+                </div>
+                <div class="assistant-rule-footer">
+                    <label><input type="checkbox" class="rule-forward" ${rule.encaminhar ? 'checked' : ''}> Transferir para atendente</label>
+                    <button type="button" class="btn btn-sm btn-outline btn-rule-remove" data-index="${index}">
+                        <i class="fas fa-trash"></i> Remover
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Lê temas digitados na tela
+     * @returns {array} Regras
+     */
+    readRules() {
+        return Array.from(document.querySelectorAll('#assistant-rules .assistant-rule')).map(row => ({
+            tema: row.querySelector('.rule-topic').value,
+            palavras: row.querySelector('.rule-words').value.split(',').map(word => word.trim()).filter(Boolean),
+            resposta: row.querySelector('.rule-answer').value,
+            encaminhar: row.querySelector('.rule-forward').checked
+        }));
+    },
+
+    /**
+     * Adiciona tema em branco
+     */
+    addRule() {
+        this.data.regras = [...this.readRules(), { tema: '', palavras: [], resposta: '', encaminhar: false }];
+        this.renderRules();
+
+        const topics = document.querySelectorAll('#assistant-rules .rule-topic');
+        topics[topics.length - 1]?.focus();
+    },
+
+    /**
+     * Salva temas no rascunho
+     */
+    async saveRules() {
+        try {
+            const response = await API.assistant.updateRules(this.readRules());
+
+            this.data.regras = response.data;
+            this.renderRules();
+            Toast.success('Temas salvos no rascunho');
+            this.refreshPublishStatus();
+
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao salvar temas');
+        }
+    },
+
+    // ============================================
+    // PUBLICAÇÃO
+    // ============================================
+
+    /**
+     * Publica o rascunho
+     */
+    async publish() {
+        const content = `
+            <p>O bot passa a usar a persona, a base de conhecimento e os temas proibidos do rascunho.</p>
+            <div class="form-group">
+                <label>Observação (opcional)</label>
+                <input type="text" id="publish-note" class="form-control" maxlength="255" placeholder="Ex.: nova política de trocas">
+            </div>
+        `;
+
+        await Modal.prompt('Publicar Configuração da IA', content, {
+            confirmText: 'Publicar',
+            onConfirm: async () => {
+                try {
+                    const response = await API.assistant.publish(document.getElementById('publish-note').value);
+
+                    Toast.success(response.message || 'Configuração publicada');
+                    this.refreshPublishStatus();
+                } catch (error) {
+                    Toast.error(error.message || 'Erro ao publicar');
+                    return false;
+                }
+            }
+        });
+    },
+
+    /**
+     * Mostra histórico de publicações
+     */
+    async showPublications() {
+        try {
+            const response = await API.assistant.publications(10);
+            const publications = response.data || [];
+
+            const content = publications.length === 0
+                ? '<p class="text-muted">Nenhuma publicação ainda.</p>'
+                : `
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Versão</th>
+                                <th>Publicada</th>
+                                <th>Por</th>
+                                <th>Observação</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${publications.map(publication => `
+                                <tr>
+                                    <td>${publication.id}</td>
+                                    <td>${Utils.formatDate(publication.created_at, true)}</td>
+                                    <td>${Utils.escapeHtml(publication.publicado_por_nome || '-')}</td>
+                                    <td>${Utils.escapeHtml(publication.observacao || '-')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+
+            await Modal.show('Publicações', content);
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao carregar publicações');
+        }
+    },
+
+    /**
+     * Mostra o prompt montado com o rascunho
+     */
+    async showPrompt() {
+        try {
+            const response = await API.assistant.getPrompt();
+
+            await Modal.show('Prompt do Sistema (rascunho)', `
+                <pre class="assistant-prompt">${Utils.escapeHtml(response.data.prompt)}</pre>
+            `, { size: 'lg' });
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao montar prompt');
+        }
+    },
+
+    // ============================================
+    // CONSOLE DE TESTE
+    // ============================================
+
+    /**
+     * Começa conversa nova no console
+     */
+    resetConsole() {
+        this.testChat = { history: [], sessionData: {}, sending: false };
+
+        const container = document.getElementById('assistant-console-messages');
+        if (container) {
+            container.innerHTML = `
+                <div class="chat-placeholder">
+                    <i class="fas fa-flask"></i>
+                    <p>Converse com a IA usando o rascunho atual.<br>Nada é enviado a clientes.</p>
+                </div>
+            `;
+        }
+    },
+
+    /**
+     * Adiciona balão ao console
+     * @param {string} role - user (cliente) ou assistant (bot)
+     * @param {string} text - Texto
+     * @param {string} meta - Detalhes (ferramentas, ação, tokens)
+     */
+    appendConsoleMessage(role, text, meta = '') {
+        const container = document.getElementById('assistant-console-messages');
+        if (!container) return;
+
+        container.querySelector('.chat-placeholder')?.remove();
+
+        container.insertAdjacentHTML('beforeend', `
+            <div class="message ${role === 'user' ? 'incoming' : 'outgoing'}">
+                <div class="message-text">${Conversations.processMessageText(text)}</div>
+                ${meta ? `<div class="message-time">${meta}</div>` : ''}
+            </div>
+        `);
+
+        container.scrollTop = container.scrollHeight;
+    },
+
+    /**
+     * Envia mensagem do "cliente" ao console
+     */
+    async sendConsoleMessage() {
+        const input = document.getElementById('assistant-console-input');
+        const message = input?.value.trim();
+
+        if (!message || this.testChat.sending) return;
+
+        input.value = '';
+        this.testChat.sending = true;
+        this.appendConsoleMessage('user', message);
+
+        try {
+            const response = await API.assistant.console({
+                message,
+                history: this.testChat.history,
+                sessionData: this.testChat.sessionData,
+                customerName: document.getElementById('console-customer-name').value.trim() || undefined,
+                customerVehicle: document.getElementById('console-customer-vehicle').value.trim() || undefined
+            });
+
+            const result = response.data;
+            const meta = [];
+
+            if (result.blockedTopic) meta.push(`<i class="fas fa-ban"></i> Tema proibido: ${Utils.escapeHtml(result.blockedTopic)}`);
+            if (result.toolsUsed?.length) meta.push(`<i class="fas fa-tools"></i> ${Utils.escapeHtml(result.toolsUsed.join(', '))}`);
+            if (result.action) meta.push(`<i class="fas fa-share"></i> ${this.actionLabels[result.action] || Utils.escapeHtml(result.action)}`);
+            if (result.tokensUsed) meta.push(`${Utils.formatNumber(result.tokensUsed)} tokens`);
+
+            const reply = result.response || (result.action ? '(a IA iniciaria um fluxo do bot)' : '(sem resposta)');
+            this.appendConsoleMessage('assistant', reply, meta.join(' · '));
+
+            this.testChat.history.push({ role: 'user', content: message });
+            if (result.response) {
+                this.testChat.history.push({ role: 'assistant', content: result.response });
+            }
+
+            if (result.sessionData) {
+                this.testChat.sessionData = { ...this.testChat.sessionData, ...result.sessionData };
+            }
+        } catch (error) {
+            this.appendConsoleMessage('assistant', `⚠️ ${error.message || 'Erro ao consultar a IA'}`);
+        } finally {
+            this.testChat.sending = false;
+            input.focus();
+        }
+    },
+
+    /**
+     * Destrói a página (cleanup)
+     */
+    destroy() {
+        this.resetConsole();
+    }
+};
+
+// Exporta para uso global
+window.Assistant = Assistant;
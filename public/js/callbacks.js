@@ -0,0 +1,444 @@
+/**
+ * ============================================
+ * RETORNOS
+ * Clientes que escreveram fora do horário,
+ * por prioridade, para a equipe retornar
+ * ============================================
+ */
+
+const Callbacks = {
+    // Dados carregados
+    data: {
+        callbacks: [],
+        pagination: {
+            page: 1,
+            limit: 20,
+            total: 0,
+            totalPages: 1
+        }
+    },
+
+    // Filtros atuais
+    filters: {
+        status: 'abertos'
+    },
+
+    // Rótulos e classes da prioridade
+    priorityBadges: {
+        alta: { label: 'Alta', class: 'inactive', icon: 'fa-arrow-up' },
+        media: { label: 'Média', class: 'low-stock', icon: 'fa-minus' },
+        baixa: { label: 'Baixa', class: 'featured', icon: 'fa-arrow-down' }
+    },
+
+    // Rótulos e classes de status
+    statusBadges: {
+        pendente: { label: 'Pendente', class: 'low-stock', icon: 'fa-clock' },
+        em_contato: { label: 'Em contato', class: 'featured', icon: 'fa-headset' },
+        concluido: { label: 'Concluído', class: 'active', icon: 'fa-check' },
+        descartado: { label: 'Descartado', class: 'inactive', icon: 'fa-times' }
+    },
+
+    // Onde o cliente parou na conversa com o bot
+    stateLabels: {
+        idle: 'Menu',
+        waiting_search: 'Buscando peça',
+        waiting_vehicle: 'Buscando por veículo',
+        waiting_human: 'Pediu atendente',
+        in_attendance: 'Em atendimento',
+        building_quote: 'Montando orçamento',
+        booking_appointment: 'Agendando serviço'
+    },
+
+    /**
+     * Inicializa o módulo de retornos
+     */
+    async init() {
+        console.log('📞 Inicializando Retornos...');
+
+        await Promise.all([this.loadCallbacks(), this.loadConfig()]);
+
+        this.setupEventListeners();
+    },
+
+    /**
+     * Configura eventos da página
+     */
+    setupEventListeners() {
+        document.getElementById('callbacks-status-filter')?.addEventListener('change', (e) => {
+            this.filters.status = e.target.value;
+            this.data.pagination.page = 1;
+            this.loadCallbacks();
+        });
+
+        document.getElementById('btn-save-callbacks-config')?.addEventListener('click', () => this.saveConfig());
+    },
+
+    /**
+     * Carrega lista de retornos
+     */
+    async loadCallbacks() {
+        const tbody = document.getElementById('callbacks-tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="7" class="loading-cell">
+                    <i class="fas fa-spinner fa-spin"></i>
+                    Carregando retornos...
+                </td>
+            </tr>
+        `;
+
+        try {
+            const response = await API.callbacks.list({
+                page: this.data.pagination.page,
+                limit: this.data.pagination.limit,
+                status: this.filters.status
+            });
+
+            if (response.success) {
+                this.data.callbacks = response.data || [];
+                this.data.pagination = {
+                    ...this.data.pagination,
+                    ...(response.pagination || {})
+                };
+
+                this.renderCallbacks();
+                this.renderPagination();
+            }
+        } catch (error) {
+            console.error('Erro ao carregar retornos:', error);
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-cell">
+                        <i class="fas fa-exclamation-circle text-danger"></i>
+                        Erro ao carregar retornos
+                        <br><br>
+                        <button class="btn btn-primary btn-sm" onclick="Callbacks.loadCallbacks()">
+                            <i class="fas fa-sync"></i> Tentar novamente
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }
+    },
+
+    /**
+     * Renderiza tabela de retornos
+     */
+    renderCallbacks() {
+        const tbody = document.getElementById('callbacks-tbody');
+        if (!tbody) return;
+
+        const callbacks = this.data.callbacks;
+
+        if (!callbacks || callbacks.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-cell">
+                        <i class="fas fa-phone-volume" style="font-size: 3rem; opacity: 0.3; margin-bottom: 15px;"></i>
+                        <p>Nenhum retorno encontrado</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = callbacks.map(callback => this.renderCallbackRow(callback)).join('');
+
+        this.setupRowEvents();
+    },
+
+    /**
+     * Renderiza uma linha da tabela
+     * @param {object} callback - Dados do retorno
+     * @returns {string} HTML da linha
+     */
+    renderCallbackRow(callback) {
+        const priority = this.priorityBadges[callback.prioridade_nivel] || this.priorityBadges.baixa;
+        const status = this.statusBadges[callback.status] || this.statusBadges.pendente;
+        const isOpen = callback.status === 'pendente' || callback.status === 'em_contato';
+        const messages = callback.mensagens || [];
+        const lastMessage = messages[messages.length - 1];
+
+        return `
+            <tr data-id="${callback.id}">
+                <td>
+                    <span class="status-badge ${priority.class}">
+                        <i class="fas ${priority.icon}"></i> ${priority.label}
+                    </span>
+                </td>
+                <td>
+                    <strong>${Utils.escapeHtml(callback.cliente_nome || 'Cliente')}</strong>
+                    <br><small class="text-muted">${Utils.formatPhone(callback.telefone)}</small>
+                    ${callback.cliente_veiculo ? `<br><small>${Utils.escapeHtml(callback.cliente_veiculo)}</small>` : ''}
+                </td>
+                <td>
+                    ${lastMessage ? Utils.escapeHtml(Utils.truncate(lastMessage.texto, 80)) : '-'}
+                    ${callback.total_mensagens > 1
+                        ? `<br><small class="text-muted">${callback.total_mensagens} mensagens</small>`
+                        : ''
+                    }
+                </td>
+                <td>${this.stateLabels[callback.estado_bot] || Utils.escapeHtml(callback.estado_bot || '-')}</td>
+                <td>
+                    ${Utils.formatRelativeDate(callback.created_at)}
+                    ${callback.follow_up_enviado_em ? '<br><small class="text-muted"><i class="fas fa-paper-plane"></i> Retorno enviado</small>' : ''}
+                </td>
+                <td>
+                    <span class="status-badge ${status.class}">
+                        <i class="fas ${status.icon}"></i> ${status.label}
+                    </span>
+                    ${callback.atendente ? `<br><small class="text-muted">${Utils.escapeHtml(callback.atendente)}</small>` : ''}
+                </td>
+                <td>
+                    <div class="table-actions">
+                        <button class="btn-icon-only btn-view" title="Ver mensagens" data-id="${callback.id}">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                        <button class="btn-icon-only btn-chat" title="Abrir conversa" data-phone="${callback.telefone}">
+                            <i class="fas fa-comments"></i>
+                        </button>
+                        ${isOpen ? `
+                            <button class="btn-icon-only btn-follow-up" title="Perguntar agora se ainda precisa de ajuda" data-id="${callback.id}">
+                                <i class="fas fa-paper-plane"></i>
+                            </button>
+                            <button class="btn-icon-only btn-done" title="Marcar como concluído" data-id="${callback.id}">
+                                <i class="fas fa-check"></i>
+                            </button>
+                            <button class="btn-icon-only btn-danger btn-discard" title="Descartar" data-id="${callback.id}">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        ` : `
+                            <button class="btn-icon-only btn-reopen" title="Reabrir" data-id="${callback.id}">
+                                <i class="fas fa-undo"></i>
+                            </button>
+                        `}
+                    </div>
+                </td>
+            </tr>
+        `;
+    },
+
+    /**
+     * Configura eventos das linhas da tabela
+     */
+    setupRowEvents() {
+        document.querySelectorAll('#callbacks-tbody .btn-view').forEach(btn => {
+            btn.addEventListener('click', () => this.showDetails(parseInt(btn.dataset.id)));
+        });
+
+        document.querySelectorAll('#callbacks-tbody .btn-chat').forEach(btn => {
+            btn.addEventListener('click', () => App.navigateTo('conversations', { phone: btn.dataset.phone }));
+        });
+
+        document.querySelectorAll('#callbacks-tbody .btn-follow-up').forEach(btn => {
+            btn.addEventListener('click', () => this.sendFollowUp(parseInt(btn.dataset.id)));
+        });
+
+        document.querySelectorAll('#callbacks-tbody .btn-done').forEach(btn => {
+            btn.addEventListener('click', () => this.finish(parseInt(btn.dataset.id)));
+        });
+
+        document.querySelectorAll('#callbacks-tbody .btn-discard').forEach(btn => {
+            btn.addEventListener('click', () => this.updateStatus(parseInt(btn.dataset.id), 'descartado'));
+        });
+
+        document.querySelectorAll('#callbacks-tbody .btn-reopen').forEach(btn => {
+            btn.addEventListener('click', () => this.updateStatus(parseInt(btn.dataset.id), 'pendente'));
+        });
+    },
+
+    /**
+     * Renderiza paginação
+     */
+    renderPagination() {
+        const container = document.getElementById('callbacks-pagination');
+        if (!container) return;
+
+        const { page, totalPages, total } = this.data.pagination;
+
+        if (totalPages <= 1) {
+            container.innerHTML = `
+                <span class="pagination-info">${total} retorno(s)</span>
+            `;
+            return;
+        }
+
+        let html = `
+            <button class="pagination-btn" ${page <= 1 ? 'disabled' : ''} data-page="${page - 1}">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+        `;
+
+        for (let i = 1; i <= totalPages; i++) {
+            html += `
+                <button class="pagination-btn ${i === page ? 'active' : ''}" data-page="${i}">
+                    ${i}
+                </button>
+            `;
+        }
+
+        html += `
+            <button class="pagination-btn" ${page >= totalPages ? 'disabled' : ''} data-page="${page + 1}">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+            <span class="pagination-info">${total} retorno(s)</span>
+        `;
+
+        container.innerHTML = html;
+
+        container.querySelectorAll('.pagination-btn[data-page]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (!btn.disabled) {
+                    this.data.pagination.page = parseInt(btn.dataset.page);
+                    this.loadCallbacks();
+                }
+            });
+        });
+    },
+
+    // ============================================
+    // AÇÕES
+    // ============================================
+
+    /**
+     * Mostra mensagens deixadas e contexto do bot
+     * @param {number} id - ID do retorno
+     */
+    showDetails(id) {
+        const callback = this.data.callbacks.find(c => c.id === id);
+        if (!callback) return;
+
+        const messages = (callback.mensagens || []).map(message => `
+            <div class="callback-message">
+                <small class="text-muted">${Utils.formatDate(message.em, true)}</small>
+                <p>${Utils.escapeHtml(message.texto)}</p>
+            </div>
+        `).join('');
+
+        const content = `
+            <p>
+                <strong>${Utils.escapeHtml(callback.cliente_nome || 'Cliente')}</strong>
+                - ${Utils.formatPhone(callback.telefone)}
+            </p>
+            <p class="text-muted">
+                Parou em: ${this.stateLabels[callback.estado_bot] || Utils.escapeHtml(callback.estado_bot || '-')}
+                ${callback.total_mensagens > (callback.mensagens || []).length
+                    ? ` · ${callback.total_mensagens} mensagens (mostrando as últimas)`
+                    : ''
+                }
+            </p>
+            ${messages}
+            ${callback.observacoes ? `<p><strong>Observações:</strong> ${Utils.escapeHtml(callback.observacoes)}</p>` : ''}
+        `;
+
+        Modal.show('Mensagens deixadas fora do horário', content);
+    },
+
+    /**
+     * Altera status do retorno
+     * @param {number} id - ID do retorno
+     * @param {string} status - Novo status
+     * @param {string} observacoes - Observações (opcional)
+     */
+    async updateStatus(id, status, observacoes) {
+        try {
+            const response = await API.callbacks.updateStatus(id, status, observacoes);
+
+            if (response.success) {
+                Toast.success(response.message);
+                this.loadCallbacks();
+                App.updateCallbacksBadge();
+            }
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao atualizar retorno');
+        }
+    },
+
+    /**
+     * Conclui retorno com observação opcional
+     * @param {number} id - ID do retorno
+     */
+    async finish(id) {
+        await Modal.prompt('Concluir retorno', `
+            <div class="form-group">
+                <label>Observações (opcional)</label>
+                <textarea id="callback-notes" class="form-control" rows="3" placeholder="Ex: cliente comprou a peça por telefone"></textarea>
+            </div>
+        `, {
+            confirmText: 'Concluir',
+            onConfirm: async () => {
+                await this.updateStatus(id, 'concluido', document.getElementById('callback-notes').value || undefined);
+                return true;
+            }
+        });
+    },
+
+    /**
+     * Envia agora a pergunta "ainda precisa de ajuda?"
+     * @param {number} id - ID do retorno
+     */
+    async sendFollowUp(id) {
+        const confirmed = await Modal.confirm(
+            'Enviar retorno',
+            'O cliente receberá agora a mensagem perguntando se ainda precisa de ajuda. Deseja continuar?'
+        );
+
+        if (!confirmed) return;
+
+        try {
+            const response = await API.callbacks.sendFollowUp(id);
+
+            if (response.success) {
+                Toast.success(response.message);
+            }
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao enviar retorno');
+        }
+    },
+
+    // ============================================
+    // CONFIGURAÇÃO
+    // ============================================
+
+    /**
+     * Carrega configuração do retorno automático
+     */
+    async loadConfig() {
+        try {
+            const response = await API.callbacks.getConfig();
+            const config = response.data || {};
+
+            const checkbox = document.getElementById('callbacks-auto-follow-up');
+            const delay = document.getElementById('callbacks-follow-up-delay');
+
+            if (checkbox) checkbox.checked = !!config.autoFollowUp;
+            if (delay) delay.value = config.followUpDelay ?? 15;
+
+        } catch (error) {
+            console.error('Erro ao carregar configuração de retornos:', error);
+        }
+    },
+
+    /**
+     * Salva configuração do retorno automático
+     */
+    async saveConfig() {
+        try {
+            const response = await API.callbacks.updateConfig({
+                autoFollowUp: document.getElementById('callbacks-auto-follow-up').checked,
+                followUpDelay: document.getElementById('callbacks-follow-up-delay').value
+            });
+
+            if (response.success) {
+                Toast.success(response.message);
+            }
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao salvar configuração');
+        }
+    }
+};
+
+// Exporta para uso global
+window.Callbacks = Callbacks;
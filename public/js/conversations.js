@@ -11,7 +11,8 @@ const Conversations = {
         conversations: [],
         currentChat: null,
         messages: [],
-        selectedPhone: null
+        selectedPhone: null,
+        suggestion: null // { id, index } rascunho escolhido para o envio
     },
 
     // Estado
@@ -27,6 +28,19 @@ const Conversations = {
     // Scroll automático
     autoScroll: true,
 
+    // URLs temporárias das mídias carregadas (liberadas ao trocar de conversa)
+    mediaUrls: [],
+
+    // Prévia na lista para mensagens sem texto
+    mediaLabels: {
+        image: '📷 Foto',
+        audio: '🎤 Áudio',
+        video: '🎥 Vídeo',
+        document: '📄 Documento',
+        sticker: '🏷️ Figurinha',
+        location: '📍 Localização'
+    },
+
     /**
      * Inicializa o módulo de conversas
      */
@@ -216,17 +230,14 @@ const Conversations = {
         `;
 
         try {
-            // Busca dados da conversa
-            const convResponse = await API.conversations.getByPhone(phone);
-            
-            if (convResponse.success) {
-                this.data.currentChat = convResponse.data;
-            }
-
-            // Busca mensagens
+            // Busca mensagens (com cliente e sessão)
             const msgResponse = await API.conversations.getMessages(phone, { limit: 100 });
 
             if (msgResponse.success) {
+                this.data.currentChat = {
+                    ...msgResponse.customer,
+                    em_atendimento: msgResponse.session?.state === 'in_attendance'
+                };
                 this.data.messages = msgResponse.data || [];
                 this.renderChat();
             }
@@ -273,6 +284,8 @@ const Conversations = {
         const isOnline = chat?.online || false;
         const inAttendance = chat?.em_atendimento || chat?.inAttendance || false;
 
+        this.releaseMedia();
+
         chatContainer.innerHTML = `
             <!-- Header do Chat -->
             <div class="chat-header">
@@ -302,6 +315,9 @@ const Conversations = {
                             <i class="fas fa-headset"></i> Assumir
                         </button>
                     `}
+                    <button class="btn-icon-only" onclick="Conversations.showHandoff()" title="Nota de repasse">
+                        <i class="fas fa-clipboard-list"></i>
+                    </button>
                     <button class="btn-icon-only" onclick="Conversations.openCustomerInfo()" title="Info do cliente">
                         <i class="fas fa-info-circle"></i>
                     </button>
@@ -316,11 +332,19 @@ const Conversations = {
                 ${this.renderMessages()}
             </div>
 
+            <!-- Sugestões de resposta -->
+            <div class="chat-suggestions" id="chat-suggestions"></div>
+
             <!-- Input de mensagem -->
             <div class="chat-input">
                 <button class="btn-icon-only btn-emoji" title="Emojis">
                     <i class="fas fa-smile"></i>
                 </button>
+                ${inAttendance ? `
+                    <button class="btn-icon-only btn-suggest" onclick="Conversations.loadSuggestions()" title="Sugerir respostas">
+                        <i class="fas fa-lightbulb"></i>
+                    </button>
+                ` : ''}
                 <input 
                     type="text" 
                     id="message-input" 
@@ -333,11 +357,17 @@ const Conversations = {
             </div>
         `;
 
+        // Input recriado: descarta rascunho escolhido
+        this.data.suggestion = null;
+
         // Configura eventos do chat
         this.setupChatEvents();
 
         // Scroll para última mensagem
         this.scrollToBottom();
+
+        // Fotos, áudios e documentos recebidos
+        this.loadMediaPreviews();
     },
 
     /**
@@ -439,7 +469,8 @@ const Conversations = {
         return `
             <div class="message ${msgClass}">
                 ${senderBadge}
-                <div class="message-text">${processedText}</div>
+                ${msg.midia ? this.renderMedia(msg.midia) : ''}
+                ${msg.midia?.transcricao ? '' : `<div class="message-text">${processedText}</div>`}
                 <div class="message-time">
                     ${timeStr}
                     ${isOutgoing ? '<i class="fas fa-check-double"></i>' : ''}
@@ -448,6 +479,135 @@ const Conversations = {
         `;
     },
 
+    /**
+     * Renderiza foto, áudio, vídeo, documento ou localização recebidos
+     * (o arquivo é carregado depois por loadMediaPreviews)
+     * @param {object} media - Mídia da mensagem
+     * @returns {string} HTML da mídia
+     */
+    renderMedia(media) {
+        if (media.tipo === 'localizacao') {
+            const url = `https://www.google.com/maps?q=${media.latitude},${media.longitude}`;
+            return `
+                <a class="message-location" href="${url}" target="_blank" rel="noopener">
+                    <i class="fas fa-map-marker-alt"></i>
+                    ${Utils.escapeHtml(media.endereco || `${media.latitude}, ${media.longitude}`)}
+                </a>
+            `;
+        }
+
+        if (media.status === 'grande_demais') {
+            return `
+                <div class="message-media-note">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Arquivo acima do limite${media.tamanho ? ` (${Utils.formatBytes(media.tamanho)})` : ''}: não foi salvo
+                </div>
+            `;
+        }
+
+        if (media.status !== 'salva' || !media.url) {
+            return `
+                <div class="message-media-note">
+                    <i class="fas fa-exclamation-circle"></i>
+                    Não foi possível baixar o arquivo
+                </div>
+            `;
+        }
+
+        return `
+            <div class="message-media" data-media-id="${media.id}" data-media-type="${media.tipo}"
+                 data-media-name="${Utils.escapeHtml(media.nome || '')}" data-media-size="${media.tamanho || ''}">
+                <i class="fas fa-spinner fa-spin"></i>
+            </div>
+            ${media.transcricao ? this.renderTranscription(media) : ''}
+            ${media.identificacao ? this.renderIdentification(media.identificacao) : ''}
+        `;
+    },
+
+    /**
+     * Renderiza a peça identificada na foto
+     * @param {string} identification - Descrição da peça
+     * @returns {string} HTML da identificação
+     */
+    renderIdentification(identification) {
+        return `
+            <div class="message-media-note message-identification">
+                <i class="fas fa-search"></i> Identificado na foto: ${Utils.escapeHtml(identification)}
+            </div>
+        `;
+    },
+
+    /**
+     * Renderiza a transcrição de uma mensagem de voz
+     * @param {object} media - Mídia com transcricao, transcricaoIdioma e transcricaoConfianca
+     * @returns {string} HTML da transcrição
+     */
+    renderTranscription(media) {
+        const details = [
+            media.transcricaoIdioma,
+            media.transcricaoConfianca !== null ? `${Math.round(media.transcricaoConfianca * 100)}% de confiança` : null
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="message-transcription">
+                <div class="message-text">${this.processMessageText(media.transcricao)}</div>
+                <small><i class="fas fa-closed-captioning"></i> Transcrição automática${details ? ` · ${Utils.escapeHtml(details)}` : ''}</small>
+            </div>
+        `;
+    },
+
+    /**
+     * Carrega os arquivos das mídias exibidas (a rota exige o token)
+     */
+    async loadMediaPreviews() {
+        const pending = document.querySelectorAll('#chat-messages .message-media:not([data-loaded])');
+
+        for (const el of pending) {
+            el.dataset.loaded = '1';
+
+            try {
+                const blob = await API.conversations.getMedia(el.dataset.mediaId);
+                const url = URL.createObjectURL(blob);
+                this.mediaUrls.push(url);
+
+                const name = el.dataset.mediaName;
+                const size = el.dataset.mediaSize ? Utils.formatBytes(Number(el.dataset.mediaSize)) : '';
+
+                switch (el.dataset.mediaType) {
+                    case 'imagem':
+                    case 'figurinha':
+                        el.innerHTML = `<a href="${url}" target="_blank" rel="noopener"><img src="${url}" alt="Foto do cliente"></a>`;
+                        break;
+                    case 'audio':
+                        el.innerHTML = `<audio controls src="${url}"></audio>`;
+                        break;
+                    case 'video':
+                        el.innerHTML = `<video controls src="${url}"></video>`;
+                        break;
+                    default:
+                        el.innerHTML = `
+                            <a class="message-document" href="${url}" download="${Utils.escapeHtml(name || 'arquivo')}">
+                                <i class="fas fa-file-download"></i>
+                                ${Utils.escapeHtml(name || 'Documento')} ${size ? `<span>${size}</span>` : ''}
+                            </a>
+                        `;
+                }
+            } catch (error) {
+                el.innerHTML = '<span class="message-media-note"><i class="fas fa-exclamation-circle"></i> Arquivo indisponível</span>';
+            }
+        }
+
+        this.scrollToBottom();
+    },
+
+    /**
+     * Libera as URLs temporárias das mídias
+     */
+    releaseMedia() {
+        this.mediaUrls.forEach(url => URL.revokeObjectURL(url));
+        this.mediaUrls = [];
+    },
+
     /**
      * Processa texto da mensagem (links, formatação)
      * @param {string} text - Texto original
@@ -499,6 +659,11 @@ const Conversations = {
                 }
             });
 
+            // Input apagado: a mensagem deixa de ser um rascunho sugerido
+            input.addEventListener('input', () => {
+                if (!input.value.trim()) this.clearSuggestions({ keepList: true });
+            });
+
             // Foca no input
             input.focus();
         }
@@ -544,7 +709,13 @@ const Conversations = {
         this.addTempMessage(message);
 
         try {
-            const response = await API.whatsapp.sendMessage(phone, message);
+            // Rascunho sugerido: envia pelo socket para registrar a escolha
+            const suggestion = this.data.suggestion;
+            const response = suggestion && typeof Socket !== 'undefined'
+                ? await this.sendViaSocket(phone, message, suggestion)
+                : await API.whatsapp.sendMessage(phone, message);
+
+            if (suggestion) this.clearSuggestions();
 
             if (response.success) {
                 // Atualiza mensagem temporária para confirmada
@@ -564,6 +735,138 @@ const Conversations = {
         }
     },
 
+    /**
+     * Envia mensagem pelo evento whatsapp:send (com a sugestão usada)
+     * @param {string} phone - Telefone
+     * @param {string} message - Texto enviado
+     * @param {object} suggestion - { id, index }
+     * @returns {Promise<object>} { success, message }
+     */
+    sendViaSocket(phone, message, suggestion) {
+        return new Promise((resolve) => {
+            const finish = (result) => {
+                clearTimeout(timer);
+                Socket.off('whatsapp:sent', onSent);
+                Socket.off('whatsapp:error', onError);
+                resolve(result);
+            };
+            const onSent = (data) => {
+                if (data.phone === phone) finish({ success: true });
+            };
+            const onError = (data) => {
+                if (data.phone === phone) finish({ success: false, message: data.error });
+            };
+            const timer = setTimeout(() => finish({ success: false, message: 'Tempo esgotado ao enviar' }), 15000);
+
+            Socket.on('whatsapp:sent', onSent);
+            Socket.on('whatsapp:error', onError);
+            Socket.emit('whatsapp:send', {
+                phone,
+                message,
+                suggestionId: suggestion.id,
+                suggestionIndex: suggestion.index
+            });
+        });
+    },
+
+    /**
+     * Gera e mostra rascunhos de resposta (conversa em atendimento)
+     */
+    async loadSuggestions() {
+        const phone = this.data.selectedPhone;
+        const container = document.getElementById('chat-suggestions');
+        if (!phone || !container) return;
+
+        container.innerHTML = `
+            <div class="suggestion-products">
+                <i class="fas fa-spinner fa-spin"></i> Gerando sugestões...
+            </div>
+        `;
+
+        try {
+            const response = await API.conversations.getSuggestions(phone);
+
+            if (!response.success) {
+                throw new Error(response.message || 'Erro ao gerar sugestões');
+            }
+
+            // Resposta de outra conversa (atendente trocou enquanto carregava)
+            if (this.data.selectedPhone !== phone) return;
+
+            this.renderSuggestions(response.data);
+        } catch (error) {
+            container.innerHTML = '';
+            Toast.error(error.message || 'Erro ao gerar sugestões');
+        }
+    },
+
+    /**
+     * Renderiza os rascunhos acima do campo de mensagem
+     * @param {object} data - { id, sugestoes, produtos, origem }
+     */
+    renderSuggestions(data) {
+        const container = document.getElementById('chat-suggestions');
+        if (!container) return;
+
+        const esc = Utils.escapeHtml;
+        const products = (data.produtos || []).map(product =>
+            `${esc(product.nome)} ${Utils.formatCurrency(product.preco_final)} · ${product.disponivel ? `${product.quantidade} em estoque` : 'sem estoque'}`
+        );
+
+        container.innerHTML = `
+            ${data.sugestoes.map((text, index) => `
+                <button type="button" class="suggestion-item" data-index="${index}">${esc(text)}</button>
+            `).join('')}
+            <div class="suggestion-products">
+                <i class="fas fa-${data.origem === 'ia' ? 'robot' : 'lightbulb'}"></i>
+                ${products.length > 0 ? products.join(' | ') : 'Nenhum produto do catálogo relacionado'}
+            </div>
+        `;
+
+        container.querySelectorAll('.suggestion-item').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = parseInt(button.dataset.index);
+                this.useSuggestion(data.id, index, data.sugestoes[index]);
+            });
+        });
+    },
+
+    /**
+     * Coloca o rascunho no campo de mensagem para revisar e enviar
+     * @param {number} id - ID das sugestões
+     * @param {number} index - Rascunho escolhido
+     * @param {string} text - Texto do rascunho
+     */
+    useSuggestion(id, index, text) {
+        const input = document.getElementById('message-input');
+        if (!input) return;
+
+        input.value = text;
+        input.focus();
+        this.data.suggestion = { id, index };
+
+        document.querySelectorAll('.suggestion-item').forEach(button => {
+            button.classList.toggle('selected', parseInt(button.dataset.index) === index);
+        });
+    },
+
+    /**
+     * Descarta o rascunho escolhido
+     * @param {object} options - { keepList } mantém os rascunhos na tela
+     */
+    clearSuggestions(options = {}) {
+        this.data.suggestion = null;
+
+        const container = document.getElementById('chat-suggestions');
+        if (!container) return;
+
+        if (options.keepList) {
+            container.querySelectorAll('.suggestion-item').forEach(button => button.classList.remove('selected'));
+        } else {
+            container.innerHTML = '';
+        }
+    },
+
     /**
      * Adiciona mensagem temporária na UI
      * @param {string} message - Texto da mensagem
@@ -644,6 +947,7 @@ const Conversations = {
         this.data.selectedPhone = null;
         this.data.currentChat = null;
         this.data.messages = [];
+        this.releaseMedia();
 
         // Remove seleção da lista
         document.querySelectorAll('.conversation-item').forEach(item => {
@@ -671,6 +975,9 @@ const Conversations = {
                 this.renderChat();
                 this.loadConversations();
 
+                // Mostra o que o bot já levantou com o cliente
+                this.showHandoff({ silent: true });
+
                 // Notifica via Socket
                 if (typeof Socket !== 'undefined') {
                     Socket.emit('attendance:start', {
@@ -740,6 +1047,87 @@ const Conversations = {
         );
     },
 
+    /**
+     * Mostra nota de repasse e resumo do último atendimento
+     * @param {object} options - { silent } não avisa quando não há nota
+     */
+    async showHandoff(options = {}) {
+        const phone = this.data.selectedPhone;
+        if (!phone) return;
+
+        let attendance;
+
+        try {
+            const response = await API.conversations.getHandoff(phone);
+            attendance = response.data;
+        } catch (error) {
+            if (!options.silent) Toast.error('Erro ao carregar nota de repasse');
+            return;
+        }
+
+        const note = attendance?.nota_repasse;
+
+        if (!note && !attendance?.observacoes) {
+            if (!options.silent) Toast.info('Nenhuma nota de repasse para este cliente');
+            return;
+        }
+
+        const esc = Utils.escapeHtml;
+        let content = '<div class="handoff-note">';
+
+        if (note) {
+            content += `
+                <div class="handoff-item">
+                    <label><i class="fas fa-bullseye"></i> O que o cliente quer</label>
+                    <p>${esc(note.pedido || 'Não identificado')}</p>
+                </div>
+                <div class="handoff-item">
+                    <label><i class="fas fa-car"></i> Veículo</label>
+                    <p>${esc(note.veiculo || 'Não informado')}</p>
+                </div>
+            `;
+
+            if (note.produtos && note.produtos.length > 0) {
+                content += `
+                    <div class="handoff-item">
+                        <label><i class="fas fa-box"></i> Produtos mostrados</label>
+                        <ul>
+                            ${note.produtos.map(product => `
+                                <li>
+                                    ${product.quantidade ? `${product.quantidade}x ` : ''}${product.codigo ? `<code>${esc(product.codigo)}</code> ` : ''}${esc(product.nome)}
+                                    ${product.preco !== null ? `<span class="text-muted">${Utils.formatCurrency(product.preco)}</span>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `;
+            }
+
+            content += `
+                <div class="handoff-item">
+                    <label><i class="fas fa-tasks"></i> Pendências</label>
+                    <ul>${(note.pendencias || []).map(item => `<li>${esc(item)}</li>`).join('')}</ul>
+                </div>
+                <small class="text-muted">
+                    ${note.origem === 'ia' ? 'Gerada pela IA' : 'Gerada automaticamente'} · ${Utils.formatRelativeDate(note.gerado_em)}
+                </small>
+            `;
+        }
+
+        if (attendance.observacoes) {
+            content += `
+                <div class="handoff-item">
+                    <label><i class="fas fa-sticky-note"></i> Observações${attendance.status === 'finalizado' ? ' do encerramento' : ''}</label>
+                    <p class="handoff-observations">${esc(attendance.observacoes)}</p>
+                </div>
+            `;
+        }
+
+        content += '</div>';
+
+        Modal.show('Nota de Repasse', content);
+    },
+
     /**
      * Abre informações do cliente
      */
@@ -820,6 +1208,21 @@ const Conversations = {
             this.onMessageReceived(data);
         });
 
+        // Foto, áudio, documento ou localização salvos
+        Socket.on('message:media', (data) => {
+            this.onMessageMedia(data);
+        });
+
+        // Mensagem de voz transcrita
+        Socket.on('message:transcription', (data) => {
+            this.onMessageTranscription(data);
+        });
+
+        // Peça identificada em foto
+        Socket.on('message:identification', (data) => {
+            this.onMessageIdentification(data);
+        });
+
         // Mensagem enviada (de outro admin)
         Socket.on('message:sent', (data) => {
             this.onMessageSent(data);
@@ -846,13 +1249,14 @@ const Conversations = {
      * @param {object} data - Dados da mensagem
      */
     onMessageReceived(data) {
-        const { phone, text, pushName, timestamp } = data;
+        const { phone, text, pushName, timestamp, mediaType } = data;
 
         // Atualiza lista de conversas
-        this.updateConversationInList(phone, text, timestamp, true);
+        this.updateConversationInList(phone, text || this.mediaLabels[mediaType] || '', timestamp, true);
 
         // Se for a conversa atual, adiciona mensagem
-        if (this.data.selectedPhone === phone) {
+        // (com mídia, a mensagem chega em message:media depois de salva)
+        if (this.data.selectedPhone === phone && !mediaType) {
             const msg = {
                 tipo: 'entrada',
                 mensagem: text,
@@ -874,6 +1278,71 @@ const Conversations = {
         }
     },
 
+    /**
+     * Callback para mídia recebida e salva
+     * @param {object} data - { phone, conversaId, text, media }
+     */
+    onMessageMedia(data) {
+        if (this.data.selectedPhone !== data.phone) return;
+
+        const msg = {
+            id: data.conversaId,
+            tipo: 'entrada',
+            mensagem: data.text,
+            midia: data.media,
+            timestamp: data.timestamp || new Date().toISOString()
+        };
+
+        this.data.messages.push(msg);
+
+        const container = document.getElementById('chat-messages');
+        if (container) {
+            container.insertAdjacentHTML('beforeend', this.renderMessage(msg));
+            this.loadMediaPreviews();
+        }
+    },
+
+    /**
+     * Callback para mensagem de voz transcrita
+     * @param {object} data - { phone, conversaId, mediaId, text, language, confidence }
+     */
+    onMessageTranscription(data) {
+        if (this.data.selectedPhone !== data.phone || !data.text) return;
+
+        const msg = this.data.messages.find(item => item.midia?.id === data.mediaId);
+        if (!msg) return;
+
+        Object.assign(msg.midia, {
+            transcricao: data.text,
+            transcricaoIdioma: data.language,
+            transcricaoConfianca: data.confidence
+        });
+
+        const el = document.querySelector(`#chat-messages .message-media[data-media-id="${data.mediaId}"]`);
+        if (!el) return;
+
+        el.closest('.message')?.querySelector(':scope > .message-text')?.remove();
+        el.insertAdjacentHTML('afterend', this.renderTranscription(msg.midia));
+        this.scrollToBottom();
+    },
+
+    /**
+     * Callback para peça identificada em foto
+     * @param {object} data - { phone, conversaId, mediaId, text }
+     */
+    onMessageIdentification(data) {
+        if (this.data.selectedPhone !== data.phone) return;
+
+        const msg = this.data.messages.find(item => item.midia?.id === data.mediaId);
+        if (msg) msg.midia.identificacao = data.text;
+
+        const el = document.querySelector(`#chat-messages .message-media[data-media-id="${data.mediaId}"]`);
+        if (!el || el.parentElement.querySelector('.message-identification')) return;
+
+        el.insertAdjacentHTML('afterend', this.renderIdentification(data.text));
+        this.scrollToBottom();
+    },
+
     /**
      * Callback para mensagem enviada
      * @param {object} data - Dados da mensagem
@@ -1008,6 +1477,7 @@ const Conversations = {
      */
     destroy() {
         this.stopAutoRefresh();
+        this.releaseMedia();
         this.data = {
             conversations: [],
             currentChat: null,
@@ -9,14 +9,18 @@ const Dashboard = {
     // Instâncias dos gráficos
     charts: {
         messages: null,
-        categories: null
+        categories: null,
+        aiCost: null,
+        sentiment: null
     },
 
     // Dados carregados
     data: {
         stats: null,
         recentConversations: [],
-        lowStockProducts: []
+        lowStockProducts: [],
+        aiUsage: null,
+        sentiment: []
     },
 
     // Intervalo de atualização automática
@@ -58,6 +62,12 @@ const Dashboard = {
             // Carrega produtos com estoque baixo
             await this.loadLowStockProducts();
 
+            // Carrega uso da IA
+            await this.loadAIUsage();
+
+            // Carrega sentimento dos clientes
+            await this.loadSentiment();
+
         } catch (error) {
             console.error('Erro ao carregar dashboard:', error);
             Toast.error('Erro ao carregar dados do dashboard');
@@ -287,6 +297,348 @@ const Dashboard = {
         });
     },
 
+    /**
+     * Carrega uso e custo da IA (30 dias)
+     */
+    async loadAIUsage() {
+        const container = document.getElementById('ai-usage-summary');
+        if (!container) return;
+
+        try {
+            const response = await API.dashboard.getAIUsage(30);
+
+            if (response.success) {
+                this.data.aiUsage = response.data;
+                this.renderAIUsageSummary();
+                this.setupAICostChart();
+            }
+        } catch (error) {
+            console.error('Erro ao carregar uso da IA:', error);
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-robot"></i>
+                    <p>Uso da IA indisponível</p>
+                </div>
+            `;
+        }
+    },
+
+    /**
+     * Renderiza resumo de uso e orçamento da IA
+     */
+    renderAIUsageSummary() {
+        const container = document.getElementById('ai-usage-summary');
+        if (!container || !this.data.aiUsage) return;
+
+        const summary = this.data.aiUsage.resumo;
+        const budget = summary.orcamento || {};
+
+        // Barra do orçamento (só com orçamento definido)
+        let budgetHtml = `
+            <div class="ai-budget">
+                <div class="ai-budget-label">
+                    <span>Gasto no mês</span>
+                    <strong>${Utils.formatCurrency(budget.spent)}</strong>
+                </div>
+                <small class="text-muted">Sem orçamento mensal definido</small>
+            </div>
+        `;
+
+        if (budget.budget > 0) {
+            const level = budget.exceeded ? 'danger' : (budget.percent >= 80 ? 'warning' : 'success');
+
+            budgetHtml = `
+                <div class="ai-budget">
+                    <div class="ai-budget-label">
+                        <span>Gasto no mês</span>
+                        <strong>${Utils.formatCurrency(budget.spent)} de ${Utils.formatCurrency(budget.budget)}</strong>
+                    </div>
+                    <div class="ai-budget-bar">
+                        <div class="ai-budget-fill ${level}" style="width: ${Math.min(budget.percent, 100)}%"></div>
+                    </div>
+                    <small class="${budget.exceeded ? 'text-danger' : 'text-muted'}">
+                        ${budget.exceeded
+                            ? 'Orçamento esgotado: o bot está respondendo só pelo menu'
+                            : `${budget.percent}% usado · restam ${Utils.formatCurrency(budget.remaining)}`}
+                    </small>
+                </div>
+            `;
+        }
+
+        container.innerHTML = `
+            ${budgetHtml}
+            <div class="ai-usage-stats">
+                <div><strong>${Utils.formatNumber(summary.chamadas)}</strong><span>Chamadas</span></div>
+                <div><strong>${Utils.formatCurrency(summary.custo)}</strong><span>Custo estimado</span></div>
+                <div><strong>${Utils.formatNumber(summary.latencia_media)} ms</strong><span>Latência média</span></div>
+                <div><strong>${summary.taxa_cache}%</strong><span>Cache</span></div>
+                <div><strong>${summary.taxa_erro}%</strong><span>Erros</span></div>
+                <div><strong>${Utils.formatNumber(summary.tokens)}</strong><span>Tokens</span></div>
+            </div>
+        `;
+    },
+
+    /**
+     * Configura gráfico de custo diário da IA por modelo
+     */
+    setupAICostChart() {
+        const canvas = document.getElementById('ai-cost-chart');
+        if (!canvas || !this.data.aiUsage) return;
+
+        // Destroi gráfico anterior se existir
+        if (this.charts.aiCost) {
+            this.charts.aiCost.destroy();
+        }
+
+        const daily = this.data.aiUsage.diario || [];
+
+        // Um dataset por modelo, empilhados por dia
+        const days = [...new Set(daily.map(row => row.dia))].sort();
+        const models = [...new Set(daily.map(row => row.modelo))];
+
+        const datasets = models.map((model, index) => ({
+            label: model,
+            data: days.map(day => {
+                const row = daily.find(item => item.dia === day && item.modelo === model);
+                return row ? parseFloat(row.custo) : 0;
+            }),
+            backgroundColor: this.getChartColor(index),
+            borderRadius: 4
+        }));
+
+        this.charts.aiCost = new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: days.map(day => Utils.formatDate(day)),
+                datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top',
+                        labels: {
+                            color: '#94a3b8',
+                            usePointStyle: true,
+                            padding: 20
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: '#1e293b',
+                        titleColor: '#f1f5f9',
+                        bodyColor: '#94a3b8',
+                        borderColor: '#334155',
+                        borderWidth: 1,
+                        padding: 12,
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${Utils.formatCurrency(context.raw)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        stacked: true,
+                        grid: {
+                            color: 'rgba(51, 65, 85, 0.5)',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#94a3b8'
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(51, 65, 85, 0.5)',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#94a3b8',
+                            callback: (value) => Utils.formatCurrency(value)
+                        }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Abre formulário de orçamento e limites da IA (admin)
+     */
+    async openAIUsageConfig() {
+        let config;
+
+        try {
+            const response = await API.dashboard.getAIUsageConfig();
+            config = response.data;
+        } catch (error) {
+            Toast.error('Erro ao carregar limites da IA');
+            return;
+        }
+
+        const content = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Orçamento mensal (R$)</label>
+                    <input type="number" id="ai-monthly-budget" class="form-control" min="0" step="0.01" value="${config.monthlyBudget}">
+                    <small class="text-muted">0 = sem limite. Ao atingir, o bot volta a responder só pelo menu.</small>
+                </div>
+                <div class="form-group">
+                    <label>Cotação do dólar (R$)</label>
+                    <input type="number" id="ai-exchange-rate" class="form-control" min="0.01" step="0.01" value="${config.exchangeRate}">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Conversas com IA por cliente/hora</label>
+                    <input type="number" id="ai-hourly-limit" class="form-control" min="0" step="1" value="${config.customerHourlyLimit}">
+                </div>
+                <div class="form-group">
+                    <label>Conversas com IA por cliente/dia</label>
+                    <input type="number" id="ai-daily-limit" class="form-control" min="0" step="1" value="${config.customerDailyLimit}">
+                    <small class="text-muted">0 = sem limite</small>
+                </div>
+            </div>
+        `;
+
+        await Modal.prompt('Orçamento e Limites da IA', content, {
+            confirmText: 'Salvar',
+            onConfirm: async () => {
+                try {
+                    await API.dashboard.updateAIUsageConfig({
+                        monthlyBudget: document.getElementById('ai-monthly-budget').value,
+                        exchangeRate: document.getElementById('ai-exchange-rate').value,
+                        customerHourlyLimit: document.getElementById('ai-hourly-limit').value,
+                        customerDailyLimit: document.getElementById('ai-daily-limit').value
+                    });
+
+                    Toast.success('Limites da IA atualizados');
+                    this.loadAIUsage();
+                } catch (error) {
+                    Toast.error(error.message || 'Erro ao salvar limites da IA');
+                    return false;
+                }
+            }
+        });
+    },
+
+    /**
+     * Carrega sentimento das mensagens recebidas
+     */
+    async loadSentiment() {
+        try {
+            const response = await API.dashboard.getSentimentTrend(30);
+
+            if (response.success) {
+                this.data.sentiment = response.data;
+                this.setupSentimentChart();
+            }
+        } catch (error) {
+            console.error('Erro ao carregar sentimento dos clientes:', error);
+        }
+    },
+
+    /**
+     * Configura gráfico de sentimento por dia (urgentes em linha)
+     */
+    setupSentimentChart() {
+        const canvas = document.getElementById('sentiment-chart');
+        if (!canvas) return;
+
+        // Destroi gráfico anterior se existir
+        if (this.charts.sentiment) {
+            this.charts.sentiment.destroy();
+        }
+
+        const trend = this.data.sentiment || [];
+
+        // Total de urgentes no período
+        const urgentBadge = document.getElementById('sentiment-urgent-count');
+        if (urgentBadge) {
+            const urgent = trend.reduce((sum, day) => sum + day.urgentes, 0);
+            urgentBadge.textContent = `${Utils.formatNumber(urgent)} urgente${urgent === 1 ? '' : 's'}`;
+            urgentBadge.style.display = urgent > 0 ? '' : 'none';
+        }
+
+        const bar = (label, key, color) => ({
+            type: 'bar',
+            label,
+            data: trend.map(day => day[key]),
+            backgroundColor: color,
+            borderRadius: 4,
+            stack: 'sentimento',
+            order: 2
+        });
+
+        this.charts.sentiment = new Chart(canvas, {
+            data: {
+                labels: trend.map(day => Utils.formatDate(day.dia)),
+                datasets: [
+                    bar('Positivo', 'positivo', 'rgba(16, 185, 129, 0.8)'),
+                    bar('Neutro', 'neutro', 'rgba(148, 163, 184, 0.6)'),
+                    bar('Negativo', 'negativo', 'rgba(239, 68, 68, 0.8)'),
+                    {
+                        type: 'line',
+                        label: 'Urgentes',
+                        data: trend.map(day => day.urgentes),
+                        borderColor: 'rgba(245, 158, 11, 1)',
+                        backgroundColor: 'rgba(245, 158, 11, 1)',
+                        tension: 0.3,
+                        order: 1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top',
+                        labels: {
+                            color: '#94a3b8',
+                            usePointStyle: true,
+                            padding: 20
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: '#1e293b',
+                        titleColor: '#f1f5f9',
+                        bodyColor: '#94a3b8',
+                        borderColor: '#334155',
+                        borderWidth: 1,
+                        padding: 12
+                    }
+                },
+                scales: {
+                    x: {
+                        stacked: true,
+                        grid: {
+                            color: 'rgba(51, 65, 85, 0.5)',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#94a3b8'
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(51, 65, 85, 0.5)',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#94a3b8',
+                            precision: 0
+                        }
+                    }
+                }
+            }
+        });
+    },
+
     /**
      * Configura os gráficos
      */
@@ -532,6 +884,13 @@ const Dashboard = {
             });
         });
 
+        // Orçamento e limites da IA (somente admin)
+        const aiConfigButton = document.getElementById('btn-ai-usage-config');
+        if (aiConfigButton) {
+            aiConfigButton.style.display = Auth.isAdmin() ? '' : 'none';
+            aiConfigButton.addEventListener('click', () => this.openAIUsageConfig());
+        }
+
         // Escuta eventos do Socket.IO para atualizações em tempo real
         if (typeof Socket !== 'undefined') {
             // Nova mensagem recebida
@@ -623,7 +982,9 @@ const Dashboard = {
             await Promise.all([
                 this.loadStats(),
                 this.loadRecentConversations(),
-                this.loadLowStockProducts()
+                this.loadLowStockProducts(),
+                this.loadAIUsage(),
+                this.loadSentiment()
             ]);
         } catch (error) {
             console.error('Erro ao atualizar dashboard:', error);
@@ -648,11 +1009,23 @@ const Dashboard = {
             this.charts.categories = null;
         }
 
+        if (this.charts.aiCost) {
+            this.charts.aiCost.destroy();
+            this.charts.aiCost = null;
+        }
+
+        if (this.charts.sentiment) {
+            this.charts.sentiment.destroy();
+            this.charts.sentiment = null;
+        }
+
         // Limpa dados
         this.data = {
             stats: null,
             recentConversations: [],
-            lowStockProducts: []
+            lowStockProducts: [],
+            aiUsage: null,
+            sentiment: []
         };
     }
 };
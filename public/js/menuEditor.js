@@ -0,0 +1,379 @@
+/**
+ * ============================================
+ * EDITOR DO MENU DO BOT
+ * Árvore de opções do menu do WhatsApp
+ * (submenus e ação de cada opção)
+ * ============================================
+ */
+
+const MenuEditor = {
+    // Menu em edição ({ titulo, rodape, opcoes })
+    menu: null,
+
+    // Ações disponíveis e limites (vindos da API)
+    actions: {},
+    limits: { opcoes: 9, niveis: 3 },
+
+    // Categorias para a ação "category"
+    categories: [],
+
+    /**
+     * Inicializa o editor (chamado pela página de configurações)
+     */
+    async init() {
+        const container = document.getElementById('menu-editor');
+        if (!container) return;
+
+        try {
+            const [menuResponse, categoriesResponse] = await Promise.all([
+                API.settings.getBotMenu(),
+                API.categories.list()
+            ]);
+
+            this.menu = menuResponse.data.valor;
+            this.actions = menuResponse.data.acoes;
+            this.limits = menuResponse.data.limites || this.limits;
+            this.categories = categoriesResponse.data || [];
+
+            this.render();
+            this.setupEventListeners();
+
+        } catch (error) {
+            console.error('Erro ao carregar menu do bot:', error);
+            container.innerHTML = '<p class="text-muted">Erro ao carregar menu do bot.</p>';
+        }
+    },
+
+    /**
+     * Configura eventos do editor
+     */
+    setupEventListeners() {
+        const container = document.getElementById('menu-editor');
+
+        // Campos (delegação: o editor é redesenhado a cada alteração de estrutura)
+        container.addEventListener('input', (e) => {
+            if (e.target.tagName !== 'SELECT') this.handleFieldChange(e.target);
+        });
+        container.addEventListener('change', (e) => {
+            if (e.target.tagName === 'SELECT') this.handleFieldChange(e.target);
+        });
+
+        // Botões das opções
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-menu-action]');
+            if (!button) return;
+
+            e.preventDefault();
+            this.handleOptionAction(button.dataset.menuAction, button.dataset.path);
+        });
+
+        document.getElementById('btn-menu-add')?.addEventListener('click', () => {
+            this.handleOptionAction('add', '');
+        });
+
+        document.getElementById('btn-menu-preview')?.addEventListener('click', () => this.preview());
+        document.getElementById('btn-menu-reset')?.addEventListener('click', () => this.reset());
+        document.getElementById('btn-menu-save')?.addEventListener('click', () => this.save());
+    },
+
+    // ============================================
+    // ÁRVORE
+    // ============================================
+
+    /**
+     * Converte caminho "0-2" em índices
+     * @param {string} path - Caminho da opção
+     * @returns {array} Índices
+     */
+    parsePath(path) {
+        return path === '' || path === undefined ? [] : path.split('-').map(Number);
+    },
+
+    /**
+     * Busca nó pelo caminho (raiz quando vazio)
+     * @param {array} indexes - Índices a partir da raiz
+     * @returns {object} Nó do menu ou opção
+     */
+    getNode(indexes) {
+        return indexes.reduce((node, index) => node.opcoes[index], this.menu);
+    },
+
+    /**
+     * Atualiza campo editado no menu
+     * @param {HTMLElement} input - Campo alterado
+     */
+    handleFieldChange(input) {
+        const { field, path } = input.dataset;
+        if (!field) return;
+
+        const node = this.getNode(this.parsePath(path));
+
+        if (field === 'acao') {
+            // Remove parâmetros da ação anterior
+            ['categoria_id', 'texto', 'url', 'titulo', 'rodape', 'opcoes'].forEach(key => delete node[key]);
+
+            node.acao = input.value;
+
+            if (node.acao === 'submenu') {
+                node.opcoes = [{ rotulo: '', acao: 'product_list' }];
+            }
+
+            this.render();
+            return;
+        }
+
+        node[field] = input.value;
+    },
+
+    /**
+     * Executa ação de estrutura (adicionar, remover, mover)
+     * @param {string} action - add | remove | up | down
+     * @param {string} path - Caminho da opção (ou do submenu, em add)
+     */
+    handleOptionAction(action, path) {
+        const indexes = this.parsePath(path);
+
+        if (action === 'add') {
+            const node = this.getNode(indexes);
+
+            if (node.opcoes.length >= this.limits.opcoes) {
+                Toast.warning(`Cada menu pode ter no máximo ${this.limits.opcoes} opções`);
+                return;
+            }
+
+            node.opcoes.push({ rotulo: '', acao: 'product_list' });
+            this.render();
+            return;
+        }
+
+        const index = indexes.pop();
+        const siblings = this.getNode(indexes).opcoes;
+
+        if (action === 'remove') {
+            if (siblings.length === 1) {
+                Toast.warning('O menu precisa de pelo menos uma opção');
+                return;
+            }
+            siblings.splice(index, 1);
+        }
+
+        if (action === 'up' && index > 0) {
+            [siblings[index - 1], siblings[index]] = [siblings[index], siblings[index - 1]];
+        }
+
+        if (action === 'down' && index < siblings.length - 1) {
+            [siblings[index + 1], siblings[index]] = [siblings[index], siblings[index + 1]];
+        }
+
+        this.render();
+    },
+
+    // ============================================
+    // RENDERIZAÇÃO
+    // ============================================
+
+    /**
+     * Desenha o editor completo
+     */
+    render() {
+        const container = document.getElementById('menu-editor');
+        if (!container || !this.menu) return;
+
+        container.innerHTML = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Título do menu principal</label>
+                    <input type="text" class="form-control" data-field="titulo" data-path=""
+                        value="${Utils.escapeHtml(this.menu.titulo || '')}">
+                </div>
+                <div class="form-group">
+                    <label>Rodapé</label>
+                    <input type="text" class="form-control" data-field="rodape" data-path=""
+                        value="${Utils.escapeHtml(this.menu.rodape || '')}">
+                </div>
+            </div>
+            ${this.renderOptions(this.menu.opcoes, [], 1)}
+        `;
+    },
+
+    /**
+     * Desenha lista de opções de um nível
+     * @param {array} options - Opções
+     * @param {array} parentPath - Índices do nível pai
+     * @param {number} depth - Nível atual (1 = menu principal)
+     * @returns {string} HTML
+     */
+    renderOptions(options, parentPath, depth) {
+        return `
+            <ol class="menu-editor-list">
+                ${options.map((option, index) => this.renderOption(option, [...parentPath, index], depth)).join('')}
+            </ol>
+        `;
+    },
+
+    /**
+     * Desenha uma opção e seus parâmetros
+     * @param {object} option - Opção do menu
+     * @param {array} indexes - Índices da opção
+     * @param {number} depth - Nível atual
+     * @returns {string} HTML
+     */
+    renderOption(option, indexes, depth) {
+        const path = indexes.join('-');
+
+        // Submenu só é permitido até o limite de níveis
+        const actionOptions = Object.entries(this.actions)
+            .filter(([key]) => key !== 'submenu' || depth < this.limits.niveis || option.acao === 'submenu')
+            .map(([key, action]) => `
+                <option value="${key}" ${option.acao === key ? 'selected' : ''}>${action.descricao}</option>
+            `).join('');
+
+        return `
+            <li class="menu-editor-item">
+                <div class="menu-editor-row">
+                    <input type="text" class="form-control" placeholder="Texto da opção"
+                        data-field="rotulo" data-path="${path}" value="${Utils.escapeHtml(option.rotulo || '')}">
+                    <select class="form-control" data-field="acao" data-path="${path}">${actionOptions}</select>
+                    <div class="menu-editor-buttons">
+                        <button class="btn-icon-only" title="Subir" data-menu-action="up" data-path="${path}">
+                            <i class="fas fa-arrow-up"></i>
+                        </button>
+                        <button class="btn-icon-only" title="Descer" data-menu-action="down" data-path="${path}">
+                            <i class="fas fa-arrow-down"></i>
+                        </button>
+                        <button class="btn-icon-only btn-danger" title="Remover" data-menu-action="remove" data-path="${path}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                ${this.renderParams(option, path, depth)}
+            </li>
+        `;
+    },
+
+    /**
+     * Desenha campos específicos da ação
+     * @param {object} option - Opção do menu
+     * @param {string} path - Caminho da opção
+     * @param {number} depth - Nível atual
+     * @returns {string} HTML
+     */
+    renderParams(option, path, depth) {
+        switch (option.acao) {
+            case 'category':
+                return `
+                    <div class="menu-editor-params">
+                        <select class="form-control" data-field="categoria_id" data-path="${path}">
+                            <option value="">Selecione a categoria</option>
+                            ${this.categories.map(category => `
+                                <option value="${category.id}" ${String(option.categoria_id) === String(category.id) ? 'selected' : ''}>
+                                    ${Utils.escapeHtml(category.nome)}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `;
+
+            case 'text':
+                return `
+                    <div class="menu-editor-params">
+                        <textarea class="form-control" rows="3" placeholder="Resposta enviada ao cliente"
+                            data-field="texto" data-path="${path}">${Utils.escapeHtml(option.texto || '')}</textarea>
+                    </div>
+                `;
+
+            case 'url':
+                return `
+                    <div class="menu-editor-params">
+                        <input type="url" class="form-control" placeholder="https://..."
+                            data-field="url" data-path="${path}" value="${Utils.escapeHtml(option.url || '')}">
+                        <input type="text" class="form-control" placeholder="Texto antes do link (opcional)"
+                            data-field="texto" data-path="${path}" value="${Utils.escapeHtml(option.texto || '')}">
+                    </div>
+                `;
+
+            case 'submenu':
+                return `
+                    <div class="menu-editor-submenu">
+                        <input type="text" class="form-control" placeholder="Título do submenu (padrão: texto da opção)"
+                            data-field="titulo" data-path="${path}" value="${Utils.escapeHtml(option.titulo || '')}">
+                        ${this.renderOptions(option.opcoes || [], path.split('-').map(Number), depth + 1)}
+                        <button class="btn btn-outline btn-sm" data-menu-action="add" data-path="${path}">
+                            <i class="fas fa-plus"></i> Sub-opção
+                        </button>
+                    </div>
+                `;
+
+            default:
+                return '';
+        }
+    },
+
+    // ============================================
+    // AÇÕES
+    // ============================================
+
+    /**
+     * Mostra como o cliente verá cada tela do menu
+     */
+    async preview() {
+        try {
+            const response = await API.settings.previewBotMenu(this.menu);
+
+            const content = response.data.map(screen => `
+                <p><strong>${screen.caminho.length ? `Submenu ${screen.caminho.join(' > ')}` : 'Menu principal'}</strong></p>
+                <pre class="menu-preview">${Utils.escapeHtml(screen.texto)}</pre>
+            `).join('');
+
+            Modal.show('Pré-visualização do menu', content, { size: 'lg' });
+
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao pré-visualizar menu');
+        }
+    },
+
+    /**
+     * Salva menu (o bot passa a usar sem reiniciar)
+     */
+    async save() {
+        try {
+            const response = await API.settings.updateBotMenu(this.menu);
+
+            this.menu = response.data;
+            this.render();
+
+            Toast.success('Menu do bot salvo');
+
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao salvar menu');
+        }
+    },
+
+    /**
+     * Restaura menu padrão
+     */
+    async reset() {
+        const confirmed = await Modal.confirm(
+            'Restaurar menu padrão',
+            'O menu personalizado será descartado. Deseja continuar?'
+        );
+
+        if (!confirmed) return;
+
+        try {
+            await API.settings.resetBotMenu();
+
+            const response = await API.settings.getBotMenu();
+            this.menu = response.data.valor;
+            this.render();
+
+            Toast.success('Menu padrão restaurado');
+
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao restaurar menu');
+        }
+    }
+};
+
+// Exporta para uso global
+window.MenuEditor = MenuEditor;
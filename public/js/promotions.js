@@ -0,0 +1,620 @@
+/**
+ * ============================================
+ * PROMOÇÕES
+ * Gerenciamento de promoções por produto,
+ * serviço, categoria ou toda a loja
+ * ============================================
+ */
+
+const Promotions = {
+    // Dados carregados
+    data: {
+        promotions: [],
+        products: [],
+        services: [],
+        categories: [],
+        pagination: {
+            page: 1,
+            limit: 20,
+            total: 0,
+            totalPages: 1
+        }
+    },
+
+    // Filtros atuais
+    filters: {
+        search: '',
+        tipo: '',
+        situacao: ''
+    },
+
+    // Rótulos dos tipos
+    typeLabels: {
+        produto: 'Produto',
+        servico: 'Serviço',
+        categoria: 'Categoria',
+        geral: 'Toda a loja'
+    },
+
+    // Rótulos e classes de situação
+    statusBadges: {
+        ativa: { label: 'Ativa', class: 'active', icon: 'fa-check' },
+        agendada: { label: 'Agendada', class: 'featured', icon: 'fa-clock' },
+        expirada: { label: 'Expirada', class: 'low-stock', icon: 'fa-hourglass-end' },
+        inativa: { label: 'Inativa', class: 'inactive', icon: 'fa-times' }
+    },
+
+    /**
+     * Inicializa o módulo de promoções
+     */
+    async init() {
+        console.log('🏷️ Inicializando Promoções...');
+
+        // Carrega promoções
+        await this.loadPromotions();
+
+        // Configura eventos
+        this.setupEventListeners();
+    },
+
+    /**
+     * Carrega listas usadas no formulário (produtos, serviços e categorias)
+     */
+    async loadTargets() {
+        if (this.data.products.length > 0 || this.data.services.length > 0) return;
+
+        const [products, services, categories] = await Promise.all([
+            API.products.list({ limit: 500 }),
+            API.services.list({ limit: 100 }),
+            API.categories.list()
+        ]);
+
+        this.data.products = products.data || [];
+        this.data.services = services.data || [];
+        this.data.categories = categories.data || [];
+    },
+
+    /**
+     * Carrega lista de promoções
+     */
+    async loadPromotions() {
+        const tbody = document.getElementById('promotions-tbody');
+        if (!tbody) return;
+
+        // Mostra loading
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="loading-cell">
+                    <i class="fas fa-spinner fa-spin"></i>
+                    Carregando promoções...
+                </td>
+            </tr>
+        `;
+
+        try {
+            const response = await API.promotions.list({
+                page: this.data.pagination.page,
+                limit: this.data.pagination.limit,
+                search: this.filters.search,
+                tipo: this.filters.tipo,
+                situacao: this.filters.situacao
+            });
+
+            if (response.success) {
+                this.data.promotions = response.data || [];
+                this.data.pagination = {
+                    ...this.data.pagination,
+                    ...(response.pagination || {})
+                };
+
+                this.renderPromotions();
+                this.renderPagination();
+            }
+        } catch (error) {
+            console.error('Erro ao carregar promoções:', error);
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="empty-cell">
+                        <i class="fas fa-exclamation-circle text-danger"></i>
+                        Erro ao carregar promoções
+                        <br><br>
+                        <button class="btn btn-primary btn-sm" onclick="Promotions.loadPromotions()">
+                            <i class="fas fa-sync"></i> Tentar novamente
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }
+    },
+
+    /**
+     * Renderiza tabela de promoções
+     */
+    renderPromotions() {
+        const tbody = document.getElementById('promotions-tbody');
+        if (!tbody) return;
+
+        const promotions = this.data.promotions;
+
+        if (!promotions || promotions.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="empty-cell">
+                        <i class="fas fa-tags" style="font-size: 3rem; opacity: 0.3; margin-bottom: 15px;"></i>
+                        <p>Nenhuma promoção encontrada</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = promotions.map(promotion => this.renderPromotionRow(promotion)).join('');
+
+        // Adiciona eventos aos botões
+        this.setupRowEvents();
+    },
+
+    /**
+     * Descreve o alvo da promoção
+     * @param {object} promotion - Dados da promoção
+     * @returns {string} Texto do alvo
+     */
+    getTargetLabel(promotion) {
+        switch (promotion.tipo) {
+            case 'produto':
+                return promotion.produto_nome || `Produto #${promotion.produto_id}`;
+            case 'servico':
+                return promotion.servico_nome || `Serviço #${promotion.servico_id}`;
+            case 'categoria':
+                return promotion.categoria_nome || `Categoria #${promotion.categoria_id}`;
+            default:
+                return 'Todos os produtos e serviços';
+        }
+    },
+
+    /**
+     * Descreve o desconto da promoção
+     * @param {object} promotion - Dados da promoção
+     * @returns {string} Desconto formatado
+     */
+    getDiscountLabel(promotion) {
+        if (parseFloat(promotion.desconto_percentual) > 0) {
+            return `${parseFloat(promotion.desconto_percentual)}% OFF`;
+        }
+
+        return `${Utils.formatCurrency(promotion.desconto_valor)} OFF`;
+    },
+
+    /**
+     * Formata data ISO (YYYY-MM-DD) como DD/MM/YYYY
+     * @param {string} isoDate - Data
+     * @returns {string} Data formatada
+     */
+    formatDate(isoDate) {
+        if (!isoDate) return '-';
+        const [year, month, day] = isoDate.split('-');
+        return `${day}/${month}/${year}`;
+    },
+
+    /**
+     * Renderiza uma linha da tabela
+     * @param {object} promotion - Dados da promoção
+     * @returns {string} HTML da linha
+     */
+    renderPromotionRow(promotion) {
+        const badge = this.statusBadges[promotion.situacao] || this.statusBadges.inativa;
+
+        return `
+            <tr data-id="${promotion.id}">
+                <td>
+                    <strong>${Utils.escapeHtml(promotion.titulo)}</strong>
+                    ${promotion.descricao
+                        ? `<br><small class="text-muted">${Utils.escapeHtml(Utils.truncate(promotion.descricao, 60))}</small>`
+                        : ''
+                    }
+                </td>
+                <td>
+                    <span class="promotion-type">${this.typeLabels[promotion.tipo] || promotion.tipo}</span>
+                    <br><small>${Utils.escapeHtml(this.getTargetLabel(promotion))}</small>
+                </td>
+                <td><strong class="text-success">${this.getDiscountLabel(promotion)}</strong></td>
+                <td>${this.formatDate(promotion.data_inicio)} a ${this.formatDate(promotion.data_fim)}</td>
+                <td>
+                    <span class="status-badge ${badge.class}">
+                        <i class="fas ${badge.icon}"></i> ${badge.label}
+                    </span>
+                </td>
+                <td>
+                    <div class="table-actions">
+                        <button class="btn-icon-only btn-edit" title="Editar" data-id="${promotion.id}">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn-icon-only btn-toggle" title="${promotion.ativo ? 'Desativar' : 'Ativar'}" data-id="${promotion.id}">
+                            <i class="fas ${promotion.ativo ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
+                        </button>
+                        <button class="btn-icon-only btn-danger btn-delete" title="Excluir" data-id="${promotion.id}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    },
+
+    /**
+     * Configura eventos das linhas da tabela
+     */
+    setupRowEvents() {
+        document.querySelectorAll('#promotions-tbody .btn-edit').forEach(btn => {
+            btn.addEventListener('click', () => this.openModal(parseInt(btn.dataset.id)));
+        });
+
+        document.querySelectorAll('#promotions-tbody .btn-toggle').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleActive(parseInt(btn.dataset.id)));
+        });
+
+        document.querySelectorAll('#promotions-tbody .btn-delete').forEach(btn => {
+            btn.addEventListener('click', () => this.deletePromotion(parseInt(btn.dataset.id)));
+        });
+    },
+
+    /**
+     * Renderiza paginação
+     */
+    renderPagination() {
+        const container = document.getElementById('promotions-pagination');
+        if (!container) return;
+
+        const { page, totalPages, total } = this.data.pagination;
+
+        if (totalPages <= 1) {
+            container.innerHTML = `
+                <span class="pagination-info">${total} promoção(ões)</span>
+            `;
+            return;
+        }
+
+        let html = `
+            <button class="pagination-btn" ${page <= 1 ? 'disabled' : ''} data-page="${page - 1}">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+        `;
+
+        for (let i = 1; i <= totalPages; i++) {
+            html += `
+                <button class="pagination-btn ${i === page ? 'active' : ''}" data-page="${i}">
+                    ${i}
+                </button>
+            `;
+        }
+
+        html += `
+            <button class="pagination-btn" ${page >= totalPages ? 'disabled' : ''} data-page="${page + 1}">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+            <span class="pagination-info">${total} promoção(ões)</span>
+        `;
+
+        container.innerHTML = html;
+
+        container.querySelectorAll('.pagination-btn[data-page]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (!btn.disabled) {
+                    this.data.pagination.page = parseInt(btn.dataset.page);
+                    this.loadPromotions();
+                }
+            });
+        });
+    },
+
+    /**
+     * Monta opções do select de alvo conforme o tipo
+     * @param {string} tipo - Tipo da promoção
+     * @param {number|null} selectedId - ID selecionado
+     * @returns {string} HTML das opções
+     */
+    renderTargetOptions(tipo, selectedId = null) {
+        const lists = {
+            produto: this.data.products,
+            servico: this.data.services,
+            categoria: this.data.categories
+        };
+
+        const items = lists[tipo] || [];
+
+        return `
+            <option value="">Selecione...</option>
+            ${items.map(item => `
+                <option value="${item.id}" ${item.id === selectedId ? 'selected' : ''}>
+                    ${Utils.escapeHtml(item.codigo ? `${item.codigo} - ${item.nome}` : item.nome)}
+                </option>
+            `).join('')}
+        `;
+    },
+
+    /**
+     * Abre formulário de criação/edição
+     * @param {number|null} id - ID da promoção (null para nova)
+     */
+    async openModal(id = null) {
+        let promotion = null;
+
+        try {
+            await this.loadTargets();
+
+            if (id) {
+                const response = await API.promotions.getById(id);
+                promotion = response.data;
+            }
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao carregar dados da promoção');
+            return;
+        }
+
+        const tipo = promotion?.tipo || 'produto';
+        const targetId = promotion
+            ? (promotion.produto_id || promotion.servico_id || promotion.categoria_id)
+            : null;
+        const isPercent = !promotion || parseFloat(promotion.desconto_percentual) > 0;
+        const today = new Date().toISOString().slice(0, 10);
+
+        const content = `
+            <form id="promotion-form">
+                <div class="form-group">
+                    <label for="promotion-title">Título *</label>
+                    <input type="text" id="promotion-title" class="form-control" maxlength="200"
+                        value="${Utils.escapeHtml(promotion?.titulo || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="promotion-description">Descrição</label>
+                    <textarea id="promotion-description" class="form-control" rows="2">${Utils.escapeHtml(promotion?.descricao || '')}</textarea>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="promotion-type">Aplica-se a *</label>
+                        <select id="promotion-type" class="form-control">
+                            ${Object.entries(this.typeLabels).map(([value, label]) => `
+                                <option value="${value}" ${value === tipo ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group" id="promotion-target-group">
+                        <label for="promotion-target">Item *</label>
+                        <select id="promotion-target" class="form-control">
+                            ${this.renderTargetOptions(tipo, targetId)}
+                        </select>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="promotion-discount-type">Desconto *</label>
+                        <select id="promotion-discount-type" class="form-control">
+                            <option value="percentual" ${isPercent ? 'selected' : ''}>Percentual (%)</option>
+                            <option value="valor" ${!isPercent ? 'selected' : ''}>Valor fixo (R$)</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="promotion-discount">Valor *</label>
+                        <input type="number" id="promotion-discount" class="form-control" min="0" step="0.01"
+                            value="${promotion ? (isPercent ? promotion.desconto_percentual : promotion.desconto_valor) : ''}">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="promotion-start">Início *</label>
+                        <input type="date" id="promotion-start" class="form-control" value="${promotion?.data_inicio || today}">
+                    </div>
+                    <div class="form-group">
+                        <label for="promotion-end">Fim *</label>
+                        <input type="date" id="promotion-end" class="form-control" value="${promotion?.data_fim || ''}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="promotion-active" ${!promotion || promotion.ativo ? 'checked' : ''}>
+                        Promoção ativa
+                    </label>
+                </div>
+            </form>
+        `;
+
+        // Troca a lista de itens conforme o tipo escolhido
+        setTimeout(() => {
+            const typeSelect = document.getElementById('promotion-type');
+            const updateTarget = () => {
+                const group = document.getElementById('promotion-target-group');
+                const select = document.getElementById('promotion-target');
+                if (!group || !select) return;
+
+                group.style.display = typeSelect.value === 'geral' ? 'none' : '';
+                select.innerHTML = this.renderTargetOptions(typeSelect.value);
+            };
+
+            typeSelect?.addEventListener('change', updateTarget);
+
+            if (tipo === 'geral') {
+                document.getElementById('promotion-target-group').style.display = 'none';
+            }
+        }, 50);
+
+        await Modal.prompt(promotion ? 'Editar Promoção' : 'Nova Promoção', content, {
+            confirmText: promotion ? 'Salvar' : 'Criar',
+            onConfirm: async () => {
+                const data = this.getFormData();
+
+                if (!data) return false;
+
+                try {
+                    const response = promotion
+                        ? await API.promotions.update(promotion.id, data)
+                        : await API.promotions.create(data);
+
+                    if (response.success) {
+                        Toast.success(promotion ? 'Promoção atualizada!' : 'Promoção criada!');
+                        this.loadPromotions();
+                        return true;
+                    }
+                } catch (error) {
+                    Toast.error(error.message || 'Erro ao salvar promoção');
+                    return false;
+                }
+            }
+        });
+    },
+
+    /**
+     * Lê e valida os dados do formulário
+     * @returns {object|null} Dados da promoção ou null se inválido
+     */
+    getFormData() {
+        const tipo = document.getElementById('promotion-type').value;
+        const targetId = parseInt(document.getElementById('promotion-target').value) || null;
+        const discountType = document.getElementById('promotion-discount-type').value;
+        const discount = parseFloat(document.getElementById('promotion-discount').value);
+
+        const data = {
+            titulo: document.getElementById('promotion-title').value.trim(),
+            descricao: document.getElementById('promotion-description').value.trim() || null,
+            tipo,
+            produto_id: tipo === 'produto' ? targetId : null,
+            servico_id: tipo === 'servico' ? targetId : null,
+            categoria_id: tipo === 'categoria' ? targetId : null,
+            desconto_percentual: discountType === 'percentual' ? discount : null,
+            desconto_valor: discountType === 'valor' ? discount : null,
+            data_inicio: document.getElementById('promotion-start').value,
+            data_fim: document.getElementById('promotion-end').value,
+            ativo: document.getElementById('promotion-active').checked
+        };
+
+        if (!data.titulo) {
+            Toast.error('Título é obrigatório');
+            return null;
+        }
+
+        if (tipo !== 'geral' && !targetId) {
+            Toast.error('Selecione o item da promoção');
+            return null;
+        }
+
+        if (!(discount > 0) || (discountType === 'percentual' && discount > 100)) {
+            Toast.error('Informe um desconto válido');
+            return null;
+        }
+
+        if (!data.data_inicio || !data.data_fim) {
+            Toast.error('Informe o período da promoção');
+            return null;
+        }
+
+        if (data.data_fim < data.data_inicio) {
+            Toast.error('A data final deve ser igual ou posterior à inicial');
+            return null;
+        }
+
+        return data;
+    },
+
+    /**
+     * Ativa/desativa promoção
+     * @param {number} id - ID da promoção
+     */
+    async toggleActive(id) {
+        try {
+            const response = await API.promotions.toggleActive(id);
+
+            if (response.success) {
+                Toast.success(response.message);
+                this.loadPromotions();
+            }
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao alterar status');
+        }
+    },
+
+    /**
+     * Exclui promoção
+     * @param {number} id - ID da promoção
+     */
+    async deletePromotion(id) {
+        const promotion = this.data.promotions.find(p => p.id === id);
+        const title = promotion?.titulo || 'esta promoção';
+
+        const confirmed = await Modal.confirm(
+            'Excluir Promoção',
+            `Tem certeza que deseja excluir "${Utils.escapeHtml(title)}"?<br><small class="text-muted">Esta ação não pode ser desfeita.</small>`
+        );
+
+        if (!confirmed) return;
+
+        try {
+            const response = await API.promotions.delete(id);
+
+            if (response.success) {
+                Toast.success('Promoção excluída!');
+                this.loadPromotions();
+            }
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao excluir promoção');
+        }
+    },
+
+    /**
+     * Configura event listeners gerais
+     */
+    setupEventListeners() {
+        document.getElementById('btn-add-promotion')?.addEventListener('click', () => this.openModal());
+
+        const searchInput = document.getElementById('promotions-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.filters.search = e.target.value;
+                this.data.pagination.page = 1;
+                this.loadPromotions();
+            }, 300));
+        }
+
+        const typeFilter = document.getElementById('promotions-type-filter');
+        if (typeFilter) {
+            typeFilter.addEventListener('change', (e) => {
+                this.filters.tipo = e.target.value;
+                this.data.pagination.page = 1;
+                this.loadPromotions();
+            });
+        }
+
+        const statusFilter = document.getElementById('promotions-status-filter');
+        if (statusFilter) {
+            statusFilter.addEventListener('change', (e) => {
+                this.filters.situacao = e.target.value;
+                this.data.pagination.page = 1;
+                this.loadPromotions();
+            });
+        }
+    },
+
+    /**
+     * Cleanup ao sair da página
+     */
+    destroy() {
+        this.data = {
+            promotions: [],
+            products: [],
+            services: [],
+            categories: [],
+            pagination: {
+                page: 1,
+                limit: 20,
+                total: 0,
+                totalPages: 1
+            }
+        };
+        this.filters = {
+            search: '',
+            tipo: '',
+            situacao: ''
+        };
+    }
+};
+
+// Exporta para uso global
+window.Promotions = Promotions;
@@ -0,0 +1,351 @@
+/**
+ * ============================================
+ * HORÁRIO DE FUNCIONAMENTO
+ * Intervalos por dia da semana, fuso horário
+ * e feriados/exceções
+ * ============================================
+ */
+
+const ScheduleEditor = {
+    // Intervalos por dia ({ seg: [{ inicio, fim }] })
+    hours: {},
+
+    // Feriados cadastrados
+    holidays: [],
+
+    // Ordem de exibição (segunda a domingo)
+    days: [
+        { key: 'seg', label: 'Segunda' },
+        { key: 'ter', label: 'Terça' },
+        { key: 'qua', label: 'Quarta' },
+        { key: 'qui', label: 'Quinta' },
+        { key: 'sex', label: 'Sexta' },
+        { key: 'sab', label: 'Sábado' },
+        { key: 'dom', label: 'Domingo' }
+    ],
+
+    /**
+     * Inicializa o editor (chamado pela página de configurações)
+     */
+    async init() {
+        if (!document.getElementById('schedule-days')) return;
+
+        try {
+            await Promise.all([this.loadSchedule(), this.loadHolidays()]);
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('Erro ao carregar horário:', error);
+            Toast.error('Erro ao carregar horário de funcionamento');
+        }
+    },
+
+    /**
+     * Carrega horário semanal
+     */
+    async loadSchedule() {
+        const response = await API.settings.getSchedule();
+
+        this.fillSchedule(response.data);
+    },
+
+    /**
+     * Preenche editor com o horário recebido da API
+     * @param {object} schedule - { horarios, fuso, aberto, proximaAbertura }
+     */
+    fillSchedule(schedule) {
+        this.hours = JSON.parse(JSON.stringify(schedule.horarios));
+        this.days.forEach(({ key }) => {
+            this.hours[key] = this.hours[key] || [];
+        });
+
+        const timezone = document.getElementById('schedule-timezone');
+        if (timezone) timezone.value = schedule.fuso || '';
+
+        const status = document.getElementById('schedule-status');
+        if (status) {
+            status.innerHTML = schedule.aberto
+                ? '<span class="status-badge active">Aberto agora</span>'
+                : `<span class="status-badge inactive">Fechado</span> Abre ${Utils.escapeHtml(schedule.proximaAbertura?.texto || 'em breve')}`;
+        }
+
+        this.renderDays();
+    },
+
+    /**
+     * Carrega feriados
+     */
+    async loadHolidays() {
+        const response = await API.settings.getHolidays();
+
+        this.holidays = response.data || [];
+        this.renderHolidays();
+    },
+
+    /**
+     * Configura eventos
+     */
+    setupEventListeners() {
+        const daysContainer = document.getElementById('schedule-days');
+
+        // Edição dos horários
+        daysContainer.addEventListener('input', (e) => {
+            const { day, index, field } = e.target.dataset;
+            if (!day || !field) return;
+
+            this.hours[day][index][field] = e.target.value;
+        });
+
+        // Adicionar/remover intervalo
+        daysContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-interval-action]');
+            if (!button) return;
+
+            e.preventDefault();
+
+            const { day, index } = button.dataset;
+
+            if (button.dataset.intervalAction === 'add') {
+                const last = this.hours[day][this.hours[day].length - 1];
+                this.hours[day].push({ inicio: last?.fim || '08:00', fim: '18:00' });
+            } else {
+                this.hours[day].splice(index, 1);
+            }
+
+            this.renderDays();
+        });
+
+        document.getElementById('schedule-settings-form')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveSchedule();
+        });
+
+        document.getElementById('btn-schedule-reset')?.addEventListener('click', () => this.resetSchedule());
+        document.getElementById('btn-add-holiday')?.addEventListener('click', () => this.openHolidayForm());
+
+        document.getElementById('holidays-tbody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (!button) return;
+
+            const id = parseInt(button.dataset.id);
+
+            if (button.classList.contains('btn-edit')) {
+                this.openHolidayForm(this.holidays.find(holiday => holiday.id === id));
+            } else if (button.classList.contains('btn-delete')) {
+                this.deleteHoliday(id);
+            }
+        });
+    },
+
+    // ============================================
+    // HORÁRIO SEMANAL
+    // ============================================
+
+    /**
+     * Desenha os dias da semana com seus intervalos
+     */
+    renderDays() {
+        const container = document.getElementById('schedule-days');
+        if (!container) return;
+
+        container.innerHTML = this.days.map(({ key, label }) => {
+            const intervals = this.hours[key];
+
+            return `
+                <div class="schedule-day">
+                    <strong class="schedule-day-label">${label}</strong>
+                    <div class="schedule-intervals">
+                        ${intervals.length === 0 ? '<span class="text-muted">Fechado</span>' : ''}
+                        ${intervals.map((interval, index) => `
+                            <div class="schedule-interval">
+                                <input type="time" class="form-control" value="${interval.inicio}"
+                                    data-day="${key}" data-index="${index}" data-field="inicio">
+                                <span>às</span>
+                                <input type="time" class="form-control" value="${interval.fim}"
+                                    data-day="${key}" data-index="${index}" data-field="fim">
+                                <button class="btn-icon-only btn-danger" title="Remover intervalo"
+                                    data-interval-action="remove" data-day="${key}" data-index="${index}">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <button class="btn-icon-only" title="Adicionar intervalo" data-interval-action="add" data-day="${key}">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Salva horário semanal e fuso
+     */
+    async saveSchedule() {
+        try {
+            const response = await API.settings.updateSchedule({
+                horarios: this.hours,
+                fuso: document.getElementById('schedule-timezone')?.value
+            });
+
+            this.fillSchedule(response.data);
+            Toast.success('Horário de funcionamento salvo!');
+
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao salvar horário');
+        }
+    },
+
+    /**
+     * Restaura horário padrão
+     */
+    async resetSchedule() {
+        const confirmed = await Modal.confirm(
+            'Restaurar horário padrão',
+            'O horário personalizado e o fuso serão descartados. Deseja continuar?'
+        );
+
+        if (!confirmed) return;
+
+        try {
+            const response = await API.settings.resetSchedule();
+
+            this.fillSchedule(response.data);
+            Toast.success('Horário padrão restaurado');
+
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao restaurar horário');
+        }
+    },
+
+    // ============================================
+    // FERIADOS
+    // ============================================
+
+    /**
+     * Desenha tabela de feriados
+     */
+    renderHolidays() {
+        const tbody = document.getElementById('holidays-tbody');
+        if (!tbody) return;
+
+        if (this.holidays.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="text-center text-muted">Nenhum feriado cadastrado</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.holidays.map(holiday => {
+            const [year, month, day] = holiday.data.split('-');
+
+            return `
+                <tr>
+                    <td>${holiday.recorrente ? `${day}/${month} <small class="text-muted">(todo ano)</small>` : `${day}/${month}/${year}`}</td>
+                    <td>${Utils.escapeHtml(holiday.descricao)}</td>
+                    <td>${holiday.fechado ? 'Fechado' : `${holiday.hora_inicio} às ${holiday.hora_fim}`}</td>
+                    <td>
+                        <div class="table-actions">
+                            <button class="btn-icon-only btn-edit" title="Editar" data-id="${holiday.id}">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="btn-icon-only btn-danger btn-delete" title="Excluir" data-id="${holiday.id}">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Abre formulário de feriado (novo ou edição)
+     * @param {object|null} holiday - Feriado em edição
+     */
+    async openHolidayForm(holiday = null) {
+        const content = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Data *</label>
+                    <input type="date" id="holiday-date" class="form-control" value="${holiday?.data || ''}">
+                </div>
+                <div class="form-group">
+                    <label>Descrição *</label>
+                    <input type="text" id="holiday-description" class="form-control" maxlength="100"
+                        value="${Utils.escapeHtml(holiday?.descricao || '')}">
+                </div>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="holiday-recurring" ${holiday?.recorrente ? 'checked' : ''}> Repete todo ano</label>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="holiday-closed" ${!holiday || holiday.fechado ? 'checked' : ''}> Fechado o dia todo</label>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Abre às (horário especial)</label>
+                    <input type="time" id="holiday-start" class="form-control" value="${holiday?.hora_inicio || ''}">
+                </div>
+                <div class="form-group">
+                    <label>Fecha às</label>
+                    <input type="time" id="holiday-end" class="form-control" value="${holiday?.hora_fim || ''}">
+                </div>
+            </div>
+        `;
+
+        await Modal.prompt(holiday ? 'Editar Feriado' : 'Novo Feriado', content, {
+            confirmText: 'Salvar',
+            onConfirm: async () => {
+                const data = {
+                    data: document.getElementById('holiday-date').value,
+                    descricao: document.getElementById('holiday-description').value,
+                    recorrente: document.getElementById('holiday-recurring').checked,
+                    fechado: document.getElementById('holiday-closed').checked,
+                    hora_inicio: document.getElementById('holiday-start').value || null,
+                    hora_fim: document.getElementById('holiday-end').value || null
+                };
+
+                try {
+                    if (holiday) {
+                        await API.settings.updateHoliday(holiday.id, data);
+                    } else {
+                        await API.settings.createHoliday(data);
+                    }
+
+                    Toast.success('Feriado salvo');
+                    await Promise.all([this.loadHolidays(), this.loadSchedule()]);
+                    return true;
+
+                } catch (error) {
+                    Toast.error(error.message || 'Erro ao salvar feriado');
+                    return false;
+                }
+            }
+        });
+    },
+
+    /**
+     * Remove feriado
+     * @param {number} id - ID do feriado
+     */
+    async deleteHoliday(id) {
+        const confirmed = await Modal.confirm('Excluir feriado', 'Tem certeza que deseja excluir esta data?');
+
+        if (!confirmed) return;
+
+        try {
+            await API.settings.deleteHoliday(id);
+
+            Toast.success('Feriado removido');
+            await Promise.all([this.loadHolidays(), this.loadSchedule()]);
+
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao excluir feriado');
+        }
+    }
+};
+
+// Exporta para uso global
+window.ScheduleEditor = ScheduleEditor;
@@ -0,0 +1,395 @@
+/**
+ * ============================================
+ * SIMULADOR DE WHATSAPP
+ * Conversa com o bot como qualquer telefone,
+ * sem rede e sem conta do WhatsApp (canal
+ * simulator). Mostra as respostas, o estado
+ * da sessão e o que a IA decidiu.
+ * ============================================
+ */
+
+const Simulator = {
+    // Telefone da conversa aberta
+    phone: null,
+
+    // Nome do cliente simulado
+    pushName: '',
+
+    // IDs já exibidos (o socket repete o que o envio já devolveu)
+    renderedIds: new Set(),
+
+    sending: false,
+
+    // Handler do socket (removido ao sair da página)
+    socketHandler: null,
+
+    // Rótulos das ações de fluxo devolvidas pela IA
+    actionLabels: {
+        request_human: 'Transferir para atendente',
+        create_quote: 'Iniciar orçamento',
+        schedule_service: 'Iniciar agendamento'
+    },
+
+    /**
+     * Inicializa a página do simulador
+     */
+    async init() {
+        console.log('🧪 Inicializando Simulador...');
+
+        this.phone = null;
+        this.renderedIds = new Set();
+        this.setupEventListeners();
+        this.setupSocketEvents();
+
+        await this.loadConversations();
+    },
+
+    /**
+     * Configura eventos da página
+     */
+    setupEventListeners() {
+        document.getElementById('simulator-contact-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const phone = document.getElementById('simulator-phone').value.replace(/\D/g, '');
+            if (phone.length < 10) {
+                Toast.warning('Informe o telefone com DDD (ex.: 5511999990000)');
+                return;
+            }
+
+            this.openConversation(phone, document.getElementById('simulator-name').value.trim());
+        });
+
+        document.getElementById('simulator-conversations')?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-phone]');
+            if (item) this.openConversation(item.dataset.phone, item.dataset.name || '');
+        });
+
+        document.getElementById('simulator-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendText();
+        });
+
+        document.getElementById('btn-simulator-reset')?.addEventListener('click', () => this.resetConversation());
+        document.getElementById('btn-simulator-attach')?.addEventListener('click', () => {
+            document.getElementById('simulator-file')?.click();
+        });
+        document.getElementById('simulator-file')?.addEventListener('change', (e) => this.sendFile(e.target));
+        document.getElementById('btn-simulator-location')?.addEventListener('click', () => this.sendLocation());
+    },
+
+    /**
+     * Mensagens registradas pelo canal (inclui envios em segundo plano)
+     */
+    setupSocketEvents() {
+        if (typeof Socket === 'undefined') return;
+
+        this.socketHandler = (data) => {
+            if (data.phone === this.phone) {
+                this.appendMessage(data);
+            }
+        };
+
+        Socket.on('simulator:message', this.socketHandler);
+    },
+
+    /**
+     * Carrega status do canal e conversas simuladas
+     */
+    async loadConversations() {
+        try {
+            const response = await API.simulator.get();
+            const { status, conversations } = response.data;
+
+            document.getElementById('simulator-status').innerHTML =
+                `<i class="fas fa-circle text-success"></i> Canal simulado ativo (aparelho ${Utils.escapeHtml(status.phoneNumber)})`;
+
+            this.renderConversations(conversations);
+        } catch (error) {
+            this.showDisabled(error.message);
+        }
+    },
+
+    /**
+     * Canal simulado desligado: explica como ativar
+     * @param {string} message - Mensagem do servidor
+     */
+    showDisabled(message) {
+        const layout = document.getElementById('simulator-layout');
+        if (!layout) return;
+
+        document.getElementById('simulator-status').textContent = '';
+        layout.innerHTML = `
+            <div class="chat-placeholder">
+                <i class="fas fa-vial"></i>
+                <p>${Utils.escapeHtml(message || 'Simulador indisponível')}</p>
+                <p class="text-muted">Inicie o bot com <code>WHATSAPP_CANAL=simulator</code> para conversar sem WhatsApp.</p>
+            </div>
+        `;
+    },
+
+    /**
+     * Lista de telefones simulados
+     * @param {array} conversations - [{ phone, pushName, total, lastMessage }]
+     */
+    renderConversations(conversations) {
+        const list = document.getElementById('simulator-conversations');
+        if (!list) return;
+
+        if (conversations.length === 0) {
+            list.innerHTML = '<li class="text-muted">Nenhuma conversa simulada ainda.</li>';
+            return;
+        }
+
+        list.innerHTML = conversations.map(conversation => `
+            <li class="${conversation.phone === this.phone ? 'active' : ''}"
+                data-phone="${Utils.escapeHtml(conversation.phone)}"
+                data-name="${Utils.escapeHtml(conversation.pushName || '')}">
+                <strong>${Utils.escapeHtml(conversation.pushName || conversation.phone)}</strong>
+                <span class="text-muted">${Utils.escapeHtml(Utils.truncate(conversation.lastMessage?.text || '', 40))}</span>
+            </li>
+        `).join('');
+    },
+
+    /**
+     * Abre a conversa de um telefone
+     * @param {string} phone - Telefone
+     * @param {string} pushName - Nome no WhatsApp
+     */
+    async openConversation(phone, pushName = '') {
+        this.phone = phone;
+        this.pushName = pushName;
+        this.renderedIds = new Set();
+
+        document.getElementById('simulator-chat-title').textContent = pushName ? `${pushName} (${phone})` : phone;
+        document.getElementById('simulator-form').classList.remove('disabled');
+        document.getElementById('btn-simulator-reset').disabled = false;
+
+        const container = document.getElementById('simulator-messages');
+        container.innerHTML = '';
+
+        try {
+            const response = await API.simulator.getConversation(phone);
+            const { messages, session } = response.data;
+
+            if (!this.pushName && response.data.pushName) {
+                this.pushName = response.data.pushName;
+            }
+
+            if (messages.length === 0) {
+                container.innerHTML = `
+                    <div class="chat-placeholder">
+                        <i class="fas fa-vial"></i>
+                        <p>Escreva como se fosse o cliente.<br>Nada é enviado pelo WhatsApp.</p>
+                    </div>
+                `;
+            }
+
+            messages.forEach(message => this.appendMessage(message));
+            this.renderSession(session);
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao abrir conversa simulada');
+        }
+
+        document.getElementById('simulator-input')?.focus();
+        this.loadConversations();
+    },
+
+    /**
+     * Adiciona mensagem ao chat (ignora as já exibidas)
+     * @param {object} message - Mensagem registrada pelo canal
+     */
+    appendMessage(message) {
+        const container = document.getElementById('simulator-messages');
+        if (!container || this.renderedIds.has(message.id)) return;
+
+        this.renderedIds.add(message.id);
+        container.querySelector('.chat-placeholder')?.remove();
+
+        const time = new Date(message.timestamp).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+
+        container.insertAdjacentHTML('beforeend', `
+            <div class="message ${message.direction === 'in' ? 'incoming' : 'outgoing'}">
+                ${this.renderAttachment(message)}
+                ${message.text ? `<div class="message-text">${Conversations.processMessageText(message.text)}</div>` : ''}
+                <div class="message-time">${time}</div>
+            </div>
+        `);
+
+        container.scrollTop = container.scrollHeight;
+    },
+
+    /**
+     * Mídia, localização ou contato da mensagem
+     * @param {object} message - Mensagem registrada
+     * @returns {string} HTML
+     */
+    renderAttachment(message) {
+        const icons = { image: 'fa-image', video: 'fa-video', audio: 'fa-microphone', document: 'fa-file' };
+
+        if (message.media) {
+            const name = message.media.fileName || message.media.url || message.media.type;
+            const size = message.media.size ? ` · ${Utils.formatBytes(message.media.size)}` : '';
+            return `<div class="simulator-attachment"><i class="fas ${icons[message.media.type] || 'fa-paperclip'}"></i> ${Utils.escapeHtml(name)}${size}</div>`;
+        }
+
+        if (message.location) {
+            return `<div class="simulator-attachment"><i class="fas fa-map-marker-alt"></i> ${message.location.latitude}, ${message.location.longitude}</div>`;
+        }
+
+        if (message.contact) {
+            return `<div class="simulator-attachment"><i class="fas fa-address-card"></i> ${Utils.escapeHtml(message.contact.phone || '')}</div>`;
+        }
+
+        return '';
+    },
+
+    /**
+     * Estado da sessão e decisão da IA na última mensagem
+     * @param {object} session - { state, data }
+     * @param {object} result - { usedAI, action, toolsUsed }
+     */
+    renderSession(session, result = null) {
+        const info = document.getElementById('simulator-session');
+        if (!info) return;
+
+        const parts = [`<strong>${Utils.escapeHtml(session.state)}</strong>`];
+
+        if (result) {
+            parts.push(result.usedAI ? '<i class="fas fa-brain"></i> IA' : '<i class="fas fa-list"></i> Menu');
+            if (result.toolsUsed?.length) parts.push(`<i class="fas fa-tools"></i> ${Utils.escapeHtml(result.toolsUsed.join(', '))}`);
+            if (result.action) parts.push(`<i class="fas fa-share"></i> ${this.actionLabels[result.action] || Utils.escapeHtml(result.action)}`);
+        }
+
+        info.innerHTML = parts.join(' · ');
+        info.title = JSON.stringify(session.data || {}, null, 2);
+    },
+
+    /**
+     * Envia ao bot como o cliente
+     * @param {object} payload - { text, media, location }
+     */
+    async send(payload) {
+        if (!this.phone || this.sending) return;
+
+        this.sending = true;
+
+        try {
+            const response = await API.simulator.send({
+                phone: this.phone,
+                pushName: this.pushName || undefined,
+                ...payload
+            });
+
+            const result = response.data;
+
+            this.appendMessage(result.message);
+            result.replies.forEach(reply => this.appendMessage(reply));
+            this.renderSession(result.session, result);
+            this.loadConversations();
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao enviar mensagem simulada');
+        } finally {
+            this.sending = false;
+        }
+    },
+
+    /**
+     * Envia o texto digitado
+     */
+    async sendText() {
+        const input = document.getElementById('simulator-input');
+        const text = input?.value.trim();
+
+        if (!text) return;
+
+        input.value = '';
+        await this.send({ text });
+        input.focus();
+    },
+
+    /**
+     * Envia arquivo escolhido (foto, áudio, vídeo ou documento)
+     * @param {HTMLInputElement} fileInput - Campo de arquivo
+     */
+    async sendFile(fileInput) {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+
+        if (!file) return;
+
+        const type = ['image', 'video', 'audio'].find(prefix => file.type.startsWith(`${prefix}/`)) || 'document';
+        const caption = document.getElementById('simulator-input').value.trim();
+        document.getElementById('simulator-input').value = '';
+
+        const data = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+
+        await this.send({
+            media: { type, data, mimetype: file.type, fileName: file.name, caption }
+        });
+    },
+
+    /**
+     * Envia localização informada
+     */
+    async sendLocation() {
+        if (!this.phone) return;
+
+        const content = `
+            <div class="form-group">
+                <label>Latitude, longitude</label>
+                <input type="text" id="simulator-location" class="form-control" value="-23.5505, -46.6333">
+            </div>
+        `;
+
+        const value = await Modal.prompt('Enviar Localização', content, {
+            confirmText: 'Enviar',
+            getValue: () => document.getElementById('simulator-location').value
+        });
+
+        if (!value) return;
+
+        const [latitude, longitude] = value.split(',').map(part => parseFloat(part));
+        if (isNaN(latitude) || isNaN(longitude)) {
+            Toast.warning('Localização inválida');
+            return;
+        }
+
+        await this.send({ location: { latitude, longitude } });
+    },
+
+    /**
+     * Apaga a conversa simulada e a sessão do bot
+     */
+    async resetConversation() {
+        if (!this.phone) return;
+
+        try {
+            await API.simulator.reset(this.phone);
+            Toast.success('Conversa reiniciada');
+            await this.openConversation(this.phone, this.pushName);
+        } catch (error) {
+            Toast.error(error.message || 'Erro ao reiniciar conversa');
+        }
+    },
+
+    /**
+     * Destrói a página (cleanup)
+     */
+    destroy() {
+        if (this.socketHandler && typeof Socket !== 'undefined') {
+            Socket.off('simulator:message', this.socketHandler);
+        }
+
+        this.socketHandler = null;
+        this.phone = null;
+    }
+};
+
+// Exporta para uso global
+window.Simulator = Simulator;
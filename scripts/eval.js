@@ -0,0 +1,521 @@
+/**
+ * ============================================
+ * AVALIAÇÃO OFFLINE DO BOT (REGRESSÃO)
+ * ============================================
+ *
+ * Reproduz as conversas das suítes (eval/suites)
+ * pelo messageHandler.handleMessage, com um banco
+ * de teste recriado a partir das migrations e o
+ * provedor de IA mock, e confere intenção, estado,
+ * ação e resposta de cada mensagem.
+ *
+ * Execute antes do deploy:
+ *   npm run eval
+ *   npm run eval -- eval/suites/menu.js --filtro busca
+ *   npm run eval -- --relatorio logs/avaliacao.json
+ *
+ * Opções:
+ *   --filtro <texto>       Só conversas com o texto no nome
+ *   --relatorio <arquivo>  Grava o relatório em JSON
+ *   --manter-banco         Não apaga o banco de teste no final
+ *   --detalhes             Mostra os logs do bot
+ *
+ * Sai com código 1 se alguma conversa falhar.
+ * Formato das suítes: eval/README.md
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+
+// ============================================
+// CONFIGURAÇÃO
+// ============================================
+
+const args = parseArgs(process.argv.slice(2));
+
+// Banco de teste (recriado a cada execução; nunca o de produção)
+const PRODUCTION_DB = process.env.DB_NAME || 'loja_automotiva';
+const EVAL_DB = process.env.DB_NAME_AVALIACAO || `${PRODUCTION_DB}_avaliacao`;
+
+// Lidos pelos módulos do bot no carregamento: definidos antes do require
+process.env.DB_NAME = EVAL_DB;
+process.env.IA_PROVEDOR = 'mock';
+process.env.IA_MOCK_ROTEIRO = '';
+process.env.LOG_LEVEL = args.verbose ? (process.env.LOG_LEVEL || 'info') : 'error';
+
+const db = require('../src/database/connection');
+const { settings, WEEK_DAYS } = require('../src/config/settings');
+const { detectIntent } = require('../src/utils/helpers');
+const llm = require('../src/services/llm');
+const { createMockProvider } = require('../src/services/llm/mockProvider');
+const aiService = require('../src/services/aiService');
+const whatsappService = require('../src/services/whatsappService');
+const customerService = require('../src/services/customerService');
+const botConfigService = require('../src/services/botConfigService');
+const scheduleService = require('../src/services/scheduleService');
+const messageHandler = require('../src/handlers/messageHandler');
+const menuHandler = require('../src/handlers/menuHandler');
+
+// Pasta padrão das suítes
+const DEFAULT_SUITES = path.join(__dirname, '..', 'eval', 'suites');
+
+// Espera após cada mensagem pelas tarefas em segundo plano (memória, repasse)
+const DEFAULT_SETTLE_MS = 150;
+
+// Telefones das conversas de teste (um por conversa)
+const PHONE_PREFIX = '5500900';
+
+// Mensagens enviadas e notificações do painel na rodada atual
+const sent = [];
+const notifications = [];
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Lê os argumentos da linha de comando
+ * @param {array} argv - Argumentos
+ * @returns {object} { paths, filter, report, keepDb, verbose }
+ */
+function parseArgs(argv) {
+    const options = { paths: [], filter: null, report: null, keepDb: false, verbose: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--filtro') options.filter = (argv[++i] || '').toLowerCase();
+        else if (arg === '--relatorio') options.report = argv[++i] || null;
+        else if (arg === '--manter-banco') options.keepDb = true;
+        else if (arg === '--detalhes') options.verbose = true;
+        else options.paths.push(arg);
+    }
+
+    return options;
+}
+
+/**
+ * Aguarda alguns milissegundos
+ * @param {number} ms - Tempo
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Carrega as suítes (arquivos .js/.json ou pastas)
+ * @param {array} paths - Caminhos informados (vazio = eval/suites)
+ * @returns {array} Suítes { file, name, setup, mock, hours, settleMs, conversations }
+ */
+function loadSuites(paths) {
+    const files = [];
+
+    for (const target of (paths.length > 0 ? paths : [DEFAULT_SUITES])) {
+        const resolved = path.resolve(target);
+
+        if (fs.statSync(resolved).isDirectory()) {
+            fs.readdirSync(resolved)
+                .filter(file => /\.(js|json)$/.test(file))
+                .sort()
+                .forEach(file => files.push(path.join(resolved, file)));
+        } else {
+            files.push(resolved);
+        }
+    }
+
+    return files.map(file => {
+        const suite = require(file);
+
+        if (!Array.isArray(suite.conversations)) {
+            throw new Error(`Suíte sem "conversations": ${file}`);
+        }
+
+        return { name: path.basename(file), ...suite, file };
+    });
+}
+
+/**
+ * Recria o banco de teste com as migrations (tabelas e dados iniciais)
+ */
+async function createDatabase() {
+    if (EVAL_DB === PRODUCTION_DB) {
+        throw new Error(`O banco de teste não pode ser o mesmo da loja (${PRODUCTION_DB})`);
+    }
+
+    const connection = await mysql.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        port: process.env.DB_PORT || 3306,
+        user: process.env.DB_USER || 'root',
+        password: process.env.DB_PASSWORD || '',
+        multipleStatements: true,
+    });
+
+    try {
+        const migrations = fs.readFileSync(path.join(__dirname, '..', 'src', 'database', 'migrations.sql'), 'utf8');
+
+        await connection.query(`DROP DATABASE IF EXISTS \`${EVAL_DB}\``);
+        await connection.query(migrations.replace(/\bloja_automotiva\b/g, EVAL_DB));
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Apaga o banco de teste
+ */
+async function dropDatabase() {
+    const connection = await mysql.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        port: process.env.DB_PORT || 3306,
+        user: process.env.DB_USER || 'root',
+        password: process.env.DB_PASSWORD || '',
+    });
+
+    try {
+        await connection.query(`DROP DATABASE IF EXISTS \`${EVAL_DB}\``);
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Fixa o horário da loja (o resultado não depende da hora da execução)
+ * @param {string} mode - open (aberta o dia todo) ou closed (fechada)
+ */
+function setBusinessHours(mode) {
+    settings.schedule.holidays = [];
+    settings.schedule.hours = Object.fromEntries(
+        WEEK_DAYS.map(day => [day, mode === 'closed' ? [] : [{ inicio: '00:00', fim: '24:00' }]])
+    );
+}
+
+/**
+ * Troca o envio do WhatsApp e as notificações do painel por captura
+ */
+function captureOutput() {
+    whatsappService.sendMessage = async (jid, message) => {
+        sent.push(message);
+        return { success: true };
+    };
+
+    whatsappService.sendNotification = (event, data = {}) => {
+        notifications.push({ event, data });
+    };
+}
+
+// ============================================
+// CONFERÊNCIA DOS RESULTADOS
+// ============================================
+
+/**
+ * Compara valor esperado com o obtido (objetos e listas parciais)
+ * @param {*} expected - Esperado (RegExp confere texto; lista = contém os itens)
+ * @param {*} actual - Obtido
+ * @returns {boolean} Se confere
+ */
+function matchesPartial(expected, actual) {
+    if (expected instanceof RegExp) {
+        return actual !== null && actual !== undefined && expected.test(String(actual));
+    }
+
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && expected.every(item => actual.some(value => matchesPartial(item, value)));
+    }
+
+    if (expected && typeof expected === 'object') {
+        return !!actual && typeof actual === 'object'
+            && Object.keys(expected).every(key => matchesPartial(expected[key], actual[key]));
+    }
+
+    // Colunas DECIMAL chegam como texto ("300.00")
+    if (typeof expected === 'number') {
+        return Number(actual) === expected;
+    }
+
+    return expected === actual;
+}
+
+/**
+ * Confere o texto enviado ao cliente
+ * @param {string|object} expected - Texto esperado ou { contains, notContains, matches, maxLength }
+ * @param {string} text - Mensagens enviadas na rodada
+ * @returns {array} Falhas
+ */
+function checkReply(expected, text) {
+    const rules = typeof expected === 'string' ? { contains: expected } : expected;
+    const lower = text.toLowerCase();
+    const failures = [];
+
+    for (const term of [].concat(rules.contains || [])) {
+        if (!lower.includes(term.toLowerCase())) failures.push(`resposta sem "${term}"`);
+    }
+
+    for (const term of [].concat(rules.notContains || [])) {
+        if (lower.includes(term.toLowerCase())) failures.push(`resposta contém "${term}"`);
+    }
+
+    if (rules.matches) {
+        const regex = rules.matches instanceof RegExp ? rules.matches : new RegExp(rules.matches, 'i');
+        if (!regex.test(text)) failures.push(`resposta não confere com ${regex}`);
+    }
+
+    if (rules.maxLength && text.length > rules.maxLength) {
+        failures.push(`resposta com ${text.length} caracteres (máximo ${rules.maxLength})`);
+    }
+
+    return failures;
+}
+
+/**
+ * Confere a rodada com o esperado
+ * @param {object} expect - { intent, state, action, usedAI, tools, reply, messages, session, customer, notifications }
+ * @param {object} outcome - Resultado da rodada
+ * @returns {array} Falhas (vazio = passou)
+ */
+function checkTurn(expect = {}, outcome) {
+    const failures = [];
+    const { result } = outcome;
+
+    if (!result.success) {
+        failures.push(`erro ao processar: ${result.error}`);
+    }
+
+    if (expect.intent !== undefined && outcome.intent !== expect.intent) {
+        failures.push(`intenção "${outcome.intent}" (esperado "${expect.intent}")`);
+    }
+
+    if (expect.state !== undefined && outcome.session.state !== expect.state) {
+        failures.push(`estado "${outcome.session.state}" (esperado "${expect.state}")`);
+    }
+
+    if (expect.action !== undefined && result.action !== expect.action) {
+        failures.push(`ação "${result.action}" (esperado "${expect.action}")`);
+    }
+
+    if (expect.usedAI !== undefined && !!result.usedAI !== expect.usedAI) {
+        failures.push(expect.usedAI ? 'respondeu sem IA' : 'respondeu com IA');
+    }
+
+    for (const tool of expect.tools || []) {
+        if (!(result.toolsUsed || []).includes(tool)) failures.push(`ferramenta "${tool}" não usada`);
+    }
+
+    if (expect.reply !== undefined) {
+        failures.push(...checkReply(expect.reply, outcome.messages.join('\n')));
+    }
+
+    if (expect.messages !== undefined && outcome.messages.length !== expect.messages) {
+        failures.push(`${outcome.messages.length} mensagem(ns) enviada(s) (esperado ${expect.messages})`);
+    }
+
+    if (expect.session !== undefined && !matchesPartial(expect.session, outcome.session.data)) {
+        failures.push(`sessão não confere: ${JSON.stringify(outcome.session.data)}`);
+    }
+
+    if (expect.customer !== undefined && !matchesPartial(expect.customer, outcome.customer)) {
+        failures.push('cadastro do cliente não confere');
+    }
+
+    for (const event of expect.notifications || []) {
+        if (!outcome.notifications.includes(event)) failures.push(`notificação "${event}" não enviada`);
+    }
+
+    // Roteiro da IA não consumido: a mensagem não passou pela IA como esperado
+    if (outcome.scripted > outcome.llmCalls) {
+        failures.push(`IA chamada ${outcome.llmCalls} vez(es), roteiro com ${outcome.scripted} resposta(s)`);
+    }
+
+    return failures;
+}
+
+// ============================================
+// EXECUÇÃO
+// ============================================
+
+/**
+ * Reproduz uma conversa
+ * @param {object} conversation - { name, pushName, customer, session, hours, turns }
+ * @param {object} suite - Suíte da conversa
+ * @param {string} phone - Telefone do cliente de teste
+ * @returns {object} { name, phone, passed, turns: [{ send, passed, failures, messages }] }
+ */
+async function runConversation(conversation, suite, phone) {
+    const mock = { ...(suite.mock || {}), ...(conversation.mock || {}) };
+    const settleMs = conversation.settleMs || suite.settleMs || DEFAULT_SETTLE_MS;
+    const turns = [];
+
+    // Cliente já cadastrado e sessão inicial (ex.: no meio de um orçamento)
+    if (conversation.customer) {
+        const customer = Object.fromEntries(Object.entries(conversation.customer).map(([key, value]) =>
+            [key, value && typeof value === 'object' ? JSON.stringify(value) : value]
+        ));
+
+        await db.insert('clientes', { telefone: phone, ...customer });
+    }
+
+    if (conversation.session) {
+        await customerService.updateSession(phone, conversation.session.state, conversation.session.data || {});
+    }
+
+    aiService.clearCache();
+
+    for (const turn of conversation.turns) {
+        setBusinessHours(turn.hours || conversation.hours || suite.hours || 'open');
+
+        // Intenção calculada como no estado IDLE (menu atual da sessão)
+        const before = await customerService.getSession(phone);
+        const intent = detectIntent(turn.send, menuHandler.getMenuOptionLimit(before));
+
+        const scripted = turn.llm || [];
+        const provider = createMockProvider({
+            responses: scripted,
+            rules: mock.rules || [],
+            fallback: mock.fallback !== undefined ? mock.fallback : null,
+        });
+        llm.setProvider(provider);
+
+        sent.length = 0;
+        notifications.length = 0;
+
+        const result = await messageHandler.handleMessage({
+            phone,
+            jid: `${phone}@s.whatsapp.net`,
+            text: turn.send,
+            pushName: conversation.pushName || 'Cliente Teste',
+        });
+
+        await sleep(settleMs);
+
+        const outcome = {
+            result,
+            intent,
+            messages: [...sent],
+            notifications: notifications.map(item => item.event),
+            session: await customerService.getSession(phone),
+            customer: await customerService.getCustomerByPhone(phone),
+            llmCalls: provider.calls.length,
+            scripted: scripted.length,
+        };
+
+        const failures = checkTurn(turn.expect, outcome);
+
+        turns.push({
+            send: turn.send,
+            passed: failures.length === 0,
+            failures,
+            messages: outcome.messages,
+            state: outcome.session.state,
+            action: result.action || null,
+        });
+    }
+
+    return {
+        name: conversation.name,
+        phone,
+        passed: turns.every(turn => turn.passed),
+        turns,
+    };
+}
+
+/**
+ * Mostra o resultado da conversa no console
+ * @param {object} report - Retorno de runConversation
+ */
+function printConversation(report) {
+    console.log(`   ${report.passed ? '✅' : '❌'} ${report.name}`);
+
+    if (report.passed) return;
+
+    report.turns.forEach((turn, index) => {
+        if (turn.passed) return;
+
+        console.log(`      ${index + 1}. "${turn.send}"`);
+        turn.failures.forEach(failure => console.log(`         - ${failure}`));
+
+        if (turn.messages.length > 0) {
+            console.log(`         resposta: ${turn.messages.join(' | ').replace(/\s+/g, ' ').substring(0, 200)}`);
+        }
+    });
+}
+
+async function main() {
+    console.log('🧪 Avaliação offline do bot\n');
+
+    const suites = loadSuites(args.paths);
+    const reports = [];
+    let counter = 0;
+
+    await createDatabase();
+    console.log(`🗄️  Banco de teste: ${EVAL_DB}\n`);
+
+    try {
+        await db.initPool();
+        await botConfigService.loadBotConfig();
+        await scheduleService.loadSchedule();
+
+        // Sem análise de sentimento: consumiria as respostas roteirizadas da IA
+        settings.ai.sentiment.enabled = false;
+
+        captureOutput();
+        await messageHandler.initAI();
+
+        for (const suite of suites) {
+            console.log(`📂 ${suite.name}`);
+
+            if (suite.setup) {
+                await db.queryRaw([].concat(suite.setup).join(';\n'));
+            }
+
+            for (const conversation of suite.conversations) {
+                if (args.filter && !conversation.name.toLowerCase().includes(args.filter)) continue;
+
+                const phone = `${PHONE_PREFIX}${String(++counter).padStart(6, '0')}`;
+                const report = await runConversation(conversation, suite, phone);
+
+                printConversation(report);
+                reports.push({ suite: suite.name, ...report });
+            }
+
+            console.log('');
+        }
+    } finally {
+        await db.closePool();
+
+        if (!args.keepDb) {
+            await dropDatabase();
+        }
+    }
+
+    const failed = reports.filter(report => !report.passed);
+
+    console.log('════════════════════════════════════════');
+    console.log(`   ${failed.length === 0 ? '🎉' : '⚠️ '} ${reports.length - failed.length} de ${reports.length} conversa(s) passaram`);
+    console.log('════════════════════════════════════════\n');
+
+    if (args.report) {
+        fs.writeFileSync(args.report, JSON.stringify({
+            executadoEm: new Date().toISOString(),
+            total: reports.length,
+            falhas: failed.length,
+            conversas: reports,
+        }, null, 2));
+        console.log(`📄 Relatório: ${args.report}\n`);
+    }
+
+    return failed.length === 0;
+}
+
+main()
+    .then(passed => process.exit(passed ? 0 : 1))
+    .catch(error => {
+        console.error('❌ Erro:', error.message);
+
+        if (error.code === 'ECONNREFUSED' || error.code === 'ER_ACCESS_DENIED_ERROR') {
+            console.log('\n💡 Dica: verifique DB_HOST, DB_USER e DB_PASSWORD no .env.');
+        }
+
+        process.exit(1);
+    });
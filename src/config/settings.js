@@ -8,6 +8,11 @@
 
 require('dotenv').config();
 
+const path = require('path');
+
+// Dias da semana na ordem de Date.getDay() (0 = domingo)
+const WEEK_DAYS = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sab'];
+
 const settings = {
     // ============================================
     // INFORMAÇÕES DA LOJA
@@ -29,19 +34,220 @@ const settings = {
         messageDelay: 500, // Delay entre mensagens (ms)
     },
 
+    // ============================================
+    // CANAL DO WHATSAPP
+    // ============================================
+    // channel: baileys (WhatsApp Web, conecta pelo QR Code),
+    // meta (API oficial WhatsApp Cloud, recebe pelo webhook
+    // /api/whatsapp/webhook com assinatura conferida) ou
+    // simulator (sem rede: página Simulador e /api/simulator)
+    whatsapp: {
+        channel: process.env.WHATSAPP_CANAL || 'baileys',
+        meta: {
+            token: process.env.WHATSAPP_META_TOKEN || '', // Token permanente do usuário do sistema
+            phoneNumberId: process.env.WHATSAPP_META_NUMERO_ID || '', // ID do número (não é o telefone)
+            appSecret: process.env.WHATSAPP_META_APP_SECRET || '', // Assinatura dos webhooks
+            verifyToken: process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN || 'whatsapp_bot_verify', // Cadastro do webhook
+            apiVersion: process.env.WHATSAPP_META_VERSAO_API || 'v21.0',
+            timeout: 15000, // ms por requisição
+        },
+        simulator: {
+            phoneNumber: '5500000000000', // Número do aparelho simulado
+            maxMessages: 200, // Mensagens guardadas por conversa simulada
+        },
+    },
+
+    // ============================================
+    // INTELIGÊNCIA ARTIFICIAL
+    // ============================================
+    // provider: openai (API da OpenAI), local (servidor compatível
+    // com a API da OpenAI: Ollama, llama.cpp, vLLM) ou mock
+    // (respostas roteirizadas, sem rede)
+    ai: {
+        provider: process.env.IA_PROVEDOR || 'openai',
+        maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 500,
+        temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
+        timeout: parseInt(process.env.IA_TIMEOUT) || 30000, // ms por requisição
+        maxToolRounds: parseInt(process.env.IA_MAX_RODADAS_FERRAMENTAS) || 4, // Chamadas de ferramenta por mensagem
+        openai: {
+            apiKey: process.env.OPENAI_API_KEY || '',
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        },
+        local: {
+            baseURL: process.env.IA_LOCAL_URL || 'http://localhost:11434/v1',
+            apiKey: process.env.IA_LOCAL_CHAVE || '',
+            model: process.env.IA_LOCAL_MODELO || 'llama3.1',
+        },
+        mock: {
+            script: process.env.IA_MOCK_ROTEIRO || '', // Módulo JS com { responses, rules, fallback }
+        },
+        // Índice semântico do catálogo (busca híbrida palavra-chave + vetores)
+        embeddings: {
+            enabled: process.env.IA_BUSCA_SEMANTICA !== 'false',
+            provider: process.env.IA_EMBEDDINGS_PROVEDOR || '', // Vazio = mesmo provedor do chat
+            model: process.env.IA_EMBEDDINGS_MODELO || '', // Vazio = padrão do provedor
+            minScore: parseFloat(process.env.IA_EMBEDDINGS_SCORE_MINIMO) || 0.35,
+            syncDelay: 10, // Segundos entre a alteração no catálogo e a reindexação
+        },
+        // Custo e limites (orçamento e limites também editáveis pelo painel)
+        usage: {
+            monthlyBudget: parseFloat(process.env.IA_ORCAMENTO_MENSAL) || 0, // R$ por mês (0 = sem limite)
+            exchangeRate: parseFloat(process.env.IA_COTACAO_DOLAR) || 5.5, // R$ por US$
+            customerHourlyLimit: parseInt(process.env.IA_LIMITE_CLIENTE_HORA) || 20, // Mensagens com IA
+            customerDailyLimit: parseInt(process.env.IA_LIMITE_CLIENTE_DIA) || 60,
+            // US$ por 1 milhão de tokens (entrada/saída); modelos fora da lista custam 0 (local, mock)
+            prices: {
+                'gpt-4o-mini': { input: 0.15, output: 0.60 },
+                'gpt-4o': { input: 2.50, output: 10.00 },
+                'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+                'gpt-4.1': { input: 2.00, output: 8.00 },
+                'text-embedding-3-small': { input: 0.02, output: 0 },
+                'text-embedding-3-large': { input: 0.13, output: 0 },
+            },
+        },
+        // Sentimento e urgência das mensagens recebidas (prioridade da fila)
+        sentiment: {
+            enabled: process.env.IA_ANALISE_SENTIMENTO !== 'false',
+            minLength: 12, // Mensagens menores (ex.: opções do menu) não são analisadas
+            alertCooldown: parseInt(process.env.IA_ALERTA_URGENCIA_INTERVALO) || 30, // Minutos entre alertas do mesmo cliente
+        },
+        // Memória da conversa: mensagens recentes na íntegra, as antigas viram resumo
+        memory: {
+            recentTurns: parseInt(process.env.IA_MEMORIA_MENSAGENS) || 10, // Mensagens enviadas na íntegra
+            summarizeAfter: parseInt(process.env.IA_MEMORIA_RESUMIR_APOS) || 20, // Mensagens pendentes que disparam o resumo
+            maxAgeDays: parseInt(process.env.IA_MEMORIA_VALIDADE) || 30, // Resumo mais antigo que isso é ignorado
+        },
+    },
+
+    // ============================================
+    // MÍDIA RECEBIDA
+    // ============================================
+    // Fotos, áudios, vídeos e documentos dos clientes ficam
+    // fora de /uploads (pasta pública): o painel lê pela API
+    media: {
+        dir: process.env.MIDIAS_PASTA || path.join(__dirname, '../../storage/midias'),
+        maxSize: (parseInt(process.env.MIDIA_TAMANHO_MAX_MB) || 16) * 1024 * 1024, // Bytes por arquivo
+        types: ['image', 'audio', 'video', 'document', 'sticker'], // Tipos baixados
+    },
+
+    // ============================================
+    // TRANSCRIÇÃO DE ÁUDIO
+    // ============================================
+    // Mensagens de voz viram texto e seguem como se o cliente
+    // tivesse digitado. provider: local (servidor Whisper
+    // compatível com a API da OpenAI, ex.: faster-whisper-server),
+    // openai (usa OPENAI_API_KEY) ou mock. Abaixo da confiança
+    // mínima (ou em outro idioma) o áudio vai para um atendente
+    speech: {
+        enabled: process.env.TRANSCRICAO_ATIVA !== 'false',
+        provider: process.env.TRANSCRICAO_PROVEDOR || 'local',
+        language: process.env.TRANSCRICAO_IDIOMA ?? 'pt', // Idioma esperado (vazio = aceita qualquer)
+        minConfidence: parseFloat(process.env.TRANSCRICAO_CONFIANCA_MINIMA) || 0.6, // 0 a 1
+        prompt: 'Conversa com loja de autopeças: peças, marcas, modelos de carro, placas e orçamentos.',
+        timeout: parseInt(process.env.TRANSCRICAO_TIMEOUT) || 60000, // ms por áudio
+        local: {
+            baseURL: process.env.TRANSCRICAO_LOCAL_URL || 'http://localhost:8000/v1',
+            apiKey: process.env.TRANSCRICAO_LOCAL_CHAVE || '',
+            model: process.env.TRANSCRICAO_LOCAL_MODELO || 'Systran/faster-whisper-small',
+        },
+        openai: {
+            model: process.env.TRANSCRICAO_OPENAI_MODELO || 'whisper-1',
+        },
+        mock: {
+            script: process.env.TRANSCRICAO_MOCK_ROTEIRO || '', // Módulo JS com { responses, language, confidence }
+        },
+    },
+
+    // ============================================
+    // IDENTIFICAÇÃO DE PEÇAS POR FOTO
+    // ============================================
+    // Foto sem legenda passa pelo OCR (códigos e marcas impressos,
+    // conferidos com produtos.codigo e produtos.marca) e, com um
+    // modelo com visão configurado, pela IA (tipo da peça).
+    // ocr.provider: tesseract (local) ou mock
+    recognition: {
+        enabled: process.env.RECONHECIMENTO_FOTOS !== 'false',
+        visionModel: process.env.IA_VISAO_MODELO || '', // Vazio = sem IA (ex.: gpt-4o-mini, llama3.2-vision)
+        minConfidence: parseFloat(process.env.IA_VISAO_CONFIANCA_MINIMA) || 0.5, // 0 a 1; abaixo disso a resposta da IA é ignorada
+        ocr: {
+            provider: process.env.OCR_PROVEDOR || 'tesseract',
+            command: process.env.OCR_TESSERACT_CMD || 'tesseract',
+            languages: process.env.OCR_IDIOMAS || 'por+eng',
+            timeout: parseInt(process.env.OCR_TIMEOUT) || 20000, // ms por foto
+            mockScript: process.env.OCR_MOCK_ROTEIRO || '', // Módulo JS com { responses }
+        },
+    },
+
     // ============================================
     // HORÁRIO DE FUNCIONAMENTO
     // ============================================
+    // startTime/endTime/workDays são o resumo usado nas mensagens;
+    // os intervalos reais por dia ficam em hours (editáveis pelo painel)
     schedule: {
         startTime: process.env.HORARIO_INICIO || '08:00',
         endTime: process.env.HORARIO_FIM || '18:00',
         workDays: (process.env.DIAS_FUNCIONAMENTO || 'seg,ter,qua,qui,sex,sab').split(','),
-        timezone: 'America/Sao_Paulo',
+        timezone: process.env.FUSO_HORARIO || 'America/Sao_Paulo',
+        hours: {}, // { seg: [{ inicio: '08:00', fim: '12:00' }, ...], dom: [] }
+        holidays: [], // Feriados e exceções (tabela feriados)
+    },
+
+    // ============================================
+    // AGENDAMENTO DE SERVIÇOS
+    // ============================================
+    appointments: {
+        slotInterval: parseInt(process.env.AGENDAMENTO_INTERVALO) || 30, // Minutos entre horários
+        simultaneous: parseInt(process.env.AGENDAMENTO_SIMULTANEOS) || 1, // Boxes atendendo ao mesmo tempo
+        daysAhead: parseInt(process.env.AGENDAMENTO_DIAS) || 14, // Dias disponíveis para agendar
+        defaultDuration: 60, // Duração quando o serviço não informa (minutos)
+        reminderHours: (process.env.AGENDAMENTO_LEMBRETES || '24,2').split(',').map(Number).filter(Boolean), // Horas de antecedência dos lembretes
+        noShowTolerance: parseInt(process.env.AGENDAMENTO_TOLERANCIA) || 30, // Minutos até marcar não comparecimento
+        reminderReplyHours: parseInt(process.env.AGENDAMENTO_JANELA_RESPOSTA) || 6, // Horas após o lembrete em que "confirmar"/"cancelar" sozinhos valem
+    },
+
+    // ============================================
+    // TAREFAS AGENDADAS
+    // ============================================
+    jobs: {
+        pollInterval: 60 * 1000, // Intervalo de verificação (ms)
+        batchSize: 20, // Tarefas processadas por ciclo
+        maxAttempts: 5, // Tentativas antes de marcar erro
+        retryDelay: 5, // Minutos entre tentativas (multiplicado pela tentativa)
+    },
+
+    // ============================================
+    // RETORNOS (CONTATOS FORA DO HORÁRIO)
+    // ============================================
+    callbacks: {
+        autoFollowUp: process.env.RETORNO_AUTOMATICO === 'true', // Pergunta na abertura se o cliente ainda precisa de ajuda
+        followUpDelay: parseInt(process.env.RETORNO_ATRASO) || 15, // Minutos após a abertura para enviar
+        maxMessages: 10, // Mensagens guardadas por retorno
+    },
+
+    // ============================================
+    // MENU PRINCIPAL
+    // ============================================
+    // Árvore de opções: cada opção tem um rótulo e uma
+    // ação (acao); "submenu" abre outra lista de opções.
+    // Valor padrão, editável pelo painel (ver botConfigService).
+    menu: {
+        titulo: 'Menu Principal',
+        rodape: '💡 _Ou digite diretamente o nome da peça que procura_',
+        opcoes: [
+            { rotulo: 'Ver peças em estoque', acao: 'product_list' },
+            { rotulo: 'Buscar peça por nome', acao: 'product_search' },
+            { rotulo: 'Buscar por veículo', acao: 'vehicle_search' },
+            { rotulo: 'Promoções do dia', acao: 'promotions' },
+            { rotulo: 'Horário de funcionamento', acao: 'store_hours' },
+            { rotulo: 'Falar com atendente', acao: 'human' },
+        ],
     },
 
     // ============================================
     // MENSAGENS DO BOT
     // ============================================
+    // Valores padrão: o texto salvo no painel (tabela
+    // configuracoes) substitui estes ao carregar.
     messages: {
         // Saudação inicial
         welcome: `🚗 *Olá! Bem-vindo à {storeName}!*
@@ -50,20 +256,6 @@ Sou o *{botName}*, seu assistente virtual.
 
 Como posso ajudar você hoje?`,
 
-        // Menu principal
-        mainMenu: `📋 *Menu Principal*
-
-Digite o número da opção desejada:
-
-1️⃣ - Ver peças em estoque
-2️⃣ - Buscar peça por nome
-3️⃣ - Buscar por veículo
-4️⃣ - Promoções do dia
-5️⃣ - Horário de funcionamento
-6️⃣ - Falar com atendente
-
-💡 _Ou digite diretamente o nome da peça que procura_`,
-
         // Mensagem de opção inválida
         invalidOption: `❌ Desculpe, não entendi sua mensagem.
 
@@ -72,12 +264,23 @@ Digite *menu* para ver as opções disponíveis.`,
         // Mensagem fora do horário
         outsideHours: `⏰ *Estamos fora do horário de atendimento*
 
+🔓 Voltamos a atender *{nextOpening}*.
+
 Nosso horário de funcionamento:
-🕗 {startTime} às {endTime}
-📅 {workDays}
+{weeklyHours}
 
 Deixe sua mensagem que responderemos assim que possível!`,
 
+        // Contato registrado para retorno (fora do horário)
+        callbackRegistered: `📝 Anotamos seu contato! Nossa equipe vai te responder *{nextOpening}*.`,
+
+        // Retorno automático na abertura da loja
+        callbackFollowUp: `☀️ Olá, {customerName}! Já estamos abertos.
+
+Você nos chamou fora do horário de atendimento. Ainda precisa de ajuda?
+
+Responda sua dúvida ou digite *menu* para ver as opções.`,
+
         // Nenhum produto encontrado
         noProductsFound: `😕 *Nenhum produto encontrado*
 
@@ -130,10 +333,7 @@ Enquanto isso, pode me dizer mais sobre o que precisa?`,
 📍 *{storeName}*
 
 ⏰ *Horário:*
-{startTime} às {endTime}
-
-📅 *Dias:*
-{workDays}
+{weeklyHours}
 
 📍 *Endereço:*
 {address}
@@ -170,23 +370,63 @@ Digite o *modelo do veículo*:
 
 _Exemplo: Gol G5, Civic 2020, HB20 1.0_`,
 
+        // Foto recebida sem legenda
+        photoReceived: `📷 *Recebi sua foto!*
+
+Para eu encontrar a peça, me diga o *nome* ou o *código* dela e o *veículo* (modelo e ano).
+
+Se preferir, digite *atendente* para falar com uma pessoa.`,
+
+        // Áudio recebido
+        audioReceived: `🎤 *Recebi seu áudio!*
+
+Ainda não consigo ouvir áudios por aqui. Pode escrever o que precisa?
+
+Se preferir, digite *atendente* para falar com uma pessoa.`,
+
+        // Vídeo, documento ou figurinha recebidos
+        fileReceived: `📎 *Arquivo recebido!*
+
+Ele fica registrado para a nossa equipe. Como posso ajudar?`,
+
+        // Localização recebida
+        locationReceived: `📍 *Localização recebida!*
+
+Ela fica registrada para a entrega. Como posso ajudar?`,
+
+        // Arquivo acima do limite
+        mediaTooLarge: `⚠️ *Arquivo muito grande*
+
+Só consigo receber arquivos de até *{maxSize}*. Pode enviar uma versão menor?`,
+
+        // Peça reconhecida na foto (antes do resultado da busca)
+        partIdentified: `🔎 *Identifiquei na sua foto:* {part}`,
+
+        // Áudio com transcrição ruim (segue para a fila de atendimento)
+        audioUnclear: `🎤 *Não entendi bem seu áudio*
+
+Vou pedir para um atendente ouvir.`,
+
         // Erro genérico
         error: `⚠️ *Ops! Ocorreu um erro*
 
 Por favor, tente novamente em alguns instantes.
 
-Se o problema persistir, digite *6* para falar com um atendente.`,
+Se o problema persistir, digite *atendente* para falar com uma pessoa.`,
     },
 
     // ============================================
     // PALAVRAS-CHAVE PARA GATILHOS
     // ============================================
+    // Também editáveis pelo painel (ver botConfigService)
     triggers: {
         greetings: ['oi', 'olá', 'ola', 'hey', 'hello', 'bom dia', 'boa tarde', 'boa noite', 'e aí', 'eai', 'opa'],
         menu: ['menu', 'opcoes', 'opções', 'ajuda', 'help', 'inicio', 'início', 'voltar'],
         thanks: ['obrigado', 'obrigada', 'valeu', 'agradeço', 'thanks', 'vlw', 'tmj'],
         goodbye: ['tchau', 'bye', 'até mais', 'ate mais', 'flw', 'falou'],
         human: ['atendente', 'humano', 'pessoa', 'falar com alguém', 'falar com alguem'],
+        quote: ['orcamento', 'orçamento', 'cotacao', 'cotação'],
+        schedule: ['agendar', 'agendamento', 'marcar horario', 'marcar horário'],
     },
 
     // ============================================
@@ -198,6 +438,8 @@ Se o problema persistir, digite *6* para falar com um atendente.`,
         WAITING_VEHICLE: 'waiting_vehicle',
         WAITING_HUMAN: 'waiting_human',
         IN_ATTENDANCE: 'in_attendance',
+        BUILDING_QUOTE: 'building_quote',
+        BOOKING_APPOINTMENT: 'booking_appointment',
     },
 
     // ============================================
@@ -225,6 +467,7 @@ function formatMessage(template, data = {}) {
         startTime: settings.schedule.startTime,
         endTime: settings.schedule.endTime,
         workDays: formatWorkDays(settings.schedule.workDays),
+        weeklyHours: formatWeeklyHours(settings.schedule.hours),
         address: settings.store.address || 'Não informado',
         instagram: settings.store.instagram || 'Não informado',
     };
@@ -260,8 +503,73 @@ function formatWorkDays(days) {
     return days.map(day => dayNames[day] || day).join(', ');
 }
 
+/**
+ * Formata horário semanal agrupando dias iguais
+ * @param {object} hours - Intervalos por dia ({ seg: [{ inicio, fim }] })
+ * @returns {string} Ex: "Segunda a Sexta: 08:00 às 12:00 e 13:30 às 18:00"
+ */
+function formatWeeklyHours(hours) {
+    const dayNames = {
+        'seg': 'Segunda',
+        'ter': 'Terça',
+        'qua': 'Quarta',
+        'qui': 'Quinta',
+        'sex': 'Sexta',
+        'sab': 'Sábado',
+        'dom': 'Domingo',
+    };
+
+    // Semana começando na segunda
+    const order = [...WEEK_DAYS.slice(1), WEEK_DAYS[0]];
+    const describe = (day) => {
+        const intervals = hours[day] || [];
+        return intervals.length > 0
+            ? intervals.map(interval => `${interval.inicio} às ${interval.fim}`).join(' e ')
+            : 'Fechado';
+    };
+
+    const groups = [];
+
+    order.forEach(day => {
+        const text = describe(day);
+        const last = groups[groups.length - 1];
+
+        if (last && last.text === text) {
+            last.days.push(day);
+        } else {
+            groups.push({ text, days: [day] });
+        }
+    });
+
+    return groups.map(group => {
+        const first = dayNames[group.days[0]];
+        const label = group.days.length === 1
+            ? first
+            : `${first} ${group.days.length === 2 ? 'e' : 'a'} ${dayNames[group.days[group.days.length - 1]]}`;
+
+        return `• ${label}: ${group.text}`;
+    }).join('\n');
+}
+
+/**
+ * Monta intervalos por dia a partir do horário único (padrão do .env)
+ * @returns {object} Intervalos por dia
+ */
+function buildDefaultHours() {
+    const { startTime, endTime, workDays } = settings.schedule;
+
+    return Object.fromEntries(WEEK_DAYS.map(day => [
+        day,
+        workDays.includes(day) ? [{ inicio: startTime, fim: endTime }] : [],
+    ]));
+}
+
+settings.schedule.hours = buildDefaultHours();
+
 module.exports = {
     settings,
+    WEEK_DAYS,
     formatMessage,
     formatWorkDays,
+    formatWeeklyHours,
 };
\ No newline at end of file
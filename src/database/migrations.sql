@@ -137,6 +137,55 @@ CREATE TABLE IF NOT EXISTS servicos (
     FOREIGN KEY (categoria_id) REFERENCES categorias_servicos(id) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================
+-- TABELA: indice_semantico
+-- ============================================
+-- Embeddings de produtos e serviços para a busca
+-- semântica da IA. texto_hash permite reindexar
+-- só o que mudou.
+-- ============================================
+CREATE TABLE IF NOT EXISTS indice_semantico (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    tipo ENUM('produto', 'servico') NOT NULL,
+    referencia_id INT NOT NULL,
+    texto_hash CHAR(40) NOT NULL,
+    modelo VARCHAR(100) NOT NULL,
+    dimensoes INT NOT NULL,
+    vetor JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_item (tipo, referencia_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- TABELA: uso_ia
+-- ============================================
+-- Uma linha por chamada da IA: tokens, custo
+-- estimado (R$), latência, ação escolhida, cache
+-- e erro. Base do orçamento e dos limites.
+-- ============================================
+CREATE TABLE IF NOT EXISTS uso_ia (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    telefone VARCHAR(20),
+    operacao VARCHAR(30) NOT NULL DEFAULT 'conversa',
+    provedor VARCHAR(30),
+    modelo VARCHAR(100),
+    tokens_entrada INT DEFAULT 0,
+    tokens_saida INT DEFAULT 0,
+    tokens_total INT DEFAULT 0,
+    custo_estimado DECIMAL(12,6) DEFAULT 0,
+    latencia_ms INT DEFAULT 0,
+    acao VARCHAR(50),
+    ferramentas VARCHAR(255),
+    cache TINYINT(1) DEFAULT 0,
+    erro TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_created (created_at),
+    INDEX idx_telefone_data (telefone, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================
 -- TABELA: clientes
 -- ============================================
@@ -151,6 +200,8 @@ CREATE TABLE IF NOT EXISTS clientes (
     veiculo VARCHAR(255),
     placa VARCHAR(20),
     ano_veiculo VARCHAR(10),
+    orcamento_max DECIMAL(10,2) NULL COMMENT 'Quanto o cliente disse que pode gastar',
+    interesses JSON COMMENT 'Itens consultados pelo cliente',
     observacoes TEXT,
     total_interacoes INT DEFAULT 0,
     total_compras DECIMAL(10,2) DEFAULT 0.00,
@@ -175,7 +226,6 @@ CREATE TABLE IF NOT EXISTS sessoes (
     telefone VARCHAR(20) NOT NULL UNIQUE,
     estado VARCHAR(50) DEFAULT 'idle',
     dados JSON,
-    contexto_ia JSON COMMENT 'Contexto para a IA manter histórico',
     expira_em TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -185,6 +235,25 @@ CREATE TABLE IF NOT EXISTS sessoes (
     INDEX idx_expira (expira_em)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================
+-- TABELA: memoria_conversas
+-- ============================================
+-- Memória da IA por cliente: resumo das
+-- mensagens antigas e fatos extraídos
+-- ============================================
+CREATE TABLE IF NOT EXISTS memoria_conversas (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    telefone VARCHAR(20) NOT NULL UNIQUE,
+    resumo TEXT COMMENT 'Resumo das mensagens antigas',
+    fatos JSON COMMENT 'Veículo, placa, ano, orçamento e interesses',
+    resumido_ate INT NULL COMMENT 'Última mensagem (conversas.id) incluída no resumo',
+    mensagens_resumidas INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_telefone (telefone)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================
 -- TABELA: conversas
 -- ============================================
@@ -198,17 +267,54 @@ CREATE TABLE IF NOT EXISTS conversas (
     tipo ENUM('entrada', 'saida') NOT NULL,
     origem ENUM('bot', 'ia', 'humano', 'cliente') DEFAULT 'cliente',
     lida TINYINT(1) DEFAULT 0,
+    sentimento ENUM('positivo', 'neutro', 'negativo') NULL COMMENT 'Análise das mensagens de entrada',
+    sentimento_confianca DECIMAL(3,2) NULL,
+    urgencia ENUM('baixa', 'media', 'alta') NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     INDEX idx_cliente (cliente_id),
     INDEX idx_telefone (telefone),
     INDEX idx_tipo (tipo),
     INDEX idx_origem (origem),
+    INDEX idx_sentimento (sentimento),
     INDEX idx_created (created_at),
     
     FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================
+-- TABELA: midias
+-- ============================================
+-- Fotos, áudios, vídeos, documentos e localizações
+-- recebidos dos clientes (arquivo fora da pasta pública)
+-- ============================================
+CREATE TABLE IF NOT EXISTS midias (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversa_id INT NULL,
+    telefone VARCHAR(20) NOT NULL,
+    tipo ENUM('imagem', 'audio', 'video', 'documento', 'figurinha', 'localizacao') NOT NULL,
+    status ENUM('salva', 'grande_demais', 'erro') DEFAULT 'salva',
+    arquivo VARCHAR(255) NULL COMMENT 'Caminho relativo à pasta de mídias',
+    mimetype VARCHAR(100) NULL,
+    nome_original VARCHAR(255) NULL,
+    tamanho INT NULL COMMENT 'Bytes',
+    latitude DECIMAL(10,7) NULL,
+    longitude DECIMAL(10,7) NULL,
+    endereco VARCHAR(255) NULL,
+    transcricao TEXT NULL COMMENT 'Texto da mensagem de voz',
+    transcricao_idioma VARCHAR(10) NULL,
+    transcricao_confianca DECIMAL(3,2) NULL COMMENT '0 a 1',
+    texto_reconhecido TEXT NULL COMMENT 'Texto lido na foto (OCR)',
+    identificacao VARCHAR(255) NULL COMMENT 'Peça identificada na foto',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_conversa (conversa_id),
+    INDEX idx_telefone (telefone),
+    INDEX idx_tipo (tipo),
+    
+    FOREIGN KEY (conversa_id) REFERENCES conversas(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================
 -- TABELA: atendimentos
 -- ============================================
@@ -226,7 +332,8 @@ CREATE TABLE IF NOT EXISTS atendimentos (
     iniciado_em TIMESTAMP NULL,
     finalizado_em TIMESTAMP NULL,
     avaliacao INT,
-    observacoes TEXT,
+    observacoes TEXT COMMENT 'Observações da equipe + resumo do encerramento',
+    nota_repasse JSON COMMENT 'Resumo para o atendente, gerado ao entrar na fila',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
@@ -241,6 +348,68 @@ CREATE TABLE IF NOT EXISTS atendimentos (
     FOREIGN KEY (atendente_id) REFERENCES usuarios(id) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================
+-- TABELA: sugestoes_resposta
+-- ============================================
+-- Rascunhos de resposta oferecidos ao atendente
+-- e qual deles foi enviado (aceitação)
+-- ============================================
+CREATE TABLE IF NOT EXISTS sugestoes_resposta (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    telefone VARCHAR(20) NOT NULL,
+    atendimento_id INT NULL,
+    sugestoes JSON NOT NULL COMMENT 'Rascunhos oferecidos, na ordem exibida',
+    produtos JSON COMMENT 'Produtos encontrados (preço e estoque do momento)',
+    origem ENUM('ia', 'automatico') DEFAULT 'automatico',
+    escolhida TINYINT NULL COMMENT 'Índice do rascunho enviado (NULL = nenhum)',
+    editada TINYINT(1) DEFAULT 0 COMMENT 'Atendente alterou o texto antes de enviar',
+    mensagem_enviada TEXT,
+    atendente VARCHAR(100),
+    enviada_em TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_telefone (telefone),
+    INDEX idx_atendimento (atendimento_id),
+    INDEX idx_created (created_at),
+
+    FOREIGN KEY (atendimento_id) REFERENCES atendimentos(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- TABELA: retornos
+-- ============================================
+-- Contatos feitos fora do horário, para a
+-- equipe retornar na abertura da loja
+-- ============================================
+CREATE TABLE IF NOT EXISTS retornos (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    cliente_id INT,
+    telefone VARCHAR(20) NOT NULL,
+    mensagens JSON,
+    total_mensagens INT DEFAULT 0,
+    estado_bot VARCHAR(50),
+    dados_sessao JSON,
+    prioridade INT DEFAULT 0,
+    status ENUM('pendente', 'em_contato', 'concluido', 'descartado') DEFAULT 'pendente',
+    abertura_em DATETIME,
+    ultima_mensagem_em DATETIME,
+    follow_up_enviado_em DATETIME NULL,
+    atendente_id INT,
+    atendente VARCHAR(100),
+    observacoes TEXT,
+    concluido_em DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_cliente (cliente_id),
+    INDEX idx_telefone (telefone),
+    INDEX idx_status_prioridade (status, prioridade),
+    INDEX idx_created (created_at),
+
+    FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE SET NULL,
+    FOREIGN KEY (atendente_id) REFERENCES usuarios(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================
 -- TABELA: pedidos
 -- ============================================
@@ -331,6 +500,31 @@ CREATE TABLE IF NOT EXISTS agendamentos (
     FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================
+-- TABELA: tarefas_agendadas
+-- ============================================
+-- Fila persistente de tarefas com horário
+-- (lembretes, ausências). Sobrevive a reinícios.
+-- ============================================
+CREATE TABLE IF NOT EXISTS tarefas_agendadas (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    tipo VARCHAR(50) NOT NULL,
+    referencia_id INT NOT NULL,
+    chave VARCHAR(50) NOT NULL DEFAULT '',
+    payload JSON,
+    executar_em DATETIME NOT NULL,
+    status ENUM('pendente', 'processando', 'concluida', 'erro', 'cancelada') DEFAULT 'pendente',
+    tentativas INT DEFAULT 0,
+    ultimo_erro TEXT,
+    executada_em DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_tarefa (tipo, referencia_id, chave),
+    INDEX idx_status_execucao (status, executar_em),
+    INDEX idx_referencia (referencia_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================
 -- TABELA: promocoes
 -- ============================================
@@ -361,6 +555,91 @@ CREATE TABLE IF NOT EXISTS promocoes (
     FOREIGN KEY (servico_id) REFERENCES servicos(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================
+-- TABELA: templates_mensagem
+-- ============================================
+-- Modelos de mensagem com variáveis {placeholder}
+-- (respostas rápidas, campanhas, lembretes)
+-- ============================================
+CREATE TABLE IF NOT EXISTS templates_mensagem (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    nome VARCHAR(100) NOT NULL UNIQUE,
+    categoria ENUM('geral', 'resposta_rapida', 'campanha', 'lembrete') DEFAULT 'geral',
+    conteudo TEXT NOT NULL,
+    ativo TINYINT(1) DEFAULT 1,
+    total_usos INT DEFAULT 0,
+    ultimo_uso TIMESTAMP NULL,
+    criado_por INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_categoria (categoria),
+    INDEX idx_ativo (ativo),
+
+    FOREIGN KEY (criado_por) REFERENCES usuarios(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- TABELA: feriados
+-- ============================================
+-- Feriados e exceções do horário de funcionamento
+-- (fechado o dia todo ou horário especial)
+-- ============================================
+CREATE TABLE IF NOT EXISTS feriados (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    data DATE NOT NULL UNIQUE,
+    descricao VARCHAR(100) NOT NULL,
+    recorrente TINYINT(1) DEFAULT 0,
+    fechado TINYINT(1) DEFAULT 1,
+    hora_inicio TIME NULL,
+    hora_fim TIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_recorrente (recorrente)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- TABELA: base_conhecimento
+-- ============================================
+-- Informações da loja usadas pela IA (perguntas
+-- frequentes, garantia, trocas, pagamento,
+-- entrega). Editadas no painel e aplicadas ao
+-- bot só depois de publicadas.
+-- ============================================
+CREATE TABLE IF NOT EXISTS base_conhecimento (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    categoria ENUM('faq', 'garantia', 'trocas', 'pagamento', 'entrega', 'outro') DEFAULT 'faq',
+    titulo VARCHAR(200) NOT NULL,
+    conteudo TEXT NOT NULL,
+    ordem INT DEFAULT 0,
+    ativo TINYINT(1) DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_categoria (categoria),
+    INDEX idx_ativo (ativo)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- TABELA: ia_publicacoes
+-- ============================================
+-- Versões publicadas da configuração da IA
+-- (persona, regras e base de conhecimento).
+-- O bot usa sempre a mais recente.
+-- ============================================
+CREATE TABLE IF NOT EXISTS ia_publicacoes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    configuracao JSON NOT NULL,
+    observacao VARCHAR(255),
+    publicado_por INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_created (created_at),
+
+    FOREIGN KEY (publicado_por) REFERENCES usuarios(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================
 -- TABELA: configuracoes
 -- ============================================
@@ -427,6 +706,69 @@ CREATE TABLE IF NOT EXISTS importacoes (
     FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================
+-- ATUALIZAÇÃO DE BANCOS JÁ INSTALADOS
+-- ============================================
+-- CREATE TABLE IF NOT EXISTS não mexe em tabelas que
+-- já existem: colunas novas de tabelas antigas entram
+-- aqui. Cada bloco confere a primeira coluna em
+-- information_schema e só roda o ALTER se ela faltar
+-- (pode rodar quantas vezes for preciso, pelo
+-- npm run migrate ou pelo cliente mysql).
+-- ============================================
+
+-- conversas: sentimento e urgência das mensagens recebidas
+SET @existe = (SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'conversas' AND COLUMN_NAME = 'sentimento');
+SET @alteracao = IF(@existe > 0, 'SELECT 1', "ALTER TABLE conversas
+    ADD COLUMN sentimento ENUM('positivo', 'neutro', 'negativo') NULL COMMENT 'Análise das mensagens de entrada' AFTER lida,
+    ADD COLUMN sentimento_confianca DECIMAL(3,2) NULL AFTER sentimento,
+    ADD COLUMN urgencia ENUM('baixa', 'media', 'alta') NULL AFTER sentimento_confianca,
+    ADD INDEX idx_sentimento (sentimento)");
+PREPARE comando FROM @alteracao;
+EXECUTE comando;
+DEALLOCATE PREPARE comando;
+
+-- atendimentos: resumo de repasse para o atendente
+SET @existe = (SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'atendimentos' AND COLUMN_NAME = 'nota_repasse');
+SET @alteracao = IF(@existe > 0, 'SELECT 1', "ALTER TABLE atendimentos
+    ADD COLUMN nota_repasse JSON COMMENT 'Resumo para o atendente, gerado ao entrar na fila' AFTER observacoes");
+PREPARE comando FROM @alteracao;
+EXECUTE comando;
+DEALLOCATE PREPARE comando;
+
+-- clientes: orçamento e interesses informados na conversa
+SET @existe = (SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'clientes' AND COLUMN_NAME = 'orcamento_max');
+SET @alteracao = IF(@existe > 0, 'SELECT 1', "ALTER TABLE clientes
+    ADD COLUMN orcamento_max DECIMAL(10,2) NULL COMMENT 'Quanto o cliente disse que pode gastar' AFTER ano_veiculo,
+    ADD COLUMN interesses JSON COMMENT 'Itens consultados pelo cliente' AFTER orcamento_max");
+PREPARE comando FROM @alteracao;
+EXECUTE comando;
+DEALLOCATE PREPARE comando;
+
+-- midias: transcrição das mensagens de voz
+SET @existe = (SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'midias' AND COLUMN_NAME = 'transcricao');
+SET @alteracao = IF(@existe > 0, 'SELECT 1', "ALTER TABLE midias
+    ADD COLUMN transcricao TEXT NULL COMMENT 'Texto da mensagem de voz' AFTER endereco,
+    ADD COLUMN transcricao_idioma VARCHAR(10) NULL AFTER transcricao,
+    ADD COLUMN transcricao_confianca DECIMAL(3,2) NULL COMMENT '0 a 1' AFTER transcricao_idioma");
+PREPARE comando FROM @alteracao;
+EXECUTE comando;
+DEALLOCATE PREPARE comando;
+
+-- midias: texto lido e peça identificada nas fotos
+SET @existe = (SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'midias' AND COLUMN_NAME = 'texto_reconhecido');
+SET @alteracao = IF(@existe > 0, 'SELECT 1', "ALTER TABLE midias
+    ADD COLUMN texto_reconhecido TEXT NULL COMMENT 'Texto lido na foto (OCR)' AFTER transcricao_confianca,
+    ADD COLUMN identificacao VARCHAR(255) NULL COMMENT 'Peça identificada na foto' AFTER texto_reconhecido");
+PREPARE comando FROM @alteracao;
+EXECUTE comando;
+DEALLOCATE PREPARE comando;
+
 -- ============================================
 -- DADOS INICIAIS: usuário admin
 -- ============================================
@@ -514,24 +856,73 @@ INSERT INTO promocoes (tipo, produto_id, titulo, descricao, desconto_percentual,
 ('produto', 15, 'Troca de Óleo', 'Óleo sintético com preço especial', 20.00, CURDATE(), DATE_ADD(CURDATE(), INTERVAL 15 DAY))
 ON DUPLICATE KEY UPDATE titulo = VALUES(titulo);
 
+-- ============================================
+-- DADOS INICIAIS: templates de mensagem
+-- ============================================
+INSERT IGNORE INTO templates_mensagem (nome, categoria, conteudo) VALUES
+('Peça disponível', 'resposta_rapida', 'Olá, {firstName}! A peça que você procurou já chegou aqui na {storeName}. Quer que a gente separe para você? 😊'),
+('Lembrete de revisão', 'lembrete', 'Olá, {firstName}! Já está na hora da revisão do seu {vehicle}. Agende pelo WhatsApp digitando *agendar*. 🚗'),
+('Promoção do mês', 'campanha', '🔥 {firstName}, temos promoções especiais na {storeName} este mês! Digite *promoções* para conferir.');
+
+-- ============================================
+-- DADOS INICIAIS: feriados nacionais (repetem todo ano)
+-- ============================================
+-- Só na primeira instalação (tabela vazia): feriados editados
+-- ou excluídos no painel não voltam a cada migrate
+INSERT IGNORE INTO feriados (data, descricao, recorrente, fechado)
+SELECT padrao.* FROM (
+    SELECT '2026-01-01' AS data, 'Confraternização Universal' AS descricao, 1 AS recorrente, 1 AS fechado
+    UNION ALL SELECT '2026-04-21', 'Tiradentes', 1, 1
+    UNION ALL SELECT '2026-05-01', 'Dia do Trabalho', 1, 1
+    UNION ALL SELECT '2026-09-07', 'Independência do Brasil', 1, 1
+    UNION ALL SELECT '2026-10-12', 'Nossa Senhora Aparecida', 1, 1
+    UNION ALL SELECT '2026-11-02', 'Finados', 1, 1
+    UNION ALL SELECT '2026-11-15', 'Proclamação da República', 1, 1
+    UNION ALL SELECT '2026-11-20', 'Dia da Consciência Negra', 1, 1
+    UNION ALL SELECT '2026-12-25', 'Natal', 1, 1
+) AS padrao
+WHERE NOT EXISTS (SELECT 1 FROM feriados);
+
 -- ============================================
 -- DADOS INICIAIS: configurações
 -- ============================================
+-- Só insere chaves novas: o que foi salvo no painel
+-- (mensagens do bot, dados da loja) não é sobrescrito
 INSERT INTO configuracoes (chave, valor, tipo, descricao) VALUES
 ('loja_nome', 'Auto Peças XYZ', 'string', 'Nome da loja'),
 ('loja_telefone', '5591986177169', 'string', 'Telefone principal'),
 ('loja_endereco', 'Rua Exemplo, 123 - Centro', 'string', 'Endereço da loja'),
 ('loja_horario', '08:00 às 18:00', 'string', 'Horário de funcionamento'),
 ('loja_dias_funcionamento', 'Segunda a Sábado', 'string', 'Dias de funcionamento'),
-('bot_mensagem_boas_vindas', 'Olá! Bem-vindo à nossa loja! Como posso ajudar?', 'string', 'Mensagem de boas-vindas'),
-('bot_mensagem_fora_horario', 'Estamos fora do horário de atendimento. Retornaremos em breve!', 'string', 'Mensagem fora do horário'),
+('bot_mensagem_boas_vindas', '🚗 *Olá! Bem-vindo à {storeName}!*\n\nSou o *{botName}*, seu assistente virtual.\n\nComo posso ajudar você hoje?', 'string', 'Mensagem de boas-vindas'),
+('bot_mensagem_fora_horario', '⏰ *Estamos fora do horário de atendimento*\n\n🔓 Voltamos a atender *{nextOpening}*.\n\nNosso horário de funcionamento:\n{weeklyHours}\n\nDeixe sua mensagem que responderemos assim que possível!', 'string', 'Mensagem fora do horário'),
 ('bot_tempo_sessao', '30', 'number', 'Tempo de sessão em minutos'),
 ('ia_ativa', 'true', 'boolean', 'Se a IA está ativa'),
 ('ia_temperatura', '0.7', 'number', 'Temperatura da IA (0-1)'),
 ('ia_max_tokens', '500', 'number', 'Máximo de tokens por resposta'),
 ('notificar_estoque_baixo', 'true', 'boolean', 'Notificar quando estoque estiver baixo'),
 ('email_notificacoes', 'admin@loja.com', 'string', 'E-mail para notificações')
-ON DUPLICATE KEY UPDATE valor = VALUES(valor);
+ON DUPLICATE KEY UPDATE descricao = VALUES(descricao);
+
+-- Horário por dia da semana e fuso (editáveis no painel: valor salvo não é sobrescrito)
+INSERT INTO configuracoes (chave, valor, tipo, descricao) VALUES
+('horario_semana', '{"seg":[{"inicio":"08:00","fim":"12:00"},{"inicio":"13:30","fim":"18:00"}],"ter":[{"inicio":"08:00","fim":"12:00"},{"inicio":"13:30","fim":"18:00"}],"qua":[{"inicio":"08:00","fim":"12:00"},{"inicio":"13:30","fim":"18:00"}],"qui":[{"inicio":"08:00","fim":"12:00"},{"inicio":"13:30","fim":"18:00"}],"sex":[{"inicio":"08:00","fim":"12:00"},{"inicio":"13:30","fim":"18:00"}],"sab":[{"inicio":"08:00","fim":"12:00"}],"dom":[]}', 'json', 'Horário de funcionamento por dia da semana'),
+('horario_fuso', 'America/Sao_Paulo', 'string', 'Fuso horário da loja')
+ON DUPLICATE KEY UPDATE descricao = VALUES(descricao);
+
+-- Retorno automático na abertura (editável no painel: valor salvo não é sobrescrito)
+INSERT INTO configuracoes (chave, valor, tipo, descricao) VALUES
+('retorno_automatico', 'false', 'boolean', 'Perguntar na abertura se o cliente que chamou fora do horário ainda precisa de ajuda'),
+('retorno_atraso', '15', 'number', 'Minutos após a abertura para enviar o retorno automático')
+ON DUPLICATE KEY UPDATE descricao = VALUES(descricao);
+
+-- Orçamento e limites da IA (editáveis no painel: valor salvo não é sobrescrito)
+INSERT INTO configuracoes (chave, valor, tipo, descricao) VALUES
+('ia_orcamento_mensal', '0', 'number', 'Orçamento mensal da IA em R$ (0 = sem limite)'),
+('ia_cotacao_dolar', '5.5', 'number', 'Cotação do dólar para estimar o custo da IA'),
+('ia_limite_cliente_hora', '20', 'number', 'Mensagens com IA por cliente por hora (0 = sem limite)'),
+('ia_limite_cliente_dia', '60', 'number', 'Mensagens com IA por cliente por dia (0 = sem limite)')
+ON DUPLICATE KEY UPDATE descricao = VALUES(descricao);
 
 -- ============================================
 -- FIM DAS MIGRATIONS
@@ -544,4 +935,6 @@ SELECT CONCAT('🔧 Serviços cadastrados: ', COUNT(*)) AS info FROM servicos;
 SELECT CONCAT('📁 Categorias de produtos: ', COUNT(*)) AS info FROM categorias;
 SELECT CONCAT('📁 Categorias de serviços: ', COUNT(*)) AS info FROM categorias_servicos;
 SELECT CONCAT('🔥 Promoções ativas: ', COUNT(*)) AS info FROM promocoes WHERE ativo = 1;
+SELECT CONCAT('📅 Feriados cadastrados: ', COUNT(*)) AS info FROM feriados;
+SELECT CONCAT('📚 Base de conhecimento da IA: ', COUNT(*)) AS info FROM base_conhecimento;
 SELECT CONCAT('⚙️ Configurações: ', COUNT(*)) AS info FROM configuracoes;
\ No newline at end of file
@@ -0,0 +1,713 @@
+/**
+ * ============================================
+ * HANDLER DE AGENDAMENTOS
+ * ============================================
+ *
+ * Conduz o agendamento de serviços pela conversa:
+ * escolha do serviço, do dia e do horário livre,
+ * confirmação e gravação do agendamento.
+ */
+
+const dayjs = require('dayjs');
+
+const { settings } = require('../config/settings');
+const { formatCurrency } = require('../utils/formatter');
+const { getZonedDateTime, getZonedInstant } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const serviceService = require('../services/serviceService');
+const customerService = require('../services/customerService');
+const appointmentService = require('../services/appointmentService');
+const whatsappService = require('../services/whatsappService');
+const jobService = require('../services/jobService');
+
+// Quantidade de dias e horários exibidos por vez
+const MAX_DAY_OPTIONS = 7;
+const MAX_SERVICE_OPTIONS = 10;
+
+const WEEKDAY_NAMES = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Obtém dados do agendamento em andamento
+ * @param {object} session - Dados da sessão
+ * @returns {object} Dados { step, servico_id, data, hora, ... }
+ */
+function getBooking(session) {
+    return session.data?.booking || { step: 'service' };
+}
+
+/**
+ * Monta resposta mantendo o estado de agendamento
+ * @param {string} message - Mensagem
+ * @param {object} booking - Dados do agendamento
+ * @returns {object} Resposta formatada
+ */
+function bookingResponse(message, booking) {
+    return {
+        message,
+        newState: settings.states.BOOKING_APPOINTMENT,
+        data: booking !== undefined ? { booking } : {},
+    };
+}
+
+/**
+ * Formata data para exibição (ex: Segunda, 20/10)
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @returns {string} Data formatada
+ */
+function formatDay(date) {
+    const day = dayjs(date);
+    return `${WEEKDAY_NAMES[day.day()]}, ${day.format('DD/MM')}`;
+}
+
+/**
+ * Interpreta data digitada (dd/mm ou dd/mm/aaaa)
+ * @param {string} text - Texto digitado
+ * @returns {string|null} Data (YYYY-MM-DD) ou null
+ */
+function parseDate(text) {
+    const match = text.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?$/);
+    if (!match) return null;
+
+    const today = dayjs(getZonedDateTime().date);
+    let year = match[3] ? parseInt(match[3]) : today.year();
+    if (year < 100) year += 2000;
+
+    const date = dayjs(`${year}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`);
+    if (!date.isValid() || date.date() !== parseInt(match[1])) return null;
+
+    // Sem ano informado e data já passou: próximo ano
+    if (!match[3] && date.isBefore(today)) {
+        return date.add(1, 'year').format('YYYY-MM-DD');
+    }
+
+    return date.format('YYYY-MM-DD');
+}
+
+/**
+ * Interpreta horário digitado (8, 8h, 08:30, 8h30)
+ * @param {string} text - Texto digitado
+ * @returns {string|null} Horário (HH:MM) ou null
+ */
+function parseTime(text) {
+    const match = text.match(/^(\d{1,2})(?:[:h](\d{2})?)?h?$/);
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2] || '0');
+    if (hours > 23 || minutes > 59) return null;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Formata resumo do agendamento
+ * @param {object} booking - Dados do agendamento
+ * @returns {string} Resumo
+ */
+function formatSummary(booking) {
+    let text = `🔧 *Serviço:* ${booking.servico_nome}\n`;
+    text += `📅 *Dia:* ${formatDay(booking.data)}\n`;
+    text += `🕐 *Horário:* ${booking.hora}\n`;
+    if (booking.duracao) {
+        text += `⏱️ *Duração estimada:* ${serviceService.formatDuration(booking.duracao)}\n`;
+    }
+    if (booking.veiculo) {
+        text += `🚗 *Veículo:* ${booking.veiculo}${booking.placa ? ` (${booking.placa})` : ''}\n`;
+    }
+    return text;
+}
+
+// ============================================
+// FLUXO DO AGENDAMENTO
+// ============================================
+
+/**
+ * Inicia agendamento
+ * @param {object} session - Dados da sessão
+ * @param {object} options - { code } serviço inicial opcional
+ * @returns {object} Resposta formatada
+ */
+async function startBooking(session, options = {}) {
+    try {
+        if (options.code) {
+            const service = await serviceService.getServiceByCode(String(options.code).toUpperCase());
+            if (service) {
+                return await selectService(service);
+            }
+        }
+
+        return await askService();
+    } catch (error) {
+        logger.error('Erro ao iniciar agendamento:', error.message);
+        return {
+            message: `⚠️ Não foi possível iniciar o agendamento. Tente novamente.`,
+            newState: settings.states.IDLE,
+        };
+    }
+}
+
+/**
+ * Processa mensagem durante o agendamento
+ * @param {string} text - Texto da mensagem
+ * @param {object} session - Dados da sessão
+ * @returns {object} Resposta formatada
+ */
+async function handleBookingInput(text, session) {
+    try {
+        const input = text.trim();
+        const normalized = input.toLowerCase();
+        const booking = getBooking(session);
+
+        switch (booking.step) {
+            case 'date':
+                return await handleDateStep(normalized, booking);
+
+            case 'time':
+                return await handleTimeStep(normalized, booking, session);
+
+            case 'confirm':
+                return await handleConfirmStep(normalized, booking, session);
+
+            case 'cancel':
+                return await handleCancelStep(normalized, booking);
+
+            case 'service':
+            default:
+                return await handleServiceStep(input, booking);
+        }
+    } catch (error) {
+        logger.error('Erro ao processar agendamento:', error.message);
+        return bookingResponse(`⚠️ Erro ao processar o agendamento. Tente novamente.`);
+    }
+}
+
+/**
+ * Lista serviços para escolha
+ * @returns {object} Resposta formatada
+ */
+async function askService() {
+    const services = await serviceService.getAllServices(MAX_SERVICE_OPTIONS);
+
+    if (services.length === 0) {
+        return {
+            message: `😅 Ainda não temos serviços disponíveis para agendamento.\n\nDigite *atendente* para falar com nossa equipe.`,
+            newState: settings.states.IDLE,
+        };
+    }
+
+    let message = `📅 *Agendar Serviço*\n\n`;
+    message += `Qual serviço você quer agendar?\n\n`;
+
+    services.forEach((service, index) => {
+        message += `*${index + 1}.* ${service.nome} - ${formatCurrency(service.preco_promocional || service.preco)}\n`;
+    });
+
+    message += `\n💡 Digite o *número* ou o *código* do serviço.\n`;
+    message += `Digite *cancelar* para desistir.`;
+
+    return bookingResponse(message, {
+        step: 'service',
+        opcoes: services.map(service => service.id),
+    });
+}
+
+/**
+ * Processa escolha do serviço
+ * @param {string} input - Texto digitado
+ * @param {object} booking - Dados do agendamento
+ * @returns {object} Resposta formatada
+ */
+async function handleServiceStep(input, booking) {
+    let service = null;
+
+    const index = parseInt(input);
+    if (/^\d+$/.test(input) && Array.isArray(booking.opcoes)) {
+        const serviceId = booking.opcoes[index - 1];
+        service = serviceId ? await serviceService.getServiceById(serviceId) : null;
+    } else {
+        service = await serviceService.getServiceByCode(input.toUpperCase());
+    }
+
+    if (!service) {
+        const retry = await askService();
+        retry.message = `⚠️ Serviço não encontrado.\n\n${retry.message}`;
+        return retry;
+    }
+
+    return await selectService(service);
+}
+
+/**
+ * Seleciona serviço e lista dias disponíveis
+ * @param {object} service - Serviço escolhido
+ * @param {object} extra - Dados extras do agendamento (ex: remarcar_id)
+ * @returns {object} Resposta formatada
+ */
+async function selectService(service, extra = {}) {
+    const days = await appointmentService.getAvailableDays(service.id, MAX_DAY_OPTIONS);
+
+    if (days.length === 0) {
+        return {
+            message: `😕 Não há horários livres para *${service.nome}* nos próximos ${settings.appointments.daysAhead} dias.\n\n` +
+                `Digite *atendente* para combinar com nossa equipe.`,
+            newState: settings.states.IDLE,
+            data: { booking: null },
+        };
+    }
+
+    let message = `🔧 *${service.nome}*\n`;
+    if (service.duracao_estimada) {
+        message += `⏱️ Duração estimada: ${serviceService.formatDuration(service.duracao_estimada)}\n`;
+    }
+    message += `\n📅 *Escolha o dia:*\n\n`;
+
+    days.forEach((day, index) => {
+        message += `*${index + 1}.* ${formatDay(day.data)} (${day.horarios.length} horário${day.horarios.length > 1 ? 's' : ''})\n`;
+    });
+
+    message += `\n💡 Digite o *número* ou a data (ex: ${dayjs(days[0].data).format('DD/MM')}).`;
+
+    return bookingResponse(message, {
+        ...extra,
+        step: 'date',
+        servico_id: service.id,
+        servico_nome: service.nome,
+        duracao: service.duracao_estimada || null,
+        opcoes: days.map(day => day.data),
+    });
+}
+
+/**
+ * Processa escolha do dia
+ * @param {string} input - Texto digitado
+ * @param {object} booking - Dados do agendamento
+ * @returns {object} Resposta formatada
+ */
+async function handleDateStep(input, booking) {
+    let date = null;
+
+    if (/^\d+$/.test(input) && Array.isArray(booking.opcoes)) {
+        date = booking.opcoes[parseInt(input) - 1] || null;
+    } else {
+        date = parseDate(input);
+    }
+
+    if (!date) {
+        return bookingResponse(`⚠️ Dia inválido.\n\nDigite o *número* da lista ou a data no formato *DD/MM*.`, booking);
+    }
+
+    const lastDay = dayjs(getZonedDateTime().date).add(settings.appointments.daysAhead, 'day');
+    if (dayjs(date).isAfter(lastDay, 'day')) {
+        return bookingResponse(
+            `⚠️ Só agendamos com até ${settings.appointments.daysAhead} dias de antecedência.\n\nEscolha outro dia.`,
+            booking
+        );
+    }
+
+    return await showSlots(booking, date);
+}
+
+/**
+ * Lista horários livres de um dia
+ * @param {object} booking - Dados do agendamento
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @param {string} notice - Aviso exibido antes da lista
+ * @returns {object} Resposta formatada
+ */
+async function showSlots(booking, date, notice = '') {
+    const slots = await appointmentService.getAvailableSlots(date, booking.servico_id);
+
+    if (slots.length === 0) {
+        const service = await serviceService.getServiceById(booking.servico_id);
+        const retry = await selectService(service, { remarcar_id: booking.remarcar_id || null });
+        retry.message = `${notice}😕 Não há horários livres em *${formatDay(date)}*.\n\n${retry.message}`;
+        return retry;
+    }
+
+    let message = notice;
+    message += `🕐 *Horários livres em ${formatDay(date)}:*\n\n`;
+    message += slots.map((slot, index) => `*${index + 1}.* ${slot}`).join('\n');
+    message += `\n\n💡 Digite o *número* ou o horário (ex: ${slots[0]}).`;
+
+    return bookingResponse(message, {
+        ...booking,
+        step: 'time',
+        data: date,
+        opcoes: slots,
+    });
+}
+
+/**
+ * Processa escolha do horário
+ * @param {string} input - Texto digitado
+ * @param {object} booking - Dados do agendamento
+ * @param {object} session - Dados da sessão
+ * @returns {object} Resposta formatada
+ */
+async function handleTimeStep(input, booking, session) {
+    const slots = Array.isArray(booking.opcoes) ? booking.opcoes : [];
+    let time = null;
+
+    if (/^\d+$/.test(input) && parseInt(input) <= slots.length) {
+        time = slots[parseInt(input) - 1];
+    } else {
+        time = parseTime(input);
+    }
+
+    if (!time || !slots.includes(time)) {
+        return await showSlots(booking, booking.data, `⚠️ Horário indisponível.\n\n`);
+    }
+
+    const customer = await customerService.getCustomerByPhone(session.phone);
+    const confirmBooking = {
+        ...booking,
+        step: 'confirm',
+        hora: time,
+        opcoes: null,
+        veiculo: customer?.veiculo || null,
+        placa: customer?.placa || null,
+    };
+
+    let message = `📋 *Confirme seu agendamento*\n\n`;
+    message += formatSummary(confirmBooking);
+    message += `\nDigite *sim* para confirmar ou *não* para escolher outro horário.`;
+
+    return bookingResponse(message, confirmBooking);
+}
+
+/**
+ * Processa confirmação e grava o agendamento
+ * @param {string} input - Texto digitado
+ * @param {object} booking - Dados do agendamento
+ * @param {object} session - Dados da sessão
+ * @returns {object} Resposta formatada
+ */
+async function handleConfirmStep(input, booking, session) {
+    if (['nao', 'não', 'n', 'outro'].includes(input)) {
+        return await showSlots(booking, booking.data);
+    }
+
+    if (!['sim', 's', 'confirmar', 'ok'].includes(input)) {
+        return bookingResponse(`Digite *sim* para confirmar ou *não* para escolher outro horário.`, booking);
+    }
+
+    if (booking.remarcar_id) {
+        return await confirmReschedule(booking, session);
+    }
+
+    let appointmentId;
+    try {
+        appointmentId = await appointmentService.createAppointment({
+            telefone: session.phone,
+            servico_id: booking.servico_id,
+            data_agendamento: booking.data,
+            hora_inicio: booking.hora,
+            observacoes: 'Agendado pelo cliente via WhatsApp',
+        });
+    } catch (error) {
+        // Horário ocupado enquanto o cliente decidia
+        if (error.message.includes('já existe')) {
+            return await showSlots(booking, booking.data, `😕 Esse horário acabou de ser ocupado.\n\n`);
+        }
+        throw error;
+    }
+
+    const appointment = await appointmentService.getAppointmentById(appointmentId);
+
+    whatsappService.sendNotification('appointment:created', {
+        id: appointmentId,
+        phone: session.phone,
+        servico: appointment.servico_nome,
+        data: appointment.data_agendamento,
+        hora: appointment.hora_inicio,
+    });
+
+    logger.info(`Agendamento ${appointmentId} confirmado por ${session.phone}`);
+
+    let message = `✅ *Agendamento confirmado!*\n\n`;
+    message += formatSummary({
+        ...booking,
+        veiculo: appointment.veiculo,
+        placa: appointment.placa,
+    });
+    message += `\n📍 Te esperamos na *${settings.store.name}*!`;
+    if (settings.store.address) {
+        message += `\n${settings.store.address}`;
+    }
+    message += `\n\n🔔 Vamos te lembrar antes do horário.`;
+    message += `\nPrecisa mudar? Digite *remarcar* ou *cancelar agendamento*.`;
+
+    return {
+        message,
+        newState: settings.states.IDLE,
+        data: { booking: null, lastAppointment: appointmentId },
+    };
+}
+
+/**
+ * Grava remarcação de um agendamento existente
+ * @param {object} booking - Dados do agendamento
+ * @param {object} session - Dados da sessão
+ * @returns {object} Resposta formatada
+ */
+async function confirmReschedule(booking, session) {
+    try {
+        await appointmentService.updateAppointment(booking.remarcar_id, {
+            data_agendamento: booking.data,
+            hora_inicio: booking.hora,
+        });
+    } catch (error) {
+        if (error.message.includes('já existe')) {
+            return await showSlots(booking, booking.data, `😕 Esse horário acabou de ser ocupado.\n\n`);
+        }
+        throw error;
+    }
+
+    // Novo horário volta a aguardar confirmação
+    await appointmentService.updateAppointmentStatus(booking.remarcar_id, 'agendado');
+
+    whatsappService.sendNotification('appointment:updated', {
+        id: booking.remarcar_id,
+        phone: session.phone,
+        data: booking.data,
+        hora: booking.hora,
+    });
+
+    logger.info(`Agendamento ${booking.remarcar_id} remarcado por ${session.phone}`);
+
+    let message = `✅ *Agendamento remarcado!*\n\n`;
+    message += formatSummary(booking);
+    message += `\n🔔 Vamos te lembrar antes do novo horário.`;
+
+    return {
+        message,
+        newState: settings.states.IDLE,
+        data: { booking: null, lastAppointment: booking.remarcar_id },
+    };
+}
+
+// ============================================
+// RESPOSTAS AOS LEMBRETES
+// ============================================
+
+/**
+ * Interpreta respostas "confirmar", "cancelar" e "remarcar"
+ * ao lembrete de agendamento
+ * @param {string} text - Texto normalizado
+ * @param {object} session - Dados da sessão
+ * @returns {object|null} Resposta ou null se não for resposta a lembrete
+ */
+async function handleReminderReply(text, session) {
+    const match = text.match(/^(confirmar|confirmo|cancelar|remarcar)(?:\s+(?:o\s+)?agendamento)?$/);
+    if (!match) return null;
+
+    const action = match[1] === 'confirmo' ? 'confirmar' : match[1];
+    const explicit = text.includes('agendamento') || action === 'remarcar';
+
+    // Respostas curtas só valem logo depois do lembrete;
+    // "remarcar" e "... agendamento" valem para o próximo agendamento
+    let appointment = await appointmentService.getRemindedAppointment(
+        session.phone,
+        explicit ? null : settings.appointments.reminderReplyHours
+    );
+    if (!appointment && explicit) {
+        const upcoming = await appointmentService.getUpcomingByPhone(session.phone);
+        appointment = upcoming[0] || null;
+    }
+
+    if (!appointment) {
+        return explicit
+            ? {
+                message: `📅 Você não tem agendamentos futuros.\n\nDigite *agendar* para marcar um serviço.`,
+                newState: settings.states.IDLE,
+            }
+            : null;
+    }
+
+    const summary = formatSummary({
+        servico_nome: appointment.servico_nome || 'Serviço',
+        data: appointment.data_agendamento,
+        hora: appointment.hora_inicio,
+    });
+
+    if (action === 'confirmar') {
+        await appointmentService.updateAppointmentStatus(appointment.id, 'confirmado');
+
+        whatsappService.sendNotification('appointment:status', { id: appointment.id, status: 'confirmado' });
+
+        return {
+            message: `✅ *Presença confirmada!*\n\n${summary}\nTe esperamos na *${settings.store.name}*! 🚗`,
+            newState: settings.states.IDLE,
+        };
+    }
+
+    // Cancelar pede confirmação (etapa cancel do agendamento)
+    if (action === 'cancelar') {
+        return bookingResponse(
+            `❓ *Cancelar agendamento?*\n\n${summary}\nDigite *sim* para cancelar ou *não* para manter o horário.`,
+            { step: 'cancel', cancelar_id: appointment.id }
+        );
+    }
+
+    // Remarcar: reabre a escolha de dia e horário para o mesmo serviço
+    const service = appointment.servico_id ? await serviceService.getServiceById(appointment.servico_id) : null;
+    if (!service) {
+        return {
+            message: `⚠️ Não consegui remarcar automaticamente.\n\nDigite *atendente* para falar com nossa equipe.`,
+            newState: settings.states.IDLE,
+        };
+    }
+
+    const response = await selectService(service, { remarcar_id: appointment.id });
+    response.message = `🔄 *Remarcar agendamento*\n\nHorário atual:\n${summary}\n${response.message}`;
+    return response;
+}
+
+/**
+ * Processa a confirmação do cancelamento pedido na resposta ao lembrete
+ * @param {string} input - Texto digitado
+ * @param {object} booking - Dados { step: 'cancel', cancelar_id }
+ * @returns {object} Resposta formatada
+ */
+async function handleCancelStep(input, booking) {
+    if (['nao', 'não', 'n', 'manter'].includes(input)) {
+        return {
+            message: `👍 Seu agendamento continua marcado.`,
+            newState: settings.states.IDLE,
+            data: { booking: null },
+        };
+    }
+
+    if (!['sim', 's'].includes(input)) {
+        return bookingResponse(`Digite *sim* para cancelar o agendamento ou *não* para manter o horário.`, booking);
+    }
+
+    const appointment = await appointmentService.getAppointmentById(booking.cancelar_id);
+
+    if (!appointment || !appointmentService.ACTIVE_STATUS.includes(appointment.status)) {
+        return {
+            message: `📅 Esse agendamento não está mais ativo.\n\nDigite *agendar* para marcar um serviço.`,
+            newState: settings.states.IDLE,
+            data: { booking: null },
+        };
+    }
+
+    await appointmentService.cancelAppointment(appointment.id);
+
+    whatsappService.sendNotification('appointment:status', { id: appointment.id, status: 'cancelado' });
+
+    const summary = formatSummary({
+        servico_nome: appointment.servico_nome || 'Serviço',
+        data: appointment.data_agendamento,
+        hora: appointment.hora_inicio,
+    });
+
+    return {
+        message: `❌ *Agendamento cancelado.*\n\n${summary}\nQuando quiser, digite *agendar* para marcar um novo horário.`,
+        newState: settings.states.IDLE,
+        data: { booking: null },
+    };
+}
+
+// ============================================
+// TAREFAS AGENDADAS
+// ============================================
+
+/**
+ * Envia lembrete de agendamento (tarefa lembrete_agendamento)
+ * @param {object} job - Tarefa { referencia_id, payload: { horas } }
+ */
+async function sendAppointmentReminder(job) {
+    const appointment = await appointmentService.getAppointmentById(job.referencia_id);
+
+    if (!appointment || !appointmentService.ACTIVE_STATUS.includes(appointment.status)) {
+        return;
+    }
+
+    // Tarefa atrasada (ex: bot desligado) após o horário não envia nada
+    const start = getZonedInstant(appointment.data_agendamento, appointment.hora_inicio);
+    if (start.getTime() < Date.now()) {
+        return;
+    }
+
+    const when = appointment.data_agendamento === getZonedDateTime().date ? `*hoje* às *${appointment.hora_inicio}*` : `*${formatDay(appointment.data_agendamento)}* às *${appointment.hora_inicio}*`;
+
+    let message = `🔔 *Lembrete de agendamento*\n\n`;
+    message += `Olá${appointment.cliente_nome ? `, ${appointment.cliente_nome}` : ''}! `;
+    message += `Seu serviço de *${appointment.servico_nome || 'manutenção'}* está marcado para ${when}.\n\n`;
+    if (appointment.veiculo) {
+        message += `🚗 ${appointment.veiculo}${appointment.placa ? ` (${appointment.placa})` : ''}\n\n`;
+    }
+    if (appointment.status === 'agendado') {
+        message += `Responda:\n`;
+        message += `✅ *confirmar* - confirmo presença\n`;
+    } else {
+        message += `Sua presença já está confirmada. Se precisar:\n`;
+    }
+    message += `🔄 *remarcar* - escolher outro horário\n`;
+    message += `❌ *cancelar* - cancelar agendamento`;
+
+    const result = await whatsappService.sendMessage(appointment.telefone, message);
+
+    // Sem conexão: lança para a tarefa ser tentada novamente
+    if (!result.success) {
+        throw new Error(result.error || 'Falha ao enviar lembrete');
+    }
+
+    await customerService.saveMessage(appointment.telefone, message, 'saida', 'bot');
+
+    logger.info(`🔔 Lembrete (${job.payload.horas}h) enviado: agendamento ${appointment.id}`);
+}
+
+/**
+ * Marca não comparecimento (tarefa ausencia_agendamento)
+ * @param {object} job - Tarefa { referencia_id }
+ */
+async function markNoShow(job) {
+    const appointment = await appointmentService.getAppointmentById(job.referencia_id);
+
+    // Check-in feito (em andamento/concluído) ou já cancelado
+    if (!appointment || !appointmentService.ACTIVE_STATUS.includes(appointment.status)) {
+        return;
+    }
+
+    // Só depois do início + tolerância (no relógio da loja)
+    const dueAt = getZonedInstant(appointment.data_agendamento, appointment.hora_inicio).getTime()
+        + settings.appointments.noShowTolerance * 60 * 1000;
+
+    if (Date.now() < dueAt) {
+        logger.warn(`Verificação de ausência do agendamento ${appointment.id} antes do horário: ignorada`);
+        return;
+    }
+
+    await appointmentService.updateAppointmentStatus(appointment.id, 'nao_compareceu');
+
+    whatsappService.sendNotification('appointment:status', {
+        id: appointment.id,
+        status: 'nao_compareceu',
+    });
+
+    logger.info(`🚫 Agendamento ${appointment.id} marcado como não compareceu`);
+}
+
+/**
+ * Registra executores das tarefas de agendamento
+ */
+function registerJobHandlers() {
+    jobService.registerHandler(appointmentService.JOB_TYPES.REMINDER, sendAppointmentReminder);
+    jobService.registerHandler(appointmentService.JOB_TYPES.NO_SHOW, markNoShow);
+}
+
+module.exports = {
+    startBooking,
+    handleBookingInput,
+    handleReminderReply,
+    registerJobHandlers,
+    parseDate,
+    parseTime,
+};
@@ -0,0 +1,122 @@
+/**
+ * ============================================
+ * HANDLER DE RETORNOS
+ * ============================================
+ *
+ * Registra contatos feitos fora do horário e,
+ * na abertura da loja, avisa a equipe e (se
+ * ativado) pergunta ao cliente se ainda precisa
+ * de ajuda.
+ */
+
+const logger = require('../utils/logger');
+const { settings, formatMessage } = require('../config/settings');
+const { getNextOpening, formatNextOpening } = require('../utils/helpers');
+
+const callbackService = require('../services/callbackService');
+const customerService = require('../services/customerService');
+const whatsappService = require('../services/whatsappService');
+const jobService = require('../services/jobService');
+
+/**
+ * Guarda mensagem recebida fora do horário na lista de retornos
+ * @param {string} phone - Telefone do cliente
+ * @param {string} text - Mensagem recebida
+ * @param {object} session - Sessão antes de processar a mensagem
+ * @param {object|null} customer - Cliente
+ * @returns {string|null} Aviso ao cliente (apenas no primeiro registro)
+ */
+async function registerOutsideHoursContact(phone, text, session, customer) {
+    // Atendente já está falando com o cliente / comandos administrativos
+    if (session.state === settings.states.IN_ATTENDANCE || text.startsWith('/')) {
+        return null;
+    }
+
+    try {
+        const { callback, created } = await callbackService.registerOutsideHoursMessage(phone, text, session, customer);
+
+        whatsappService.sendNotification(created ? 'callback:created' : 'callback:updated', {
+            id: callback.id,
+            phone: callback.telefone,
+            nome: callback.cliente_nome,
+            prioridade: callback.prioridade_nivel,
+        });
+
+        if (!created) {
+            return null;
+        }
+
+        return formatMessage(settings.messages.callbackRegistered, {
+            nextOpening: formatNextOpening(getNextOpening()),
+        });
+
+    } catch (error) {
+        // Falha no registro não impede a resposta do bot
+        logger.error('Erro ao registrar contato fora do horário:', error.message);
+        return null;
+    }
+}
+
+// ============================================
+// TAREFAS AGENDADAS
+// ============================================
+
+/**
+ * Retorno na abertura da loja (tarefa retorno_abertura)
+ * @param {object} job - Tarefa { referencia_id, payload: { manual } }
+ */
+async function sendCallbackFollowUp(job) {
+    const callback = await callbackService.getCallbackById(job.referencia_id);
+
+    if (!callback || !callbackService.OPEN_STATUS.includes(callback.status)) {
+        return;
+    }
+
+    const isManual = !!job.payload.manual;
+
+    if (!isManual) {
+        // Abertura: lista de retornos aparece para a equipe
+        whatsappService.sendNotification('callback:due', {
+            id: callback.id,
+            phone: callback.telefone,
+            nome: callback.cliente_nome,
+            prioridade: callback.prioridade_nivel,
+        });
+
+        const { autoFollowUp } = await callbackService.getConfig();
+
+        // Cliente que já voltou a conversar não recebe a pergunta
+        if (!autoFollowUp || callback.follow_up_enviado_em || await callbackService.hasCustomerReturned(callback)) {
+            return;
+        }
+    }
+
+    const firstName = (callback.cliente_nome || '').split(' ')[0];
+    const message = formatMessage(settings.messages.callbackFollowUp, {
+        customerName: firstName || 'cliente',
+    });
+
+    const result = await whatsappService.sendMessage(callback.telefone, message);
+
+    // Sem conexão: lança para a tarefa ser tentada novamente
+    if (!result.success) {
+        throw new Error(result.error || 'Falha ao enviar retorno');
+    }
+
+    await customerService.saveMessage(callback.telefone, message, 'saida', 'bot');
+    await callbackService.markFollowUpSent(callback.id);
+
+    logger.info(`☀️ Retorno enviado: ${callback.telefone}${isManual ? ' (pelo painel)' : ''}`);
+}
+
+/**
+ * Registra executor das tarefas de retorno
+ */
+function registerJobHandlers() {
+    jobService.registerHandler(callbackService.JOB_TYPES.FOLLOW_UP, sendCallbackFollowUp);
+}
+
+module.exports = {
+    registerOutsideHoursContact,
+    registerJobHandlers,
+};
@@ -5,15 +5,73 @@
  * 
  * Gerencia exibição de menus e navegação
  * entre as diferentes opções do bot.
+ * O menu é uma árvore (settings.menu) editável pelo
+ * painel; o caminho do submenu atual fica na sessão.
  */
 
 const { settings, formatMessage } = require('../config/settings');
-const { formatProductList, formatPromotionList } = require('../utils/formatter');
-const { getGreeting, isWithinBusinessHours } = require('../utils/helpers');
+const { formatProductList, formatPromotionList, formatMenu, formatCurrency, formatDate } = require('../utils/formatter');
+const { getGreeting, isWithinBusinessHours, getNextOpening, formatNextOpening } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 const productService = require('../services/productService');
 const customerService = require('../services/customerService');
+const serviceService = require('../services/serviceService');
+const orderService = require('../services/orderService');
+const appointmentService = require('../services/appointmentService');
+const quoteHandler = require('./quoteHandler');
+const appointmentHandler = require('./appointmentHandler');
+
+// ============================================
+// NAVEGAÇÃO NO MENU
+// ============================================
+
+/**
+ * Localiza nó do menu pelo caminho de opções
+ * @param {array} path - Opções escolhidas a partir da raiz (ex: [2, 1])
+ * @returns {object|null} Nó do menu ou null se o caminho não existe mais
+ */
+function getMenuNode(path = []) {
+    let node = settings.menu;
+
+    for (const option of path) {
+        const child = node.opcoes?.[option - 1];
+
+        if (!child || child.acao !== 'submenu') {
+            return null;
+        }
+
+        node = child;
+    }
+
+    return node;
+}
+
+/**
+ * Caminho do submenu em que o cliente está
+ * @param {object} session - Dados da sessão
+ * @returns {array} Caminho (vazio = menu principal)
+ */
+function getCurrentMenuPath(session) {
+    const path = session?.data?.menuPath;
+
+    // Menu pode ter sido editado no painel: caminho inválido volta à raiz
+    if (!Array.isArray(path) || !getMenuNode(path)) {
+        return [];
+    }
+
+    return path;
+}
+
+/**
+ * Maior número aceito como opção no menu atual
+ * @param {object} session - Dados da sessão
+ * @returns {number} Quantidade de opções do nível atual
+ */
+function getMenuOptionLimit(session) {
+    const node = getMenuNode(getCurrentMenuPath(session));
+    return node.opcoes.length;
+}
 
 /**
  * Gera mensagem de boas-vindas
@@ -36,7 +94,16 @@ function getWelcomeMessage(customerName = '') {
  * @returns {string} Menu principal formatado
  */
 function getMainMenu() {
-    return formatMessage(settings.messages.mainMenu);
+    return formatMessage(formatMenu(settings.menu));
+}
+
+/**
+ * Gera um submenu
+ * @param {array} path - Caminho do submenu
+ * @returns {string} Submenu formatado
+ */
+function getSubmenu(path) {
+    return formatMessage(formatMenu(getMenuNode(path), path.length > 0));
 }
 
 /**
@@ -53,10 +120,21 @@ function getWelcomeWithMenu(customerName = '') {
 
 /**
  * Gera mensagem de fora do horário de funcionamento
+ * (inclui quando a loja abre novamente)
  * @returns {string} Mensagem formatada
  */
 function getOutsideHoursMessage() {
-    return formatMessage(settings.messages.outsideHours);
+    const nextOpening = formatNextOpening(getNextOpening());
+    const template = settings.messages.outsideHours;
+
+    let message = formatMessage(template, { nextOpening });
+
+    // Mensagens personalizadas antigas não têm o placeholder
+    if (!template.includes('{nextOpening}')) {
+        message += `\n\n🔓 Voltamos a atender *${nextOpening}*.`;
+    }
+
+    return message;
 }
 
 /**
@@ -139,64 +217,175 @@ function getNoProductsMessage() {
 }
 
 /**
- * Processa seleção do menu principal
+ * Gera confirmação de mídia recebida sem texto
+ * @param {string} type - image, audio, video, document, sticker ou location
+ * @returns {string} Mensagem formatada
+ */
+function getMediaReceivedMessage(type) {
+    const keys = { image: 'photoReceived', audio: 'audioReceived', location: 'locationReceived' };
+    return formatMessage(settings.messages[keys[type] || 'fileReceived']);
+}
+
+/**
+ * Gera mensagem de arquivo acima do limite
+ * @param {string} maxSize - Limite formatado (ex.: 16 MB)
+ * @returns {string} Mensagem formatada
+ */
+function getMediaTooLargeMessage(maxSize) {
+    return formatMessage(settings.messages.mediaTooLarge, { maxSize });
+}
+
+/**
+ * Gera aviso de peça identificada na foto
+ * @param {string} part - Descrição da peça
+ * @returns {string} Mensagem formatada
+ */
+function getPartIdentifiedMessage(part) {
+    return formatMessage(settings.messages.partIdentified, { part });
+}
+
+/**
+ * Gera aviso de áudio não compreendido
+ * @returns {string} Mensagem formatada
+ */
+function getAudioUnclearMessage() {
+    return formatMessage(settings.messages.audioUnclear);
+}
+
+/**
+ * Processa seleção de uma opção do menu atual
  * @param {number} option - Opção selecionada
  * @param {object} session - Dados da sessão
  * @returns {object} Resposta com mensagem e novo estado
  */
 async function processMenuOption(option, session) {
     try {
-        switch (option) {
-            case 1:
-                // Ver peças em estoque
-                return await handleProductList();
-
-            case 2:
-                // Buscar peça por nome
-                return {
-                    message: getSearchPromptMessage(),
-                    newState: settings.states.WAITING_SEARCH,
-                    data: { searchType: 'name' },
-                };
-
-            case 3:
-                // Buscar por veículo
-                return {
-                    message: getVehiclePromptMessage(),
-                    newState: settings.states.WAITING_VEHICLE,
-                    data: { searchType: 'vehicle' },
-                };
-
-            case 4:
-                // Promoções do dia
-                return await handlePromotions();
-
-            case 5:
-                // Horário de funcionamento
-                return {
-                    message: getStoreHoursMessage(),
-                    newState: settings.states.IDLE,
-                };
-
-            case 6:
-                // Falar com atendente
-                return await handleHumanRequest(session.phone);
-
-            default:
-                return {
-                    message: getInvalidOptionMessage(),
-                    newState: settings.states.IDLE,
-                };
+        const path = getCurrentMenuPath(session);
+        const node = getMenuNode(path);
+
+        // 0 volta um nível (no menu principal apenas mostra o menu)
+        if (option === 0) {
+            const parentPath = path.slice(0, -1);
+
+            return {
+                message: getSubmenu(parentPath),
+                newState: settings.states.IDLE,
+                data: { menuPath: parentPath.length > 0 ? parentPath : null },
+            };
+        }
+
+        const selected = node.opcoes[option - 1];
+
+        if (!selected) {
+            return {
+                message: getInvalidOptionMessage(),
+                newState: settings.states.IDLE,
+            };
         }
+
+        if (selected.acao === 'submenu') {
+            const childPath = [...path, option];
+
+            return {
+                message: getSubmenu(childPath),
+                newState: settings.states.IDLE,
+                data: { menuPath: childPath },
+            };
+        }
+
+        // Ação final: sai do submenu
+        const response = await executeMenuAction(selected, session);
+
+        return {
+            ...response,
+            data: { ...(response.data || {}), menuPath: null },
+        };
     } catch (error) {
         logger.error('Erro ao processar opção do menu:', error.message);
         return {
             message: getErrorMessage(),
             newState: settings.states.IDLE,
+            data: { menuPath: null },
         };
     }
 }
 
+/**
+ * Executa a ação vinculada a uma opção do menu
+ * @param {object} option - Opção do menu ({ rotulo, acao, ...params })
+ * @param {object} session - Dados da sessão
+ * @returns {object} Resposta com mensagem e novo estado
+ */
+async function executeMenuAction(option, session) {
+    switch (option.acao) {
+        case 'product_list':
+            return await handleProductList();
+
+        case 'product_search':
+            return {
+                message: getSearchPromptMessage(),
+                newState: settings.states.WAITING_SEARCH,
+                data: { searchType: 'name' },
+            };
+
+        case 'vehicle_search':
+            return {
+                message: getVehiclePromptMessage(),
+                newState: settings.states.WAITING_VEHICLE,
+                data: { searchType: 'vehicle' },
+            };
+
+        case 'category':
+            return await handleCategoryProducts(option.categoria_id);
+
+        case 'promotions':
+            return await handlePromotions();
+
+        case 'services':
+            return await handleServicesList();
+
+        case 'store_hours':
+            return {
+                message: getStoreHoursMessage(),
+                newState: settings.states.IDLE,
+            };
+
+        case 'quote':
+            return await quoteHandler.startQuote(session);
+
+        case 'schedule':
+            return await appointmentHandler.startBooking(session);
+
+        case 'my_orders':
+            return await handleCustomerOrders(session.phone);
+
+        case 'my_appointments':
+            return await handleCustomerAppointments(session.phone);
+
+        case 'human':
+            return await handleHumanRequest(session.phone);
+
+        case 'text':
+            return {
+                message: formatMessage(option.texto),
+                newState: settings.states.IDLE,
+            };
+
+        case 'url':
+            return {
+                message: `${formatMessage(option.texto || `🔗 *${option.rotulo}*`)}\n\n${option.url}`,
+                newState: settings.states.IDLE,
+            };
+
+        default:
+            logger.warn(`Ação de menu desconhecida: ${option.acao}`);
+            return {
+                message: getInvalidOptionMessage(),
+                newState: settings.states.IDLE,
+            };
+    }
+}
+
 /**
  * Processa listagem de produtos em estoque
  * @param {number} page - Página atual
@@ -376,11 +565,12 @@ async function handlePromotions() {
 /**
  * Processa solicitação de atendimento humano
  * @param {string} phone - Telefone do cliente
+ * @param {string} reason - Motivo registrado na fila
  * @returns {object} Resposta com status da fila
  */
-async function handleHumanRequest(phone) {
+async function handleHumanRequest(phone, reason = 'Solicitação via menu') {
     try {
-        const result = await customerService.addToQueue(phone, 'Solicitação via menu');
+        const result = await customerService.addToQueue(phone, reason);
 
         if (result.success) {
             return {
@@ -438,7 +628,7 @@ async function handleProductByCode(code) {
         }
 
         message += `\n\n💡 *Quer comprar?*\n`;
-        message += `Digite *6* para falar com um atendente.`;
+        message += `Digite *orcamento* para montar um orçamento ou *atendente* para falar com uma pessoa.`;
 
         return {
             message,
@@ -466,7 +656,7 @@ async function handlePagination(page, session) {
         
         if (!products || products.length === 0) {
             return {
-                message: `⚠️ Nenhuma busca ativa.\n\nDigite *1* para ver produtos em estoque ou *2* para fazer uma busca.`,
+                message: `⚠️ Nenhuma busca ativa.\n\nDigite *buscar [nome]* para fazer uma busca ou *menu* para ver as opções.`,
                 newState: settings.states.IDLE,
             };
         }
@@ -500,6 +690,164 @@ async function handlePagination(page, session) {
     }
 }
 
+/**
+ * Lista produtos de uma categoria
+ * @param {number} categoryId - ID da categoria
+ * @returns {object} Resposta com lista de produtos
+ */
+async function handleCategoryProducts(categoryId) {
+    try {
+        const category = await productService.getCategoryById(categoryId);
+        const products = category
+            ? await productService.getProductsByCategory(categoryId, settings.pagination.maxSearchResults)
+            : [];
+
+        if (!products || products.length === 0) {
+            return {
+                message: getNoProductsMessage(),
+                newState: settings.states.IDLE,
+            };
+        }
+
+        let message = `📁 *${category.nome}*\n\n`;
+        message += formatProductList(products, 1, settings.pagination.productsPerPage);
+        message += `\n\n💡 Digite *menu* para ver outras opções`;
+
+        return {
+            message,
+            newState: settings.states.IDLE,
+            data: { lastSearch: products },
+        };
+    } catch (error) {
+        logger.error('Erro ao listar produtos da categoria:', error.message);
+        return {
+            message: getErrorMessage(),
+            newState: settings.states.IDLE,
+        };
+    }
+}
+
+/**
+ * Lista serviços oferecidos
+ * @returns {object} Resposta formatada
+ */
+async function handleServicesList() {
+    try {
+        const services = await serviceService.getAllServices(10);
+
+        if (services.length === 0) {
+            return {
+                message: `😅 Ainda não temos serviços cadastrados.\n\nDigite *atendente* para falar com uma pessoa.`,
+                newState: settings.states.IDLE
+            };
+        }
+
+        let message = `🔧 *Nossos Serviços*\n\n`;
+
+        services.forEach((service, index) => {
+            message += `*${index + 1}. ${service.nome}*\n`;
+            if (service.descricao) {
+                message += `   ${service.descricao.substring(0, 50)}${service.descricao.length > 50 ? '...' : ''}\n`;
+            }
+            message += `   💰 R$ ${parseFloat(service.preco).toFixed(2).replace('.', ',')}\n`;
+            if (service.duracao_estimada) {
+                message += `   ⏱️ ${service.duracao_estimada} min\n`;
+            }
+            message += `\n`;
+        });
+
+        message += `\n📅 Para agendar, digite *agendar*.`;
+        message += `\n💡 Para mais informações sobre um serviço, é só perguntar!`;
+
+        return {
+            message,
+            newState: settings.states.IDLE
+        };
+    } catch (error) {
+        logger.error('Erro ao buscar serviços:', error.message);
+        return {
+            message: `🔧 *Nossos Serviços*\n\nPara conhecer nossos serviços e agendar, digite *atendente* para falar com uma pessoa.`,
+            newState: settings.states.IDLE
+        };
+    }
+}
+
+/**
+ * Lista últimos pedidos/orçamentos do cliente
+ * @param {string} phone - Telefone do cliente
+ * @returns {object} Resposta formatada
+ */
+async function handleCustomerOrders(phone) {
+    try {
+        const orders = await orderService.getOrdersByPhone(phone, 5);
+
+        if (!orders || orders.length === 0) {
+            return {
+                message: `📋 Você ainda não tem pedidos ou orçamentos.\n\nDigite *orcamento* para montar um.`,
+                newState: settings.states.IDLE,
+            };
+        }
+
+        let message = `📋 *Seus Pedidos*\n\n`;
+
+        orders.forEach(order => {
+            message += `• *${order.numero || `#${order.id}`}* - ${formatDate(order.created_at)}\n`;
+            message += `   ${formatCurrency(order.total)} | ${order.status.replace('_', ' ')}\n`;
+        });
+
+        message += `\n💡 Digite *menu* para ver outras opções`;
+
+        return {
+            message,
+            newState: settings.states.IDLE,
+        };
+    } catch (error) {
+        logger.error('Erro ao listar pedidos do cliente:', error.message);
+        return {
+            message: getErrorMessage(),
+            newState: settings.states.IDLE,
+        };
+    }
+}
+
+/**
+ * Lista próximos agendamentos do cliente
+ * @param {string} phone - Telefone do cliente
+ * @returns {object} Resposta formatada
+ */
+async function handleCustomerAppointments(phone) {
+    try {
+        const appointments = await appointmentService.getUpcomingByPhone(phone);
+
+        if (!appointments || appointments.length === 0) {
+            return {
+                message: `📅 Você não tem agendamentos marcados.\n\nDigite *agendar* para marcar um serviço.`,
+                newState: settings.states.IDLE,
+            };
+        }
+
+        let message = `📅 *Seus Agendamentos*\n\n`;
+
+        appointments.forEach(appointment => {
+            message += `• *${appointment.servico_nome || 'Serviço'}*\n`;
+            message += `   ${formatDate(`${appointment.data_agendamento}T00:00:00`)} às ${appointment.hora_inicio} (${appointment.status})\n`;
+        });
+
+        message += `\n💡 Digite *menu* para ver outras opções`;
+
+        return {
+            message,
+            newState: settings.states.IDLE,
+        };
+    } catch (error) {
+        logger.error('Erro ao listar agendamentos do cliente:', error.message);
+        return {
+            message: getErrorMessage(),
+            newState: settings.states.IDLE,
+        };
+    }
+}
+
 /**
  * Gera menu de categorias
  * @returns {object} Resposta com menu de categorias
@@ -551,12 +899,15 @@ async function getInitialResponse(customerName = '') {
         return {
             message: `${outsideMessage}\n\n${menu}`,
             newState: settings.states.IDLE,
+            data: { menuPath: null },
+            outsideHours: true,
         };
     }
 
     return {
         message: getWelcomeWithMenu(customerName),
         newState: settings.states.IDLE,
+        data: { menuPath: null },
     };
 }
 
@@ -564,6 +915,7 @@ module.exports = {
     // Mensagens
     getWelcomeMessage,
     getMainMenu,
+    getSubmenu,
     getWelcomeWithMenu,
     getOutsideHoursMessage,
     getInvalidOptionMessage,
@@ -575,9 +927,19 @@ module.exports = {
     getVehiclePromptMessage,
     getHumanQueueMessage,
     getNoProductsMessage,
+    getMediaReceivedMessage,
+    getMediaTooLargeMessage,
+    getAudioUnclearMessage,
+    getPartIdentifiedMessage,
     
+    // Navegação
+    getMenuNode,
+    getCurrentMenuPath,
+    getMenuOptionLimit,
+
     // Handlers
     processMenuOption,
+    executeMenuAction,
     handleProductList,
     handleProductSearch,
     handleVehicleSearch,
@@ -585,6 +947,10 @@ module.exports = {
     handleHumanRequest,
     handleProductByCode,
     handlePagination,
+    handleCategoryProducts,
+    handleServicesList,
+    handleCustomerOrders,
+    handleCustomerAppointments,
     handleCategoriesMenu,
     getInitialResponse,
 };
\ No newline at end of file
@@ -16,12 +16,24 @@ const {
     extractSearchTerm,
     extractFirstNumber,
     isWithinBusinessHours,
+    getNextOpening,
+    formatNextOpening,
 } = require('../utils/helpers');
 
 const customerService = require('../services/customerService');
 const whatsappService = require('../services/whatsappService');
+const botConfigService = require('../services/botConfigService');
+const scheduleService = require('../services/scheduleService');
+const aiUsageService = require('../services/aiUsageService');
+const sentimentService = require('../services/sentimentService');
+const conversationMemoryService = require('../services/conversationMemoryService');
+const mediaService = require('../services/mediaService');
+const partRecognitionService = require('../services/partRecognitionService');
 const menuHandler = require('./menuHandler');
 const productHandler = require('./productHandler');
+const quoteHandler = require('./quoteHandler');
+const appointmentHandler = require('./appointmentHandler');
+const callbackHandler = require('./callbackHandler');
 
 // IA Service - carrega dinamicamente se configurado
 let aiService = null;
@@ -31,13 +43,15 @@ let aiEnabled = false;
  * Inicializa o serviço de IA
  */
 async function initAI() {
-    if (!process.env.OPENAI_API_KEY) {
-        logger.warn('⚠️  IA não configurada - modo básico ativo');
-        return false;
-    }
-
     try {
         aiService = require('../services/aiService');
+
+        if (!aiService.initProvider()) {
+            logger.warn('⚠️  IA não configurada - modo básico ativo');
+            aiEnabled = false;
+            return false;
+        }
+
         const testResult = await aiService.testConnection();
         
         if (testResult.success) {
@@ -57,6 +71,70 @@ async function initAI() {
 // Inicializa IA no carregamento do módulo
 initAI();
 
+// Mês (AAAA-MM) em que o painel já foi avisado do orçamento esgotado
+let budgetAlertMonth = null;
+
+// Estados em que foto sem legenda passa pela identificação de peças
+const PART_PHOTO_STATES = [settings.states.IDLE, settings.states.WAITING_SEARCH];
+
+/**
+ * Verifica orçamento mensal e limites do cliente antes de usar a IA
+ * Sem permissão, a mensagem segue pelo menu (modo básico)
+ * @param {string} phone - Telefone do cliente
+ * @returns {boolean} Se a IA pode responder
+ */
+async function isAIAllowed(phone) {
+    const allowance = await aiUsageService.checkAllowance(phone);
+
+    if (allowance.allowed) {
+        return true;
+    }
+
+    if (allowance.reason === aiUsageService.BLOCK_REASONS.BUDGET) {
+        const month = new Date().toISOString().substring(0, 7);
+
+        if (budgetAlertMonth !== month) {
+            budgetAlertMonth = month;
+            logger.warn(`⚠️  Orçamento mensal da IA atingido (R$ ${allowance.budget.spent.toFixed(2)} de R$ ${allowance.budget.budget.toFixed(2)}) - atendendo só pelo menu`);
+            whatsappService.sendNotification('ai:budget_exceeded', {
+                spent: allowance.budget.spent,
+                budget: allowance.budget.budget,
+            });
+        }
+    } else {
+        logger.info(`🧠 Limite de IA do cliente ${phone} atingido (${allowance.reason}) - usando menu`);
+    }
+
+    return false;
+}
+
+/**
+ * Analisa sentimento/urgência da mensagem e alerta a equipe se necessário
+ * Roda sem await: falhas só ficam no log
+ * @param {number} messageId - ID da mensagem salva
+ * @param {string} phone - Telefone do cliente
+ * @param {string} text - Mensagem
+ * @param {object} customer - Cliente
+ */
+function scoreIncomingMessage(messageId, phone, text, customer) {
+    sentimentService.scoreMessage(messageId, phone, text)
+        .then(result => {
+            if (!sentimentService.shouldAlert(result)) return;
+
+            logger.warn(`🚨 Cliente ${result.urgencia === 'alta' ? 'com urgência' : 'insatisfeito'}: ${result.telefone}`);
+            whatsappService.sendNotification('customer:urgent', {
+                phone: result.telefone,
+                name: customer ? customer.nome : null,
+                message: text.substring(0, 200),
+                sentiment: result.sentimento,
+                urgency: result.urgencia,
+                priority: result.prioridade,
+                inQueue: !!result.atendimentoId,
+            });
+        })
+        .catch(() => {});
+}
+
 /**
  * Verifica se deve usar IA para a mensagem
  * @param {string} text - Texto da mensagem
@@ -74,9 +152,18 @@ function shouldUseAI(text, session) {
         return false;
     }
 
-    // Se é um comando de menu simples (número 1-6), não usa IA
-    const menuOption = getMenuOption(text);
-    if (menuOption >= 1 && menuOption <= 6) {
+    // Montagem de orçamento segue fluxo próprio
+    if (session.state === settings.states.BUILDING_QUOTE) {
+        return false;
+    }
+
+    // Agendamento segue fluxo próprio
+    if (session.state === settings.states.BOOKING_APPOINTMENT) {
+        return false;
+    }
+
+    // Se é opção do menu atual (número), não usa IA
+    if (getMenuOption(text, menuHandler.getMenuOptionLimit(session)) !== null) {
         return false;
     }
 
@@ -111,13 +198,18 @@ function shouldUseAI(text, session) {
 /**
  * Processa mensagem recebida
  * @param {object} messageData - Dados da mensagem
- * @returns {object} Resultado do processamento
+ * @returns {object} Resultado { success, response, additionalMessages, usedAI, action (fluxo pedido pela IA), toolsUsed, media (mídia registrada), transcription, identification }
  */
 async function handleMessage(messageData) {
-    const { phone, text, pushName, jid } = messageData;
+    const { phone, pushName, jid } = messageData;
+    let text = messageData.text || '';
+    const hasAttachment = !!(messageData.media || messageData.location);
+
+    // Mídia sem legenda entra no histórico pela descrição (📷 Foto, 📍 Localização...)
+    let historyText = text || mediaService.describe(messageData);
 
     try {
-        logger.info(`📨 Processando mensagem de ${phone}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+        logger.info(`📨 Processando mensagem de ${phone}: "${historyText.substring(0, 50)}${historyText.length > 50 ? '...' : ''}"`);
 
         // Registra/atualiza cliente
         const customer = await customerService.upsertCustomer(phone, {
@@ -125,20 +217,65 @@ async function handleMessage(messageData) {
         });
 
         // Salva mensagem recebida no histórico
-        await customerService.saveMessage(phone, text, 'entrada');
+        const messageId = await customerService.saveMessage(phone, historyText, 'entrada');
+
+        // Arquivo/localização ligados à mensagem salva (o atendente vê no painel)
+        const media = hasAttachment ? await mediaService.saveIncomingMedia(messageId, messageData) : null;
+
+        // Mensagem de voz: transcrição confiável segue como se o cliente tivesse digitado
+        const transcription = !text && media ? await mediaService.transcribeAudio(media) : null;
+
+        if (transcription && transcription.reliable) {
+            text = transcription.text;
+            historyText = `🎤 Áudio: ${text}`;
+        }
+
+        // Sentimento e urgência em segundo plano (não atrasa a resposta)
+        if (text) {
+            scoreIncomingMessage(messageId, phone, text, customer);
+        }
 
         // Obtém sessão atual do cliente
         const session = await customerService.getSession(phone);
 
+        // Fora do horário: guarda o contato para a equipe retornar na abertura
+        const callbackNote = isWithinBusinessHours()
+            ? null
+            : await callbackHandler.registerOutsideHoursContact(phone, historyText, session, customer);
+
+        // Foto sem legenda durante a busca de peças: tenta identificar (OCR + IA com visão)
+        const identification = !text && media && PART_PHOTO_STATES.includes(session.state)
+            ? await partRecognitionService.identifyPart(media, { canUseAI: () => isAIAllowed(session.phone) })
+            : null;
+
         // Decide se usa IA ou processamento tradicional
         let response;
         
-        if (shouldUseAI(text, session)) {
-            response = await processWithAI(text, session, customer);
+        if (transcription && !transcription.reliable) {
+            response = await handleUnclearAudio(session);
+        } else if (identification) {
+            response = await handleIdentifiedPart(identification, session);
+        } else if (!text) {
+            response = await handleMediaOnly(messageData, media, session);
+        } else if (shouldUseAI(text, session) && await isAIAllowed(session.phone)) {
+            response = await processWithAI(text, session, customer, messageId);
         } else {
             response = await processMessageByState(text, session, customer);
         }
 
+        // Arquivo acima do limite junto com texto: avisa depois da resposta
+        if (text && media && media.status === 'grande_demais' && session.state !== settings.states.IN_ATTENDANCE) {
+            response.additionalMessages = [
+                ...(response.additionalMessages || []),
+                menuHandler.getMediaTooLargeMessage(mediaService.formatSize(settings.media.maxSize)),
+            ];
+        }
+
+        // Mensagem de fora do horário já informa a abertura
+        if (callbackNote && !response.outsideHours) {
+            response.additionalMessages = [...(response.additionalMessages || []), callbackNote];
+        }
+
         // Atualiza sessão se necessário
         if (response.newState) {
             await customerService.updateSession(phone, response.newState, response.data || {});
@@ -164,7 +301,13 @@ async function handleMessage(messageData) {
         return {
             success: true,
             response: response.message,
+            additionalMessages: response.additionalMessages || [],
             usedAI: response.fromAI || false,
+            action: response.aiAction || null,
+            toolsUsed: response.toolsUsed || [],
+            media,
+            transcription,
+            identification,
         };
 
     } catch (error) {
@@ -186,20 +329,15 @@ async function handleMessage(messageData) {
  * @param {string} text - Texto da mensagem
  * @param {object} session - Dados da sessão
  * @param {object} customer - Dados do cliente
+ * @param {number} messageId - ID da mensagem salva (fica fora do histórico)
  * @returns {object} Resposta formatada
  */
-async function processWithAI(text, session, customer) {
+async function processWithAI(text, session, customer, messageId = null) {
     try {
         logger.info(`🧠 Processando com IA: "${text.substring(0, 30)}..."`);
 
-        // Obtém contexto da conversa
-        const conversationHistory = await customerService.getConversationHistory(session.phone, 10);
-        
-        // Formata histórico para a IA
-        const formattedHistory = conversationHistory.map(msg => ({
-            role: msg.tipo === 'entrada' ? 'user' : 'assistant',
-            content: msg.mensagem
-        })).reverse(); // Ordena do mais antigo para o mais recente
+        // Memória da conversa: resumo das antigas, fatos e mensagens recentes
+        const memory = await conversationMemoryService.buildContext(session.phone, { beforeId: messageId });
 
         // Chama o serviço de IA
         const aiResponse = await aiService.processMessage({
@@ -207,27 +345,49 @@ async function processWithAI(text, session, customer) {
             customerName: customer?.nome,
             customerPhone: session.phone,
             customerVehicle: customer?.veiculo,
-            conversationHistory: formattedHistory,
-            sessionData: session.data
+            conversationHistory: memory.history,
+            sessionData: session.data,
+            memory
         });
 
-        // Se a IA identificou uma ação específica
+        // Sessão: resultados das ferramentas (última busca, produto consultado)
+        const data = { ...(session.data || {}), ...(aiResponse.sessionData || {}) };
+
+        // Fatos e resumo atualizados em segundo plano (produto detalhado = interesse)
+        conversationMemoryService.updateMemory(session.phone, {
+            text,
+            products: [aiResponse.sessionData?.selectedProduct].filter(Boolean),
+        }).catch(() => {});
+
+        // A IA pediu um fluxo do bot (orçamento, agendamento, atendente)
         if (aiResponse.action) {
-            const actionResult = await handleAIAction(aiResponse.action, aiResponse.actionData, session);
+            const actionResult = await handleAIAction(aiResponse.action, aiResponse.actionData, { ...session, data });
             if (actionResult) {
-                return {
+                const response = {
                     ...actionResult,
-                    fromAI: true
+                    data: { ...(aiResponse.sessionData || {}), ...(actionResult.data || {}) },
+                    fromAI: true,
+                    aiAction: aiResponse.action,
+                    toolsUsed: aiResponse.toolsUsed || []
                 };
+
+                // Texto da IA primeiro, depois a mensagem do fluxo
+                if (aiResponse.response) {
+                    response.message = aiResponse.response;
+                    response.additionalMessages = [actionResult.message, ...(actionResult.additionalMessages || [])];
+                }
+
+                return response;
             }
         }
 
-        // Retorna resposta da IA
+        // Resposta da IA já baseada nos resultados das ferramentas
         return {
             message: aiResponse.response,
             newState: aiResponse.suggestedState || session.state,
-            data: aiResponse.sessionData || session.data,
+            data,
             fromAI: true,
+            toolsUsed: aiResponse.toolsUsed || [],
             additionalMessages: aiResponse.additionalMessages || []
         };
 
@@ -241,58 +401,28 @@ async function processWithAI(text, session, customer) {
 }
 
 /**
- * Processa ações identificadas pela IA
- * @param {string} action - Tipo de ação
- * @param {object} actionData - Dados da ação
+ * Inicia o fluxo do bot pedido pela IA (ferramentas de fluxo)
+ * As consultas (busca, disponibilidade, promoções) já foram
+ * respondidas pela IA com os resultados das ferramentas
+ * @param {string} action - Nome da ferramenta de fluxo
+ * @param {object} actionData - Argumentos da ferramenta
  * @param {object} session - Dados da sessão
  * @returns {object|null} Resposta ou null para continuar com resposta da IA
  */
 async function handleAIAction(action, actionData, session) {
     try {
         switch (action) {
-            case 'search_product':
-                // IA identificou que cliente quer buscar produto
-                return await menuHandler.handleProductSearch(actionData.query);
-
-            case 'search_vehicle':
-                // IA identificou busca por veículo
-                return await menuHandler.handleVehicleSearch(actionData.vehicle);
-
-            case 'show_product':
-                // IA identificou que cliente quer ver produto específico
-                const productResult = await productHandler.processProductInput(actionData.code);
-                if (productResult) {
-                    return {
-                        message: productResult.message,
-                        newState: settings.states.IDLE,
-                        data: productResult.found ? { selectedProduct: productResult.product } : {}
-                    };
-                }
-                return null;
-
-            case 'show_promotions':
-                // IA identificou interesse em promoções
-                return await menuHandler.processMenuOption(4, session);
-
-            case 'show_categories':
-                // IA identificou interesse em categorias
-                return await menuHandler.processMenuOption(5, session);
-
             case 'request_human':
                 // IA identificou que cliente quer falar com humano
                 return await menuHandler.handleHumanRequest(session.phone);
 
-            case 'show_services':
-                // IA identificou interesse em serviços
-                return await handleServicesRequest();
-
             case 'create_quote':
                 // IA identificou pedido de orçamento
                 return await handleQuoteRequest(actionData, session);
 
-            case 'check_availability':
-                // IA identificou verificação de disponibilidade
-                return await handleAvailabilityCheck(actionData);
+            case 'schedule_service':
+                // IA identificou pedido de agendamento
+                return await appointmentHandler.startBooking(session, { code: actionData?.code });
 
             default:
                 // Ação não reconhecida, deixa a IA responder
@@ -304,51 +434,6 @@ async function handleAIAction(action, actionData, session) {
     }
 }
 
-/**
- * Processa pedido de serviços
- * @returns {object} Resposta formatada
- */
-async function handleServicesRequest() {
-    try {
-        const serviceService = require('../services/serviceService');
-        const services = await serviceService.getAllServices(10);
-
-        if (services.length === 0) {
-            return {
-                message: `😅 Ainda não temos serviços cadastrados.\n\nDigite *3* para falar com um atendente.`,
-                newState: settings.states.IDLE
-            };
-        }
-
-        let message = `🔧 *Nossos Serviços*\n\n`;
-
-        services.forEach((service, index) => {
-            message += `*${index + 1}. ${service.nome}*\n`;
-            if (service.descricao) {
-                message += `   ${service.descricao.substring(0, 50)}${service.descricao.length > 50 ? '...' : ''}\n`;
-            }
-            message += `   💰 R$ ${parseFloat(service.preco).toFixed(2).replace('.', ',')}\n`;
-            if (service.duracao_estimada) {
-                message += `   ⏱️ ${service.duracao_estimada} min\n`;
-            }
-            message += `\n`;
-        });
-
-        message += `\n💡 Para mais informações sobre um serviço, é só perguntar!`;
-
-        return {
-            message,
-            newState: settings.states.IDLE
-        };
-    } catch (error) {
-        logger.error('Erro ao buscar serviços:', error.message);
-        return {
-            message: `🔧 *Nossos Serviços*\n\nPara conhecer nossos serviços e agendar, digite *3* para falar com um atendente.`,
-            newState: settings.states.IDLE
-        };
-    }
-}
-
 /**
  * Processa pedido de orçamento
  * @param {object} data - Dados do orçamento
@@ -356,65 +441,10 @@ async function handleServicesRequest() {
  * @returns {object} Resposta formatada
  */
 async function handleQuoteRequest(data, session) {
-    // Por enquanto, encaminha para atendente
-    const message = `📋 *Solicitação de Orçamento*\n\n` +
-        `Entendi que você precisa de um orçamento!\n\n` +
-        `Para elaborar um orçamento personalizado, vou te conectar com um de nossos atendentes.\n\n` +
-        `Aguarde um momento... ⏳`;
-
-    // Adiciona na fila
-    await customerService.addToQueue(session.phone, 'Solicitação de orçamento via IA');
-
-    return {
-        message,
-        newState: settings.states.WAITING_HUMAN,
-        additionalMessages: [
-            `📍 Você foi adicionado à fila de atendimento.\n\nDigite *cancelar* a qualquer momento para sair da fila.`
-        ]
-    };
-}
-
-/**
- * Processa verificação de disponibilidade
- * @param {object} data - Dados do produto
- * @returns {object} Resposta formatada
- */
-async function handleAvailabilityCheck(data) {
-    try {
-        const productService = require('../services/productService');
-        
-        if (data.productId) {
-            const availability = await productService.checkAvailability(data.productId, data.quantity || 1);
-            
-            if (availability.available) {
-                return {
-                    message: `✅ *Disponível!*\n\n` +
-                        `*${availability.product.nome}*\n` +
-                        `📦 Quantidade em estoque: ${availability.availableQty} unidades\n` +
-                        `💰 Preço: R$ ${parseFloat(availability.product.preco).toFixed(2).replace('.', ',')}`,
-                    newState: settings.states.IDLE
-                };
-            } else {
-                return {
-                    message: `❌ *${availability.reason}*\n\n` +
-                        (availability.availableQty > 0 
-                            ? `Temos apenas ${availability.availableQty} unidade(s) disponível(is).`
-                            : `No momento estamos sem estoque deste produto.`),
-                    newState: settings.states.IDLE
-                };
-            }
-        }
-
-        // Se não tem ID, busca pelo termo
-        if (data.query) {
-            return await menuHandler.handleProductSearch(data.query);
-        }
-
-        return null;
-    } catch (error) {
-        logger.error('Erro ao verificar disponibilidade:', error.message);
-        return null;
-    }
+    return await quoteHandler.startQuote(session, {
+        code: data?.code,
+        quantity: data?.quantity,
+    });
 }
 
 /**
@@ -428,6 +458,14 @@ async function processMessageByState(text, session, customer) {
     const { state, phone, data } = session;
     const normalizedText = text.toLowerCase().trim();
 
+    // Resposta a lembrete de agendamento (confirmar/cancelar/remarcar)
+    if (state === settings.states.IDLE) {
+        const reminderResponse = await appointmentHandler.handleReminderReply(normalizedText, session);
+        if (reminderResponse) {
+            return reminderResponse;
+        }
+    }
+
     // Comandos globais (funcionam em qualquer estado)
     const globalResponse = await handleGlobalCommands(normalizedText, session);
     if (globalResponse) {
@@ -457,6 +495,12 @@ async function processMessageByState(text, session, customer) {
         case settings.states.IN_ATTENDANCE:
             return await handleInAttendanceState(text, session);
 
+        case settings.states.BUILDING_QUOTE:
+            return await quoteHandler.handleQuoteInput(text, session);
+
+        case settings.states.BOOKING_APPOINTMENT:
+            return await appointmentHandler.handleBookingInput(text, session);
+
         case settings.states.WAITING_AI:
             return await handleAIWaitState(text, session, customer);
 
@@ -477,7 +521,7 @@ async function handleGlobalCommands(text, session) {
         return {
             message: menuHandler.getMainMenu(),
             newState: settings.states.IDLE,
-            data: {},
+            data: { menuPath: null },
         };
     }
 
@@ -487,7 +531,7 @@ async function handleGlobalCommands(text, session) {
         return {
             message: `✅ Operação cancelada.\n\n${menuHandler.getMainMenu()}`,
             newState: settings.states.IDLE,
-            data: {},
+            data: { quoteDraft: null, booking: null, menuPath: null },
         };
     }
 
@@ -512,6 +556,8 @@ function getHelpMessage() {
     message += `📋 *menu* - Voltar ao menu principal\n`;
     message += `🔍 *buscar [termo]* - Buscar produto\n`;
     message += `🚗 *veiculo [modelo]* - Buscar por veículo\n`;
+    message += `📋 *orcamento* - Montar um orçamento\n`;
+    message += `📅 *agendar* - Agendar um serviço\n`;
     message += `❌ *cancelar* - Cancelar operação atual\n`;
     message += `👤 *atendente* - Falar com humano\n\n`;
     
@@ -534,26 +580,37 @@ function getHelpMessage() {
  * @returns {object} Resposta formatada
  */
 async function handleIdleState(text, session, customer) {
-    const normalizedText = text.toLowerCase().trim();
-    const intent = detectIntent(text);
+    const intent = detectIntent(text, menuHandler.getMenuOptionLimit(session));
 
     logger.debug(`Intent detectada: ${intent}`);
 
+    const response = await handleIdleIntent(intent, text, session, customer);
+
+    // Qualquer outra interação tira o cliente do submenu
+    if (intent !== 'menu_option' && session.data?.menuPath) {
+        response.data = { ...(response.data || {}), menuPath: null };
+    }
+
+    return response;
+}
+
+/**
+ * Responde à intenção detectada no estado IDLE
+ * @param {string} intent - Intenção detectada
+ * @param {string} text - Texto da mensagem
+ * @param {object} session - Dados da sessão
+ * @param {object} customer - Dados do cliente
+ * @returns {object} Resposta formatada
+ */
+async function handleIdleIntent(intent, text, session, customer) {
     switch (intent) {
         // Saudações
         case 'greeting':
             return await menuHandler.getInitialResponse(customer?.nome);
 
-        // Opção do menu (número)
+        // Opção do menu atual (número)
         case 'menu_option':
-            const option = getMenuOption(text);
-            if (option >= 1 && option <= 6) {
-                return await menuHandler.processMenuOption(option, session);
-            }
-            return {
-                message: menuHandler.getInvalidOptionMessage(),
-                newState: settings.states.IDLE,
-            };
+            return await menuHandler.processMenuOption(getMenuOption(text), session);
 
         // Agradecimento
         case 'thanks':
@@ -573,6 +630,13 @@ async function handleIdleState(text, session, customer) {
         case 'human':
             return await menuHandler.handleHumanRequest(session.phone);
 
+        // Montagem de orçamento
+        case 'quote':
+            return await quoteHandler.startQuote(session);
+
+        case 'schedule':
+            return await appointmentHandler.startBooking(session);
+
         // Busca explícita
         case 'search':
             const searchTerm = extractSearchTerm(text);
@@ -706,6 +770,73 @@ async function handleVehicleState(text, session) {
     };
 }
 
+/**
+ * Responde foto, áudio, arquivo ou localização sem texto
+ * @param {object} messageData - Mensagem recebida
+ * @param {object|null} media - Mídia registrada (mediaService)
+ * @param {object} session - Dados da sessão
+ * @returns {object} Resposta formatada (não muda o estado)
+ */
+async function handleMediaOnly(messageData, media, session) {
+    // Em atendimento humano o atendente vê a mídia no painel
+    if (session.state === settings.states.IN_ATTENDANCE) {
+        return { message: null };
+    }
+
+    // Na fila: confirma que a mensagem ficou registrada para o atendente
+    if (session.state === settings.states.WAITING_HUMAN) {
+        return await handleHumanWaitState('', session);
+    }
+
+    if (media && media.status === 'grande_demais') {
+        return { message: menuHandler.getMediaTooLargeMessage(mediaService.formatSize(settings.media.maxSize)) };
+    }
+
+    return {
+        message: menuHandler.getMediaReceivedMessage(messageData.location ? 'location' : messageData.media.type),
+    };
+}
+
+/**
+ * Peça identificada na foto: segue pelo mesmo caminho
+ * do texto digitado (código do produto ou busca)
+ * @param {object} identification - { query, description } (partRecognitionService)
+ * @param {object} session - Dados da sessão
+ * @returns {object} Resposta formatada
+ */
+async function handleIdentifiedPart(identification, session) {
+    const response = await handleGenericInput(identification.query, session);
+
+    return {
+        ...response,
+        message: `${menuHandler.getPartIdentifiedMessage(identification.description)}\n\n${response.message}`,
+    };
+}
+
+/**
+ * Áudio com transcrição ruim (confiança baixa, vazia ou
+ * em outro idioma): em vez de arriscar uma resposta
+ * errada, coloca o cliente na fila para um atendente ouvir
+ * @param {object} session - Dados da sessão
+ * @returns {object} Resposta formatada
+ */
+async function handleUnclearAudio(session) {
+    if (session.state === settings.states.IN_ATTENDANCE) {
+        return { message: null };
+    }
+
+    if (session.state === settings.states.WAITING_HUMAN) {
+        return await handleHumanWaitState('', session);
+    }
+
+    const response = await menuHandler.handleHumanRequest(session.phone, 'Áudio não compreendido pela transcrição');
+
+    return {
+        ...response,
+        message: `${menuHandler.getAudioUnclearMessage()}\n\n${response.message}`,
+    };
+}
+
 /**
  * Processa mensagem no estado WAITING_HUMAN
  * @param {string} text - Texto da mensagem
@@ -775,8 +906,8 @@ async function handleInAttendanceState(text, session) {
  * @returns {object} Resposta formatada
  */
 async function handleAIWaitState(text, session, customer) {
-    // Se a IA está ativa, processa com ela
-    if (aiEnabled && aiService) {
+    // Se a IA está ativa (e dentro do orçamento), processa com ela
+    if (aiEnabled && aiService && await isAIAllowed(session.phone)) {
         return await processWithAI(text, session, customer);
     }
 
@@ -887,7 +1018,7 @@ async function handleAdminCommand(text, session) {
                     `🤖 Bot: ${connected ? '✅ Online' : '❌ Offline'}\n` +
                     `🧠 IA: ${aiEnabled ? '✅ Ativa' : '❌ Inativa'}\n` +
                     `👥 Fila de atendimento: ${queueCount}\n` +
-                    `⏰ Horário comercial: ${isWithinBusinessHours() ? '✅ Sim' : '❌ Não'}`,
+                    `⏰ Horário comercial: ${isWithinBusinessHours() ? '✅ Sim' : `❌ Não (abre ${formatNextOpening(getNextOpening())})`}`,
             newState: settings.states.IDLE,
         };
     }
@@ -926,7 +1057,7 @@ async function handleAdminCommand(text, session) {
                 newState: settings.states.IDLE,
             };
         } else if (param === 'on') {
-            if (aiService) {
+            if (aiService && aiService.isConfigured()) {
                 aiEnabled = true;
                 return {
                     message: `🧠 IA ativada!`,
@@ -934,13 +1065,13 @@ async function handleAdminCommand(text, session) {
                 };
             } else {
                 return {
-                    message: `❌ IA não configurada. Verifique a chave OPENAI_API_KEY.`,
+                    message: `❌ IA não configurada. Verifique IA_PROVEDOR e as chaves no .env.`,
                     newState: settings.states.IDLE,
                 };
             }
         } else {
             return {
-                message: `🧠 *Status da IA*\n\nIA está ${aiEnabled ? 'ativada ✅' : 'desativada ❌'}\n\nUse: /ia on ou /ia off`,
+                message: `🧠 *Status da IA*\n\nIA está ${aiEnabled ? 'ativada ✅' : 'desativada ❌'}\nProvedor: ${settings.ai.provider}\n\nUse: /ia on ou /ia off`,
                 newState: settings.states.IDLE,
             };
         }
@@ -949,8 +1080,25 @@ async function handleAdminCommand(text, session) {
     // Comando: /reload
     if (normalizedText === '/reload') {
         await initAI();
+
+        let textsInfo = '❌ Erro ao carregar';
+        try {
+            const custom = await botConfigService.loadBotConfig();
+            textsInfo = `✅ ${custom.messages} mensagem(ns) e ${custom.triggers} gatilho(s) personalizados`;
+        } catch (error) {
+            logger.error('Erro ao recarregar textos do bot:', error.message);
+        }
+
+        let scheduleInfo = '❌ Erro ao carregar';
+        try {
+            const schedule = await scheduleService.loadSchedule();
+            scheduleInfo = `✅ ${schedule.customHours ? 'personalizado' : 'padrão'} (${schedule.timezone}), ${schedule.holidays} feriado(s)`;
+        } catch (error) {
+            logger.error('Erro ao recarregar horário:', error.message);
+        }
+
         return {
-            message: `🔄 Serviços recarregados!\n\n🧠 IA: ${aiEnabled ? '✅ Ativa' : '❌ Inativa'}`,
+            message: `🔄 Serviços recarregados!\n\n🧠 IA: ${aiEnabled ? '✅ Ativa' : '❌ Inativa'}\n💬 Textos: ${textsInfo}\n⏰ Horário: ${scheduleInfo}`,
             newState: settings.states.IDLE,
         };
     }
@@ -30,7 +30,7 @@ async function getProductByCode(code) {
         if (!product) {
             return {
                 found: false,
-                message: `❌ *Produto não encontrado*\n\nO código *${code.toUpperCase()}* não existe no nosso sistema.\n\n💡 Dicas:\n• Verifique se digitou corretamente\n• Digite *1* para ver produtos disponíveis\n• Digite *2* para buscar por nome`,
+                message: `❌ *Produto não encontrado*\n\nO código *${code.toUpperCase()}* não existe no nosso sistema.\n\n💡 Dicas:\n• Verifique se digitou corretamente\n• Digite *menu* para ver as opções\n• Digite *buscar [nome]* para buscar por nome`,
             };
         }
 
@@ -421,7 +421,7 @@ async function checkProductAvailability(codeOrId, quantity = 1) {
             message += `✅ *DISPONÍVEL*\n`;
             message += `📊 Estoque: ${availability.availableQty} unidade(s)\n`;
             message += `🛒 Quantidade solicitada: ${quantity}\n\n`;
-            message += `💡 Digite *6* para falar com um atendente e fazer seu pedido.`;
+            message += `💡 Digite *atendente* para falar com um atendente e fazer seu pedido.`;
         } else {
             message += `❌ *${availability.reason.toUpperCase()}*\n`;
             
@@ -429,7 +429,7 @@ async function checkProductAvailability(codeOrId, quantity = 1) {
                 message += `📊 Disponível: apenas ${availability.availableQty} unidade(s)\n`;
             }
             
-            message += `\n💡 Digite *6* para ser avisado quando chegar.`;
+            message += `\n💡 Digite *atendente* para ser avisado quando chegar.`;
         }
 
         return {
@@ -582,7 +582,7 @@ async function formatProductDetails(product) {
     }
     
     message += `💡 *Quer comprar?*\n`;
-    message += `Digite *6* para falar com um atendente.\n\n`;
+    message += `Digite *atendente* para falar com um atendente.\n\n`;
     message += `🔙 Digite *menu* para voltar ao início.`;
     
     return message;
@@ -626,7 +626,7 @@ function getNoVehicleResultsMessage(vehicle) {
     message += `• _Gol G5_\n`;
     message += `• _Onix 2019_\n`;
     message += `• _Corolla 2.0_\n\n`;
-    message += `Digite *6* para falar com um atendente.`;
+    message += `Digite *atendente* para falar com um atendente.`;
     
     return message;
 }
@@ -640,7 +640,7 @@ function getSearchFooter() {
     footer += `💡 *Opções:*\n`;
     footer += `• Digite o *código* para mais detalhes\n`;
     footer += `• Digite *menu* para voltar\n`;
-    footer += `• Digite *6* para falar com atendente`;
+    footer += `• Digite *atendente* para falar com atendente`;
     
     return footer;
 }
@@ -0,0 +1,472 @@
+/**
+ * ============================================
+ * HANDLER DE ORÇAMENTOS
+ * ============================================
+ *
+ * Monta orçamentos durante a conversa: o cliente
+ * adiciona itens por código ou a partir da última
+ * busca, acompanha o total e confirma o envio
+ * para aprovação da equipe.
+ */
+
+const { settings } = require('../config/settings');
+const { formatCurrency } = require('../utils/formatter');
+const logger = require('../utils/logger');
+
+const productService = require('../services/productService');
+const serviceService = require('../services/serviceService');
+const customerService = require('../services/customerService');
+const orderService = require('../services/orderService');
+const whatsappService = require('../services/whatsappService');
+
+// Quantidade máxima de itens em um orçamento pelo WhatsApp
+const MAX_QUOTE_ITEMS = 20;
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Obtém rascunho do orçamento da sessão
+ * @param {object} session - Dados da sessão
+ * @returns {object} Rascunho { itens }
+ */
+function getDraft(session) {
+    const draft = session.data?.quoteDraft;
+    return draft && Array.isArray(draft.itens) ? draft : { itens: [] };
+}
+
+/**
+ * Calcula total do rascunho
+ * @param {object} draft - Rascunho do orçamento
+ * @returns {number} Total estimado
+ */
+function getDraftTotal(draft) {
+    return draft.itens.reduce((sum, item) => sum + item.preco_final * item.quantidade, 0);
+}
+
+/**
+ * Formata rascunho do orçamento para o WhatsApp
+ * @param {object} draft - Rascunho do orçamento
+ * @returns {string} Texto formatado
+ */
+function formatDraft(draft) {
+    if (draft.itens.length === 0) {
+        return `🧾 *Seu orçamento está vazio*\n`;
+    }
+
+    let text = `🧾 *Seu orçamento*\n\n`;
+
+    draft.itens.forEach((item, index) => {
+        text += `*${index + 1}.* ${item.codigo ? `[${item.codigo}] ` : ''}${item.nome}\n`;
+        text += `   ${item.quantidade}x ${formatCurrency(item.preco_final)} = *${formatCurrency(item.preco_final * item.quantidade)}*\n`;
+    });
+
+    text += `\n━━━━━━━━━━━━━━━━━━\n`;
+    text += `💰 *Total estimado: ${formatCurrency(getDraftTotal(draft))}*\n`;
+
+    return text;
+}
+
+/**
+ * Formata lista numerada de resultados para escolha
+ * @param {array} products - Produtos da última busca
+ * @returns {string} Lista numerada
+ */
+function formatSearchOptions(products) {
+    let text = `📋 *Itens da sua última busca:*\n\n`;
+
+    products.slice(0, settings.pagination.maxSearchResults).forEach((product, index) => {
+        const price = product.preco_promocional || product.preco;
+        text += `*${index + 1}.* ${product.codigo ? `[${product.codigo}] ` : ''}${product.nome} - ${formatCurrency(price)}\n`;
+    });
+
+    return text;
+}
+
+/**
+ * Instruções de uso do orçamento
+ * @returns {string} Texto de ajuda
+ */
+function getQuoteInstructions() {
+    let text = `\n💡 *Como montar seu orçamento:*\n`;
+    text += `• Digite o *código* (ex: FLT001) ou *código quantidade* (ex: FLT001 2)\n`;
+    text += `• Digite o *número* de um item da lista acima\n`;
+    text += `• Digite um *nome* para buscar produtos\n`;
+    text += `• *remover [número]* - tira um item\n`;
+    text += `• *ver* - mostra o orçamento\n`;
+    text += `• *confirmar* - envia para a loja\n`;
+    text += `• *cancelar* - descarta o orçamento`;
+    return text;
+}
+
+/**
+ * Monta resposta mantendo o estado de orçamento
+ * @param {string} message - Mensagem
+ * @param {object} data - Dados adicionais da sessão
+ * @returns {object} Resposta formatada
+ */
+function quoteResponse(message, data = {}) {
+    return {
+        message,
+        newState: settings.states.BUILDING_QUOTE,
+        data,
+    };
+}
+
+/**
+ * Busca item do catálogo por código (produto ou serviço)
+ * @param {string} code - Código do item
+ * @returns {object|null} Item do rascunho ou null
+ */
+async function findCatalogItem(code) {
+    const normalized = code.toUpperCase();
+
+    const product = await productService.getProductByCode(normalized);
+    if (product) {
+        const price = await productService.getProductPrice(product.id);
+        return {
+            tipo: 'produto',
+            produto_id: product.id,
+            codigo: product.codigo,
+            nome: product.nome,
+            preco_final: price ? price.preco_final : parseFloat(product.preco),
+        };
+    }
+
+    const service = await serviceService.getServiceByCode(normalized);
+    if (service) {
+        const price = await serviceService.getServicePrice(service.id);
+        return {
+            tipo: 'servico',
+            servico_id: service.id,
+            codigo: service.codigo,
+            nome: service.nome,
+            preco_final: price ? price.preco_final : parseFloat(service.preco),
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Adiciona item ao rascunho (soma quantidade se já existir)
+ * @param {object} draft - Rascunho do orçamento
+ * @param {object} item - Item do catálogo
+ * @param {number} quantidade - Quantidade
+ * @returns {object} Novo rascunho
+ */
+function addToDraft(draft, item, quantidade) {
+    const isSame = i =>
+        i.tipo === item.tipo &&
+        (item.tipo === 'produto' ? i.produto_id === item.produto_id : i.servico_id === item.servico_id);
+
+    if (draft.itens.some(isSame)) {
+        return {
+            ...draft,
+            itens: draft.itens.map(i => isSame(i) ? { ...i, quantidade: i.quantidade + quantidade } : i),
+        };
+    }
+
+    return { ...draft, itens: [...draft.itens, { ...item, quantidade }] };
+}
+
+// ============================================
+// FLUXO DO ORÇAMENTO
+// ============================================
+
+/**
+ * Inicia montagem de orçamento
+ * @param {object} session - Dados da sessão
+ * @param {object} options - { code, quantity } item inicial opcional
+ * @returns {object} Resposta formatada
+ */
+async function startQuote(session, options = {}) {
+    try {
+        let draft = { itens: [] };
+        let message = `📋 *Montar Orçamento*\n\n`;
+        message += `Vamos montar seu orçamento por aqui mesmo! 😊\n\n`;
+
+        if (options.code) {
+            const item = await findCatalogItem(options.code);
+            if (item) {
+                draft = addToDraft(draft, item, parseInt(options.quantity) || 1);
+                message += `✅ *${item.nome}* adicionado.\n\n`;
+                message += formatDraft(draft);
+            }
+        }
+
+        const lastSearch = session.data?.lastSearch;
+        if (Array.isArray(lastSearch) && lastSearch.length > 0) {
+            message += `\n${formatSearchOptions(lastSearch)}`;
+        }
+
+        message += getQuoteInstructions();
+
+        return quoteResponse(message, { quoteDraft: draft });
+    } catch (error) {
+        logger.error('Erro ao iniciar orçamento:', error.message);
+        return {
+            message: `⚠️ Não foi possível iniciar o orçamento. Tente novamente.`,
+            newState: settings.states.IDLE,
+        };
+    }
+}
+
+/**
+ * Processa mensagem durante a montagem do orçamento
+ * @param {string} text - Texto da mensagem
+ * @param {object} session - Dados da sessão
+ * @returns {object} Resposta formatada
+ */
+async function handleQuoteInput(text, session) {
+    try {
+        const input = text.trim();
+        const normalized = input.toLowerCase();
+        const draft = getDraft(session);
+
+        // Confirmar
+        if (['confirmar', 'finalizar', 'fechar', 'enviar'].includes(normalized)) {
+            return await confirmQuote(session, draft);
+        }
+
+        // Ver orçamento
+        if (['ver', 'resumo', 'orcamento', 'orçamento', 'itens'].includes(normalized)) {
+            return quoteResponse(formatDraft(draft) + getQuoteInstructions());
+        }
+
+        // Remover item
+        const removeMatch = normalized.match(/^(?:remover|tirar|excluir)\s+(\d+)$/);
+        if (removeMatch) {
+            return removeItem(draft, parseInt(removeMatch[1]));
+        }
+
+        if (draft.itens.length >= MAX_QUOTE_ITEMS) {
+            return quoteResponse(
+                `⚠️ Seu orçamento atingiu o limite de ${MAX_QUOTE_ITEMS} itens.\n\n` +
+                `Digite *confirmar* para enviar ou *remover [número]* para tirar um item.`
+            );
+        }
+
+        // Adicionar por código (ex: FLT001 ou FLT001 2)
+        const codeMatch = input.match(/^(?:add|adicionar)?\s*([A-Za-z]{2,4}\d{2,4})(?:\s+x?\s*(\d+))?$/i);
+        if (codeMatch) {
+            return await addItemByCode(draft, codeMatch[1], parseInt(codeMatch[2]) || 1);
+        }
+
+        // Adicionar da última busca (ex: 2 ou 2 3)
+        const indexMatch = normalized.match(/^(\d+)(?:\s+x?\s*(\d+))?$/);
+        if (indexMatch) {
+            return await addItemFromSearch(draft, session, parseInt(indexMatch[1]), parseInt(indexMatch[2]) || 1);
+        }
+
+        // Qualquer outro texto vira busca
+        if (input.length >= 3) {
+            return await searchForQuote(input);
+        }
+
+        return quoteResponse(`⚠️ Não entendi.\n${getQuoteInstructions()}`);
+    } catch (error) {
+        logger.error('Erro ao processar orçamento:', error.message);
+        return quoteResponse(`⚠️ Erro ao atualizar o orçamento. Tente novamente.`);
+    }
+}
+
+/**
+ * Adiciona item pelo código
+ * @param {object} draft - Rascunho do orçamento
+ * @param {string} code - Código do produto/serviço
+ * @param {number} quantidade - Quantidade
+ * @returns {object} Resposta formatada
+ */
+async function addItemByCode(draft, code, quantidade) {
+    const item = await findCatalogItem(code);
+
+    if (!item) {
+        return quoteResponse(
+            `❌ Código *${code.toUpperCase()}* não encontrado.\n\n` +
+            `Confira o código ou digite o nome do produto para buscar.`
+        );
+    }
+
+    const newDraft = addToDraft(draft, item, quantidade);
+
+    return quoteResponse(
+        `✅ *${item.nome}* adicionado (${quantidade}x).\n\n${formatDraft(newDraft)}\n` +
+        `Digite *confirmar* para enviar ou continue adicionando itens.`,
+        { quoteDraft: newDraft }
+    );
+}
+
+/**
+ * Adiciona item a partir da última busca
+ * @param {object} draft - Rascunho do orçamento
+ * @param {object} session - Dados da sessão
+ * @param {number} index - Posição na lista (1-based)
+ * @param {number} quantidade - Quantidade
+ * @returns {object} Resposta formatada
+ */
+async function addItemFromSearch(draft, session, index, quantidade) {
+    const lastSearch = session.data?.lastSearch;
+
+    if (!Array.isArray(lastSearch) || lastSearch.length === 0) {
+        return quoteResponse(
+            `⚠️ Nenhuma busca recente.\n\n` +
+            `Digite o nome do produto para buscar ou o código para adicionar.`
+        );
+    }
+
+    const product = lastSearch[index - 1];
+    if (!product) {
+        return quoteResponse(`⚠️ Escolha um número entre 1 e ${lastSearch.length}.`);
+    }
+
+    const price = await productService.getProductPrice(product.id);
+    if (!price) {
+        return quoteResponse(`😕 O produto *${product.nome}* não está mais disponível.`);
+    }
+
+    const newDraft = addToDraft(draft, {
+        tipo: 'produto',
+        produto_id: product.id,
+        codigo: product.codigo,
+        nome: product.nome,
+        preco_final: price.preco_final,
+    }, quantidade);
+
+    return quoteResponse(
+        `✅ *${product.nome}* adicionado (${quantidade}x).\n\n${formatDraft(newDraft)}\n` +
+        `Digite *confirmar* para enviar ou continue adicionando itens.`,
+        { quoteDraft: newDraft }
+    );
+}
+
+/**
+ * Remove item do rascunho
+ * @param {object} draft - Rascunho do orçamento
+ * @param {number} index - Posição do item (1-based)
+ * @returns {object} Resposta formatada
+ */
+function removeItem(draft, index) {
+    if (!draft.itens[index - 1]) {
+        return quoteResponse(`⚠️ Item *${index}* não existe no orçamento.\n\n${formatDraft(draft)}`);
+    }
+
+    const removed = draft.itens[index - 1];
+    const newDraft = { ...draft, itens: draft.itens.filter((_, i) => i !== index - 1) };
+
+    return quoteResponse(
+        `🗑️ *${removed.nome}* removido.\n\n${formatDraft(newDraft)}`,
+        { quoteDraft: newDraft }
+    );
+}
+
+/**
+ * Busca produtos durante a montagem do orçamento
+ * @param {string} term - Termo de busca
+ * @returns {object} Resposta formatada
+ */
+async function searchForQuote(term) {
+    const products = await productService.search(term, settings.pagination.maxSearchResults);
+
+    if (!products || products.length === 0) {
+        return quoteResponse(
+            `😕 Nenhum produto encontrado para "${term}".\n\n` +
+            `Tente outro nome ou digite *ver* para conferir seu orçamento.`
+        );
+    }
+
+    let message = `🔍 *Resultados para "${term}"*\n\n`;
+    message += formatSearchOptions(products);
+    message += `\n💡 Digite o *número* do item para adicionar (ex: *1* ou *1 2* para 2 unidades).`;
+
+    return quoteResponse(message, { lastSearch: products, searchTerm: term });
+}
+
+/**
+ * Confirma orçamento: grava o pedido e encaminha para a equipe
+ * @param {object} session - Dados da sessão
+ * @param {object} draft - Rascunho do orçamento
+ * @returns {object} Resposta formatada
+ */
+async function confirmQuote(session, draft) {
+    if (draft.itens.length === 0) {
+        return quoteResponse(
+            `⚠️ Seu orçamento está vazio.\n\nAdicione pelo menos um item antes de confirmar.`
+        );
+    }
+
+    // Totais são recalculados no servidor com os preços atuais
+    const orderId = await orderService.createOrder({
+        telefone: session.phone,
+        tipo: 'orcamento',
+        status: 'aguardando',
+        observacoes: 'Orçamento montado pelo cliente via WhatsApp',
+        itens: draft.itens.map(item => ({
+            tipo: item.tipo,
+            produto_id: item.produto_id,
+            servico_id: item.servico_id,
+            quantidade: item.quantidade,
+        })),
+    });
+
+    const order = await orderService.getOrderById(orderId);
+
+    // Lista de itens anexada ao atendimento
+    let reason = `Aprovação de orçamento ${order.numero}\n`;
+    order.itens.forEach(item => {
+        reason += `• ${item.quantidade}x ${item.descricao} - ${formatCurrency(item.subtotal)}\n`;
+    });
+    reason += `Total: ${formatCurrency(order.total)}`;
+
+    const queue = await customerService.addToQueue(session.phone, reason, {
+        products: order.itens.map(item => ({
+            nome: item.descricao,
+            preco: item.preco_unitario,
+            quantidade: item.quantidade,
+        })),
+    });
+
+    whatsappService.sendNotification('quote:created', {
+        id: order.id,
+        numero: order.numero,
+        phone: session.phone,
+        total: order.total,
+        itens: order.itens,
+    });
+
+    logger.info(`Orçamento ${order.numero} confirmado por ${session.phone}`);
+
+    let message = `✅ *Orçamento ${order.numero} enviado!*\n\n`;
+    order.itens.forEach((item, index) => {
+        message += `*${index + 1}.* ${item.descricao}\n`;
+        message += `   ${item.quantidade}x = ${formatCurrency(item.subtotal)}\n`;
+    });
+    message += `\n━━━━━━━━━━━━━━━━━━\n`;
+    if (parseFloat(order.desconto) > 0) {
+        message += `🏷️ Descontos: -${formatCurrency(order.desconto)}\n`;
+    }
+    message += `💰 *Total: ${formatCurrency(order.total)}*\n\n`;
+    message += `Um atendente vai revisar e aprovar seu orçamento em breve. ⏳`;
+
+    const additionalMessages = [];
+    if (queue.position) {
+        additionalMessages.push(
+            `📍 Sua posição na fila: *${queue.position}º*\n\nDigite *cancelar* a qualquer momento para sair da fila.`
+        );
+    }
+
+    return {
+        message,
+        newState: settings.states.WAITING_HUMAN,
+        data: { quoteDraft: null, lastQuote: order.numero },
+        additionalMessages,
+    };
+}
+
+module.exports = {
+    startQuote,
+    handleQuoteInput,
+    confirmQuote,
+    formatDraft,
+};
@@ -108,6 +108,13 @@ const db = require('./database/connection');
 const whatsappService = require('./services/whatsappService');
 const customerService = require('./services/customerService');
 const messageHandler = require('./handlers/messageHandler');
+const appointmentHandler = require('./handlers/appointmentHandler');
+const callbackHandler = require('./handlers/callbackHandler');
+const jobService = require('./services/jobService');
+const botConfigService = require('./services/botConfigService');
+const scheduleService = require('./services/scheduleService');
+const catalogIndexService = require('./services/catalogIndexService');
+const llm = require('./services/llm');
 const { settings } = require('./config/settings');
 
 // Variável para controlar estado da aplicação
@@ -140,9 +147,10 @@ function showConfig() {
     logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     logger.info(`📌 Loja: ${settings.store.name}`);
     logger.info(`🤖 Bot: ${settings.bot.name}`);
-    logger.info(`⏰ Horário: ${settings.schedule.startTime} às ${settings.schedule.endTime}`);
+    logger.info(`⏰ Horário: ${settings.schedule.startTime} às ${settings.schedule.endTime} (${settings.schedule.timezone})`);
     logger.info(`📅 Dias: ${settings.schedule.workDays.join(', ')}`);
-    logger.info(`🧠 IA: ${process.env.OPENAI_API_KEY ? 'Configurada ✅' : 'Não configurada ⚠️'}`);
+    logger.info(`🧠 IA: ${settings.ai.provider} ${llm.isConfigured() ? '(configurada ✅)' : '(não configurada ⚠️)'}`);
+    logger.info(`📱 Canal WhatsApp: ${settings.whatsapp.channel}`);
     logger.info(`🌐 Servidor Web: ${process.env.START_WEB_SERVER === 'true' ? 'Habilitado' : 'Desabilitado'}`);
     logger.info(`🔐 Crypto: ${typeof globalThis.crypto !== 'undefined' ? 'Polyfill ativo ✅' : 'Nativo ✅'}`);
     logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -162,6 +170,14 @@ async function initDatabase() {
         logger.info(`   📦 Produtos: ${stats.produtos || 0}`);
         logger.info(`   🔧 Serviços: ${stats.servicos || 0}`);
         logger.info(`   👤 Clientes: ${stats.clientes || 0}`);
+
+        // Mensagens e gatilhos editados pelo painel
+        const custom = await botConfigService.loadBotConfig();
+        logger.info(`   💬 Textos personalizados: ${custom.messages} mensagem(ns), ${custom.triggers} gatilho(s)`);
+
+        // Horário por dia, fuso e feriados
+        const schedule = await scheduleService.loadSchedule();
+        logger.info(`   ⏰ Horário ${schedule.customHours ? 'personalizado' : 'padrão'} (${schedule.timezone}), ${schedule.holidays} feriado(s)`);
         
         return true;
     } catch (error) {
@@ -180,10 +196,15 @@ async function initWhatsApp() {
         
         // Callback para processar mensagens recebidas
         const onMessage = async (messageData) => {
-            await messageHandler.handleMessage(messageData);
+            return messageHandler.handleMessage(messageData);
         };
 
         await whatsappService.initialize(onMessage);
+
+        // API oficial: mensagens chegam pelo webhook do servidor web
+        if (settings.whatsapp.channel === 'meta' && process.env.START_WEB_SERVER !== 'true') {
+            logger.warn('⚠️  Canal "meta" recebe mensagens pelo webhook: defina START_WEB_SERVER=true');
+        }
         
         return true;
     } catch (error) {
@@ -225,28 +246,45 @@ async function initWebServer() {
     }
 }
 
+/**
+ * Carrega o índice semântico do catálogo e agenda sincronização
+ */
+async function initCatalogIndex() {
+    if (!settings.ai.embeddings.enabled) {
+        logger.info('🔎 Busca semântica desativada (IA_BUSCA_SEMANTICA=false)');
+        return;
+    }
+
+    try {
+        await catalogIndexService.loadIndex();
+        await catalogIndexService.scheduleSync();
+    } catch (error) {
+        logger.warn('⚠️  Índice semântico indisponível, busca só por palavra-chave:', error.message);
+    }
+}
+
 /**
  * Verifica configuração da IA
  */
 async function checkAIConfiguration() {
-    if (!process.env.OPENAI_API_KEY) {
-        logger.warn('⚠️  OPENAI_API_KEY não configurada');
+    if (!llm.isConfigured()) {
+        logger.warn(`⚠️  Provedor de IA "${settings.ai.provider}" não configurado`);
         logger.warn('   O bot funcionará sem IA inteligente (modo básico)');
-        logger.warn('   Configure a chave no arquivo .env para habilitar a IA');
+        logger.warn('   Configure IA_PROVEDOR e a chave/URL no arquivo .env para habilitar a IA');
         return false;
     }
 
-    // Testa conexão com OpenAI
+    // Testa conexão com o provedor
     try {
         const aiService = require('./services/aiService');
         const testResult = await aiService.testConnection();
         
         if (testResult.success) {
-            logger.info('✅ Conexão com OpenAI verificada!');
-            logger.info(`   Modelo: ${process.env.OPENAI_MODEL || 'gpt-4o-mini'}`);
+            logger.info(`✅ Conexão com a IA verificada! (${testResult.provider})`);
+            logger.info(`   Modelo: ${testResult.model}`);
             return true;
         } else {
-            logger.warn(`⚠️  Erro ao conectar com OpenAI: ${testResult.error}`);
+            logger.warn(`⚠️  Erro ao conectar com a IA: ${testResult.error}`);
             logger.warn('   O bot funcionará em modo básico');
             return false;
         }
@@ -282,6 +320,14 @@ function setupPeriodicTasks() {
         }
     }, 60 * 1000);
 
+    // Aplica textos e horário alterados pelo painel (servidor web pode rodar em outro processo)
+    setInterval(async () => {
+        if (!isShuttingDown) {
+            await botConfigService.reloadIfChanged();
+            await scheduleService.reloadIfChanged();
+        }
+    }, 60 * 1000);
+
     // Verifica estoque baixo a cada hora
     setInterval(async () => {
         if (!isShuttingDown) {
@@ -362,6 +408,9 @@ function setupShutdownHandlers() {
                 });
             }
 
+            // Para tarefas agendadas (pendentes continuam no banco)
+            jobService.stop();
+
             // Desconecta do WhatsApp
             logger.info('📱 Desconectando do WhatsApp...');
             await whatsappService.disconnect();
@@ -483,14 +532,27 @@ async function main() {
         // Configura tarefas periódicas
         setupPeriodicTasks();
 
+        // Inicia tarefas agendadas persistentes (lembretes de agendamento, retornos, índice da IA)
+        appointmentHandler.registerJobHandlers();
+        callbackHandler.registerJobHandlers();
+        catalogIndexService.registerJobHandlers();
+        await jobService.start();
+
+        // Índice semântico do catálogo (carrega e indexa o que mudou)
+        await initCatalogIndex();
+
         // Exibe instruções
         logger.info('');
         logger.info('═══════════════════════════════════════════════════════════');
         logger.info('  🎉 BOT INICIADO COM SUCESSO!');
         logger.info('═══════════════════════════════════════════════════════════');
         logger.info('');
-        logger.info('📱 Escaneie o QR Code acima com seu WhatsApp');
-        logger.info('   (se ainda não estiver conectado)');
+        if (whatsappService.getChannel().supportsQRCode) {
+            logger.info('📱 Escaneie o QR Code acima com seu WhatsApp');
+            logger.info('   (se ainda não estiver conectado)');
+        } else {
+            logger.info('📱 WhatsApp pela API oficial (webhook: /api/whatsapp/webhook)');
+        }
         logger.info('');
         
         if (process.env.START_WEB_SERVER === 'true') {
@@ -0,0 +1,343 @@
+/**
+ * ============================================
+ * ROTAS DE AGENDAMENTOS
+ * ============================================
+ *
+ * Endpoints para agenda de serviços: calendário,
+ * horários livres, CRUD e status dos agendamentos.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const appointmentService = require('../services/appointmentService');
+const logger = require('../utils/logger');
+const { authMiddleware, managerMiddleware, auditMiddleware } = require('../middlewares/auth');
+
+/**
+ * Responde erros de regra de negócio com o status adequado
+ * @param {object} res - Response do Express
+ * @param {Error} error - Erro lançado pelo appointmentService
+ * @param {string} fallbackMessage - Mensagem para erro interno
+ */
+function handleAppointmentError(res, error, fallbackMessage) {
+    if (error.message.includes('já existe')) {
+        return res.status(409).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('inválid') || error.message.includes('obrigatório')) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * Emite evento de agendamento para o painel
+ * @param {object} req - Request do Express
+ * @param {string} event - Nome do evento
+ * @param {object} data - Dados do evento
+ */
+function emitAppointmentEvent(req, event, data) {
+    const io = req.app.get('io');
+    if (io) {
+        io.to('admins').emit(event, data);
+    }
+}
+
+// ============================================
+// ROTAS DE CONSULTA
+// ============================================
+
+/**
+ * GET /api/agendamentos
+ * Lista agendamentos com filtros (período, status, telefone, serviço)
+ */
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const {
+            inicio = null,
+            fim = null,
+            status = null,
+            telefone = null,
+            servico_id = null
+        } = req.query;
+
+        const appointments = await appointmentService.listAppointments({
+            dataInicio: inicio,
+            dataFim: fim,
+            status,
+            telefone,
+            servico_id: servico_id ? parseInt(servico_id) : null
+        });
+
+        res.json({
+            success: true,
+            data: appointments
+        });
+
+    } catch (error) {
+        logger.error('Erro ao listar agendamentos:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao listar agendamentos'
+        });
+    }
+});
+
+/**
+ * GET /api/agendamentos/stats
+ * Estatísticas de agendamentos
+ */
+router.get('/stats', authMiddleware, async (req, res) => {
+    try {
+        const stats = await appointmentService.getStatistics();
+
+        res.json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        logger.error('Erro ao obter estatísticas de agendamentos:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter estatísticas'
+        });
+    }
+});
+
+/**
+ * GET /api/agendamentos/horarios
+ * Horários livres de um dia para um serviço
+ */
+router.get('/horarios', authMiddleware, async (req, res) => {
+    try {
+        const { data, servico_id = null } = req.query;
+
+        if (!data) {
+            return res.status(400).json({
+                success: false,
+                message: 'Data é obrigatória'
+            });
+        }
+
+        const slots = await appointmentService.getAvailableSlots(
+            data,
+            servico_id ? parseInt(servico_id) : null
+        );
+
+        res.json({
+            success: true,
+            data: slots
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar horários:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar horários'
+        });
+    }
+});
+
+/**
+ * GET /api/agendamentos/:id
+ * Busca agendamento por ID
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+        const appointment = await appointmentService.getAppointmentById(parseInt(req.params.id));
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Agendamento não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: appointment
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar agendamento:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar agendamento'
+        });
+    }
+});
+
+// ============================================
+// ROTAS DE CRUD
+// ============================================
+
+/**
+ * POST /api/agendamentos
+ * Cria agendamento (409 se o horário estiver ocupado)
+ */
+router.post('/',
+    authMiddleware,
+    auditMiddleware('criar_agendamento', 'agendamentos'),
+    async (req, res) => {
+        try {
+            const appointmentId = await appointmentService.createAppointment(req.body);
+            const appointment = await appointmentService.getAppointmentById(appointmentId);
+
+            logger.info(`Agendamento criado: ID ${appointmentId} por ${req.user.email}`);
+
+            emitAppointmentEvent(req, 'appointment:created', appointment);
+
+            res.status(201).json({
+                success: true,
+                message: 'Agendamento criado com sucesso',
+                data: appointment
+            });
+
+        } catch (error) {
+            logger.error('Erro ao criar agendamento:', error.message);
+            handleAppointmentError(res, error, 'Erro ao criar agendamento');
+        }
+    }
+);
+
+/**
+ * PUT /api/agendamentos/:id
+ * Atualiza/remarca agendamento (409 se o novo horário estiver ocupado)
+ */
+router.put('/:id',
+    authMiddleware,
+    auditMiddleware('atualizar_agendamento', 'agendamentos'),
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+
+            const updated = await appointmentService.updateAppointment(id, req.body);
+
+            if (!updated) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Nenhum dado foi alterado'
+                });
+            }
+
+            const appointment = await appointmentService.getAppointmentById(id);
+
+            logger.info(`Agendamento atualizado: ID ${id} por ${req.user.email}`);
+
+            emitAppointmentEvent(req, 'appointment:updated', appointment);
+
+            res.json({
+                success: true,
+                message: 'Agendamento atualizado com sucesso',
+                data: appointment
+            });
+
+        } catch (error) {
+            logger.error('Erro ao atualizar agendamento:', error.message);
+            handleAppointmentError(res, error, 'Erro ao atualizar agendamento');
+        }
+    }
+);
+
+/**
+ * PATCH /api/agendamentos/:id/status
+ * Altera status do agendamento
+ */
+router.patch('/:id/status',
+    authMiddleware,
+    auditMiddleware('alterar_status_agendamento', 'agendamentos'),
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+            const { status } = req.body;
+
+            if (!status) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Status é obrigatório'
+                });
+            }
+
+            const updated = await appointmentService.updateAppointmentStatus(id, status);
+
+            if (!updated) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Agendamento não encontrado'
+                });
+            }
+
+            logger.info(`Agendamento ${id} alterado para ${status} por ${req.user.email}`);
+
+            emitAppointmentEvent(req, 'appointment:status', { id, status });
+
+            res.json({
+                success: true,
+                message: 'Status atualizado com sucesso',
+                data: await appointmentService.getAppointmentById(id)
+            });
+
+        } catch (error) {
+            logger.error('Erro ao alterar status do agendamento:', error.message);
+            handleAppointmentError(res, error, 'Erro ao alterar status');
+        }
+    }
+);
+
+/**
+ * DELETE /api/agendamentos/:id
+ * Remove agendamento (requer gerente)
+ */
+router.delete('/:id',
+    authMiddleware,
+    managerMiddleware,
+    auditMiddleware('excluir_agendamento', 'agendamentos'),
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+
+            const deleted = await appointmentService.deleteAppointment(id);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Agendamento não encontrado'
+                });
+            }
+
+            logger.info(`Agendamento excluído: ID ${id} por ${req.user.email}`);
+
+            emitAppointmentEvent(req, 'appointment:deleted', { id });
+
+            res.json({
+                success: true,
+                message: 'Agendamento removido com sucesso'
+            });
+
+        } catch (error) {
+            logger.error('Erro ao excluir agendamento:', error.message);
+            handleAppointmentError(res, error, 'Erro ao excluir agendamento');
+        }
+    }
+);
+
+module.exports = router;
@@ -12,6 +12,11 @@ const router = express.Router();
 
 const db = require('../database/connection');
 const customerService = require('../services/customerService');
+const handoffService = require('../services/handoffService');
+const conversationMemoryService = require('../services/conversationMemoryService');
+const replySuggestionService = require('../services/replySuggestionService');
+const mediaService = require('../services/mediaService');
+const { settings } = require('../config/settings');
 const logger = require('../utils/logger');
 const { authMiddleware } = require('../middlewares/auth');
 
@@ -294,6 +299,12 @@ router.get('/:phone', async (req, res) => {
             LIMIT ?
         `, [...params, parseInt(limit)]);
 
+        // Fotos, áudios, documentos e localizações das mensagens
+        const media = await mediaService.getMediaByMessages(messages.map(msg => msg.id));
+        messages.forEach(msg => {
+            msg.midia = media[msg.id] || null;
+        });
+
         // Busca informações do cliente
         const customer = await customerService.getCustomerByPhone(cleanPhone);
 
@@ -320,6 +331,93 @@ router.get('/:phone', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/conversations/media/:id
+ * Arquivo recebido do cliente (foto, áudio, vídeo ou documento)
+ */
+router.get('/media/:id', async (req, res) => {
+    try {
+        const file = await mediaService.getMediaFile(parseInt(req.params.id));
+
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: 'Mídia não encontrada'
+            });
+        }
+
+        res.type(file.mimetype);
+        res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(file.nome)}"`);
+        res.sendFile(file.path);
+
+    } catch (error) {
+        logger.error('Erro ao buscar mídia:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar mídia'
+        });
+    }
+});
+
+/**
+ * GET /api/conversations/:phone/handoff
+ * Nota de repasse e observações do último atendimento
+ */
+router.get('/:phone/handoff', async (req, res) => {
+    try {
+        const cleanPhone = req.params.phone.replace(/\D/g, '');
+
+        const attendance = await handoffService.getLatestHandoff(cleanPhone);
+
+        res.json({
+            success: true,
+            data: attendance
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar nota de repasse:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar nota de repasse'
+        });
+    }
+});
+
+/**
+ * POST /api/conversations/:phone/suggestions
+ * Rascunhos de resposta para o atendente (conversa em atendimento)
+ * O envio passa pelo evento whatsapp:send com suggestionId/suggestionIndex
+ */
+router.post('/:phone/suggestions', async (req, res) => {
+    try {
+        const cleanPhone = req.params.phone.replace(/\D/g, '');
+
+        const session = await customerService.getSession(cleanPhone);
+        if (session.state !== settings.states.IN_ATTENDANCE) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assuma o atendimento para receber sugestões de resposta'
+            });
+        }
+
+        const suggestions = await replySuggestionService.generateSuggestions(cleanPhone, {
+            atendente: req.user?.nome
+        });
+
+        res.json({
+            success: true,
+            data: suggestions
+        });
+
+    } catch (error) {
+        logger.error('Erro ao gerar sugestões de resposta:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao gerar sugestões de resposta'
+        });
+    }
+});
+
 /**
  * GET /api/conversations/:phone/summary
  * Resumo da conversa (para IA)
@@ -336,7 +434,7 @@ router.get('/:phone/summary', async (req, res) => {
         let summary = null;
         try {
             const aiService = require('../services/aiService');
-            summary = await aiService.summarizeConversation(messages);
+            summary = await aiService.summarizeConversation(messages, cleanPhone);
         } catch (e) {
             // IA não disponível
             logger.debug('IA não disponível para resumo');
@@ -421,11 +519,17 @@ router.delete('/:phone', async (req, res) => {
         const { phone } = req.params;
         const cleanPhone = phone.replace(/\D/g, '');
 
+        // Arquivos recebidos saem do disco antes dos registros
+        await mediaService.deleteMediaByPhone(cleanPhone);
+
         const result = await db.query(
             'DELETE FROM conversas WHERE telefone = ?',
             [cleanPhone]
         );
 
+        // O resumo da IA também sai junto com o histórico
+        await conversationMemoryService.clearMemory(cleanPhone);
+
         logger.info(`Conversa excluída: ${cleanPhone} por ${req.user.email} (${result.affectedRows} mensagens)`);
 
         res.json({
@@ -14,8 +14,10 @@ const db = require('../database/connection');
 const productService = require('../services/productService');
 const serviceService = require('../services/serviceService');
 const customerService = require('../services/customerService');
+const aiUsageService = require('../services/aiUsageService');
+const sentimentService = require('../services/sentimentService');
 const logger = require('../utils/logger');
-const { authMiddleware } = require('../middlewares/auth');
+const { authMiddleware, adminMiddleware, auditMiddleware } = require('../middlewares/auth');
 
 // Todas as rotas requerem autenticação
 router.use(authMiddleware);
@@ -384,6 +386,30 @@ router.get('/chart/response-origin', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/dashboard/chart/sentiment
+ * Sentimento das mensagens recebidas por dia (e quantas urgentes)
+ */
+router.get('/chart/sentiment', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+        const data = await sentimentService.getSentimentTrend(days);
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar dados do gráfico de sentimento:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar dados do gráfico'
+        });
+    }
+});
+
 // ============================================
 // LISTAS RÁPIDAS
 // ============================================
@@ -661,6 +687,93 @@ router.get('/activity-log', async (req, res) => {
     }
 });
 
+// ============================================
+// USO DA IA
+// ============================================
+
+/**
+ * GET /api/dashboard/ai-usage
+ * Resumo de uso e custo da IA com gasto diário por modelo
+ */
+router.get('/ai-usage', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+        const [summary, daily] = await Promise.all([
+            aiUsageService.getSummary(days),
+            aiUsageService.getDailyUsage(days)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                resumo: summary,
+                diario: daily
+            }
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar uso da IA:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar uso da IA'
+        });
+    }
+});
+
+/**
+ * GET /api/dashboard/ai-usage/config
+ * Orçamento mensal e limites por cliente
+ */
+router.get('/ai-usage/config', async (req, res) => {
+    try {
+        const config = await aiUsageService.getConfig(true);
+
+        res.json({
+            success: true,
+            data: config
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar limites da IA:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar limites da IA'
+        });
+    }
+});
+
+/**
+ * PUT /api/dashboard/ai-usage/config
+ * Atualiza orçamento mensal e limites por cliente
+ */
+router.put('/ai-usage/config',
+    adminMiddleware,
+    auditMiddleware('configurar_uso_ia', 'configuracoes'),
+    async (req, res) => {
+        try {
+            const config = await aiUsageService.updateConfig(req.body);
+
+            logger.info(`Limites da IA atualizados por ${req.user.email}`);
+
+            res.json({
+                success: true,
+                message: 'Limites da IA salvos',
+                data: config
+            });
+
+        } catch (error) {
+            logger.error('Erro ao salvar limites da IA:', error.message);
+
+            const isValidation = error.message.includes('inválid') || error.message.includes('obrigat');
+            res.status(isValidation ? 400 : 500).json({
+                success: false,
+                message: isValidation ? error.message : 'Erro ao salvar limites da IA'
+            });
+        }
+    }
+);
+
 // ============================================
 // RELATÓRIOS
 // ============================================
@@ -24,6 +24,8 @@ const conversasRoutes = loadRoute('conversations');
 const atendimentosRoutes = loadRoute('atendimentos');
 const pedidosRoutes = loadRoute('pedidos');
 const agendamentosRoutes = loadRoute('agendamentos');
+const promocoesRoutes = loadRoute('promocoes');
+const retornosRoutes = loadRoute('retornos');
 const statsRoutes = loadRoute('stats');
 const configRoutes = loadRoute('config');
 
@@ -41,6 +43,8 @@ router.get('/', (req, res) => {
             atendimentos: '/api/atendimentos',
             pedidos: '/api/pedidos',
             agendamentos: '/api/agendamentos',
+            promocoes: '/api/promocoes',
+            retornos: '/api/retornos',
             stats: '/api/stats',
             config: '/api/config'
         }
@@ -65,6 +69,8 @@ const routes = [
     { path: '/atendimentos', handler: atendimentosRoutes, name: 'atendimentos' },
     { path: '/pedidos', handler: pedidosRoutes, name: 'pedidos' },
     { path: '/agendamentos', handler: agendamentosRoutes, name: 'agendamentos' },
+    { path: '/promocoes', handler: promocoesRoutes, name: 'promocoes' },
+    { path: '/retornos', handler: retornosRoutes, name: 'retornos' },
     { path: '/stats', handler: statsRoutes, name: 'stats' },
     { path: '/config', handler: configRoutes, name: 'config' }
 ];
@@ -0,0 +1,464 @@
+/**
+ * ============================================
+ * ROTAS DE PEDIDOS E ORÇAMENTOS
+ * ============================================
+ *
+ * Endpoints para CRUD de orçamentos, pedidos e
+ * vendas, seus itens e fluxo de status.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const orderService = require('../services/orderService');
+const logger = require('../utils/logger');
+const { authMiddleware, managerMiddleware, auditMiddleware } = require('../middlewares/auth');
+
+/**
+ * Responde erros de regra de negócio com o status adequado
+ * @param {object} res - Response do Express
+ * @param {Error} error - Erro lançado pelo orderService
+ * @param {string} fallbackMessage - Mensagem para erro interno
+ */
+function handleOrderError(res, error, fallbackMessage) {
+    if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (
+        error.message.includes('inválid') ||
+        error.message.includes('obrigatório') ||
+        error.message.includes('não pode') ||
+        error.message.includes('Apenas')
+    ) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * Emite evento de pedido para o painel
+ * @param {object} req - Request do Express
+ * @param {string} event - Nome do evento
+ * @param {object} data - Dados do evento
+ */
+function emitOrderEvent(req, event, data) {
+    const io = req.app.get('io');
+    if (io) {
+        io.to('admins').emit(event, data);
+    }
+}
+
+// ============================================
+// ROTAS DE CONSULTA
+// ============================================
+
+/**
+ * GET /api/pedidos
+ * Lista pedidos com paginação e filtros
+ */
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search = '',
+            tipo = null,
+            status = null,
+            telefone = null,
+            orderBy = 'created_at',
+            order = 'DESC'
+        } = req.query;
+
+        const result = await orderService.listOrders({
+            page: parseInt(page),
+            limit: parseInt(limit),
+            search,
+            tipo,
+            status,
+            telefone,
+            orderBy,
+            order
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Erro ao listar pedidos:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao listar pedidos'
+        });
+    }
+});
+
+/**
+ * GET /api/pedidos/stats
+ * Estatísticas de pedidos
+ */
+router.get('/stats', authMiddleware, async (req, res) => {
+    try {
+        const stats = await orderService.getStatistics();
+
+        res.json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        logger.error('Erro ao obter estatísticas de pedidos:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter estatísticas'
+        });
+    }
+});
+
+/**
+ * GET /api/pedidos/numero/:numero
+ * Busca pedido pelo número
+ */
+router.get('/numero/:numero', authMiddleware, async (req, res) => {
+    try {
+        const order = await orderService.getOrderByNumber(req.params.numero);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pedido não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: order
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar pedido por número:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar pedido'
+        });
+    }
+});
+
+/**
+ * GET /api/pedidos/:id
+ * Busca pedido por ID com itens
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+        const order = await orderService.getOrderById(parseInt(req.params.id));
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pedido não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: order
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar pedido:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar pedido'
+        });
+    }
+});
+
+// ============================================
+// ROTAS DE CRUD
+// ============================================
+
+/**
+ * POST /api/pedidos
+ * Cria novo orçamento/pedido com itens
+ */
+router.post('/',
+    authMiddleware,
+    managerMiddleware,
+    auditMiddleware('criar_pedido', 'pedidos'),
+    async (req, res) => {
+        try {
+            const orderId = await orderService.createOrder(req.body);
+            const order = await orderService.getOrderById(orderId);
+
+            logger.info(`Pedido criado: ${order.numero} por ${req.user.email}`);
+
+            emitOrderEvent(req, 'order:created', order);
+
+            res.status(201).json({
+                success: true,
+                message: 'Pedido criado com sucesso',
+                data: order
+            });
+
+        } catch (error) {
+            logger.error('Erro ao criar pedido:', error.message);
+            handleOrderError(res, error, 'Erro ao criar pedido');
+        }
+    }
+);
+
+/**
+ * PUT /api/pedidos/:id
+ * Atualiza pedido (e substitui itens se enviados)
+ */
+router.put('/:id',
+    authMiddleware,
+    managerMiddleware,
+    auditMiddleware('atualizar_pedido', 'pedidos'),
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+
+            const updated = await orderService.updateOrder(id, req.body);
+
+            if (!updated) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Nenhum dado foi alterado'
+                });
+            }
+
+            const order = await orderService.getOrderById(id);
+
+            logger.info(`Pedido atualizado: ${order.numero} por ${req.user.email}`);
+
+            emitOrderEvent(req, 'order:updated', order);
+
+            res.json({
+                success: true,
+                message: 'Pedido atualizado com sucesso',
+                data: order
+            });
+
+        } catch (error) {
+            logger.error('Erro ao atualizar pedido:', error.message);
+            handleOrderError(res, error, 'Erro ao atualizar pedido');
+        }
+    }
+);
+
+/**
+ * PATCH /api/pedidos/:id/status
+ * Altera status do pedido seguindo o fluxo
+ */
+router.patch('/:id/status',
+    authMiddleware,
+    managerMiddleware,
+    auditMiddleware('alterar_status_pedido', 'pedidos'),
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+            const { status } = req.body;
+
+            if (!status) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Status é obrigatório'
+                });
+            }
+
+            const order = await orderService.changeOrderStatus(id, status);
+
+            logger.info(`Pedido ${order.numero} alterado para ${status} por ${req.user.email}`);
+
+            emitOrderEvent(req, 'order:status', {
+                id,
+                numero: order.numero,
+                status: order.status
+            });
+
+            res.json({
+                success: true,
+                message: 'Status atualizado com sucesso',
+                data: order
+            });
+
+        } catch (error) {
+            logger.error('Erro ao alterar status do pedido:', error.message);
+            handleOrderError(res, error, 'Erro ao alterar status');
+        }
+    }
+);
+
+/**
+ * POST /api/pedidos/:id/recalcular
+ * Recalcula preços e totais com base no catálogo e promoções atuais
+ */
+router.post('/:id/recalcular',
+    authMiddleware,
+    managerMiddleware,
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+
+            await orderService.recalculateOrder(id);
+            const order = await orderService.getOrderById(id);
+
+            emitOrderEvent(req, 'order:updated', order);
+
+            res.json({
+                success: true,
+                message: 'Totais recalculados',
+                data: order
+            });
+
+        } catch (error) {
+            logger.error('Erro ao recalcular pedido:', error.message);
+            handleOrderError(res, error, 'Erro ao recalcular pedido');
+        }
+    }
+);
+
+/**
+ * DELETE /api/pedidos/:id
+ * Remove pedido (apenas rascunho ou cancelado)
+ */
+router.delete('/:id',
+    authMiddleware,
+    managerMiddleware,
+    auditMiddleware('excluir_pedido', 'pedidos'),
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+
+            const deleted = await orderService.deleteOrder(id);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Pedido não encontrado'
+                });
+            }
+
+            logger.info(`Pedido excluído: ID ${id} por ${req.user.email}`);
+
+            emitOrderEvent(req, 'order:deleted', { id });
+
+            res.json({
+                success: true,
+                message: 'Pedido removido com sucesso'
+            });
+
+        } catch (error) {
+            logger.error('Erro ao excluir pedido:', error.message);
+            handleOrderError(res, error, 'Erro ao excluir pedido');
+        }
+    }
+);
+
+// ============================================
+// ROTAS DE ITENS
+// ============================================
+
+/**
+ * POST /api/pedidos/:id/itens
+ * Adiciona item (produto ou serviço) ao pedido
+ */
+router.post('/:id/itens',
+    authMiddleware,
+    managerMiddleware,
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+
+            await orderService.addOrderItem(id, req.body);
+            const order = await orderService.getOrderById(id);
+
+            emitOrderEvent(req, 'order:updated', order);
+
+            res.status(201).json({
+                success: true,
+                message: 'Item adicionado',
+                data: order
+            });
+
+        } catch (error) {
+            logger.error('Erro ao adicionar item:', error.message);
+            handleOrderError(res, error, 'Erro ao adicionar item');
+        }
+    }
+);
+
+/**
+ * PUT /api/pedidos/:id/itens/:itemId
+ * Altera quantidade de um item
+ */
+router.put('/:id/itens/:itemId',
+    authMiddleware,
+    managerMiddleware,
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+            const itemId = parseInt(req.params.itemId);
+
+            await orderService.updateOrderItem(id, itemId, req.body.quantidade);
+            const order = await orderService.getOrderById(id);
+
+            emitOrderEvent(req, 'order:updated', order);
+
+            res.json({
+                success: true,
+                message: 'Item atualizado',
+                data: order
+            });
+
+        } catch (error) {
+            logger.error('Erro ao atualizar item:', error.message);
+            handleOrderError(res, error, 'Erro ao atualizar item');
+        }
+    }
+);
+
+/**
+ * DELETE /api/pedidos/:id/itens/:itemId
+ * Remove item do pedido
+ */
+router.delete('/:id/itens/:itemId',
+    authMiddleware,
+    managerMiddleware,
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+            const itemId = parseInt(req.params.itemId);
+
+            await orderService.removeOrderItem(id, itemId);
+            const order = await orderService.getOrderById(id);
+
+            emitOrderEvent(req, 'order:updated', order);
+
+            res.json({
+                success: true,
+                message: 'Item removido',
+                data: order
+            });
+
+        } catch (error) {
+            logger.error('Erro ao remover item:', error.message);
+            handleOrderError(res, error, 'Erro ao remover item');
+        }
+    }
+);
+
+module.exports = router;
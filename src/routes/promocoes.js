@@ -0,0 +1,272 @@
+/**
+ * ============================================
+ * ROTAS DE PROMOÇÕES
+ * ============================================
+ *
+ * Endpoints para CRUD de promoções por produto,
+ * serviço, categoria ou gerais da loja.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const promotionService = require('../services/promotionService');
+const logger = require('../utils/logger');
+const { authMiddleware, managerMiddleware, auditMiddleware } = require('../middlewares/auth');
+
+/**
+ * Responde erros de regra de negócio com o status adequado
+ * @param {object} res - Response do Express
+ * @param {Error} error - Erro lançado pelo promotionService
+ * @param {string} fallbackMessage - Mensagem para erro interno
+ */
+function handlePromotionError(res, error, fallbackMessage) {
+    if (error.message.includes('Já existe')) {
+        return res.status(409).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('não encontrad')) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('inválid') || error.message.includes('obrigat')) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+// ============================================
+// ROTAS DE CONSULTA
+// ============================================
+
+/**
+ * GET /api/promocoes
+ * Lista promoções com paginação e filtros
+ */
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search = '',
+            tipo = null,
+            situacao = null
+        } = req.query;
+
+        const result = await promotionService.listPromotions({
+            page: parseInt(page),
+            limit: parseInt(limit),
+            search,
+            tipo,
+            situacao
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Erro ao listar promoções:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao listar promoções'
+        });
+    }
+});
+
+/**
+ * GET /api/promocoes/stats
+ * Estatísticas de promoções
+ */
+router.get('/stats', authMiddleware, async (req, res) => {
+    try {
+        const stats = await promotionService.getStatistics();
+
+        res.json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        logger.error('Erro ao obter estatísticas de promoções:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter estatísticas'
+        });
+    }
+});
+
+/**
+ * GET /api/promocoes/:id
+ * Busca promoção por ID
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+        const promotion = await promotionService.getPromotionById(parseInt(req.params.id));
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promoção não encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: promotion
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar promoção:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar promoção'
+        });
+    }
+});
+
+// ============================================
+// ROTAS DE CRUD (REQUER GERENTE)
+// ============================================
+
+/**
+ * POST /api/promocoes
+ * Cria nova promoção
+ */
+router.post('/',
+    authMiddleware,
+    managerMiddleware,
+    auditMiddleware('criar_promocao', 'promocoes'),
+    async (req, res) => {
+        try {
+            const promotionId = await promotionService.createPromotion(req.body);
+            const promotion = await promotionService.getPromotionById(promotionId);
+
+            logger.info(`Promoção criada: ${promotion.titulo} por ${req.user.email}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Promoção criada com sucesso',
+                data: promotion
+            });
+
+        } catch (error) {
+            logger.error('Erro ao criar promoção:', error.message);
+            handlePromotionError(res, error, 'Erro ao criar promoção');
+        }
+    }
+);
+
+/**
+ * PUT /api/promocoes/:id
+ * Atualiza promoção
+ */
+router.put('/:id',
+    authMiddleware,
+    managerMiddleware,
+    auditMiddleware('atualizar_promocao', 'promocoes'),
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+
+            const updated = await promotionService.updatePromotion(id, req.body);
+
+            if (!updated) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Nenhum dado foi alterado'
+                });
+            }
+
+            const promotion = await promotionService.getPromotionById(id);
+
+            logger.info(`Promoção atualizada: ${promotion.titulo} por ${req.user.email}`);
+
+            res.json({
+                success: true,
+                message: 'Promoção atualizada com sucesso',
+                data: promotion
+            });
+
+        } catch (error) {
+            logger.error('Erro ao atualizar promoção:', error.message);
+            handlePromotionError(res, error, 'Erro ao atualizar promoção');
+        }
+    }
+);
+
+/**
+ * PATCH /api/promocoes/:id/toggle-active
+ * Ativa/desativa promoção
+ */
+router.patch('/:id/toggle-active',
+    authMiddleware,
+    managerMiddleware,
+    auditMiddleware('alternar_promocao', 'promocoes'),
+    async (req, res) => {
+        try {
+            const promotion = await promotionService.togglePromotion(parseInt(req.params.id));
+
+            res.json({
+                success: true,
+                message: promotion.ativo ? 'Promoção ativada' : 'Promoção desativada',
+                data: promotion
+            });
+
+        } catch (error) {
+            logger.error('Erro ao alternar promoção:', error.message);
+            handlePromotionError(res, error, 'Erro ao alterar status');
+        }
+    }
+);
+
+/**
+ * DELETE /api/promocoes/:id
+ * Remove promoção
+ */
+router.delete('/:id',
+    authMiddleware,
+    managerMiddleware,
+    auditMiddleware('excluir_promocao', 'promocoes'),
+    async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+
+            const deleted = await promotionService.deletePromotion(id);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Promoção não encontrada'
+                });
+            }
+
+            logger.info(`Promoção excluída: ID ${id} por ${req.user.email}`);
+
+            res.json({
+                success: true,
+                message: 'Promoção removida com sucesso'
+            });
+
+        } catch (error) {
+            logger.error('Erro ao excluir promoção:', error.message);
+            handlePromotionError(res, error, 'Erro ao excluir promoção');
+        }
+    }
+);
+
+module.exports = router;
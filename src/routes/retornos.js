@@ -0,0 +1,260 @@
+/**
+ * ============================================
+ * ROTAS DE RETORNOS
+ * ============================================
+ *
+ * Lista de clientes que escreveram fora do
+ * horário, por prioridade, e configuração do
+ * retorno automático na abertura.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const callbackService = require('../services/callbackService');
+const logger = require('../utils/logger');
+const { authMiddleware, managerMiddleware, auditMiddleware } = require('../middlewares/auth');
+
+/**
+ * Responde erros de regra de negócio com o status adequado
+ * @param {object} res - Response do Express
+ * @param {Error} error - Erro lançado pelo callbackService
+ * @param {string} fallbackMessage - Mensagem para erro interno
+ */
+function handleCallbackError(res, error, fallbackMessage) {
+    if (error.message.includes('não encontrad')) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('inválid') || error.message.includes('obrigat')) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * Emite atualização da lista de retornos para o painel
+ * @param {object} req - Request do Express
+ * @param {object} data - Dados do evento
+ */
+function emitCallbackUpdated(req, data) {
+    const io = req.app.get('io');
+    if (io) {
+        io.to('admins').emit('callback:updated', data);
+    }
+}
+
+// ============================================
+// ROTAS DE CONSULTA
+// ============================================
+
+/**
+ * GET /api/retornos
+ * Lista retornos por prioridade (status: abertos, pendente, em_contato, concluido, descartado, todos)
+ */
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            status = 'abertos'
+        } = req.query;
+
+        const result = await callbackService.listCallbacks({
+            page: parseInt(page),
+            limit: parseInt(limit),
+            status
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Erro ao listar retornos:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao listar retornos'
+        });
+    }
+});
+
+/**
+ * GET /api/retornos/stats
+ * Contagem de retornos
+ */
+router.get('/stats', authMiddleware, async (req, res) => {
+    try {
+        const stats = await callbackService.getStatistics();
+
+        res.json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        logger.error('Erro ao obter estatísticas de retornos:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter estatísticas'
+        });
+    }
+});
+
+/**
+ * GET /api/retornos/config
+ * Configuração do retorno automático
+ */
+router.get('/config', authMiddleware, async (req, res) => {
+    try {
+        const config = await callbackService.getConfig();
+
+        res.json({
+            success: true,
+            data: config
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar configuração de retornos:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar configuração'
+        });
+    }
+});
+
+/**
+ * PUT /api/retornos/config
+ * Atualiza configuração do retorno automático
+ */
+router.put('/config',
+    authMiddleware,
+    managerMiddleware,
+    auditMiddleware('configurar_retornos', 'retornos'),
+    async (req, res) => {
+        try {
+            const config = await callbackService.updateConfig(req.body);
+
+            logger.info(`Retorno automático ${config.autoFollowUp ? 'ativado' : 'desativado'} por ${req.user.email}`);
+
+            res.json({
+                success: true,
+                message: 'Configuração salva',
+                data: config
+            });
+
+        } catch (error) {
+            logger.error('Erro ao atualizar configuração de retornos:', error.message);
+            handleCallbackError(res, error, 'Erro ao salvar configuração');
+        }
+    }
+);
+
+/**
+ * GET /api/retornos/:id
+ * Busca retorno por ID
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+        const callback = await callbackService.getCallbackById(parseInt(req.params.id));
+
+        if (!callback) {
+            return res.status(404).json({
+                success: false,
+                message: 'Retorno não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: callback
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar retorno:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar retorno'
+        });
+    }
+});
+
+// ============================================
+// ROTAS DE ATUALIZAÇÃO
+// ============================================
+
+/**
+ * PATCH /api/retornos/:id/status
+ * Altera status (em_contato, concluido, descartado, pendente)
+ */
+router.patch('/:id/status',
+    authMiddleware,
+    auditMiddleware('atualizar_retorno', 'retornos'),
+    async (req, res) => {
+        try {
+            const { status, observacoes } = req.body;
+
+            if (!status) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Status é obrigatório'
+                });
+            }
+
+            const callback = await callbackService.updateCallbackStatus(parseInt(req.params.id), status, {
+                atendenteId: req.user.id,
+                atendenteNome: req.user.nome,
+                observacoes
+            });
+
+            emitCallbackUpdated(req, { id: callback.id, status: callback.status });
+
+            res.json({
+                success: true,
+                message: 'Retorno atualizado',
+                data: callback
+            });
+
+        } catch (error) {
+            logger.error('Erro ao atualizar retorno:', error.message);
+            handleCallbackError(res, error, 'Erro ao atualizar retorno');
+        }
+    }
+);
+
+/**
+ * POST /api/retornos/:id/follow-up
+ * Envia agora a pergunta "ainda precisa de ajuda?" ao cliente
+ */
+router.post('/:id/follow-up',
+    authMiddleware,
+    auditMiddleware('enviar_retorno', 'retornos'),
+    async (req, res) => {
+        try {
+            const callback = await callbackService.requestFollowUp(parseInt(req.params.id));
+
+            res.json({
+                success: true,
+                message: 'Mensagem de retorno será enviada em instantes',
+                data: callback
+            });
+
+        } catch (error) {
+            logger.error('Erro ao solicitar retorno:', error.message);
+            handleCallbackError(res, error, 'Erro ao enviar retorno');
+        }
+    }
+);
+
+module.exports = router;
@@ -12,11 +12,246 @@ const router = express.Router();
 
 const db = require('../database/connection');
 const logger = require('../utils/logger');
+const botConfigService = require('../services/botConfigService');
+const scheduleService = require('../services/scheduleService');
+const catalogIndexService = require('../services/catalogIndexService');
+const aiConfigService = require('../services/aiConfigService');
+const aiUsageService = require('../services/aiUsageService');
+const aiService = require('../services/aiService');
 const { authMiddleware, adminMiddleware } = require('../middlewares/auth');
 
 // Todas as rotas requerem autenticação
 router.use(authMiddleware);
 
+// ============================================
+// HORÁRIO DE FUNCIONAMENTO E FERIADOS
+// ============================================
+// Declaradas antes de /:key para não serem
+// capturadas pela rota genérica
+
+/**
+ * Responde erros de validação do horário/feriados
+ * @param {object} res - Response do Express
+ * @param {Error} error - Erro lançado pelo scheduleService
+ * @param {string} fallbackMessage - Mensagem para erro interno
+ */
+function handleScheduleError(res, error, fallbackMessage) {
+    if (error.message.includes('Já existe')) {
+        return res.status(409).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('não encontrad')) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('inválid') || error.message.includes('obrigat')) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * Notifica o painel que o horário mudou
+ * @param {object} req - Request do Express
+ */
+function emitScheduleUpdated(req) {
+    const io = req.app.get('io');
+    if (io) {
+        io.to('admins').emit('settings:updated', { type: 'schedule' });
+    }
+}
+
+/**
+ * GET /api/settings/schedule
+ * Horário semanal, fuso, situação atual e próxima abertura
+ */
+router.get('/schedule', async (req, res) => {
+    try {
+        // Pode ter sido alterado por outro processo
+        await scheduleService.reloadIfChanged();
+
+        res.json({
+            success: true,
+            data: scheduleService.getSchedule()
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar horário de funcionamento:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar horário de funcionamento'
+        });
+    }
+});
+
+/**
+ * PUT /api/settings/schedule
+ * Atualiza horário semanal e/ou fuso horário
+ * Body: { horarios: { seg: [{ inicio, fim }], ... }, fuso }
+ */
+router.put('/schedule', adminMiddleware, async (req, res) => {
+    try {
+        const schedule = await scheduleService.updateSchedule(req.body);
+
+        logger.info(`Horário de funcionamento atualizado por ${req.user.email}`);
+        emitScheduleUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Horário de funcionamento atualizado',
+            data: schedule
+        });
+
+    } catch (error) {
+        handleScheduleError(res, error, 'Erro ao atualizar horário de funcionamento');
+    }
+});
+
+/**
+ * DELETE /api/settings/schedule
+ * Restaura horário padrão (.env)
+ */
+router.delete('/schedule', adminMiddleware, async (req, res) => {
+    try {
+        await scheduleService.resetSchedule();
+
+        logger.info(`Horário de funcionamento restaurado por ${req.user.email}`);
+        emitScheduleUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Horário padrão restaurado',
+            data: scheduleService.getSchedule()
+        });
+
+    } catch (error) {
+        handleScheduleError(res, error, 'Erro ao restaurar horário');
+    }
+});
+
+/**
+ * GET /api/settings/holidays
+ * Lista feriados e exceções
+ * Query: futuros=true (somente próximos e recorrentes)
+ */
+router.get('/holidays', async (req, res) => {
+    try {
+        const holidays = await scheduleService.listHolidays({
+            futuros: req.query.futuros === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: holidays
+        });
+
+    } catch (error) {
+        logger.error('Erro ao listar feriados:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao listar feriados'
+        });
+    }
+});
+
+/**
+ * POST /api/settings/holidays
+ * Cadastra feriado/exceção
+ * Body: { data, descricao, recorrente, fechado, hora_inicio, hora_fim }
+ */
+router.post('/holidays', adminMiddleware, async (req, res) => {
+    try {
+        const id = await scheduleService.createHoliday(req.body);
+        const holiday = await scheduleService.getHolidayById(id);
+
+        logger.info(`Feriado cadastrado: ${holiday.data} (${holiday.descricao}) por ${req.user.email}`);
+        emitScheduleUpdated(req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Feriado cadastrado com sucesso',
+            data: holiday
+        });
+
+    } catch (error) {
+        handleScheduleError(res, error, 'Erro ao cadastrar feriado');
+    }
+});
+
+/**
+ * PUT /api/settings/holidays/:id
+ * Atualiza feriado/exceção
+ */
+router.put('/holidays/:id', adminMiddleware, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+
+        const updated = await scheduleService.updateHoliday(id, req.body);
+
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                message: 'Feriado não encontrado'
+            });
+        }
+
+        logger.info(`Feriado atualizado: ID ${id} por ${req.user.email}`);
+        emitScheduleUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Feriado atualizado com sucesso',
+            data: await scheduleService.getHolidayById(id)
+        });
+
+    } catch (error) {
+        handleScheduleError(res, error, 'Erro ao atualizar feriado');
+    }
+});
+
+/**
+ * DELETE /api/settings/holidays/:id
+ * Remove feriado/exceção
+ */
+router.delete('/holidays/:id', adminMiddleware, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+
+        const deleted = await scheduleService.deleteHoliday(id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Feriado não encontrado'
+            });
+        }
+
+        logger.info(`Feriado excluído: ID ${id} por ${req.user.email}`);
+        emitScheduleUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Feriado removido com sucesso'
+        });
+
+    } catch (error) {
+        handleScheduleError(res, error, 'Erro ao excluir feriado');
+    }
+});
+
 // ============================================
 // CONFIGURAÇÕES GERAIS
 // ============================================
@@ -177,8 +412,19 @@ router.put('/:key', adminMiddleware, async (req, res) => {
             });
         }
 
+        // Valida mensagens e gatilhos do bot (placeholders, lista vazia)
+        let valorValidado;
+        try {
+            valorValidado = botConfigService.validateConfigValue(key, valor);
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+
         // Converte valor para string (armazenamento)
-        const valorString = stringifySettingValue(valor, setting.tipo);
+        const valorString = stringifySettingValue(valorValidado, setting.tipo);
 
         // Atualiza
         await db.update(
@@ -188,6 +434,11 @@ router.put('/:key', adminMiddleware, async (req, res) => {
             [key]
         );
 
+        // Aplica textos do bot sem reiniciar
+        if (botConfigService.isBotConfigKey(key)) {
+            await botConfigService.loadBotConfig();
+        }
+
         logger.info(`Configuração atualizada: ${key} por ${req.user.email}`);
 
         res.json({
@@ -249,7 +500,8 @@ router.put('/', adminMiddleware, async (req, res) => {
                 }
 
                 // Atualiza
-                const valorString = stringifySettingValue(valor, setting.tipo);
+                const valorValidado = botConfigService.validateConfigValue(chave, valor);
+                const valorString = stringifySettingValue(valorValidado, setting.tipo);
                 await db.update(
                     'configuracoes',
                     { valor: valorString },
@@ -263,6 +515,10 @@ router.put('/', adminMiddleware, async (req, res) => {
             }
         }
 
+        if (results.updated.some(chave => botConfigService.isBotConfigKey(chave))) {
+            await botConfigService.loadBotConfig();
+        }
+
         logger.info(`Configurações atualizadas: ${results.updated.length} por ${req.user.email}`);
 
         res.json({
@@ -384,6 +640,11 @@ router.delete('/:key', adminMiddleware, async (req, res) => {
 
         await db.remove('configuracoes', 'chave = ?', [key]);
 
+        // Texto do bot excluído volta ao padrão
+        if (botConfigService.isBotConfigKey(key)) {
+            await botConfigService.loadBotConfig();
+        }
+
         logger.info(`Configuração excluída: ${key} por ${req.user.email}`);
 
         res.json({
@@ -558,6 +819,20 @@ router.put('/bot/config', adminMiddleware, async (req, res) => {
 
         const updates = [];
 
+        try {
+            if (mensagem_boas_vindas !== undefined) {
+                botConfigService.validateMessage('welcome', mensagem_boas_vindas);
+            }
+            if (mensagem_fora_horario !== undefined) {
+                botConfigService.validateMessage('outsideHours', mensagem_fora_horario);
+            }
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+
         if (mensagem_boas_vindas !== undefined) {
             updates.push({ chave: 'bot_mensagem_boas_vindas', valor: mensagem_boas_vindas });
         }
@@ -584,6 +859,8 @@ router.put('/bot/config', adminMiddleware, async (req, res) => {
             );
         }
 
+        await botConfigService.loadBotConfig();
+
         logger.info(`Configurações do bot atualizadas por ${req.user.email}`);
 
         // Notifica via Socket.IO
@@ -606,6 +883,617 @@ router.put('/bot/config', adminMiddleware, async (req, res) => {
     }
 });
 
+// ============================================
+// MENSAGENS, GATILHOS E MENU DO BOT
+// ============================================
+
+/**
+ * Responde erros de validação dos textos do bot
+ * @param {object} res - Response do Express
+ * @param {Error} error - Erro lançado pelo botConfigService
+ * @param {string} fallbackMessage - Mensagem para erro interno
+ */
+function handleBotConfigError(res, error, fallbackMessage) {
+    if (error.message.includes('não encontrad')) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('inválid') || error.message.includes('obrigat')) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * Notifica o painel que os textos do bot mudaram
+ * @param {object} req - Request do Express
+ */
+function emitBotTextsUpdated(req) {
+    const io = req.app.get('io');
+    if (io) {
+        io.to('admins').emit('settings:updated', { type: 'bot_texts' });
+    }
+}
+
+/**
+ * GET /api/settings/bot/messages
+ * Mensagens do bot (valor atual, padrão e variáveis disponíveis)
+ */
+router.get('/bot/messages', (req, res) => {
+    res.json({
+        success: true,
+        data: botConfigService.listMessages()
+    });
+});
+
+/**
+ * POST /api/settings/bot/messages/preview
+ * Pré-visualiza mensagem com dados de exemplo (sem salvar)
+ * Body: { key, texto }
+ */
+router.post('/bot/messages/preview', (req, res) => {
+    try {
+        const { key, texto = null } = req.body;
+
+        res.json({
+            success: true,
+            data: {
+                key,
+                preview: botConfigService.previewMessage(key, texto)
+            }
+        });
+
+    } catch (error) {
+        handleBotConfigError(res, error, 'Erro ao pré-visualizar mensagem');
+    }
+});
+
+/**
+ * PUT /api/settings/bot/messages/:key
+ * Atualiza mensagem do bot (aplicada sem reiniciar)
+ * Body: { texto }
+ */
+router.put('/bot/messages/:key', adminMiddleware, async (req, res) => {
+    try {
+        const { key } = req.params;
+
+        const texto = await botConfigService.updateMessage(key, req.body.texto);
+
+        logger.info(`Mensagem do bot atualizada: ${key} por ${req.user.email}`);
+        emitBotTextsUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Mensagem atualizada com sucesso',
+            data: { key, texto }
+        });
+
+    } catch (error) {
+        handleBotConfigError(res, error, 'Erro ao atualizar mensagem');
+    }
+});
+
+/**
+ * DELETE /api/settings/bot/messages/:key
+ * Restaura mensagem padrão
+ */
+router.delete('/bot/messages/:key', adminMiddleware, async (req, res) => {
+    try {
+        const { key } = req.params;
+
+        await botConfigService.resetToDefault('message', key);
+
+        logger.info(`Mensagem do bot restaurada: ${key} por ${req.user.email}`);
+        emitBotTextsUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Mensagem padrão restaurada'
+        });
+
+    } catch (error) {
+        handleBotConfigError(res, error, 'Erro ao restaurar mensagem');
+    }
+});
+
+/**
+ * GET /api/settings/bot/triggers
+ * Palavras-chave que disparam cada ação do bot
+ */
+router.get('/bot/triggers', (req, res) => {
+    res.json({
+        success: true,
+        data: botConfigService.listTriggers()
+    });
+});
+
+/**
+ * PUT /api/settings/bot/triggers/:key
+ * Atualiza palavras-chave de um gatilho
+ * Body: { palavras: [] } (ou texto separado por vírgula)
+ */
+router.put('/bot/triggers/:key', adminMiddleware, async (req, res) => {
+    try {
+        const { key } = req.params;
+
+        const palavras = await botConfigService.updateTriggers(key, req.body.palavras);
+
+        logger.info(`Gatilhos do bot atualizados: ${key} por ${req.user.email}`);
+        emitBotTextsUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Gatilhos atualizados com sucesso',
+            data: { key, palavras }
+        });
+
+    } catch (error) {
+        handleBotConfigError(res, error, 'Erro ao atualizar gatilhos');
+    }
+});
+
+/**
+ * DELETE /api/settings/bot/triggers/:key
+ * Restaura palavras-chave padrão
+ */
+router.delete('/bot/triggers/:key', adminMiddleware, async (req, res) => {
+    try {
+        const { key } = req.params;
+
+        await botConfigService.resetToDefault('trigger', key);
+
+        logger.info(`Gatilhos do bot restaurados: ${key} por ${req.user.email}`);
+        emitBotTextsUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Gatilhos padrão restaurados'
+        });
+
+    } catch (error) {
+        handleBotConfigError(res, error, 'Erro ao restaurar gatilhos');
+    }
+});
+
+/**
+ * GET /api/settings/bot/menu
+ * Menu do bot (árvore atual, padrão e ações disponíveis)
+ */
+router.get('/bot/menu', (req, res) => {
+    res.json({
+        success: true,
+        data: botConfigService.getMenu()
+    });
+});
+
+/**
+ * POST /api/settings/bot/menu/preview
+ * Pré-visualiza todas as telas do menu (sem salvar)
+ * Body: { menu } (usa o menu atual se omitido)
+ */
+router.post('/bot/menu/preview', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: botConfigService.previewMenu(req.body.menu || null)
+        });
+
+    } catch (error) {
+        handleBotConfigError(res, error, 'Erro ao pré-visualizar menu');
+    }
+});
+
+/**
+ * PUT /api/settings/bot/menu
+ * Atualiza árvore do menu (aplicada sem reiniciar)
+ * Body: { menu: { titulo, rodape, opcoes: [] } }
+ */
+router.put('/bot/menu', adminMiddleware, async (req, res) => {
+    try {
+        const menu = await botConfigService.updateMenu(req.body.menu);
+
+        logger.info(`Menu do bot atualizado por ${req.user.email}`);
+        emitBotTextsUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Menu atualizado com sucesso',
+            data: menu
+        });
+
+    } catch (error) {
+        handleBotConfigError(res, error, 'Erro ao atualizar menu');
+    }
+});
+
+/**
+ * DELETE /api/settings/bot/menu
+ * Restaura menu padrão
+ */
+router.delete('/bot/menu', adminMiddleware, async (req, res) => {
+    try {
+        await botConfigService.resetToDefault('menu');
+
+        logger.info(`Menu do bot restaurado por ${req.user.email}`);
+        emitBotTextsUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Menu padrão restaurado'
+        });
+
+    } catch (error) {
+        handleBotConfigError(res, error, 'Erro ao restaurar menu');
+    }
+});
+
+/**
+ * POST /api/settings/bot/reload
+ * Recarrega mensagens, gatilhos e menu do banco
+ */
+router.post('/bot/reload', adminMiddleware, async (req, res) => {
+    try {
+        const result = await botConfigService.loadBotConfig();
+
+        emitBotTextsUpdated(req);
+
+        res.json({
+            success: true,
+            message: 'Textos do bot recarregados',
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Erro ao recarregar textos do bot:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao recarregar textos do bot'
+        });
+    }
+});
+
+// ============================================
+// ÍNDICE SEMÂNTICO DA IA
+// ============================================
+
+/**
+ * GET /api/settings/ai/index
+ * Situação do índice semântico do catálogo
+ */
+router.get('/ai/index', async (req, res) => {
+    try {
+        const status = await catalogIndexService.getStatus();
+
+        res.json({
+            success: true,
+            data: status
+        });
+
+    } catch (error) {
+        logger.error('Erro ao obter índice semântico:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter índice semântico'
+        });
+    }
+});
+
+/**
+ * POST /api/settings/ai/index/rebuild
+ * Agenda reindexação completa do catálogo
+ * (executada pelo processo do bot)
+ */
+router.post('/ai/index/rebuild', adminMiddleware, async (req, res) => {
+    try {
+        const scheduled = await catalogIndexService.scheduleSync({ full: true });
+
+        if (!scheduled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Busca semântica desativada ou indisponível'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Reindexação do catálogo agendada'
+        });
+
+    } catch (error) {
+        logger.error('Erro ao agendar reindexação:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao agendar reindexação'
+        });
+    }
+});
+
+// ============================================
+// PERSONA, BASE DE CONHECIMENTO E REGRAS DA IA
+// ============================================
+// Edições vão para o rascunho; o bot só usa a
+// configuração depois de publicada
+
+/**
+ * Responde erros de validação da configuração da IA
+ * @param {object} res - Response do Express
+ * @param {Error} error - Erro lançado pelo aiConfigService
+ * @param {string} fallbackMessage - Mensagem para erro interno
+ */
+function handleAIConfigError(res, error, fallbackMessage) {
+    if (error.message.includes('não encontrad')) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('inválid') || error.message.includes('obrigat')) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * GET /api/settings/ai/assistant
+ * Rascunho (persona, regras, base), opções e situação da publicação
+ */
+router.get('/ai/assistant', async (req, res) => {
+    try {
+        const [persona, regras, conhecimento, publicacao] = await Promise.all([
+            aiConfigService.getPersona(),
+            aiConfigService.getRules(),
+            aiConfigService.listKnowledge(),
+            aiConfigService.getPublishStatus()
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                persona,
+                regras,
+                conhecimento,
+                publicacao,
+                opcoes: aiConfigService.getOptions()
+            }
+        });
+
+    } catch (error) {
+        handleAIConfigError(res, error, 'Erro ao buscar configuração da IA');
+    }
+});
+
+/**
+ * PUT /api/settings/ai/assistant/persona
+ * Atualiza persona (rascunho)
+ * Body: { nome, tom, tamanho, emojis, apresentacao, instrucoes }
+ */
+router.put('/ai/assistant/persona', adminMiddleware, async (req, res) => {
+    try {
+        const persona = await aiConfigService.updatePersona(req.body);
+
+        res.json({
+            success: true,
+            message: 'Persona salva no rascunho',
+            data: persona
+        });
+
+    } catch (error) {
+        handleAIConfigError(res, error, 'Erro ao salvar persona');
+    }
+});
+
+/**
+ * PUT /api/settings/ai/assistant/rules
+ * Atualiza temas proibidos (rascunho)
+ * Body: { regras: [{ tema, palavras, resposta, encaminhar }] }
+ */
+router.put('/ai/assistant/rules', adminMiddleware, async (req, res) => {
+    try {
+        const regras = await aiConfigService.updateRules(req.body.regras);
+
+        res.json({
+            success: true,
+            message: 'Regras salvas no rascunho',
+            data: regras
+        });
+
+    } catch (error) {
+        handleAIConfigError(res, error, 'Erro ao salvar regras');
+    }
+});
+
+/**
+ * POST /api/settings/ai/knowledge
+ * Cadastra item na base de conhecimento
+ * Body: { categoria, titulo, conteudo, ordem, ativo }
+ */
+router.post('/ai/knowledge', adminMiddleware, async (req, res) => {
+    try {
+        const item = await aiConfigService.createKnowledge(req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Item cadastrado no rascunho',
+            data: item
+        });
+
+    } catch (error) {
+        handleAIConfigError(res, error, 'Erro ao cadastrar item');
+    }
+});
+
+/**
+ * PUT /api/settings/ai/knowledge/:id
+ * Atualiza item da base de conhecimento
+ */
+router.put('/ai/knowledge/:id', adminMiddleware, async (req, res) => {
+    try {
+        const item = await aiConfigService.updateKnowledge(req.params.id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Item atualizado no rascunho',
+            data: item
+        });
+
+    } catch (error) {
+        handleAIConfigError(res, error, 'Erro ao atualizar item');
+    }
+});
+
+/**
+ * DELETE /api/settings/ai/knowledge/:id
+ * Remove item da base de conhecimento
+ */
+router.delete('/ai/knowledge/:id', adminMiddleware, async (req, res) => {
+    try {
+        await aiConfigService.deleteKnowledge(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Item removido do rascunho'
+        });
+
+    } catch (error) {
+        handleAIConfigError(res, error, 'Erro ao remover item');
+    }
+});
+
+/**
+ * GET /api/settings/ai/assistant/prompt
+ * Prompt do sistema montado com o rascunho
+ */
+router.get('/ai/assistant/prompt', async (req, res) => {
+    try {
+        const draft = await aiConfigService.getDraft();
+
+        res.json({
+            success: true,
+            data: { prompt: await aiService.getSystemPrompt(draft) }
+        });
+
+    } catch (error) {
+        handleAIConfigError(res, error, 'Erro ao montar prompt');
+    }
+});
+
+/**
+ * POST /api/settings/ai/assistant/console
+ * Console de teste: conversa com o rascunho (sem publicar)
+ * Body: { message, history: [{ role, content }], sessionData, customerName, customerVehicle }
+ */
+router.post('/ai/assistant/console', async (req, res) => {
+    try {
+        const { message, history = [], sessionData = {}, customerName, customerVehicle } = req.body;
+
+        if (!message || !String(message).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mensagem é obrigatória'
+            });
+        }
+
+        if (!aiService.isConfigured()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provedor de IA não configurado'
+            });
+        }
+
+        const budget = await aiUsageService.getBudgetStatus();
+        if (budget.exceeded) {
+            return res.status(400).json({
+                success: false,
+                message: 'Orçamento mensal da IA esgotado'
+            });
+        }
+
+        const conversationHistory = (Array.isArray(history) ? history : [])
+            .filter(msg => ['user', 'assistant'].includes(msg?.role) && msg.content)
+            .map(msg => ({ role: msg.role, content: String(msg.content) }));
+
+        const result = await aiService.processMessage({
+            message: String(message).trim(),
+            customerName,
+            customerVehicle,
+            conversationHistory,
+            sessionData,
+            aiConfig: await aiConfigService.getDraft(),
+            preview: true
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Erro no console de teste da IA:', error.message);
+        res.status(500).json({
+            success: false,
+            message: `Erro ao consultar a IA: ${error.message}`
+        });
+    }
+});
+
+/**
+ * POST /api/settings/ai/assistant/publish
+ * Publica o rascunho (o bot passa a usá-lo)
+ * Body: { observacao }
+ */
+router.post('/ai/assistant/publish', adminMiddleware, async (req, res) => {
+    try {
+        const publication = await aiConfigService.publish(req.user.id, req.body.observacao);
+
+        logger.info(`Configuração da IA publicada por ${req.user.email}`);
+
+        res.json({
+            success: true,
+            message: 'Configuração publicada. O bot já usa a nova versão.',
+            data: { id: publication.id }
+        });
+
+    } catch (error) {
+        handleAIConfigError(res, error, 'Erro ao publicar configuração');
+    }
+});
+
+/**
+ * GET /api/settings/ai/assistant/publications
+ * Histórico de publicações
+ */
+router.get('/ai/assistant/publications', async (req, res) => {
+    try {
+        const publications = await aiConfigService.listPublications(req.query.limit);
+
+        res.json({
+            success: true,
+            data: publications
+        });
+
+    } catch (error) {
+        handleAIConfigError(res, error, 'Erro ao listar publicações');
+    }
+});
+
 // ============================================
 // CONFIGURAÇÕES DE NOTIFICAÇÃO
 // ============================================
@@ -750,6 +1638,9 @@ router.post('/import', adminMiddleware, async (req, res) => {
 
                 if (!chave) continue;
 
+                // Mensagens e gatilhos do bot passam pela mesma validação do painel
+                botConfigService.validateConfigValue(chave, valor);
+
                 // Verifica se existe
                 const existing = await db.queryOne(
                     'SELECT id, editavel FROM configuracoes WHERE chave = ?',
@@ -781,6 +1672,8 @@ router.post('/import', adminMiddleware, async (req, res) => {
             }
         }
 
+        await botConfigService.loadBotConfig();
+
         logger.info(`Configurações importadas por ${req.user.email}: ${results.updated} atualizadas, ${results.created} criadas`);
 
         res.json({
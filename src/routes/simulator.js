@@ -0,0 +1,178 @@
+/**
+ * ============================================
+ * ROTAS DO SIMULADOR DE WHATSAPP
+ * ============================================
+ *
+ * Conversa com o bot como qualquer telefone, sem
+ * rede e sem conta do WhatsApp (WHATSAPP_CANAL=simulator).
+ * Usadas pela página Simulador do painel e por
+ * scripts de teste: cada envio devolve as respostas
+ * do bot, o estado da sessão e o que a IA decidiu.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const whatsappService = require('../services/whatsappService');
+const customerService = require('../services/customerService');
+const logger = require('../utils/logger');
+const { authMiddleware } = require('../middlewares/auth');
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Exige o canal simulado (nunca injeta mensagens no WhatsApp real)
+ */
+function simulatorMiddleware(req, res, next) {
+    const channel = whatsappService.getChannel();
+
+    if (channel.name !== 'simulator') {
+        return res.status(409).json({
+            success: false,
+            message: `Simulador desativado: o canal em uso é "${channel.name}" (defina WHATSAPP_CANAL=simulator)`
+        });
+    }
+
+    req.simulator = channel;
+    next();
+}
+
+/**
+ * Sessão do telefone simulado
+ * @param {string} phone - Telefone
+ * @returns {object} { state, data }
+ */
+async function getSessionSummary(phone) {
+    const session = await customerService.getSession(phone);
+    return { state: session.state, data: session.data };
+}
+
+router.use(authMiddleware, simulatorMiddleware);
+
+// ============================================
+// CONVERSAS SIMULADAS
+// ============================================
+
+/**
+ * GET /api/simulator
+ * Status do canal e conversas simuladas
+ */
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            status: req.simulator.getStatus(),
+            conversations: req.simulator.listConversations()
+        }
+    });
+});
+
+/**
+ * GET /api/simulator/conversations/:phone
+ * Mensagens da conversa e sessão atual
+ */
+router.get('/conversations/:phone', async (req, res) => {
+    try {
+        const conversation = req.simulator.getConversation(req.params.phone);
+
+        res.json({
+            success: true,
+            data: {
+                phone: req.params.phone,
+                pushName: conversation ? conversation.pushName : '',
+                messages: conversation ? conversation.messages : [],
+                session: await getSessionSummary(req.params.phone)
+            }
+        });
+    } catch (error) {
+        logger.error('Erro ao carregar conversa simulada:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao carregar conversa simulada'
+        });
+    }
+});
+
+/**
+ * DELETE /api/simulator/conversations/:phone
+ * Apaga a conversa simulada e a sessão do bot (começa do zero)
+ */
+router.delete('/conversations/:phone', async (req, res) => {
+    try {
+        req.simulator.resetConversation(req.params.phone);
+        await customerService.clearSession(req.params.phone);
+
+        res.json({
+            success: true,
+            message: 'Conversa simulada reiniciada'
+        });
+    } catch (error) {
+        logger.error('Erro ao reiniciar conversa simulada:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao reiniciar conversa simulada'
+        });
+    }
+});
+
+// ============================================
+// ENVIO COMO CLIENTE
+// ============================================
+
+/**
+ * POST /api/simulator/messages
+ * Envia mensagem como o cliente e aguarda o bot processar
+ * Body: { phone, text, pushName, media: { type, data (base64), mimetype, fileName, caption }, location }
+ */
+router.post('/messages', async (req, res) => {
+    try {
+        const { phone, text, pushName, media, location } = req.body;
+
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Telefone é obrigatório'
+            });
+        }
+
+        const delivered = await req.simulator.receive({ phone, text, pushName, media, location });
+        const result = delivered.result || {};
+
+        res.json({
+            success: true,
+            data: {
+                message: delivered.message,
+                replies: delivered.replies,
+                usedAI: result.usedAI || false,
+                action: result.action || null,
+                toolsUsed: result.toolsUsed || [],
+                session: await getSessionSummary(delivered.phone)
+            }
+        });
+    } catch (error) {
+        // Painel sem o bot (npm run server): nada processaria a mensagem
+        if (error.code === 'SIMULATOR_NOT_RUNNING') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('inválid') || error.message.includes('Informe')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        logger.error('Erro ao enviar mensagem simulada:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao enviar mensagem simulada'
+        });
+    }
+});
+
+module.exports = router;
@@ -15,7 +15,9 @@ const QRCode = require('qrcode');
 
 const whatsappService = require('../services/whatsappService');
 const customerService = require('../services/customerService');
+const templateService = require('../services/templateService');
 const logger = require('../utils/logger');
+const { settings } = require('../config/settings');
 const { authMiddleware, managerMiddleware, auditMiddleware } = require('../middlewares/auth');
 
 // ============================================
@@ -52,6 +54,7 @@ router.get('/status', authMiddleware, async (req, res) => {
             data: {
                 connected: status.connected,
                 status: status.status,
+                channel: status.channel,
                 phoneNumber: status.phoneNumber || null,
                 lastConnected: status.lastConnected || null,
                 uptime: status.uptime || null,
@@ -1069,13 +1072,67 @@ router.get('/groups/:groupId', authMiddleware, async (req, res) => {
 // ROTAS DE TEMPLATES DE MENSAGEM
 // ============================================
 
+/**
+ * Responde erros de template com o status adequado
+ * @param {object} res - Response do Express
+ * @param {Error} error - Erro lançado pelo templateService
+ * @param {string} fallbackMessage - Mensagem para erro interno
+ */
+function handleTemplateError(res, error, fallbackMessage) {
+    if (error.message.includes('Já existe')) {
+        return res.status(409).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('não encontrad')) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('inválid') || error.message.includes('obrigat')) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * Converte corpo da requisição (name/content/category) para o templateService
+ * @param {object} body - Corpo da requisição
+ * @returns {object} Dados do template
+ */
+function parseTemplateBody(body) {
+    return {
+        nome: body.name ?? body.nome,
+        conteudo: body.content ?? body.conteudo,
+        categoria: body.category ?? body.categoria,
+        ativo: body.active ?? body.ativo
+    };
+}
+
 /**
  * GET /api/whatsapp/templates
  * Lista templates de mensagem salvos
  */
 router.get('/templates', authMiddleware, async (req, res) => {
     try {
-        const templates = await whatsappService.getMessageTemplates();
+        const { category = null, search = '', active = null } = req.query;
+
+        const templates = await templateService.listTemplates({
+            categoria: category,
+            search,
+            ativo: active
+        });
 
         res.json({
             success: true,
@@ -1091,6 +1148,49 @@ router.get('/templates', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/whatsapp/templates/variables
+ * Lista variáveis disponíveis e categorias de template
+ */
+router.get('/templates/variables', authMiddleware, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            variables: templateService.TEMPLATE_VARIABLES,
+            categories: templateService.TEMPLATE_CATEGORIES
+        }
+    });
+});
+
+/**
+ * GET /api/whatsapp/templates/:id
+ * Busca template por ID
+ */
+router.get('/templates/:id', authMiddleware, async (req, res) => {
+    try {
+        const template = await templateService.getTemplateById(parseInt(req.params.id));
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: template
+        });
+
+    } catch (error) {
+        logger.error('Erro ao buscar template:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao buscar template'
+        });
+    }
+});
+
 /**
  * POST /api/whatsapp/templates
  * Cria novo template de mensagem
@@ -1098,38 +1198,27 @@ router.get('/templates', authMiddleware, async (req, res) => {
 router.post('/templates',
     authMiddleware,
     managerMiddleware,
+    auditMiddleware('criar_template', 'whatsapp'),
     async (req, res) => {
         try {
-            const { name, content, category = 'geral' } = req.body;
+            const templateId = await templateService.createTemplate(
+                parseTemplateBody(req.body),
+                req.user.id
+            );
 
-            if (!name || !content) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Nome e conteúdo são obrigatórios'
-                });
-            }
-
-            const templateId = await whatsappService.createMessageTemplate({
-                name,
-                content,
-                category,
-                createdBy: req.user.id
-            });
+            const template = await templateService.getTemplateById(templateId);
 
-            logger.info(`Template criado: ${name} por ${req.user.email}`);
+            logger.info(`Template criado: ${template.nome} por ${req.user.email}`);
 
             res.status(201).json({
                 success: true,
                 message: 'Template criado com sucesso',
-                data: { id: templateId, name, content, category }
+                data: template
             });
 
         } catch (error) {
             logger.error('Erro ao criar template:', error.message);
-            res.status(500).json({
-                success: false,
-                message: 'Erro ao criar template'
-            });
+            handleTemplateError(res, error, 'Erro ao criar template');
         }
     }
 );
@@ -1141,16 +1230,12 @@ router.post('/templates',
 router.put('/templates/:id',
     authMiddleware,
     managerMiddleware,
+    auditMiddleware('atualizar_template', 'whatsapp'),
     async (req, res) => {
         try {
             const id = parseInt(req.params.id);
-            const { name, content, category } = req.body;
 
-            const updated = await whatsappService.updateMessageTemplate(id, {
-                name,
-                content,
-                category
-            });
+            const updated = await templateService.updateTemplate(id, parseTemplateBody(req.body));
 
             if (!updated) {
                 return res.status(404).json({
@@ -1163,15 +1248,13 @@ router.put('/templates/:id',
 
             res.json({
                 success: true,
-                message: 'Template atualizado com sucesso'
+                message: 'Template atualizado com sucesso',
+                data: await templateService.getTemplateById(id)
             });
 
         } catch (error) {
             logger.error('Erro ao atualizar template:', error.message);
-            res.status(500).json({
-                success: false,
-                message: 'Erro ao atualizar template'
-            });
+            handleTemplateError(res, error, 'Erro ao atualizar template');
         }
     }
 );
@@ -1183,11 +1266,19 @@ router.put('/templates/:id',
 router.delete('/templates/:id',
     authMiddleware,
     managerMiddleware,
+    auditMiddleware('excluir_template', 'whatsapp'),
     async (req, res) => {
         try {
             const id = parseInt(req.params.id);
 
-            await whatsappService.deleteMessageTemplate(id);
+            const deleted = await templateService.deleteTemplate(id);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Template não encontrado'
+                });
+            }
 
             logger.info(`Template excluído: ID ${id} por ${req.user.email}`);
 
@@ -1206,6 +1297,128 @@ router.delete('/templates/:id',
     }
 );
 
+/**
+ * POST /api/whatsapp/templates/:id/preview
+ * Renderiza template para um cliente sem enviar
+ * Body: { phone, variables }
+ */
+router.post('/templates/:id/preview', authMiddleware, async (req, res) => {
+    try {
+        const { phone = null, variables = {} } = req.body;
+
+        const result = await templateService.renderTemplate(parseInt(req.params.id), {
+            phone,
+            variables
+        });
+
+        res.json({
+            success: true,
+            data: {
+                templateId: result.template.id,
+                name: result.template.nome,
+                message: result.message,
+                variables: result.variables,
+                missing: result.missing
+            }
+        });
+
+    } catch (error) {
+        logger.error('Erro ao pré-visualizar template:', error.message);
+        handleTemplateError(res, error, 'Erro ao pré-visualizar template');
+    }
+});
+
+/**
+ * POST /api/whatsapp/templates/:id/send
+ * Renderiza template para o cliente e envia
+ * Body: { phone, variables }
+ */
+router.post('/templates/:id/send',
+    authMiddleware,
+    auditMiddleware('enviar_template', 'whatsapp'),
+    async (req, res) => {
+        try {
+            const { phone, variables = {} } = req.body;
+
+            if (!phone) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Número de telefone é obrigatório'
+                });
+            }
+
+            const result = await templateService.renderTemplate(parseInt(req.params.id), {
+                phone,
+                variables
+            });
+
+            if (!result.template.ativo) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Template inativo'
+                });
+            }
+
+            if (result.missing.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Variáveis sem valor: ${result.missing.join(', ')}`,
+                    data: { missing: result.missing }
+                });
+            }
+
+            // Verifica conexão
+            const status = await whatsappService.getConnectionStatus();
+            if (!status.connected) {
+                return res.status(503).json({
+                    success: false,
+                    message: 'WhatsApp não está conectado'
+                });
+            }
+
+            const formattedPhone = whatsappService.formatPhoneNumber(phone);
+            const sendResult = await whatsappService.sendMessage(formattedPhone, result.message);
+
+            if (!sendResult.success) {
+                return res.status(502).json({
+                    success: false,
+                    message: sendResult.error || 'Falha ao enviar mensagem'
+                });
+            }
+
+            await customerService.saveMessage(formattedPhone, result.message, 'saida', 'humano');
+            await templateService.markTemplateUsed(result.template.id);
+
+            logger.info(`Template "${result.template.nome}" enviado para ${formattedPhone} por ${req.user.email}`);
+
+            // Notifica via Socket.IO
+            const io = req.app.get('io');
+            if (io) {
+                io.to('admins').emit('message:sent', {
+                    phone: formattedPhone,
+                    message: result.message,
+                    sentBy: req.user.email,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Mensagem enviada com sucesso',
+                data: {
+                    phone: formattedPhone,
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                }
+            });
+
+        } catch (error) {
+            logger.error('Erro ao enviar template:', error.message);
+            handleTemplateError(res, error, 'Erro ao enviar template');
+        }
+    }
+);
+
 // ============================================
 // ROTAS DE CONFIGURAÇÃO
 // ============================================
@@ -1269,51 +1482,34 @@ router.put('/config',
 
 /**
  * POST /api/whatsapp/webhook
- * Recebe webhooks de serviços externos
+ * Recebe webhooks da API oficial (Meta) ou no formato { type, data }.
+ * Exige assinatura X-Hub-Signature-256 com o App Secret.
  */
-router.post('/webhook', async (req, res) => {
-    try {
-        const { type, data } = req.body;
-
-        logger.debug(`Webhook recebido: ${type}`);
-
-        // Processa diferentes tipos de webhook
-        switch (type) {
-            case 'message':
-                // Processa mensagem recebida via webhook
-                await whatsappService.processWebhookMessage(data);
-                break;
-
-            case 'status':
-                // Atualiza status de mensagem
-                await whatsappService.processMessageStatus(data);
-                break;
-
-            default:
-                logger.warn(`Tipo de webhook desconhecido: ${type}`);
-        }
-
-        res.json({ success: true });
-
-    } catch (error) {
-        logger.error('Erro ao processar webhook:', error.message);
-        res.status(500).json({
+router.post('/webhook', (req, res) => {
+    if (!whatsappService.verifyWebhookSignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+        logger.warn(`Webhook recusado: assinatura inválida (${req.ip})`);
+        return res.status(403).json({
             success: false,
-            message: 'Erro ao processar webhook'
+            message: 'Assinatura inválida'
         });
     }
+
+    // Responde logo: a Meta reenvia o evento se a resposta demorar
+    res.json({ success: true });
+
+    whatsappService.processWebhook(req.body).catch(error => {
+        logger.error('Erro ao processar webhook:', error.message);
+    });
 });
 
 /**
  * GET /api/whatsapp/webhook
- * Verificação de webhook (usado por alguns serviços)
+ * Verificação de webhook (cadastro na Meta)
  */
 router.get('/webhook', (req, res) => {
     const { 'hub.mode': mode, 'hub.verify_token': token, 'hub.challenge': challenge } = req.query;
 
-    const verifyToken = process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN || 'whatsapp_bot_verify';
-
-    if (mode === 'subscribe' && token === verifyToken) {
+    if (mode === 'subscribe' && token === settings.whatsapp.meta.verifyToken) {
         logger.info('Webhook verificado com sucesso');
         res.send(challenge);
     } else {
@@ -25,6 +25,8 @@ const fs = require('fs');
 
 const logger = require('./utils/logger');
 const db = require('./database/connection');
+const botConfigService = require('./services/botConfigService');
+const scheduleService = require('./services/scheduleService');
 
 // Importa rotas
 const authRoutes = require('./routes/auth');
@@ -36,6 +38,11 @@ const dashboardRoutes = require('./routes/dashboard');
 const settingsRoutes = require('./routes/settings');
 const importRoutes = require('./routes/import');
 const whatsappRoutes = require('./routes/whatsapp');
+const pedidosRoutes = require('./routes/pedidos');
+const agendamentosRoutes = require('./routes/agendamentos');
+const promocoesRoutes = require('./routes/promocoes');
+const retornosRoutes = require('./routes/retornos');
+const simulatorRoutes = require('./routes/simulator');
 
 // ============================================
 // CONFIGURAÇÕES - CORRIGIDO PARA RAILWAY
@@ -104,12 +111,24 @@ const limiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
+    // Webhooks da API oficial chegam em rajadas (mensagens + status de entrega);
+    // o simulador só responde com o canal simulado (scripts de teste)
+    skip: (req) => req.originalUrl.startsWith('/api/whatsapp/webhook') ||
+        req.originalUrl.startsWith('/api/simulator'),
 });
 
 app.use('/api/', limiter);
 
 // Parse JSON
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Corpo original do webhook para conferir a assinatura da Meta
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/whatsapp/webhook')) {
+            req.rawBody = buf;
+        }
+    },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Servir arquivos estáticos (frontend)
@@ -203,6 +222,11 @@ app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/import', importRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
+app.use('/api/pedidos', pedidosRoutes);
+app.use('/api/agendamentos', agendamentosRoutes);
+app.use('/api/promocoes', promocoesRoutes);
+app.use('/api/retornos', retornosRoutes);
+app.use('/api/simulator', simulatorRoutes);
 
 // Rota catch-all para o frontend SPA
 app.get('*', (req, res) => {
@@ -300,6 +324,16 @@ io.on('connection', (socket) => {
             
             const customerService = require('./services/customerService');
             await customerService.saveMessage(phone, message, 'saida', 'humano');
+
+            // Resposta a partir de uma sugestão: registra qual rascunho foi aceito
+            if (data.suggestionId) {
+                const replySuggestionService = require('./services/replySuggestionService');
+                replySuggestionService.recordChoice(data.suggestionId, {
+                    message,
+                    index: data.suggestionIndex,
+                    atendente: adminSockets.get(socket.id)?.userName
+                }).catch(() => {});
+            }
             
             socket.emit('whatsapp:sent', { success: true, phone, message });
             socket.to('admins').emit('conversation:update', { phone, message, type: 'sent' });
@@ -308,6 +342,32 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Simulador: mensagem do cliente simulado (respostas chegam por simulator:message)
+    socket.on('simulator:send', async (data = {}) => {
+        try {
+            const whatsappService = require('./services/whatsappService');
+            const channel = whatsappService.getChannel();
+
+            if (channel.name !== 'simulator') {
+                throw new Error('Simulador desativado');
+            }
+
+            const delivered = await channel.receive(data);
+            const result = delivered.result || {};
+
+            socket.emit('simulator:result', {
+                phone: delivered.phone,
+                messageId: delivered.message.messageId,
+                replies: delivered.replies.length,
+                usedAI: result.usedAI || false,
+                action: result.action || null,
+                toolsUsed: result.toolsUsed || []
+            });
+        } catch (error) {
+            socket.emit('simulator:error', { phone: data.phone, error: error.message });
+        }
+    });
+
     socket.on('attendance:start', async (data) => {
         const { phone, userId, userName } = data;
         
@@ -404,6 +464,12 @@ async function startServer() {
         await db.initPool();
         console.log('✅ [SERVER] Banco de dados conectado');
 
+        // Carrega mensagens e gatilhos do bot salvos no banco
+        await botConfigService.loadBotConfig();
+
+        // Carrega horário por dia, fuso e feriados
+        await scheduleService.loadSchedule();
+
         // Cria diretórios necessários
         const dirs = ['uploads', 'public', 'logs'];
         for (const dir of dirs) {
@@ -0,0 +1,703 @@
+/**
+ * ============================================
+ * SERVIÇO DE CONFIGURAÇÃO DA IA
+ * ============================================
+ *
+ * Persona (nome, tom, apresentação), regras de
+ * temas proibidos e base de conhecimento da loja,
+ * editadas pelo painel e injetadas no prompt.
+ *
+ * O painel edita um rascunho (persona e regras em
+ * configuracoes, conhecimento em base_conhecimento).
+ * O bot só usa o que foi publicado: a publicação
+ * grava uma cópia completa em ia_publicacoes. O
+ * console de teste do painel conversa com o
+ * rascunho antes da publicação.
+ */
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings } = require('../config/settings');
+const { containsKeyword } = require('../utils/helpers');
+
+// ============================================
+// DEFINIÇÕES
+// ============================================
+
+// Chaves do rascunho na tabela configuracoes
+const PERSONA_KEY = 'ia_persona';
+const RULES_KEY = 'ia_regras';
+
+// Tons disponíveis: chave => { descricao, instrucao (vai para o prompt) }
+const TONES = {
+    amigavel: { descricao: 'Amigável', instrucao: 'Seja caloroso e próximo, tratando o cliente por "você".' },
+    profissional: { descricao: 'Profissional', instrucao: 'Seja cordial e objetivo, com linguagem profissional.' },
+    descontraido: { descricao: 'Descontraído', instrucao: 'Use linguagem leve e descontraída, sem gírias ofensivas.' },
+    tecnico: { descricao: 'Técnico', instrucao: 'Explique com precisão técnica, como um mecânico experiente, sem complicar.' },
+};
+
+// Tamanho das respostas: chave => { descricao, instrucao }
+const LENGTHS = {
+    curta: { descricao: 'Curta', instrucao: 'no máximo 2 parágrafos curtos' },
+    media: { descricao: 'Média', instrucao: 'no máximo 3-4 parágrafos' },
+    detalhada: { descricao: 'Detalhada', instrucao: 'detalhada quando o assunto pedir, sem passar de 6 parágrafos' },
+};
+
+// Categorias da base de conhecimento (ENUM da tabela)
+const KNOWLEDGE_CATEGORIES = {
+    faq: 'Perguntas frequentes',
+    garantia: 'Garantia',
+    trocas: 'Trocas e devoluções',
+    pagamento: 'Formas de pagamento',
+    entrega: 'Entrega',
+    outro: 'Outras informações',
+};
+
+// Persona padrão (equivale ao prompt fixo anterior)
+const DEFAULT_PERSONA = {
+    nome: '',
+    tom: 'amigavel',
+    tamanho: 'media',
+    emojis: true,
+    apresentacao: '',
+    instrucoes: '',
+};
+
+// Limites de tamanho (o prompt vai em toda mensagem)
+const LIMITS = {
+    nome: 50,
+    apresentacao: 1000,
+    instrucoes: 2000,
+    titulo: 200,
+    conteudo: 2000,
+    tema: 100,
+    resposta: 500,
+    palavras: 20,
+    regras: 20,
+    conhecimentoNoPrompt: 8000, // Caracteres da base no prompt
+};
+
+// Configuração publicada fica em cache por pouco tempo
+// (o painel pode rodar em outro processo)
+const CACHE_TTL = 60 * 1000;
+let publishedCache = null;
+
+// ============================================
+// VALIDAÇÃO
+// ============================================
+
+/**
+ * Valida e normaliza texto opcional
+ * @param {*} value - Valor recebido
+ * @param {string} field - Nome do campo (para a mensagem)
+ * @param {number} max - Tamanho máximo
+ * @returns {string} Texto normalizado
+ */
+function validateText(value, field, max) {
+    const text = value == null ? '' : String(value).trim();
+
+    if (text.length > max) {
+        throw new Error(`${field} inválido: máximo de ${max} caracteres`);
+    }
+
+    return text;
+}
+
+/**
+ * Valida persona
+ * @param {object} data - { nome, tom, tamanho, emojis, apresentacao, instrucoes }
+ * @returns {object} Persona normalizada
+ */
+function validatePersona(data = {}) {
+    const persona = { ...DEFAULT_PERSONA, ...data };
+
+    if (!TONES[persona.tom]) {
+        throw new Error(`Tom inválido: "${persona.tom}". Use: ${Object.keys(TONES).join(', ')}`);
+    }
+
+    if (!LENGTHS[persona.tamanho]) {
+        throw new Error(`Tamanho inválido: "${persona.tamanho}". Use: ${Object.keys(LENGTHS).join(', ')}`);
+    }
+
+    return {
+        nome: validateText(persona.nome, 'Nome', LIMITS.nome),
+        tom: persona.tom,
+        tamanho: persona.tamanho,
+        emojis: persona.emojis !== false && persona.emojis !== 'false',
+        apresentacao: validateText(persona.apresentacao, 'Apresentação', LIMITS.apresentacao),
+        instrucoes: validateText(persona.instrucoes, 'Instruções', LIMITS.instrucoes),
+    };
+}
+
+/**
+ * Valida regras de temas proibidos
+ * @param {array} rules - [{ tema, palavras, resposta, encaminhar }]
+ * @returns {array} Regras normalizadas
+ */
+function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Regras inválidas: envie uma lista');
+    }
+
+    if (rules.length > LIMITS.regras) {
+        throw new Error(`Regras inválidas: máximo de ${LIMITS.regras} temas`);
+    }
+
+    return rules.map((rule, index) => {
+        const label = `Regra ${index + 1}`;
+        const tema = validateText(rule?.tema, `${label}: tema`, LIMITS.tema);
+
+        if (!tema) {
+            throw new Error(`${label}: tema é obrigatório`);
+        }
+
+        const palavras = (Array.isArray(rule.palavras) ? rule.palavras : String(rule.palavras || '').split(','))
+            .map(word => String(word).toLowerCase().trim())
+            .filter(Boolean);
+
+        if (palavras.length > LIMITS.palavras) {
+            throw new Error(`${label}: palavras-chave inválidas (máximo ${LIMITS.palavras})`);
+        }
+
+        return {
+            tema,
+            palavras: [...new Set(palavras)],
+            resposta: validateText(rule.resposta, `${label}: resposta`, LIMITS.resposta),
+            encaminhar: !!rule.encaminhar,
+        };
+    });
+}
+
+/**
+ * Valida item da base de conhecimento
+ * @param {object} data - { categoria, titulo, conteudo, ordem, ativo }
+ * @param {boolean} partial - Permite campos ausentes (atualização)
+ * @returns {object} Campos para o banco
+ */
+function validateKnowledge(data, partial = false) {
+    const fields = {};
+
+    if (data.categoria !== undefined || !partial) {
+        const categoria = data.categoria || 'faq';
+        if (!KNOWLEDGE_CATEGORIES[categoria]) {
+            throw new Error(`Categoria inválida: "${categoria}". Use: ${Object.keys(KNOWLEDGE_CATEGORIES).join(', ')}`);
+        }
+        fields.categoria = categoria;
+    }
+
+    if (data.titulo !== undefined || !partial) {
+        fields.titulo = validateText(data.titulo, 'Título', LIMITS.titulo);
+        if (!fields.titulo) {
+            throw new Error('Título é obrigatório');
+        }
+    }
+
+    if (data.conteudo !== undefined || !partial) {
+        fields.conteudo = validateText(data.conteudo, 'Conteúdo', LIMITS.conteudo);
+        if (!fields.conteudo) {
+            throw new Error('Conteúdo é obrigatório');
+        }
+    }
+
+    if (data.ordem !== undefined) {
+        fields.ordem = parseInt(data.ordem) || 0;
+    }
+
+    if (data.ativo !== undefined) {
+        fields.ativo = data.ativo === true || data.ativo === 1 || data.ativo === '1' || data.ativo === 'true' ? 1 : 0;
+    }
+
+    return fields;
+}
+
+// ============================================
+// RASCUNHO
+// ============================================
+
+/**
+ * Lê valor JSON do rascunho em configuracoes
+ * @param {string} chave - Chave
+ * @param {*} fallback - Valor padrão
+ * @returns {*} Valor
+ */
+async function readDraftValue(chave, fallback) {
+    const row = await db.queryOne('SELECT valor FROM configuracoes WHERE chave = ?', [chave]);
+    if (!row || !row.valor) return fallback;
+
+    try {
+        return JSON.parse(row.valor);
+    } catch (error) {
+        logger.warn(`Rascunho da IA ignorado (${chave}): ${error.message}`);
+        return fallback;
+    }
+}
+
+/**
+ * Persona em edição
+ * @returns {object} Persona
+ */
+async function getPersona() {
+    try {
+        const persona = await readDraftValue(PERSONA_KEY, null);
+        return { ...DEFAULT_PERSONA, ...persona };
+    } catch (error) {
+        logger.error('Erro ao buscar persona da IA:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza persona (rascunho)
+ * @param {object} data - Campos da persona
+ * @returns {object} Persona salva
+ */
+async function updatePersona(data) {
+    try {
+        const persona = validatePersona(data);
+
+        await db.upsert('configuracoes', {
+            chave: PERSONA_KEY,
+            valor: JSON.stringify(persona),
+            tipo: 'json',
+            descricao: 'Persona da IA (rascunho)',
+        }, ['valor']);
+
+        return persona;
+    } catch (error) {
+        logger.error('Erro ao atualizar persona da IA:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Regras de temas proibidos em edição
+ * @returns {array} Regras
+ */
+async function getRules() {
+    try {
+        const rules = await readDraftValue(RULES_KEY, []);
+        return Array.isArray(rules) ? rules : [];
+    } catch (error) {
+        logger.error('Erro ao buscar regras da IA:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza regras de temas proibidos (rascunho)
+ * @param {array} rules - Regras
+ * @returns {array} Regras salvas
+ */
+async function updateRules(rules) {
+    try {
+        const normalized = validateRules(rules);
+
+        await db.upsert('configuracoes', {
+            chave: RULES_KEY,
+            valor: JSON.stringify(normalized),
+            tipo: 'json',
+            descricao: 'Temas proibidos da IA (rascunho)',
+        }, ['valor']);
+
+        return normalized;
+    } catch (error) {
+        logger.error('Erro ao atualizar regras da IA:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// BASE DE CONHECIMENTO
+// ============================================
+
+/**
+ * Lista itens da base de conhecimento
+ * @param {object} filters - { categoria, ativo }
+ * @returns {array} Itens
+ */
+async function listKnowledge(filters = {}) {
+    try {
+        let sql = 'SELECT * FROM base_conhecimento WHERE 1=1';
+        const params = [];
+
+        if (filters.categoria) {
+            sql += ' AND categoria = ?';
+            params.push(filters.categoria);
+        }
+
+        if (filters.ativo !== undefined) {
+            sql += ' AND ativo = ?';
+            params.push(filters.ativo ? 1 : 0);
+        }
+
+        sql += ' ORDER BY FIELD(categoria, ?, ?, ?, ?, ?, ?), ordem ASC, id ASC';
+        params.push(...Object.keys(KNOWLEDGE_CATEGORIES));
+
+        return await db.query(sql, params);
+    } catch (error) {
+        logger.error('Erro ao listar base de conhecimento:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Cadastra item na base de conhecimento
+ * @param {object} data - { categoria, titulo, conteudo, ordem, ativo }
+ * @returns {object} Item criado
+ */
+async function createKnowledge(data) {
+    try {
+        const fields = validateKnowledge(data);
+        const id = await db.insert('base_conhecimento', fields);
+
+        return await db.queryOne('SELECT * FROM base_conhecimento WHERE id = ?', [id]);
+    } catch (error) {
+        logger.error('Erro ao cadastrar item da base de conhecimento:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza item da base de conhecimento
+ * @param {number} id - ID do item
+ * @param {object} data - Campos a alterar
+ * @returns {object} Item atualizado
+ */
+async function updateKnowledge(id, data) {
+    try {
+        const existing = await db.queryOne('SELECT id FROM base_conhecimento WHERE id = ?', [id]);
+        if (!existing) {
+            throw new Error('Item da base de conhecimento não encontrado');
+        }
+
+        const fields = validateKnowledge(data, true);
+        if (Object.keys(fields).length > 0) {
+            await db.update('base_conhecimento', fields, 'id = ?', [id]);
+        }
+
+        return await db.queryOne('SELECT * FROM base_conhecimento WHERE id = ?', [id]);
+    } catch (error) {
+        logger.error('Erro ao atualizar item da base de conhecimento:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remove item da base de conhecimento
+ * @param {number} id - ID do item
+ */
+async function deleteKnowledge(id) {
+    try {
+        const removed = await db.remove('base_conhecimento', 'id = ?', [id]);
+        if (!removed) {
+            throw new Error('Item da base de conhecimento não encontrado');
+        }
+    } catch (error) {
+        logger.error('Erro ao remover item da base de conhecimento:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// PUBLICAÇÃO
+// ============================================
+
+/**
+ * Configuração em edição (o que o console de teste usa)
+ * @returns {object} { persona, regras, conhecimento }
+ */
+async function getDraft() {
+    const [persona, regras, conhecimento] = await Promise.all([
+        getPersona(),
+        getRules(),
+        listKnowledge({ ativo: true }),
+    ]);
+
+    return {
+        persona,
+        regras,
+        conhecimento: conhecimento.map(item => ({
+            categoria: item.categoria,
+            titulo: item.titulo,
+            conteudo: item.conteudo,
+        })),
+    };
+}
+
+/**
+ * Lê linha de ia_publicacoes
+ * @param {object} row - Linha do banco
+ * @returns {object} Publicação com configuracao já convertida
+ */
+function parsePublication(row) {
+    return {
+        ...row,
+        configuracao: typeof row.configuracao === 'string' ? JSON.parse(row.configuracao) : row.configuracao,
+    };
+}
+
+/**
+ * Configuração publicada (usada pelo bot)
+ * @param {boolean} fresh - Ignora o cache
+ * @returns {object|null} { persona, regras, conhecimento } ou null (nada publicado)
+ */
+async function getPublished(fresh = false) {
+    if (!fresh && publishedCache && Date.now() - publishedCache.loadedAt < CACHE_TTL) {
+        return publishedCache.value;
+    }
+
+    try {
+        const row = await db.queryOne('SELECT * FROM ia_publicacoes ORDER BY id DESC LIMIT 1');
+        const value = row ? parsePublication(row).configuracao : null;
+
+        publishedCache = { value, loadedAt: Date.now() };
+        return value;
+    } catch (error) {
+        logger.error('Erro ao buscar configuração publicada da IA:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Publica o rascunho (o bot passa a usá-lo)
+ * @param {number} userId - Usuário que publicou
+ * @param {string} note - Observação
+ * @returns {object} { id, configuracao }
+ */
+async function publish(userId = null, note = '') {
+    try {
+        const configuracao = await getDraft();
+
+        const id = await db.insert('ia_publicacoes', {
+            configuracao: JSON.stringify(configuracao),
+            observacao: validateText(note, 'Observação', 255) || null,
+            publicado_por: userId,
+        });
+
+        publishedCache = { value: configuracao, loadedAt: Date.now() };
+        logger.info(`🧠 Configuração da IA publicada (versão ${id})`);
+
+        return { id, configuracao };
+    } catch (error) {
+        logger.error('Erro ao publicar configuração da IA:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Histórico de publicações
+ * @param {number} limit - Quantidade
+ * @returns {array} [{ id, observacao, publicado_por_nome, created_at }]
+ */
+async function listPublications(limit = 10) {
+    try {
+        return await db.query(`
+            SELECT p.id, p.observacao, p.created_at, u.nome AS publicado_por_nome
+            FROM ia_publicacoes p
+            LEFT JOIN usuarios u ON u.id = p.publicado_por
+            ORDER BY p.id DESC
+            LIMIT ?
+        `, [parseInt(limit) || 10]);
+    } catch (error) {
+        logger.error('Erro ao listar publicações da IA:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Serializa com chaves em ordem (o MySQL reordena as chaves do JSON)
+ * @param {*} value - Valor
+ * @returns {string} JSON estável
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Situação do rascunho em relação à última publicação
+ * @returns {object} { pendente, ultimaPublicacao }
+ */
+async function getPublishStatus() {
+    try {
+        const [draft, published, history] = await Promise.all([
+            getDraft(),
+            getPublished(true),
+            listPublications(1),
+        ]);
+
+        return {
+            pendente: stableStringify(draft) !== stableStringify(published),
+            ultimaPublicacao: history[0] || null,
+        };
+    } catch (error) {
+        logger.error('Erro ao verificar publicação da IA:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// PROMPT
+// ============================================
+
+/**
+ * Monta trechos do prompt a partir da configuração
+ * @param {object|null} config - { persona, regras, conhecimento } (null = padrão)
+ * @returns {object} { nome, apresentacao, estilo, conhecimento, regras }
+ */
+function buildPromptSections(config) {
+    const persona = { ...DEFAULT_PERSONA, ...config?.persona };
+    const tone = TONES[persona.tom] || TONES[DEFAULT_PERSONA.tom];
+    const length = LENGTHS[persona.tamanho] || LENGTHS[DEFAULT_PERSONA.tamanho];
+
+    const style = [
+        `- ${tone.instrucao}`,
+        `- Seja conciso e direto nas respostas (${length.instrucao})`,
+        persona.emojis
+            ? '- Use emojis moderadamente para tornar a conversa amigável'
+            : '- Não use emojis',
+    ];
+
+    if (persona.instrucoes) {
+        style.push(...persona.instrucoes.split('\n').filter(line => line.trim()).map(line => `- ${line.trim().replace(/^-\s*/, '')}`));
+    }
+
+    return {
+        nome: persona.nome || settings.bot.name,
+        apresentacao: persona.apresentacao ? `SOBRE A LOJA:\n${persona.apresentacao}` : '',
+        estilo: `TOM E ESTILO:\n${style.join('\n')}`,
+        conhecimento: buildKnowledgeSection(config?.conhecimento || []),
+        regras: buildRulesSection(config?.regras || []),
+    };
+}
+
+/**
+ * Trecho da base de conhecimento (agrupado por categoria)
+ * @param {array} entries - [{ categoria, titulo, conteudo }]
+ * @returns {string} Trecho ou vazio
+ */
+function buildKnowledgeSection(entries) {
+    if (entries.length === 0) return '';
+
+    const groups = [];
+    let size = 0;
+    let skipped = 0;
+
+    for (const [categoria, label] of Object.entries(KNOWLEDGE_CATEGORIES)) {
+        const lines = [];
+
+        for (const entry of entries.filter(item => item.categoria === categoria)) {
+            const line = categoria === 'faq'
+                ? `- P: ${entry.titulo}\n  R: ${entry.conteudo}`
+                : `- ${entry.titulo}: ${entry.conteudo}`;
+
+            if (size + line.length > LIMITS.conhecimentoNoPrompt) {
+                skipped++;
+                continue;
+            }
+
+            size += line.length;
+            lines.push(line);
+        }
+
+        if (lines.length > 0) {
+            groups.push(`${label.toUpperCase()}:\n${lines.join('\n')}`);
+        }
+    }
+
+    if (skipped > 0) {
+        logger.warn(`⚠️  Base de conhecimento grande demais: ${skipped} item(ns) fora do prompt`);
+    }
+
+    return `BASE DE CONHECIMENTO DA LOJA (use estas informações; não invente políticas, prazos ou condições):\n\n${groups.join('\n\n')}`;
+}
+
+/**
+ * Trecho de temas proibidos
+ * @param {array} rules - Regras
+ * @returns {string} Trecho ou vazio
+ */
+function buildRulesSection(rules) {
+    if (rules.length === 0) return '';
+
+    const lines = rules.map(rule => rule.resposta
+        ? `- ${rule.tema} (responda: "${rule.resposta}")`
+        : `- ${rule.tema}`);
+
+    return `TEMAS PROIBIDOS (não fale sobre eles, mesmo que o cliente insista; recuse com educação e volte ao atendimento):\n${lines.join('\n')}`;
+}
+
+/**
+ * Verifica se a mensagem cai em tema proibido
+ * (palavras-chave cadastradas na regra)
+ * @param {string} message - Mensagem do cliente
+ * @param {object|null} config - Configuração em uso
+ * @returns {object|null} Regra encontrada
+ */
+function matchRule(message, config) {
+    const rules = config?.regras || [];
+
+    return rules.find(rule => rule.resposta && rule.palavras?.length > 0 && containsKeyword(message, rule.palavras)) || null;
+}
+
+// ============================================
+// CONSULTAS
+// ============================================
+
+/**
+ * Opções para o painel (tons, tamanhos, categorias)
+ * @returns {object} Opções
+ */
+function getOptions() {
+    const toList = (definitions) => Object.entries(definitions).map(([key, def]) => ({
+        key,
+        descricao: typeof def === 'string' ? def : def.descricao,
+    }));
+
+    return {
+        tons: toList(TONES),
+        tamanhos: toList(LENGTHS),
+        categorias: toList(KNOWLEDGE_CATEGORIES),
+        limites: LIMITS,
+        padrao: DEFAULT_PERSONA,
+    };
+}
+
+module.exports = {
+    TONES,
+    LENGTHS,
+    KNOWLEDGE_CATEGORIES,
+
+    // Rascunho
+    getPersona,
+    updatePersona,
+    getRules,
+    updateRules,
+    getDraft,
+
+    // Base de conhecimento
+    listKnowledge,
+    createKnowledge,
+    updateKnowledge,
+    deleteKnowledge,
+
+    // Publicação
+    getPublished,
+    publish,
+    listPublications,
+    getPublishStatus,
+
+    // Prompt
+    buildPromptSections,
+    matchRule,
+
+    // Consultas
+    getOptions,
+};
@@ -0,0 +1,324 @@
+/**
+ * ============================================
+ * FERRAMENTAS DA IA (FUNCTION CALLING)
+ * ============================================
+ *
+ * Ferramentas que o modelo pode chamar durante a
+ * conversa, declaradas com schema JSON. Há dois
+ * tipos:
+ *   - consulta: executa no banco e devolve o
+ *     resultado ao modelo, que monta a resposta
+ *   - fluxo: encerra a rodada da IA e inicia um
+ *     fluxo do bot (orçamento, agendamento,
+ *     atendente humano)
+ */
+
+const productService = require('./productService');
+const serviceService = require('./serviceService');
+const catalogIndexService = require('./catalogIndexService');
+
+// Limite de itens devolvidos ao modelo por consulta
+const MAX_RESULTS = 5;
+
+// ============================================
+// FORMATAÇÃO DOS RESULTADOS
+// ============================================
+
+/**
+ * Resume produto para o modelo (só campos úteis)
+ * @param {object} product - Produto do banco
+ * @returns {object} Produto resumido
+ */
+function summarizeProduct(product) {
+    const price = parseFloat(product.preco);
+    const finalPrice = product.preco_final != null ? parseFloat(product.preco_final) : price;
+
+    return {
+        id: product.id,
+        codigo: product.codigo || null,
+        nome: product.nome,
+        marca: product.marca || null,
+        categoria: product.categoria_nome || null,
+        preco: price,
+        preco_final: finalPrice,
+        em_promocao: finalPrice < price,
+        estoque: product.quantidade,
+        compativel_com: product.veiculo_compativel || null,
+    };
+}
+
+/**
+ * Resume serviço para o modelo
+ * @param {object} service - Serviço do banco
+ * @returns {object} Serviço resumido
+ */
+function summarizeService(service) {
+    return {
+        id: service.id,
+        codigo: service.codigo || null,
+        nome: service.nome,
+        categoria: service.categoria_nome || null,
+        preco: parseFloat(service.preco),
+        preco_final: service.preco_final != null ? parseFloat(service.preco_final) : parseFloat(service.preco),
+        duracao_minutos: service.duracao_estimada || null,
+    };
+}
+
+// ============================================
+// FERRAMENTAS
+// ============================================
+
+const TOOLS = {
+    search_products: {
+        description: 'Busca produtos em estoque por nome, código, marca, categoria, veículo compatível ou sintoma descrito pelo cliente (ex.: "barulho ao frear").',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Termo de busca (ex.: "filtro de óleo")' },
+                vehicle: { type: 'string', description: 'Modelo do veículo para filtrar compatibilidade (ex.: "gol 1.0")' },
+                brand: { type: 'string', description: 'Marca do produto' },
+                onlyPromotions: { type: 'boolean', description: 'Somente produtos em promoção' },
+            },
+            required: ['query'],
+        },
+        async execute(args, context) {
+            const results = await catalogIndexService.hybridSearch(args.query, {
+                tipo: 'produto',
+                filters: {
+                    veiculo: args.vehicle || null,
+                    marca: args.brand || null,
+                    apenasPromocao: !!args.onlyPromotions,
+                },
+                limit: MAX_RESULTS,
+            });
+
+            // Permite escolher pelo número depois (orçamento, detalhes)
+            if (results.items.length > 0) {
+                context.sessionData.lastSearch = results.items;
+            }
+
+            return {
+                total: results.items.length,
+                produtos: results.items.map(summarizeProduct),
+                sugestoes: results.sugestoes,
+            };
+        },
+    },
+
+    search_by_vehicle: {
+        description: 'Lista produtos compatíveis com um veículo.',
+        parameters: {
+            type: 'object',
+            properties: {
+                vehicle: { type: 'string', description: 'Modelo do veículo (ex.: "onix 2020")' },
+            },
+            required: ['vehicle'],
+        },
+        async execute(args, context) {
+            const products = await productService.searchProductsByVehicle(args.vehicle, MAX_RESULTS);
+
+            if (products.length > 0) {
+                context.sessionData.lastSearch = products;
+            }
+
+            return {
+                total: products.length,
+                produtos: products.map(summarizeProduct),
+            };
+        },
+    },
+
+    get_product: {
+        description: 'Detalhes de um produto pelo código: preço final, promoção, estoque e similares.',
+        parameters: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', description: 'Código do produto' },
+            },
+            required: ['code'],
+        },
+        async execute(args, context) {
+            const product = await productService.getProductByCode(String(args.code));
+            if (!product) {
+                return { encontrado: false, codigo: args.code };
+            }
+
+            const details = await productService.getProductDetailsForAI(product.id);
+            context.sessionData.selectedProduct = product;
+
+            return {
+                encontrado: true,
+                produto: summarizeProduct({ ...product, preco_final: details?.preco_final }),
+                descricao: product.descricao || null,
+                estoque_baixo: !!details?.estoque_baixo,
+                similares: (details?.produtos_similares || []).map(summarizeProduct),
+            };
+        },
+    },
+
+    check_availability: {
+        description: 'Verifica se há estoque suficiente de um produto para a quantidade pedida.',
+        parameters: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', description: 'Código do produto' },
+                quantity: { type: 'integer', minimum: 1, description: 'Quantidade desejada (padrão 1)' },
+            },
+            required: ['code'],
+        },
+        async execute(args) {
+            const product = await productService.getProductByCode(String(args.code));
+            if (!product) {
+                return { disponivel: false, motivo: 'Produto não encontrado', codigo: args.code };
+            }
+
+            const availability = await productService.checkAvailability(product.id, parseInt(args.quantity) || 1);
+
+            return {
+                disponivel: availability.available,
+                motivo: availability.reason,
+                quantidade_pedida: availability.requestedQty,
+                quantidade_em_estoque: availability.availableQty,
+                produto: summarizeProduct(product),
+            };
+        },
+    },
+
+    list_promotions: {
+        description: 'Lista as promoções ativas da loja.',
+        parameters: { type: 'object', properties: {} },
+        async execute() {
+            const promotions = await productService.getActivePromotions(MAX_RESULTS);
+
+            return {
+                total: promotions.length,
+                promocoes: promotions.map(promotion => ({
+                    titulo: promotion.titulo,
+                    produto: promotion.produto_nome || null,
+                    codigo_produto: promotion.produto_codigo || null,
+                    servico: promotion.servico_nome || null,
+                    categoria: promotion.categoria_nome || null,
+                    desconto_percentual: promotion.desconto_percentual ? parseFloat(promotion.desconto_percentual) : null,
+                    desconto_valor: promotion.desconto_valor ? parseFloat(promotion.desconto_valor) : null,
+                    valido_ate: promotion.data_fim,
+                })),
+            };
+        },
+    },
+
+    list_categories: {
+        description: 'Lista as categorias de produtos.',
+        parameters: { type: 'object', properties: {} },
+        async execute() {
+            const categories = await productService.getAllCategories();
+            return { categorias: categories.map(category => category.nome) };
+        },
+    },
+
+    search_services: {
+        description: 'Busca serviços da oficina (troca de óleo, alinhamento, revisão...). Sem termo, lista os principais.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Termo de busca (opcional)' },
+            },
+        },
+        async execute(args) {
+            const services = args.query
+                ? (await catalogIndexService.hybridSearch(args.query, { tipo: 'servico', limit: MAX_RESULTS })).items
+                : await serviceService.getAllServices(MAX_RESULTS);
+
+            return {
+                total: services.length,
+                servicos: services.map(summarizeService),
+            };
+        },
+    },
+
+    create_quote: {
+        flow: true,
+        description: 'Inicia a montagem de orçamento com o cliente. Use quando ele pedir orçamento ou quiser comprar.',
+        parameters: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', description: 'Código do produto ou serviço a incluir (opcional)' },
+                quantity: { type: 'integer', minimum: 1, description: 'Quantidade (opcional)' },
+            },
+        },
+    },
+
+    schedule_service: {
+        flow: true,
+        description: 'Inicia o agendamento de um serviço na oficina.',
+        parameters: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', description: 'Código do serviço (opcional)' },
+            },
+        },
+    },
+
+    request_human: {
+        flow: true,
+        description: 'Transfere a conversa para um atendente humano. Use quando o cliente pedir ou quando você não puder ajudar.',
+        parameters: {
+            type: 'object',
+            properties: {
+                reason: { type: 'string', description: 'Motivo resumido da transferência' },
+            },
+        },
+    },
+};
+
+// ============================================
+// API
+// ============================================
+
+/**
+ * Definições das ferramentas no formato comum dos provedores
+ * @returns {array} [{ name, description, parameters }]
+ */
+function getDefinitions() {
+    return Object.entries(TOOLS).map(([name, tool]) => ({
+        name,
+        description: tool.description,
+        parameters: tool.parameters,
+    }));
+}
+
+/**
+ * Verifica se a ferramenta inicia um fluxo do bot
+ * @param {string} name - Nome da ferramenta
+ * @returns {boolean}
+ */
+function isFlowTool(name) {
+    return !!TOOLS[name]?.flow;
+}
+
+/**
+ * Executa ferramenta de consulta
+ * @param {string} name - Nome da ferramenta
+ * @param {object} args - Argumentos enviados pelo modelo
+ * @param {object} context - { sessionData } (alterações vão para a sessão)
+ * @returns {object} Resultado (sempre serializável; erros viram { erro })
+ */
+async function execute(name, args = {}, context = { sessionData: {} }) {
+    const tool = TOOLS[name];
+
+    if (!tool || tool.flow) {
+        return { erro: `Ferramenta desconhecida: ${name}` };
+    }
+
+    try {
+        return await tool.execute(args || {}, context);
+    } catch (error) {
+        return { erro: `Falha ao executar ${name}: ${error.message}` };
+    }
+}
+
+module.exports = {
+    TOOLS,
+    getDefinitions,
+    isFlowTool,
+    execute,
+};
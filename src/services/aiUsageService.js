@@ -0,0 +1,449 @@
+/**
+ * ============================================
+ * SERVIÇO DE USO DA IA
+ * ============================================
+ *
+ * Registra cada chamada da IA na tabela uso_ia
+ * (telefone, modelo, tokens, latência, ação,
+ * cache, erro), estima o custo por modelo e
+ * aplica o orçamento mensal e os limites por
+ * cliente. Acima do orçamento o bot segue só
+ * com o menu até o mês virar.
+ */
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings } = require('../config/settings');
+
+// Operações registradas
+const OPERATIONS = {
+    CONVERSATION: 'conversa',
+    PRODUCT_QUESTION: 'produto',
+    SENTIMENT: 'sentimento',
+    SUMMARY: 'resumo',
+    SUGGESTION: 'sugestao',
+    INDEXING: 'indexacao',
+    VISION: 'visao',
+    TEST: 'teste',
+};
+
+// Motivos para não usar a IA
+const BLOCK_REASONS = {
+    BUDGET: 'orcamento',
+    HOURLY_LIMIT: 'limite_hora',
+    DAILY_LIMIT: 'limite_dia',
+};
+
+// Chaves na tabela configuracoes (editáveis pelo painel)
+const CONFIG_KEYS = {
+    monthlyBudget: 'ia_orcamento_mensal',
+    exchangeRate: 'ia_cotacao_dolar',
+    customerHourlyLimit: 'ia_limite_cliente_hora',
+    customerDailyLimit: 'ia_limite_cliente_dia',
+};
+
+// Configuração e gasto do mês ficam em cache por pouco tempo
+// (o painel pode rodar em outro processo)
+const CACHE_TTL = 60 * 1000;
+let configCache = null;
+let spendCache = null;
+
+// ============================================
+// CUSTO
+// ============================================
+
+/**
+ * Preço do modelo (US$ por 1 milhão de tokens)
+ * Aceita nomes com sufixo de versão (gpt-4o-mini-2024-07-18)
+ * @param {string} model - Nome do modelo
+ * @returns {object|null} { input, output } ou null (sem custo)
+ */
+function getModelPrice(model) {
+    if (!model) return null;
+
+    const prices = settings.ai.usage.prices;
+    const match = Object.keys(prices)
+        .filter(name => model === name || model.startsWith(`${name}-`))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return match ? prices[match] : null;
+}
+
+/**
+ * Estima custo da chamada em reais
+ * @param {string} model - Modelo usado
+ * @param {number} promptTokens - Tokens de entrada
+ * @param {number} completionTokens - Tokens de saída
+ * @param {number} exchangeRate - R$ por US$
+ * @returns {number} Custo estimado (R$)
+ */
+function estimateCost(model, promptTokens, completionTokens, exchangeRate = settings.ai.usage.exchangeRate) {
+    const price = getModelPrice(model);
+    if (!price) return 0;
+
+    const usd = (promptTokens * price.input + completionTokens * price.output) / 1000000;
+    return usd * exchangeRate;
+}
+
+// ============================================
+// CONFIGURAÇÃO
+// ============================================
+
+/**
+ * Configuração de orçamento e limites
+ * (configuracoes do banco, com padrão do .env)
+ * @param {boolean} fresh - Ignora o cache
+ * @returns {object} { monthlyBudget, exchangeRate, customerHourlyLimit, customerDailyLimit }
+ */
+async function getConfig(fresh = false) {
+    if (!fresh && configCache && Date.now() - configCache.loadedAt < CACHE_TTL) {
+        return configCache.value;
+    }
+
+    try {
+        const keys = Object.values(CONFIG_KEYS);
+        const rows = await db.query(
+            `SELECT chave, valor FROM configuracoes WHERE chave IN (${keys.map(() => '?').join(', ')})`,
+            keys
+        );
+
+        const values = Object.fromEntries(rows.map(row => [row.chave, parseFloat(row.valor)]));
+        const value = {};
+
+        for (const [field, key] of Object.entries(CONFIG_KEYS)) {
+            value[field] = isNaN(values[key]) ? settings.ai.usage[field] : values[key];
+        }
+
+        configCache = { value, loadedAt: Date.now() };
+        return value;
+    } catch (error) {
+        logger.error('Erro ao buscar configuração de uso da IA:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza orçamento e limites
+ * @param {object} data - Campos de getConfig (parciais)
+ * @returns {object} Configuração atualizada
+ */
+async function updateConfig(data) {
+    try {
+        const fields = Object.keys(CONFIG_KEYS).filter(field => data[field] !== undefined);
+
+        if (fields.length === 0) {
+            throw new Error(`Informe ao menos um campo (campo obrigatório): ${Object.keys(CONFIG_KEYS).join(', ')}`);
+        }
+
+        const descriptions = {
+            monthlyBudget: 'Orçamento mensal da IA em R$ (0 = sem limite)',
+            exchangeRate: 'Cotação do dólar para estimar o custo da IA',
+            customerHourlyLimit: 'Mensagens com IA por cliente por hora (0 = sem limite)',
+            customerDailyLimit: 'Mensagens com IA por cliente por dia (0 = sem limite)',
+        };
+
+        for (const field of fields) {
+            const value = parseFloat(data[field]);
+
+            if (isNaN(value) || value < 0) {
+                throw new Error(`Valor inválido para ${field}: informe um número maior ou igual a zero`);
+            }
+
+            if (field === 'exchangeRate' && value === 0) {
+                throw new Error('Cotação inválida: informe um valor maior que zero');
+            }
+
+            await db.upsert('configuracoes', {
+                chave: CONFIG_KEYS[field],
+                valor: String(value),
+                tipo: 'number',
+                descricao: descriptions[field],
+            }, ['valor']);
+        }
+
+        spendCache = null;
+        return await getConfig(true);
+    } catch (error) {
+        logger.error('Erro ao atualizar configuração de uso da IA:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// REGISTRO
+// ============================================
+
+/**
+ * Registra uma chamada da IA
+ * Não lança erro: falha no registro não derruba o atendimento
+ * @param {object} entry - { phone, operation, provider, model, promptTokens,
+ *   completionTokens, latencyMs, action, tools, cacheHit, error }
+ * @returns {number|null} ID do registro
+ */
+async function recordUsage(entry) {
+    try {
+        const {
+            phone = null,
+            operation = OPERATIONS.CONVERSATION,
+            provider = null,
+            model = null,
+            promptTokens = 0,
+            completionTokens = 0,
+            latencyMs = 0,
+            action = null,
+            tools = [],
+            cacheHit = false,
+            error = null,
+        } = entry;
+
+        const { exchangeRate } = await getConfig();
+        const cost = cacheHit ? 0 : estimateCost(model, promptTokens, completionTokens, exchangeRate);
+
+        const id = await db.insert('uso_ia', {
+            telefone: phone,
+            operacao: operation,
+            provedor: provider,
+            modelo: model,
+            tokens_entrada: promptTokens,
+            tokens_saida: completionTokens,
+            tokens_total: promptTokens + completionTokens,
+            custo_estimado: cost,
+            latencia_ms: Math.round(latencyMs),
+            acao: action,
+            ferramentas: tools.length > 0 ? tools.join(',').substring(0, 255) : null,
+            cache: cacheHit ? 1 : 0,
+            erro: error ? String(error).substring(0, 1000) : null,
+        });
+
+        // Mantém o gasto do mês em dia sem nova consulta
+        if (spendCache) {
+            spendCache.value += cost;
+        }
+
+        return id;
+    } catch (error) {
+        logger.warn('⚠️  Não foi possível registrar uso da IA:', error.message);
+        return null;
+    }
+}
+
+// ============================================
+// ORÇAMENTO E LIMITES
+// ============================================
+
+/**
+ * Gasto estimado do mês corrente (R$)
+ * @param {boolean} fresh - Ignora o cache
+ * @returns {number} Gasto
+ */
+async function getMonthSpend(fresh = false) {
+    if (!fresh && spendCache && Date.now() - spendCache.loadedAt < CACHE_TTL) {
+        return spendCache.value;
+    }
+
+    try {
+        const row = await db.queryOne(`
+            SELECT COALESCE(SUM(custo_estimado), 0) AS total
+            FROM uso_ia
+            WHERE created_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01')
+        `);
+
+        spendCache = { value: parseFloat(row.total) || 0, loadedAt: Date.now() };
+        return spendCache.value;
+    } catch (error) {
+        logger.error('Erro ao calcular gasto da IA no mês:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Situação do orçamento mensal
+ * @returns {object} { budget, spent, remaining, percent, exceeded }
+ */
+async function getBudgetStatus() {
+    const { monthlyBudget } = await getConfig();
+    const spent = await getMonthSpend();
+
+    return {
+        budget: monthlyBudget,
+        spent,
+        remaining: monthlyBudget > 0 ? Math.max(monthlyBudget - spent, 0) : null,
+        percent: monthlyBudget > 0 ? Math.round((spent / monthlyBudget) * 100) : null,
+        exceeded: monthlyBudget > 0 && spent >= monthlyBudget,
+    };
+}
+
+/**
+ * Conversas e fotos analisadas com IA do cliente no intervalo (sem contar cache)
+ * @param {string} phone - Telefone
+ * @param {string} interval - Intervalo SQL ('1 HOUR', '1 DAY')
+ * @returns {number} Quantidade
+ */
+async function countCustomerCalls(phone, interval) {
+    const row = await db.queryOne(`
+        SELECT COUNT(*) AS total
+        FROM uso_ia
+        WHERE telefone = ? AND operacao IN (?, ?) AND cache = 0
+            AND created_at >= DATE_SUB(NOW(), INTERVAL ${interval})
+    `, [phone, OPERATIONS.CONVERSATION, OPERATIONS.VISION]);
+
+    return row ? row.total : 0;
+}
+
+/**
+ * Verifica se a IA pode atender o cliente agora
+ * @param {string} phone - Telefone do cliente
+ * @returns {object} { allowed, reason }
+ */
+async function checkAllowance(phone) {
+    try {
+        const budget = await getBudgetStatus();
+        if (budget.exceeded) {
+            return { allowed: false, reason: BLOCK_REASONS.BUDGET, budget };
+        }
+
+        const { customerHourlyLimit, customerDailyLimit } = await getConfig();
+
+        if (customerHourlyLimit > 0 && await countCustomerCalls(phone, '1 HOUR') >= customerHourlyLimit) {
+            return { allowed: false, reason: BLOCK_REASONS.HOURLY_LIMIT };
+        }
+
+        if (customerDailyLimit > 0 && await countCustomerCalls(phone, '1 DAY') >= customerDailyLimit) {
+            return { allowed: false, reason: BLOCK_REASONS.DAILY_LIMIT };
+        }
+
+        return { allowed: true, reason: null };
+    } catch (error) {
+        // Sem banco para conferir: não bloqueia o atendimento
+        logger.warn('⚠️  Não foi possível verificar limites da IA:', error.message);
+        return { allowed: true, reason: null };
+    }
+}
+
+// ============================================
+// RELATÓRIOS
+// ============================================
+
+/**
+ * Uso e custo por dia e modelo
+ * @param {number} days - Dias para trás
+ * @returns {array} [{ dia, modelo, chamadas, tokens, custo }]
+ */
+async function getDailyUsage(days = 30) {
+    try {
+        const rows = await db.query(`
+            SELECT
+                DATE(created_at) AS dia,
+                COALESCE(modelo, '-') AS modelo,
+                COUNT(*) AS chamadas,
+                SUM(tokens_total) AS tokens,
+                SUM(custo_estimado) AS custo
+            FROM uso_ia
+            WHERE created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+            GROUP BY DATE(created_at), modelo
+            ORDER BY dia ASC, custo DESC
+        `, [parseInt(days) - 1]);
+
+        return rows.map(row => ({
+            ...row,
+            tokens: parseInt(row.tokens) || 0,
+            custo: parseFloat(row.custo) || 0,
+        }));
+    } catch (error) {
+        logger.error('Erro ao buscar uso diário da IA:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Resumo do período: totais, qualidade e maiores consumidores
+ * @param {number} days - Dias para trás
+ * @returns {object} Resumo
+ */
+async function getSummary(days = 30) {
+    try {
+        const interval = parseInt(days);
+
+        const totals = await db.queryOne(`
+            SELECT
+                COUNT(*) AS chamadas,
+                COALESCE(SUM(tokens_total), 0) AS tokens,
+                COALESCE(SUM(custo_estimado), 0) AS custo,
+                COALESCE(ROUND(AVG(CASE WHEN cache = 0 AND erro IS NULL THEN latencia_ms END)), 0) AS latencia_media,
+                COALESCE(SUM(cache), 0) AS cache,
+                COALESCE(SUM(erro IS NOT NULL), 0) AS erros
+            FROM uso_ia
+            WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+        `, [interval]);
+
+        const byOperation = await db.query(`
+            SELECT operacao, COUNT(*) AS chamadas, SUM(custo_estimado) AS custo
+            FROM uso_ia
+            WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+            GROUP BY operacao
+            ORDER BY custo DESC
+        `, [interval]);
+
+        const byAction = await db.query(`
+            SELECT acao, COUNT(*) AS total
+            FROM uso_ia
+            WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY) AND acao IS NOT NULL
+            GROUP BY acao
+            ORDER BY total DESC
+        `, [interval]);
+
+        const topCustomers = await db.query(`
+            SELECT u.telefone, c.nome, COUNT(*) AS chamadas, SUM(u.custo_estimado) AS custo
+            FROM uso_ia u
+            LEFT JOIN clientes c ON c.telefone = u.telefone
+            WHERE u.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY) AND u.telefone IS NOT NULL
+            GROUP BY u.telefone, c.nome
+            ORDER BY custo DESC, chamadas DESC
+            LIMIT 5
+        `, [interval]);
+
+        const calls = parseInt(totals.chamadas) || 0;
+
+        return {
+            periodo: interval,
+            chamadas: calls,
+            tokens: parseInt(totals.tokens) || 0,
+            custo: parseFloat(totals.custo) || 0,
+            latencia_media: parseInt(totals.latencia_media) || 0,
+            taxa_cache: calls > 0 ? Math.round((totals.cache / calls) * 100) : 0,
+            taxa_erro: calls > 0 ? Math.round((totals.erros / calls) * 100) : 0,
+            por_operacao: byOperation.map(row => ({ ...row, custo: parseFloat(row.custo) || 0 })),
+            por_acao: byAction,
+            maiores_clientes: topCustomers.map(row => ({ ...row, custo: parseFloat(row.custo) || 0 })),
+            orcamento: await getBudgetStatus(),
+        };
+    } catch (error) {
+        logger.error('Erro ao gerar resumo de uso da IA:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    OPERATIONS,
+    BLOCK_REASONS,
+
+    // Custo
+    getModelPrice,
+    estimateCost,
+
+    // Configuração
+    getConfig,
+    updateConfig,
+
+    // Registro
+    recordUsage,
+
+    // Orçamento e limites
+    getMonthSpend,
+    getBudgetStatus,
+    checkAllowance,
+
+    // Relatórios
+    getDailyUsage,
+    getSummary,
+};
@@ -0,0 +1,791 @@
+/**
+ * ============================================
+ * SERVIÇO DE AGENDAMENTOS
+ * ============================================
+ *
+ * Lógica de negócio para agendamento de serviços:
+ * cálculo de horários livres, detecção de conflitos
+ * e controle de status dos agendamentos.
+ */
+
+const dayjs = require('dayjs');
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings } = require('../config/settings');
+const { extractPhoneFromJid } = require('../utils/formatter');
+const { getBusinessIntervals, getZonedDateTime, getZonedInstant } = require('../utils/helpers');
+const serviceService = require('./serviceService');
+const jobService = require('./jobService');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const APPOINTMENT_STATUS = ['agendado', 'confirmado', 'em_andamento', 'concluido', 'cancelado', 'nao_compareceu'];
+
+// Status que não ocupam horário na agenda
+const FREE_STATUS = ['cancelado', 'nao_compareceu'];
+
+// Status em que o cliente ainda é esperado
+const ACTIVE_STATUS = ['agendado', 'confirmado'];
+
+// Mudanças de status permitidas (atual => novos)
+const STATUS_TRANSITIONS = {
+    agendado: ['agendado', 'confirmado', 'em_andamento', 'cancelado', 'nao_compareceu'],
+    confirmado: ['agendado', 'confirmado', 'em_andamento', 'cancelado', 'nao_compareceu'],
+    em_andamento: ['concluido'],
+    nao_compareceu: ['em_andamento'], // Cliente chegou atrasado
+    concluido: [],
+    cancelado: [],
+};
+
+// Mensagem de horário ocupado (rotas e conversa conferem "já existe")
+const CONFLICT_MESSAGE = 'Conflito de horário: já existe agendamento neste horário';
+
+// Tipos de tarefas agendadas ligadas ao agendamento
+const JOB_TYPES = {
+    REMINDER: 'lembrete_agendamento',
+    NO_SHOW: 'ausencia_agendamento',
+};
+
+// Campos comuns das consultas (datas como texto para não sofrer com fuso)
+const SELECT_FIELDS = `
+    a.*,
+    DATE_FORMAT(a.data_agendamento, '%Y-%m-%d') AS data_agendamento,
+    TIME_FORMAT(a.hora_inicio, '%H:%i') AS hora_inicio,
+    TIME_FORMAT(a.hora_fim, '%H:%i') AS hora_fim,
+    s.nome AS servico_nome,
+    s.duracao_estimada,
+    c.nome AS cliente_nome
+`;
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Converte HH:MM em minutos
+ * @param {string} time - Horário (HH:MM ou HH:MM:SS)
+ * @returns {number} Minutos desde 00:00
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Converte minutos em HH:MM
+ * @param {number} minutes - Minutos desde 00:00
+ * @returns {string} Horário formatado
+ */
+function minutesToTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+}
+
+/**
+ * Verifica se a data é dia de funcionamento (considera feriados)
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @returns {boolean} Se a loja abre no dia
+ */
+function isWorkDay(date) {
+    return getBusinessIntervals(dayjs(date).format('YYYY-MM-DD')).length > 0;
+}
+
+/**
+ * Obtém duração do serviço em minutos
+ * @param {object|null} service - Serviço
+ * @returns {number} Duração
+ */
+function getServiceDuration(service) {
+    return parseInt(service?.duracao_estimada) || settings.appointments.defaultDuration;
+}
+
+/**
+ * Busca agendamentos que ocupam horário em uma data
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @param {number} excludeId - ID a ignorar (edição)
+ * @param {object} connection - Conexão da transação (trava os agendamentos do dia com FOR UPDATE)
+ * @returns {array} Intervalos ocupados { inicio, fim }
+ */
+async function getBusyIntervals(date, excludeId = null, connection = null) {
+    const params = [date, ...FREE_STATUS];
+    let sql = `
+        SELECT id, hora_inicio, hora_fim
+        FROM agendamentos
+        WHERE data_agendamento = ?
+            AND status NOT IN (${FREE_STATUS.map(() => '?').join(', ')})
+    `;
+
+    if (excludeId) {
+        sql += ' AND id != ?';
+        params.push(excludeId);
+    }
+
+    const rows = connection
+        ? (await connection.query(`${sql} FOR UPDATE`, params))[0]
+        : await db.query(sql, params);
+
+    return rows.map(row => {
+        const inicio = timeToMinutes(row.hora_inicio);
+        return {
+            id: row.id,
+            inicio,
+            fim: row.hora_fim ? timeToMinutes(row.hora_fim) : inicio + settings.appointments.defaultDuration
+        };
+    });
+}
+
+/**
+ * Conta quantos agendamentos se sobrepõem ao intervalo
+ * @param {array} busy - Intervalos ocupados
+ * @param {number} start - Início (minutos)
+ * @param {number} end - Fim (minutos)
+ * @returns {number} Quantidade de sobreposições
+ */
+function countOverlaps(busy, start, end) {
+    return busy.filter(interval => interval.inicio < end && interval.fim > start).length;
+}
+
+/**
+ * Executa gravação na agenda dentro de uma transação
+ * (deadlock entre duas reservas simultâneas vira conflito de horário)
+ * @param {function} callback - Recebe a conexão da transação
+ * @returns {any} Resultado do callback
+ */
+async function withScheduleLock(callback) {
+    try {
+        return await db.transaction(callback);
+    } catch (error) {
+        if (error.code === 'ER_LOCK_DEADLOCK') {
+            throw new Error(CONFLICT_MESSAGE);
+        }
+        throw error;
+    }
+}
+
+// ============================================
+// DISPONIBILIDADE
+// ============================================
+
+/**
+ * Calcula horários livres de um dia para um serviço
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @param {number} serviceId - ID do serviço
+ * @returns {array} Horários disponíveis (HH:MM)
+ */
+async function getAvailableSlots(date, serviceId) {
+    try {
+        const day = dayjs(date);
+
+        if (!day.isValid() || !isWorkDay(date)) {
+            return [];
+        }
+
+        const service = serviceId ? await serviceService.getServiceById(serviceId) : null;
+        const duration = getServiceDuration(service);
+
+        const dateStr = day.format('YYYY-MM-DD');
+        const intervals = getBusinessIntervals(dateStr);
+        const { slotInterval, simultaneous } = settings.appointments;
+
+        // Hoje (no fuso da loja): só horários a partir de agora
+        const now = getZonedDateTime();
+        let earliest = 0;
+        if (dateStr === now.date) {
+            earliest = now.minutes;
+        } else if (dateStr < now.date) {
+            return [];
+        }
+
+        const busy = await getBusyIntervals(dateStr);
+        const slots = [];
+
+        // O serviço precisa caber inteiro em um intervalo (não atravessa o almoço)
+        for (const interval of intervals) {
+            const open = timeToMinutes(interval.inicio);
+            const close = timeToMinutes(interval.fim);
+
+            for (let start = open; start + duration <= close; start += slotInterval) {
+                if (start < earliest) continue;
+
+                if (countOverlaps(busy, start, start + duration) < simultaneous) {
+                    slots.push(minutesToTime(start));
+                }
+            }
+        }
+
+        return slots;
+    } catch (error) {
+        logger.error('Erro ao calcular horários disponíveis:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Lista próximos dias com horários disponíveis
+ * @param {number} serviceId - ID do serviço
+ * @param {number} limit - Quantidade de dias
+ * @returns {array} Dias { data, horarios }
+ */
+async function getAvailableDays(serviceId, limit = 7) {
+    try {
+        const days = [];
+        let day = dayjs(getZonedDateTime().date);
+
+        for (let i = 0; i < settings.appointments.daysAhead && days.length < limit; i++) {
+            const date = day.format('YYYY-MM-DD');
+            const slots = await getAvailableSlots(date, serviceId);
+
+            if (slots.length > 0) {
+                days.push({ data: date, horarios: slots });
+            }
+
+            day = day.add(1, 'day');
+        }
+
+        return days;
+    } catch (error) {
+        logger.error('Erro ao listar dias disponíveis:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Verifica conflito de horário
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @param {string} startTime - Início (HH:MM)
+ * @param {string} endTime - Fim (HH:MM)
+ * @param {number} excludeId - ID a ignorar (edição)
+ * @param {object} connection - Conexão da transação (opcional)
+ * @returns {array} Agendamentos em conflito (vazio se houver vaga)
+ */
+async function findConflicts(date, startTime, endTime, excludeId = null, connection = null) {
+    try {
+        const busy = await getBusyIntervals(date, excludeId, connection);
+        const start = timeToMinutes(startTime);
+        const end = timeToMinutes(endTime);
+
+        const overlapping = busy.filter(interval => interval.inicio < end && interval.fim > start);
+
+        return overlapping.length >= settings.appointments.simultaneous ? overlapping : [];
+    } catch (error) {
+        logger.error('Erro ao verificar conflitos:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// FUNÇÕES DE CONSULTA
+// ============================================
+
+/**
+ * Lista agendamentos com filtros
+ * @param {object} options - { dataInicio, dataFim, status, telefone, servico_id }
+ * @returns {array} Agendamentos
+ */
+async function listAppointments(options = {}) {
+    try {
+        const {
+            dataInicio = null,
+            dataFim = null,
+            status = null,
+            telefone = null,
+            servico_id = null,
+            limit = 500
+        } = options;
+
+        let whereClause = '1=1';
+        const params = [];
+
+        if (dataInicio) {
+            whereClause += ' AND a.data_agendamento >= ?';
+            params.push(dataInicio);
+        }
+
+        if (dataFim) {
+            whereClause += ' AND a.data_agendamento <= ?';
+            params.push(dataFim);
+        }
+
+        if (status) {
+            whereClause += ' AND a.status = ?';
+            params.push(status);
+        }
+
+        if (telefone) {
+            whereClause += ' AND a.telefone = ?';
+            params.push(extractPhoneFromJid(telefone));
+        }
+
+        if (servico_id) {
+            whereClause += ' AND a.servico_id = ?';
+            params.push(servico_id);
+        }
+
+        return await db.query(`
+            SELECT ${SELECT_FIELDS}
+            FROM agendamentos a
+            LEFT JOIN servicos s ON a.servico_id = s.id
+            LEFT JOIN clientes c ON a.cliente_id = c.id
+            WHERE ${whereClause}
+            ORDER BY a.data_agendamento ASC, a.hora_inicio ASC
+            LIMIT ?
+        `, [...params, limit]);
+    } catch (error) {
+        logger.error('Erro ao listar agendamentos:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Busca agendamento por ID
+ * @param {number} id - ID do agendamento
+ * @returns {object|null} Agendamento ou null
+ */
+async function getAppointmentById(id) {
+    try {
+        return await db.queryOne(`
+            SELECT ${SELECT_FIELDS}
+            FROM agendamentos a
+            LEFT JOIN servicos s ON a.servico_id = s.id
+            LEFT JOIN clientes c ON a.cliente_id = c.id
+            WHERE a.id = ?
+        `, [id]);
+    } catch (error) {
+        logger.error('Erro ao buscar agendamento:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Busca próximos agendamentos de um cliente
+ * @param {string} phone - Telefone do cliente
+ * @returns {array} Agendamentos futuros
+ */
+async function getUpcomingByPhone(phone) {
+    try {
+        return await db.query(`
+            SELECT ${SELECT_FIELDS}
+            FROM agendamentos a
+            LEFT JOIN servicos s ON a.servico_id = s.id
+            LEFT JOIN clientes c ON a.cliente_id = c.id
+            WHERE a.telefone = ?
+                AND a.data_agendamento >= CURDATE()
+                AND a.status IN ('agendado', 'confirmado')
+            ORDER BY a.data_agendamento ASC, a.hora_inicio ASC
+        `, [extractPhoneFromJid(phone)]);
+    } catch (error) {
+        logger.error('Erro ao buscar agendamentos do cliente:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// FUNÇÕES DE CRUD
+// ============================================
+
+/**
+ * Cria um novo agendamento
+ * @param {object} data - Dados do agendamento
+ * @returns {number} ID do agendamento criado
+ */
+async function createAppointment(data) {
+    try {
+        const {
+            telefone,
+            servico_id,
+            data_agendamento,
+            hora_inicio,
+            veiculo,
+            placa,
+            pedido_id,
+            observacoes
+        } = data;
+
+        if (!telefone || !data_agendamento || !hora_inicio) {
+            throw new Error('Telefone, data e horário são obrigatórios');
+        }
+
+        const date = dayjs(data_agendamento);
+        if (!date.isValid()) {
+            throw new Error('Data inválida');
+        }
+
+        const service = servico_id ? await serviceService.getServiceById(servico_id) : null;
+        if (servico_id && !service) {
+            throw new Error('Serviço não encontrado');
+        }
+
+        const dateStr = date.format('YYYY-MM-DD');
+        const start = timeToMinutes(hora_inicio);
+        const end = data.hora_fim ? timeToMinutes(data.hora_fim) : start + getServiceDuration(service);
+
+        if (end <= start) {
+            throw new Error('Horário final inválido');
+        }
+
+        const phone = extractPhoneFromJid(telefone);
+        const customer = await db.queryOne('SELECT id, veiculo, placa FROM clientes WHERE telefone = ?', [phone]);
+
+        // Conferência e gravação na mesma transação: os agendamentos
+        // do dia ficam travados até o INSERT (dois clientes não pegam a mesma vaga)
+        const appointmentId = await withScheduleLock(async (connection) => {
+            const conflicts = await findConflicts(dateStr, minutesToTime(start), minutesToTime(end), null, connection);
+            if (conflicts.length > 0) {
+                throw new Error(CONFLICT_MESSAGE);
+            }
+
+            const [result] = await connection.query(
+                `INSERT INTO agendamentos
+                    (cliente_id, telefone, servico_id, pedido_id, data_agendamento, hora_inicio, hora_fim, status, veiculo, placa, observacoes)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 'agendado', ?, ?, ?)`,
+                [
+                    data.cliente_id || (customer ? customer.id : null),
+                    phone,
+                    servico_id || null,
+                    pedido_id || null,
+                    dateStr,
+                    minutesToTime(start),
+                    minutesToTime(end),
+                    veiculo || customer?.veiculo || null,
+                    placa || customer?.placa || null,
+                    observacoes || null,
+                ]
+            );
+
+            return result.insertId;
+        });
+
+        await scheduleAppointmentJobs(appointmentId);
+
+        logger.info(`Agendamento criado: ID ${appointmentId} - ${dateStr} ${minutesToTime(start)} (${phone})`);
+        return appointmentId;
+    } catch (error) {
+        logger.error('Erro ao criar agendamento:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza agendamento (remarcação, veículo, observações)
+ * @param {number} id - ID do agendamento
+ * @param {object} data - Dados para atualizar
+ * @returns {boolean} Sucesso da operação
+ */
+async function updateAppointment(id, data) {
+    try {
+        const current = await getAppointmentById(id);
+        if (!current) {
+            throw new Error('Agendamento não encontrado');
+        }
+
+        const updateData = {};
+        const allowedFields = ['servico_id', 'data_agendamento', 'hora_inicio', 'hora_fim', 'veiculo', 'placa', 'observacoes'];
+
+        for (const field of allowedFields) {
+            if (data[field] !== undefined) {
+                updateData[field] = data[field];
+            }
+        }
+
+        if (Object.keys(updateData).length === 0) {
+            return false;
+        }
+
+        // Remarcação: recalcula fim e verifica conflito
+        const changesSchedule = ['servico_id', 'data_agendamento', 'hora_inicio', 'hora_fim']
+            .some(field => updateData[field] !== undefined);
+
+        if (changesSchedule) {
+            const serviceId = updateData.servico_id !== undefined ? updateData.servico_id : current.servico_id;
+            const service = serviceId ? await serviceService.getServiceById(serviceId) : null;
+
+            const date = dayjs(updateData.data_agendamento || current.data_agendamento);
+            if (!date.isValid()) {
+                throw new Error('Data inválida');
+            }
+
+            const start = timeToMinutes(updateData.hora_inicio || current.hora_inicio);
+            const end = updateData.hora_fim
+                ? timeToMinutes(updateData.hora_fim)
+                : start + getServiceDuration(service);
+
+            if (end <= start) {
+                throw new Error('Horário final inválido');
+            }
+
+            updateData.data_agendamento = date.format('YYYY-MM-DD');
+            updateData.hora_inicio = minutesToTime(start);
+            updateData.hora_fim = minutesToTime(end);
+        }
+
+        // Remarcação: conferência e gravação na mesma transação (como em createAppointment)
+        const affected = changesSchedule
+            ? await withScheduleLock(async (connection) => {
+                const conflicts = await findConflicts(updateData.data_agendamento, updateData.hora_inicio, updateData.hora_fim, id, connection);
+                if (conflicts.length > 0) {
+                    throw new Error(CONFLICT_MESSAGE);
+                }
+
+                const [result] = await connection.query('UPDATE agendamentos SET ? WHERE id = ?', [updateData, id]);
+                return result.affectedRows;
+            })
+            : await db.update('agendamentos', updateData, 'id = ?', [id]);
+
+        // Remarcação: lembretes seguem o novo horário
+        if (affected > 0 && changesSchedule) {
+            await scheduleAppointmentJobs(id);
+        }
+
+        if (affected > 0) {
+            logger.info(`Agendamento atualizado: ID ${id}`);
+        }
+
+        return affected > 0;
+    } catch (error) {
+        logger.error('Erro ao atualizar agendamento:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Altera status do agendamento
+ * @param {number} id - ID do agendamento
+ * @param {string} status - Novo status
+ * @returns {boolean} Sucesso da operação
+ */
+async function updateAppointmentStatus(id, status) {
+    try {
+        if (!APPOINTMENT_STATUS.includes(status)) {
+            throw new Error('Status inválido');
+        }
+
+        const current = await db.queryOne('SELECT status FROM agendamentos WHERE id = ?', [id]);
+        if (!current) {
+            return false;
+        }
+
+        if (!(STATUS_TRANSITIONS[current.status] || []).includes(status)) {
+            throw new Error(`Mudança de status inválida: ${current.status} → ${status}`);
+        }
+
+        const affected = await db.update('agendamentos', { status }, 'id = ?', [id]);
+
+        // Fora de agendado/confirmado não há mais lembretes nem ausência a marcar
+        if (affected > 0 && !ACTIVE_STATUS.includes(status)) {
+            await cancelAppointmentJobs(id);
+        }
+
+        if (affected > 0) {
+            logger.info(`Agendamento ${id} → ${status}`);
+        }
+
+        return affected > 0;
+    } catch (error) {
+        logger.error('Erro ao alterar status do agendamento:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Cancela agendamento
+ * @param {number} id - ID do agendamento
+ * @returns {boolean} Sucesso da operação
+ */
+async function cancelAppointment(id) {
+    return await updateAppointmentStatus(id, 'cancelado');
+}
+
+/**
+ * Exclui agendamento
+ * @param {number} id - ID do agendamento
+ * @returns {boolean} Sucesso da operação
+ */
+async function deleteAppointment(id) {
+    try {
+        await cancelAppointmentJobs(id);
+
+        const affected = await db.remove('agendamentos', 'id = ?', [id]);
+
+        if (affected > 0) {
+            logger.info(`Agendamento excluído: ID ${id}`);
+        }
+
+        return affected > 0;
+    } catch (error) {
+        logger.error('Erro ao excluir agendamento:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// LEMBRETES E AUSÊNCIAS
+// ============================================
+
+/**
+ * Agenda lembretes e verificação de ausência do agendamento
+ * @param {number} id - ID do agendamento
+ * @returns {number} Quantidade de tarefas agendadas
+ */
+async function scheduleAppointmentJobs(id) {
+    try {
+        const appointment = await getAppointmentById(id);
+        if (!appointment || !ACTIVE_STATUS.includes(appointment.status)) {
+            return 0;
+        }
+
+        // Remarcação: descarta lembretes do horário anterior
+        await cancelAppointmentJobs(id);
+
+        // Data e hora gravadas no relógio da loja (o servidor pode estar em UTC)
+        const start = dayjs(getZonedInstant(appointment.data_agendamento, appointment.hora_inicio));
+        const now = dayjs();
+        let scheduled = 0;
+
+        for (const hours of settings.appointments.reminderHours) {
+            const runAt = start.subtract(hours, 'hour');
+
+            // Lembrete que já passou não é enviado
+            if (runAt.isAfter(now)) {
+                await jobService.scheduleJob(JOB_TYPES.REMINDER, id, runAt.toDate(), {
+                    chave: `${hours}h`,
+                    payload: { horas: hours }
+                });
+                scheduled++;
+            }
+        }
+
+        await jobService.scheduleJob(
+            JOB_TYPES.NO_SHOW,
+            id,
+            start.add(settings.appointments.noShowTolerance, 'minute').toDate()
+        );
+
+        return scheduled + 1;
+    } catch (error) {
+        logger.error('Erro ao agendar lembretes:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Cancela lembretes e verificação de ausência pendentes
+ * @param {number} id - ID do agendamento
+ */
+async function cancelAppointmentJobs(id) {
+    await jobService.cancelJobs(JOB_TYPES.REMINDER, id);
+    await jobService.cancelJobs(JOB_TYPES.NO_SHOW, id);
+}
+
+/**
+ * Busca o próximo agendamento do cliente que já recebeu lembrete
+ * (usado para interpretar respostas como "confirmar" ou "cancelar")
+ * @param {string} phone - Telefone do cliente
+ * @param {number|null} withinHours - Só lembretes enviados nas últimas N horas (null = qualquer)
+ * @returns {object|null} Agendamento ou null
+ */
+async function getRemindedAppointment(phone, withinHours = null) {
+    try {
+        const params = [extractPhoneFromJid(phone), JOB_TYPES.REMINDER];
+
+        // executada_em é gravada pelo jobService no horário local
+        if (withinHours) {
+            params.push(dayjs().subtract(withinHours, 'hour').format('YYYY-MM-DD HH:mm:ss'));
+        }
+
+        return await db.queryOne(`
+            SELECT ${SELECT_FIELDS}
+            FROM agendamentos a
+            LEFT JOIN servicos s ON a.servico_id = s.id
+            LEFT JOIN clientes c ON a.cliente_id = c.id
+            WHERE a.telefone = ?
+                AND a.status IN ('agendado', 'confirmado')
+                AND a.data_agendamento >= CURDATE()
+                AND EXISTS (
+                    SELECT 1 FROM tarefas_agendadas t
+                    WHERE t.tipo = ? AND t.referencia_id = a.id AND t.status = 'concluida'
+                        ${withinHours ? 'AND t.executada_em >= ?' : ''}
+                )
+            ORDER BY a.data_agendamento ASC, a.hora_inicio ASC
+            LIMIT 1
+        `, params);
+    } catch (error) {
+        logger.error('Erro ao buscar agendamento lembrado:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// FUNÇÕES DE ESTATÍSTICAS
+// ============================================
+
+/**
+ * Obtém estatísticas de agendamentos
+ * @returns {object} Estatísticas
+ */
+async function getStatistics() {
+    try {
+        const [hoje, semana, porStatus] = await Promise.all([
+            db.queryOne(`
+                SELECT COUNT(*) as total FROM agendamentos
+                WHERE data_agendamento = CURDATE() AND status NOT IN ('cancelado', 'nao_compareceu')
+            `),
+            db.queryOne(`
+                SELECT COUNT(*) as total FROM agendamentos
+                WHERE data_agendamento BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 7 DAY)
+                    AND status NOT IN ('cancelado', 'nao_compareceu')
+            `),
+            db.query(`
+                SELECT status, COUNT(*) as total FROM agendamentos
+                WHERE data_agendamento >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
+                GROUP BY status
+            `)
+        ]);
+
+        return {
+            hoje: hoje.total,
+            proximos_7_dias: semana.total,
+            ultimos_30_dias: porStatus.reduce((acc, row) => ({ ...acc, [row.status]: row.total }), {})
+        };
+    } catch (error) {
+        logger.error('Erro ao obter estatísticas de agendamentos:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Disponibilidade
+    getAvailableSlots,
+    getAvailableDays,
+    findConflicts,
+    isWorkDay,
+
+    // Consulta
+    listAppointments,
+    getAppointmentById,
+    getUpcomingByPhone,
+
+    // CRUD
+    createAppointment,
+    updateAppointment,
+    updateAppointmentStatus,
+    cancelAppointment,
+    deleteAppointment,
+
+    // Lembretes e ausências
+    scheduleAppointmentJobs,
+    cancelAppointmentJobs,
+    getRemindedAppointment,
+
+    // Estatísticas
+    getStatistics,
+
+    // Constantes
+    APPOINTMENT_STATUS,
+    ACTIVE_STATUS,
+    STATUS_TRANSITIONS,
+    JOB_TYPES,
+};
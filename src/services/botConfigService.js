@@ -0,0 +1,670 @@
+/**
+ * ============================================
+ * SERVIÇO DE CONFIGURAÇÃO DO BOT
+ * ============================================
+ *
+ * Mensagens, gatilhos e menu do bot editáveis pelo painel.
+ * Os textos ficam na tabela configuracoes; o que não
+ * estiver no banco usa o padrão de config/settings.js.
+ * A recarga altera o objeto settings em memória, então
+ * o bot passa a usar os novos textos sem reiniciar.
+ */
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings, formatMessage } = require('../config/settings');
+const { formatMenu } = require('../utils/formatter');
+
+// ============================================
+// DEFINIÇÕES
+// ============================================
+
+// Placeholders preenchidos automaticamente por formatMessage
+const GLOBAL_PLACEHOLDERS = ['storeName', 'botName', 'startTime', 'endTime', 'workDays', 'weeklyHours', 'address', 'instagram'];
+
+// Mensagens editáveis: chave em settings.messages => configuração
+const MESSAGE_DEFINITIONS = {
+    welcome: { chave: 'bot_mensagem_boas_vindas', descricao: 'Saudação inicial', placeholders: ['greeting', 'customerName'] },
+    invalidOption: { chave: 'bot_mensagem_opcao_invalida', descricao: 'Opção inválida', placeholders: [] },
+    outsideHours: { chave: 'bot_mensagem_fora_horario', descricao: 'Fora do horário', placeholders: ['nextOpening'] },
+    callbackRegistered: { chave: 'bot_mensagem_retorno_registrado', descricao: 'Contato registrado para retorno', placeholders: ['nextOpening'] },
+    callbackFollowUp: { chave: 'bot_mensagem_retorno', descricao: 'Retorno automático na abertura', placeholders: ['customerName'] },
+    noProductsFound: { chave: 'bot_mensagem_sem_produtos', descricao: 'Nenhum produto encontrado', placeholders: [] },
+    productListHeader: { chave: 'bot_mensagem_lista_cabecalho', descricao: 'Cabeçalho da lista de produtos', placeholders: ['count'] },
+    productItem: { chave: 'bot_mensagem_lista_item', descricao: 'Item da lista de produtos', placeholders: ['name', 'price', 'quantity', 'compatible', 'code'] },
+    productListFooter: { chave: 'bot_mensagem_lista_rodape', descricao: 'Rodapé da lista de produtos', placeholders: [] },
+    forwardToHuman: { chave: 'bot_mensagem_atendente', descricao: 'Encaminhamento para atendente', placeholders: [] },
+    storeHours: { chave: 'bot_mensagem_horario', descricao: 'Horário de funcionamento', placeholders: [] },
+    promotions: { chave: 'bot_mensagem_promocoes', descricao: 'Cabeçalho de promoções', placeholders: [] },
+    goodbye: { chave: 'bot_mensagem_despedida', descricao: 'Despedida', placeholders: [] },
+    waitingSearch: { chave: 'bot_mensagem_busca', descricao: 'Pedido de nome da peça', placeholders: [] },
+    waitingVehicle: { chave: 'bot_mensagem_veiculo', descricao: 'Pedido de modelo do veículo', placeholders: [] },
+    photoReceived: { chave: 'bot_mensagem_foto', descricao: 'Foto recebida', placeholders: [] },
+    audioReceived: { chave: 'bot_mensagem_audio', descricao: 'Áudio recebido', placeholders: [] },
+    fileReceived: { chave: 'bot_mensagem_arquivo', descricao: 'Vídeo ou documento recebido', placeholders: [] },
+    locationReceived: { chave: 'bot_mensagem_localizacao', descricao: 'Localização recebida', placeholders: [] },
+    mediaTooLarge: { chave: 'bot_mensagem_arquivo_grande', descricao: 'Arquivo acima do limite', placeholders: ['maxSize'] },
+    partIdentified: { chave: 'bot_mensagem_peca_foto', descricao: 'Peça identificada na foto', placeholders: ['part'] },
+    audioUnclear: { chave: 'bot_mensagem_audio_incompreensivel', descricao: 'Áudio não compreendido (vai para atendente)', placeholders: [] },
+    error: { chave: 'bot_mensagem_erro', descricao: 'Erro genérico', placeholders: [] },
+};
+
+// Gatilhos editáveis: chave em settings.triggers => configuração
+const TRIGGER_DEFINITIONS = {
+    greetings: { chave: 'bot_gatilhos_saudacao', descricao: 'Saudações' },
+    menu: { chave: 'bot_gatilhos_menu', descricao: 'Abrir o menu' },
+    thanks: { chave: 'bot_gatilhos_agradecimento', descricao: 'Agradecimentos' },
+    goodbye: { chave: 'bot_gatilhos_despedida', descricao: 'Despedidas' },
+    human: { chave: 'bot_gatilhos_atendente', descricao: 'Pedir atendente' },
+    quote: { chave: 'bot_gatilhos_orcamento', descricao: 'Iniciar orçamento' },
+    schedule: { chave: 'bot_gatilhos_agendamento', descricao: 'Agendar serviço' },
+};
+
+// Chave do menu (árvore de opções em JSON)
+const MENU_KEY = 'bot_menu';
+
+// Ações disponíveis para as opções do menu (params = campos obrigatórios)
+const MENU_ACTIONS = {
+    product_list: { descricao: 'Listar peças em estoque', params: [] },
+    product_search: { descricao: 'Buscar peça por nome', params: [] },
+    vehicle_search: { descricao: 'Buscar por veículo', params: [] },
+    category: { descricao: 'Produtos de uma categoria', params: ['categoria_id'] },
+    promotions: { descricao: 'Promoções do dia', params: [] },
+    services: { descricao: 'Lista de serviços', params: [] },
+    store_hours: { descricao: 'Horário de funcionamento', params: [] },
+    quote: { descricao: 'Montar orçamento', params: [] },
+    schedule: { descricao: 'Agendar serviço', params: [] },
+    my_orders: { descricao: 'Meus pedidos', params: [] },
+    my_appointments: { descricao: 'Meus agendamentos', params: [] },
+    human: { descricao: 'Falar com atendente', params: [] },
+    text: { descricao: 'Responder com texto', params: ['texto'] },
+    url: { descricao: 'Enviar link', params: ['url'] },
+    submenu: { descricao: 'Abrir submenu', params: ['opcoes'] },
+};
+
+// Limites do menu (opções numeradas de 1 a 9; 0 volta)
+const MENU_MAX_OPTIONS = 9;
+const MENU_MAX_DEPTH = 3;
+
+// Valores de exemplo para a pré-visualização
+const SAMPLE_DATA = {
+    greeting: 'Bom dia',
+    customerName: 'João',
+    count: 3,
+    name: 'Filtro de Óleo',
+    price: '29,90',
+    quantity: 12,
+    compatible: 'Gol G5 1.0',
+    code: 'FO-001',
+    nextOpening: 'amanhã às 08:00',
+    maxSize: '16 MB',
+    part: 'Filtro de Óleo (FLT001)',
+};
+
+// Padrões originais de settings.js (cópia feita antes de qualquer recarga)
+const DEFAULT_MESSAGES = { ...settings.messages };
+const DEFAULT_TRIGGERS = Object.fromEntries(
+    Object.entries(settings.triggers).map(([key, list]) => [key, [...list]])
+);
+
+const DEFAULT_MENU = JSON.parse(JSON.stringify(settings.menu));
+
+// Assinatura da última carga (detecta alterações feitas por outro processo)
+let lastSignature = null;
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Lista chaves de configuração gerenciadas por este serviço
+ * @returns {array} Chaves
+ */
+function getManagedKeys() {
+    return [
+        ...Object.values(MESSAGE_DEFINITIONS).map(def => def.chave),
+        ...Object.values(TRIGGER_DEFINITIONS).map(def => def.chave),
+        MENU_KEY,
+    ];
+}
+
+/**
+ * Localiza definição pela chave de configuração
+ * @param {string} chave - Chave em configuracoes
+ * @returns {object|null} { kind: 'message'|'trigger', key }
+ */
+function findByConfigKey(chave) {
+    for (const [key, def] of Object.entries(MESSAGE_DEFINITIONS)) {
+        if (def.chave === chave) return { kind: 'message', key };
+    }
+
+    for (const [key, def] of Object.entries(TRIGGER_DEFINITIONS)) {
+        if (def.chave === chave) return { kind: 'trigger', key };
+    }
+
+    if (chave === MENU_KEY) return { kind: 'menu', key: 'menu' };
+
+    return null;
+}
+
+/**
+ * Verifica se a chave de configuração é um texto do bot
+ * @param {string} chave - Chave em configuracoes
+ * @returns {boolean}
+ */
+function isBotConfigKey(chave) {
+    return findByConfigKey(chave) !== null;
+}
+
+/**
+ * Converte lista de gatilhos gravada (JSON ou separada por vírgula)
+ * @param {string|array} value - Valor gravado
+ * @returns {array} Palavras
+ */
+function parseTriggerList(value) {
+    if (Array.isArray(value)) return value;
+    if (!value) return [];
+
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed;
+    } catch (e) {
+        // Formato antigo: lista separada por vírgula
+    }
+
+    return String(value).split(',');
+}
+
+// ============================================
+// VALIDAÇÃO
+// ============================================
+
+/**
+ * Valida texto de uma mensagem do bot
+ * @param {string} key - Chave em settings.messages
+ * @param {string} text - Texto
+ * @returns {string} Texto validado
+ */
+function validateMessage(key, text) {
+    const definition = MESSAGE_DEFINITIONS[key];
+
+    if (!definition) {
+        throw new Error(`Mensagem não encontrada: ${key}`);
+    }
+
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Texto da mensagem é obrigatório');
+    }
+
+    const allowed = [...GLOBAL_PLACEHOLDERS, ...definition.placeholders];
+    const used = [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    const invalid = [...new Set(used.filter(name => !allowed.includes(name)))];
+
+    if (invalid.length > 0) {
+        throw new Error(
+            `Variável inválida: ${invalid.map(name => `{${name}}`).join(', ')}. ` +
+            `Disponíveis: ${allowed.map(name => `{${name}}`).join(', ')}`
+        );
+    }
+
+    return text;
+}
+
+/**
+ * Valida lista de gatilhos
+ * @param {string} key - Chave em settings.triggers
+ * @param {array|string} words - Palavras (array ou separadas por vírgula)
+ * @returns {array} Palavras normalizadas
+ */
+function validateTriggers(key, words) {
+    if (!TRIGGER_DEFINITIONS[key]) {
+        throw new Error(`Gatilho não encontrado: ${key}`);
+    }
+
+    const list = [...new Set(
+        parseTriggerList(words)
+            .map(word => String(word).toLowerCase().trim())
+            .filter(Boolean)
+    )];
+
+    if (list.length === 0) {
+        throw new Error('Informe ao menos uma palavra-chave (obrigatório)');
+    }
+
+    return list;
+}
+
+/**
+ * Valida valor de uma chave de configuração do bot
+ * (usado pelas rotas genéricas de /api/settings)
+ * @param {string} chave - Chave em configuracoes
+ * @param {any} value - Valor informado
+ * @returns {string} Valor pronto para gravar
+ */
+function validateConfigValue(chave, value) {
+    const found = findByConfigKey(chave);
+
+    if (!found) return value;
+
+    if (found.kind === 'menu') {
+        return JSON.stringify(validateMenu(typeof value === 'string' ? JSON.parse(value) : value));
+    }
+
+    return found.kind === 'message'
+        ? validateMessage(found.key, value)
+        : JSON.stringify(validateTriggers(found.key, value));
+}
+
+/**
+ * Valida e normaliza a árvore do menu
+ * @param {object} menu - { titulo, rodape, opcoes }
+ * @param {number} depth - Nível atual (uso interno)
+ * @param {string} path - Caminho para mensagens de erro (uso interno)
+ * @returns {object} Menu normalizado
+ */
+function validateMenu(menu, depth = 1, path = 'Menu') {
+    if (!menu || typeof menu !== 'object' || !Array.isArray(menu.opcoes)) {
+        throw new Error(`${path}: lista de opções inválida`);
+    }
+
+    if (menu.opcoes.length === 0 || menu.opcoes.length > MENU_MAX_OPTIONS) {
+        throw new Error(`${path}: informe de 1 a ${MENU_MAX_OPTIONS} opções (quantidade inválida)`);
+    }
+
+    if (depth > MENU_MAX_DEPTH) {
+        throw new Error(`${path}: limite de ${MENU_MAX_DEPTH} níveis de submenu (estrutura inválida)`);
+    }
+
+    const node = {
+        titulo: String(menu.titulo || '').trim() || undefined,
+        rodape: String(menu.rodape || '').trim() || undefined,
+        opcoes: [],
+    };
+
+    menu.opcoes.forEach((option, index) => {
+        const optionPath = `${path} > ${index + 1}`;
+        const rotulo = String(option?.rotulo || '').trim();
+        const acao = option?.acao;
+
+        if (!rotulo) {
+            throw new Error(`${optionPath}: rótulo é obrigatório`);
+        }
+
+        if (!MENU_ACTIONS[acao]) {
+            throw new Error(`${optionPath} (${rotulo}): ação inválida "${acao}"`);
+        }
+
+        const normalized = { rotulo: rotulo.substring(0, 60), acao };
+
+        switch (acao) {
+            case 'category': {
+                const categoriaId = parseInt(option.categoria_id);
+                if (!categoriaId || categoriaId < 1) {
+                    throw new Error(`${optionPath} (${rotulo}): categoria é obrigatória`);
+                }
+                normalized.categoria_id = categoriaId;
+                break;
+            }
+
+            case 'text': {
+                const texto = String(option.texto || '').trim();
+                if (!texto) {
+                    throw new Error(`${optionPath} (${rotulo}): texto é obrigatório`);
+                }
+                normalized.texto = texto;
+                break;
+            }
+
+            case 'url': {
+                const url = String(option.url || '').trim();
+                if (!/^https?:\/\/\S+$/i.test(url)) {
+                    throw new Error(`${optionPath} (${rotulo}): URL inválida`);
+                }
+                normalized.url = url;
+                if (option.texto && String(option.texto).trim()) {
+                    normalized.texto = String(option.texto).trim();
+                }
+                break;
+            }
+
+            case 'submenu': {
+                const submenu = validateMenu(option, depth + 1, `${optionPath} (${rotulo})`);
+                normalized.titulo = submenu.titulo;
+                normalized.rodape = submenu.rodape;
+                normalized.opcoes = submenu.opcoes;
+                break;
+            }
+        }
+
+        node.opcoes.push(normalized);
+    });
+
+    // Remove campos vazios para manter o JSON limpo
+    return JSON.parse(JSON.stringify(node));
+}
+
+// ============================================
+// CARGA E RECARGA
+// ============================================
+
+/**
+ * Carrega mensagens e gatilhos do banco para settings
+ * (chaves ausentes voltam ao padrão)
+ * @returns {object} { messages, triggers, menu } o que está personalizado
+ */
+async function loadBotConfig() {
+    try {
+        const keys = getManagedKeys();
+
+        const rows = await db.query(`
+            SELECT chave, valor, updated_at
+            FROM configuracoes
+            WHERE chave IN (${keys.map(() => '?').join(',')})
+        `, keys);
+
+        const values = Object.fromEntries(rows.map(row => [row.chave, row.valor]));
+        let customMessages = 0;
+        let customTriggers = 0;
+
+        for (const [key, def] of Object.entries(MESSAGE_DEFINITIONS)) {
+            const value = values[def.chave];
+
+            if (value && value.trim()) {
+                settings.messages[key] = value;
+                customMessages++;
+            } else {
+                settings.messages[key] = DEFAULT_MESSAGES[key];
+            }
+        }
+
+        for (const [key, def] of Object.entries(TRIGGER_DEFINITIONS)) {
+            const list = parseTriggerList(values[def.chave])
+                .map(word => String(word).toLowerCase().trim())
+                .filter(Boolean);
+
+            if (list.length > 0) {
+                settings.triggers[key] = list;
+                customTriggers++;
+            } else {
+                settings.triggers[key] = [...DEFAULT_TRIGGERS[key]];
+            }
+        }
+
+        let customMenu = false;
+        settings.menu = JSON.parse(JSON.stringify(DEFAULT_MENU));
+
+        if (values[MENU_KEY]) {
+            try {
+                settings.menu = validateMenu(JSON.parse(values[MENU_KEY]));
+                customMenu = true;
+            } catch (menuError) {
+                logger.warn(`Menu salvo ignorado (usando padrão): ${menuError.message}`);
+            }
+        }
+
+        lastSignature = buildSignature(rows);
+
+        logger.debug(`Textos do bot carregados: ${customMessages} mensagem(ns) e ${customTriggers} gatilho(s) personalizados${customMenu ? ', menu personalizado' : ''}`);
+
+        return { messages: customMessages, triggers: customTriggers, menu: customMenu };
+    } catch (error) {
+        logger.error('Erro ao carregar textos do bot:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Monta assinatura das linhas carregadas
+ * @param {array} rows - Linhas de configuracoes
+ * @returns {string} Assinatura
+ */
+function buildSignature(rows) {
+    const latest = rows.reduce((max, row) => {
+        const time = new Date(row.updated_at).getTime() || 0;
+        return time > max ? time : max;
+    }, 0);
+
+    return `${rows.length}:${latest}`;
+}
+
+/**
+ * Recarrega somente se algo mudou no banco desde a última carga
+ * @returns {boolean} Se houve recarga
+ */
+async function reloadIfChanged() {
+    try {
+        const keys = getManagedKeys();
+
+        const rows = await db.query(`
+            SELECT chave, updated_at
+            FROM configuracoes
+            WHERE chave IN (${keys.map(() => '?').join(',')})
+        `, keys);
+
+        if (buildSignature(rows) === lastSignature) {
+            return false;
+        }
+
+        await loadBotConfig();
+        logger.info('🔄 Textos do bot recarregados');
+        return true;
+    } catch (error) {
+        logger.error('Erro ao verificar textos do bot:', error.message);
+        return false;
+    }
+}
+
+// ============================================
+// CONSULTAS
+// ============================================
+
+/**
+ * Lista mensagens do bot com valor atual e padrão
+ * @returns {array} Mensagens
+ */
+function listMessages() {
+    return Object.entries(MESSAGE_DEFINITIONS).map(([key, def]) => ({
+        key,
+        chave: def.chave,
+        descricao: def.descricao,
+        valor: settings.messages[key],
+        padrao: DEFAULT_MESSAGES[key],
+        personalizada: settings.messages[key] !== DEFAULT_MESSAGES[key],
+        variaveis: [...GLOBAL_PLACEHOLDERS, ...def.placeholders],
+    }));
+}
+
+/**
+ * Lista gatilhos do bot com valor atual e padrão
+ * @returns {array} Gatilhos
+ */
+function listTriggers() {
+    return Object.entries(TRIGGER_DEFINITIONS).map(([key, def]) => ({
+        key,
+        chave: def.chave,
+        descricao: def.descricao,
+        palavras: settings.triggers[key],
+        padrao: DEFAULT_TRIGGERS[key],
+        personalizado: settings.triggers[key].join('|') !== DEFAULT_TRIGGERS[key].join('|'),
+    }));
+}
+
+/**
+ * Retorna o menu atual, o padrão e as ações disponíveis
+ * @returns {object} Menu
+ */
+function getMenu() {
+    return {
+        chave: MENU_KEY,
+        valor: settings.menu,
+        padrao: DEFAULT_MENU,
+        personalizado: JSON.stringify(settings.menu) !== JSON.stringify(DEFAULT_MENU),
+        acoes: MENU_ACTIONS,
+        limites: { opcoes: MENU_MAX_OPTIONS, niveis: MENU_MAX_DEPTH },
+    };
+}
+
+/**
+ * Renderiza todas as telas de um menu como o cliente verá
+ * @param {object|null} menu - Menu a testar (usa o atual se omitido)
+ * @returns {array} Telas [{ caminho, texto }]
+ */
+function previewMenu(menu = null) {
+    const root = menu ? validateMenu(menu) : settings.menu;
+    const screens = [];
+
+    const walk = (node, caminho) => {
+        screens.push({
+            caminho,
+            texto: formatMessage(formatMenu(node, caminho.length > 0)),
+        });
+
+        node.opcoes.forEach((option, index) => {
+            if (option.acao === 'submenu') {
+                walk(option, [...caminho, index + 1]);
+            }
+        });
+    };
+
+    walk(root, []);
+
+    return screens;
+}
+
+/**
+ * Renderiza mensagem com dados de exemplo
+ * @param {string} key - Chave em settings.messages
+ * @param {string|null} text - Texto a testar (usa o atual se omitido)
+ * @returns {string} Mensagem como o cliente verá
+ */
+function previewMessage(key, text = null) {
+    const content = validateMessage(key, text ?? settings.messages[key]);
+    return formatMessage(content, SAMPLE_DATA);
+}
+
+// ============================================
+// ALTERAÇÕES
+// ============================================
+
+/**
+ * Grava valor de configuração do bot e recarrega
+ * @param {string} chave - Chave em configuracoes
+ * @param {string} valor - Valor validado
+ * @param {string} tipo - Tipo da configuração
+ * @param {string} descricao - Descrição
+ */
+async function saveConfigValue(chave, valor, tipo, descricao) {
+    await db.upsert('configuracoes', { chave, valor, tipo, descricao }, ['valor']);
+    await loadBotConfig();
+}
+
+/**
+ * Atualiza mensagem do bot
+ * @param {string} key - Chave em settings.messages
+ * @param {string} text - Novo texto
+ * @returns {string} Texto salvo
+ */
+async function updateMessage(key, text) {
+    try {
+        const valor = validateMessage(key, text);
+        const def = MESSAGE_DEFINITIONS[key];
+
+        await saveConfigValue(def.chave, valor, 'string', `Mensagem do bot: ${def.descricao}`);
+
+        return valor;
+    } catch (error) {
+        logger.error('Erro ao atualizar mensagem do bot:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza palavras-chave de um gatilho
+ * @param {string} key - Chave em settings.triggers
+ * @param {array|string} words - Palavras
+ * @returns {array} Palavras salvas
+ */
+async function updateTriggers(key, words) {
+    try {
+        const list = validateTriggers(key, words);
+        const def = TRIGGER_DEFINITIONS[key];
+
+        await saveConfigValue(def.chave, JSON.stringify(list), 'json', `Gatilhos do bot: ${def.descricao}`);
+
+        return list;
+    } catch (error) {
+        logger.error('Erro ao atualizar gatilhos do bot:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza árvore do menu
+ * @param {object} menu - { titulo, rodape, opcoes }
+ * @returns {object} Menu salvo (normalizado)
+ */
+async function updateMenu(menu) {
+    try {
+        const normalized = validateMenu(menu);
+
+        await saveConfigValue(MENU_KEY, JSON.stringify(normalized), 'json', 'Menu do bot (árvore de opções)');
+
+        return normalized;
+    } catch (error) {
+        logger.error('Erro ao atualizar menu do bot:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Volta mensagem, gatilho ou menu ao padrão (remove do banco)
+ * @param {string} kind - 'message', 'trigger' ou 'menu'
+ * @param {string} key - Chave em settings.messages/triggers (ignorada para menu)
+ */
+async function resetToDefault(kind, key) {
+    try {
+        if (kind === 'menu') {
+            await db.remove('configuracoes', 'chave = ?', [MENU_KEY]);
+            await loadBotConfig();
+            return;
+        }
+
+        const definitions = kind === 'message' ? MESSAGE_DEFINITIONS : TRIGGER_DEFINITIONS;
+
+        if (!definitions[key]) {
+            throw new Error(`${kind === 'message' ? 'Mensagem' : 'Gatilho'} não encontrado: ${key}`);
+        }
+
+        await db.remove('configuracoes', 'chave = ?', [definitions[key].chave]);
+        await loadBotConfig();
+    } catch (error) {
+        logger.error('Erro ao restaurar texto padrão do bot:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Carga
+    loadBotConfig,
+    reloadIfChanged,
+
+    // Consultas
+    listMessages,
+    listTriggers,
+    getMenu,
+    previewMessage,
+    previewMenu,
+    isBotConfigKey,
+
+    // Validação
+    validateMessage,
+    validateTriggers,
+    validateMenu,
+    validateConfigValue,
+
+    // Alterações
+    updateMessage,
+    updateTriggers,
+    updateMenu,
+    resetToDefault,
+};
@@ -0,0 +1,578 @@
+/**
+ * ============================================
+ * SERVIÇO DE RETORNOS
+ * ============================================
+ *
+ * Contatos recebidos fora do horário (tabela
+ * retornos): guarda as mensagens deixadas e o
+ * estado do bot, calcula a prioridade e agenda
+ * a tarefa que avisa a equipe na abertura.
+ */
+
+const dayjs = require('dayjs');
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const jobService = require('./jobService');
+const { settings } = require('../config/settings');
+const { extractPhoneFromJid, normalizeForSearch } = require('../utils/formatter');
+const { getNextOpeningDate, getZonedDateTime } = require('../utils/helpers');
+const { URGENT_TERMS } = require('./sentimentService');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const CALLBACK_STATUS = ['pendente', 'em_contato', 'concluido', 'descartado'];
+
+// Retornos ainda não resolvidos (um por cliente)
+const OPEN_STATUS = ['pendente', 'em_contato'];
+
+// Tipo da tarefa agendada na abertura da loja
+const JOB_TYPES = {
+    FOLLOW_UP: 'retorno_abertura',
+};
+
+// Chaves de configuração (tabela configuracoes)
+const CONFIG_KEYS = {
+    autoFollowUp: 'retorno_automatico',
+    followUpDelay: 'retorno_atraso',
+};
+
+// Peso do estado em que o cliente parou na conversa
+const STATE_PRIORITY = {
+    [settings.states.WAITING_HUMAN]: 3,
+    [settings.states.IN_ATTENDANCE]: 3,
+    [settings.states.BUILDING_QUOTE]: 2,
+    [settings.states.BOOKING_APPOINTMENT]: 2,
+    [settings.states.WAITING_SEARCH]: 1,
+    [settings.states.WAITING_VEHICLE]: 1,
+};
+
+// Faixas de prioridade exibidas no painel
+const PRIORITY_LEVELS = [
+    { nivel: 'alta', minimo: 4 },
+    { nivel: 'media', minimo: 2 },
+    { nivel: 'baixa', minimo: 0 },
+];
+
+const SELECT_FIELDS = `
+    r.*,
+    DATE_FORMAT(r.abertura_em, '%Y-%m-%d %H:%i') AS abertura_em,
+    c.nome AS cliente_nome,
+    c.veiculo AS cliente_veiculo
+`;
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Formata data para coluna DATETIME no fuso da loja
+ * (o mesmo da conexão; o servidor pode estar em UTC)
+ * @param {Date} date - Data
+ * @returns {string} Data formatada
+ */
+function toDateTime(date) {
+    const zoned = getZonedDateTime(date);
+    return `${zoned.date} ${zoned.time}`;
+}
+
+/**
+ * Converte coluna JSON para valor
+ * @param {*} value - Valor gravado
+ * @param {*} fallback - Valor quando vazio/inválido
+ * @returns {*} Valor convertido
+ */
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    if (typeof value === 'object') return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Calcula prioridade do retorno
+ * @param {string} state - Estado do bot quando o cliente escreveu
+ * @param {array} messages - Mensagens deixadas [{ texto, em }]
+ * @returns {number} Prioridade (maior = retornar antes)
+ */
+function calculatePriority(state, messages) {
+    let priority = STATE_PRIORITY[state] || 0;
+
+    const isUrgent = messages.some(message => {
+        const text = normalizeForSearch(message.texto);
+        return URGENT_TERMS.some(term => text.includes(term));
+    });
+
+    if (isUrgent) {
+        priority += 2;
+    }
+
+    // Insistência: cada mensagem extra conta (até 3)
+    priority += Math.min(messages.length - 1, 3);
+
+    return priority;
+}
+
+/**
+ * Nível da prioridade (alta, media, baixa)
+ * @param {number} priority - Prioridade calculada
+ * @returns {string} Nível
+ */
+function getPriorityLevel(priority) {
+    return PRIORITY_LEVELS.find(level => priority >= level.minimo).nivel;
+}
+
+/**
+ * Prepara registro para a API
+ * @param {object} row - Linha da tabela
+ * @returns {object} Retorno formatado
+ */
+function formatCallback(row) {
+    if (!row) return null;
+
+    return {
+        ...row,
+        mensagens: parseJson(row.mensagens, []),
+        dados_sessao: parseJson(row.dados_sessao, {}),
+        prioridade_nivel: getPriorityLevel(row.prioridade),
+    };
+}
+
+// ============================================
+// REGISTRO
+// ============================================
+
+/**
+ * Busca retorno em aberto do cliente
+ * @param {string} phone - Telefone do cliente
+ * @returns {object|null} Retorno ou null
+ */
+async function getOpenCallbackByPhone(phone) {
+    try {
+        const row = await db.queryOne(`
+            SELECT ${SELECT_FIELDS}
+            FROM retornos r
+            LEFT JOIN clientes c ON r.cliente_id = c.id
+            WHERE r.telefone = ? AND r.status IN (?, ?)
+            ORDER BY r.id DESC
+            LIMIT 1
+        `, [extractPhoneFromJid(phone), ...OPEN_STATUS]);
+
+        return formatCallback(row);
+    } catch (error) {
+        logger.error('Erro ao buscar retorno do cliente:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Registra mensagem recebida fora do horário
+ * (cria o retorno do cliente ou acrescenta ao que está aberto)
+ * @param {string} phone - Telefone do cliente
+ * @param {string} text - Mensagem recebida
+ * @param {object} session - Sessão antes de processar a mensagem
+ * @param {object|null} customer - Cliente
+ * @returns {object} { callback, created }
+ */
+async function registerOutsideHoursMessage(phone, text, session, customer = null) {
+    try {
+        const cleanPhone = extractPhoneFromJid(phone);
+        const existing = await getOpenCallbackByPhone(cleanPhone);
+        const openingDate = getNextOpeningDate();
+        const now = new Date();
+
+        const messages = [...(existing ? existing.mensagens : []), { texto: text, em: now.toISOString() }]
+            .slice(-settings.callbacks.maxMessages);
+
+        const data = {
+            mensagens: JSON.stringify(messages),
+            total_mensagens: (existing ? existing.total_mensagens : 0) + 1,
+            estado_bot: session.state,
+            dados_sessao: JSON.stringify(session.data || {}),
+            abertura_em: openingDate ? toDateTime(openingDate) : null,
+            ultima_mensagem_em: toDateTime(now),
+        };
+
+        // Prioridade não diminui se o bot mudou de estado depois
+        const priority = calculatePriority(session.state, messages);
+        data.prioridade = existing ? Math.max(existing.prioridade, priority) : priority;
+
+        let id;
+
+        if (existing) {
+            id = existing.id;
+            await db.update('retornos', data, 'id = ?', [id]);
+        } else {
+            id = await db.insert('retornos', {
+                ...data,
+                cliente_id: customer ? customer.id : null,
+                telefone: cleanPhone,
+                status: 'pendente',
+            });
+
+            logger.info(`📝 Retorno registrado: ${cleanPhone} (prioridade ${data.prioridade})`);
+        }
+
+        // Avisa a equipe (e opcionalmente o cliente) na próxima abertura
+        if (openingDate) {
+            await scheduleFollowUp(id, openingDate);
+        }
+
+        return {
+            callback: await getCallbackById(id),
+            created: !existing,
+        };
+    } catch (error) {
+        logger.error('Erro ao registrar retorno:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Agenda tarefa de retorno para depois da abertura
+ * @param {number} id - ID do retorno
+ * @param {Date} openingDate - Momento da abertura
+ */
+async function scheduleFollowUp(id, openingDate) {
+    const { followUpDelay } = await getConfig();
+
+    await jobService.scheduleJob(
+        JOB_TYPES.FOLLOW_UP,
+        id,
+        dayjs(openingDate).add(followUpDelay, 'minute').toDate()
+    );
+}
+
+/**
+ * Pede envio imediato da mensagem de retorno (painel)
+ * A tarefa é executada pelo processo do bot.
+ * @param {number} id - ID do retorno
+ * @returns {object} Retorno
+ */
+async function requestFollowUp(id) {
+    try {
+        const callback = await getCallbackById(id);
+
+        if (!callback) {
+            throw new Error('Retorno não encontrado');
+        }
+
+        if (!OPEN_STATUS.includes(callback.status)) {
+            throw new Error('Retorno já encerrado: status inválido para envio');
+        }
+
+        await jobService.scheduleJob(JOB_TYPES.FOLLOW_UP, id, new Date(), {
+            chave: 'manual',
+            payload: { manual: true },
+        });
+
+        return callback;
+    } catch (error) {
+        logger.error('Erro ao solicitar retorno:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Marca que a mensagem de retorno foi enviada
+ * @param {number} id - ID do retorno
+ */
+async function markFollowUpSent(id) {
+    try {
+        await db.update('retornos', { follow_up_enviado_em: toDateTime(new Date()) }, 'id = ?', [id]);
+    } catch (error) {
+        logger.error('Erro ao marcar envio do retorno:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Verifica se o cliente voltou a escrever depois da abertura
+ * (nesse caso o bot/equipe já está falando com ele)
+ * @param {object} callback - Retorno
+ * @returns {boolean} Se há mensagem nova
+ */
+async function hasCustomerReturned(callback) {
+    try {
+        if (!callback.abertura_em) return false;
+
+        // Compara com a coluna gravada (sem converter a data no Node)
+        return await db.exists(
+            'conversas',
+            'telefone = ? AND tipo = ? AND created_at >= (SELECT abertura_em FROM retornos WHERE id = ?)',
+            [callback.telefone, 'entrada', callback.id]
+        );
+    } catch (error) {
+        logger.error('Erro ao verificar novas mensagens do cliente:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// CONSULTA E ATUALIZAÇÃO (PAINEL)
+// ============================================
+
+/**
+ * Lista retornos por prioridade (mais antigos primeiro no empate)
+ * @param {object} options - { page, limit, status }
+ * @returns {object} { data, pagination }
+ */
+async function listCallbacks(options = {}) {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            status = 'abertos'
+        } = options;
+
+        const offset = (page - 1) * limit;
+        let whereClause = '1=1';
+        const params = [];
+
+        if (status === 'abertos') {
+            whereClause += ' AND r.status IN (?, ?)';
+            params.push(...OPEN_STATUS);
+        } else if (CALLBACK_STATUS.includes(status)) {
+            whereClause += ' AND r.status = ?';
+            params.push(status);
+        }
+
+        const countResult = await db.queryOne(`
+            SELECT COUNT(*) as total
+            FROM retornos r
+            WHERE ${whereClause}
+        `, params);
+
+        const total = countResult.total;
+
+        const rows = await db.query(`
+            SELECT ${SELECT_FIELDS}
+            FROM retornos r
+            LEFT JOIN clientes c ON r.cliente_id = c.id
+            WHERE ${whereClause}
+            ORDER BY r.prioridade DESC, r.created_at ASC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        return {
+            data: rows.map(formatCallback),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    } catch (error) {
+        logger.error('Erro ao listar retornos:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Busca retorno por ID
+ * @param {number} id - ID do retorno
+ * @returns {object|null} Retorno
+ */
+async function getCallbackById(id) {
+    try {
+        const row = await db.queryOne(`
+            SELECT ${SELECT_FIELDS}
+            FROM retornos r
+            LEFT JOIN clientes c ON r.cliente_id = c.id
+            WHERE r.id = ?
+        `, [id]);
+
+        return formatCallback(row);
+    } catch (error) {
+        logger.error('Erro ao buscar retorno:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza status do retorno
+ * @param {number} id - ID do retorno
+ * @param {string} status - Novo status
+ * @param {object} options - { atendenteId, atendenteNome, observacoes }
+ * @returns {object} Retorno atualizado
+ */
+async function updateCallbackStatus(id, status, options = {}) {
+    try {
+        if (!CALLBACK_STATUS.includes(status)) {
+            throw new Error(`Status inválido. Use: ${CALLBACK_STATUS.join(', ')}`);
+        }
+
+        const callback = await getCallbackById(id);
+
+        if (!callback) {
+            throw new Error('Retorno não encontrado');
+        }
+
+        const data = { status };
+
+        if (options.atendenteId) {
+            data.atendente_id = options.atendenteId;
+            data.atendente = options.atendenteNome || null;
+        }
+
+        if (options.observacoes !== undefined) {
+            data.observacoes = options.observacoes;
+        }
+
+        data.concluido_em = OPEN_STATUS.includes(status) ? null : toDateTime(new Date());
+
+        await db.update('retornos', data, 'id = ?', [id]);
+
+        // Encerrado: não pergunta mais nada ao cliente
+        if (!OPEN_STATUS.includes(status)) {
+            await jobService.cancelJobs(JOB_TYPES.FOLLOW_UP, id);
+        }
+
+        return await getCallbackById(id);
+    } catch (error) {
+        logger.error('Erro ao atualizar retorno:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// CONFIGURAÇÃO
+// ============================================
+
+/**
+ * Configuração do retorno automático
+ * (lida do banco a cada uso: o painel pode rodar em outro processo)
+ * @returns {object} { autoFollowUp, followUpDelay }
+ */
+async function getConfig() {
+    try {
+        const rows = await db.query(
+            'SELECT chave, valor FROM configuracoes WHERE chave IN (?, ?)',
+            [CONFIG_KEYS.autoFollowUp, CONFIG_KEYS.followUpDelay]
+        );
+
+        const values = Object.fromEntries(rows.map(row => [row.chave, row.valor]));
+        const delay = parseInt(values[CONFIG_KEYS.followUpDelay]);
+
+        return {
+            autoFollowUp: values[CONFIG_KEYS.autoFollowUp] !== undefined
+                ? values[CONFIG_KEYS.autoFollowUp] === 'true'
+                : settings.callbacks.autoFollowUp,
+            followUpDelay: isNaN(delay) ? settings.callbacks.followUpDelay : delay,
+        };
+    } catch (error) {
+        logger.error('Erro ao buscar configuração de retornos:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza configuração do retorno automático
+ * @param {object} data - { autoFollowUp, followUpDelay }
+ * @returns {object} Configuração atualizada
+ */
+async function updateConfig(data) {
+    try {
+        const { autoFollowUp, followUpDelay } = data;
+
+        if (autoFollowUp === undefined && followUpDelay === undefined) {
+            throw new Error('Informe autoFollowUp ou followUpDelay (campo obrigatório)');
+        }
+
+        if (followUpDelay !== undefined) {
+            const delay = parseInt(followUpDelay);
+
+            if (isNaN(delay) || delay < 0 || delay > 240) {
+                throw new Error('Atraso inválido: informe de 0 a 240 minutos');
+            }
+
+            await db.upsert('configuracoes', {
+                chave: CONFIG_KEYS.followUpDelay,
+                valor: String(delay),
+                tipo: 'number',
+                descricao: 'Minutos após a abertura para enviar o retorno automático',
+            }, ['valor']);
+        }
+
+        if (autoFollowUp !== undefined) {
+            await db.upsert('configuracoes', {
+                chave: CONFIG_KEYS.autoFollowUp,
+                valor: String(autoFollowUp === true || autoFollowUp === 'true'),
+                tipo: 'boolean',
+                descricao: 'Perguntar na abertura se o cliente que chamou fora do horário ainda precisa de ajuda',
+            }, ['valor']);
+        }
+
+        return await getConfig();
+    } catch (error) {
+        logger.error('Erro ao atualizar configuração de retornos:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// ESTATÍSTICAS
+// ============================================
+
+/**
+ * Contagem de retornos
+ * @returns {object} { pendentes, em_contato, alta_prioridade, concluidos_hoje }
+ */
+async function getStatistics() {
+    try {
+        const stats = await db.queryOne(`
+            SELECT
+                SUM(status = 'pendente') AS pendentes,
+                SUM(status = 'em_contato') AS em_contato,
+                SUM(status IN ('pendente', 'em_contato') AND prioridade >= ?) AS alta_prioridade,
+                SUM(status = 'concluido' AND DATE(concluido_em) = CURDATE()) AS concluidos_hoje
+            FROM retornos
+        `, [PRIORITY_LEVELS[0].minimo]);
+
+        return {
+            pendentes: parseInt(stats.pendentes) || 0,
+            em_contato: parseInt(stats.em_contato) || 0,
+            alta_prioridade: parseInt(stats.alta_prioridade) || 0,
+            concluidos_hoje: parseInt(stats.concluidos_hoje) || 0,
+        };
+    } catch (error) {
+        logger.error('Erro ao obter estatísticas de retornos:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Constantes
+    CALLBACK_STATUS,
+    OPEN_STATUS,
+    JOB_TYPES,
+
+    // Registro
+    registerOutsideHoursMessage,
+    getOpenCallbackByPhone,
+    requestFollowUp,
+    markFollowUpSent,
+    hasCustomerReturned,
+
+    // Consulta e atualização
+    listCallbacks,
+    getCallbackById,
+    updateCallbackStatus,
+
+    // Configuração
+    getConfig,
+    updateConfig,
+
+    // Estatísticas
+    getStatistics,
+    getPriorityLevel,
+};
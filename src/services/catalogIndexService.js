@@ -0,0 +1,463 @@
+/**
+ * ============================================
+ * ÍNDICE SEMÂNTICO DO CATÁLOGO
+ * ============================================
+ *
+ * Embeddings de produtos e serviços (nome, marca,
+ * categoria, descrição e veículos compatíveis)
+ * gravados na tabela indice_semantico. A busca
+ * híbrida junta a busca por palavra-chave com a
+ * similaridade dos vetores, para que "barulho ao
+ * frear" encontre "pastilha de freio".
+ *
+ * A reindexação é incremental (só o que mudou) e
+ * roda como tarefa agendada no processo do bot.
+ */
+
+const crypto = require('crypto');
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings } = require('../config/settings');
+const llm = require('./llm');
+const jobService = require('./jobService');
+const aiUsageService = require('./aiUsageService');
+const productService = require('./productService');
+const serviceService = require('./serviceService');
+
+// Tarefa de sincronização do índice
+const JOB_TYPE = 'indice_catalogo';
+
+// Textos por chamada de embeddings
+const EMBED_BATCH_SIZE = 64;
+
+// Constante da fusão por posição (Reciprocal Rank Fusion)
+const RRF_K = 60;
+
+// Índice em memória: 'tipo:id' => { tipo, id, vector }
+const index = new Map();
+let indexModel = null;
+let lastSync = null;
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Monta o texto indexado de um item
+ * @param {object} item - Produto ou serviço (com categoria_nome)
+ * @returns {string} Texto do documento
+ */
+function buildDocument(item) {
+    return [
+        item.nome,
+        item.marca ? `Marca: ${item.marca}` : null,
+        item.categoria_nome ? `Categoria: ${item.categoria_nome}` : null,
+        item.descricao,
+        item.veiculo_compativel ? `Compatível com: ${item.veiculo_compativel}` : null,
+    ].filter(Boolean).join('. ');
+}
+
+/**
+ * Hash do texto indexado (detecta alterações)
+ * @param {string} text - Texto do documento
+ * @returns {string} SHA-1 em hexadecimal
+ */
+function hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Converte vetor gravado para Float32Array
+ * @param {array|string} vector - Coluna vetor (JSON)
+ * @returns {Float32Array}
+ */
+function parseVector(vector) {
+    return Float32Array.from(typeof vector === 'string' ? JSON.parse(vector) : vector);
+}
+
+/**
+ * Similaridade de cosseno
+ * @param {Float32Array|array} a - Vetor
+ * @param {Float32Array|array} b - Vetor
+ * @returns {number} Similaridade (-1 a 1)
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Modelo de embeddings configurado
+ * @returns {string} Nome do modelo
+ */
+function getEmbeddingModel() {
+    return llm.getEmbeddingProvider().embeddingModel;
+}
+
+/**
+ * Itens ativos do catálogo com o texto indexado
+ * @returns {array} [{ tipo, id, text, hash }]
+ */
+async function loadCatalogDocuments() {
+    const products = await db.query(`
+        SELECT p.id, p.nome, p.descricao, p.marca, p.veiculo_compativel, c.nome AS categoria_nome
+        FROM produtos p
+        LEFT JOIN categorias c ON p.categoria_id = c.id
+        WHERE p.ativo = 1
+    `);
+
+    const services = await db.query(`
+        SELECT s.id, s.nome, s.descricao, cs.nome AS categoria_nome
+        FROM servicos s
+        LEFT JOIN categorias_servicos cs ON s.categoria_id = cs.id
+        WHERE s.ativo = 1
+    `);
+
+    return [
+        ...products.map(item => ({ tipo: 'produto', item })),
+        ...services.map(item => ({ tipo: 'servico', item })),
+    ].map(({ tipo, item }) => {
+        const text = buildDocument(item);
+        return { tipo, id: item.id, text, hash: hashText(text) };
+    });
+}
+
+// ============================================
+// SINCRONIZAÇÃO
+// ============================================
+
+/**
+ * Carrega os vetores gravados para a memória
+ * (ignora vetores de outro modelo de embeddings)
+ * @returns {number} Itens carregados
+ */
+async function loadIndex() {
+    try {
+        const model = getEmbeddingModel();
+        const rows = await db.query(
+            'SELECT tipo, referencia_id, vetor FROM indice_semantico WHERE modelo = ?',
+            [model]
+        );
+
+        index.clear();
+        for (const row of rows) {
+            index.set(`${row.tipo}:${row.referencia_id}`, {
+                tipo: row.tipo,
+                id: row.referencia_id,
+                vector: parseVector(row.vetor),
+            });
+        }
+
+        indexModel = model;
+        logger.info(`🔎 Índice semântico carregado: ${index.size} item(ns) (${model})`);
+        return index.size;
+    } catch (error) {
+        logger.error('Erro ao carregar índice semântico:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Sincroniza o índice com o catálogo
+ * Gera embeddings só dos itens novos ou alterados
+ * (ou todos, com full) e remove os inativos
+ * @param {object} options - { full }
+ * @returns {object} { total, embedded, removed, model }
+ */
+async function syncIndex(options = {}) {
+    const { full = false } = options;
+
+    try {
+        const model = getEmbeddingModel();
+        const documents = await loadCatalogDocuments();
+        const stored = await db.query('SELECT id, tipo, referencia_id, texto_hash, modelo FROM indice_semantico');
+
+        const storedByKey = new Map(stored.map(row => [`${row.tipo}:${row.referencia_id}`, row]));
+        const activeKeys = new Set(documents.map(doc => `${doc.tipo}:${doc.id}`));
+
+        // Novos, alterados ou de outro modelo
+        const pending = documents.filter(doc => {
+            const row = storedByKey.get(`${doc.tipo}:${doc.id}`);
+            return full || !row || row.texto_hash !== doc.hash || row.modelo !== model;
+        });
+
+        const startedAt = Date.now();
+        const usage = { provider: null, promptTokens: 0 };
+
+        for (let start = 0; start < pending.length; start += EMBED_BATCH_SIZE) {
+            const batch = pending.slice(start, start + EMBED_BATCH_SIZE);
+            const { vectors, usage: batchUsage, provider } = await llm.embed(batch.map(doc => doc.text));
+
+            usage.provider = provider;
+            usage.promptTokens += batchUsage.promptTokens;
+
+            await db.query(`
+                INSERT INTO indice_semantico (tipo, referencia_id, texto_hash, modelo, dimensoes, vetor)
+                VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+                ON DUPLICATE KEY UPDATE
+                    texto_hash = VALUES(texto_hash),
+                    modelo = VALUES(modelo),
+                    dimensoes = VALUES(dimensoes),
+                    vetor = VALUES(vetor)
+            `, batch.flatMap((doc, i) => [doc.tipo, doc.id, doc.hash, model, vectors[i].length, JSON.stringify(vectors[i])]));
+
+            batch.forEach((doc, i) => {
+                index.set(`${doc.tipo}:${doc.id}`, {
+                    tipo: doc.tipo,
+                    id: doc.id,
+                    vector: Float32Array.from(vectors[i]),
+                });
+            });
+        }
+
+        if (pending.length > 0) {
+            await aiUsageService.recordUsage({
+                operation: aiUsageService.OPERATIONS.INDEXING,
+                provider: usage.provider,
+                model,
+                promptTokens: usage.promptTokens,
+                latencyMs: Date.now() - startedAt,
+            });
+        }
+
+        // Itens excluídos ou desativados
+        const removedIds = stored
+            .filter(row => !activeKeys.has(`${row.tipo}:${row.referencia_id}`))
+            .map(row => row.id);
+
+        if (removedIds.length > 0) {
+            await db.query(
+                `DELETE FROM indice_semantico WHERE id IN (${removedIds.map(() => '?').join(', ')})`,
+                removedIds
+            );
+        }
+
+        for (const key of index.keys()) {
+            if (!activeKeys.has(key)) index.delete(key);
+        }
+
+        indexModel = model;
+        lastSync = new Date();
+
+        const result = { total: documents.length, embedded: pending.length, removed: removedIds.length, model };
+        logger.info(`🔎 Índice semântico sincronizado: ${result.embedded} indexado(s), ${result.removed} removido(s) de ${result.total}`);
+        return result;
+    } catch (error) {
+        logger.error('Erro ao sincronizar índice semântico:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Agenda sincronização do índice (agrupa alterações seguidas)
+ * Não lança erro: falha aqui não impede salvar o catálogo
+ * @param {object} options - { full }
+ * @returns {boolean} Se a tarefa foi agendada
+ */
+async function scheduleSync(options = {}) {
+    if (!settings.ai.embeddings.enabled) {
+        return false;
+    }
+
+    try {
+        const runAt = new Date(Date.now() + settings.ai.embeddings.syncDelay * 1000);
+
+        await jobService.scheduleJob(JOB_TYPE, 0, runAt, {
+            chave: options.full ? 'completo' : 'incremental',
+            payload: { full: !!options.full },
+        });
+
+        return true;
+    } catch (error) {
+        logger.warn('⚠️  Não foi possível agendar reindexação do catálogo:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Registra a tarefa de sincronização no jobService
+ */
+function registerJobHandlers() {
+    jobService.registerHandler(JOB_TYPE, async (job) => {
+        await syncIndex({ full: !!job.payload.full });
+    });
+}
+
+// ============================================
+// BUSCA
+// ============================================
+
+/**
+ * Busca por similaridade no índice em memória
+ * Falhas do provedor de embeddings retornam lista vazia
+ * (a busca híbrida continua só com palavra-chave)
+ * @param {string} query - Texto da busca
+ * @param {object} options - { tipo, limit, minScore }
+ * @returns {array} [{ tipo, id, score }] do mais ao menos similar
+ */
+async function vectorSearch(query, options = {}) {
+    const {
+        tipo = null,
+        limit = 10,
+        minScore = settings.ai.embeddings.minScore,
+    } = options;
+
+    if (!settings.ai.embeddings.enabled || index.size === 0 || !query) {
+        return [];
+    }
+
+    try {
+        // Vetores de modelos diferentes não são comparáveis
+        const model = getEmbeddingModel();
+        if (model !== indexModel) {
+            logger.warn(`⚠️  Modelo de embeddings mudou (${indexModel} → ${model}); reindexação necessária`);
+            return [];
+        }
+
+        const { vectors } = await llm.embed([query]);
+
+        const results = [];
+        for (const entry of index.values()) {
+            if (tipo && entry.tipo !== tipo) continue;
+
+            const score = cosineSimilarity(vectors[0], entry.vector);
+            if (score >= minScore) {
+                results.push({ tipo: entry.tipo, id: entry.id, score });
+            }
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    } catch (error) {
+        logger.warn('⚠️  Busca semântica indisponível:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Junta rankings pela posição em cada lista (RRF)
+ * @param {array} rankings - Listas de itens com id, já ordenadas
+ * @param {number} limit - Limite de resultados
+ * @returns {array} Itens na ordem combinada
+ */
+function fuseRankings(rankings, limit) {
+    const scores = new Map();
+
+    for (const ranking of rankings) {
+        ranking.forEach((item, position) => {
+            const current = scores.get(item.id) || { item, score: 0 };
+            current.score += 1 / (RRF_K + position + 1);
+            scores.set(item.id, current);
+        });
+    }
+
+    return [...scores.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(entry => entry.item);
+}
+
+/**
+ * Busca híbrida (palavra-chave + vetores) em produtos ou serviços
+ * @param {string} query - Texto da busca
+ * @param {object} options - { tipo: 'produto'|'servico', filters (smartSearch), limit }
+ * @returns {object} { items, keywordCount, semanticCount, sugestoes }
+ */
+async function hybridSearch(query, options = {}) {
+    const { tipo = 'produto', filters = {}, limit = 5 } = options;
+    const service = tipo === 'servico' ? serviceService : productService;
+    const listKey = tipo === 'servico' ? 'services' : 'products';
+
+    try {
+        const keyword = await service.smartSearch({ ...filters, query, limit });
+        const keywordItems = keyword[listKey];
+
+        // Busca semântica aplica os mesmos filtros (estoque, veículo, marca)
+        const hits = await vectorSearch(query, { tipo, limit: limit * 2 });
+        let semanticItems = [];
+
+        if (hits.length > 0) {
+            const semantic = await service.smartSearch({ ...filters, ids: hits.map(hit => hit.id), limit: hits.length });
+            const byId = new Map(semantic[listKey].map(item => [item.id, item]));
+            semanticItems = hits.map(hit => byId.get(hit.id)).filter(Boolean);
+        }
+
+        return {
+            items: fuseRankings([keywordItems, semanticItems], limit),
+            keywordCount: keywordItems.length,
+            semanticCount: semanticItems.length,
+            sugestoes: keyword.context.sugestoes || [],
+        };
+    } catch (error) {
+        logger.error('Erro na busca híbrida:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// STATUS
+// ============================================
+
+/**
+ * Situação do índice
+ * @returns {object} Estado do índice
+ */
+async function getStatus() {
+    try {
+        const rows = await db.query(`
+            SELECT tipo, modelo, COUNT(*) AS total, MAX(updated_at) AS atualizado_em
+            FROM indice_semantico
+            GROUP BY tipo, modelo
+        `);
+
+        let provider = null;
+        let model = null;
+
+        try {
+            provider = llm.getEmbeddingProvider().name;
+            model = getEmbeddingModel();
+        } catch (error) {
+            // Provedor inválido em settings
+        }
+
+        return {
+            enabled: settings.ai.embeddings.enabled,
+            provider,
+            model,
+            loaded: index.size,
+            lastSync,
+            stored: rows,
+        };
+    } catch (error) {
+        logger.error('Erro ao obter status do índice semântico:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    JOB_TYPE,
+
+    // Sincronização
+    loadIndex,
+    syncIndex,
+    scheduleSync,
+    registerJobHandlers,
+
+    // Busca
+    vectorSearch,
+    hybridSearch,
+    fuseRankings,
+
+    // Status
+    getStatus,
+    buildDocument,
+};
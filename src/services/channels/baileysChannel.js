@@ -0,0 +1,1257 @@
+/**
+ * ============================================
+ * CANAL WHATSAPP - BAILEYS (WHATSAPP WEB)
+ * ============================================
+ * 
+ * Conexão pelo WhatsApp Web (QR Code e pasta de
+ * credenciais). Uma conexão por processo.
+ * 
+ * CORREÇÕES APLICADAS (VERSÃO 3.0):
+ * - Tratamento do erro 515 (Stream Error)
+ * - Tratamento do erro 401 (device_removed)
+ * - Timeouts aumentados para conexão
+ * - Browser identificação corrigida
+ * - Melhor gestão de reconexão
+ * - Configurações otimizadas para estabilidade
+ */
+
+const { 
+    default: makeWASocket, 
+    useMultiFileAuthState,
+    DisconnectReason,
+    fetchLatestBaileysVersion,
+    makeCacheableSignalKeyStore,
+    isJidBroadcast,
+    isJidGroup,
+    Browsers,
+    downloadMediaMessage,
+} = require('@whiskeysockets/baileys');
+
+const pino = require('pino');
+const path = require('path');
+const fs = require('fs');
+const qrcode = require('qrcode-terminal');
+
+const logger = require('../../utils/logger');
+const { sleep } = require('../../utils/helpers');
+const { formatPhoneForWhatsApp, extractPhoneFromJid } = require('../../utils/formatter');
+
+// ============================================
+// CONFIGURAÇÕES - OTIMIZADAS PARA RAILWAY
+// ============================================
+
+const AUTH_PATH = process.env.AUTH_PATH || path.join(process.cwd(), 'auth');
+const MAX_RETRY_COUNT = 5;
+const INIT_DELAY = 3000;
+const RECONNECT_DELAY = 10000;
+const STREAM_ERROR_DELAY = 8000;
+const QR_TIMEOUT = 120000; // 2 minutos
+const CONNECTION_TIMEOUT = 180000; // 3 minutos
+const CONFLICT_COOLDOWN = 180000; // 3 minutos após conflito
+
+// Status do Baileys (proto.WebMessageInfo.Status) => status do canal
+const DELIVERY_STATUS = {
+    0: 'failed',
+    2: 'sent',
+    3: 'delivered',
+    4: 'read',
+    5: 'read',
+};
+
+// ============================================
+// ESTADO GLOBAL
+// ============================================
+
+let sock = null;
+let saveCreds = null;
+let initializationLock = false;
+let initializationPromise = null;
+let lastConflictTime = 0;
+let streamErrorCount = 0;
+let connectionStartTime = null;
+
+const connectionState = {
+    isConnected: false,
+    qrCode: null,
+    lastDisconnect: null,
+    retryCount: 0,
+    lastConnected: null,
+    phoneNumber: null,
+    isReconnecting: false,
+    initializationAttempts: 0,
+    lastError: null,
+    connectionHistory: [],
+    conflictCount: 0,
+    lastQRTime: null,
+    credsUpdateCount: 0,
+};
+
+// Ganchos do serviço do WhatsApp (mensagens, status de entrega, notificações)
+let hooks = { onMessage: null, onStatus: null, notify: null };
+
+// ============================================
+// LOG INICIAL
+// ============================================
+
+console.log('\n');
+console.log('╔══════════════════════════════════════════════════════════════╗');
+console.log('║   CANAL WHATSAPP BAILEYS - VERSÃO 3.0 (ANTI-CONFLICT)        ║');
+console.log('╚══════════════════════════════════════════════════════════════╝');
+console.log('   ├─ AUTH_PATH:', AUTH_PATH);
+console.log('   ├─ MAX_RETRY:', MAX_RETRY_COUNT);
+console.log('   ├─ RECONNECT_DELAY:', RECONNECT_DELAY/1000, 'segundos');
+console.log('   ├─ STREAM_ERROR_DELAY:', STREAM_ERROR_DELAY/1000, 'segundos');
+console.log('   ├─ CONNECTION_TIMEOUT:', CONNECTION_TIMEOUT/1000, 'segundos');
+console.log('   ├─ QR_TIMEOUT:', QR_TIMEOUT/1000, 'segundos');
+console.log('   ├─ CONFLICT_COOLDOWN:', CONFLICT_COOLDOWN/1000, 'segundos');
+console.log('   └─ Timestamp:', new Date().toISOString());
+console.log('\n');
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+function notify(event, data = {}) {
+    if (hooks.notify) {
+        hooks.notify(event, data);
+    }
+}
+
+function toJid(to) {
+    return to.includes('@') ? to : formatPhoneForWhatsApp(to);
+}
+
+function ensureConnected() {
+    if (!sock || !connectionState.isConnected) {
+        throw new Error('WhatsApp não conectado');
+    }
+}
+
+function addToHistory(event, details = {}) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        event,
+        details,
+        memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+    };
+    connectionState.connectionHistory.push(entry);
+    if (connectionState.connectionHistory.length > 100) {
+        connectionState.connectionHistory.shift();
+    }
+    
+    console.log(`📝 [HISTORY] ${event}:`, JSON.stringify(details));
+}
+
+function ensureAuthDirectory() {
+    console.log('\n📁 [AUTH] Verificando diretório:', AUTH_PATH);
+    
+    try {
+        if (!fs.existsSync(AUTH_PATH)) {
+            fs.mkdirSync(AUTH_PATH, { recursive: true, mode: 0o755 });
+            console.log('   ├─ ✅ Diretório criado');
+        }
+        
+        const files = fs.readdirSync(AUTH_PATH);
+        const credFiles = files.filter(f => f.endsWith('.json'));
+        const hasCredsFile = files.includes('creds.json');
+        
+        console.log('   ├─ Total arquivos:', files.length);
+        console.log('   ├─ Arquivos JSON:', credFiles.length);
+        console.log('   ├─ Tem creds.json:', hasCredsFile ? 'SIM ✅' : 'NÃO ❌');
+        
+        if (hasCredsFile) {
+            try {
+                const credsPath = path.join(AUTH_PATH, 'creds.json');
+                const credsContent = fs.readFileSync(credsPath, 'utf8');
+                const creds = JSON.parse(credsContent);
+                console.log('   ├─ Creds registrado:', creds.registered ? 'SIM' : 'NÃO');
+                console.log('   ├─ Creds me.id:', creds.me?.id || 'N/A');
+            } catch (e) {
+                console.log('   ├─ ⚠️ Erro ao ler creds.json:', e.message);
+            }
+        }
+        
+        console.log('   └─ ✅ Diretório pronto');
+        
+        return { success: true, hasCredentials: hasCredsFile };
+    } catch (error) {
+        console.error('   └─ ❌ ERRO:', error.message);
+        return { success: false, hasCredentials: false };
+    }
+}
+
+function clearCredentials() {
+    console.log('\n🗑️ [CLEAR] Limpando credenciais...');
+    
+    try {
+        if (fs.existsSync(AUTH_PATH)) {
+            const files = fs.readdirSync(AUTH_PATH);
+            let removed = 0;
+            let skipped = 0;
+            
+            files.forEach(file => {
+                if (file === 'lost+found' || file.startsWith('.')) {
+                    skipped++;
+                    return;
+                }
+                
+                const filePath = path.join(AUTH_PATH, file);
+                
+                try {
+                    const stats = fs.statSync(filePath);
+                    
+                    if (stats.isFile()) {
+                        fs.unlinkSync(filePath);
+                        removed++;
+                    } else {
+                        skipped++;
+                    }
+                } catch (err) {
+                    console.log(`   ├─ [ERR] ${file}: ${err.message}`);
+                }
+            });
+            
+            console.log(`   └─ ✅ Removidos: ${removed}, Ignorados: ${skipped}`);
+        }
+        return true;
+    } catch (error) {
+        console.error('   └─ ❌ Erro:', error.message);
+        return false;
+    }
+}
+
+function cleanupSocket() {
+    console.log('\n🧹 [CLEANUP] Limpando socket...');
+    
+    if (sock) {
+        try {
+            sock.ev.removeAllListeners('connection.update');
+            sock.ev.removeAllListeners('creds.update');
+            sock.ev.removeAllListeners('messages.upsert');
+            sock.ev.removeAllListeners('messages.update');
+            
+            if (sock.ws) {
+                console.log('   ├─ WebSocket state:', sock.ws.readyState);
+                if (sock.ws.readyState === sock.ws.OPEN) {
+                    sock.ws.close();
+                    console.log('   ├─ WebSocket fechado');
+                }
+            }
+            
+            // Tenta fazer end() se existir
+            if (typeof sock.end === 'function') {
+                sock.end();
+            }
+            
+            console.log('   └─ ✅ Socket limpo');
+        } catch (error) {
+            console.error('   └─ ⚠️ Erro:', error.message);
+        } finally {
+            sock = null;
+        }
+    } else {
+        console.log('   └─ ℹ️ Nenhum socket para limpar');
+    }
+}
+
+function resetState() {
+    connectionState.isConnected = false;
+    connectionState.qrCode = null;
+    connectionState.isReconnecting = false;
+    connectionState.lastError = null;
+    connectionStartTime = null;
+}
+
+// ============================================
+// INICIALIZAÇÃO PRINCIPAL
+// ============================================
+
+async function initialize() {
+    // Verifica cooldown de conflito
+    const timeSinceLastConflict = Date.now() - lastConflictTime;
+    if (lastConflictTime > 0 && timeSinceLastConflict < CONFLICT_COOLDOWN) {
+        const waitTime = Math.ceil((CONFLICT_COOLDOWN - timeSinceLastConflict) / 1000);
+        console.log(`\n⏳ [COOLDOWN] Aguardando ${waitTime}s após conflito anterior...`);
+        console.log('   └─ Motivo: Evitar rate limiting do WhatsApp');
+        
+        notify('whatsapp:cooldown', { waitSeconds: waitTime });
+        
+        await sleep(CONFLICT_COOLDOWN - timeSinceLastConflict);
+    }
+    
+    // Lock para evitar inicializações simultâneas
+    if (initializationLock && initializationPromise) {
+        console.log('\n⏳ [INIT] Já há uma inicialização em andamento...');
+        return initializationPromise;
+    }
+    
+    if (connectionState.isConnected && sock) {
+        console.log('\n✅ [INIT] WhatsApp já está conectado');
+        return sock;
+    }
+    
+    initializationLock = true;
+    initializationPromise = _doInitialize();
+    
+    try {
+        return await initializationPromise;
+    } finally {
+        initializationLock = false;
+        initializationPromise = null;
+    }
+}
+
+async function _doInitialize() {
+    connectionState.initializationAttempts++;
+    connectionStartTime = Date.now();
+    
+    console.log('\n');
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║          INICIANDO CONEXÃO COM WHATSAPP                      ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝');
+    console.log('   ├─ Tentativa:', connectionState.initializationAttempts);
+    console.log('   ├─ Conflitos anteriores:', connectionState.conflictCount);
+    console.log('   ├─ Erros 515 anteriores:', streamErrorCount);
+    console.log('   ├─ Retry count:', connectionState.retryCount);
+    console.log('   ├─ Timestamp:', new Date().toISOString());
+    console.log('   └─ Memory:', Math.round(process.memoryUsage().heapUsed / 1024 / 1024), 'MB');
+    
+    addToHistory('init_start', { 
+        attempt: connectionState.initializationAttempts,
+        conflictCount: connectionState.conflictCount,
+        streamErrorCount: streamErrorCount
+    });
+
+    try {
+        // Delay inicial
+        if (connectionState.initializationAttempts === 1) {
+            console.log(`\n⏳ [INIT] Delay inicial de ${INIT_DELAY/1000}s...`);
+            await sleep(INIT_DELAY);
+        }
+
+        cleanupSocket();
+        resetState();
+
+        const authCheck = ensureAuthDirectory();
+        if (!authCheck.success) {
+            throw new Error('Falha no diretório de autenticação');
+        }
+
+        console.log('\n📱 [BAILEYS] Buscando versão...');
+        const { version, isLatest } = await fetchLatestBaileysVersion();
+        console.log('   ├─ Versão:', version.join('.'));
+        console.log('   └─ Mais recente:', isLatest ? 'Sim ✅' : 'Não ⚠️');
+
+        console.log('\n🔐 [AUTH] Carregando credenciais...');
+        const authState = await useMultiFileAuthState(AUTH_PATH);
+        saveCreds = authState.saveCreds;
+        
+        console.log('   ├─ State existe:', !!authState.state);
+        console.log('   ├─ Creds existe:', !!authState.state.creds);
+        console.log('   ├─ Registrado:', authState.state.creds?.registered || false);
+        console.log('   ├─ Me.id:', authState.state.creds?.me?.id || 'N/A');
+        console.log('   └─ Keys exist:', !!authState.state.keys);
+
+        // ============================================
+        // CONFIGURAÇÃO DO SOCKET - VERSÃO 3.0
+        // ============================================
+        const socketConfig = {
+            version,
+            auth: {
+                creds: authState.state.creds,
+                keys: makeCacheableSignalKeyStore(
+                    authState.state.keys, 
+                    pino({ level: 'silent' })
+                ),
+            },
+            logger: pino({ level: 'silent' }),
+            
+            // Browser - usando identificação padrão do Baileys
+            browser: Browsers.ubuntu('Chrome'),
+            
+            // Configurações de conexão otimizadas
+            markOnlineOnConnect: false,
+            generateHighQualityLinkPreview: false,
+            syncFullHistory: false,
+            
+            // Timeouts aumentados
+            connectTimeoutMs: CONNECTION_TIMEOUT,
+            defaultQueryTimeoutMs: 60000,
+            keepAliveIntervalMs: 15000,
+            retryRequestDelayMs: 2000,
+            
+            // QR e mensagens
+            qrTimeout: QR_TIMEOUT,
+            maxMsgRetryCount: 3,
+            printQRInTerminal: false,
+            
+            // Configurações adicionais para estabilidade
+            emitOwnEvents: true,
+            fireInitQueries: false, // Mudado para false
+            
+            // Não sincronizar histórico (evita conflitos)
+            shouldSyncHistoryMessage: () => false,
+            
+            // Patch para mensagens
+            patchMessageBeforeSending: (message) => {
+                const requiresPatch = !!(message.buttonsMessage || message.listMessage);
+                if (requiresPatch) {
+                    message = { 
+                        viewOnceMessage: { 
+                            message: { 
+                                messageContextInfo: { 
+                                    deviceListMetadataVersion: 2, 
+                                    deviceListMetadata: {} 
+                                }, 
+                                ...message 
+                            } 
+                        } 
+                    };
+                }
+                return message;
+            },
+            
+            getMessage: async (key) => {
+                return { conversation: '' };
+            },
+        };
+
+        console.log('\n🔌 [SOCKET] Criando conexão...');
+        console.log('   ├─ Browser: Ubuntu (Chrome)');
+        console.log('   ├─ connectTimeoutMs:', socketConfig.connectTimeoutMs);
+        console.log('   ├─ qrTimeout:', socketConfig.qrTimeout);
+        console.log('   ├─ keepAliveIntervalMs:', socketConfig.keepAliveIntervalMs);
+        console.log('   ├─ fireInitQueries:', socketConfig.fireInitQueries);
+        console.log('   └─ markOnlineOnConnect:', socketConfig.markOnlineOnConnect);
+        
+        sock = makeWASocket(socketConfig);
+        
+        setupEventHandlers(sock, authState.saveCreds);
+
+        console.log('\n✅ [INIT] Socket criado, aguardando eventos...\n');
+        
+        return sock;
+    } catch (error) {
+        console.error('\n❌ [INIT] ERRO:', error.message);
+        console.error('   Stack:', error.stack);
+        connectionState.lastError = error.message;
+        addToHistory('init_error', { error: error.message });
+        throw error;
+    }
+}
+
+// ============================================
+// HANDLERS DE EVENTOS
+// ============================================
+
+function setupEventHandlers(socket, saveCredsFunc) {
+    console.log('📡 [EVENTS] Configurando handlers...');
+
+    // ========== CONNECTION UPDATE ==========
+    socket.ev.on('connection.update', async (update) => {
+        const { connection, lastDisconnect, qr, isNewLogin, receivedPendingNotifications } = update;
+        
+        const timestamp = new Date().toISOString();
+        const connectionDuration = connectionStartTime ? Math.round((Date.now() - connectionStartTime) / 1000) : 0;
+        
+        console.log('\n┌─────────────────────────────────────────────────────────┐');
+        console.log('│              CONNECTION UPDATE                          │');
+        console.log('├─────────────────────────────────────────────────────────┤');
+        console.log('│ Timestamp:', timestamp);
+        console.log('│ Duração desde início:', connectionDuration, 'segundos');
+        console.log('│ connection:', connection || '(undefined)');
+        console.log('│ hasQR:', !!qr);
+        console.log('│ isNewLogin:', isNewLogin);
+        console.log('│ receivedPendingNotifications:', receivedPendingNotifications);
+        console.log('│ Estado atual:');
+        console.log('│   ├─ isConnected:', connectionState.isConnected);
+        console.log('│   ├─ retryCount:', connectionState.retryCount);
+        console.log('│   ├─ streamErrorCount:', streamErrorCount);
+        console.log('│   └─ conflictCount:', connectionState.conflictCount);
+        console.log('└─────────────────────────────────────────────────────────┘');
+
+        addToHistory('connection_update', { 
+            connection, 
+            hasQR: !!qr, 
+            isNewLogin,
+            hasLastDisconnect: !!lastDisconnect,
+            connectionDuration
+        });
+
+        // ===== QR CODE =====
+        if (qr) {
+            connectionState.qrCode = qr;
+            connectionState.lastQRTime = Date.now();
+            connectionState.isConnected = false;
+            
+            // Reset contadores quando novo QR é gerado
+            streamErrorCount = 0;
+            connectionState.retryCount = 0;
+            
+            console.log('\n');
+            console.log('╔═══════════════════════════════════════════════════════╗');
+            console.log('║     📱 NOVO QR CODE - ESCANEIE COM SEU WHATSAPP       ║');
+            console.log('╚═══════════════════════════════════════════════════════╝');
+            console.log('\n');
+            qrcode.generate(qr, { small: true });
+            console.log('\n');
+            console.log('   ⚠️  IMPORTANTE:');
+            console.log('   1. Abra o WhatsApp no celular');
+            console.log('   2. Vá em Configurações > Dispositivos Vinculados');
+            console.log('   3. Toque em "Conectar um dispositivo"');
+            console.log('   4. Escaneie este QR Code');
+            console.log('   5. AGUARDE até aparecer "Conectado" (pode demorar 30-60s)');
+            console.log('   6. NÃO FECHE o WhatsApp durante a conexão!');
+            console.log('\n');
+            console.log(`   ⏰ QR expira em ${QR_TIMEOUT/1000} segundos`);
+            console.log('═══════════════════════════════════════════════════════\n');
+
+            notify('whatsapp:qr', { qrCode: qr });
+            addToHistory('qr_generated', { qrTimeout: QR_TIMEOUT });
+        }
+
+        // ===== CONECTADO =====
+        if (connection === 'open') {
+            console.log('\n');
+            console.log('╔═══════════════════════════════════════════════════════╗');
+            console.log('║              ✅ CONEXÃO ABERTA!                       ║');
+            console.log('╚═══════════════════════════════════════════════════════╝');
+            
+            connectionState.isConnected = true;
+            connectionState.qrCode = null;
+            connectionState.retryCount = 0;
+            connectionState.lastConnected = new Date().toISOString();
+            connectionState.isReconnecting = false;
+            connectionState.lastError = null;
+            streamErrorCount = 0;
+            
+            if (socket.user) {
+                connectionState.phoneNumber = socket.user.id.split(':')[0];
+                console.log('   ├─ Número:', connectionState.phoneNumber);
+                console.log('   ├─ JID:', socket.user.id);
+                console.log('   ├─ Nome:', socket.user.name || '(N/A)');
+            }
+            
+            console.log('   ├─ Timestamp:', connectionState.lastConnected);
+            console.log('   ├─ Duração para conectar:', connectionDuration, 'segundos');
+            console.log('   └─ Status: Verificando estabilidade...');
+            
+            // Verificação de estabilidade aumentada para 10 segundos
+            console.log('\n⏳ [STABILITY] Verificando estabilidade da conexão (10s)...');
+            
+            setTimeout(() => {
+                if (connectionState.isConnected) {
+                    console.log('✅ [STABILITY] Conexão estável após 10 segundos!');
+                    logger.whatsappStatus('Conectado com sucesso! ✅');
+                    notify('whatsapp:connected', {
+                        phoneNumber: connectionState.phoneNumber,
+                        lastConnected: connectionState.lastConnected,
+                        stable: true
+                    });
+                } else {
+                    console.log('⚠️ [STABILITY] Conexão foi fechada durante verificação');
+                }
+            }, 10000);
+
+            addToHistory('connected', { 
+                phoneNumber: connectionState.phoneNumber,
+                connectionDuration
+            });
+        }
+
+        // ===== DESCONECTADO =====
+        if (connection === 'close') {
+            console.log('\n');
+            console.log('╔═══════════════════════════════════════════════════════╗');
+            console.log('║              ⚠️ CONEXÃO FECHADA                       ║');
+            console.log('╚═══════════════════════════════════════════════════════╝');
+            console.log('   └─ Duração da sessão:', connectionDuration, 'segundos');
+            
+            connectionState.isConnected = false;
+            
+            await handleDisconnect(lastDisconnect, connectionDuration);
+        }
+
+        // ===== CONECTANDO =====
+        if (connection === 'connecting') {
+            console.log('\n🔄 [CONNECTION] Estado: CONECTANDO...');
+            console.log('   └─ Aguarde, estabelecendo conexão com o servidor do WhatsApp');
+            addToHistory('connecting');
+        }
+    });
+
+    // ========== CREDENTIALS UPDATE ==========
+    socket.ev.on('creds.update', async () => {
+        connectionState.credsUpdateCount++;
+        const count = connectionState.credsUpdateCount;
+        
+        if (count <= 3 || count % 10 === 0) {
+            console.log(`🔐 [CREDS] Salvando credenciais (#${count})...`);
+        }
+        
+        try {
+            await saveCredsFunc();
+            if (count <= 3 || count % 10 === 0) {
+                console.log('   └─ ✅ Salvo');
+            }
+        } catch (error) {
+            console.error('   └─ ❌ Erro ao salvar:', error.message);
+        }
+    });
+
+    // ========== MESSAGES ==========
+    socket.ev.on('messages.upsert', async ({ messages, type }) => {
+        if (type !== 'notify') return;
+
+        for (const msg of messages) {
+            await handleIncomingMessage(msg);
+        }
+    });
+
+    // ========== STATUS DE ENTREGA ==========
+    socket.ev.on('messages.update', (updates) => {
+        for (const { key, update } of updates) {
+            if (!key.fromMe || update.status === undefined || !hooks.onStatus) continue;
+
+            const status = DELIVERY_STATUS[update.status];
+            if (!status) continue;
+
+            hooks.onStatus({
+                messageId: key.id,
+                phone: extractPhoneFromJid(key.remoteJid),
+                status,
+                timestamp: new Date().toISOString(),
+            });
+        }
+    });
+
+    console.log('   └─ ✅ Handlers configurados\n');
+}
+
+// ============================================
+// TRATAMENTO DE DESCONEXÃO - VERSÃO 3.0
+// ============================================
+
+async function handleDisconnect(lastDisconnect, connectionDuration = 0) {
+    const statusCode = lastDisconnect?.error?.output?.statusCode;
+    const errorMessage = lastDisconnect?.error?.message || 'Desconhecido';
+    const errorData = lastDisconnect?.error?.data;
+    
+    console.log('\n📊 [DISCONNECT] Análise detalhada:');
+    console.log('   ├─ StatusCode:', statusCode);
+    console.log('   ├─ Mensagem:', errorMessage);
+    console.log('   ├─ Dados:', JSON.stringify(errorData || {}));
+    console.log('   ├─ Duração da conexão:', connectionDuration, 'segundos');
+    
+    // Análise do erro
+    const errorString = JSON.stringify(errorData || '');
+    
+    const isConflict = errorMessage.includes('conflict') || 
+                       errorString.includes('conflict') ||
+                       errorString.includes('device_removed');
+    
+    const isLoggedOut = statusCode === DisconnectReason.loggedOut || 
+                        statusCode === 401;
+    
+    const isBadSession = statusCode === DisconnectReason.badSession ||
+                         statusCode === 500;
+    
+    const isConnectionLost = statusCode === DisconnectReason.connectionLost || 
+                             statusCode === DisconnectReason.connectionClosed ||
+                             statusCode === DisconnectReason.connectionReplaced;
+    
+    const isStreamError = statusCode === 515 || 
+                          errorMessage.includes('Stream Errored') ||
+                          errorMessage.includes('restart required');
+    
+    const isTimeout = statusCode === DisconnectReason.timedOut ||
+                      errorMessage.includes('timed out') ||
+                      errorMessage.includes('timeout');
+    
+    // Verifica se foi desconexão rápida (menos de 2 minutos)
+    const wasQuickDisconnect = connectionDuration > 0 && connectionDuration < 120;
+    
+    console.log('   ├─ É conflito:', isConflict ? 'SIM ⚠️' : 'NÃO');
+    console.log('   ├─ É logout:', isLoggedOut ? 'SIM' : 'NÃO');
+    console.log('   ├─ É bad session:', isBadSession ? 'SIM' : 'NÃO');
+    console.log('   ├─ É connection lost:', isConnectionLost ? 'SIM' : 'NÃO');
+    console.log('   ├─ É stream error (515):', isStreamError ? 'SIM ⚠️' : 'NÃO');
+    console.log('   ├─ É timeout:', isTimeout ? 'SIM' : 'NÃO');
+    console.log('   └─ Desconexão rápida (<2min):', wasQuickDisconnect ? 'SIM ⚠️' : 'NÃO');
+
+    addToHistory('disconnected', { 
+        statusCode, 
+        errorMessage, 
+        isConflict, 
+        isLoggedOut,
+        isStreamError,
+        isTimeout,
+        connectionDuration,
+        wasQuickDisconnect
+    });
+
+    notify('whatsapp:disconnected', {
+        statusCode,
+        reason: errorMessage,
+        isConflict,
+        isStreamError,
+        connectionDuration
+    });
+
+    // ===== TRATAMENTO DE CONFLITO/LOGOUT/DEVICE_REMOVED =====
+    if (isConflict || isLoggedOut || isBadSession) {
+        connectionState.conflictCount++;
+        lastConflictTime = Date.now();
+        
+        console.log('\n🚨 [CONFLICT] Conflito/Logout detectado!');
+        console.log('   ├─ Total de conflitos:', connectionState.conflictCount);
+        console.log('   ├─ Ação: Limpando TODAS as credenciais');
+        
+        // Limpa credenciais
+        clearCredentials();
+        
+        // Cooldown aumentado para conflitos frequentes
+        let cooldown = CONFLICT_COOLDOWN;
+        if (connectionState.conflictCount >= 3) {
+            cooldown = CONFLICT_COOLDOWN * 2; // 6 minutos
+            console.log('   ├─ ⚠️ Muitos conflitos! Cooldown dobrado');
+        }
+        if (connectionState.conflictCount >= 5) {
+            cooldown = CONFLICT_COOLDOWN * 3; // 9 minutos
+            console.log('   ├─ 🚨 Conflitos excessivos! Cooldown triplicado');
+        }
+        
+        console.log(`   └─ Cooldown: ${cooldown/1000} segundos`);
+        
+        notify('whatsapp:logged_out', {
+            message: 'Dispositivo removido. Aguarde o cooldown e escaneie novamente.',
+            conflictCount: connectionState.conflictCount,
+            cooldownSeconds: cooldown/1000
+        });
+        
+        console.log(`\n⏳ [COOLDOWN] Aguardando ${cooldown/1000}s antes de gerar novo QR...`);
+        console.log('   └─ Não escaneie nenhum QR durante este período!');
+        
+        await sleep(cooldown);
+        
+        // Reset estados
+        connectionState.retryCount = 0;
+        streamErrorCount = 0;
+        initializationLock = false;
+        
+        await initialize();
+        return;
+    }
+
+    // ===== TRATAMENTO DE ERRO 515 (Stream Error) =====
+    if (isStreamError && !isConflict) {
+        streamErrorCount++;
+        
+        console.log('\n🔄 [STREAM ERROR 515] Erro de stream detectado!');
+        console.log('   ├─ Contador de erros 515:', streamErrorCount);
+        
+        if (streamErrorCount >= 3) {
+            console.log('   ├─ ⚠️ Muitos erros 515! Limpando credenciais...');
+            clearCredentials();
+            streamErrorCount = 0;
+            connectionState.retryCount = 0;
+            
+            console.log(`   └─ Aguardando 60s antes de gerar novo QR...`);
+            await sleep(60000);
+            
+            initializationLock = false;
+            await initialize();
+            return;
+        }
+        
+        const delay = STREAM_ERROR_DELAY + (streamErrorCount * 3000);
+        console.log(`   └─ Tentando reconectar em ${delay/1000} segundos...`);
+        
+        notify('whatsapp:reconnecting', {
+            attempt: streamErrorCount,
+            reason: 'Stream Error 515',
+            delaySeconds: delay/1000
+        });
+        
+        await sleep(delay);
+        
+        initializationLock = false;
+        await initialize();
+        return;
+    }
+
+    // ===== TRATAMENTO DE TIMEOUT =====
+    if (isTimeout) {
+        connectionState.retryCount++;
+        
+        console.log('\n⏱️ [TIMEOUT] Timeout detectado!');
+        console.log('   ├─ Retry count:', connectionState.retryCount);
+        
+        if (connectionState.retryCount <= MAX_RETRY_COUNT) {
+            const delay = RECONNECT_DELAY + (connectionState.retryCount * 5000);
+            console.log(`   └─ Tentando reconectar em ${delay/1000}s...`);
+            
+            await sleep(delay);
+            
+            initializationLock = false;
+            await initialize();
+        } else {
+            console.log('   └─ Máximo de tentativas. Limpando credenciais...');
+            clearCredentials();
+            connectionState.retryCount = 0;
+            
+            await sleep(30000);
+            
+            initializationLock = false;
+            await initialize();
+        }
+        return;
+    }
+
+    // ===== RECONEXÃO NORMAL =====
+    if (isConnectionLost && connectionState.retryCount < MAX_RETRY_COUNT) {
+        connectionState.retryCount++;
+        
+        console.log(`\n🔄 [RECONNECT] Tentativa ${connectionState.retryCount}/${MAX_RETRY_COUNT}`);
+        console.log(`   └─ Aguardando ${RECONNECT_DELAY/1000}s...`);
+        
+        notify('whatsapp:reconnecting', {
+            attempt: connectionState.retryCount,
+            maxAttempts: MAX_RETRY_COUNT,
+            delaySeconds: RECONNECT_DELAY/1000
+        });
+
+        await sleep(RECONNECT_DELAY);
+        
+        initializationLock = false;
+        await initialize();
+        return;
+    }
+    
+    // ===== FALLBACK =====
+    if (connectionState.retryCount < MAX_RETRY_COUNT) {
+        connectionState.retryCount++;
+        
+        console.log(`\n🔄 [RECONNECT] Erro desconhecido - Tentativa ${connectionState.retryCount}/${MAX_RETRY_COUNT}`);
+        console.log(`   └─ Aguardando ${RECONNECT_DELAY/1000}s...`);
+        
+        await sleep(RECONNECT_DELAY);
+        
+        initializationLock = false;
+        await initialize();
+    } else {
+        console.log('\n❌ [RECONNECT] Máximo de tentativas atingido');
+        console.log('   └─ Limpando credenciais e reiniciando...');
+        
+        clearCredentials();
+        connectionState.retryCount = 0;
+        
+        await sleep(60000);
+        
+        initializationLock = false;
+        await initialize();
+    }
+}
+
+// ============================================
+// PROCESSAMENTO DE MENSAGENS
+// ============================================
+
+async function handleIncomingMessage(msg) {
+    try {
+        if (msg.key.fromMe) return;
+        if (isJidBroadcast(msg.key.remoteJid)) return;
+        if (isJidGroup(msg.key.remoteJid)) return;
+
+        if (hooks.onMessage) {
+            await hooks.onMessage(extractMessageData(msg));
+        }
+    } catch (error) {
+        console.error('❌ [MSG] Erro:', error.message);
+    }
+}
+
+function extractMessageData(msg) {
+    const content = msg.message;
+    
+    let text = '';
+    let type = 'unknown';
+    let media = null;
+    let location = null;
+
+    // Documento com legenda vem embrulhado em outra mensagem
+    const document = content?.documentMessage || content?.documentWithCaptionMessage?.message?.documentMessage;
+
+    if (content?.conversation) {
+        text = content.conversation;
+        type = 'text';
+    } else if (content?.extendedTextMessage?.text) {
+        text = content.extendedTextMessage.text;
+        type = 'text';
+    } else if (content?.imageMessage) {
+        text = content.imageMessage.caption || '';
+        type = 'image';
+        media = extractMedia('image', content.imageMessage);
+    } else if (content?.videoMessage) {
+        text = content.videoMessage.caption || '';
+        type = 'video';
+        media = extractMedia('video', content.videoMessage);
+    } else if (content?.audioMessage) {
+        type = 'audio';
+        media = extractMedia('audio', content.audioMessage);
+        media.voice = !!content.audioMessage.ptt;
+    } else if (document) {
+        text = document.caption || '';
+        type = 'document';
+        media = extractMedia('document', document);
+    } else if (content?.stickerMessage) {
+        type = 'sticker';
+        media = extractMedia('sticker', content.stickerMessage);
+    } else if (content?.locationMessage || content?.liveLocationMessage) {
+        const loc = content.locationMessage || content.liveLocationMessage;
+        type = 'location';
+        location = {
+            latitude: loc.degreesLatitude,
+            longitude: loc.degreesLongitude,
+            name: loc.name || '',
+            address: loc.address || '',
+        };
+    } else if (content?.buttonsResponseMessage?.selectedButtonId) {
+        text = content.buttonsResponseMessage.selectedButtonId;
+        type = 'button';
+    } else if (content?.listResponseMessage?.singleSelectReply?.selectedRowId) {
+        text = content.listResponseMessage.singleSelectReply.selectedRowId;
+        type = 'list';
+    }
+
+    return {
+        id: msg.key.id,
+        phone: extractPhoneFromJid(msg.key.remoteJid),
+        jid: msg.key.remoteJid,
+        text: text.trim(),
+        type,
+        timestamp: msg.messageTimestamp,
+        pushName: msg.pushName || '',
+        isGroup: isJidGroup(msg.key.remoteJid),
+        media,
+        location,
+        raw: msg,
+    };
+}
+
+/**
+ * Dados da mídia recebida (o arquivo é baixado depois, em downloadMedia)
+ * @param {string} type - image, video, audio, document ou sticker
+ * @param {object} message - imageMessage, audioMessage...
+ * @returns {object} { type, mimetype, fileName, size }
+ */
+function extractMedia(type, message) {
+    return {
+        type,
+        mimetype: message.mimetype || null,
+        fileName: message.fileName || null,
+        size: message.fileLength ? Number(message.fileLength) : null,
+    };
+}
+
+// ============================================
+// ENVIO
+// ============================================
+
+async function sendText(to, text) {
+    ensureConnected();
+    const result = await sock.sendMessage(toJid(to), { text });
+    return { messageId: result.key.id };
+}
+
+async function sendMedia(to, media) {
+    ensureConnected();
+
+    let buffer = media.buffer;
+    if (!buffer && media.url) {
+        const response = await fetch(media.url);
+        buffer = Buffer.from(await response.arrayBuffer());
+    } else if (!buffer) {
+        buffer = fs.readFileSync(media.path);
+    }
+
+    const caption = media.caption || '';
+    let content = {};
+    switch (media.type) {
+        case 'video': content = { video: buffer, caption }; break;
+        case 'document': content = { document: buffer, caption, fileName: media.fileName }; break;
+        case 'audio': content = { audio: buffer, mimetype: media.mimetype || 'audio/mp4' }; break;
+        default: content = { image: buffer, caption };
+    }
+
+    const result = await sock.sendMessage(toJid(to), content);
+    return { messageId: result.key.id };
+}
+
+async function sendLocation(to, location) {
+    ensureConnected();
+    const result = await sock.sendMessage(toJid(to), {
+        location: {
+            degreesLatitude: location.latitude,
+            degreesLongitude: location.longitude,
+            name: location.name || '',
+            address: location.address || '',
+        },
+    });
+    return { messageId: result.key.id };
+}
+
+async function sendContact(to, contact) {
+    ensureConnected();
+    const vcard = `BEGIN:VCARD\nVERSION:3.0\nFN:${contact.name}\nTEL;type=CELL:+${contact.phone}\nEND:VCARD`;
+
+    const result = await sock.sendMessage(toJid(to), {
+        contacts: { displayName: contact.name, contacts: [{ vcard }] },
+    });
+    return { messageId: result.key.id };
+}
+
+async function sendPresence(to, presence) {
+    ensureConnected();
+    await sock.sendPresenceUpdate(presence, toJid(to));
+}
+
+async function markAsRead(message) {
+    ensureConnected();
+    await sock.readMessages([{ remoteJid: message.jid, id: message.id }]);
+}
+
+/**
+ * Baixa o arquivo de uma mensagem recebida
+ * @param {object} messageData - Mensagem recebida (com raw)
+ * @param {object} options - { maxBytes } não baixa acima do limite
+ * @returns {Buffer|null} Conteúdo (null acima do limite)
+ */
+async function downloadMedia(messageData, options = {}) {
+    ensureConnected();
+
+    if (options.maxBytes && messageData.media?.size > options.maxBytes) {
+        return null;
+    }
+
+    return downloadMediaMessage(messageData.raw, 'buffer', {}, {
+        logger: pino({ level: 'silent' }),
+        reuploadRequest: sock.updateMediaMessage,
+    });
+}
+
+// ============================================
+// CONTATOS E GRUPOS
+// ============================================
+
+async function checkNumber(phone) {
+    ensureConnected();
+    const [result] = await sock.onWhatsApp(formatPhoneForWhatsApp(phone));
+    return result?.exists || false;
+}
+
+async function getProfile(phone) {
+    ensureConnected();
+    const jid = formatPhoneForWhatsApp(phone);
+    const [exists] = await sock.onWhatsApp(jid);
+    const status = await sock.fetchStatus(jid).catch(() => null);
+    const pic = await sock.profilePictureUrl(jid, 'image').catch(() => null);
+    return {
+        phone,
+        exists: exists?.exists || false,
+        jid: exists?.jid || jid,
+        status: status?.status || '',
+        profilePicture: pic,
+    };
+}
+
+async function getProfilePicture(phone) {
+    ensureConnected();
+    return await sock.profilePictureUrl(formatPhoneForWhatsApp(phone), 'image');
+}
+
+async function getGroups() {
+    ensureConnected();
+    const groups = await sock.groupFetchAllParticipating();
+    return Object.values(groups).map(g => ({
+        id: g.id,
+        name: g.subject,
+        participants: g.participants?.length || 0,
+    }));
+}
+
+async function getGroupInfo(groupId) {
+    ensureConnected();
+    const metadata = await sock.groupMetadata(groupId);
+    return {
+        id: metadata.id,
+        name: metadata.subject,
+        description: metadata.desc || '',
+        participants: metadata.participants,
+        participantCount: metadata.participants?.length || 0,
+    };
+}
+
+// ============================================
+// STATUS
+// ============================================
+
+function isConnected() {
+    return connectionState.isConnected && sock !== null;
+}
+
+function getState() {
+    return { 
+        ...connectionState, 
+        socketExists: sock !== null,
+        lastConflictTime: lastConflictTime > 0 ? new Date(lastConflictTime).toISOString() : null,
+        streamErrorCount: streamErrorCount
+    };
+}
+
+function getStatus() {
+    return {
+        connected: connectionState.isConnected,
+        status: connectionState.isConnected ? 'connected' : 'disconnected',
+        phoneNumber: connectionState.phoneNumber,
+        lastConnected: connectionState.lastConnected,
+        qrCode: connectionState.qrCode,
+        retryCount: connectionState.retryCount,
+        conflictCount: connectionState.conflictCount,
+        streamErrorCount: streamErrorCount,
+        initializationAttempts: connectionState.initializationAttempts,
+        lastError: connectionState.lastError,
+        connectionHistory: connectionState.connectionHistory,
+    };
+}
+
+function getDeviceInfo() {
+    if (!sock || !connectionState.isConnected) return null;
+    return {
+        phoneNumber: connectionState.phoneNumber,
+        platform: sock.user?.platform || 'unknown',
+        pushName: sock.user?.name || '',
+        jid: sock.user?.id || '',
+    };
+}
+
+function getDiagnostics() {
+    return {
+        connection: getState(),
+        auth: {
+            path: AUTH_PATH,
+            pathExists: fs.existsSync(AUTH_PATH),
+            files: fs.existsSync(AUTH_PATH) ? fs.readdirSync(AUTH_PATH) : [],
+        },
+        config: getConfig(),
+    };
+}
+
+function getConfig() {
+    return {
+        maxRetries: MAX_RETRY_COUNT,
+        authPath: AUTH_PATH,
+        reconnectDelay: RECONNECT_DELAY,
+        streamErrorDelay: STREAM_ERROR_DELAY,
+        conflictCooldown: CONFLICT_COOLDOWN,
+        qrTimeout: QR_TIMEOUT,
+        connectionTimeout: CONNECTION_TIMEOUT,
+    };
+}
+
+function getSocket() {
+    return sock;
+}
+
+// ============================================
+// CONTROLE
+// ============================================
+
+async function disconnect() {
+    console.log('\n👋 [DISCONNECT] Desconectando...');
+    if (sock) {
+        await sock.logout();
+        cleanupSocket();
+        resetState();
+    }
+}
+
+async function logout() {
+    console.log('\n🚪 [LOGOUT] Fazendo logout...');
+    
+    if (sock) {
+        try {
+            await sock.logout();
+        } catch (e) {
+            console.log('   ├─ Aviso no logout:', e.message);
+        }
+    }
+    
+    clearCredentials();
+    cleanupSocket();
+    resetState();
+    connectionState.conflictCount = 0;
+    lastConflictTime = 0;
+    streamErrorCount = 0;
+    
+    console.log('   └─ ✅ Logout realizado');
+}
+
+async function restart() {
+    console.log('\n🔄 [RESTART] Reiniciando...');
+    
+    cleanupSocket();
+    resetState();
+    connectionState.retryCount = 0;
+    streamErrorCount = 0;
+    initializationLock = false;
+    
+    await sleep(3000);
+    await initialize();
+}
+
+// ============================================
+// ADAPTADOR
+// ============================================
+
+/**
+ * Cria o canal Baileys
+ * @param {object} channelHooks - { onMessage, onStatus, notify }
+ * @returns {object} Canal (interface em channels/index.js)
+ */
+function createBaileysChannel(channelHooks = {}) {
+    hooks = { ...hooks, ...channelHooks };
+
+    return {
+        name: 'baileys',
+        supportsQRCode: true,
+        isConfigured: () => true,
+        initialize,
+        isConnected,
+        getStatus,
+        getState,
+        getDeviceInfo,
+        getDiagnostics,
+        getConfig,
+        sendText,
+        sendMedia,
+        sendLocation,
+        sendContact,
+        sendPresence,
+        markAsRead,
+        downloadMedia,
+        checkNumber,
+        getProfile,
+        getProfilePicture,
+        getGroups,
+        getGroupInfo,
+        getSocket,
+        disconnect,
+        logout,
+        restart,
+    };
+}
+
+module.exports = {
+    createBaileysChannel,
+};
@@ -0,0 +1,80 @@
+/**
+ * ============================================
+ * CANAIS DO WHATSAPP (TRANSPORTE)
+ * ============================================
+ *
+ * Interface comum para o transporte das mensagens.
+ * Todo canal expõe:
+ *   name, supportsQRCode
+ *   isConfigured() => boolean
+ *   initialize() / disconnect() / logout() / restart()
+ *   isConnected() => boolean
+ *   getStatus() => { connected, status, phoneNumber, lastConnected, qrCode, lastError, ... }
+ *   getState(), getDeviceInfo(), getDiagnostics(), getConfig()
+ *   sendText(to, text) => { messageId }
+ *   sendMedia(to, { type, buffer | path | url, caption, fileName, mimetype }) => { messageId }
+ *   sendLocation(to, { latitude, longitude, name, address }) => { messageId }
+ *   sendContact(to, { name, phone }) => { messageId }
+ *   sendPresence(to, 'composing' | 'paused'), markAsRead({ id, jid })
+ *
+ * Opcionais (dependem do canal): checkNumber, getProfile,
+ * getProfilePicture, getGroups, getGroupInfo, getSocket
+ * (Baileys), handleWebhook(body) (API oficial) e
+ * receive(input) (simulador).
+ *
+ * Mídia recebida: downloadMedia(messageData, { maxBytes })
+ * => Buffer (null acima do limite).
+ *
+ * O canal avisa o serviço pelos ganchos:
+ *   onMessage({ id, phone, jid, text, type, timestamp, pushName, isGroup, media, location, raw })
+ *     media: { type: image | video | audio | document | sticker, mimetype, fileName, size, voice }
+ *     location: { latitude, longitude, name, address }
+ *   onStatus({ messageId, phone, status: sent | delivered | read | failed, timestamp, error })
+ *   notify(event, data) => eventos para o painel (whatsapp:qr, whatsapp:connected...)
+ *
+ * O canal em uso vem de settings.whatsapp.channel
+ * (baileys, meta ou simulator). Envio, log e
+ * notificações ficam no whatsappService, então o
+ * messageHandler não depende do transporte.
+ */
+
+const { settings } = require('../../config/settings');
+const { createMetaCloudChannel } = require('./metaCloudChannel');
+const { createSimulatorChannel } = require('./simulatorChannel');
+
+// Fábricas disponíveis: nome => (hooks) => canal
+// (Baileys só é carregado quando usado)
+const CHANNEL_FACTORIES = {
+    baileys: (hooks) => require('./baileysChannel').createBaileysChannel(hooks),
+    meta: (hooks) => createMetaCloudChannel(settings.whatsapp.meta, hooks),
+    simulator: (hooks) => createSimulatorChannel(settings.whatsapp.simulator, hooks),
+};
+
+/**
+ * Cria canal pelo nome
+ * @param {string} name - baileys | meta | simulator
+ * @param {object} hooks - { onMessage, onStatus, notify }
+ * @returns {object} Canal
+ */
+function createChannel(name = settings.whatsapp.channel, hooks = {}) {
+    const factory = CHANNEL_FACTORIES[name];
+
+    if (!factory) {
+        throw new Error(`Canal do WhatsApp inválido: "${name}". Use: ${Object.keys(CHANNEL_FACTORIES).join(', ')}`);
+    }
+
+    return factory(hooks);
+}
+
+/**
+ * Lista canais disponíveis
+ * @returns {array} Nomes dos canais
+ */
+function listChannels() {
+    return Object.keys(CHANNEL_FACTORIES);
+}
+
+module.exports = {
+    createChannel,
+    listChannels,
+};
@@ -0,0 +1,480 @@
+/**
+ * ============================================
+ * CANAL WHATSAPP - API OFICIAL (META CLOUD API)
+ * ============================================
+ *
+ * Envio pela Graph API com o token do app e o ID
+ * do número; recebimento pelo webhook
+ * POST /api/whatsapp/webhook, assinado pela Meta
+ * (X-Hub-Signature-256 = HMAC-SHA256 do corpo com
+ * o App Secret). Sem QR Code e sem risco de
+ * banimento do número por uso não oficial.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../../utils/logger');
+const { extractPhoneFromJid } = require('../../utils/formatter');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const GRAPH_URL = 'https://graph.facebook.com';
+
+// Tipos de arquivo aceitos no upload de mídia
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.3gp': 'video/3gpp',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.pdf': 'application/pdf',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+// Tipos de mídia recebidos (image, video e document podem ter legenda)
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Verifica a assinatura do webhook (X-Hub-Signature-256)
+ * @param {Buffer|string} rawBody - Corpo da requisição sem parse
+ * @param {string} signature - Cabeçalho "sha256=<hex>"
+ * @param {string} appSecret - App Secret do app na Meta
+ * @returns {boolean} Se a assinatura confere
+ */
+function verifyWebhookSignature(rawBody, signature, appSecret) {
+    if (!rawBody || !signature || !appSecret) return false;
+
+    const [algorithm, received] = String(signature).split('=');
+    if (algorithm !== 'sha256' || !received) return false;
+
+    const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+
+    const receivedBuffer = Buffer.from(received, 'hex');
+    const expectedBuffer = Buffer.from(expected, 'hex');
+
+    return receivedBuffer.length === expectedBuffer.length &&
+        crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Número de destino no formato da API (só dígitos)
+ * @param {string} to - Telefone ou JID
+ * @returns {string} Número
+ */
+function toRecipient(to) {
+    return extractPhoneFromJid(String(to)).split('@')[0].replace(/\D/g, '');
+}
+
+/**
+ * Converte mensagem do webhook para o formato do serviço
+ * @param {object} msg - Item de value.messages
+ * @param {object} names - wa_id => nome do perfil
+ * @returns {object} { id, phone, jid, text, type, timestamp, pushName, isGroup, media, location, raw }
+ */
+function extractMessageData(msg, names) {
+    let text = '';
+    let type = msg.type || 'unknown';
+    let media = null;
+    let location = null;
+
+    if (msg.type === 'text') {
+        text = msg.text?.body || '';
+    } else if (msg.type === 'interactive' && msg.interactive?.button_reply) {
+        text = msg.interactive.button_reply.id;
+        type = 'button';
+    } else if (msg.type === 'interactive' && msg.interactive?.list_reply) {
+        text = msg.interactive.list_reply.id;
+        type = 'list';
+    } else if (msg.type === 'button') {
+        text = msg.button?.payload || msg.button?.text || '';
+    } else if (MEDIA_TYPES.includes(msg.type) && msg[msg.type]) {
+        const item = msg[msg.type];
+        text = item.caption || '';
+        media = {
+            type: msg.type,
+            id: item.id,
+            mimetype: item.mime_type || null,
+            fileName: item.filename || null,
+            size: null,
+        };
+
+        if (msg.type === 'audio') {
+            media.voice = !!item.voice;
+        }
+    } else if (msg.type === 'location' && msg.location) {
+        location = {
+            latitude: msg.location.latitude,
+            longitude: msg.location.longitude,
+            name: msg.location.name || '',
+            address: msg.location.address || '',
+        };
+    }
+
+    return {
+        id: msg.id,
+        phone: msg.from,
+        jid: msg.from,
+        text: text.trim(),
+        type,
+        timestamp: Number(msg.timestamp),
+        pushName: names[msg.from] || '',
+        isGroup: false,
+        media,
+        location,
+        raw: msg,
+    };
+}
+
+// ============================================
+// ADAPTADOR
+// ============================================
+
+/**
+ * Cria o canal da API oficial
+ * @param {object} options - { token, phoneNumberId, appSecret, verifyToken, apiVersion, timeout }
+ * @param {object} hooks - { onMessage, onStatus, notify }
+ * @returns {object} Canal (interface em channels/index.js)
+ */
+function createMetaCloudChannel(options = {}, hooks = {}) {
+    const config = {
+        apiVersion: 'v21.0',
+        timeout: 15000,
+        ...options,
+    };
+
+    const state = {
+        isConnected: false,
+        phoneNumber: null,
+        displayName: null,
+        lastConnected: null,
+        lastError: null,
+        lastWebhook: null,
+    };
+
+    // Última mensagem recebida por número (indicador de digitação)
+    const lastInbound = new Map();
+
+    function notify(event, data = {}) {
+        if (hooks.notify) {
+            hooks.notify(event, data);
+        }
+    }
+
+    function isConfigured() {
+        return !!(config.token && config.phoneNumberId && config.appSecret);
+    }
+
+    /**
+     * Requisição à Graph API
+     * @param {string} resource - Caminho depois da versão (ex.: "<id>/messages")
+     * @param {object} request - { method, body (JSON) ou form (FormData) }
+     * @returns {object} Resposta
+     */
+    async function graphRequest(resource, request = {}) {
+        const headers = { Authorization: `Bearer ${config.token}` };
+        let body;
+
+        if (request.form) {
+            body = request.form;
+        } else if (request.body) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(request.body);
+        }
+
+        const response = await fetch(`${GRAPH_URL}/${config.apiVersion}/${resource}`, {
+            method: request.method || (body ? 'POST' : 'GET'),
+            headers,
+            body,
+            signal: AbortSignal.timeout(config.timeout),
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(`Meta API (${response.status}): ${data.error?.message || response.statusText}`);
+        }
+
+        return data;
+    }
+
+    function ensureConnected() {
+        if (!state.isConnected) {
+            throw new Error('WhatsApp não conectado');
+        }
+    }
+
+    async function sendPayload(to, type, content) {
+        ensureConnected();
+
+        const data = await graphRequest(`${config.phoneNumberId}/messages`, {
+            body: {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: toRecipient(to),
+                type,
+                [type]: content,
+            },
+        });
+
+        return { messageId: data.messages?.[0]?.id || null };
+    }
+
+    /**
+     * Envia arquivo local para a Meta
+     * @param {object} media - { buffer ou path, mimetype, fileName }
+     * @returns {string} ID da mídia
+     */
+    async function uploadMedia(media) {
+        const buffer = media.buffer || fs.readFileSync(media.path);
+        const fileName = media.fileName || (media.path ? path.basename(media.path) : 'arquivo');
+        const mimetype = media.mimetype || MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+
+        const form = new FormData();
+        form.append('messaging_product', 'whatsapp');
+        form.append('type', mimetype);
+        form.append('file', new Blob([buffer], { type: mimetype }), fileName);
+
+        const data = await graphRequest(`${config.phoneNumberId}/media`, { form });
+        return data.id;
+    }
+
+    // ========== CONEXÃO ==========
+
+    async function initialize() {
+        if (!isConfigured()) {
+            throw new Error('Canal Meta não configurado: defina WHATSAPP_META_TOKEN, WHATSAPP_META_NUMERO_ID e WHATSAPP_META_APP_SECRET');
+        }
+
+        try {
+            const info = await graphRequest(`${config.phoneNumberId}?fields=display_phone_number,verified_name`);
+
+            state.isConnected = true;
+            state.phoneNumber = String(info.display_phone_number || '').replace(/\D/g, '');
+            state.displayName = info.verified_name || null;
+            state.lastConnected = new Date().toISOString();
+            state.lastError = null;
+
+            logger.whatsappStatus(`Conectado pela API oficial (${info.display_phone_number}) ✅`);
+            notify('whatsapp:connected', {
+                phoneNumber: state.phoneNumber,
+                lastConnected: state.lastConnected,
+                stable: true,
+            });
+
+            return state;
+        } catch (error) {
+            state.isConnected = false;
+            state.lastError = error.message;
+            throw error;
+        }
+    }
+
+    async function disconnect() {
+        state.isConnected = false;
+    }
+
+    async function restart() {
+        state.isConnected = false;
+        await initialize();
+    }
+
+    // ========== WEBHOOK ==========
+
+    /**
+     * Processa o corpo do webhook (mensagens e status de entrega)
+     * @param {object} body - Corpo já convertido de JSON
+     * @returns {object} { messages, statuses } quantidades processadas
+     */
+    async function handleWebhook(body) {
+        const counts = { messages: 0, statuses: 0 };
+
+        if (body?.object !== 'whatsapp_business_account') return counts;
+
+        state.lastWebhook = new Date().toISOString();
+
+        for (const entry of body.entry || []) {
+            for (const change of entry.changes || []) {
+                if (change.field !== 'messages' || !change.value) continue;
+
+                const value = change.value;
+
+                // Outro número do mesmo app
+                if (value.metadata?.phone_number_id && value.metadata.phone_number_id !== String(config.phoneNumberId)) continue;
+
+                const names = {};
+                for (const contact of value.contacts || []) {
+                    names[contact.wa_id] = contact.profile?.name || '';
+                }
+
+                for (const msg of value.messages || []) {
+                    lastInbound.set(msg.from, msg.id);
+                    counts.messages++;
+
+                    if (hooks.onMessage) {
+                        await hooks.onMessage(extractMessageData(msg, names));
+                    }
+                }
+
+                for (const status of value.statuses || []) {
+                    counts.statuses++;
+
+                    if (hooks.onStatus) {
+                        await hooks.onStatus({
+                            messageId: status.id,
+                            phone: status.recipient_id,
+                            status: status.status,
+                            timestamp: new Date(Number(status.timestamp) * 1000).toISOString(),
+                            error: status.errors?.[0]?.title || null,
+                        });
+                    }
+                }
+            }
+        }
+
+        return counts;
+    }
+
+    // ========== ENVIO ==========
+
+    async function sendMedia(to, media) {
+        const type = ['image', 'video', 'audio', 'document'].includes(media.type) ? media.type : 'image';
+        const content = media.url && media.url.startsWith('http')
+            ? { link: media.url }
+            : { id: await uploadMedia(media) };
+
+        if (type !== 'audio' && media.caption) content.caption = media.caption;
+        if (type === 'document') content.filename = media.fileName || (media.path ? path.basename(media.path) : 'arquivo');
+
+        return sendPayload(to, type, content);
+    }
+
+    /**
+     * Indicador de digitação: a API só permite em resposta
+     * a uma mensagem recebida (e marca essa mensagem como lida)
+     */
+    async function sendPresence(to, presence) {
+        const messageId = lastInbound.get(toRecipient(to));
+        if (presence !== 'composing' || !messageId) return;
+
+        ensureConnected();
+        await graphRequest(`${config.phoneNumberId}/messages`, {
+            body: {
+                messaging_product: 'whatsapp',
+                status: 'read',
+                message_id: messageId,
+                typing_indicator: { type: 'text' },
+            },
+        });
+    }
+
+    async function markAsRead(message) {
+        ensureConnected();
+        await graphRequest(`${config.phoneNumberId}/messages`, {
+            body: { messaging_product: 'whatsapp', status: 'read', message_id: message.id },
+        });
+    }
+
+    /**
+     * Baixa o arquivo de uma mensagem recebida: a Graph API
+     * devolve uma URL temporária que também exige o token
+     * @param {object} messageData - Mensagem recebida (media.id)
+     * @param {object} options - { maxBytes } não baixa acima do limite
+     * @returns {Buffer|null} Conteúdo (null acima do limite; media.size fica preenchido)
+     */
+    async function downloadMedia(messageData, options = {}) {
+        ensureConnected();
+
+        const info = await graphRequest(messageData.media.id);
+        messageData.media.size = Number(info.file_size) || null;
+        messageData.media.mimetype = messageData.media.mimetype || info.mime_type || null;
+
+        if (options.maxBytes && messageData.media.size > options.maxBytes) {
+            return null;
+        }
+
+        const response = await fetch(info.url, {
+            headers: { Authorization: `Bearer ${config.token}` },
+            signal: AbortSignal.timeout(config.timeout),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Meta API (${response.status}): falha ao baixar mídia`);
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    // ========== STATUS ==========
+
+    function getStatus() {
+        return {
+            connected: state.isConnected,
+            status: state.isConnected ? 'connected' : 'disconnected',
+            phoneNumber: state.phoneNumber,
+            lastConnected: state.lastConnected,
+            qrCode: null,
+            lastError: state.lastError,
+            lastWebhook: state.lastWebhook,
+        };
+    }
+
+    return {
+        name: 'meta',
+        supportsQRCode: false,
+        isConfigured,
+        initialize,
+        isConnected: () => state.isConnected,
+        getStatus,
+        getState: () => ({ ...state }),
+        getDeviceInfo: () => (state.isConnected ? {
+            phoneNumber: state.phoneNumber,
+            platform: 'cloud_api',
+            pushName: state.displayName || '',
+            jid: state.phoneNumber,
+        } : null),
+        getDiagnostics: () => ({ connection: { ...state } }),
+        getConfig: () => ({
+            apiVersion: config.apiVersion,
+            phoneNumberId: config.phoneNumberId,
+            webhookSignature: !!config.appSecret,
+        }),
+        sendText: (to, text) => sendPayload(to, 'text', { preview_url: false, body: text }),
+        sendMedia,
+        sendLocation: (to, location) => sendPayload(to, 'location', {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            name: location.name || '',
+            address: location.address || '',
+        }),
+        sendContact: (to, contact) => sendPayload(to, 'contacts', [{
+            name: { formatted_name: contact.name, first_name: contact.name },
+            phones: [{ phone: `+${toRecipient(contact.phone)}`, type: 'CELL' }],
+        }]),
+        sendPresence,
+        markAsRead,
+        downloadMedia,
+        handleWebhook,
+        disconnect,
+        logout: disconnect,
+        restart,
+    };
+}
+
+module.exports = {
+    createMetaCloudChannel,
+    verifyWebhookSignature,
+};
@@ -0,0 +1,386 @@
+/**
+ * ============================================
+ * CANAL WHATSAPP - SIMULADOR LOCAL
+ * ============================================
+ *
+ * Canal sem rede e sem conta do WhatsApp para
+ * desenvolvimento e testes automatizados: o painel
+ * (página Simulador), a API /api/simulator ou o
+ * evento de socket simulator:send fazem o papel de
+ * qualquer telefone. As mensagens recebidas seguem
+ * o mesmo caminho das reais (handleMessage) e tudo
+ * o que o bot envia fica registrado na conversa
+ * simulada, em memória.
+ */
+
+const { extractPhoneFromJid } = require('../../utils/formatter');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Número do "aparelho" simulado
+const DEFAULT_PHONE_NUMBER = '5500000000000';
+
+// Tipos de mídia aceitos na entrada
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+// Canal não iniciado: o bot roda em outro processo (ex.: npm run server sozinho)
+const NOT_RUNNING_MESSAGE = 'Simulador sem bot: inicie o bot no mesmo processo do painel (npm start com START_WEB_SERVER=true)';
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Telefone só com dígitos (aceita JID)
+ * @param {string} phone - Telefone ou JID
+ * @returns {string} Telefone
+ */
+function cleanPhone(phone) {
+    return extractPhoneFromJid(String(phone || '')).split('@')[0].replace(/\D/g, '');
+}
+
+// ============================================
+// ADAPTADOR
+// ============================================
+
+/**
+ * Cria o canal simulado
+ * @param {object} options - { phoneNumber, maxMessages } mensagens guardadas por telefone
+ * @param {object} hooks - { onMessage, onStatus, notify }
+ * @returns {object} Canal (interface em channels/index.js)
+ */
+function createSimulatorChannel(options = {}, hooks = {}) {
+    const config = {
+        phoneNumber: DEFAULT_PHONE_NUMBER,
+        maxMessages: 200,
+        ...options,
+    };
+
+    const state = {
+        isConnected: false,
+        lastConnected: null,
+    };
+
+    // telefone => { phone, pushName, messages: [] }
+    const conversations = new Map();
+
+    // ID da mensagem => arquivo recebido (Buffer)
+    const mediaFiles = new Map();
+
+    let nextId = 1;
+
+    function notify(event, data = {}) {
+        if (hooks.notify) {
+            hooks.notify(event, data);
+        }
+    }
+
+    function ensureConnected() {
+        if (!state.isConnected) {
+            throw new Error('WhatsApp não conectado');
+        }
+    }
+
+    function getOrCreateConversation(phone) {
+        if (!conversations.has(phone)) {
+            conversations.set(phone, { phone, pushName: '', messages: [] });
+        }
+        return conversations.get(phone);
+    }
+
+    /**
+     * Registra mensagem na conversa e avisa o painel
+     * @param {string} phone - Telefone do cliente simulado
+     * @param {object} entry - { direction: in | out, type, text, media, location, contact }
+     * @returns {object} Mensagem registrada
+     */
+    function record(phone, entry) {
+        const conversation = getOrCreateConversation(phone);
+        const id = nextId++;
+
+        const message = {
+            id,
+            messageId: `SIM${id}`,
+            status: entry.direction === 'out' ? 'sent' : 'received',
+            timestamp: new Date().toISOString(),
+            ...entry,
+        };
+
+        conversation.messages.push(message);
+
+        while (conversation.messages.length > config.maxMessages) {
+            const removed = conversation.messages.shift();
+            mediaFiles.delete(removed.messageId);
+        }
+
+        notify('simulator:message', { phone, ...message });
+        return message;
+    }
+
+    /**
+     * Simula a entrega de mensagem enviada pelo bot
+     * @param {string} phone - Telefone
+     * @param {object} message - Mensagem registrada
+     */
+    function simulateDelivery(phone, message) {
+        setImmediate(() => {
+            message.status = 'delivered';
+
+            if (hooks.onStatus) {
+                Promise.resolve(hooks.onStatus({
+                    messageId: message.messageId,
+                    phone,
+                    status: 'delivered',
+                    timestamp: new Date().toISOString(),
+                })).catch(() => {});
+            }
+        });
+    }
+
+    function recordOutgoing(to, entry) {
+        ensureConnected();
+
+        const phone = cleanPhone(to);
+        const message = record(phone, { direction: 'out', ...entry });
+        simulateDelivery(phone, message);
+
+        return { messageId: message.messageId };
+    }
+
+    // ========== CONEXÃO ==========
+
+    async function initialize() {
+        state.isConnected = true;
+        state.lastConnected = new Date().toISOString();
+
+        console.log('\n🧪 [SIMULADOR] Canal simulado ativo: nenhuma mensagem sai para o WhatsApp');
+
+        notify('whatsapp:connected', {
+            phoneNumber: config.phoneNumber,
+            lastConnected: state.lastConnected,
+            stable: true,
+        });
+
+        return state;
+    }
+
+    async function disconnect() {
+        state.isConnected = false;
+    }
+
+    async function restart() {
+        await initialize();
+    }
+
+    // ========== ENTRADA (CLIENTE SIMULADO) ==========
+
+    /**
+     * Entrega mensagem do cliente simulado ao bot
+     * @param {object} input - { phone, text, pushName, media: { type, data (base64), mimetype, fileName, caption }, location: { latitude, longitude, name, address } }
+     * @returns {object} { phone, message, replies, result } replies = mensagens do bot durante o processamento
+     */
+    async function receive(input = {}) {
+        if (!state.isConnected) {
+            const error = new Error(NOT_RUNNING_MESSAGE);
+            error.code = 'SIMULATOR_NOT_RUNNING';
+            throw error;
+        }
+
+        const phone = cleanPhone(input.phone);
+        if (phone.length < 10 || phone.length > 15) {
+            throw new Error('Telefone inválido');
+        }
+
+        const conversation = getOrCreateConversation(phone);
+        if (input.pushName) {
+            conversation.pushName = input.pushName;
+        }
+
+        let type = 'text';
+        let text = String(input.text || '').trim();
+        let media = null;
+        let buffer = null;
+
+        if (input.media) {
+            if (!MEDIA_TYPES.includes(input.media.type)) {
+                throw new Error(`Tipo de mídia inválido: use ${MEDIA_TYPES.join(', ')}`);
+            }
+
+            buffer = Buffer.from(String(input.media.data || ''), 'base64');
+            type = input.media.type;
+            text = String(input.media.caption || text).trim();
+            media = {
+                type,
+                mimetype: input.media.mimetype || 'application/octet-stream',
+                fileName: input.media.fileName || null,
+                size: buffer.length,
+            };
+
+            // Áudio enviado pelo painel faz o papel de mensagem de voz
+            if (type === 'audio') {
+                media.voice = true;
+            }
+        } else if (input.location) {
+            type = 'location';
+        }
+
+        if (!text && !media && !input.location) {
+            throw new Error('Informe texto, mídia ou localização');
+        }
+
+        const message = record(phone, {
+            direction: 'in',
+            type,
+            text,
+            media,
+            location: input.location || null,
+        });
+
+        if (buffer) {
+            mediaFiles.set(message.messageId, buffer);
+        }
+
+        const messageData = {
+            id: message.messageId,
+            phone,
+            jid: phone,
+            text,
+            type,
+            timestamp: Math.floor(Date.now() / 1000),
+            pushName: conversation.pushName,
+            isGroup: false,
+            media,
+            location: input.location || null,
+            raw: message,
+        };
+
+        const result = hooks.onMessage ? await hooks.onMessage(messageData) : null;
+
+        // Tarefas em segundo plano podem enviar depois; essas chegam só pelo evento
+        const replies = conversation.messages.filter(m => m.direction === 'out' && m.id > message.id);
+
+        return { phone, message, replies, result: result || null };
+    }
+
+    // ========== ENVIO (BOT) ==========
+
+    async function sendMedia(to, media) {
+        return recordOutgoing(to, {
+            type: media.type || 'image',
+            text: media.caption || '',
+            media: {
+                type: media.type || 'image',
+                url: media.url || null,
+                fileName: media.fileName || null,
+                mimetype: media.mimetype || null,
+                size: media.buffer ? media.buffer.length : null,
+            },
+        });
+    }
+
+    async function markAsRead(message) {
+        const conversation = conversations.get(cleanPhone(message.phone || message.jid));
+        const entry = conversation?.messages.find(m => m.messageId === message.id);
+        if (entry) entry.status = 'read';
+    }
+
+    /**
+     * Arquivo de mídia recebido
+     * @param {object} messageData - Mensagem recebida ({ id })
+     * @param {object} options - { maxBytes } não entrega acima do limite
+     * @returns {Buffer|null} Conteúdo
+     */
+    async function downloadMedia(messageData, options = {}) {
+        const buffer = mediaFiles.get(messageData.id) || null;
+
+        if (buffer && options.maxBytes && buffer.length > options.maxBytes) {
+            return null;
+        }
+
+        return buffer;
+    }
+
+    // ========== CONVERSAS SIMULADAS ==========
+
+    function getConversation(phone) {
+        return conversations.get(cleanPhone(phone)) || null;
+    }
+
+    function listConversations() {
+        return [...conversations.values()].map(conversation => {
+            const last = conversation.messages[conversation.messages.length - 1];
+
+            return {
+                phone: conversation.phone,
+                pushName: conversation.pushName,
+                total: conversation.messages.length,
+                lastMessage: last ? { direction: last.direction, text: last.text, timestamp: last.timestamp } : null,
+            };
+        });
+    }
+
+    function resetConversation(phone) {
+        const conversation = conversations.get(cleanPhone(phone));
+        if (!conversation) return false;
+
+        for (const message of conversation.messages) {
+            mediaFiles.delete(message.messageId);
+        }
+        conversations.delete(conversation.phone);
+        return true;
+    }
+
+    // ========== STATUS ==========
+
+    function getStatus() {
+        return {
+            connected: state.isConnected,
+            status: state.isConnected ? 'connected' : 'disconnected',
+            phoneNumber: config.phoneNumber,
+            lastConnected: state.lastConnected,
+            qrCode: null,
+            lastError: null,
+            conversations: conversations.size,
+        };
+    }
+
+    return {
+        name: 'simulator',
+        supportsQRCode: false,
+        isConfigured: () => true,
+        initialize,
+        isConnected: () => state.isConnected,
+        getStatus,
+        getState: () => ({ ...state, conversations: conversations.size }),
+        getDeviceInfo: () => (state.isConnected ? {
+            phoneNumber: config.phoneNumber,
+            platform: 'simulator',
+            pushName: 'Simulador',
+            jid: config.phoneNumber,
+        } : null),
+        getDiagnostics: () => ({ connection: getStatus() }),
+        getConfig: () => ({ phoneNumber: config.phoneNumber, maxMessages: config.maxMessages }),
+        sendText: (to, text) => recordOutgoing(to, { type: 'text', text }),
+        sendMedia,
+        sendLocation: (to, location) => recordOutgoing(to, { type: 'location', text: location.name || '', location }),
+        sendContact: (to, contact) => recordOutgoing(to, { type: 'contact', text: contact.name, contact }),
+        sendPresence: async () => {},
+        markAsRead,
+        checkNumber: async () => true,
+        getProfile: async (phone) => ({ phone, exists: true, jid: cleanPhone(phone), status: '', profilePicture: null }),
+        downloadMedia,
+        receive,
+        getConversation,
+        listConversations,
+        resetConversation,
+        disconnect,
+        logout: disconnect,
+        restart,
+    };
+}
+
+module.exports = {
+    createSimulatorChannel,
+};
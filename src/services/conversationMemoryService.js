@@ -0,0 +1,332 @@
+/**
+ * ============================================
+ * SERVIÇO DE MEMÓRIA DA CONVERSA
+ * ============================================
+ *
+ * Contexto de várias rodadas para a IA: as
+ * mensagens recentes vão na íntegra e as antigas
+ * viram um resumo (tabela memoria_conversas).
+ * Fatos ditos pelo cliente (veículo, placa,
+ * orçamento, itens de interesse) são gravados
+ * em clientes.
+ */
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings } = require('../config/settings');
+const { extractPhoneFromJid } = require('../utils/formatter');
+const aiService = require('./aiService');
+const aiUsageService = require('./aiUsageService');
+const llm = require('./llm');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Campos de fatos e a coluna correspondente em clientes
+const FACT_COLUMNS = {
+    veiculo: 'veiculo',
+    placa: 'placa',
+    ano: 'ano_veiculo',
+    orcamento: 'orcamento_max',
+};
+
+// Itens de interesse guardados por cliente
+const MAX_INTERESTS = 10;
+
+// Mensagens lidas de uma vez para resumir
+const MAX_PENDING = 100;
+
+// Placa antiga (ABC-1234) ou Mercosul (ABC1D23)
+const PLATE_REGEX = /\b([A-Z]{3})-?(\d[A-Z0-9]\d{2})\b/i;
+
+// Valor em reais ("300", "1.500,00")
+const MONEY = '(\\d{1,3}(?:\\.\\d{3})+(?:,\\d{1,2})?|\\d+(?:,\\d{1,2})?)';
+
+// "orçamento de 400", "posso gastar 300", "até R$ 300", "no máximo 500 reais"
+// ("até" sozinho exige R$ ou reais: "até 5 dias" não é orçamento)
+const BUDGET_PATTERNS = [
+    new RegExp(`(?:or[cç]amento (?:de|[eé])|posso gastar|gastar at[eé])\\s*(?:r\\$\\s*)?${MONEY}`, 'i'),
+    new RegExp(`(?:at[eé]|no m[aá]ximo)\\s*r\\$\\s*${MONEY}`, 'i'),
+    new RegExp(`(?:at[eé]|no m[aá]ximo)\\s*${MONEY}\\s*reais`, 'i'),
+];
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Converte coluna JSON para valor
+ * @param {*} value - Valor gravado
+ * @param {*} fallback - Valor quando vazio/inválido
+ * @returns {*} Valor convertido
+ */
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    if (typeof value === 'object') return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Converte valor em reais escrito pelo cliente ("1.500,00") para número
+ * @param {string} value - Valor
+ * @returns {number|null} Valor ou null
+ */
+function parseMoney(value) {
+    const number = parseFloat(String(value).replace(/\./g, '').replace(',', '.'));
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Extrai fatos da mensagem sem IA (placa e orçamento)
+ * @param {string} text - Mensagem do cliente
+ * @returns {object} Fatos encontrados
+ */
+function extractFacts(text) {
+    const facts = {};
+    if (!text) return facts;
+
+    const plate = text.match(PLATE_REGEX);
+    if (plate) {
+        facts.placa = `${plate[1]}${plate[2]}`.toUpperCase();
+    }
+
+    for (const pattern of BUDGET_PATTERNS) {
+        const budget = text.match(pattern);
+        const value = budget ? parseMoney(budget[1]) : null;
+
+        if (value) {
+            facts.orcamento = value;
+            break;
+        }
+    }
+
+    return facts;
+}
+
+/**
+ * Junta fatos novos aos conhecidos (novos prevalecem; interesses acumulam)
+ * @param {object} current - Fatos atuais
+ * @param {object} updates - Fatos novos
+ * @returns {object} Fatos combinados
+ */
+function mergeFacts(current = {}, updates = {}) {
+    const merged = { ...current };
+
+    for (const key of Object.keys(FACT_COLUMNS)) {
+        if (updates[key] !== undefined && updates[key] !== null && updates[key] !== '') {
+            merged[key] = updates[key];
+        }
+    }
+
+    const interests = [...(updates.interesses || []), ...(current.interesses || [])]
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim());
+
+    merged.interesses = [...new Set(interests)].slice(0, MAX_INTERESTS);
+
+    return merged;
+}
+
+/**
+ * Verifica se a IA pode ser usada (configurada e dentro do orçamento)
+ * @returns {boolean} Se pode usar
+ */
+async function canUseAI() {
+    if (!llm.isConfigured()) return false;
+
+    const budget = await aiUsageService.getBudgetStatus();
+    return !budget.exceeded;
+}
+
+// ============================================
+// LEITURA
+// ============================================
+
+/**
+ * Memória gravada do cliente
+ * @param {string} phone - Telefone
+ * @returns {object} { resumo, fatos, resumidoAte, mensagensResumidas, atualizadoEm }
+ */
+async function getMemory(phone) {
+    try {
+        const row = await db.queryOne(
+            'SELECT * FROM memoria_conversas WHERE telefone = ?',
+            [extractPhoneFromJid(phone)]
+        );
+
+        return {
+            resumo: row ? row.resumo || '' : '',
+            fatos: parseJson(row && row.fatos, {}),
+            resumidoAte: row ? row.resumido_ate || 0 : 0,
+            mensagensResumidas: row ? row.mensagens_resumidas || 0 : 0,
+            atualizadoEm: row ? row.updated_at : null,
+        };
+    } catch (error) {
+        logger.error('Erro ao buscar memória da conversa:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Monta o contexto da IA: resumo, fatos e mensagens recentes
+ * @param {string} phone - Telefone
+ * @param {object} options - { beforeId } ignora a mensagem atual (já enviada à parte)
+ * @returns {object} { summary, facts, history: [{ role, content }] }
+ */
+async function buildContext(phone, options = {}) {
+    const cleanPhone = extractPhoneFromJid(phone);
+    const memory = await getMemory(cleanPhone);
+
+    // Resumo muito antigo não ajuda (cliente voltou semanas depois)
+    const maxAge = settings.ai.memory.maxAgeDays * 24 * 60 * 60 * 1000;
+    const isStale = memory.atualizadoEm && Date.now() - new Date(memory.atualizadoEm) > maxAge;
+
+    const params = [cleanPhone, isStale ? 0 : memory.resumidoAte];
+    let where = 'telefone = ? AND id > ?';
+
+    if (options.beforeId) {
+        where += ' AND id < ?';
+        params.push(options.beforeId);
+    }
+
+    const rows = await db.query(`
+        SELECT id, mensagem, tipo
+        FROM conversas
+        WHERE ${where}
+        ORDER BY id DESC
+        LIMIT ?
+    `, [...params, settings.ai.memory.recentTurns]);
+
+    return {
+        summary: isStale ? '' : memory.resumo,
+        facts: memory.fatos,
+        history: rows.reverse().map(row => ({
+            role: row.tipo === 'entrada' ? 'user' : 'assistant',
+            content: row.mensagem,
+        })),
+    };
+}
+
+// ============================================
+// ATUALIZAÇÃO
+// ============================================
+
+/**
+ * Grava fatos novos no cadastro do cliente
+ * @param {string} phone - Telefone
+ * @param {object} facts - Fatos combinados
+ * @param {object} previous - Fatos antes da atualização
+ */
+async function applyFactsToCustomer(phone, facts, previous) {
+    const data = {};
+
+    for (const [key, column] of Object.entries(FACT_COLUMNS)) {
+        if (facts[key] && facts[key] !== previous[key]) {
+            data[column] = facts[key];
+        }
+    }
+
+    if (JSON.stringify(facts.interesses) !== JSON.stringify(previous.interesses || [])) {
+        data.interesses = JSON.stringify(facts.interesses);
+    }
+
+    if (Object.keys(data).length === 0) return;
+
+    await db.update('clientes', data, 'telefone = ?', [phone]);
+    logger.debug(`🧠 Cadastro atualizado pela conversa: ${phone} (${Object.keys(data).join(', ')})`);
+}
+
+/**
+ * Atualiza a memória depois da resposta: fatos da mensagem, itens
+ * consultados e, passado o limite, resume as mensagens antigas
+ * @param {string} phone - Telefone
+ * @param {object} turn - { text, products } mensagem do cliente e produtos vistos
+ * @returns {object} Memória atualizada
+ */
+async function updateMemory(phone, turn = {}) {
+    try {
+        const cleanPhone = extractPhoneFromJid(phone);
+        const memory = await getMemory(cleanPhone);
+        const previousFacts = { ...memory.fatos };
+
+        let facts = mergeFacts(memory.fatos, {
+            ...extractFacts(turn.text),
+            interesses: (turn.products || []).map(product => product.nome),
+        });
+        let summary = memory.resumo;
+        let summarizedUntil = memory.resumidoAte;
+        let summarizedCount = memory.mensagensResumidas;
+
+        // Mensagens ainda fora do resumo (históricos longos: só as mais recentes)
+        const pending = (await db.query(`
+            SELECT id, mensagem, tipo
+            FROM conversas
+            WHERE telefone = ? AND id > ?
+            ORDER BY id DESC
+            LIMIT ?
+        `, [cleanPhone, summarizedUntil, MAX_PENDING])).reverse();
+
+        // Resume as antigas e mantém as recentes na íntegra
+        if (pending.length > settings.ai.memory.summarizeAfter && await canUseAI()) {
+            const toSummarize = pending.slice(0, pending.length - settings.ai.memory.recentTurns);
+            const result = await aiService.summarizeMemory(summary, toSummarize, facts, cleanPhone);
+
+            if (result) {
+                summary = result.resumo;
+                facts = mergeFacts(facts, result.fatos);
+                summarizedUntil = toSummarize[toSummarize.length - 1].id;
+                summarizedCount += toSummarize.length;
+
+                logger.info(`🧠 Memória resumida: ${cleanPhone} (${toSummarize.length} mensagens)`);
+            }
+        }
+
+        await db.upsert('memoria_conversas', {
+            telefone: cleanPhone,
+            resumo: summary || null,
+            fatos: JSON.stringify(facts),
+            resumido_ate: summarizedUntil || null,
+            mensagens_resumidas: summarizedCount,
+        }, ['resumo', 'fatos', 'resumido_ate', 'mensagens_resumidas']);
+
+        await applyFactsToCustomer(cleanPhone, facts, previousFacts);
+
+        return { resumo: summary, fatos: facts, resumidoAte: summarizedUntil };
+    } catch (error) {
+        logger.error('Erro ao atualizar memória da conversa:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Apaga a memória do cliente (resumo e fatos; o cadastro não muda)
+ * @param {string} phone - Telefone
+ * @returns {boolean} Se havia memória
+ */
+async function clearMemory(phone) {
+    try {
+        const affected = await db.remove('memoria_conversas', 'telefone = ?', [extractPhoneFromJid(phone)]);
+        return affected > 0;
+    } catch (error) {
+        logger.error('Erro ao apagar memória da conversa:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Leitura
+    getMemory,
+    buildContext,
+
+    // Atualização
+    updateMemory,
+    clearMemory,
+    extractFacts,
+    mergeFacts,
+};
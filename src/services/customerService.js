@@ -11,6 +11,8 @@ const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { settings } = require('../config/settings');
 const { extractPhoneFromJid } = require('../utils/formatter');
+const sentimentService = require('./sentimentService');
+const handoffService = require('./handoffService');
 
 /**
  * Busca cliente pelo telefone
@@ -207,27 +209,19 @@ async function getSession(phone) {
             session = await createSession(cleanPhone);
         }
         
-        // Parse dos dados JSON
+        // Parse dos dados JSON (o driver já entrega colunas JSON como objeto)
         let dados = {};
-        let contextoIA = [];
         
         try {
-            dados = session.dados ? JSON.parse(session.dados) : {};
+            dados = typeof session.dados === 'string' ? JSON.parse(session.dados) : (session.dados || {});
         } catch (e) {
             dados = {};
         }
         
-        try {
-            contextoIA = session.contexto_ia ? JSON.parse(session.contexto_ia) : [];
-        } catch (e) {
-            contextoIA = [];
-        }
-        
         return {
             phone: cleanPhone,
             state: session.estado || settings.states.IDLE,
             data: dados,
-            aiContext: contextoIA,
             createdAt: session.created_at,
             updatedAt: session.updated_at,
         };
@@ -239,7 +233,6 @@ async function getSession(phone) {
             phone: extractPhoneFromJid(phone),
             state: settings.states.IDLE,
             data: {},
-            aiContext: [],
         };
     }
 }
@@ -264,7 +257,6 @@ async function createSession(phone) {
             telefone: cleanPhone,
             estado: settings.states.IDLE,
             dados: JSON.stringify({}),
-            contexto_ia: JSON.stringify([]),
             expira_em: expiraEm,
         });
         
@@ -317,7 +309,6 @@ async function updateSession(phone, state, data = null) {
                 telefone: cleanPhone,
                 estado: state,
                 dados: JSON.stringify(newData),
-                contexto_ia: JSON.stringify([]),
                 expira_em: expiraEm,
             });
         }
@@ -330,33 +321,6 @@ async function updateSession(phone, state, data = null) {
     }
 }
 
-/**
- * Atualiza contexto da IA na sessão
- * @param {string} phone - Número do telefone
- * @param {array} context - Contexto da conversa para IA
- * @returns {boolean} Sucesso da operação
- */
-async function updateAIContext(phone, context) {
-    try {
-        const cleanPhone = extractPhoneFromJid(phone);
-        
-        // Limita o contexto às últimas 10 mensagens
-        const limitedContext = context.slice(-10);
-        
-        const result = await db.query(
-            `UPDATE sessoes 
-             SET contexto_ia = ?, updated_at = NOW()
-             WHERE telefone = ?`,
-            [JSON.stringify(limitedContext), cleanPhone]
-        );
-        
-        return result.affectedRows > 0;
-    } catch (error) {
-        logger.error('Erro ao atualizar contexto IA:', error.message);
-        return false;
-    }
-}
-
 /**
  * Limpa dados da sessão (volta ao estado inicial)
  * @param {string} phone - Número do telefone
@@ -368,9 +332,9 @@ async function clearSession(phone) {
         
         const result = await db.query(
             `UPDATE sessoes 
-             SET estado = ?, dados = ?, contexto_ia = ?, updated_at = NOW()
+             SET estado = ?, dados = ?, updated_at = NOW()
              WHERE telefone = ?`,
-            [settings.states.IDLE, JSON.stringify({}), JSON.stringify([]), cleanPhone]
+            [settings.states.IDLE, JSON.stringify({}), cleanPhone]
         );
         
         logger.debug(`Sessão limpa: ${cleanPhone}`);
@@ -436,12 +400,6 @@ async function saveMessage(phone, message, type = 'entrada', origem = 'cliente')
             origem: origem,
         });
         
-        // Atualiza contexto da IA com a nova mensagem
-        await addMessageToAIContext(cleanPhone, {
-            role: type === 'entrada' ? 'user' : 'assistant',
-            content: message
-        });
-        
         return messageId;
     } catch (error) {
         logger.error('Erro ao salvar mensagem:', error.message);
@@ -449,29 +407,6 @@ async function saveMessage(phone, message, type = 'entrada', origem = 'cliente')
     }
 }
 
-/**
- * Adiciona mensagem ao contexto da IA
- * @param {string} phone - Número do telefone
- * @param {object} message - Mensagem {role, content}
- */
-async function addMessageToAIContext(phone, message) {
-    try {
-        const cleanPhone = extractPhoneFromJid(phone);
-        
-        const session = await getSession(cleanPhone);
-        const context = session.aiContext || [];
-        
-        context.push(message);
-        
-        // Mantém apenas as últimas 10 mensagens
-        const limitedContext = context.slice(-10);
-        
-        await updateAIContext(cleanPhone, limitedContext);
-    } catch (error) {
-        logger.debug('Erro ao adicionar ao contexto IA:', error.message);
-    }
-}
-
 /**
  * Busca histórico de conversas do cliente
  * @param {string} phone - Número do telefone
@@ -497,35 +432,6 @@ async function getConversationHistory(phone, limit = 50) {
     }
 }
 
-/**
- * Busca histórico formatado para a IA
- * @param {string} phone - Número do telefone
- * @param {number} limit - Limite de mensagens
- * @returns {array} Lista de mensagens formatadas para IA
- */
-async function getConversationHistoryForAI(phone, limit = 10) {
-    try {
-        const cleanPhone = extractPhoneFromJid(phone);
-        
-        const messages = await db.query(
-            `SELECT mensagem, tipo, origem, created_at FROM conversas 
-             WHERE telefone = ? 
-             ORDER BY created_at DESC 
-             LIMIT ?`,
-            [cleanPhone, limit]
-        );
-        
-        // Formata para o padrão da OpenAI
-        return messages.reverse().map(msg => ({
-            role: msg.tipo === 'entrada' ? 'user' : 'assistant',
-            content: msg.mensagem
-        }));
-    } catch (error) {
-        logger.error('Erro ao buscar histórico para IA:', error.message);
-        return [];
-    }
-}
-
 /**
  * Busca últimas mensagens do cliente
  * @param {string} phone - Número do telefone
@@ -627,9 +533,10 @@ async function getUnreadConversations() {
  * Adiciona cliente à fila de atendimento
  * @param {string} phone - Número do telefone
  * @param {string} reason - Motivo do atendimento
+ * @param {object} handoff - { products } itens para a nota de repasse (padrão = última busca)
  * @returns {object} Dados do atendimento
  */
-async function addToQueue(phone, reason = '') {
+async function addToQueue(phone, reason = '', handoff = {}) {
     try {
         const cleanPhone = extractPhoneFromJid(phone);
         
@@ -652,17 +559,24 @@ async function addToQueue(phone, reason = '') {
         // Busca cliente
         const customer = await getCustomerByPhone(cleanPhone);
         
+        // Cliente irritado ou com urgência nas últimas mensagens entra na frente
+        const priority = await sentimentService.getRecentPriority(cleanPhone);
+        
         // Adiciona à fila
         const attendanceId = await db.insert('atendimentos', {
             cliente_id: customer ? customer.id : null,
             telefone: cleanPhone,
             motivo: reason,
             status: 'aguardando',
+            prioridade: priority,
         });
         
         // Atualiza sessão
         await updateSession(phone, settings.states.WAITING_HUMAN);
         
+        // Nota de repasse em segundo plano (não atrasa a resposta ao cliente)
+        handoffService.generateHandoffNote(attendanceId, cleanPhone, reason, handoff).catch(() => {});
+        
         const position = await getQueuePosition(cleanPhone);
         
         logger.info(`Cliente adicionado à fila: ${cleanPhone} (posição ${position})`);
@@ -688,14 +602,14 @@ async function getQueuePosition(phone) {
     try {
         const cleanPhone = extractPhoneFromJid(phone);
         
+        // Mesma ordem da fila: prioridade e, no empate, quem chegou antes
         const result = await db.queryOne(
             `SELECT COUNT(*) + 1 AS posicao
-             FROM atendimentos 
-             WHERE status = 'aguardando'
-             AND created_at < (
-                 SELECT created_at FROM atendimentos 
-                 WHERE telefone = ? AND status = 'aguardando'
-             )`,
+             FROM atendimentos a
+             JOIN atendimentos atual ON atual.telefone = ? AND atual.status = 'aguardando'
+             WHERE a.status = 'aguardando'
+             AND (a.prioridade > atual.prioridade
+                  OR (a.prioridade = atual.prioridade AND a.created_at < atual.created_at))`,
             [cleanPhone]
         );
         
@@ -774,6 +688,11 @@ async function finishAttendance(phone, observacoes = '') {
     try {
         const cleanPhone = extractPhoneFromJid(phone);
         
+        const attendance = await db.queryOne(
+            `SELECT id FROM atendimentos WHERE telefone = ? AND status = 'em_atendimento'`,
+            [cleanPhone]
+        );
+        
         const result = await db.query(
             `UPDATE atendimentos 
              SET status = 'finalizado', 
@@ -787,6 +706,11 @@ async function finishAttendance(phone, observacoes = '') {
         // Limpa sessão
         await clearSession(phone);
         
+        // Resumo do atendimento acrescentado às observações (segundo plano)
+        if (attendance && result.affectedRows > 0) {
+            handoffService.writeClosingSummary(attendance.id).catch(() => {});
+        }
+        
         return result.affectedRows > 0;
     } catch (error) {
         logger.error('Erro ao finalizar atendimento:', error.message);
@@ -1063,15 +987,12 @@ module.exports = {
     getSession,
     createSession,
     updateSession,
-    updateAIContext,
     clearSession,
     cleanExpiredSessions,
     
     // Conversas
     saveMessage,
-    addMessageToAIContext,
     getConversationHistory,
-    getConversationHistoryForAI,
     getLastMessages,
     countMessages,
     markMessagesAsRead,
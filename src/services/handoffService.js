@@ -0,0 +1,281 @@
+/**
+ * ============================================
+ * SERVIÇO DE REPASSE PARA ATENDENTES
+ * ============================================
+ *
+ * Gera a nota de repasse quando o cliente entra
+ * na fila (o que quer, veículo, produtos já
+ * mostrados e pendências) e o resumo gravado em
+ * observacoes quando o atendimento é finalizado.
+ */
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { extractPhoneFromJid, truncate } = require('../utils/formatter');
+const aiService = require('./aiService');
+const aiUsageService = require('./aiUsageService');
+const llm = require('./llm');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Mensagens lidas para montar a nota de repasse
+const HISTORY_LIMIT = 30;
+
+// Mensagens lidas para o resumo do encerramento
+const CLOSING_HISTORY_LIMIT = 60;
+
+// Produtos listados na nota
+const MAX_PRODUCTS = 10;
+
+// Motivos genéricos (não dizem o que o cliente quer)
+const GENERIC_REASONS = ['Solicitação via menu'];
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Converte coluna JSON para valor
+ * @param {*} value - Valor gravado
+ * @param {*} fallback - Valor quando vazio/inválido
+ * @returns {*} Valor convertido
+ */
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    if (typeof value === 'object') return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Verifica se a IA pode ser usada (configurada e dentro do orçamento)
+ * @returns {boolean} Se pode usar
+ */
+async function canUseAI() {
+    if (!llm.isConfigured()) return false;
+
+    const budget = await aiUsageService.getBudgetStatus();
+    return !budget.exceeded;
+}
+
+/**
+ * Padroniza produto (busca do catálogo ou item de orçamento)
+ * @param {object} product - Produto
+ * @returns {object} { codigo, nome, preco, quantidade }
+ */
+function formatProduct(product) {
+    return {
+        codigo: product.codigo || null,
+        nome: product.nome || product.descricao || '',
+        preco: product.preco !== undefined ? parseFloat(product.preco) || 0 : null,
+        quantidade: product.quantidade || null,
+    };
+}
+
+/**
+ * Mensagens recentes do cliente
+ * @param {string} phone - Telefone
+ * @param {number} limit - Limite
+ * @param {object} range - { from, to } opcional (datas do atendimento)
+ * @returns {array} Mensagens em ordem cronológica
+ */
+async function getMessages(phone, limit, range = null) {
+    let where = 'telefone = ?';
+    const params = [phone];
+
+    if (range) {
+        where += ' AND created_at BETWEEN ? AND ?';
+        params.push(range.from, range.to);
+    }
+
+    const rows = await db.query(`
+        SELECT mensagem, tipo, origem, created_at
+        FROM conversas
+        WHERE ${where}
+        ORDER BY created_at DESC
+        LIMIT ?
+    `, [...params, limit]);
+
+    return rows.reverse();
+}
+
+/**
+ * Pedido do cliente sem IA: motivo da fila ou últimas mensagens
+ * @param {string} reason - Motivo da fila
+ * @param {array} messages - Histórico
+ * @returns {string|null} Pedido
+ */
+function describeRequest(reason, messages) {
+    if (reason && !GENERIC_REASONS.includes(reason)) {
+        return reason.split('\n')[0];
+    }
+
+    const lastMessages = messages
+        .filter(m => m.tipo === 'entrada' && m.mensagem.trim().length > 3 && !/^\d+$/.test(m.mensagem.trim()))
+        .slice(-2)
+        .map(m => m.mensagem.trim());
+
+    return lastMessages.length > 0 ? truncate(lastMessages.join(' / '), 200) : null;
+}
+
+// ============================================
+// NOTA DE REPASSE
+// ============================================
+
+/**
+ * Gera e grava a nota de repasse do atendimento
+ * @param {number} attendanceId - ID do atendimento
+ * @param {string} phone - Telefone do cliente
+ * @param {string} reason - Motivo da fila
+ * @param {object} options - { products } itens já definidos (ex.: orçamento); padrão = última busca
+ * @returns {object} Nota { pedido, veiculo, produtos, pendencias, motivo, origem, gerado_em }
+ */
+async function generateHandoffNote(attendanceId, phone, reason = '', options = {}) {
+    try {
+        const cleanPhone = extractPhoneFromJid(phone);
+
+        const customer = await db.queryOne('SELECT nome, veiculo FROM clientes WHERE telefone = ?', [cleanPhone]);
+        const session = await db.queryOne('SELECT dados FROM sessoes WHERE telefone = ?', [cleanPhone]);
+        const sessionData = parseJson(session && session.dados, {});
+        const messages = await getMessages(cleanPhone, HISTORY_LIMIT);
+
+        const source = Array.isArray(options.products) && options.products.length > 0
+            ? options.products
+            : (Array.isArray(sessionData.lastSearch) ? sessionData.lastSearch : []);
+        const products = source.slice(0, MAX_PRODUCTS).map(formatProduct);
+
+        const vehicle = (customer && customer.veiculo) || sessionData.vehicle || null;
+
+        const aiNote = await canUseAI()
+            ? await aiService.generateHandoffNote(messages, { motivo: reason, veiculo: vehicle, produtos: products }, cleanPhone)
+            : null;
+
+        const pending = aiNote && aiNote.pendencias.length > 0
+            ? aiNote.pendencias
+            : [options.products ? 'Revisar e aprovar o orçamento' : 'Responder a solicitação do cliente'];
+
+        const note = {
+            pedido: (aiNote && aiNote.pedido) || describeRequest(reason, messages),
+            veiculo: (aiNote && aiNote.veiculo) || vehicle,
+            produtos: products,
+            pendencias: pending,
+            motivo: reason || null,
+            origem: aiNote ? 'ia' : 'automatico',
+            gerado_em: new Date().toISOString(),
+        };
+
+        await db.update('atendimentos', { nota_repasse: JSON.stringify(note) }, 'id = ?', [attendanceId]);
+
+        logger.info(`📝 Nota de repasse gerada: ${cleanPhone} (${note.origem})`);
+
+        return note;
+    } catch (error) {
+        logger.error('Erro ao gerar nota de repasse:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Último atendimento do cliente com nota de repasse e observações
+ * @param {string} phone - Telefone
+ * @returns {object|null} { id, status, atendente, nota_repasse, observacoes, created_at, finalizado_em }
+ */
+async function getLatestHandoff(phone) {
+    try {
+        const row = await db.queryOne(`
+            SELECT id, status, atendente, nota_repasse, observacoes, created_at, finalizado_em
+            FROM atendimentos
+            WHERE telefone = ?
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [extractPhoneFromJid(phone)]);
+
+        if (!row) return null;
+
+        return { ...row, nota_repasse: parseJson(row.nota_repasse, null) };
+    } catch (error) {
+        logger.error('Erro ao buscar nota de repasse:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// RESUMO DO ENCERRAMENTO
+// ============================================
+
+/**
+ * Gera o resumo do atendimento finalizado e acrescenta em observacoes
+ * @param {number} attendanceId - ID do atendimento
+ * @returns {string|null} Resumo gravado (null se o atendimento não existe)
+ */
+async function writeClosingSummary(attendanceId) {
+    try {
+        const attendance = await db.queryOne(`
+            SELECT id, telefone, atendente, observacoes, nota_repasse, created_at, iniciado_em, finalizado_em
+            FROM atendimentos
+            WHERE id = ?
+        `, [attendanceId]);
+
+        if (!attendance) return null;
+
+        const messages = await getMessages(attendance.telefone, CLOSING_HISTORY_LIMIT, {
+            from: attendance.created_at,
+            to: attendance.finalizado_em || new Date(),
+        });
+
+        let summary = '';
+
+        if (messages.length > 0 && await canUseAI()) {
+            summary = await aiService.summarizeConversation(messages, attendance.telefone);
+        }
+
+        // Sem IA: números do atendimento e o pedido registrado no repasse
+        if (!summary) {
+            const fromCustomer = messages.filter(m => m.tipo === 'entrada').length;
+            const fromStore = messages.length - fromCustomer;
+            const note = parseJson(attendance.nota_repasse, null);
+
+            summary = `Atendimento${attendance.atendente ? ` por ${attendance.atendente}` : ''}: ` +
+                `${fromCustomer} mensagem(ns) do cliente e ${fromStore} da loja`;
+
+            if (attendance.iniciado_em && attendance.finalizado_em) {
+                const minutes = Math.max(Math.round((new Date(attendance.finalizado_em) - new Date(attendance.iniciado_em)) / 60000), 1);
+                summary += ` em ${minutes} min`;
+            }
+
+            summary += '.';
+
+            if (note && note.pedido) {
+                summary += ` Pedido inicial: ${note.pedido}`;
+            }
+        }
+
+        const observacoes = [attendance.observacoes, `📋 Resumo do atendimento: ${summary.trim()}`]
+            .filter(Boolean)
+            .join('\n\n');
+
+        await db.update('atendimentos', { observacoes }, 'id = ?', [attendance.id]);
+
+        logger.info(`📋 Resumo do atendimento gravado: ${attendance.telefone}`);
+
+        return summary;
+    } catch (error) {
+        logger.error('Erro ao gravar resumo do atendimento:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Repasse
+    generateHandoffNote,
+    getLatestHandoff,
+
+    // Encerramento
+    writeClosingSummary,
+};
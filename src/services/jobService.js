@@ -0,0 +1,327 @@
+/**
+ * ============================================
+ * SERVIÇO DE TAREFAS AGENDADAS
+ * ============================================
+ *
+ * Fila de tarefas com horário gravada no banco
+ * (tabela tarefas_agendadas). As tarefas pendentes
+ * sobrevivem a reinícios e são executadas pelo
+ * handler registrado para o seu tipo.
+ */
+
+const dayjs = require('dayjs');
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings } = require('../config/settings');
+
+// Handlers registrados por tipo de tarefa
+const handlers = new Map();
+
+// Controle do processamento
+let pollTimer = null;
+let isProcessing = false;
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Formata data para coluna DATETIME (horário local)
+ * @param {Date|string|object} date - Data
+ * @returns {string} Data formatada
+ */
+function toDateTime(date) {
+    return dayjs(date).format('YYYY-MM-DD HH:mm:ss');
+}
+
+/**
+ * Converte payload gravado para objeto
+ * @param {object|string|null} payload - Payload da tarefa
+ * @returns {object} Payload
+ */
+function parsePayload(payload) {
+    if (!payload) return {};
+    if (typeof payload === 'object') return payload;
+
+    try {
+        return JSON.parse(payload);
+    } catch (e) {
+        return {};
+    }
+}
+
+// ============================================
+// REGISTRO E AGENDAMENTO
+// ============================================
+
+/**
+ * Registra handler para um tipo de tarefa
+ * @param {string} tipo - Tipo da tarefa
+ * @param {function} handler - async (job) => void; lançar erro para tentar novamente
+ */
+function registerHandler(tipo, handler) {
+    handlers.set(tipo, handler);
+    logger.debug(`Handler de tarefa registrado: ${tipo}`);
+}
+
+/**
+ * Agenda tarefa (substitui a existente com o mesmo tipo/referência/chave)
+ * @param {string} tipo - Tipo da tarefa
+ * @param {number} referenciaId - ID do registro relacionado
+ * @param {Date|string} runAt - Quando executar
+ * @param {object} options - { chave, payload }
+ * @returns {boolean} Sucesso da operação
+ */
+async function scheduleJob(tipo, referenciaId, runAt, options = {}) {
+    try {
+        const { chave = '', payload = {} } = options;
+
+        await db.query(`
+            INSERT INTO tarefas_agendadas (tipo, referencia_id, chave, payload, executar_em, status, tentativas)
+            VALUES (?, ?, ?, ?, ?, 'pendente', 0)
+            ON DUPLICATE KEY UPDATE
+                payload = VALUES(payload),
+                executar_em = VALUES(executar_em),
+                status = 'pendente',
+                tentativas = 0,
+                ultimo_erro = NULL,
+                executada_em = NULL
+        `, [tipo, referenciaId, chave, JSON.stringify(payload), toDateTime(runAt)]);
+
+        logger.debug(`Tarefa agendada: ${tipo}#${referenciaId}${chave ? ` (${chave})` : ''} em ${toDateTime(runAt)}`);
+        return true;
+    } catch (error) {
+        logger.error('Erro ao agendar tarefa:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Cancela tarefas pendentes de um registro
+ * @param {string} tipo - Tipo da tarefa
+ * @param {number} referenciaId - ID do registro relacionado
+ * @returns {number} Quantidade de tarefas canceladas
+ */
+async function cancelJobs(tipo, referenciaId) {
+    try {
+        const result = await db.query(`
+            UPDATE tarefas_agendadas
+            SET status = 'cancelada'
+            WHERE tipo = ? AND referencia_id = ? AND status = 'pendente'
+        `, [tipo, referenciaId]);
+
+        return result.affectedRows;
+    } catch (error) {
+        logger.error('Erro ao cancelar tarefas:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Lista tarefas de um registro
+ * @param {number} referenciaId - ID do registro relacionado
+ * @param {string} tipo - Filtra por tipo (opcional)
+ * @returns {array} Tarefas
+ */
+async function getJobsByReference(referenciaId, tipo = null) {
+    try {
+        const params = [referenciaId];
+        let sql = 'SELECT * FROM tarefas_agendadas WHERE referencia_id = ?';
+
+        if (tipo) {
+            sql += ' AND tipo = ?';
+            params.push(tipo);
+        }
+
+        return await db.query(`${sql} ORDER BY executar_em ASC`, params);
+    } catch (error) {
+        logger.error('Erro ao buscar tarefas:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// EXECUÇÃO
+// ============================================
+
+/**
+ * Executa uma tarefa já reservada
+ * @param {object} job - Tarefa
+ */
+async function runJob(job) {
+    const handler = handlers.get(job.tipo);
+
+    if (!handler) {
+        await db.update('tarefas_agendadas', {
+            status: 'erro',
+            ultimo_erro: `Nenhum handler registrado para "${job.tipo}"`
+        }, 'id = ?', [job.id]);
+        return;
+    }
+
+    try {
+        await handler({ ...job, payload: parsePayload(job.payload) });
+
+        await db.update('tarefas_agendadas', {
+            status: 'concluida',
+            executada_em: toDateTime(new Date()),
+            ultimo_erro: null
+        }, 'id = ?', [job.id]);
+
+        logger.debug(`Tarefa concluída: ${job.tipo}#${job.referencia_id}`);
+    } catch (error) {
+        const attempts = job.tentativas + 1;
+        const { maxAttempts, retryDelay } = settings.jobs;
+
+        if (attempts >= maxAttempts) {
+            await db.update('tarefas_agendadas', {
+                status: 'erro',
+                ultimo_erro: error.message
+            }, 'id = ?', [job.id]);
+
+            logger.error(`Tarefa ${job.tipo}#${job.referencia_id} falhou após ${attempts} tentativas:`, error.message);
+            return;
+        }
+
+        // Devolve para a fila com espera crescente
+        await db.update('tarefas_agendadas', {
+            status: 'pendente',
+            ultimo_erro: error.message,
+            executar_em: toDateTime(dayjs().add(retryDelay * attempts, 'minute'))
+        }, 'id = ?', [job.id]);
+
+        logger.warn(`Tarefa ${job.tipo}#${job.referencia_id} será tentada novamente: ${error.message}`);
+    }
+}
+
+/**
+ * Processa tarefas vencidas
+ * @returns {number} Quantidade de tarefas executadas
+ */
+async function processDueJobs() {
+    if (isProcessing) return 0;
+    isProcessing = true;
+
+    try {
+        const jobs = await db.query(`
+            SELECT * FROM tarefas_agendadas
+            WHERE status = 'pendente' AND executar_em <= ?
+            ORDER BY executar_em ASC
+            LIMIT ?
+        `, [toDateTime(new Date()), settings.jobs.batchSize]);
+
+        let executed = 0;
+
+        for (const job of jobs) {
+            // Reserva a tarefa (evita execução duplicada)
+            const claim = await db.query(`
+                UPDATE tarefas_agendadas
+                SET status = 'processando', tentativas = tentativas + 1
+                WHERE id = ? AND status = 'pendente'
+            `, [job.id]);
+
+            if (claim.affectedRows === 0) continue;
+
+            await runJob(job);
+            executed++;
+        }
+
+        return executed;
+    } catch (error) {
+        logger.error('Erro ao processar tarefas agendadas:', error.message);
+        return 0;
+    } finally {
+        isProcessing = false;
+    }
+}
+
+/**
+ * Devolve para a fila tarefas interrompidas por um encerramento
+ * @returns {number} Quantidade de tarefas recuperadas
+ */
+async function recoverInterruptedJobs() {
+    try {
+        const result = await db.query(`
+            UPDATE tarefas_agendadas
+            SET status = 'pendente'
+            WHERE status = 'processando'
+        `);
+
+        if (result.affectedRows > 0) {
+            logger.info(`♻️ ${result.affectedRows} tarefa(s) interrompida(s) devolvida(s) à fila`);
+        }
+
+        return result.affectedRows;
+    } catch (error) {
+        logger.error('Erro ao recuperar tarefas:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Inicia o processamento periódico das tarefas
+ */
+async function start() {
+    if (pollTimer) return;
+
+    await recoverInterruptedJobs();
+    await processDueJobs();
+
+    pollTimer = setInterval(processDueJobs, settings.jobs.pollInterval);
+
+    logger.info(`⏰ Tarefas agendadas ativas (${handlers.size} tipo(s))`);
+}
+
+/**
+ * Para o processamento das tarefas
+ */
+function stop() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+// ============================================
+// ESTATÍSTICAS
+// ============================================
+
+/**
+ * Contagem de tarefas por status
+ * @returns {object} Estatísticas
+ */
+async function getStatistics() {
+    try {
+        const rows = await db.query(`
+            SELECT tipo, status, COUNT(*) as total
+            FROM tarefas_agendadas
+            GROUP BY tipo, status
+        `);
+
+        return rows.reduce((acc, row) => {
+            acc[row.tipo] = { ...(acc[row.tipo] || {}), [row.status]: row.total };
+            return acc;
+        }, {});
+    } catch (error) {
+        logger.error('Erro ao obter estatísticas de tarefas:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Registro e agendamento
+    registerHandler,
+    scheduleJob,
+    cancelJobs,
+    getJobsByReference,
+
+    // Execução
+    processDueJobs,
+    recoverInterruptedJobs,
+    start,
+    stop,
+
+    // Estatísticas
+    getStatistics,
+};
@@ -0,0 +1,217 @@
+/**
+ * ============================================
+ * CAMADA DE PROVEDORES DE IA (LLM)
+ * ============================================
+ *
+ * Interface comum para os modelos de linguagem.
+ * Todo provedor expõe:
+ *   name, model
+ *   isConfigured() => boolean
+ *   chat({ messages, tools, maxTokens, temperature, model })
+ *     => { content, toolCalls, usage: { promptTokens, completionTokens, totalTokens }, model }
+ *   embed({ input: [textos], model }) => { vectors, usage, model }
+ *
+ * Para modelos com visão, content pode ser a lista da API
+ * ([{ type: 'text' }, { type: 'image_url' }]).
+ *
+ * Ferramentas: tools = [{ name, description, parameters (schema JSON) }].
+ * O modelo pode devolver toolCalls = [{ id, name, arguments }]; os
+ * resultados voltam como mensagens { role: 'tool', toolCallId, content }
+ * depois de { role: 'assistant', content, toolCalls }.
+ *
+ * O provedor ativo vem de settings.ai.provider
+ * (openai, local ou mock) e pode ser trocado em
+ * tempo de execução com setProvider. Os embeddings
+ * podem usar outro provedor (settings.ai.embeddings),
+ * por exemplo um modelo local para indexar offline.
+ */
+
+const path = require('path');
+
+const logger = require('../../utils/logger');
+const { settings } = require('../../config/settings');
+const { createOpenAIProvider, createOpenAICompatibleProvider } = require('./openaiProvider');
+const { createMockProvider } = require('./mockProvider');
+
+// Fábricas disponíveis: nome => (options) => provedor
+const PROVIDER_FACTORIES = {
+    openai: (options) => createOpenAIProvider({
+        apiKey: settings.ai.openai.apiKey,
+        model: settings.ai.openai.model,
+        timeout: settings.ai.timeout,
+        ...options,
+    }),
+    local: (options) => createOpenAICompatibleProvider({
+        baseURL: settings.ai.local.baseURL,
+        apiKey: settings.ai.local.apiKey,
+        model: settings.ai.local.model,
+        timeout: settings.ai.timeout,
+        ...options,
+    }),
+    mock: (options) => createMockProvider({
+        ...loadMockScript(),
+        ...options,
+    }),
+};
+
+// Provedor em uso
+let activeProvider = null;
+
+// Provedor de embeddings (null = mesmo do chat)
+let embeddingProvider = null;
+
+/**
+ * Carrega roteiro do provedor mock (settings.ai.mock.script)
+ * @returns {object} { responses, rules, fallback } ou vazio
+ */
+function loadMockScript() {
+    const script = settings.ai.mock.script;
+    if (!script) return {};
+
+    try {
+        return require(path.resolve(script));
+    } catch (error) {
+        logger.warn(`⚠️  Roteiro do provedor mock não carregado (${script}):`, error.message);
+        return {};
+    }
+}
+
+/**
+ * Cria provedor pelo nome
+ * @param {string} name - openai | local | mock
+ * @param {object} options - Opções do adaptador (sobrescrevem settings)
+ * @returns {object} Provedor
+ */
+function createProvider(name = settings.ai.provider, options = {}) {
+    const factory = PROVIDER_FACTORIES[name];
+
+    if (!factory) {
+        throw new Error(`Provedor de IA inválido: "${name}". Use: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+
+    return factory(options);
+}
+
+/**
+ * Provedor em uso (criado a partir de settings no primeiro acesso)
+ * @returns {object} Provedor
+ */
+function getProvider() {
+    if (!activeProvider) {
+        activeProvider = createProvider();
+    }
+
+    return activeProvider;
+}
+
+/**
+ * Troca o provedor em uso
+ * @param {string|object} provider - Nome do provedor ou instância pronta
+ * @param {object} options - Opções (quando informado o nome)
+ * @returns {object} Provedor ativo
+ */
+function setProvider(provider, options = {}) {
+    activeProvider = typeof provider === 'string' ? createProvider(provider, options) : provider;
+
+    logger.info(`🧠 Provedor de IA: ${activeProvider.name} (${activeProvider.model})`);
+    return activeProvider;
+}
+
+/**
+ * Descarta o provedor em uso (o próximo acesso relê settings)
+ */
+function resetProvider() {
+    activeProvider = null;
+    embeddingProvider = null;
+}
+
+/**
+ * Provedor usado para embeddings
+ * (settings.ai.embeddings.provider ou o provedor do chat)
+ * @returns {object} Provedor
+ */
+function getEmbeddingProvider() {
+    if (embeddingProvider) {
+        return embeddingProvider;
+    }
+
+    const { provider: name, model } = settings.ai.embeddings;
+    const options = model ? { embeddingModel: model } : {};
+
+    // Mesmo provedor do chat e sem modelo próprio: reaproveita a instância
+    if ((!name || name === getProvider().name) && !model) {
+        return getProvider();
+    }
+
+    embeddingProvider = createProvider(name || getProvider().name, options);
+    return embeddingProvider;
+}
+
+/**
+ * Verifica se o provedor em uso pode ser chamado
+ * @returns {boolean}
+ */
+function isConfigured() {
+    try {
+        return getProvider().isConfigured();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Gera resposta de chat com o provedor em uso
+ * @param {object} request - { messages, tools, maxTokens, temperature, model }
+ * @returns {object} { content, toolCalls, usage, model, provider }
+ */
+async function chat(request) {
+    const provider = getProvider();
+
+    if (!provider.isConfigured()) {
+        throw new Error(`Provedor de IA "${provider.name}" não configurado`);
+    }
+
+    const result = await provider.chat({
+        maxTokens: settings.ai.maxTokens,
+        temperature: settings.ai.temperature,
+        ...request,
+    });
+
+    return { toolCalls: [], ...result, provider: provider.name };
+}
+
+/**
+ * Gera embeddings com o provedor de embeddings
+ * @param {array} input - Textos
+ * @returns {object} { vectors, usage, model, provider }
+ */
+async function embed(input) {
+    const provider = getEmbeddingProvider();
+
+    if (!provider.isConfigured()) {
+        throw new Error(`Provedor de embeddings "${provider.name}" não configurado`);
+    }
+
+    const result = await provider.embed({ input });
+    return { ...result, provider: provider.name };
+}
+
+/**
+ * Lista provedores disponíveis
+ * @returns {array} Nomes dos provedores
+ */
+function listProviders() {
+    return Object.keys(PROVIDER_FACTORIES);
+}
+
+module.exports = {
+    createProvider,
+    getProvider,
+    setProvider,
+    resetProvider,
+    isConfigured,
+    chat,
+    getEmbeddingProvider,
+    embed,
+    listProviders,
+};
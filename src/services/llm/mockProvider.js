@@ -0,0 +1,204 @@
+/**
+ * ============================================
+ * PROVEDOR MOCK (ROTEIRIZADO)
+ * ============================================
+ *
+ * Respostas determinísticas, sem rede: fila de
+ * respostas, regras por padrão na última
+ * mensagem do cliente e resposta padrão. Guarda
+ * as chamadas recebidas para conferência.
+ *
+ * Uma resposta pode ser texto ou
+ * { content, toolCalls: [{ name, arguments }] }
+ * para simular chamadas de ferramenta.
+ *
+ * Embeddings: vetor de palavras com hashing
+ * (determinístico e offline; só aproxima termos
+ * iguais, sem semântica real).
+ */
+
+// Dimensões dos embeddings simulados
+const MOCK_DIMENSIONS = 256;
+
+/**
+ * Estima tokens de um texto (aprox. 4 caracteres por token)
+ * @param {string} text - Texto
+ * @returns {number} Tokens estimados
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Texto de uma mensagem (content pode ser lista com imagem)
+ * @param {string|array} content - Conteúdo da mensagem
+ * @returns {string} Texto
+ */
+function contentText(content) {
+    if (Array.isArray(content)) {
+        return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+    }
+
+    return String(content || '');
+}
+
+/**
+ * Gera embedding simulado (hashing das palavras, normalizado)
+ * @param {string} text - Texto
+ * @returns {array} Vetor com MOCK_DIMENSIONS posições
+ */
+function hashEmbedding(text) {
+    const vector = new Array(MOCK_DIMENSIONS).fill(0);
+    const words = String(text || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+
+    for (const word of words) {
+        let hash = 0;
+        for (let i = 0; i < word.length; i++) {
+            hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+        }
+        vector[hash % MOCK_DIMENSIONS] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+}
+
+/**
+ * Verifica se a regra vale para o texto
+ * @param {string|RegExp|function} match - Padrão da regra
+ * @param {string} text - Última mensagem do usuário
+ * @returns {boolean}
+ */
+function matchesRule(match, text) {
+    if (match instanceof RegExp) return match.test(text);
+    if (typeof match === 'function') return !!match(text);
+
+    return text.toLowerCase().includes(String(match).toLowerCase());
+}
+
+/**
+ * Resolve resposta (texto, objeto ou função da requisição)
+ * @param {string|object|function} response - Resposta roteirizada
+ * @param {object} request - Requisição recebida
+ * @returns {object} { content, toolCalls }
+ */
+function resolveResponse(response, request) {
+    const value = typeof response === 'function' ? response(request) : response;
+
+    if (value && typeof value === 'object') {
+        return { content: value.content || '', toolCalls: value.toolCalls || [] };
+    }
+
+    return { content: value, toolCalls: [] };
+}
+
+/**
+ * Cria provedor mock
+ * @param {object} options - { responses, rules: [{ match, response }], fallback, model, embeddingModel }
+ * @returns {object} Provedor { name, model, embeddingModel, isConfigured, chat, embed, calls, reset }
+ */
+function createMockProvider(options = {}) {
+    const {
+        responses = [],
+        rules = [],
+        fallback = null,
+        model = 'mock',
+        embeddingModel = 'mock-embedding',
+    } = options;
+
+    let queue = [...responses];
+    let callCounter = 0;
+    const calls = [];
+
+    return {
+        name: 'mock',
+        model,
+        embeddingModel,
+        calls,
+
+        isConfigured() {
+            return true;
+        },
+
+        /**
+         * Gera resposta roteirizada
+         * (ordem: fila de respostas, regras, resposta padrão)
+         * @param {object} request - { messages, tools, maxTokens, temperature, model }
+         * @returns {object} { content, toolCalls, usage, model }
+         */
+        async chat(request) {
+            calls.push(request);
+
+            const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+            const text = lastUser ? contentText(lastUser.content) : '';
+
+            let reply;
+
+            if (queue.length > 0) {
+                reply = resolveResponse(queue.shift(), request);
+            } else {
+                const rule = rules.find(item => matchesRule(item.match, text));
+
+                if (rule) {
+                    reply = resolveResponse(rule.response, request);
+                } else if (fallback !== null) {
+                    reply = resolveResponse(fallback, request);
+                } else {
+                    reply = resolveResponse(`Resposta simulada para: ${text}`, request);
+                }
+            }
+
+            const toolCalls = reply.toolCalls.map(call => ({
+                id: call.id || `mock_call_${++callCounter}`,
+                name: call.name,
+                arguments: call.arguments || {},
+            }));
+
+            const promptTokens = request.messages.reduce((total, message) => total + estimateTokens(contentText(message.content)), 0);
+            const completionTokens = estimateTokens(reply.content) + (toolCalls.length ? estimateTokens(JSON.stringify(toolCalls)) : 0);
+
+            return {
+                content: reply.content,
+                toolCalls,
+                usage: {
+                    promptTokens,
+                    completionTokens,
+                    totalTokens: promptTokens + completionTokens,
+                },
+                model: request.model || model,
+            };
+        },
+
+        /**
+         * Gera embeddings simulados
+         * @param {object} request - { input: [textos], model }
+         * @returns {object} { vectors, usage, model }
+         */
+        async embed(request) {
+            const promptTokens = request.input.reduce((total, text) => total + estimateTokens(text), 0);
+
+            return {
+                vectors: request.input.map(hashEmbedding),
+                usage: { promptTokens, completionTokens: 0, totalTokens: promptTokens },
+                model: request.model || embeddingModel,
+            };
+        },
+
+        /**
+         * Restaura a fila de respostas e limpa as chamadas
+         */
+        reset() {
+            queue = [...responses];
+            callCounter = 0;
+            calls.length = 0;
+        },
+    };
+}
+
+module.exports = {
+    createMockProvider,
+};
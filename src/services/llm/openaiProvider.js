@@ -0,0 +1,203 @@
+/**
+ * ============================================
+ * PROVEDOR OPENAI (E COMPATÍVEIS)
+ * ============================================
+ *
+ * Adaptador para a API de chat da OpenAI. O mesmo
+ * cliente atende servidores locais que expõem a
+ * API compatível (Ollama, llama.cpp, vLLM), só
+ * mudando a URL base.
+ */
+
+const OpenAI = require('openai');
+
+/**
+ * Converte uso de tokens da API para o formato comum
+ * @param {object|undefined} usage - Campo usage da resposta
+ * @returns {object} { promptTokens, completionTokens, totalTokens }
+ */
+function normalizeUsage(usage = {}) {
+    return {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0,
+    };
+}
+
+/**
+ * Converte mensagem do formato comum para o da API
+ * (assistant com toolCalls e resultados role=tool)
+ * @param {object} message - { role, content, toolCalls, toolCallId }
+ * @returns {object} Mensagem da API
+ */
+function toApiMessage(message) {
+    if (message.role === 'tool') {
+        return {
+            role: 'tool',
+            tool_call_id: message.toolCallId,
+            content: message.content,
+        };
+    }
+
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+        return {
+            role: 'assistant',
+            content: message.content || null,
+            tool_calls: message.toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: {
+                    name: call.name,
+                    arguments: JSON.stringify(call.arguments || {}),
+                },
+            })),
+        };
+    }
+
+    return { role: message.role, content: message.content };
+}
+
+/**
+ * Converte chamadas de ferramenta da API para o formato comum
+ * @param {array|undefined} toolCalls - message.tool_calls da resposta
+ * @returns {array} [{ id, name, arguments }]
+ */
+function normalizeToolCalls(toolCalls = []) {
+    return toolCalls
+        .filter(call => call.type === 'function')
+        .map(call => {
+            let args = {};
+
+            try {
+                args = JSON.parse(call.function.arguments || '{}');
+            } catch (error) {
+                // Argumentos malformados: a ferramenta recebe vazio
+            }
+
+            return { id: call.id, name: call.function.name, arguments: args };
+        });
+}
+
+/**
+ * Cria provedor para a API da OpenAI
+ * @param {object} options - { name, apiKey, baseURL, model, embeddingModel, timeout, requireApiKey }
+ * @returns {object} Provedor { name, model, embeddingModel, isConfigured, chat, embed }
+ */
+function createOpenAIProvider(options = {}) {
+    const {
+        name = 'openai',
+        apiKey = '',
+        baseURL,
+        model,
+        embeddingModel = 'text-embedding-3-small',
+        timeout,
+        requireApiKey = true,
+    } = options;
+
+    // Cliente criado no primeiro uso
+    let client = null;
+
+    function getClient() {
+        if (!client) {
+            client = new OpenAI({
+                // Servidores locais ignoram a chave, mas o SDK exige uma
+                apiKey: apiKey || 'local',
+                baseURL,
+                timeout,
+                maxRetries: 1,
+            });
+        }
+
+        return client;
+    }
+
+    return {
+        name,
+        model,
+        embeddingModel,
+
+        /**
+         * Verifica se há dados suficientes para chamar a API
+         * @returns {boolean}
+         */
+        isConfigured() {
+            return requireApiKey ? !!apiKey : !!baseURL;
+        },
+
+        /**
+         * Gera resposta de chat
+         * @param {object} request - { messages, tools, maxTokens, temperature, model }
+         * @returns {object} { content, toolCalls, usage, model }
+         */
+        async chat(request) {
+            const body = {
+                model: request.model || model,
+                messages: request.messages.map(toApiMessage),
+                max_tokens: request.maxTokens,
+                temperature: request.temperature,
+            };
+
+            if (request.tools?.length) {
+                body.tools = request.tools.map(tool => ({
+                    type: 'function',
+                    function: {
+                        name: tool.name,
+                        description: tool.description,
+                        parameters: tool.parameters,
+                    },
+                }));
+            }
+
+            const completion = await getClient().chat.completions.create(body);
+            const message = completion.choices[0]?.message || {};
+
+            return {
+                content: message.content || '',
+                toolCalls: normalizeToolCalls(message.tool_calls),
+                usage: normalizeUsage(completion.usage),
+                model: completion.model || request.model || model,
+            };
+        },
+
+        /**
+         * Gera embeddings dos textos
+         * @param {object} request - { input: [textos], model }
+         * @returns {object} { vectors, usage, model }
+         */
+        async embed(request) {
+            const response = await getClient().embeddings.create({
+                model: request.model || embeddingModel,
+                input: request.input,
+            });
+
+            return {
+                vectors: [...response.data]
+                    .sort((a, b) => a.index - b.index)
+                    .map(item => item.embedding),
+                usage: normalizeUsage(response.usage),
+                model: response.model || request.model || embeddingModel,
+            };
+        },
+    };
+}
+
+/**
+ * Cria provedor para servidor local compatível com a API da OpenAI
+ * @param {object} options - { baseURL, apiKey, model, embeddingModel, timeout }
+ * @returns {object} Provedor
+ */
+function createOpenAICompatibleProvider(options = {}) {
+    return createOpenAIProvider({
+        embeddingModel: 'nomic-embed-text',
+        ...options,
+        name: 'local',
+        requireApiKey: false,
+    });
+}
+
+module.exports = {
+    createOpenAIProvider,
+    createOpenAICompatibleProvider,
+    normalizeUsage,
+    normalizeToolCalls,
+};
@@ -0,0 +1,395 @@
+/**
+ * ============================================
+ * SERVIÇO DE MÍDIA RECEBIDA
+ * ============================================
+ *
+ * Baixa e guarda fotos, áudios, vídeos e documentos
+ * enviados pelos clientes (com limite de tamanho) e
+ * registra localizações. Cada item fica na tabela
+ * midias, ligado à linha de conversas da mensagem;
+ * o arquivo fica em settings.media.dir (fora da
+ * pasta pública) e o painel lê pela API.
+ * Mensagens de voz são transcritas (services/speech)
+ * e o texto fica gravado junto do áudio.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings } = require('../config/settings');
+const { extractPhoneFromJid } = require('../utils/formatter');
+const whatsappService = require('./whatsappService');
+const speech = require('./speech');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Tipo do canal => tipo gravado e rótulo usado no histórico
+const MEDIA_KINDS = {
+    image: { tipo: 'imagem', label: '📷 Foto' },
+    audio: { tipo: 'audio', label: '🎤 Áudio' },
+    video: { tipo: 'video', label: '🎥 Vídeo' },
+    document: { tipo: 'documento', label: '📄 Documento' },
+    sticker: { tipo: 'figurinha', label: '🏷️ Figurinha' },
+};
+
+// Extensão do arquivo salvo pelo tipo MIME
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'video/mp4': '.mp4',
+    'video/3gpp': '.3gp',
+    'audio/ogg': '.ogg',
+    'audio/mpeg': '.mp3',
+    'audio/mp4': '.m4a',
+    'audio/aac': '.aac',
+    'audio/amr': '.amr',
+    'application/pdf': '.pdf',
+};
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Tamanho legível (ex.: 16 MB)
+ * @param {number} bytes - Tamanho em bytes
+ * @returns {string} Tamanho formatado
+ */
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${Math.round(bytes / (1024 * 1024))} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Extensão para o arquivo salvo
+ * @param {object} media - { mimetype, fileName }
+ * @returns {string} Extensão com ponto
+ */
+function getExtension(media) {
+    const mimetype = String(media.mimetype || '').split(';')[0].trim();
+
+    if (EXTENSIONS[mimetype]) return EXTENSIONS[mimetype];
+
+    const fromName = path.extname(media.fileName || '').toLowerCase();
+    return /^\.[a-z0-9]{1,5}$/.test(fromName) ? fromName : '.bin';
+}
+
+/**
+ * Caminho absoluto de um arquivo salvo (nunca sai da pasta de mídias)
+ * @param {string} arquivo - Caminho relativo gravado
+ * @returns {string|null} Caminho absoluto
+ */
+function resolveFile(arquivo) {
+    if (!arquivo) return null;
+
+    const root = path.resolve(settings.media.dir);
+    const filePath = path.resolve(root, arquivo);
+
+    return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+/**
+ * Formata linha da tabela midias para a API
+ * @param {object} row - Linha do banco
+ * @returns {object} Mídia formatada
+ */
+function formatMedia(row) {
+    return {
+        id: row.id,
+        conversaId: row.conversa_id,
+        tipo: row.tipo,
+        status: row.status,
+        mimetype: row.mimetype,
+        nome: row.nome_original,
+        tamanho: row.tamanho,
+        latitude: row.latitude !== null ? Number(row.latitude) : null,
+        longitude: row.longitude !== null ? Number(row.longitude) : null,
+        endereco: row.endereco,
+        transcricao: row.transcricao || null,
+        transcricaoIdioma: row.transcricao_idioma || null,
+        transcricaoConfianca: row.transcricao_confianca !== null && row.transcricao_confianca !== undefined
+            ? Number(row.transcricao_confianca)
+            : null,
+        identificacao: row.identificacao || null,
+        url: row.arquivo && row.status === 'salva' ? `/api/conversations/media/${row.id}` : null,
+    };
+}
+
+// ============================================
+// RECEBIMENTO
+// ============================================
+
+/**
+ * Texto gravado em conversas para mensagem sem legenda
+ * @param {object} messageData - Mensagem recebida (media ou location)
+ * @returns {string} Descrição (ex.: "📷 Foto")
+ */
+function describe(messageData) {
+    if (messageData.location) {
+        const { latitude, longitude, name, address } = messageData.location;
+        const place = [name, address].filter(Boolean).join(' - ');
+        return `📍 Localização: ${place || `${latitude}, ${longitude}`}`;
+    }
+
+    const kind = MEDIA_KINDS[messageData.media?.type];
+    if (!kind) return '📎 Arquivo';
+
+    return messageData.media.fileName ? `${kind.label}: ${messageData.media.fileName}` : kind.label;
+}
+
+/**
+ * Baixa e registra a mídia/localização de uma mensagem recebida
+ * @param {number} conversaId - ID da mensagem em conversas
+ * @param {object} messageData - Mensagem recebida ({ phone, media, location })
+ * @returns {object|null} Mídia formatada (status salva, grande_demais ou erro)
+ */
+async function saveIncomingMedia(conversaId, messageData) {
+    const phone = extractPhoneFromJid(messageData.phone);
+    let row;
+
+    if (messageData.location) {
+        const { latitude, longitude, name, address } = messageData.location;
+
+        row = {
+            conversa_id: conversaId,
+            telefone: phone,
+            tipo: 'localizacao',
+            latitude,
+            longitude,
+            endereco: [name, address].filter(Boolean).join(' - ').substring(0, 255) || null,
+        };
+    } else if (messageData.media && settings.media.types.includes(messageData.media.type)) {
+        row = await downloadAndStore(conversaId, phone, messageData);
+    } else {
+        return null;
+    }
+
+    try {
+        const id = await db.insert('midias', row);
+        const media = formatMedia(await db.findById('midias', id));
+
+        whatsappService.sendNotification('message:media', {
+            phone,
+            conversaId,
+            text: messageData.text || describe(messageData),
+            media,
+        });
+
+        return media;
+    } catch (error) {
+        logger.error('Erro ao registrar mídia:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Baixa o arquivo pelo canal e grava em disco
+ * @param {number} conversaId - ID da mensagem em conversas
+ * @param {string} phone - Telefone do cliente
+ * @param {object} messageData - Mensagem recebida (com media)
+ * @returns {object} Linha para a tabela midias
+ */
+async function downloadAndStore(conversaId, phone, messageData) {
+    const media = messageData.media;
+    const row = {
+        conversa_id: conversaId,
+        telefone: phone,
+        tipo: MEDIA_KINDS[media.type].tipo,
+        mimetype: media.mimetype ? String(media.mimetype).substring(0, 100) : null,
+        nome_original: media.fileName ? String(media.fileName).substring(0, 255) : null,
+        tamanho: media.size || null,
+        status: 'salva',
+    };
+
+    // Tamanho informado pelo WhatsApp: nem tenta baixar
+    if (media.size && media.size > settings.media.maxSize) {
+        row.status = 'grande_demais';
+        return row;
+    }
+
+    try {
+        const buffer = await whatsappService.downloadMedia(messageData, { maxBytes: settings.media.maxSize });
+
+        if (!buffer || buffer.length > settings.media.maxSize) {
+            row.status = 'grande_demais';
+            row.tamanho = buffer ? buffer.length : media.size || null;
+            return row;
+        }
+
+        const month = new Date().toISOString().substring(0, 7);
+        const arquivo = path.join(phone, month, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}${getExtension(media)}`);
+        const filePath = resolveFile(arquivo);
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+
+        row.arquivo = arquivo;
+        row.tamanho = buffer.length;
+        row.mimetype = row.mimetype || media.mimetype || null;
+
+        logger.info(`📎 Mídia salva (${media.type}, ${formatSize(buffer.length)}) de ${phone}`);
+    } catch (error) {
+        logger.error(`Erro ao baixar mídia de ${phone}:`, error.message);
+        row.status = 'erro';
+    }
+
+    return row;
+}
+
+// ============================================
+// TRANSCRIÇÃO
+// ============================================
+
+/**
+ * Transcreve mensagem de voz salva e grava o texto junto do áudio.
+ * Transcrição confiável também substitui a descrição da
+ * mensagem no histórico (a IA e o painel leem o que foi dito)
+ * @param {object} media - Mídia registrada (saveIncomingMedia)
+ * @returns {object|null} { text, language, confidence, provider, reliable } ou null (não é áudio, desligada ou falhou)
+ */
+async function transcribeAudio(media) {
+    if (!media || media.tipo !== 'audio' || media.status !== 'salva' || !speech.isEnabled()) {
+        return null;
+    }
+
+    const file = await getMediaFile(media.id);
+    if (!file) return null;
+
+    try {
+        const audio = await fs.promises.readFile(file.path);
+        const result = await speech.transcribe(audio, {
+            mimetype: String(file.mimetype).split(';')[0].trim(),
+            fileName: path.basename(file.path),
+        });
+        const reliable = speech.isReliable(result);
+        const confidence = result.confidence !== null ? `${Math.round(result.confidence * 100)}%` : 'n/d';
+
+        logger.info(`🎤 Áudio de ${file.telefone} transcrito (${result.provider}, idioma ${result.language || 'n/d'}, confiança ${confidence})${reliable ? '' : ' - baixa qualidade, segue para atendente'}`);
+
+        await db.update('midias', {
+            transcricao: result.text || null,
+            transcricao_idioma: result.language,
+            transcricao_confianca: result.confidence,
+        }, 'id = ?', [media.id]);
+
+        if (reliable && media.conversaId) {
+            await db.update('conversas', { mensagem: `🎤 Áudio: ${result.text}` }, 'id = ?', [media.conversaId]);
+        }
+
+        whatsappService.sendNotification('message:transcription', {
+            phone: file.telefone,
+            conversaId: media.conversaId,
+            mediaId: media.id,
+            text: result.text,
+            language: result.language,
+            confidence: result.confidence,
+            reliable,
+        });
+
+        return { ...result, reliable };
+    } catch (error) {
+        logger.error(`Erro ao transcrever áudio de ${file.telefone}:`, error.message);
+        return null;
+    }
+}
+
+// ============================================
+// CONSULTA
+// ============================================
+
+/**
+ * Mídias das mensagens informadas
+ * @param {array} conversaIds - IDs em conversas
+ * @returns {object} conversa_id => mídia formatada
+ */
+async function getMediaByMessages(conversaIds) {
+    if (!conversaIds || conversaIds.length === 0) return {};
+
+    try {
+        const rows = await db.query(
+            `SELECT * FROM midias WHERE conversa_id IN (${conversaIds.map(() => '?').join(',')})`,
+            conversaIds
+        );
+
+        return Object.fromEntries(rows.map(row => [row.conversa_id, formatMedia(row)]));
+    } catch (error) {
+        logger.error('Erro ao buscar mídias:', error.message);
+        return {};
+    }
+}
+
+/**
+ * Arquivo salvo de uma mídia
+ * @param {number} id - ID da mídia
+ * @returns {object|null} { path, mimetype, nome, tipo, telefone }
+ */
+async function getMediaFile(id) {
+    const row = await db.queryOne('SELECT * FROM midias WHERE id = ? AND status = ?', [id, 'salva']);
+    const filePath = row ? resolveFile(row.arquivo) : null;
+
+    if (!filePath || !fs.existsSync(filePath)) return null;
+
+    return {
+        path: filePath,
+        mimetype: row.mimetype || 'application/octet-stream',
+        nome: row.nome_original || path.basename(filePath),
+        tipo: row.tipo,
+        telefone: row.telefone,
+    };
+}
+
+// ============================================
+// EXCLUSÃO
+// ============================================
+
+/**
+ * Apaga arquivos e registros de mídia de um telefone
+ * (chamado junto com a exclusão do histórico)
+ * @param {string} phone - Telefone do cliente
+ * @returns {number} Mídias removidas
+ */
+async function deleteMediaByPhone(phone) {
+    const cleanPhone = extractPhoneFromJid(phone);
+
+    try {
+        const rows = await db.query('SELECT id, arquivo FROM midias WHERE telefone = ?', [cleanPhone]);
+
+        for (const row of rows) {
+            const filePath = resolveFile(row.arquivo);
+            if (filePath) {
+                await fs.promises.unlink(filePath).catch(() => {});
+            }
+        }
+
+        await db.query('DELETE FROM midias WHERE telefone = ?', [cleanPhone]);
+        return rows.length;
+    } catch (error) {
+        logger.error('Erro ao excluir mídias:', error.message);
+        return 0;
+    }
+}
+
+module.exports = {
+    // Recebimento
+    describe,
+    saveIncomingMedia,
+
+    // Transcrição
+    transcribeAudio,
+
+    // Consulta
+    getMediaByMessages,
+    getMediaFile,
+    formatSize,
+
+    // Exclusão
+    deleteMediaByPhone,
+};
@@ -0,0 +1,150 @@
+/**
+ * ============================================
+ * CAMADA DE OCR (TEXTO EM FOTOS)
+ * ============================================
+ *
+ * Interface comum para ler códigos e marcas
+ * impressos nas fotos dos clientes. Todo provedor
+ * expõe:
+ *   name, model
+ *   isConfigured() => boolean
+ *   recognize({ path, fileName, mimetype }) => { text }
+ *
+ * O provedor ativo vem de settings.recognition.ocr.provider:
+ * tesseract (local, padrão) ou mock. Pode ser trocado
+ * em tempo de execução com setProvider.
+ */
+
+const path = require('path');
+
+const logger = require('../../utils/logger');
+const { settings } = require('../../config/settings');
+const { createTesseractProvider } = require('./tesseractProvider');
+const { createMockOcrProvider } = require('./mockProvider');
+
+// Fábricas disponíveis: nome => (options) => provedor
+const PROVIDER_FACTORIES = {
+    tesseract: (options) => createTesseractProvider({
+        command: settings.recognition.ocr.command,
+        languages: settings.recognition.ocr.languages,
+        timeout: settings.recognition.ocr.timeout,
+        ...options,
+    }),
+    mock: (options) => createMockOcrProvider({
+        ...loadMockScript(),
+        ...options,
+    }),
+};
+
+// Provedor em uso
+let activeProvider = null;
+
+/**
+ * Carrega roteiro do provedor mock (settings.recognition.ocr.mockScript)
+ * @returns {object} { responses } ou vazio
+ */
+function loadMockScript() {
+    const script = settings.recognition.ocr.mockScript;
+    if (!script) return {};
+
+    try {
+        return require(path.resolve(script));
+    } catch (error) {
+        logger.warn(`⚠️  Roteiro do OCR mock não carregado (${script}):`, error.message);
+        return {};
+    }
+}
+
+/**
+ * Cria provedor pelo nome
+ * @param {string} name - tesseract | mock
+ * @param {object} options - Opções do adaptador (sobrescrevem settings)
+ * @returns {object} Provedor
+ */
+function createProvider(name = settings.recognition.ocr.provider, options = {}) {
+    const factory = PROVIDER_FACTORIES[name];
+
+    if (!factory) {
+        throw new Error(`Provedor de OCR inválido: "${name}". Use: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+
+    return factory(options);
+}
+
+/**
+ * Provedor em uso (criado a partir de settings no primeiro acesso)
+ * @returns {object} Provedor
+ */
+function getProvider() {
+    if (!activeProvider) {
+        activeProvider = createProvider();
+    }
+
+    return activeProvider;
+}
+
+/**
+ * Troca o provedor em uso
+ * @param {string|object} provider - Nome do provedor ou instância pronta
+ * @param {object} options - Opções (quando informado o nome)
+ * @returns {object} Provedor ativo
+ */
+function setProvider(provider, options = {}) {
+    activeProvider = typeof provider === 'string' ? createProvider(provider, options) : provider;
+
+    logger.info(`🔎 Provedor de OCR: ${activeProvider.name} (${activeProvider.model})`);
+    return activeProvider;
+}
+
+/**
+ * Descarta o provedor em uso (o próximo acesso relê settings)
+ */
+function resetProvider() {
+    activeProvider = null;
+}
+
+/**
+ * Verifica se o provedor em uso pode ser chamado
+ * @returns {boolean}
+ */
+function isConfigured() {
+    try {
+        return getProvider().isConfigured();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Lê o texto da imagem com o provedor em uso
+ * @param {object} image - { path, fileName, mimetype }
+ * @returns {object} { text, provider }
+ */
+async function recognize(image) {
+    const provider = getProvider();
+
+    if (!provider.isConfigured()) {
+        throw new Error(`Provedor de OCR "${provider.name}" não configurado`);
+    }
+
+    const result = await provider.recognize(image);
+    return { text: '', ...result, provider: provider.name };
+}
+
+/**
+ * Lista provedores disponíveis
+ * @returns {array} Nomes dos provedores
+ */
+function listProviders() {
+    return Object.keys(PROVIDER_FACTORIES);
+}
+
+module.exports = {
+    createProvider,
+    getProvider,
+    setProvider,
+    resetProvider,
+    isConfigured,
+    recognize,
+    listProviders,
+};
@@ -0,0 +1,64 @@
+/**
+ * ============================================
+ * PROVEDOR OCR MOCK
+ * ============================================
+ *
+ * Texto determinístico, sem rede e sem Tesseract:
+ * fila de respostas roteirizadas e, sem roteiro, o
+ * nome do arquivo enviado (no Simulador, a foto
+ * "FLT001 Tecfil.jpg" é lida como "FLT001 Tecfil").
+ * Guarda as chamadas recebidas para conferência.
+ */
+
+const path = require('path');
+
+/**
+ * Cria provedor mock
+ * @param {object} options - { responses }
+ * @returns {object} Provedor { name, model, isConfigured, recognize, calls, reset }
+ */
+function createMockOcrProvider(options = {}) {
+    const { responses = [] } = options;
+
+    let queue = [...responses];
+    const calls = [];
+
+    return {
+        name: 'mock',
+        model: 'mock',
+        calls,
+
+        isConfigured() {
+            return true;
+        },
+
+        /**
+         * Texto roteirizado (fila de respostas ou nome do arquivo)
+         * @param {object} request - { path, fileName, mimetype }
+         * @returns {object} { text }
+         */
+        async recognize(request) {
+            calls.push(request);
+
+            if (queue.length > 0) {
+                const next = queue.shift();
+                return { text: String(typeof next === 'function' ? next(request) : next).trim() };
+            }
+
+            const name = request.fileName || '';
+            return { text: path.basename(name, path.extname(name)).replace(/[_]+/g, ' ').trim() };
+        },
+
+        /**
+         * Restaura a fila de respostas e limpa as chamadas
+         */
+        reset() {
+            queue = [...responses];
+            calls.length = 0;
+        },
+    };
+}
+
+module.exports = {
+    createMockOcrProvider,
+};
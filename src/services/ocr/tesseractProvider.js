@@ -0,0 +1,80 @@
+/**
+ * ============================================
+ * PROVEDOR OCR TESSERACT (LOCAL)
+ * ============================================
+ *
+ * Lê o texto impresso nas fotos com o Tesseract
+ * instalado na máquina (apt install tesseract-ocr
+ * tesseract-ocr-por). Roda localmente: a foto não
+ * sai da loja. O modo de segmentação 11 procura
+ * texto espalhado (etiquetas, caixas, peças).
+ */
+
+const { execFile } = require('child_process');
+
+/**
+ * Executa o tesseract e devolve a saída
+ * @param {string} command - Executável
+ * @param {array} args - Argumentos
+ * @param {number} timeout - ms
+ * @returns {Promise<string>} Texto reconhecido
+ */
+function run(command, args, timeout) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                error.message = error.code === 'ENOENT'
+                    ? `Tesseract não encontrado (${command})`
+                    : (stderr || error.message).trim();
+                reject(error);
+                return;
+            }
+
+            resolve(stdout);
+        });
+    });
+}
+
+/**
+ * Cria provedor OCR com o Tesseract
+ * @param {object} options - { command, languages, timeout }
+ * @returns {object} Provedor { name, model, isConfigured, recognize }
+ */
+function createTesseractProvider(options = {}) {
+    const {
+        command = 'tesseract',
+        languages = 'por+eng',
+        timeout = 20000,
+    } = options;
+
+    return {
+        name: 'tesseract',
+        model: languages,
+
+        /**
+         * Verifica se há executável configurado
+         * @returns {boolean}
+         */
+        isConfigured() {
+            return !!command;
+        },
+
+        /**
+         * Reconhece o texto da imagem
+         * @param {object} request - { path (arquivo salvo), mimetype }
+         * @returns {object} { text }
+         */
+        async recognize(request) {
+            if (!request.path) {
+                throw new Error('Tesseract precisa do caminho do arquivo');
+            }
+
+            const text = await run(command, [request.path, 'stdout', '-l', languages, '--psm', '11'], timeout);
+            return { text: text.trim() };
+        },
+    };
+}
+
+module.exports = {
+    createTesseractProvider,
+};
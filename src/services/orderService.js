@@ -0,0 +1,824 @@
+/**
+ * ============================================
+ * SERVIÇO DE PEDIDOS E ORÇAMENTOS
+ * ============================================
+ *
+ * Lógica de negócio para orçamentos, pedidos e
+ * vendas, incluindo itens, numeração automática,
+ * fluxo de status e cálculo de totais.
+ */
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const productService = require('./productService');
+const serviceService = require('./serviceService');
+const { extractPhoneFromJid } = require('../utils/formatter');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const ORDER_TYPES = ['orcamento', 'pedido', 'venda'];
+
+const ORDER_STATUS = ['rascunho', 'aguardando', 'aprovado', 'em_andamento', 'concluido', 'cancelado'];
+
+// Prefixo do número por tipo (ex: ORC-2026-000042)
+const NUMBER_PREFIX = {
+    orcamento: 'ORC',
+    pedido: 'PED',
+    venda: 'VEN'
+};
+
+// Transições de status permitidas
+const STATUS_TRANSITIONS = {
+    rascunho: ['aguardando', 'cancelado'],
+    aguardando: ['aprovado', 'cancelado'],
+    aprovado: ['em_andamento', 'cancelado'],
+    em_andamento: ['concluido', 'cancelado'],
+    concluido: [],
+    cancelado: []
+};
+
+// Status em que itens e valores ainda podem ser alterados
+const EDITABLE_STATUS = ['rascunho', 'aguardando'];
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Arredonda valor monetário para 2 casas
+ * @param {number} value - Valor
+ * @returns {number} Valor arredondado
+ */
+function roundMoney(value) {
+    return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+/**
+ * Gera o número do pedido a partir do ID
+ * @param {string} tipo - Tipo do pedido
+ * @param {number} id - ID do pedido
+ * @returns {string} Número formatado
+ */
+function generateOrderNumber(tipo, id) {
+    const prefix = NUMBER_PREFIX[tipo] || NUMBER_PREFIX.orcamento;
+    const year = new Date().getFullYear();
+    return `${prefix}-${year}-${String(id).padStart(6, '0')}`;
+}
+
+/**
+ * Verifica se a transição de status é permitida
+ * @param {string} from - Status atual
+ * @param {string} to - Novo status
+ * @returns {boolean} Se a transição é válida
+ */
+function canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Verifica se o pedido ainda pode ser editado
+ * @param {object} order - Pedido
+ * @returns {boolean} Se pode editar
+ */
+function isEditable(order) {
+    return EDITABLE_STATUS.includes(order.status);
+}
+
+/**
+ * Resolve preço e descrição de um item a partir do catálogo
+ * @param {object} item - { tipo, produto_id, servico_id, quantidade }
+ * @returns {object} Item pronto para gravar em itens_pedido
+ */
+async function resolveItem(item) {
+    const tipo = item.tipo || (item.servico_id ? 'servico' : 'produto');
+    const quantidade = parseInt(item.quantidade) || 1;
+
+    if (quantidade < 1) {
+        throw new Error('Quantidade inválida');
+    }
+
+    let price;
+    let descricao;
+
+    if (tipo === 'produto') {
+        if (!item.produto_id) {
+            throw new Error('Produto do item é obrigatório');
+        }
+
+        price = await productService.getProductPrice(item.produto_id);
+        if (!price) {
+            throw new Error(`Produto ${item.produto_id} não encontrado`);
+        }
+
+        descricao = price.produto.codigo
+            ? `${price.produto.codigo} - ${price.produto.nome}`
+            : price.produto.nome;
+    } else if (tipo === 'servico') {
+        if (!item.servico_id) {
+            throw new Error('Serviço do item é obrigatório');
+        }
+
+        price = await serviceService.getServicePrice(item.servico_id);
+        if (!price) {
+            throw new Error(`Serviço ${item.servico_id} não encontrado`);
+        }
+
+        descricao = price.servico.codigo
+            ? `${price.servico.codigo} - ${price.servico.nome}`
+            : price.servico.nome;
+    } else {
+        throw new Error('Tipo de item inválido');
+    }
+
+    return {
+        tipo,
+        produto_id: tipo === 'produto' ? item.produto_id : null,
+        servico_id: tipo === 'servico' ? item.servico_id : null,
+        descricao: descricao.substring(0, 255),
+        quantidade,
+        preco_unitario: roundMoney(price.preco),
+        desconto: roundMoney(price.desconto_unitario * quantidade),
+        subtotal: roundMoney(price.preco_final * quantidade)
+    };
+}
+
+/**
+ * Calcula os totais do pedido a partir dos itens
+ * @param {array} items - Itens do pedido
+ * @returns {object} { subtotal, desconto, total }
+ */
+function calculateTotals(items) {
+    let subtotal = 0;
+    let desconto = 0;
+
+    for (const item of items) {
+        subtotal += parseFloat(item.preco_unitario) * item.quantidade;
+        desconto += parseFloat(item.desconto) || 0;
+    }
+
+    subtotal = roundMoney(subtotal);
+    desconto = roundMoney(desconto);
+
+    return {
+        subtotal,
+        desconto,
+        total: roundMoney(subtotal - desconto)
+    };
+}
+
+/**
+ * Grava totais do pedido com base nos itens atuais
+ * @param {object} connection - Conexão da transação
+ * @param {number} orderId - ID do pedido
+ * @returns {object} Totais calculados
+ */
+async function saveTotals(connection, orderId) {
+    const [items] = await connection.query(
+        'SELECT preco_unitario, quantidade, desconto FROM itens_pedido WHERE pedido_id = ?',
+        [orderId]
+    );
+
+    const totals = calculateTotals(items);
+
+    await connection.query(
+        'UPDATE pedidos SET subtotal = ?, desconto = ?, total = ? WHERE id = ?',
+        [totals.subtotal, totals.desconto, totals.total, orderId]
+    );
+
+    return totals;
+}
+
+/**
+ * Insere itens do pedido dentro de uma transação
+ * @param {object} connection - Conexão da transação
+ * @param {number} orderId - ID do pedido
+ * @param {array} items - Itens já resolvidos
+ */
+async function insertItems(connection, orderId, items) {
+    for (const item of items) {
+        await connection.query(
+            `INSERT INTO itens_pedido
+                (pedido_id, tipo, produto_id, servico_id, descricao, quantidade, preco_unitario, desconto, subtotal)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                orderId, item.tipo, item.produto_id, item.servico_id, item.descricao,
+                item.quantidade, item.preco_unitario, item.desconto, item.subtotal
+            ]
+        );
+    }
+}
+
+/**
+ * Busca pedido garantindo que pode ser editado
+ * @param {number} orderId - ID do pedido
+ * @returns {object} Pedido
+ */
+async function getEditableOrder(orderId) {
+    const order = await db.queryOne('SELECT * FROM pedidos WHERE id = ?', [orderId]);
+
+    if (!order) {
+        throw new Error('Pedido não encontrado');
+    }
+
+    if (!isEditable(order)) {
+        throw new Error(`Pedido com status "${order.status}" não pode ser alterado`);
+    }
+
+    return order;
+}
+
+// ============================================
+// FUNÇÕES DE CONSULTA
+// ============================================
+
+/**
+ * Lista pedidos com paginação e filtros
+ * @param {object} options - Opções de listagem
+ * @returns {object} { data, pagination }
+ */
+async function listOrders(options = {}) {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search = '',
+            tipo = null,
+            status = null,
+            telefone = null,
+            orderBy = 'created_at',
+            order = 'DESC'
+        } = options;
+
+        const offset = (page - 1) * limit;
+        let whereClause = '1=1';
+        const params = [];
+
+        if (search) {
+            whereClause += ` AND (
+                p.numero LIKE ?
+                OR p.telefone LIKE ?
+                OR LOWER(c.nome) LIKE LOWER(?)
+            )`;
+            const searchPattern = `%${search}%`;
+            params.push(searchPattern, searchPattern, searchPattern);
+        }
+
+        if (tipo) {
+            whereClause += ` AND p.tipo = ?`;
+            params.push(tipo);
+        }
+
+        if (status) {
+            whereClause += ` AND p.status = ?`;
+            params.push(status);
+        }
+
+        if (telefone) {
+            whereClause += ` AND p.telefone = ?`;
+            params.push(extractPhoneFromJid(telefone));
+        }
+
+        // Conta total
+        const countResult = await db.queryOne(`
+            SELECT COUNT(*) as total
+            FROM pedidos p
+            LEFT JOIN clientes c ON p.cliente_id = c.id
+            WHERE ${whereClause}
+        `, params);
+
+        const total = countResult.total;
+
+        // Busca pedidos
+        const allowedOrderBy = ['created_at', 'numero', 'total', 'status', 'updated_at'];
+        const safeOrderBy = allowedOrderBy.includes(orderBy) ? orderBy : 'created_at';
+        const safeOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+        const orders = await db.query(`
+            SELECT
+                p.*,
+                c.nome AS cliente_nome,
+                (SELECT COUNT(*) FROM itens_pedido i WHERE i.pedido_id = p.id) AS total_itens
+            FROM pedidos p
+            LEFT JOIN clientes c ON p.cliente_id = c.id
+            WHERE ${whereClause}
+            ORDER BY p.${safeOrderBy} ${safeOrder}
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        return {
+            data: orders,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    } catch (error) {
+        logger.error('Erro ao listar pedidos:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Busca itens de um pedido
+ * @param {number} orderId - ID do pedido
+ * @returns {array} Itens do pedido
+ */
+async function getOrderItems(orderId) {
+    try {
+        return await db.query(`
+            SELECT *
+            FROM itens_pedido
+            WHERE pedido_id = ?
+            ORDER BY id ASC
+        `, [orderId]);
+    } catch (error) {
+        logger.error('Erro ao buscar itens do pedido:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Busca pedido por ID com seus itens
+ * @param {number} id - ID do pedido
+ * @returns {object|null} Pedido ou null
+ */
+async function getOrderById(id) {
+    try {
+        const order = await db.queryOne(`
+            SELECT
+                p.*,
+                c.nome AS cliente_nome
+            FROM pedidos p
+            LEFT JOIN clientes c ON p.cliente_id = c.id
+            WHERE p.id = ?
+        `, [id]);
+
+        if (!order) {
+            return null;
+        }
+
+        order.itens = await getOrderItems(id);
+        order.proximos_status = STATUS_TRANSITIONS[order.status] || [];
+
+        return order;
+    } catch (error) {
+        logger.error('Erro ao buscar pedido:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Busca pedido pelo número
+ * @param {string} numero - Número do pedido
+ * @returns {object|null} Pedido ou null
+ */
+async function getOrderByNumber(numero) {
+    try {
+        const order = await db.queryOne(
+            'SELECT id FROM pedidos WHERE numero = ?',
+            [String(numero).toUpperCase()]
+        );
+
+        return order ? await getOrderById(order.id) : null;
+    } catch (error) {
+        logger.error('Erro ao buscar pedido por número:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Busca pedidos de um cliente pelo telefone
+ * @param {string} phone - Telefone do cliente
+ * @param {number} limit - Limite de resultados
+ * @returns {array} Pedidos
+ */
+async function getOrdersByPhone(phone, limit = 10) {
+    try {
+        return await db.query(`
+            SELECT *
+            FROM pedidos
+            WHERE telefone = ?
+            ORDER BY created_at DESC
+            LIMIT ?
+        `, [extractPhoneFromJid(phone), limit]);
+    } catch (error) {
+        logger.error('Erro ao buscar pedidos do cliente:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// FUNÇÕES DE CRUD
+// ============================================
+
+/**
+ * Cria um novo pedido/orçamento com itens
+ * @param {object} data - Dados do pedido
+ * @returns {number} ID do pedido criado
+ */
+async function createOrder(data) {
+    try {
+        const {
+            telefone,
+            tipo = 'orcamento',
+            status = 'rascunho',
+            forma_pagamento,
+            observacoes,
+            itens = []
+        } = data;
+
+        if (!telefone) {
+            throw new Error('Telefone é obrigatório');
+        }
+
+        if (!ORDER_TYPES.includes(tipo)) {
+            throw new Error('Tipo de pedido inválido');
+        }
+
+        if (!['rascunho', 'aguardando'].includes(status)) {
+            throw new Error('Status inicial inválido');
+        }
+
+        const phone = extractPhoneFromJid(telefone);
+
+        // Vincula ao cliente se existir
+        let clienteId = data.cliente_id || null;
+        if (!clienteId) {
+            const customer = await db.queryOne('SELECT id FROM clientes WHERE telefone = ?', [phone]);
+            clienteId = customer ? customer.id : null;
+        }
+
+        // Resolve preços antes de abrir a transação
+        const items = [];
+        for (const item of itens) {
+            items.push(await resolveItem(item));
+        }
+
+        const orderId = await db.transaction(async (connection) => {
+            const [result] = await connection.query(
+                `INSERT INTO pedidos (cliente_id, telefone, tipo, status, forma_pagamento, observacoes)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [clienteId, phone, tipo, status, forma_pagamento || null, observacoes || null]
+            );
+
+            const id = result.insertId;
+
+            await connection.query(
+                'UPDATE pedidos SET numero = ? WHERE id = ?',
+                [generateOrderNumber(tipo, id), id]
+            );
+
+            await insertItems(connection, id, items);
+            await saveTotals(connection, id);
+
+            return id;
+        });
+
+        logger.info(`Pedido criado: ID ${orderId} (${tipo}) - ${phone}`);
+        return orderId;
+    } catch (error) {
+        logger.error('Erro ao criar pedido:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza dados de um pedido (e opcionalmente substitui os itens)
+ * @param {number} id - ID do pedido
+ * @param {object} data - Dados para atualizar
+ * @returns {boolean} Sucesso da operação
+ */
+async function updateOrder(id, data) {
+    try {
+        const order = await getEditableOrder(id);
+
+        const updateData = {};
+        const allowedFields = ['tipo', 'telefone', 'cliente_id', 'forma_pagamento', 'observacoes'];
+
+        for (const field of allowedFields) {
+            if (data[field] !== undefined) {
+                if (field === 'tipo' && !ORDER_TYPES.includes(data[field])) {
+                    throw new Error('Tipo de pedido inválido');
+                }
+
+                updateData[field] = field === 'telefone'
+                    ? extractPhoneFromJid(data[field])
+                    : data[field];
+            }
+        }
+
+        const hasItems = Array.isArray(data.itens);
+
+        if (Object.keys(updateData).length === 0 && !hasItems) {
+            return false;
+        }
+
+        const items = [];
+        if (hasItems) {
+            for (const item of data.itens) {
+                items.push(await resolveItem(item));
+            }
+        }
+
+        await db.transaction(async (connection) => {
+            if (Object.keys(updateData).length > 0) {
+                const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+                await connection.query(
+                    `UPDATE pedidos SET ${fields} WHERE id = ?`,
+                    [...Object.values(updateData), id]
+                );
+            }
+
+            if (hasItems) {
+                await connection.query('DELETE FROM itens_pedido WHERE pedido_id = ?', [id]);
+                await insertItems(connection, id, items);
+                await saveTotals(connection, id);
+            }
+        });
+
+        logger.info(`Pedido atualizado: ${order.numero}`);
+        return true;
+    } catch (error) {
+        logger.error('Erro ao atualizar pedido:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Exclui um pedido (apenas rascunhos ou cancelados)
+ * @param {number} id - ID do pedido
+ * @returns {boolean} Sucesso da operação
+ */
+async function deleteOrder(id) {
+    try {
+        const order = await db.queryOne('SELECT * FROM pedidos WHERE id = ?', [id]);
+
+        if (!order) {
+            return false;
+        }
+
+        if (!['rascunho', 'cancelado'].includes(order.status)) {
+            throw new Error('Apenas pedidos em rascunho ou cancelados podem ser excluídos');
+        }
+
+        const affected = await db.remove('pedidos', 'id = ?', [id]);
+
+        if (affected > 0) {
+            logger.info(`Pedido excluído: ${order.numero}`);
+        }
+
+        return affected > 0;
+    } catch (error) {
+        logger.error('Erro ao excluir pedido:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// FUNÇÕES DE ITENS
+// ============================================
+
+/**
+ * Adiciona item ao pedido
+ * @param {number} orderId - ID do pedido
+ * @param {object} itemData - { tipo, produto_id, servico_id, quantidade }
+ * @returns {object} Totais atualizados
+ */
+async function addOrderItem(orderId, itemData) {
+    try {
+        await getEditableOrder(orderId);
+        const item = await resolveItem(itemData);
+
+        return await db.transaction(async (connection) => {
+            await insertItems(connection, orderId, [item]);
+            return saveTotals(connection, orderId);
+        });
+    } catch (error) {
+        logger.error('Erro ao adicionar item ao pedido:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Altera a quantidade de um item do pedido
+ * @param {number} orderId - ID do pedido
+ * @param {number} itemId - ID do item
+ * @param {number} quantidade - Nova quantidade
+ * @returns {object} Totais atualizados
+ */
+async function updateOrderItem(orderId, itemId, quantidade) {
+    try {
+        await getEditableOrder(orderId);
+
+        const current = await db.queryOne(
+            'SELECT * FROM itens_pedido WHERE id = ? AND pedido_id = ?',
+            [itemId, orderId]
+        );
+
+        if (!current) {
+            throw new Error('Item não encontrado');
+        }
+
+        const item = await resolveItem({ ...current, quantidade });
+
+        return await db.transaction(async (connection) => {
+            await connection.query(
+                `UPDATE itens_pedido
+                 SET quantidade = ?, preco_unitario = ?, desconto = ?, subtotal = ?
+                 WHERE id = ?`,
+                [item.quantidade, item.preco_unitario, item.desconto, item.subtotal, itemId]
+            );
+            return saveTotals(connection, orderId);
+        });
+    } catch (error) {
+        logger.error('Erro ao atualizar item do pedido:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remove item do pedido
+ * @param {number} orderId - ID do pedido
+ * @param {number} itemId - ID do item
+ * @returns {object} Totais atualizados
+ */
+async function removeOrderItem(orderId, itemId) {
+    try {
+        await getEditableOrder(orderId);
+
+        return await db.transaction(async (connection) => {
+            const [result] = await connection.query(
+                'DELETE FROM itens_pedido WHERE id = ? AND pedido_id = ?',
+                [itemId, orderId]
+            );
+
+            if (result.affectedRows === 0) {
+                throw new Error('Item não encontrado');
+            }
+
+            return saveTotals(connection, orderId);
+        });
+    } catch (error) {
+        logger.error('Erro ao remover item do pedido:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Recalcula preços dos itens e totais com base no catálogo atual
+ * @param {number} orderId - ID do pedido
+ * @returns {object} Totais atualizados
+ */
+async function recalculateOrder(orderId) {
+    try {
+        await getEditableOrder(orderId);
+
+        const currentItems = await getOrderItems(orderId);
+        const items = [];
+        for (const current of currentItems) {
+            items.push({ id: current.id, ...(await resolveItem(current)) });
+        }
+
+        return await db.transaction(async (connection) => {
+            for (const item of items) {
+                await connection.query(
+                    `UPDATE itens_pedido
+                     SET descricao = ?, preco_unitario = ?, desconto = ?, subtotal = ?
+                     WHERE id = ?`,
+                    [item.descricao, item.preco_unitario, item.desconto, item.subtotal, item.id]
+                );
+            }
+            return saveTotals(connection, orderId);
+        });
+    } catch (error) {
+        logger.error('Erro ao recalcular pedido:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// FUNÇÕES DE STATUS
+// ============================================
+
+/**
+ * Altera o status do pedido respeitando o fluxo
+ * @param {number} id - ID do pedido
+ * @param {string} newStatus - Novo status
+ * @returns {object} Pedido atualizado
+ */
+async function changeOrderStatus(id, newStatus) {
+    try {
+        const order = await db.queryOne('SELECT * FROM pedidos WHERE id = ?', [id]);
+
+        if (!order) {
+            throw new Error('Pedido não encontrado');
+        }
+
+        if (!ORDER_STATUS.includes(newStatus)) {
+            throw new Error('Status inválido');
+        }
+
+        if (!canTransition(order.status, newStatus)) {
+            throw new Error(`Transição de status inválida: ${order.status} → ${newStatus}`);
+        }
+
+        if (newStatus === 'aguardando') {
+            const items = await db.queryOne(
+                'SELECT COUNT(*) as total FROM itens_pedido WHERE pedido_id = ?',
+                [id]
+            );
+            if (!items.total) {
+                throw new Error('Pedido sem itens não pode ser enviado');
+            }
+        }
+
+        const updateData = { status: newStatus };
+
+        if (newStatus === 'aprovado') {
+            updateData.data_aprovacao = new Date();
+        }
+
+        if (newStatus === 'concluido') {
+            updateData.data_conclusao = new Date();
+        }
+
+        await db.update('pedidos', updateData, 'id = ?', [id]);
+
+        logger.info(`Pedido ${order.numero}: ${order.status} → ${newStatus}`);
+        return await getOrderById(id);
+    } catch (error) {
+        logger.error('Erro ao alterar status do pedido:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// FUNÇÕES DE ESTATÍSTICAS
+// ============================================
+
+/**
+ * Obtém estatísticas de pedidos
+ * @returns {object} Estatísticas
+ */
+async function getStatistics() {
+    try {
+        const [porStatus, porTipo, totalMes] = await Promise.all([
+            db.query('SELECT status, COUNT(*) as total FROM pedidos GROUP BY status'),
+            db.query('SELECT tipo, COUNT(*) as total FROM pedidos GROUP BY tipo'),
+            db.queryOne(`
+                SELECT COUNT(*) as total, COALESCE(SUM(total), 0) as valor
+                FROM pedidos
+                WHERE status = 'concluido'
+                    AND data_conclusao >= DATE_FORMAT(CURDATE(), '%Y-%m-01')
+            `)
+        ]);
+
+        return {
+            por_status: porStatus.reduce((acc, row) => ({ ...acc, [row.status]: row.total }), {}),
+            por_tipo: porTipo.reduce((acc, row) => ({ ...acc, [row.tipo]: row.total }), {}),
+            concluidos_mes: totalMes.total,
+            faturamento_mes: parseFloat(totalMes.valor) || 0
+        };
+    } catch (error) {
+        logger.error('Erro ao obter estatísticas de pedidos:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Consulta
+    listOrders,
+    getOrderById,
+    getOrderByNumber,
+    getOrderItems,
+    getOrdersByPhone,
+
+    // CRUD Pedidos (Admin e Bot)
+    createOrder,
+    updateOrder,
+    deleteOrder,
+
+    // Itens
+    addOrderItem,
+    updateOrderItem,
+    removeOrderItem,
+    recalculateOrder,
+
+    // Status
+    changeOrderStatus,
+    canTransition,
+
+    // Estatísticas
+    getStatistics,
+
+    // Constantes
+    ORDER_TYPES,
+    ORDER_STATUS,
+    STATUS_TRANSITIONS,
+};
@@ -0,0 +1,265 @@
+/**
+ * ============================================
+ * SERVIÇO DE IDENTIFICAÇÃO DE PEÇAS POR FOTO
+ * ============================================
+ *
+ * Tenta descobrir a peça de uma foto enviada pelo
+ * cliente (filtro, lâmpada, caixa de pastilha...):
+ * o OCR (services/ocr, local) lê códigos e marcas
+ * impressos, conferidos com produtos.codigo e
+ * produtos.marca; com um modelo com visão
+ * configurado, a IA classifica o tipo da peça.
+ * O resultado vira o termo que segue para a busca
+ * normal de produtos (messageHandler) e fica
+ * gravado na mídia para o atendente.
+ */
+
+const fs = require('fs');
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings } = require('../config/settings');
+const { extractPhoneFromJid, normalizeForSearch } = require('../utils/formatter');
+const ocr = require('./ocr');
+const aiService = require('./aiService');
+const aiUsageService = require('./aiUsageService');
+const mediaService = require('./mediaService');
+const whatsappService = require('./whatsappService');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Máximo de candidatos a código conferidos no catálogo por foto
+const MAX_CODE_CANDIDATES = 50;
+
+// Código do catálogo sem separadores (FO-001, FO 001 e FO001 são o mesmo)
+const COMPACT_CODE_SQL = "UPPER(REPLACE(REPLACE(REPLACE(REPLACE(codigo, '-', ''), ' ', ''), '/', ''), '.', ''))";
+
+// OCR indisponível (executável ausente): avisa uma vez só
+let ocrMissingLogged = false;
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Remove separadores de um código
+ * @param {string} value - Código lido
+ * @returns {string} Código só com letras e números
+ */
+function compactCode(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Verifica se o trecho parece um código de peça
+ * @param {string} code - Código compacto
+ * @returns {boolean}
+ */
+function isCodeLike(code) {
+    if (code.length < 4 || code.length > 20 || !/\d/.test(code)) return false;
+
+    // Só números: exige tamanho maior (evita datas, lotes curtos)
+    return /[A-Z]/.test(code) || code.length >= 5;
+}
+
+/**
+ * Candidatos a código no texto lido
+ * (inclui códigos quebrados em duas partes, ex.: "FLT 001")
+ * @param {string} text - Texto do OCR
+ * @returns {array} Códigos compactos, na ordem em que aparecem
+ */
+function extractCodeCandidates(text) {
+    const tokens = String(text || '')
+        .toUpperCase()
+        .split(/\s+/)
+        .map(token => token.replace(/[^A-Z0-9\-/.]/g, ''))
+        .filter(Boolean);
+
+    const candidates = new Set();
+
+    tokens.forEach((token, index) => {
+        const code = compactCode(token);
+        if (isCodeLike(code)) candidates.add(code);
+
+        const joined = compactCode(token + (tokens[index + 1] || ''));
+        if (tokens[index + 1] && isCodeLike(joined)) candidates.add(joined);
+    });
+
+    return [...candidates].slice(0, MAX_CODE_CANDIDATES);
+}
+
+/**
+ * Produto do catálogo com um dos códigos (primeiro candidato que existir)
+ * @param {array} candidates - Códigos compactos
+ * @returns {object|null} { codigo, nome, marca }
+ */
+async function findProductByCodes(candidates) {
+    if (candidates.length === 0) return null;
+
+    const rows = await db.query(
+        `SELECT codigo, nome, marca, ${COMPACT_CODE_SQL} AS codigo_compacto
+         FROM produtos
+         WHERE ativo = 1 AND ${COMPACT_CODE_SQL} IN (${candidates.map(() => '?').join(',')})`,
+        candidates
+    );
+
+    for (const candidate of candidates) {
+        const row = rows.find(item => item.codigo_compacto === candidate);
+        if (row) return row;
+    }
+
+    return null;
+}
+
+/**
+ * Marca do catálogo citada no texto
+ * @param {string} text - Texto do OCR ou marca indicada pela IA
+ * @returns {string|null} Marca como está no catálogo
+ */
+async function findBrand(text) {
+    const normalized = ` ${normalizeForSearch(text).replace(/[^a-z0-9]+/g, ' ')} `;
+    if (!normalized.trim()) return null;
+
+    const rows = await db.query(
+        "SELECT DISTINCT marca FROM produtos WHERE ativo = 1 AND marca IS NOT NULL AND marca <> ''"
+    );
+
+    const brand = rows.find(row => {
+        const name = normalizeForSearch(row.marca).replace(/[^a-z0-9]+/g, ' ').trim();
+        return name.length >= 2 && normalized.includes(` ${name} `);
+    });
+
+    return brand ? brand.marca : null;
+}
+
+/**
+ * Lê o texto da foto (falha no OCR não impede a IA)
+ * @param {object} file - Arquivo da mídia (mediaService.getMediaFile)
+ * @returns {string} Texto lido
+ */
+async function readText(file) {
+    try {
+        const result = await ocr.recognize({ path: file.path, fileName: file.nome, mimetype: file.mimetype });
+        return result.text;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`⚠️  OCR da foto de ${file.telefone} falhou:`, error.message);
+        } else if (!ocrMissingLogged) {
+            ocrMissingLogged = true;
+            logger.warn(`⚠️  ${error.message}: fotos serão identificadas só pela IA (se configurada)`);
+        }
+        return '';
+    }
+}
+
+/**
+ * Classifica a peça com o modelo com visão (se configurado e liberado
+ * para o cliente). Resposta com confiança abaixo de
+ * settings.recognition.minConfidence é descartada
+ * @param {object} file - Arquivo da mídia
+ * @param {string} ocrText - Texto lido pelo OCR
+ * @param {function} canUseAI - () => Promise<boolean> (orçamento e limites do cliente)
+ * @returns {object|null} { part, brand, code, confidence }
+ */
+async function classify(file, ocrText, canUseAI) {
+    if (!settings.recognition.visionModel || !(await canUseAI())) return null;
+
+    const data = await fs.promises.readFile(file.path, 'base64');
+    const vision = await aiService.classifyPartImage({ data, mimetype: file.mimetype }, ocrText, file.telefone);
+    if (!vision) return null;
+
+    const confidence = parseFloat(vision.confidence);
+
+    if (!(confidence >= settings.recognition.minConfidence)) {
+        logger.info(`🔎 Resposta da IA para a foto de ${file.telefone} descartada (confiança ${isNaN(confidence) ? 'n/d' : confidence.toFixed(2)}, mínimo ${settings.recognition.minConfidence})`);
+        return null;
+    }
+
+    return vision;
+}
+
+// ============================================
+// IDENTIFICAÇÃO
+// ============================================
+
+/**
+ * Identifica a peça de uma foto salva.
+ * Ordem: código do catálogo (OCR ou IA), tipo da peça
+ * pela IA e, por último, marca do catálogo lida na foto
+ * @param {object} media - Mídia registrada (saveIncomingMedia)
+ * @param {object} options - { canUseAI } (padrão: aiUsageService.checkAllowance do cliente)
+ * @returns {object|null} { query, description, code, brand, part, ocrText } ou null (nada reconhecido)
+ */
+async function identifyPart(media, options = {}) {
+    if (!settings.recognition.enabled || !media || media.tipo !== 'imagem' || media.status !== 'salva') {
+        return null;
+    }
+
+    const file = await mediaService.getMediaFile(media.id);
+    if (!file) return null;
+
+    const {
+        canUseAI = async () => (await aiUsageService.checkAllowance(file.telefone)).allowed,
+    } = options;
+
+    try {
+        const ocrText = await readText(file);
+        const vision = await classify(file, ocrText, canUseAI);
+
+        const product = await findProductByCodes([
+            ...extractCodeCandidates(ocrText),
+            ...(vision?.code ? [compactCode(vision.code)] : []),
+        ]);
+        const brand = product?.marca || await findBrand([ocrText, vision?.brand].filter(Boolean).join(' '));
+        const part = String(vision?.part || '').trim().substring(0, 100);
+
+        let identification = null;
+
+        if (product) {
+            identification = { query: product.codigo, description: `${product.nome} (${product.codigo})` };
+        } else if (part) {
+            identification = { query: part, description: brand ? `${part} ${brand}` : part };
+        } else if (brand) {
+            identification = { query: brand, description: `peça da marca ${brand}` };
+        }
+
+        const visionInfo = settings.recognition.visionModel ? (part || 'sem resposta') : 'não configurada';
+        logger.info(`🔎 Foto de ${file.telefone}: ${identification ? identification.description : 'peça não identificada'} (OCR: ${ocrText ? `${ocrText.length} caracteres` : 'sem texto'}, IA: ${visionInfo})`);
+
+        await db.update('midias', {
+            texto_reconhecido: ocrText ? ocrText.substring(0, 5000) : null,
+            identificacao: identification ? identification.description.substring(0, 255) : null,
+        }, 'id = ?', [media.id]);
+
+        if (!identification) return null;
+
+        if (media.conversaId) {
+            await db.update('conversas', { mensagem: `📷 Foto: ${identification.description}` }, 'id = ?', [media.conversaId]);
+        }
+
+        whatsappService.sendNotification('message:identification', {
+            phone: extractPhoneFromJid(file.telefone),
+            conversaId: media.conversaId,
+            mediaId: media.id,
+            text: identification.description,
+        });
+
+        return {
+            ...identification,
+            code: product ? product.codigo : null,
+            brand,
+            part: part || null,
+            ocrText,
+        };
+    } catch (error) {
+        logger.error(`Erro ao identificar peça da foto de ${file.telefone}:`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    identifyPart,
+    extractCodeCandidates,
+};
@@ -10,6 +10,7 @@
 const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { normalizeForSearch } = require('../utils/formatter');
+const promotionService = require('./promotionService');
 
 // ============================================
 // FUNÇÕES DE BUSCA (BOT E IA)
@@ -343,9 +344,13 @@ async function getActivePromotions(limit = 5) {
                 p.nome AS produto_nome,
                 p.preco AS produto_preco,
                 p.quantidade AS produto_quantidade,
-                p.codigo AS produto_codigo
+                p.codigo AS produto_codigo,
+                s.nome AS servico_nome,
+                c.nome AS categoria_nome
             FROM promocoes pr
             LEFT JOIN produtos p ON pr.produto_id = p.id
+            LEFT JOIN servicos s ON pr.servico_id = s.id
+            LEFT JOIN categorias c ON pr.categoria_id = c.id
             WHERE pr.ativo = 1
                 AND pr.data_inicio <= CURDATE()
                 AND pr.data_fim >= CURDATE()
@@ -617,6 +622,7 @@ async function smartSearch(params = {}) {
             precoMax = null,
             apenasPromocao = false,
             apenasDestaque = false,
+            ids = null,
             limit = 10
         } = params;
 
@@ -706,6 +712,16 @@ async function smartSearch(params = {}) {
             sql += ` AND p.destaque = 1`;
         }
 
+        // Restringe a IDs (resultados da busca semântica)
+        if (Array.isArray(ids)) {
+            if (ids.length === 0) {
+                return { products: [], context: { total_encontrado: 0, filtros_aplicados: {}, sugestoes: [] } };
+            }
+
+            sql += ` AND p.id IN (${ids.map(() => '?').join(', ')})`;
+            queryParams.push(...ids);
+        }
+
         sql += ` ORDER BY p.destaque DESC, p.nome ASC LIMIT ?`;
         queryParams.push(limit);
 
@@ -770,47 +786,74 @@ async function getSuggestions(term) {
 }
 
 /**
- * Obtém informações completas de um produto para a IA
+ * Calcula o preço final de um produto considerando a promoção ativa
  * @param {number} productId - ID do produto
- * @returns {object} Informações detalhadas
+ * @returns {object|null} { produto, preco, preco_final, desconto_unitario, promocao }
  */
-async function getProductDetailsForAI(productId) {
+async function getProductPrice(productId) {
     try {
         const product = await getProductById(productId);
-        
+
         if (!product) {
             return null;
         }
 
-        // Busca promoção ativa
-        const promotion = await db.queryOne(`
-            SELECT * FROM promocoes 
-            WHERE produto_id = ? 
-                AND ativo = 1 
-                AND data_inicio <= CURDATE() 
-                AND data_fim >= CURDATE()
-        `, [productId]);
+        const preco = parseFloat(product.preco);
 
-        // Busca produtos similares
-        const similar = await getSimilarProducts(productId, 3);
+        // Promoção do produto, da categoria ou geral (a mais específica vence)
+        const promotion = await promotionService.findApplicablePromotion({
+            produto_id: product.id,
+            categoria_id: product.categoria_id,
+            preco
+        });
 
-        // Calcula preço final
-        let precoFinal = product.preco;
+        let precoFinal;
         if (promotion) {
-            if (promotion.desconto_percentual > 0) {
-                precoFinal = product.preco - (product.preco * promotion.desconto_percentual / 100);
-            } else if (promotion.desconto_valor > 0) {
-                precoFinal = product.preco - promotion.desconto_valor;
-            }
+            precoFinal = promotionService.applyDiscount(preco, promotion);
         } else if (product.preco_promocional) {
-            precoFinal = product.preco_promocional;
+            precoFinal = parseFloat(product.preco_promocional);
+        } else {
+            precoFinal = preco;
         }
 
+        precoFinal = Math.max(0, Math.round(precoFinal * 100) / 100);
+
+        return {
+            produto: product,
+            preco,
+            preco_final: precoFinal,
+            desconto_unitario: Math.round((preco - precoFinal) * 100) / 100,
+            promocao: promotion
+        };
+    } catch (error) {
+        logger.error('Erro ao calcular preço do produto:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Obtém informações completas de um produto para a IA
+ * @param {number} productId - ID do produto
+ * @returns {object} Informações detalhadas
+ */
+async function getProductDetailsForAI(productId) {
+    try {
+        const price = await getProductPrice(productId);
+        
+        if (!price) {
+            return null;
+        }
+
+        const { produto: product, promocao: promotion } = price;
+
+        // Busca produtos similares
+        const similar = await getSimilarProducts(productId, 3);
+
         return {
             ...product,
             promocao: promotion,
-            preco_final: Math.round(precoFinal * 100) / 100,
-            economia: promotion ? Math.round((product.preco - precoFinal) * 100) / 100 : 0,
+            preco_final: price.preco_final,
+            economia: promotion ? price.desconto_unitario : 0,
             produtos_similares: similar,
             disponivel: product.quantidade > 0,
             estoque_baixo: product.quantidade <= product.quantidade_minima
@@ -870,6 +913,14 @@ async function getCatalogSummary() {
 // FUNÇÕES DE CRUD (PAINEL ADMIN)
 // ============================================
 
+/**
+ * Agenda atualização do índice semântico da IA
+ */
+function scheduleIndexSync() {
+    // require tardio: o índice usa este serviço na busca híbrida
+    require('./catalogIndexService').scheduleSync();
+}
+
 /**
  * Lista produtos com paginação e filtros (para admin)
  * @param {object} options - Opções de listagem
@@ -1008,6 +1059,7 @@ async function createProduct(data) {
         });
 
         logger.info(`Produto criado: ID ${productId} - ${nome}`);
+        scheduleIndexSync();
         return productId;
     } catch (error) {
         logger.error('Erro ao criar produto:', error.message);
@@ -1063,6 +1115,7 @@ async function updateProduct(id, data) {
         
         if (affected > 0) {
             logger.info(`Produto atualizado: ID ${id}`);
+            scheduleIndexSync();
         }
 
         return affected > 0;
@@ -1088,6 +1141,7 @@ async function deleteProduct(id) {
 
         if (affected > 0) {
             logger.info(`Produto desativado: ID ${id}`);
+            scheduleIndexSync();
         }
 
         return affected > 0;
@@ -1108,6 +1162,7 @@ async function hardDeleteProduct(id) {
 
         if (affected > 0) {
             logger.info(`Produto excluído permanentemente: ID ${id}`);
+            scheduleIndexSync();
         }
 
         return affected > 0;
@@ -1338,6 +1393,7 @@ async function updateCategory(id, data) {
         
         if (affected > 0) {
             logger.info(`Categoria atualizada: ID ${id}`);
+            scheduleIndexSync();
         }
 
         return affected > 0;
@@ -1442,6 +1498,7 @@ module.exports = {
     
     // IA
     smartSearch,
+    getProductPrice,
     getProductDetailsForAI,
     getCatalogSummary,
     
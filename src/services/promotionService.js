@@ -0,0 +1,527 @@
+/**
+ * ============================================
+ * SERVIÇO DE PROMOÇÕES
+ * ============================================
+ *
+ * CRUD de promoções (produto, serviço, categoria
+ * ou geral), validação de períodos sobrepostos e
+ * resolução da promoção que vale para um item.
+ */
+
+const dayjs = require('dayjs');
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const PROMOTION_TYPES = ['produto', 'servico', 'categoria', 'geral'];
+
+// Campo alvo de cada tipo (geral vale para toda a loja)
+const TARGET_FIELDS = {
+    produto: 'produto_id',
+    servico: 'servico_id',
+    categoria: 'categoria_id',
+    geral: null,
+};
+
+// Campos comuns das consultas (datas como texto para não sofrer com fuso)
+const SELECT_FIELDS = `
+    pr.*,
+    DATE_FORMAT(pr.data_inicio, '%Y-%m-%d') AS data_inicio,
+    DATE_FORMAT(pr.data_fim, '%Y-%m-%d') AS data_fim,
+    p.nome AS produto_nome,
+    p.codigo AS produto_codigo,
+    s.nome AS servico_nome,
+    s.codigo AS servico_codigo,
+    c.nome AS categoria_nome,
+    CASE
+        WHEN pr.ativo = 0 THEN 'inativa'
+        WHEN pr.data_fim < CURDATE() THEN 'expirada'
+        WHEN pr.data_inicio > CURDATE() THEN 'agendada'
+        ELSE 'ativa'
+    END AS situacao
+`;
+
+const FROM_CLAUSE = `
+    FROM promocoes pr
+    LEFT JOIN produtos p ON pr.produto_id = p.id
+    LEFT JOIN servicos s ON pr.servico_id = s.id
+    LEFT JOIN categorias c ON pr.categoria_id = c.id
+`;
+
+// ============================================
+// CÁLCULO DE PREÇO
+// ============================================
+
+/**
+ * Aplica desconto da promoção a um preço
+ * @param {number} preco - Preço base
+ * @param {object|null} promotion - Promoção
+ * @returns {number} Preço com desconto (mínimo 0, 2 casas)
+ */
+function applyDiscount(preco, promotion) {
+    let precoFinal = preco;
+
+    if (promotion) {
+        if (parseFloat(promotion.desconto_percentual) > 0) {
+            precoFinal = preco - (preco * parseFloat(promotion.desconto_percentual) / 100);
+        } else if (parseFloat(promotion.desconto_valor) > 0) {
+            precoFinal = preco - parseFloat(promotion.desconto_valor);
+        }
+    }
+
+    return Math.max(0, Math.round(precoFinal * 100) / 100);
+}
+
+/**
+ * Busca a promoção vigente que se aplica a um item.
+ * A mais específica vence: produto/serviço, depois
+ * categoria, depois geral. No mesmo nível, vale o
+ * maior desconto.
+ * @param {object} item - { produto_id, servico_id, categoria_id, preco }
+ * @returns {object|null} Promoção aplicável ou null
+ */
+async function findApplicablePromotion(item) {
+    try {
+        const conditions = [`pr.tipo = 'geral'`];
+        const params = [];
+
+        if (item.produto_id) {
+            conditions.push(`(pr.tipo = 'produto' AND pr.produto_id = ?)`);
+            params.push(item.produto_id);
+
+            // Categoria de promoções refere-se às categorias de produtos
+            if (item.categoria_id) {
+                conditions.push(`(pr.tipo = 'categoria' AND pr.categoria_id = ?)`);
+                params.push(item.categoria_id);
+            }
+        }
+
+        if (item.servico_id) {
+            conditions.push(`(pr.tipo = 'servico' AND pr.servico_id = ?)`);
+            params.push(item.servico_id);
+        }
+
+        const promotions = await db.query(`
+            SELECT pr.*
+            FROM promocoes pr
+            WHERE pr.ativo = 1
+                AND pr.data_inicio <= CURDATE()
+                AND pr.data_fim >= CURDATE()
+                AND (${conditions.join(' OR ')})
+            ORDER BY FIELD(pr.tipo, 'produto', 'servico', 'categoria', 'geral')
+        `, params);
+
+        if (promotions.length === 0) {
+            return null;
+        }
+
+        // Mesmo nível de especificidade: escolhe o maior desconto
+        const best = promotions.filter(promo => promo.tipo === promotions[0].tipo);
+        const preco = parseFloat(item.preco) || 0;
+
+        return best.reduce((winner, promo) =>
+            applyDiscount(preco, promo) < applyDiscount(preco, winner) ? promo : winner
+        );
+    } catch (error) {
+        logger.error('Erro ao buscar promoção aplicável:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// VALIDAÇÃO
+// ============================================
+
+/**
+ * Normaliza e valida dados da promoção
+ * @param {object} data - Dados recebidos
+ * @param {number} excludeId - ID a ignorar na checagem de sobreposição
+ * @returns {object} Dados prontos para gravar
+ */
+async function validatePromotion(data, excludeId = null) {
+    const tipo = data.tipo || 'produto';
+
+    if (!PROMOTION_TYPES.includes(tipo)) {
+        throw new Error('Tipo de promoção inválido');
+    }
+
+    if (!data.titulo || !String(data.titulo).trim()) {
+        throw new Error('Título é obrigatório');
+    }
+
+    // Alvo: apenas o campo do tipo é mantido
+    const target = { produto_id: null, servico_id: null, categoria_id: null };
+    const targetField = TARGET_FIELDS[tipo];
+
+    if (targetField) {
+        const targetId = parseInt(data[targetField]);
+        if (!targetId) {
+            throw new Error(`Campo ${targetField} é obrigatório para promoção do tipo ${tipo}`);
+        }
+
+        const table = { produto_id: 'produtos', servico_id: 'servicos', categoria_id: 'categorias' }[targetField];
+        if (!(await db.exists(table, 'id = ?', [targetId]))) {
+            throw new Error(`${tipo === 'categoria' ? 'Categoria' : tipo === 'servico' ? 'Serviço' : 'Produto'} não encontrado`);
+        }
+
+        target[targetField] = targetId;
+    }
+
+    // Desconto: percentual OU valor fixo
+    const percentual = data.desconto_percentual !== undefined && data.desconto_percentual !== null && data.desconto_percentual !== ''
+        ? parseFloat(data.desconto_percentual)
+        : null;
+    const valor = data.desconto_valor !== undefined && data.desconto_valor !== null && data.desconto_valor !== ''
+        ? parseFloat(data.desconto_valor)
+        : null;
+
+    if ((percentual === null) === (valor === null)) {
+        throw new Error('Desconto inválido: informe percentual ou valor (apenas um)');
+    }
+
+    if (percentual !== null && (isNaN(percentual) || percentual <= 0 || percentual > 100)) {
+        throw new Error('Desconto percentual inválido (deve ser entre 0 e 100)');
+    }
+
+    if (valor !== null && (isNaN(valor) || valor <= 0)) {
+        throw new Error('Desconto em valor inválido');
+    }
+
+    // Período
+    const inicio = dayjs(data.data_inicio);
+    const fim = dayjs(data.data_fim);
+
+    if (!data.data_inicio || !data.data_fim) {
+        throw new Error('Datas de início e fim são obrigatórias');
+    }
+
+    if (!inicio.isValid() || !fim.isValid()) {
+        throw new Error('Data inválida');
+    }
+
+    if (fim.isBefore(inicio, 'day')) {
+        throw new Error('Data final inválida: anterior à data de início');
+    }
+
+    const promotion = {
+        tipo,
+        ...target,
+        titulo: String(data.titulo).trim(),
+        descricao: data.descricao || null,
+        desconto_percentual: percentual,
+        desconto_valor: valor,
+        data_inicio: inicio.format('YYYY-MM-DD'),
+        data_fim: fim.format('YYYY-MM-DD'),
+        ativo: data.ativo === undefined ? 1 : (data.ativo === true || data.ativo === 1 || data.ativo === '1' || data.ativo === 'true' ? 1 : 0),
+    };
+
+    if (promotion.ativo) {
+        await checkOverlap(promotion, excludeId);
+    }
+
+    return promotion;
+}
+
+/**
+ * Garante que o mesmo alvo não tenha promoções ativas com períodos sobrepostos
+ * @param {object} promotion - Promoção normalizada
+ * @param {number} excludeId - ID a ignorar (edição)
+ */
+async function checkOverlap(promotion, excludeId = null) {
+    const targetField = TARGET_FIELDS[promotion.tipo];
+    const params = [promotion.tipo, promotion.data_fim, promotion.data_inicio];
+
+    let sql = `
+        SELECT id, titulo,
+            DATE_FORMAT(data_inicio, '%d/%m/%Y') AS inicio,
+            DATE_FORMAT(data_fim, '%d/%m/%Y') AS fim
+        FROM promocoes
+        WHERE tipo = ?
+            AND ativo = 1
+            AND data_inicio <= ?
+            AND data_fim >= ?
+    `;
+
+    if (targetField) {
+        sql += ` AND ${targetField} = ?`;
+        params.push(promotion[targetField]);
+    }
+
+    if (excludeId) {
+        sql += ' AND id != ?';
+        params.push(excludeId);
+    }
+
+    const conflict = await db.queryOne(`${sql} LIMIT 1`, params);
+
+    if (conflict) {
+        throw new Error(
+            `Já existe promoção ativa no período: "${conflict.titulo}" (${conflict.inicio} a ${conflict.fim})`
+        );
+    }
+}
+
+// ============================================
+// FUNÇÕES DE CONSULTA
+// ============================================
+
+/**
+ * Lista promoções com paginação e filtros
+ * @param {object} options - { page, limit, search, tipo, situacao }
+ * @returns {object} { data, pagination }
+ */
+async function listPromotions(options = {}) {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search = '',
+            tipo = null,
+            situacao = null
+        } = options;
+
+        const offset = (page - 1) * limit;
+        let whereClause = '1=1';
+        const params = [];
+
+        if (search) {
+            whereClause += ` AND (
+                LOWER(pr.titulo) LIKE LOWER(?)
+                OR LOWER(p.nome) LIKE LOWER(?)
+                OR LOWER(s.nome) LIKE LOWER(?)
+            )`;
+            const searchPattern = `%${search}%`;
+            params.push(searchPattern, searchPattern, searchPattern);
+        }
+
+        if (tipo) {
+            whereClause += ' AND pr.tipo = ?';
+            params.push(tipo);
+        }
+
+        const situacaoFilters = {
+            ativa: 'pr.ativo = 1 AND pr.data_inicio <= CURDATE() AND pr.data_fim >= CURDATE()',
+            agendada: 'pr.ativo = 1 AND pr.data_inicio > CURDATE()',
+            expirada: 'pr.ativo = 1 AND pr.data_fim < CURDATE()',
+            inativa: 'pr.ativo = 0',
+        };
+
+        if (situacao && situacaoFilters[situacao]) {
+            whereClause += ` AND ${situacaoFilters[situacao]}`;
+        }
+
+        const countResult = await db.queryOne(`
+            SELECT COUNT(*) as total
+            ${FROM_CLAUSE}
+            WHERE ${whereClause}
+        `, params);
+
+        const total = countResult.total;
+
+        const promotions = await db.query(`
+            SELECT ${SELECT_FIELDS}
+            ${FROM_CLAUSE}
+            WHERE ${whereClause}
+            ORDER BY pr.data_inicio DESC, pr.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        return {
+            data: promotions,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    } catch (error) {
+        logger.error('Erro ao listar promoções:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Busca promoção por ID
+ * @param {number} id - ID da promoção
+ * @returns {object|null} Promoção ou null
+ */
+async function getPromotionById(id) {
+    try {
+        return await db.queryOne(`
+            SELECT ${SELECT_FIELDS}
+            ${FROM_CLAUSE}
+            WHERE pr.id = ?
+        `, [id]);
+    } catch (error) {
+        logger.error('Erro ao buscar promoção:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// FUNÇÕES DE CRUD
+// ============================================
+
+/**
+ * Cria nova promoção
+ * @param {object} data - Dados da promoção
+ * @returns {number} ID da promoção criada
+ */
+async function createPromotion(data) {
+    try {
+        const promotion = await validatePromotion(data);
+        const promotionId = await db.insert('promocoes', promotion);
+
+        logger.info(`Promoção criada: ${promotion.titulo} (ID: ${promotionId})`);
+        return promotionId;
+    } catch (error) {
+        logger.error('Erro ao criar promoção:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza promoção
+ * @param {number} id - ID da promoção
+ * @param {object} data - Dados para atualizar
+ * @returns {boolean} Sucesso da operação
+ */
+async function updatePromotion(id, data) {
+    try {
+        const current = await getPromotionById(id);
+        if (!current) {
+            throw new Error('Promoção não encontrada');
+        }
+
+        // Trocar o tipo de desconto zera o outro
+        const merged = { ...current, ...data };
+        if (data.desconto_percentual !== undefined && data.desconto_valor === undefined) {
+            merged.desconto_valor = null;
+        }
+        if (data.desconto_valor !== undefined && data.desconto_percentual === undefined) {
+            merged.desconto_percentual = null;
+        }
+
+        const promotion = await validatePromotion(merged, id);
+        const affected = await db.update('promocoes', promotion, 'id = ?', [id]);
+
+        if (affected > 0) {
+            logger.info(`Promoção atualizada: ID ${id}`);
+        }
+
+        return affected > 0;
+    } catch (error) {
+        logger.error('Erro ao atualizar promoção:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Ativa/desativa promoção
+ * @param {number} id - ID da promoção
+ * @returns {object} Promoção atualizada
+ */
+async function togglePromotion(id) {
+    try {
+        const current = await getPromotionById(id);
+        if (!current) {
+            throw new Error('Promoção não encontrada');
+        }
+
+        // Reativar exige período livre
+        if (!current.ativo) {
+            await checkOverlap(current, id);
+        }
+
+        await db.update('promocoes', { ativo: current.ativo ? 0 : 1 }, 'id = ?', [id]);
+
+        logger.info(`Promoção ${id} ${current.ativo ? 'desativada' : 'ativada'}`);
+        return await getPromotionById(id);
+    } catch (error) {
+        logger.error('Erro ao alternar promoção:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remove promoção
+ * @param {number} id - ID da promoção
+ * @returns {boolean} Sucesso da operação
+ */
+async function deletePromotion(id) {
+    try {
+        const affected = await db.remove('promocoes', 'id = ?', [id]);
+
+        if (affected > 0) {
+            logger.info(`Promoção excluída: ID ${id}`);
+        }
+
+        return affected > 0;
+    } catch (error) {
+        logger.error('Erro ao excluir promoção:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// FUNÇÕES DE ESTATÍSTICAS
+// ============================================
+
+/**
+ * Obtém estatísticas de promoções
+ * @returns {object} Estatísticas
+ */
+async function getStatistics() {
+    try {
+        const stats = await db.queryOne(`
+            SELECT
+                SUM(ativo = 1 AND data_inicio <= CURDATE() AND data_fim >= CURDATE()) AS ativas,
+                SUM(ativo = 1 AND data_inicio > CURDATE()) AS agendadas,
+                SUM(ativo = 1 AND data_fim < CURDATE()) AS expiradas,
+                SUM(ativo = 0) AS inativas,
+                COUNT(*) AS total
+            FROM promocoes
+        `);
+
+        return {
+            ativas: parseInt(stats.ativas) || 0,
+            agendadas: parseInt(stats.agendadas) || 0,
+            expiradas: parseInt(stats.expiradas) || 0,
+            inativas: parseInt(stats.inativas) || 0,
+            total: stats.total || 0
+        };
+    } catch (error) {
+        logger.error('Erro ao obter estatísticas de promoções:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Preço
+    applyDiscount,
+    findApplicablePromotion,
+
+    // Consulta
+    listPromotions,
+    getPromotionById,
+
+    // CRUD
+    createPromotion,
+    updatePromotion,
+    togglePromotion,
+    deletePromotion,
+    validatePromotion,
+
+    // Estatísticas
+    getStatistics,
+
+    // Constantes
+    PROMOTION_TYPES,
+};
@@ -0,0 +1,265 @@
+/**
+ * ============================================
+ * SERVIÇO DE SUGESTÕES DE RESPOSTA
+ * ============================================
+ *
+ * Rascunhos de resposta para o atendente humano
+ * (conversa em atendimento): histórico recente +
+ * produtos do catálogo com preço e estoque do
+ * momento. Registra qual rascunho foi enviado e
+ * se o atendente editou o texto.
+ */
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { extractPhoneFromJid, formatCurrency } = require('../utils/formatter');
+const aiService = require('./aiService');
+const aiUsageService = require('./aiUsageService');
+const productService = require('./productService');
+const catalogIndexService = require('./catalogIndexService');
+const llm = require('./llm');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Mensagens lidas para montar as sugestões
+const HISTORY_LIMIT = 20;
+
+// Mensagens do cliente usadas na busca do catálogo
+const SEARCH_MESSAGES = 2;
+
+// Produtos oferecidos nos rascunhos
+const MAX_PRODUCTS = 3;
+
+// Rascunhos por pedido (mínimo e máximo)
+const MIN_DRAFTS = 2;
+const MAX_DRAFTS = 3;
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Converte coluna JSON para valor
+ * @param {*} value - Valor gravado
+ * @param {*} fallback - Valor quando vazio/inválido
+ * @returns {*} Valor convertido
+ */
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    if (typeof value === 'object') return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Verifica se a IA pode ser usada (configurada e dentro do orçamento)
+ * @returns {boolean} Se pode usar
+ */
+async function canUseAI() {
+    if (!llm.isConfigured()) return false;
+
+    const budget = await aiUsageService.getBudgetStatus();
+    return !budget.exceeded;
+}
+
+/**
+ * Compara textos ignorando espaços e maiúsculas
+ * @param {string} a - Texto
+ * @param {string} b - Texto
+ * @returns {boolean} Se são iguais
+ */
+function sameText(a, b) {
+    const normalize = text => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    return normalize(a) === normalize(b);
+}
+
+/**
+ * Produtos do catálogo relacionados às últimas mensagens do cliente
+ * @param {array} messages - Histórico (ordem cronológica)
+ * @returns {array} [{ id, codigo, nome, marca, preco, preco_final, quantidade, disponivel, estoque_baixo, em_promocao }]
+ */
+async function findProducts(messages) {
+    const query = messages
+        .filter(m => m.tipo === 'entrada' && m.mensagem.trim().length > 3 && !/^\d+$/.test(m.mensagem.trim()))
+        .slice(-SEARCH_MESSAGES)
+        .map(m => m.mensagem.trim())
+        .join(' ');
+
+    if (!query) return [];
+
+    try {
+        const results = await catalogIndexService.hybridSearch(query, { tipo: 'produto', limit: MAX_PRODUCTS });
+        const products = [];
+
+        // Preço (com promoção) e estoque do momento
+        for (const item of results.items) {
+            const details = await productService.getProductDetailsForAI(item.id);
+            if (!details) continue;
+
+            products.push({
+                id: details.id,
+                codigo: details.codigo,
+                nome: details.nome,
+                marca: details.marca || null,
+                preco: parseFloat(details.preco),
+                preco_final: parseFloat(details.preco_final),
+                quantidade: details.quantidade,
+                disponivel: details.disponivel,
+                estoque_baixo: !!details.estoque_baixo,
+                em_promocao: !!details.promocao,
+            });
+        }
+
+        return products;
+    } catch (error) {
+        logger.error('Erro ao buscar produtos para sugestões:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Rascunhos sem IA (produtos encontrados, dado que falta, próximo passo)
+ * @param {array} products - Produtos encontrados
+ * @param {object} customer - { nome, veiculo }
+ * @returns {array} Rascunhos
+ */
+function buildFallbackDrafts(products, customer) {
+    const firstName = customer && customer.nome ? customer.nome.split(' ')[0] : '';
+    const greeting = firstName ? `${firstName}, ` : '';
+    const drafts = [];
+
+    const available = products.filter(product => product.disponivel);
+
+    if (available.length > 0) {
+        const list = available
+            .map(product => `${product.nome}${product.marca ? ` (${product.marca})` : ''} por ${formatCurrency(product.preco_final)}` +
+                `${product.estoque_baixo ? ' (últimas unidades)' : ''}`)
+            .join('; ');
+
+        drafts.push(`${greeting}temos em estoque: ${list}. Quer que eu separe para você?`);
+    } else if (products.length > 0) {
+        drafts.push(`${greeting}no momento estamos sem ${products[0].nome} em estoque. Posso verificar a previsão de chegada ou um similar para você?`);
+    }
+
+    if (!customer || !customer.veiculo) {
+        drafts.push(`${greeting}para confirmar a compatibilidade, qual é o modelo, o ano e o motor do seu carro?`);
+    } else {
+        drafts.push(`${greeting}vou conferir a compatibilidade com o seu ${customer.veiculo} e já te retorno, tudo bem?`);
+    }
+
+    drafts.push(`${greeting}posso ajudar com mais alguma coisa? Se quiser, já monto o orçamento com os itens.`);
+
+    // Sem nome do cliente o rascunho começa em minúscula
+    return drafts.map(draft => draft.charAt(0).toUpperCase() + draft.slice(1));
+}
+
+// ============================================
+// SUGESTÕES
+// ============================================
+
+/**
+ * Gera rascunhos de resposta para a conversa em atendimento
+ * @param {string} phone - Telefone do cliente
+ * @param {object} options - { atendente } nome de quem pediu
+ * @returns {object} { id, sugestoes, produtos, origem }
+ */
+async function generateSuggestions(phone, options = {}) {
+    try {
+        const cleanPhone = extractPhoneFromJid(phone);
+
+        const customer = await db.queryOne('SELECT nome, veiculo FROM clientes WHERE telefone = ?', [cleanPhone]);
+        const attendance = await db.queryOne(`
+            SELECT id FROM atendimentos
+            WHERE telefone = ? AND status = 'em_atendimento'
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [cleanPhone]);
+
+        const messages = (await db.query(`
+            SELECT mensagem, tipo, origem
+            FROM conversas
+            WHERE telefone = ?
+            ORDER BY id DESC
+            LIMIT ?
+        `, [cleanPhone, HISTORY_LIMIT])).reverse();
+
+        const products = await findProducts(messages);
+
+        const aiDrafts = await canUseAI()
+            ? await aiService.draftReplies(messages, products, {
+                cliente: customer && customer.nome,
+                veiculo: customer && customer.veiculo,
+                atendente: options.atendente,
+            }, cleanPhone)
+            : [];
+
+        // IA com poucas opções: completa com os rascunhos automáticos
+        const drafts = aiDrafts.length >= MIN_DRAFTS
+            ? aiDrafts.slice(0, MAX_DRAFTS)
+            : [...aiDrafts, ...buildFallbackDrafts(products, customer)].slice(0, MAX_DRAFTS);
+        const origem = aiDrafts.length > 0 ? 'ia' : 'automatico';
+
+        const id = await db.insert('sugestoes_resposta', {
+            telefone: cleanPhone,
+            atendimento_id: attendance ? attendance.id : null,
+            sugestoes: JSON.stringify(drafts),
+            produtos: JSON.stringify(products),
+            origem,
+        });
+
+        logger.info(`💡 Sugestões de resposta geradas: ${cleanPhone} (${drafts.length}, ${origem})`);
+
+        return { id, sugestoes: drafts, produtos: products, origem };
+    } catch (error) {
+        logger.error('Erro ao gerar sugestões de resposta:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Registra o envio de um rascunho (aceito como está ou editado)
+ * @param {number} suggestionId - ID das sugestões
+ * @param {object} choice - { message, index, atendente } texto enviado e rascunho escolhido
+ * @returns {boolean} Se registrou (false: não existe ou já registrado)
+ */
+async function recordChoice(suggestionId, choice = {}) {
+    try {
+        const row = await db.queryOne('SELECT id, sugestoes, enviada_em FROM sugestoes_resposta WHERE id = ?', [suggestionId]);
+
+        if (!row || row.enviada_em) return false;
+
+        const drafts = parseJson(row.sugestoes, []);
+        let index = Number.isInteger(choice.index) && drafts[choice.index] !== undefined ? choice.index : null;
+
+        // Sem índice: reconhece o rascunho pelo texto enviado
+        if (index === null) {
+            const found = drafts.findIndex(draft => sameText(draft, choice.message));
+            index = found >= 0 ? found : null;
+        }
+
+        await db.update('sugestoes_resposta', {
+            escolhida: index,
+            editada: index !== null && !sameText(drafts[index], choice.message) ? 1 : 0,
+            mensagem_enviada: choice.message || null,
+            atendente: choice.atendente || null,
+            enviada_em: new Date(),
+        }, 'id = ?', [row.id]);
+
+        return true;
+    } catch (error) {
+        logger.error('Erro ao registrar sugestão enviada:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Sugestões
+    generateSuggestions,
+    recordChoice,
+};
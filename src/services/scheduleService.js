@@ -0,0 +1,526 @@
+/**
+ * ============================================
+ * SERVIÇO DE HORÁRIO DE FUNCIONAMENTO
+ * ============================================
+ *
+ * Intervalos por dia da semana, fuso horário e
+ * feriados/exceções editáveis pelo painel.
+ * Assim como os textos do bot, a carga altera
+ * settings.schedule em memória (sem reiniciar).
+ */
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings, WEEK_DAYS } = require('../config/settings');
+const {
+    timeToMinutes,
+    isWithinBusinessHours,
+    getNextOpening,
+    formatNextOpening,
+    getZonedDateTime,
+} = require('../utils/helpers');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Chaves em configuracoes
+const HOURS_KEY = 'horario_semana';
+const TIMEZONE_KEY = 'horario_fuso';
+
+// Máximo de intervalos por dia (ex: manhã, tarde e noite)
+const MAX_INTERVALS_PER_DAY = 4;
+
+// Campos de feriado formatados para o bot (DATE/TIME viram texto)
+const HOLIDAY_FIELDS = `
+    id,
+    DATE_FORMAT(data, '%Y-%m-%d') AS data,
+    descricao,
+    recorrente,
+    fechado,
+    TIME_FORMAT(hora_inicio, '%H:%i') AS hora_inicio,
+    TIME_FORMAT(hora_fim, '%H:%i') AS hora_fim,
+    updated_at
+`;
+
+// Padrões de settings.js (cópia feita antes de qualquer recarga)
+const DEFAULT_HOURS = JSON.parse(JSON.stringify(settings.schedule.hours));
+const DEFAULT_TIMEZONE = settings.schedule.timezone;
+
+// Assinatura da última carga (detecta alterações feitas por outro processo)
+let lastSignature = null;
+
+// ============================================
+// VALIDAÇÃO
+// ============================================
+
+/**
+ * Verifica formato HH:MM
+ * @param {string} time - Horário
+ * @returns {boolean}
+ */
+function isValidTime(time) {
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(time || ''));
+}
+
+/**
+ * Valida fuso horário (nomes IANA, ex: America/Sao_Paulo)
+ * @param {string} timezone - Fuso horário
+ * @returns {string} Fuso validado
+ */
+function validateTimezone(timezone) {
+    const value = String(timezone || '').trim();
+
+    if (!value) {
+        throw new Error('Fuso horário é obrigatório');
+    }
+
+    try {
+        new Intl.DateTimeFormat('pt-BR', { timeZone: value });
+    } catch (error) {
+        throw new Error(`Fuso horário inválido: ${value}`);
+    }
+
+    return value;
+}
+
+/**
+ * Valida e normaliza intervalos de um dia
+ * @param {string} day - Dia (seg, ter...)
+ * @param {array} intervals - [{ inicio, fim }]
+ * @returns {array} Intervalos ordenados
+ */
+function validateDayIntervals(day, intervals) {
+    if (!Array.isArray(intervals)) {
+        throw new Error(`Horários de ${day} inválidos`);
+    }
+
+    if (intervals.length > MAX_INTERVALS_PER_DAY) {
+        throw new Error(`Máximo de ${MAX_INTERVALS_PER_DAY} intervalos por dia (${day} inválido)`);
+    }
+
+    const normalized = intervals
+        .map(interval => ({ inicio: interval?.inicio, fim: interval?.fim }))
+        .sort((a, b) => String(a.inicio).localeCompare(String(b.inicio)));
+
+    normalized.forEach((interval, index) => {
+        if (!isValidTime(interval.inicio) || !isValidTime(interval.fim)) {
+            throw new Error(`Horário inválido em ${day}: use HH:MM`);
+        }
+
+        if (timeToMinutes(interval.inicio) >= timeToMinutes(interval.fim)) {
+            throw new Error(`Intervalo inválido em ${day}: ${interval.inicio} às ${interval.fim}`);
+        }
+
+        const previous = normalized[index - 1];
+        if (previous && timeToMinutes(interval.inicio) < timeToMinutes(previous.fim)) {
+            throw new Error(`Intervalos sobrepostos em ${day} (horário inválido)`);
+        }
+    });
+
+    return normalized;
+}
+
+/**
+ * Valida horário semanal completo
+ * @param {object} hours - { seg: [...], ..., dom: [...] } (dias ausentes = fechado)
+ * @returns {object} Horário normalizado com os 7 dias
+ */
+function validateHours(hours) {
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+        throw new Error('Horário semanal inválido');
+    }
+
+    const unknown = Object.keys(hours).filter(day => !WEEK_DAYS.includes(day));
+    if (unknown.length > 0) {
+        throw new Error(`Dia inválido: ${unknown.join(', ')}. Use: ${WEEK_DAYS.join(', ')}`);
+    }
+
+    const normalized = Object.fromEntries(
+        WEEK_DAYS.map(day => [day, validateDayIntervals(day, hours[day] || [])])
+    );
+
+    if (WEEK_DAYS.every(day => normalized[day].length === 0)) {
+        throw new Error('Informe ao menos um dia de funcionamento (horário obrigatório)');
+    }
+
+    return normalized;
+}
+
+/**
+ * Valida dados de feriado/exceção
+ * @param {object} data - { data, descricao, recorrente, fechado, hora_inicio, hora_fim }
+ * @returns {object} Dados prontos para gravar
+ */
+function validateHoliday(data) {
+    const date = String(data.data || '').trim();
+    const descricao = String(data.descricao || '').trim();
+    const fechado = data.fechado === undefined ? 1 : (data.fechado === true || data.fechado === 'true' || data.fechado === 1 || data.fechado === '1' ? 1 : 0);
+
+    if (!date || !descricao) {
+        throw new Error('Data e descrição são obrigatórias');
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T12:00:00Z`).getTime())) {
+        throw new Error('Data inválida: use AAAA-MM-DD');
+    }
+
+    const holiday = {
+        data: date,
+        descricao: descricao.substring(0, 100),
+        recorrente: data.recorrente === true || data.recorrente === 'true' || data.recorrente === 1 || data.recorrente === '1' ? 1 : 0,
+        fechado,
+        hora_inicio: null,
+        hora_fim: null,
+    };
+
+    // Horário especial (ex: véspera de Natal até 12:00)
+    if (!fechado) {
+        const [interval] = validateDayIntervals(date, [{ inicio: data.hora_inicio, fim: data.hora_fim }]);
+        holiday.hora_inicio = interval.inicio;
+        holiday.hora_fim = interval.fim;
+    }
+
+    return holiday;
+}
+
+// ============================================
+// CARGA E RECARGA
+// ============================================
+
+/**
+ * Atualiza o resumo usado nas mensagens ({startTime}, {endTime}, {workDays})
+ */
+function syncScheduleSummary() {
+    const { hours } = settings.schedule;
+    const intervals = WEEK_DAYS.flatMap(day => hours[day]);
+
+    settings.schedule.workDays = [...WEEK_DAYS.slice(1), WEEK_DAYS[0]].filter(day => hours[day].length > 0);
+
+    if (intervals.length > 0) {
+        settings.schedule.startTime = intervals.map(i => i.inicio).sort()[0];
+        settings.schedule.endTime = intervals.map(i => i.fim).sort().reverse()[0];
+    }
+}
+
+/**
+ * Carrega horário, fuso e feriados do banco para settings.schedule
+ * @returns {object} { customHours, timezone, holidays }
+ */
+async function loadSchedule() {
+    try {
+        const rows = await db.query(`
+            SELECT chave, valor, updated_at
+            FROM configuracoes
+            WHERE chave IN (?, ?)
+        `, [HOURS_KEY, TIMEZONE_KEY]);
+
+        const values = Object.fromEntries(rows.map(row => [row.chave, row.valor]));
+
+        let customHours = false;
+        settings.schedule.hours = JSON.parse(JSON.stringify(DEFAULT_HOURS));
+
+        if (values[HOURS_KEY]) {
+            try {
+                settings.schedule.hours = validateHours(JSON.parse(values[HOURS_KEY]));
+                customHours = true;
+            } catch (hoursError) {
+                logger.warn(`Horário salvo ignorado (usando padrão): ${hoursError.message}`);
+            }
+        }
+
+        settings.schedule.timezone = DEFAULT_TIMEZONE;
+
+        if (values[TIMEZONE_KEY]) {
+            try {
+                settings.schedule.timezone = validateTimezone(values[TIMEZONE_KEY]);
+            } catch (timezoneError) {
+                logger.warn(`Fuso salvo ignorado (usando padrão): ${timezoneError.message}`);
+            }
+        }
+
+        const holidays = await db.query(`SELECT ${HOLIDAY_FIELDS} FROM feriados ORDER BY data ASC`);
+        settings.schedule.holidays = holidays.map(holiday => ({
+            ...holiday,
+            recorrente: !!holiday.recorrente,
+            fechado: !!holiday.fechado,
+        }));
+
+        syncScheduleSummary();
+        lastSignature = buildSignature(rows, holidays);
+
+        logger.debug(`Horário carregado: ${customHours ? 'personalizado' : 'padrão'}, fuso ${settings.schedule.timezone}, ${holidays.length} feriado(s)`);
+
+        return {
+            customHours,
+            timezone: settings.schedule.timezone,
+            holidays: holidays.length,
+        };
+    } catch (error) {
+        logger.error('Erro ao carregar horário de funcionamento:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Monta assinatura das linhas carregadas
+ * @param {array} rows - Linhas de configuracoes
+ * @param {array} holidays - Feriados
+ * @returns {string} Assinatura
+ */
+function buildSignature(rows, holidays) {
+    const latest = [...rows, ...holidays].reduce((max, row) => {
+        const time = new Date(row.updated_at).getTime() || 0;
+        return time > max ? time : max;
+    }, 0);
+
+    return `${rows.length}:${holidays.length}:${latest}`;
+}
+
+/**
+ * Recarrega somente se algo mudou no banco desde a última carga
+ * @returns {boolean} Se houve recarga
+ */
+async function reloadIfChanged() {
+    try {
+        const rows = await db.query(`
+            SELECT chave, updated_at
+            FROM configuracoes
+            WHERE chave IN (?, ?)
+        `, [HOURS_KEY, TIMEZONE_KEY]);
+
+        const holidays = await db.query('SELECT updated_at FROM feriados');
+
+        if (buildSignature(rows, holidays) === lastSignature) {
+            return false;
+        }
+
+        await loadSchedule();
+        logger.info('🔄 Horário de funcionamento recarregado');
+        return true;
+    } catch (error) {
+        logger.error('Erro ao verificar horário de funcionamento:', error.message);
+        return false;
+    }
+}
+
+// ============================================
+// HORÁRIO SEMANAL
+// ============================================
+
+/**
+ * Retorna horário atual, padrão e situação da loja
+ * @returns {object} Horário de funcionamento
+ */
+function getSchedule() {
+    const opening = getNextOpening();
+
+    return {
+        horarios: settings.schedule.hours,
+        padrao: DEFAULT_HOURS,
+        fuso: settings.schedule.timezone,
+        agora: getZonedDateTime(),
+        aberto: isWithinBusinessHours(),
+        proximaAbertura: opening ? { ...opening, texto: formatNextOpening(opening) } : null,
+    };
+}
+
+/**
+ * Atualiza horário semanal e/ou fuso horário
+ * @param {object} data - { horarios, fuso }
+ * @returns {object} Horário atualizado
+ */
+async function updateSchedule(data) {
+    try {
+        const { horarios, fuso } = data;
+
+        if (horarios === undefined && fuso === undefined) {
+            throw new Error('Informe horarios ou fuso (campo obrigatório)');
+        }
+
+        // Valida tudo antes de gravar
+        const hours = horarios !== undefined ? validateHours(horarios) : null;
+        const timezone = fuso !== undefined ? validateTimezone(fuso) : null;
+
+        if (hours) {
+            await db.upsert('configuracoes', {
+                chave: HOURS_KEY,
+                valor: JSON.stringify(hours),
+                tipo: 'json',
+                descricao: 'Horário de funcionamento por dia da semana',
+            }, ['valor']);
+        }
+
+        if (timezone) {
+            await db.upsert('configuracoes', {
+                chave: TIMEZONE_KEY,
+                valor: timezone,
+                tipo: 'string',
+                descricao: 'Fuso horário da loja',
+            }, ['valor']);
+        }
+
+        await loadSchedule();
+
+        return getSchedule();
+    } catch (error) {
+        logger.error('Erro ao atualizar horário de funcionamento:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Volta o horário semanal ao padrão do .env
+ */
+async function resetSchedule() {
+    try {
+        await db.remove('configuracoes', 'chave IN (?, ?)', [HOURS_KEY, TIMEZONE_KEY]);
+        await loadSchedule();
+    } catch (error) {
+        logger.error('Erro ao restaurar horário de funcionamento:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// FERIADOS E EXCEÇÕES
+// ============================================
+
+/**
+ * Lista feriados/exceções
+ * @param {object} options - { futuros } (somente a partir de hoje, mais recorrentes)
+ * @returns {array} Feriados
+ */
+async function listHolidays(options = {}) {
+    try {
+        const { futuros = false } = options;
+
+        const where = futuros ? 'WHERE data >= ? OR recorrente = 1' : '';
+        const params = futuros ? [getZonedDateTime().date] : [];
+
+        return await db.query(`
+            SELECT ${HOLIDAY_FIELDS}
+            FROM feriados
+            ${where}
+            ORDER BY data ASC
+        `, params);
+    } catch (error) {
+        logger.error('Erro ao listar feriados:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Busca feriado por ID
+ * @param {number} id - ID do feriado
+ * @returns {object|null} Feriado ou null
+ */
+async function getHolidayById(id) {
+    try {
+        return await db.queryOne(`SELECT ${HOLIDAY_FIELDS} FROM feriados WHERE id = ?`, [id]);
+    } catch (error) {
+        logger.error('Erro ao buscar feriado:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Cadastra feriado/exceção
+ * @param {object} data - Dados do feriado
+ * @returns {number} ID do feriado
+ */
+async function createHoliday(data) {
+    try {
+        const holiday = validateHoliday(data);
+
+        if (await db.exists('feriados', 'data = ?', [holiday.data])) {
+            throw new Error(`Já existe um feriado cadastrado em ${holiday.data}`);
+        }
+
+        const id = await db.insert('feriados', holiday);
+        await loadSchedule();
+
+        return id;
+    } catch (error) {
+        logger.error('Erro ao cadastrar feriado:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza feriado/exceção (campos não informados são mantidos)
+ * @param {number} id - ID do feriado
+ * @param {object} data - Dados a atualizar
+ * @returns {boolean} false se o feriado não existe
+ */
+async function updateHoliday(id, data) {
+    try {
+        const current = await getHolidayById(id);
+
+        if (!current) return false;
+
+        const holiday = validateHoliday({
+            data: data.data ?? current.data,
+            descricao: data.descricao ?? current.descricao,
+            recorrente: data.recorrente ?? current.recorrente,
+            fechado: data.fechado ?? current.fechado,
+            hora_inicio: data.hora_inicio ?? current.hora_inicio,
+            hora_fim: data.hora_fim ?? current.hora_fim,
+        });
+
+        if (await db.exists('feriados', 'data = ? AND id != ?', [holiday.data, id])) {
+            throw new Error(`Já existe um feriado cadastrado em ${holiday.data}`);
+        }
+
+        await db.update('feriados', holiday, 'id = ?', [id]);
+        await loadSchedule();
+
+        return true;
+    } catch (error) {
+        logger.error('Erro ao atualizar feriado:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remove feriado/exceção
+ * @param {number} id - ID do feriado
+ * @returns {boolean} Se o feriado foi removido
+ */
+async function deleteHoliday(id) {
+    try {
+        const affected = await db.remove('feriados', 'id = ?', [id]);
+
+        if (affected > 0) {
+            await loadSchedule();
+        }
+
+        return affected > 0;
+    } catch (error) {
+        logger.error('Erro ao excluir feriado:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Carga
+    loadSchedule,
+    reloadIfChanged,
+
+    // Horário semanal
+    getSchedule,
+    updateSchedule,
+    resetSchedule,
+
+    // Feriados
+    listHolidays,
+    getHolidayById,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday,
+
+    // Validação
+    validateHours,
+    validateTimezone,
+    validateHoliday,
+};
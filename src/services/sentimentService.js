@@ -0,0 +1,303 @@
+/**
+ * ============================================
+ * SERVIÇO DE SENTIMENTO E URGÊNCIA
+ * ============================================
+ *
+ * Analisa as mensagens recebidas em segundo
+ * plano (IA + palavras-chave), grava o resultado
+ * na conversa e sobe a prioridade do cliente na
+ * fila de atendimento humano.
+ */
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { settings } = require('../config/settings');
+const { extractPhoneFromJid, normalizeForSearch } = require('../utils/formatter');
+const aiService = require('./aiService');
+const aiUsageService = require('./aiUsageService');
+const llm = require('./llm');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Rótulos da IA (inglês) para as colunas da tabela conversas
+const SENTIMENTS = {
+    positive: 'positivo',
+    neutral: 'neutro',
+    negative: 'negativo',
+};
+
+const URGENCIES = {
+    low: 'baixa',
+    medium: 'media',
+    high: 'alta',
+};
+
+const URGENCY_WEIGHT = { baixa: 0, media: 1, alta: 2 };
+
+// Situações que deixam o cliente sem carro (urgência alta mesmo sem IA)
+const URGENT_TERMS = [
+    'parado na estrada', 'parado na rodovia', 'parado na rua', 'na estrada', 'no acostamento',
+    'guincho', 'acidente', 'socorro', 'emergencia', 'urgente', 'urgencia', 'pane',
+    'nao liga', 'nao pega', 'nao da partida', 'morreu', 'quebrou', 'fumaca',
+];
+
+// Irritação explícita (sentimento negativo mesmo sem IA)
+const ANGRY_TERMS = [
+    'absurdo', 'pessimo', 'horrivel', 'palhacada', 'descaso', 'vergonha', 'procon',
+    'reclame aqui', 'nunca mais', 'enganado', 'ninguem responde', 'falta de respeito',
+];
+
+// Confiança mínima para o sentimento negativo contar na prioridade
+const MIN_NEGATIVE_CONFIDENCE = 0.6;
+
+// Prioridade a partir da qual a equipe recebe alerta no painel
+const ALERT_PRIORITY = 2;
+
+// Janela em que a análise ainda vale para entrar na fila
+const RECENT_WINDOW = '2 HOUR';
+
+// Último alerta enviado por telefone (evita repetir a cada mensagem)
+const lastAlerts = new Map();
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Procura termos de urgência e irritação na mensagem
+ * @param {string} text - Mensagem do cliente
+ * @returns {object} { urgent, angry }
+ */
+function detectByKeywords(text) {
+    const normalized = normalizeForSearch(text);
+
+    return {
+        urgent: URGENT_TERMS.some(term => normalized.includes(term)),
+        angry: ANGRY_TERMS.some(term => normalized.includes(term)),
+    };
+}
+
+/**
+ * Calcula prioridade na fila a partir da análise
+ * @param {object} analysis - { sentimento, urgencia, confianca }
+ * @returns {number} Prioridade (0 a 3)
+ */
+function computePriority(analysis) {
+    if (!analysis) return 0;
+
+    let priority = URGENCY_WEIGHT[analysis.urgencia] || 0;
+
+    if (analysis.sentimento === 'negativo' && analysis.confianca >= MIN_NEGATIVE_CONFIDENCE) {
+        priority += 1;
+    }
+
+    return priority;
+}
+
+/**
+ * Consulta a IA (se configurada e dentro do orçamento)
+ * @param {string} text - Mensagem
+ * @param {string} phone - Telefone (registro de uso)
+ * @returns {object|null} { sentimento, urgencia, confianca } ou null
+ */
+async function analyzeWithAI(text, phone) {
+    if (!llm.isConfigured()) return null;
+
+    const budget = await aiUsageService.getBudgetStatus();
+    if (budget.exceeded) return null;
+
+    const result = await aiService.analyzeSentiment(text, phone);
+    const confidence = parseFloat(result.confidence);
+
+    return {
+        sentimento: SENTIMENTS[result.sentiment] || 'neutro',
+        urgencia: URGENCIES[result.urgency] || 'baixa',
+        confianca: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+    };
+}
+
+// ============================================
+// ANÁLISE DAS MENSAGENS
+// ============================================
+
+/**
+ * Verifica se a mensagem deve ser analisada
+ * @param {string} text - Mensagem
+ * @returns {boolean} Se analisa
+ */
+function shouldScore(text) {
+    if (!settings.ai.sentiment.enabled || !text) return false;
+
+    const trimmed = text.trim();
+
+    // Opções do menu e respostas curtas não dizem nada do humor do cliente
+    if (/^\d+$/.test(trimmed)) return false;
+
+    return trimmed.length >= settings.ai.sentiment.minLength || detectByKeywords(trimmed).urgent;
+}
+
+/**
+ * Analisa mensagem recebida, grava na conversa e sobe a prioridade na fila
+ * @param {number} messageId - ID da mensagem (tabela conversas)
+ * @param {string} phone - Telefone do cliente
+ * @param {string} text - Mensagem
+ * @returns {object|null} { messageId, telefone, sentimento, urgencia, confianca, prioridade, atendimentoId } ou null se ignorada
+ */
+async function scoreMessage(messageId, phone, text) {
+    if (!messageId || !shouldScore(text)) return null;
+
+    try {
+        const cleanPhone = extractPhoneFromJid(phone);
+        const keywords = detectByKeywords(text);
+        const analysis = await analyzeWithAI(text, cleanPhone)
+            || { sentimento: 'neutro', urgencia: 'baixa', confianca: 0 };
+
+        // Palavras-chave garantem o mínimo quando a IA não percebe (ou não está disponível)
+        if (keywords.urgent) {
+            analysis.urgencia = 'alta';
+        }
+
+        if (keywords.angry && analysis.sentimento !== 'negativo') {
+            analysis.sentimento = 'negativo';
+            analysis.confianca = Math.max(analysis.confianca, MIN_NEGATIVE_CONFIDENCE);
+        }
+
+        await db.update('conversas', {
+            sentimento: analysis.sentimento,
+            sentimento_confianca: analysis.confianca,
+            urgencia: analysis.urgencia,
+        }, 'id = ?', [messageId]);
+
+        const priority = computePriority(analysis);
+        let attendance = null;
+
+        // Cliente já na fila: sobe a prioridade (nunca reduz)
+        if (priority > 0) {
+            attendance = await db.queryOne(
+                `SELECT id, prioridade FROM atendimentos
+                 WHERE telefone = ? AND status IN ('aguardando', 'em_atendimento')`,
+                [cleanPhone]
+            );
+
+            if (attendance && attendance.prioridade < priority) {
+                await db.update('atendimentos', { prioridade: priority }, 'id = ?', [attendance.id]);
+                logger.info(`🚨 Prioridade na fila elevada: ${cleanPhone} (${attendance.prioridade} → ${priority})`);
+            }
+        }
+
+        return {
+            messageId,
+            telefone: cleanPhone,
+            ...analysis,
+            prioridade: priority,
+            atendimentoId: attendance ? attendance.id : null,
+        };
+    } catch (error) {
+        logger.error('Erro ao analisar sentimento da mensagem:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Maior prioridade das mensagens recentes do cliente (entrada na fila)
+ * @param {string} phone - Telefone
+ * @returns {number} Prioridade
+ */
+async function getRecentPriority(phone) {
+    try {
+        const rows = await db.query(`
+            SELECT sentimento, urgencia, sentimento_confianca AS confianca
+            FROM conversas
+            WHERE telefone = ? AND tipo = 'entrada' AND sentimento IS NOT NULL
+                AND created_at >= DATE_SUB(NOW(), INTERVAL ${RECENT_WINDOW})
+        `, [extractPhoneFromJid(phone)]);
+
+        return rows.reduce((max, row) => Math.max(max, computePriority({
+            ...row,
+            confianca: parseFloat(row.confianca) || 0,
+        })), 0);
+    } catch (error) {
+        logger.error('Erro ao buscar prioridade recente do cliente:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Verifica se a análise merece alerta no painel (respeita intervalo por cliente)
+ * @param {object} result - Retorno de scoreMessage
+ * @returns {boolean} Se deve alertar
+ */
+function shouldAlert(result) {
+    if (!result || result.prioridade < ALERT_PRIORITY) return false;
+
+    const now = Date.now();
+    const cooldown = settings.ai.sentiment.alertCooldown * 60 * 1000;
+    const last = lastAlerts.get(result.telefone);
+
+    if (last && now - last < cooldown) return false;
+
+    lastAlerts.set(result.telefone, now);
+
+    // Limpa alertas antigos
+    for (const [phone, time] of lastAlerts) {
+        if (now - time >= cooldown) lastAlerts.delete(phone);
+    }
+
+    return true;
+}
+
+// ============================================
+// RELATÓRIOS
+// ============================================
+
+/**
+ * Sentimento das mensagens recebidas por dia
+ * @param {number} days - Dias para trás
+ * @returns {array} [{ dia, positivo, neutro, negativo, urgentes }]
+ */
+async function getSentimentTrend(days = 30) {
+    try {
+        const rows = await db.query(`
+            SELECT
+                DATE(created_at) AS dia,
+                SUM(sentimento = 'positivo') AS positivo,
+                SUM(sentimento = 'neutro') AS neutro,
+                SUM(sentimento = 'negativo') AS negativo,
+                SUM(urgencia = 'alta') AS urgentes
+            FROM conversas
+            WHERE tipo = 'entrada' AND sentimento IS NOT NULL
+                AND created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+            GROUP BY DATE(created_at)
+            ORDER BY dia ASC
+        `, [parseInt(days) - 1]);
+
+        return rows.map(row => ({
+            dia: row.dia,
+            positivo: parseInt(row.positivo) || 0,
+            neutro: parseInt(row.neutro) || 0,
+            negativo: parseInt(row.negativo) || 0,
+            urgentes: parseInt(row.urgentes) || 0,
+        }));
+    } catch (error) {
+        logger.error('Erro ao buscar tendência de sentimento:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Constantes
+    ALERT_PRIORITY,
+    URGENT_TERMS,
+
+    // Análise
+    scoreMessage,
+    shouldScore,
+    shouldAlert,
+    computePriority,
+    getRecentPriority,
+
+    // Relatórios
+    getSentimentTrend,
+};
@@ -10,6 +10,7 @@
 const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { normalizeForSearch } = require('../utils/formatter');
+const promotionService = require('./promotionService');
 
 // ============================================
 // FUNÇÕES DE BUSCA (BOT E IA)
@@ -373,6 +374,7 @@ async function smartSearch(params = {}) {
             precoMax = null,
             apenasPromocao = false,
             apenasDestaque = false,
+            ids = null,
             limit = 10
         } = params;
 
@@ -448,6 +450,16 @@ async function smartSearch(params = {}) {
             sql += ` AND s.destaque = 1`;
         }
 
+        // Restringe a IDs (resultados da busca semântica)
+        if (Array.isArray(ids)) {
+            if (ids.length === 0) {
+                return { services: [], context: { total_encontrado: 0, filtros_aplicados: {}, sugestoes: [] } };
+            }
+
+            sql += ` AND s.id IN (${ids.map(() => '?').join(', ')})`;
+            queryParams.push(...ids);
+        }
+
         sql += ` ORDER BY s.destaque DESC, s.nome ASC LIMIT ?`;
         queryParams.push(limit);
 
@@ -477,44 +489,70 @@ async function smartSearch(params = {}) {
 }
 
 /**
- * Obtém informações completas de um serviço para a IA
+ * Calcula o preço final de um serviço considerando a promoção ativa
  * @param {number} serviceId - ID do serviço
- * @returns {object} Informações detalhadas
+ * @returns {object|null} { servico, preco, preco_final, desconto_unitario, promocao }
  */
-async function getServiceDetailsForAI(serviceId) {
+async function getServicePrice(serviceId) {
     try {
         const service = await getServiceById(serviceId);
-        
+
         if (!service) {
             return null;
         }
 
-        // Busca promoção ativa
-        const promotion = await db.queryOne(`
-            SELECT * FROM promocoes 
-            WHERE servico_id = ? 
-                AND ativo = 1 
-                AND data_inicio <= CURDATE() 
-                AND data_fim >= CURDATE()
-        `, [serviceId]);
-
-        // Calcula preço final
-        let precoFinal = service.preco;
+        const preco = parseFloat(service.preco);
+
+        // Promoção do serviço ou geral (a mais específica vence)
+        const promotion = await promotionService.findApplicablePromotion({
+            servico_id: service.id,
+            preco
+        });
+
+        let precoFinal;
         if (promotion) {
-            if (promotion.desconto_percentual > 0) {
-                precoFinal = service.preco - (service.preco * promotion.desconto_percentual / 100);
-            } else if (promotion.desconto_valor > 0) {
-                precoFinal = service.preco - promotion.desconto_valor;
-            }
+            precoFinal = promotionService.applyDiscount(preco, promotion);
         } else if (service.preco_promocional) {
-            precoFinal = service.preco_promocional;
+            precoFinal = parseFloat(service.preco_promocional);
+        } else {
+            precoFinal = preco;
+        }
+
+        precoFinal = Math.max(0, Math.round(precoFinal * 100) / 100);
+
+        return {
+            servico: service,
+            preco,
+            preco_final: precoFinal,
+            desconto_unitario: Math.round((preco - precoFinal) * 100) / 100,
+            promocao: promotion
+        };
+    } catch (error) {
+        logger.error('Erro ao calcular preço do serviço:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Obtém informações completas de um serviço para a IA
+ * @param {number} serviceId - ID do serviço
+ * @returns {object} Informações detalhadas
+ */
+async function getServiceDetailsForAI(serviceId) {
+    try {
+        const price = await getServicePrice(serviceId);
+        
+        if (!price) {
+            return null;
         }
 
+        const { servico: service, promocao: promotion } = price;
+
         return {
             ...service,
             promocao: promotion,
-            preco_final: Math.round(precoFinal * 100) / 100,
-            economia: promotion ? Math.round((service.preco - precoFinal) * 100) / 100 : 0,
+            preco_final: price.preco_final,
+            economia: promotion ? price.desconto_unitario : 0,
             duracao_formatada: formatDuration(service.duracao_estimada)
         };
     } catch (error) {
@@ -581,6 +619,14 @@ function formatDuration(minutes) {
 // FUNÇÕES DE CRUD (PAINEL ADMIN)
 // ============================================
 
+/**
+ * Agenda atualização do índice semântico da IA
+ */
+function scheduleIndexSync() {
+    // require tardio: o índice usa este serviço na busca híbrida
+    require('./catalogIndexService').scheduleSync();
+}
+
 /**
  * Lista serviços com paginação e filtros (para admin)
  * @param {object} options - Opções de listagem
@@ -706,6 +752,7 @@ async function createService(data) {
         });
 
         logger.info(`Serviço criado: ID ${serviceId} - ${nome}`);
+        scheduleIndexSync();
         return serviceId;
     } catch (error) {
         logger.error('Erro ao criar serviço:', error.message);
@@ -758,6 +805,7 @@ async function updateService(id, data) {
         
         if (affected > 0) {
             logger.info(`Serviço atualizado: ID ${id}`);
+            scheduleIndexSync();
         }
 
         return affected > 0;
@@ -783,6 +831,7 @@ async function deleteService(id) {
 
         if (affected > 0) {
             logger.info(`Serviço desativado: ID ${id}`);
+            scheduleIndexSync();
         }
 
         return affected > 0;
@@ -803,6 +852,7 @@ async function hardDeleteService(id) {
 
         if (affected > 0) {
             logger.info(`Serviço excluído permanentemente: ID ${id}`);
+            scheduleIndexSync();
         }
 
         return affected > 0;
@@ -1123,6 +1173,7 @@ module.exports = {
     
     // IA
     smartSearch,
+    getServicePrice,
     getServiceDetailsForAI,
     getServicesSummary,
     
@@ -0,0 +1,187 @@
+/**
+ * ============================================
+ * CAMADA DE TRANSCRIÇÃO DE ÁUDIO (VOZ => TEXTO)
+ * ============================================
+ *
+ * Interface comum para transcrever as mensagens
+ * de voz dos clientes. Todo provedor expõe:
+ *   name, model
+ *   isConfigured() => boolean
+ *   transcribe({ audio (Buffer), mimetype, fileName, language, prompt, model })
+ *     => { text, language, confidence (0 a 1 ou null), duration, model }
+ *
+ * O provedor ativo vem de settings.speech.provider:
+ * local (servidor Whisper na própria máquina, padrão,
+ * o áudio não sai da loja), openai ou mock. Pode ser
+ * trocado em tempo de execução com setProvider.
+ */
+
+const path = require('path');
+
+const logger = require('../../utils/logger');
+const { settings } = require('../../config/settings');
+const { createWhisperProvider, createLocalWhisperProvider } = require('./whisperProvider');
+const { createMockSpeechProvider } = require('./mockProvider');
+
+// Fábricas disponíveis: nome => (options) => provedor
+const PROVIDER_FACTORIES = {
+    local: (options) => createLocalWhisperProvider({
+        baseURL: settings.speech.local.baseURL,
+        apiKey: settings.speech.local.apiKey,
+        model: settings.speech.local.model,
+        timeout: settings.speech.timeout,
+        ...options,
+    }),
+    openai: (options) => createWhisperProvider({
+        apiKey: settings.ai.openai.apiKey,
+        model: settings.speech.openai.model,
+        timeout: settings.speech.timeout,
+        ...options,
+    }),
+    mock: (options) => createMockSpeechProvider({
+        ...loadMockScript(),
+        ...options,
+    }),
+};
+
+// Provedor em uso
+let activeProvider = null;
+
+/**
+ * Carrega roteiro do provedor mock (settings.speech.mock.script)
+ * @returns {object} { responses, language, confidence } ou vazio
+ */
+function loadMockScript() {
+    const script = settings.speech.mock.script;
+    if (!script) return {};
+
+    try {
+        return require(path.resolve(script));
+    } catch (error) {
+        logger.warn(`⚠️  Roteiro da transcrição mock não carregado (${script}):`, error.message);
+        return {};
+    }
+}
+
+/**
+ * Cria provedor pelo nome
+ * @param {string} name - local | openai | mock
+ * @param {object} options - Opções do adaptador (sobrescrevem settings)
+ * @returns {object} Provedor
+ */
+function createProvider(name = settings.speech.provider, options = {}) {
+    const factory = PROVIDER_FACTORIES[name];
+
+    if (!factory) {
+        throw new Error(`Provedor de transcrição inválido: "${name}". Use: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+
+    return factory(options);
+}
+
+/**
+ * Provedor em uso (criado a partir de settings no primeiro acesso)
+ * @returns {object} Provedor
+ */
+function getProvider() {
+    if (!activeProvider) {
+        activeProvider = createProvider();
+    }
+
+    return activeProvider;
+}
+
+/**
+ * Troca o provedor em uso
+ * @param {string|object} provider - Nome do provedor ou instância pronta
+ * @param {object} options - Opções (quando informado o nome)
+ * @returns {object} Provedor ativo
+ */
+function setProvider(provider, options = {}) {
+    activeProvider = typeof provider === 'string' ? createProvider(provider, options) : provider;
+
+    logger.info(`🎤 Provedor de transcrição: ${activeProvider.name} (${activeProvider.model})`);
+    return activeProvider;
+}
+
+/**
+ * Descarta o provedor em uso (o próximo acesso relê settings)
+ */
+function resetProvider() {
+    activeProvider = null;
+}
+
+/**
+ * Verifica se a transcrição está ligada e o provedor pode ser chamado
+ * @returns {boolean}
+ */
+function isEnabled() {
+    if (!settings.speech.enabled) return false;
+
+    try {
+        return getProvider().isConfigured();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Transcreve áudio com o provedor em uso
+ * @param {Buffer} audio - Conteúdo do arquivo
+ * @param {object} options - { mimetype, fileName }
+ * @returns {object} { text, language, confidence, duration, model, provider }
+ */
+async function transcribe(audio, options = {}) {
+    const provider = getProvider();
+
+    if (!provider.isConfigured()) {
+        throw new Error(`Provedor de transcrição "${provider.name}" não configurado`);
+    }
+
+    // Sem idioma fixo: o detectado é conferido em isReliable
+    const result = await provider.transcribe({
+        prompt: settings.speech.prompt || undefined,
+        ...options,
+        audio,
+    });
+
+    return { confidence: null, language: null, duration: null, ...result, provider: provider.name };
+}
+
+/**
+ * Verifica se a transcrição é boa o bastante para
+ * seguir como mensagem digitada (texto, confiança
+ * mínima e idioma esperado)
+ * @param {object} result - Resultado de transcribe
+ * @returns {boolean}
+ */
+function isReliable(result) {
+    if (!result || !result.text) return false;
+
+    // Servidor sem confiança por segmento: aceita o texto
+    if (result.confidence !== null && result.confidence < settings.speech.minConfidence) {
+        return false;
+    }
+
+    const expected = settings.speech.language;
+    return !expected || !result.language || result.language === expected;
+}
+
+/**
+ * Lista provedores disponíveis
+ * @returns {array} Nomes dos provedores
+ */
+function listProviders() {
+    return Object.keys(PROVIDER_FACTORIES);
+}
+
+module.exports = {
+    createProvider,
+    getProvider,
+    setProvider,
+    resetProvider,
+    isEnabled,
+    transcribe,
+    isReliable,
+    listProviders,
+};
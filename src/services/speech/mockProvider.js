@@ -0,0 +1,80 @@
+/**
+ * ============================================
+ * PROVEDOR DE TRANSCRIÇÃO MOCK
+ * ============================================
+ *
+ * Transcrições determinísticas, sem rede: fila de
+ * respostas roteirizadas e, sem roteiro, o próprio
+ * conteúdo do arquivo lido como texto (no
+ * Simulador, um .txt enviado como áudio vira a
+ * "fala" do cliente). Guarda as chamadas recebidas
+ * para conferência.
+ *
+ * Uma resposta pode ser texto ou
+ * { text, language, confidence } para simular
+ * áudio ruim ou em outro idioma.
+ */
+
+/**
+ * Cria provedor mock
+ * @param {object} options - { responses, language, confidence, model }
+ * @returns {object} Provedor { name, model, isConfigured, transcribe, calls, reset }
+ */
+function createMockSpeechProvider(options = {}) {
+    const {
+        responses = [],
+        language = 'pt',
+        confidence = 0.95,
+        model = 'mock',
+    } = options;
+
+    let queue = [...responses];
+    const calls = [];
+
+    return {
+        name: 'mock',
+        model,
+        calls,
+
+        isConfigured() {
+            return true;
+        },
+
+        /**
+         * Transcrição roteirizada (fila de respostas ou conteúdo do arquivo)
+         * @param {object} request - { audio (Buffer), mimetype, fileName, language }
+         * @returns {object} { text, language, confidence, duration, model }
+         */
+        async transcribe(request) {
+            calls.push(request);
+
+            const next = queue.length > 0 ? queue.shift() : null;
+            const value = typeof next === 'function' ? next(request) : next;
+            const scripted = value && typeof value === 'object' ? value : { text: value };
+
+            const text = value !== null && value !== undefined
+                ? String(scripted.text || '')
+                : Buffer.from(request.audio || '').toString('utf8');
+
+            return {
+                text: text.trim(),
+                language: scripted.language || request.language || language,
+                confidence: scripted.confidence !== undefined ? scripted.confidence : confidence,
+                duration: scripted.duration || null,
+                model: request.model || model,
+            };
+        },
+
+        /**
+         * Restaura a fila de respostas e limpa as chamadas
+         */
+        reset() {
+            queue = [...responses];
+            calls.length = 0;
+        },
+    };
+}
+
+module.exports = {
+    createMockSpeechProvider,
+};
@@ -0,0 +1,160 @@
+/**
+ * ============================================
+ * PROVEDOR WHISPER (LOCAL E OPENAI)
+ * ============================================
+ *
+ * Transcrição pela rota /audio/transcriptions da
+ * API da OpenAI. Servidores locais com a mesma
+ * rota (faster-whisper-server/speaches,
+ * whisper.cpp server, LocalAI) usam o mesmo
+ * cliente, só mudando a URL base.
+ *
+ * A confiança vem dos segmentos da resposta
+ * verbose_json: média de exp(avg_logprob),
+ * descontada a chance de não haver fala
+ * (no_speech_prob), ponderada pela duração.
+ */
+
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+
+// Nomes de idioma devolvidos pelo Whisper => código ISO
+const LANGUAGE_CODES = {
+    portuguese: 'pt',
+    english: 'en',
+    spanish: 'es',
+    italian: 'it',
+    french: 'fr',
+    german: 'de',
+};
+
+/**
+ * Normaliza idioma detectado (ex.: "portuguese" => "pt")
+ * @param {string} language - Idioma da resposta
+ * @returns {string|null} Código do idioma
+ */
+function normalizeLanguage(language) {
+    if (!language) return null;
+
+    const value = String(language).toLowerCase().trim();
+    return LANGUAGE_CODES[value] || value.substring(0, 10);
+}
+
+/**
+ * Estima a confiança da transcrição pelos segmentos
+ * @param {array|undefined} segments - Segmentos da resposta verbose_json
+ * @returns {number|null} Confiança entre 0 e 1 (null se o servidor não informar)
+ */
+function estimateConfidence(segments) {
+    const scored = (segments || []).filter(segment => typeof segment.avg_logprob === 'number');
+    if (scored.length === 0) return null;
+
+    let total = 0;
+    let weight = 0;
+
+    for (const segment of scored) {
+        const duration = Math.max(0.1, (segment.end || 0) - (segment.start || 0));
+        const speech = 1 - (segment.no_speech_prob || 0);
+
+        total += Math.exp(segment.avg_logprob) * speech * duration;
+        weight += duration;
+    }
+
+    return Math.round((total / weight) * 100) / 100;
+}
+
+/**
+ * Cria provedor de transcrição compatível com a API da OpenAI
+ * @param {object} options - { name, apiKey, baseURL, model, timeout, requireApiKey }
+ * @returns {object} Provedor { name, model, isConfigured, transcribe }
+ */
+function createWhisperProvider(options = {}) {
+    const {
+        name = 'openai',
+        apiKey = '',
+        baseURL,
+        model = 'whisper-1',
+        timeout,
+        requireApiKey = true,
+    } = options;
+
+    // Cliente criado no primeiro uso
+    let client = null;
+
+    function getClient() {
+        if (!client) {
+            client = new OpenAI({
+                // Servidores locais ignoram a chave, mas o SDK exige uma
+                apiKey: apiKey || 'local',
+                baseURL,
+                timeout,
+                maxRetries: 1,
+            });
+        }
+
+        return client;
+    }
+
+    return {
+        name,
+        model,
+
+        /**
+         * Verifica se há dados suficientes para chamar a API
+         * @returns {boolean}
+         */
+        isConfigured() {
+            return requireApiKey ? !!apiKey : !!baseURL;
+        },
+
+        /**
+         * Transcreve o áudio
+         * @param {object} request - { audio (Buffer), mimetype, fileName, language, prompt, model }
+         * @returns {object} { text, language, confidence, duration, model }
+         */
+        async transcribe(request) {
+            const file = await toFile(request.audio, request.fileName || 'audio.ogg', {
+                type: request.mimetype || 'audio/ogg',
+            });
+
+            const body = {
+                file,
+                model: request.model || model,
+                response_format: 'verbose_json',
+            };
+
+            if (request.language) body.language = request.language;
+            if (request.prompt) body.prompt = request.prompt;
+
+            const response = await getClient().audio.transcriptions.create(body);
+
+            return {
+                text: String(response.text || '').trim(),
+                language: normalizeLanguage(response.language) || request.language || null,
+                confidence: estimateConfidence(response.segments),
+                duration: typeof response.duration === 'number' ? response.duration : null,
+                model: request.model || model,
+            };
+        },
+    };
+}
+
+/**
+ * Cria provedor para servidor Whisper local
+ * @param {object} options - { baseURL, apiKey, model, timeout }
+ * @returns {object} Provedor
+ */
+function createLocalWhisperProvider(options = {}) {
+    return createWhisperProvider({
+        ...options,
+        name: 'local',
+        requireApiKey: false,
+    });
+}
+
+module.exports = {
+    createWhisperProvider,
+    createLocalWhisperProvider,
+    estimateConfidence,
+    normalizeLanguage,
+};
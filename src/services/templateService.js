@@ -0,0 +1,342 @@
+/**
+ * ============================================
+ * SERVIÇO DE TEMPLATES DE MENSAGEM
+ * ============================================
+ *
+ * Modelos de mensagem salvos no banco (tabela
+ * templates_mensagem) com variáveis {placeholder},
+ * renderizados com os dados do cliente.
+ */
+
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { formatMessage } = require('../config/settings');
+const { extractPhoneFromJid } = require('../utils/formatter');
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const TEMPLATE_CATEGORIES = ['geral', 'resposta_rapida', 'campanha', 'lembrete'];
+
+// Variáveis disponíveis nos templates (além das enviadas na requisição)
+const TEMPLATE_VARIABLES = {
+    customerName: 'Nome completo do cliente',
+    firstName: 'Primeiro nome do cliente',
+    phone: 'Telefone do cliente',
+    email: 'E-mail do cliente',
+    vehicle: 'Veículo cadastrado do cliente',
+    plate: 'Placa do veículo',
+    storeName: 'Nome da loja',
+    botName: 'Nome do assistente',
+    startTime: 'Horário de abertura',
+    endTime: 'Horário de fechamento',
+    workDays: 'Dias de funcionamento',
+    weeklyHours: 'Horário de cada dia da semana',
+    address: 'Endereço da loja',
+    instagram: 'Instagram da loja',
+};
+
+const PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+
+// ============================================
+// FUNÇÕES AUXILIARES
+// ============================================
+
+/**
+ * Interpreta "ativo" vindo de JSON, formulário ou query string
+ * @param {*} value - true, 1, '1', 'true' (demais valores = falso)
+ * @returns {boolean}
+ */
+function isTrue(value) {
+    return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+/**
+ * Lista os placeholders usados em um texto
+ * @param {string} content - Conteúdo do template
+ * @returns {array} Nomes das variáveis (sem repetição)
+ */
+function extractVariables(content) {
+    const names = new Set();
+
+    for (const match of (content || '').matchAll(PLACEHOLDER_REGEX)) {
+        names.add(match[1]);
+    }
+
+    return [...names];
+}
+
+/**
+ * Valida e normaliza dados do template
+ * @param {object} data - Dados informados
+ * @param {number|null} excludeId - ID ignorado na checagem de nome (edição)
+ * @returns {object} Dados prontos para gravar
+ */
+async function validateTemplate(data, excludeId = null) {
+    const nome = (data.nome || '').trim();
+    const conteudo = (data.conteudo || '').trim();
+    const categoria = data.categoria || 'geral';
+
+    if (!nome || !conteudo) {
+        throw new Error('Nome e conteúdo são obrigatórios');
+    }
+
+    if (!TEMPLATE_CATEGORIES.includes(categoria)) {
+        throw new Error(`Categoria inválida. Use: ${TEMPLATE_CATEGORIES.join(', ')}`);
+    }
+
+    const duplicated = excludeId
+        ? await db.exists('templates_mensagem', 'nome = ? AND id != ?', [nome, excludeId])
+        : await db.exists('templates_mensagem', 'nome = ?', [nome]);
+
+    if (duplicated) {
+        throw new Error(`Já existe um template com o nome "${nome}"`);
+    }
+
+    return {
+        nome,
+        conteudo,
+        categoria,
+        ativo: data.ativo === undefined || isTrue(data.ativo) ? 1 : 0,
+    };
+}
+
+// ============================================
+// CONSULTAS
+// ============================================
+
+/**
+ * Lista templates
+ * @param {object} options - { categoria, search, ativo }
+ * @returns {array} Templates
+ */
+async function listTemplates(options = {}) {
+    try {
+        const { categoria = null, search = '', ativo = null } = options;
+
+        const conditions = ['1 = 1'];
+        const params = [];
+
+        if (categoria) {
+            conditions.push('categoria = ?');
+            params.push(categoria);
+        }
+
+        if (search) {
+            conditions.push('(nome LIKE ? OR conteudo LIKE ?)');
+            params.push(`%${search}%`, `%${search}%`);
+        }
+
+        if (ativo !== null && ativo !== '') {
+            conditions.push('ativo = ?');
+            params.push(isTrue(ativo) ? 1 : 0);
+        }
+
+        const templates = await db.query(`
+            SELECT * FROM templates_mensagem
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY categoria ASC, nome ASC
+        `, params);
+
+        return templates.map(template => ({
+            ...template,
+            variaveis: extractVariables(template.conteudo)
+        }));
+    } catch (error) {
+        logger.error('Erro ao listar templates:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Busca template por ID
+ * @param {number} id - ID do template
+ * @returns {object|null} Template ou null
+ */
+async function getTemplateById(id) {
+    try {
+        const template = await db.queryOne('SELECT * FROM templates_mensagem WHERE id = ?', [id]);
+
+        if (!template) return null;
+
+        return {
+            ...template,
+            variaveis: extractVariables(template.conteudo)
+        };
+    } catch (error) {
+        logger.error('Erro ao buscar template:', error.message);
+        throw error;
+    }
+}
+
+// ============================================
+// CRUD
+// ============================================
+
+/**
+ * Cria template
+ * @param {object} data - { nome, conteudo, categoria, ativo }
+ * @param {number|null} userId - Usuário que criou
+ * @returns {number} ID do template
+ */
+async function createTemplate(data, userId = null) {
+    try {
+        const template = await validateTemplate(data);
+
+        return await db.insert('templates_mensagem', {
+            ...template,
+            criado_por: userId
+        });
+    } catch (error) {
+        logger.error('Erro ao criar template:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Atualiza template (campos não informados são mantidos)
+ * @param {number} id - ID do template
+ * @param {object} data - Dados a atualizar
+ * @returns {boolean} false se o template não existe
+ */
+async function updateTemplate(id, data) {
+    try {
+        const current = await getTemplateById(id);
+
+        if (!current) return false;
+
+        const template = await validateTemplate({
+            nome: data.nome ?? current.nome,
+            conteudo: data.conteudo ?? current.conteudo,
+            categoria: data.categoria ?? current.categoria,
+            ativo: data.ativo ?? current.ativo,
+        }, id);
+
+        await db.update('templates_mensagem', template, 'id = ?', [id]);
+
+        return true;
+    } catch (error) {
+        logger.error('Erro ao atualizar template:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remove template
+ * @param {number} id - ID do template
+ * @returns {boolean} Se o template foi removido
+ */
+async function deleteTemplate(id) {
+    try {
+        const affected = await db.remove('templates_mensagem', 'id = ?', [id]);
+        return affected > 0;
+    } catch (error) {
+        logger.error('Erro ao excluir template:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Registra uso do template (envio)
+ * @param {number} id - ID do template
+ */
+async function markTemplateUsed(id) {
+    try {
+        await db.query(`
+            UPDATE templates_mensagem
+            SET total_usos = total_usos + 1, ultimo_uso = NOW()
+            WHERE id = ?
+        `, [id]);
+    } catch (error) {
+        logger.error('Erro ao registrar uso do template:', error.message);
+    }
+}
+
+// ============================================
+// RENDERIZAÇÃO
+// ============================================
+
+/**
+ * Monta variáveis de um cliente para os templates
+ * @param {string} phone - Telefone do cliente
+ * @returns {object} Variáveis (somente as preenchidas)
+ */
+async function getCustomerVariables(phone) {
+    const cleanPhone = extractPhoneFromJid(phone || '').replace(/\D/g, '');
+
+    if (!cleanPhone) return {};
+
+    const customer = await db.queryOne('SELECT * FROM clientes WHERE telefone = ?', [cleanPhone]);
+    const nome = customer?.nome?.trim();
+
+    const variables = {
+        customerName: nome,
+        firstName: nome ? nome.split(/\s+/)[0] : null,
+        phone: cleanPhone,
+        email: customer?.email,
+        vehicle: customer?.veiculo,
+        plate: customer?.placa,
+    };
+
+    // Remove variáveis vazias para que apareçam como pendentes
+    return Object.fromEntries(
+        Object.entries(variables).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    );
+}
+
+/**
+ * Renderiza template para um cliente
+ * @param {number} id - ID do template
+ * @param {object} options - { phone, variables } (variables sobrescrevem as do cliente)
+ * @returns {object} { template, message, variables, missing }
+ */
+async function renderTemplate(id, options = {}) {
+    try {
+        const { phone = null, variables = {} } = options;
+
+        const template = await getTemplateById(id);
+
+        if (!template) {
+            throw new Error('Template não encontrado');
+        }
+
+        const data = {
+            ...(await getCustomerVariables(phone)),
+            ...variables
+        };
+
+        const message = formatMessage(template.conteudo, data);
+
+        return {
+            template,
+            message,
+            variables: data,
+            missing: extractVariables(message)
+        };
+    } catch (error) {
+        logger.error('Erro ao renderizar template:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    // Constantes
+    TEMPLATE_CATEGORIES,
+    TEMPLATE_VARIABLES,
+
+    // Consultas
+    listTemplates,
+    getTemplateById,
+
+    // CRUD
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    markTemplateUsed,
+
+    // Renderização
+    extractVariables,
+    getCustomerVariables,
+    renderTemplate,
+};
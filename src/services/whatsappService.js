@@ -1,101 +1,36 @@
 /**
  * ============================================
- * SERVIÇO DO WHATSAPP - VERSÃO 3.0
+ * SERVIÇO DO WHATSAPP
  * ============================================
- * 
- * CORREÇÕES APLICADAS:
- * - Tratamento do erro 515 (Stream Error)
- * - Tratamento do erro 401 (device_removed)
- * - Timeouts aumentados para conexão
- * - Browser identificação corrigida
- * - Melhor gestão de reconexão
- * - Configurações otimizadas para estabilidade
+ *
+ * Ponto único de envio e recebimento do bot. O
+ * transporte fica no canal configurado
+ * (services/channels: Baileys ou API oficial da
+ * Meta); aqui ficam o atraso de digitação, os logs,
+ * as notificações do painel e o repasse das
+ * mensagens recebidas para o handler.
  */
 
-const { 
-    default: makeWASocket, 
-    useMultiFileAuthState,
-    DisconnectReason,
-    fetchLatestBaileysVersion,
-    makeCacheableSignalKeyStore,
-    isJidBroadcast,
-    isJidGroup,
-    Browsers,
-} = require('@whiskeysockets/baileys');
-
-const pino = require('pino');
 const path = require('path');
-const fs = require('fs');
 const os = require('os');
-const qrcode = require('qrcode-terminal');
 
 const logger = require('../utils/logger');
 const { settings } = require('../config/settings');
 const { sleep } = require('../utils/helpers');
 const { formatPhoneForWhatsApp, extractPhoneFromJid } = require('../utils/formatter');
+const channels = require('./channels');
+const { verifyWebhookSignature: verifyMetaSignature } = require('./channels/metaCloudChannel');
 
 // ============================================
-// CONFIGURAÇÕES - OTIMIZADAS PARA RAILWAY
+// ESTADO
 // ============================================
 
-const AUTH_PATH = process.env.AUTH_PATH || path.join(process.cwd(), 'auth');
-const MAX_RETRY_COUNT = 5;
-const INIT_DELAY = 3000;
-const RECONNECT_DELAY = 10000;
-const STREAM_ERROR_DELAY = 8000;
-const QR_TIMEOUT = 120000; // 2 minutos
-const CONNECTION_TIMEOUT = 180000; // 3 minutos
-const CONFLICT_COOLDOWN = 180000; // 3 minutos após conflito
-
-// ============================================
-// ESTADO GLOBAL
-// ============================================
-
-let sock = null;
-let saveCreds = null;
-let initializationLock = false;
-let initializationPromise = null;
-let lastConflictTime = 0;
-let streamErrorCount = 0;
-let connectionStartTime = null;
-
-const connectionState = {
-    isConnected: false,
-    qrCode: null,
-    lastDisconnect: null,
-    retryCount: 0,
-    lastConnected: null,
-    phoneNumber: null,
-    isReconnecting: false,
-    initializationAttempts: 0,
-    lastError: null,
-    connectionHistory: [],
-    conflictCount: 0,
-    lastQRTime: null,
-    credsUpdateCount: 0,
-};
+// Canal em uso (criado no primeiro acesso)
+let channel = null;
 
 let messageCallback = null;
 let notificationCallback = null;
 
-// ============================================
-// LOG INICIAL
-// ============================================
-
-console.log('\n');
-console.log('╔══════════════════════════════════════════════════════════════╗');
-console.log('║   WHATSAPP SERVICE - VERSÃO 3.0 (ANTI-CONFLICT)              ║');
-console.log('╚══════════════════════════════════════════════════════════════╝');
-console.log('   ├─ AUTH_PATH:', AUTH_PATH);
-console.log('   ├─ MAX_RETRY:', MAX_RETRY_COUNT);
-console.log('   ├─ RECONNECT_DELAY:', RECONNECT_DELAY/1000, 'segundos');
-console.log('   ├─ STREAM_ERROR_DELAY:', STREAM_ERROR_DELAY/1000, 'segundos');
-console.log('   ├─ CONNECTION_TIMEOUT:', CONNECTION_TIMEOUT/1000, 'segundos');
-console.log('   ├─ QR_TIMEOUT:', QR_TIMEOUT/1000, 'segundos');
-console.log('   ├─ CONFLICT_COOLDOWN:', CONFLICT_COOLDOWN/1000, 'segundos');
-console.log('   └─ Timestamp:', new Date().toISOString());
-console.log('\n');
-
 // ============================================
 // FUNÇÕES AUXILIARES
 // ============================================
@@ -118,820 +53,195 @@ function sendNotification(event, data = {}) {
     }
 }
 
-function addToHistory(event, details = {}) {
-    const entry = {
-        timestamp: new Date().toISOString(),
-        event,
-        details,
-        memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
-    };
-    connectionState.connectionHistory.push(entry);
-    if (connectionState.connectionHistory.length > 100) {
-        connectionState.connectionHistory.shift();
-    }
-    
-    console.log(`📝 [HISTORY] ${event}:`, JSON.stringify(details));
-}
-
-function ensureAuthDirectory() {
-    console.log('\n📁 [AUTH] Verificando diretório:', AUTH_PATH);
-    
-    try {
-        if (!fs.existsSync(AUTH_PATH)) {
-            fs.mkdirSync(AUTH_PATH, { recursive: true, mode: 0o755 });
-            console.log('   ├─ ✅ Diretório criado');
-        }
-        
-        const files = fs.readdirSync(AUTH_PATH);
-        const credFiles = files.filter(f => f.endsWith('.json'));
-        const hasCredsFile = files.includes('creds.json');
-        
-        console.log('   ├─ Total arquivos:', files.length);
-        console.log('   ├─ Arquivos JSON:', credFiles.length);
-        console.log('   ├─ Tem creds.json:', hasCredsFile ? 'SIM ✅' : 'NÃO ❌');
-        
-        if (hasCredsFile) {
-            try {
-                const credsPath = path.join(AUTH_PATH, 'creds.json');
-                const credsContent = fs.readFileSync(credsPath, 'utf8');
-                const creds = JSON.parse(credsContent);
-                console.log('   ├─ Creds registrado:', creds.registered ? 'SIM' : 'NÃO');
-                console.log('   ├─ Creds me.id:', creds.me?.id || 'N/A');
-            } catch (e) {
-                console.log('   ├─ ⚠️ Erro ao ler creds.json:', e.message);
-            }
-        }
-        
-        console.log('   └─ ✅ Diretório pronto');
-        
-        return { success: true, hasCredentials: hasCredsFile };
-    } catch (error) {
-        console.error('   └─ ❌ ERRO:', error.message);
-        return { success: false, hasCredentials: false };
-    }
-}
-
-function clearCredentials() {
-    console.log('\n🗑️ [CLEAR] Limpando credenciais...');
-    
-    try {
-        if (fs.existsSync(AUTH_PATH)) {
-            const files = fs.readdirSync(AUTH_PATH);
-            let removed = 0;
-            let skipped = 0;
-            
-            files.forEach(file => {
-                if (file === 'lost+found' || file.startsWith('.')) {
-                    skipped++;
-                    return;
-                }
-                
-                const filePath = path.join(AUTH_PATH, file);
-                
-                try {
-                    const stats = fs.statSync(filePath);
-                    
-                    if (stats.isFile()) {
-                        fs.unlinkSync(filePath);
-                        removed++;
-                    } else {
-                        skipped++;
-                    }
-                } catch (err) {
-                    console.log(`   ├─ [ERR] ${file}: ${err.message}`);
-                }
-            });
-            
-            console.log(`   └─ ✅ Removidos: ${removed}, Ignorados: ${skipped}`);
-        }
-        return true;
-    } catch (error) {
-        console.error('   └─ ❌ Erro:', error.message);
-        return false;
-    }
-}
+/**
+ * Canal em uso (settings.whatsapp.channel)
+ * @returns {object} Canal
+ */
+function getChannel() {
+    if (!channel) {
+        channel = channels.createChannel(settings.whatsapp.channel, {
+            onMessage: handleIncomingMessage,
+            onStatus: processMessageStatus,
+            notify: sendNotification,
+        });
 
-function cleanupSocket() {
-    console.log('\n🧹 [CLEANUP] Limpando socket...');
-    
-    if (sock) {
-        try {
-            sock.ev.removeAllListeners('connection.update');
-            sock.ev.removeAllListeners('creds.update');
-            sock.ev.removeAllListeners('messages.upsert');
-            
-            if (sock.ws) {
-                console.log('   ├─ WebSocket state:', sock.ws.readyState);
-                if (sock.ws.readyState === sock.ws.OPEN) {
-                    sock.ws.close();
-                    console.log('   ├─ WebSocket fechado');
-                }
-            }
-            
-            // Tenta fazer end() se existir
-            if (typeof sock.end === 'function') {
-                sock.end();
-            }
-            
-            console.log('   └─ ✅ Socket limpo');
-        } catch (error) {
-            console.error('   └─ ⚠️ Erro:', error.message);
-        } finally {
-            sock = null;
-        }
-    } else {
-        console.log('   └─ ℹ️ Nenhum socket para limpar');
+        logger.info(`📱 Canal do WhatsApp: ${channel.name}`);
     }
-}
 
-function resetState() {
-    connectionState.isConnected = false;
-    connectionState.qrCode = null;
-    connectionState.isReconnecting = false;
-    connectionState.lastError = null;
-    connectionStartTime = null;
+    return channel;
 }
 
 // ============================================
-// INICIALIZAÇÃO PRINCIPAL
+// INICIALIZAÇÃO
 // ============================================
 
 async function initialize(onMessage = null) {
-    // Verifica cooldown de conflito
-    const timeSinceLastConflict = Date.now() - lastConflictTime;
-    if (lastConflictTime > 0 && timeSinceLastConflict < CONFLICT_COOLDOWN) {
-        const waitTime = Math.ceil((CONFLICT_COOLDOWN - timeSinceLastConflict) / 1000);
-        console.log(`\n⏳ [COOLDOWN] Aguardando ${waitTime}s após conflito anterior...`);
-        console.log('   └─ Motivo: Evitar rate limiting do WhatsApp');
-        
-        sendNotification('whatsapp:cooldown', { waitSeconds: waitTime });
-        
-        await sleep(CONFLICT_COOLDOWN - timeSinceLastConflict);
-    }
-    
-    // Lock para evitar inicializações simultâneas
-    if (initializationLock && initializationPromise) {
-        console.log('\n⏳ [INIT] Já há uma inicialização em andamento...');
-        return initializationPromise;
-    }
-    
-    if (connectionState.isConnected && sock) {
-        console.log('\n✅ [INIT] WhatsApp já está conectado');
-        return sock;
-    }
-    
-    initializationLock = true;
-    initializationPromise = _doInitialize(onMessage);
-    
-    try {
-        return await initializationPromise;
-    } finally {
-        initializationLock = false;
-        initializationPromise = null;
+    if (onMessage) {
+        messageCallback = onMessage;
     }
+
+    return getChannel().initialize();
 }
 
-async function _doInitialize(onMessage) {
-    connectionState.initializationAttempts++;
-    connectionStartTime = Date.now();
-    
-    console.log('\n');
-    console.log('╔══════════════════════════════════════════════════════════════╗');
-    console.log('║          INICIANDO CONEXÃO COM WHATSAPP                      ║');
-    console.log('╚══════════════════════════════════════════════════════════════╝');
-    console.log('   ├─ Tentativa:', connectionState.initializationAttempts);
-    console.log('   ├─ Conflitos anteriores:', connectionState.conflictCount);
-    console.log('   ├─ Erros 515 anteriores:', streamErrorCount);
-    console.log('   ├─ Retry count:', connectionState.retryCount);
-    console.log('   ├─ Timestamp:', new Date().toISOString());
-    console.log('   └─ Memory:', Math.round(process.memoryUsage().heapUsed / 1024 / 1024), 'MB');
-    
-    addToHistory('init_start', { 
-        attempt: connectionState.initializationAttempts,
-        conflictCount: connectionState.conflictCount,
-        streamErrorCount: streamErrorCount
-    });
+// ============================================
+// PROCESSAMENTO DE MENSAGENS
+// ============================================
 
+/**
+ * Mensagem recebida por qualquer canal
+ * @param {object} messageData - { id, phone, jid, text, type, timestamp, pushName, isGroup, media, location, raw }
+ * @returns {object|null} Resultado do handler (null quando ignorada)
+ */
+async function handleIncomingMessage(messageData) {
     try {
-        if (onMessage) {
-            messageCallback = onMessage;
-        }
+        if (messageData.isGroup) return null;
+        if (!messageData.text && !messageData.media && !messageData.location) return null;
 
-        // Delay inicial
-        if (connectionState.initializationAttempts === 1) {
-            console.log(`\n⏳ [INIT] Delay inicial de ${INIT_DELAY/1000}s...`);
-            await sleep(INIT_DELAY);
-        }
-
-        cleanupSocket();
-        resetState();
+        const preview = messageData.text || `[${messageData.type}]`;
+        console.log(`\n📩 [MSG IN] ${messageData.phone}: "${preview.substring(0, 50)}..."`);
 
-        const authCheck = ensureAuthDirectory();
-        if (!authCheck.success) {
-            throw new Error('Falha no diretório de autenticação');
-        }
+        logger.messageReceived(messageData.phone, preview);
 
-        console.log('\n📱 [BAILEYS] Buscando versão...');
-        const { version, isLatest } = await fetchLatestBaileysVersion();
-        console.log('   ├─ Versão:', version.join('.'));
-        console.log('   └─ Mais recente:', isLatest ? 'Sim ✅' : 'Não ⚠️');
-
-        console.log('\n🔐 [AUTH] Carregando credenciais...');
-        const authState = await useMultiFileAuthState(AUTH_PATH);
-        saveCreds = authState.saveCreds;
-        
-        console.log('   ├─ State existe:', !!authState.state);
-        console.log('   ├─ Creds existe:', !!authState.state.creds);
-        console.log('   ├─ Registrado:', authState.state.creds?.registered || false);
-        console.log('   ├─ Me.id:', authState.state.creds?.me?.id || 'N/A');
-        console.log('   └─ Keys exist:', !!authState.state.keys);
-
-        // ============================================
-        // CONFIGURAÇÃO DO SOCKET - VERSÃO 3.0
-        // ============================================
-        const socketConfig = {
-            version,
-            auth: {
-                creds: authState.state.creds,
-                keys: makeCacheableSignalKeyStore(
-                    authState.state.keys, 
-                    pino({ level: 'silent' })
-                ),
-            },
-            logger: pino({ level: 'silent' }),
-            
-            // Browser - usando identificação padrão do Baileys
-            browser: Browsers.ubuntu('Chrome'),
-            
-            // Configurações de conexão otimizadas
-            markOnlineOnConnect: false,
-            generateHighQualityLinkPreview: false,
-            syncFullHistory: false,
-            
-            // Timeouts aumentados
-            connectTimeoutMs: CONNECTION_TIMEOUT,
-            defaultQueryTimeoutMs: 60000,
-            keepAliveIntervalMs: 15000,
-            retryRequestDelayMs: 2000,
-            
-            // QR e mensagens
-            qrTimeout: QR_TIMEOUT,
-            maxMsgRetryCount: 3,
-            printQRInTerminal: false,
-            
-            // Configurações adicionais para estabilidade
-            emitOwnEvents: true,
-            fireInitQueries: false, // Mudado para false
-            
-            // Não sincronizar histórico (evita conflitos)
-            shouldSyncHistoryMessage: () => false,
-            
-            // Patch para mensagens
-            patchMessageBeforeSending: (message) => {
-                const requiresPatch = !!(message.buttonsMessage || message.listMessage);
-                if (requiresPatch) {
-                    message = { 
-                        viewOnceMessage: { 
-                            message: { 
-                                messageContextInfo: { 
-                                    deviceListMetadataVersion: 2, 
-                                    deviceListMetadata: {} 
-                                }, 
-                                ...message 
-                            } 
-                        } 
-                    };
-                }
-                return message;
-            },
-            
-            getMessage: async (key) => {
-                return { conversation: '' };
-            },
-        };
+        // Mídia e localização chegam ao painel pelo evento message:media, depois de salvas
+        sendNotification('message:received', {
+            phone: messageData.phone,
+            text: messageData.text,
+            pushName: messageData.pushName,
+            mediaType: messageData.media ? messageData.media.type : (messageData.location ? 'location' : null)
+        });
 
-        console.log('\n🔌 [SOCKET] Criando conexão...');
-        console.log('   ├─ Browser: Ubuntu (Chrome)');
-        console.log('   ├─ connectTimeoutMs:', socketConfig.connectTimeoutMs);
-        console.log('   ├─ qrTimeout:', socketConfig.qrTimeout);
-        console.log('   ├─ keepAliveIntervalMs:', socketConfig.keepAliveIntervalMs);
-        console.log('   ├─ fireInitQueries:', socketConfig.fireInitQueries);
-        console.log('   └─ markOnlineOnConnect:', socketConfig.markOnlineOnConnect);
-        
-        sock = makeWASocket(socketConfig);
-        
-        setupEventHandlers(sock, authState.saveCreds);
-
-        console.log('\n✅ [INIT] Socket criado, aguardando eventos...\n');
-        
-        return sock;
+        return messageCallback ? await messageCallback(messageData) : null;
     } catch (error) {
-        console.error('\n❌ [INIT] ERRO:', error.message);
-        console.error('   Stack:', error.stack);
-        connectionState.lastError = error.message;
-        addToHistory('init_error', { error: error.message });
-        throw error;
+        console.error('❌ [MSG] Erro:', error.message);
+        return null;
     }
 }
 
-// ============================================
-// HANDLERS DE EVENTOS
-// ============================================
-
-function setupEventHandlers(socket, saveCredsFunc) {
-    console.log('📡 [EVENTS] Configurando handlers...');
-
-    // ========== CONNECTION UPDATE ==========
-    socket.ev.on('connection.update', async (update) => {
-        const { connection, lastDisconnect, qr, isNewLogin, receivedPendingNotifications } = update;
-        
-        const timestamp = new Date().toISOString();
-        const connectionDuration = connectionStartTime ? Math.round((Date.now() - connectionStartTime) / 1000) : 0;
-        
-        console.log('\n┌─────────────────────────────────────────────────────────┐');
-        console.log('│              CONNECTION UPDATE                          │');
-        console.log('├─────────────────────────────────────────────────────────┤');
-        console.log('│ Timestamp:', timestamp);
-        console.log('│ Duração desde início:', connectionDuration, 'segundos');
-        console.log('│ connection:', connection || '(undefined)');
-        console.log('│ hasQR:', !!qr);
-        console.log('│ isNewLogin:', isNewLogin);
-        console.log('│ receivedPendingNotifications:', receivedPendingNotifications);
-        console.log('│ Estado atual:');
-        console.log('│   ├─ isConnected:', connectionState.isConnected);
-        console.log('│   ├─ retryCount:', connectionState.retryCount);
-        console.log('│   ├─ streamErrorCount:', streamErrorCount);
-        console.log('│   └─ conflictCount:', connectionState.conflictCount);
-        console.log('└─────────────────────────────────────────────────────────┘');
-
-        addToHistory('connection_update', { 
-            connection, 
-            hasQR: !!qr, 
-            isNewLogin,
-            hasLastDisconnect: !!lastDisconnect,
-            connectionDuration
-        });
-
-        // ===== QR CODE =====
-        if (qr) {
-            connectionState.qrCode = qr;
-            connectionState.lastQRTime = Date.now();
-            connectionState.isConnected = false;
-            
-            // Reset contadores quando novo QR é gerado
-            streamErrorCount = 0;
-            connectionState.retryCount = 0;
-            
-            console.log('\n');
-            console.log('╔═══════════════════════════════════════════════════════╗');
-            console.log('║     📱 NOVO QR CODE - ESCANEIE COM SEU WHATSAPP       ║');
-            console.log('╚═══════════════════════════════════════════════════════╝');
-            console.log('\n');
-            qrcode.generate(qr, { small: true });
-            console.log('\n');
-            console.log('   ⚠️  IMPORTANTE:');
-            console.log('   1. Abra o WhatsApp no celular');
-            console.log('   2. Vá em Configurações > Dispositivos Vinculados');
-            console.log('   3. Toque em "Conectar um dispositivo"');
-            console.log('   4. Escaneie este QR Code');
-            console.log('   5. AGUARDE até aparecer "Conectado" (pode demorar 30-60s)');
-            console.log('   6. NÃO FECHE o WhatsApp durante a conexão!');
-            console.log('\n');
-            console.log(`   ⏰ QR expira em ${QR_TIMEOUT/1000} segundos`);
-            console.log('═══════════════════════════════════════════════════════\n');
-
-            sendNotification('whatsapp:qr', { qrCode: qr });
-            addToHistory('qr_generated', { qrTimeout: QR_TIMEOUT });
-        }
-
-        // ===== CONECTADO =====
-        if (connection === 'open') {
-            console.log('\n');
-            console.log('╔═══════════════════════════════════════════════════════╗');
-            console.log('║              ✅ CONEXÃO ABERTA!                       ║');
-            console.log('╚═══════════════════════════════════════════════════════╝');
-            
-            connectionState.isConnected = true;
-            connectionState.qrCode = null;
-            connectionState.retryCount = 0;
-            connectionState.lastConnected = new Date().toISOString();
-            connectionState.isReconnecting = false;
-            connectionState.lastError = null;
-            streamErrorCount = 0;
-            
-            if (socket.user) {
-                connectionState.phoneNumber = socket.user.id.split(':')[0];
-                console.log('   ├─ Número:', connectionState.phoneNumber);
-                console.log('   ├─ JID:', socket.user.id);
-                console.log('   ├─ Nome:', socket.user.name || '(N/A)');
-            }
-            
-            console.log('   ├─ Timestamp:', connectionState.lastConnected);
-            console.log('   ├─ Duração para conectar:', connectionDuration, 'segundos');
-            console.log('   └─ Status: Verificando estabilidade...');
-            
-            // Verificação de estabilidade aumentada para 10 segundos
-            console.log('\n⏳ [STABILITY] Verificando estabilidade da conexão (10s)...');
-            
-            setTimeout(() => {
-                if (connectionState.isConnected) {
-                    console.log('✅ [STABILITY] Conexão estável após 10 segundos!');
-                    logger.whatsappStatus('Conectado com sucesso! ✅');
-                    sendNotification('whatsapp:connected', {
-                        phoneNumber: connectionState.phoneNumber,
-                        lastConnected: connectionState.lastConnected,
-                        stable: true
-                    });
-                } else {
-                    console.log('⚠️ [STABILITY] Conexão foi fechada durante verificação');
-                }
-            }, 10000);
-
-            addToHistory('connected', { 
-                phoneNumber: connectionState.phoneNumber,
-                connectionDuration
-            });
-        }
-
-        // ===== DESCONECTADO =====
-        if (connection === 'close') {
-            console.log('\n');
-            console.log('╔═══════════════════════════════════════════════════════╗');
-            console.log('║              ⚠️ CONEXÃO FECHADA                       ║');
-            console.log('╚═══════════════════════════════════════════════════════╝');
-            console.log('   └─ Duração da sessão:', connectionDuration, 'segundos');
-            
-            connectionState.isConnected = false;
-            
-            await handleDisconnect(lastDisconnect, connectionDuration);
-        }
-
-        // ===== CONECTANDO =====
-        if (connection === 'connecting') {
-            console.log('\n🔄 [CONNECTION] Estado: CONECTANDO...');
-            console.log('   └─ Aguarde, estabelecendo conexão com o servidor do WhatsApp');
-            addToHistory('connecting');
-        }
+/**
+ * Mensagem recebida no webhook genérico ({ type: 'message', data })
+ * @param {object} data - { id, phone (ou from), text (ou message), pushName, type }
+ */
+async function processWebhookMessage(data = {}) {
+    const phone = extractPhoneFromJid(String(data.phone || data.from || '')).replace(/\D/g, '');
+    if (!phone) return;
+
+    await handleIncomingMessage({
+        id: data.id || null,
+        phone,
+        jid: phone,
+        text: String(data.text || data.message || '').trim(),
+        type: data.type || 'text',
+        timestamp: data.timestamp || Math.floor(Date.now() / 1000),
+        pushName: data.pushName || data.name || '',
+        isGroup: false,
+        raw: data,
     });
+}
 
-    // ========== CREDENTIALS UPDATE ==========
-    socket.ev.on('creds.update', async () => {
-        connectionState.credsUpdateCount++;
-        const count = connectionState.credsUpdateCount;
-        
-        if (count <= 3 || count % 10 === 0) {
-            console.log(`🔐 [CREDS] Salvando credenciais (#${count})...`);
-        }
-        
-        try {
-            await saveCredsFunc();
-            if (count <= 3 || count % 10 === 0) {
-                console.log('   └─ ✅ Salvo');
-            }
-        } catch (error) {
-            console.error('   └─ ❌ Erro ao salvar:', error.message);
-        }
-    });
+/**
+ * Status de entrega de mensagem enviada (canal ou webhook genérico)
+ * @param {object} data - { messageId (ou id), phone, status: sent | delivered | read | failed, timestamp, error }
+ */
+async function processMessageStatus(data = {}) {
+    try {
+        const status = {
+            messageId: data.messageId || data.id || null,
+            phone: extractPhoneFromJid(String(data.phone || data.recipient_id || '')),
+            status: data.status,
+            error: data.error || null,
+        };
 
-    // ========== MESSAGES ==========
-    socket.ev.on('messages.upsert', async ({ messages, type }) => {
-        if (type !== 'notify') return;
+        if (!status.messageId || !status.status) return;
 
-        for (const msg of messages) {
-            await handleIncomingMessage(msg);
+        if (status.status === 'failed') {
+            logger.warn(`⚠️  Mensagem não entregue para ${status.phone}: ${status.error || 'erro desconhecido'}`);
         }
-    });
 
-    console.log('   └─ ✅ Handlers configurados\n');
+        sendNotification('message:status', status);
+    } catch (error) {
+        console.error('❌ [STATUS] Erro:', error.message);
+    }
 }
 
-// ============================================
-// TRATAMENTO DE DESCONEXÃO - VERSÃO 3.0
-// ============================================
-
-async function handleDisconnect(lastDisconnect, connectionDuration = 0) {
-    const statusCode = lastDisconnect?.error?.output?.statusCode;
-    const errorMessage = lastDisconnect?.error?.message || 'Desconhecido';
-    const errorData = lastDisconnect?.error?.data;
-    
-    console.log('\n📊 [DISCONNECT] Análise detalhada:');
-    console.log('   ├─ StatusCode:', statusCode);
-    console.log('   ├─ Mensagem:', errorMessage);
-    console.log('   ├─ Dados:', JSON.stringify(errorData || {}));
-    console.log('   ├─ Duração da conexão:', connectionDuration, 'segundos');
-    
-    // Análise do erro
-    const errorString = JSON.stringify(errorData || '');
-    
-    const isConflict = errorMessage.includes('conflict') || 
-                       errorString.includes('conflict') ||
-                       errorString.includes('device_removed');
-    
-    const isLoggedOut = statusCode === DisconnectReason.loggedOut || 
-                        statusCode === 401;
-    
-    const isBadSession = statusCode === DisconnectReason.badSession ||
-                         statusCode === 500;
-    
-    const isConnectionLost = statusCode === DisconnectReason.connectionLost || 
-                             statusCode === DisconnectReason.connectionClosed ||
-                             statusCode === DisconnectReason.connectionReplaced;
-    
-    const isStreamError = statusCode === 515 || 
-                          errorMessage.includes('Stream Errored') ||
-                          errorMessage.includes('restart required');
-    
-    const isTimeout = statusCode === DisconnectReason.timedOut ||
-                      errorMessage.includes('timed out') ||
-                      errorMessage.includes('timeout');
-    
-    // Verifica se foi desconexão rápida (menos de 2 minutos)
-    const wasQuickDisconnect = connectionDuration > 0 && connectionDuration < 120;
-    
-    console.log('   ├─ É conflito:', isConflict ? 'SIM ⚠️' : 'NÃO');
-    console.log('   ├─ É logout:', isLoggedOut ? 'SIM' : 'NÃO');
-    console.log('   ├─ É bad session:', isBadSession ? 'SIM' : 'NÃO');
-    console.log('   ├─ É connection lost:', isConnectionLost ? 'SIM' : 'NÃO');
-    console.log('   ├─ É stream error (515):', isStreamError ? 'SIM ⚠️' : 'NÃO');
-    console.log('   ├─ É timeout:', isTimeout ? 'SIM' : 'NÃO');
-    console.log('   └─ Desconexão rápida (<2min):', wasQuickDisconnect ? 'SIM ⚠️' : 'NÃO');
-
-    addToHistory('disconnected', { 
-        statusCode, 
-        errorMessage, 
-        isConflict, 
-        isLoggedOut,
-        isStreamError,
-        isTimeout,
-        connectionDuration,
-        wasQuickDisconnect
-    });
-
-    sendNotification('whatsapp:disconnected', {
-        statusCode,
-        reason: errorMessage,
-        isConflict,
-        isStreamError,
-        connectionDuration
-    });
+/**
+ * Confere a assinatura do webhook (App Secret da Meta)
+ * @param {Buffer} rawBody - Corpo sem parse
+ * @param {string} signature - Cabeçalho X-Hub-Signature-256
+ * @returns {boolean} Se é válida (sem App Secret configurado: false)
+ */
+function verifyWebhookSignature(rawBody, signature) {
+    return verifyMetaSignature(rawBody, signature, settings.whatsapp.meta.appSecret);
+}
 
-    // ===== TRATAMENTO DE CONFLITO/LOGOUT/DEVICE_REMOVED =====
-    if (isConflict || isLoggedOut || isBadSession) {
-        connectionState.conflictCount++;
-        lastConflictTime = Date.now();
-        
-        console.log('\n🚨 [CONFLICT] Conflito/Logout detectado!');
-        console.log('   ├─ Total de conflitos:', connectionState.conflictCount);
-        console.log('   ├─ Ação: Limpando TODAS as credenciais');
-        
-        // Limpa credenciais
-        clearCredentials();
-        
-        // Cooldown aumentado para conflitos frequentes
-        let cooldown = CONFLICT_COOLDOWN;
-        if (connectionState.conflictCount >= 3) {
-            cooldown = CONFLICT_COOLDOWN * 2; // 6 minutos
-            console.log('   ├─ ⚠️ Muitos conflitos! Cooldown dobrado');
-        }
-        if (connectionState.conflictCount >= 5) {
-            cooldown = CONFLICT_COOLDOWN * 3; // 9 minutos
-            console.log('   ├─ 🚨 Conflitos excessivos! Cooldown triplicado');
-        }
-        
-        console.log(`   └─ Cooldown: ${cooldown/1000} segundos`);
-        
-        sendNotification('whatsapp:logged_out', {
-            message: 'Dispositivo removido. Aguarde o cooldown e escaneie novamente.',
-            conflictCount: connectionState.conflictCount,
-            cooldownSeconds: cooldown/1000
-        });
-        
-        console.log(`\n⏳ [COOLDOWN] Aguardando ${cooldown/1000}s antes de gerar novo QR...`);
-        console.log('   └─ Não escaneie nenhum QR durante este período!');
-        
-        await sleep(cooldown);
-        
-        // Reset estados
-        connectionState.retryCount = 0;
-        streamErrorCount = 0;
-        initializationLock = false;
-        
-        await initialize(messageCallback);
-        return;
-    }
+/**
+ * Processa o corpo do webhook (API oficial ou formato genérico)
+ * @param {object} body - Corpo já convertido de JSON
+ */
+async function processWebhook(body = {}) {
+    // API oficial da Meta
+    if (body.object) {
+        const active = getChannel();
 
-    // ===== TRATAMENTO DE ERRO 515 (Stream Error) =====
-    if (isStreamError && !isConflict) {
-        streamErrorCount++;
-        
-        console.log('\n🔄 [STREAM ERROR 515] Erro de stream detectado!');
-        console.log('   ├─ Contador de erros 515:', streamErrorCount);
-        
-        if (streamErrorCount >= 3) {
-            console.log('   ├─ ⚠️ Muitos erros 515! Limpando credenciais...');
-            clearCredentials();
-            streamErrorCount = 0;
-            connectionState.retryCount = 0;
-            
-            console.log(`   └─ Aguardando 60s antes de gerar novo QR...`);
-            await sleep(60000);
-            
-            initializationLock = false;
-            await initialize(messageCallback);
+        if (typeof active.handleWebhook !== 'function') {
+            logger.warn(`Webhook da API oficial ignorado: canal em uso é "${active.name}"`);
             return;
         }
-        
-        const delay = STREAM_ERROR_DELAY + (streamErrorCount * 3000);
-        console.log(`   └─ Tentando reconectar em ${delay/1000} segundos...`);
-        
-        sendNotification('whatsapp:reconnecting', {
-            attempt: streamErrorCount,
-            reason: 'Stream Error 515',
-            delaySeconds: delay/1000
-        });
-        
-        await sleep(delay);
-        
-        initializationLock = false;
-        await initialize(messageCallback);
-        return;
-    }
 
-    // ===== TRATAMENTO DE TIMEOUT =====
-    if (isTimeout) {
-        connectionState.retryCount++;
-        
-        console.log('\n⏱️ [TIMEOUT] Timeout detectado!');
-        console.log('   ├─ Retry count:', connectionState.retryCount);
-        
-        if (connectionState.retryCount <= MAX_RETRY_COUNT) {
-            const delay = RECONNECT_DELAY + (connectionState.retryCount * 5000);
-            console.log(`   └─ Tentando reconectar em ${delay/1000}s...`);
-            
-            await sleep(delay);
-            
-            initializationLock = false;
-            await initialize(messageCallback);
-        } else {
-            console.log('   └─ Máximo de tentativas. Limpando credenciais...');
-            clearCredentials();
-            connectionState.retryCount = 0;
-            
-            await sleep(30000);
-            
-            initializationLock = false;
-            await initialize(messageCallback);
-        }
+        await active.handleWebhook(body);
         return;
     }
 
-    // ===== RECONEXÃO NORMAL =====
-    if (isConnectionLost && connectionState.retryCount < MAX_RETRY_COUNT) {
-        connectionState.retryCount++;
-        
-        console.log(`\n🔄 [RECONNECT] Tentativa ${connectionState.retryCount}/${MAX_RETRY_COUNT}`);
-        console.log(`   └─ Aguardando ${RECONNECT_DELAY/1000}s...`);
-        
-        sendNotification('whatsapp:reconnecting', {
-            attempt: connectionState.retryCount,
-            maxAttempts: MAX_RETRY_COUNT,
-            delaySeconds: RECONNECT_DELAY/1000
-        });
+    const { type, data } = body;
 
-        await sleep(RECONNECT_DELAY);
-        
-        initializationLock = false;
-        await initialize(messageCallback);
-        return;
-    }
-    
-    // ===== FALLBACK =====
-    if (connectionState.retryCount < MAX_RETRY_COUNT) {
-        connectionState.retryCount++;
-        
-        console.log(`\n🔄 [RECONNECT] Erro desconhecido - Tentativa ${connectionState.retryCount}/${MAX_RETRY_COUNT}`);
-        console.log(`   └─ Aguardando ${RECONNECT_DELAY/1000}s...`);
-        
-        await sleep(RECONNECT_DELAY);
-        
-        initializationLock = false;
-        await initialize(messageCallback);
-    } else {
-        console.log('\n❌ [RECONNECT] Máximo de tentativas atingido');
-        console.log('   └─ Limpando credenciais e reiniciando...');
-        
-        clearCredentials();
-        connectionState.retryCount = 0;
-        
-        await sleep(60000);
-        
-        initializationLock = false;
-        await initialize(messageCallback);
-    }
-}
+    logger.debug(`Webhook recebido: ${type}`);
 
-// ============================================
-// PROCESSAMENTO DE MENSAGENS
-// ============================================
+    switch (type) {
+        case 'message':
+            await processWebhookMessage(data);
+            break;
 
-async function handleIncomingMessage(msg) {
-    try {
-        if (msg.key.fromMe) return;
-        if (isJidBroadcast(msg.key.remoteJid)) return;
-        if (isJidGroup(msg.key.remoteJid)) return;
+        case 'status':
+            await processMessageStatus(data);
+            break;
 
-        const messageData = extractMessageData(msg);
-        
-        if (!messageData.text) return;
-
-        console.log(`\n📩 [MSG IN] ${messageData.phone}: "${messageData.text.substring(0, 50)}..."`);
-
-        logger.messageReceived(messageData.phone, messageData.text);
-
-        sendNotification('message:received', {
-            phone: messageData.phone,
-            text: messageData.text,
-            pushName: messageData.pushName
-        });
-
-        if (messageCallback) {
-            await messageCallback(messageData);
-        }
-    } catch (error) {
-        console.error('❌ [MSG] Erro:', error.message);
+        default:
+            logger.warn(`Tipo de webhook desconhecido: ${type}`);
     }
 }
 
-function extractMessageData(msg) {
-    const content = msg.message;
-    
-    let text = '';
-    let type = 'unknown';
-
-    if (content?.conversation) {
-        text = content.conversation;
-        type = 'text';
-    } else if (content?.extendedTextMessage?.text) {
-        text = content.extendedTextMessage.text;
-        type = 'text';
-    } else if (content?.imageMessage?.caption) {
-        text = content.imageMessage.caption;
-        type = 'image';
-    } else if (content?.videoMessage?.caption) {
-        text = content.videoMessage.caption;
-        type = 'video';
-    } else if (content?.buttonsResponseMessage?.selectedButtonId) {
-        text = content.buttonsResponseMessage.selectedButtonId;
-        type = 'button';
-    } else if (content?.listResponseMessage?.singleSelectReply?.selectedRowId) {
-        text = content.listResponseMessage.singleSelectReply.selectedRowId;
-        type = 'list';
-    }
-
-    return {
-        id: msg.key.id,
-        phone: extractPhoneFromJid(msg.key.remoteJid),
-        jid: msg.key.remoteJid,
-        text: text.trim(),
-        type,
-        timestamp: msg.messageTimestamp,
-        pushName: msg.pushName || '',
-        isGroup: isJidGroup(msg.key.remoteJid),
-        raw: msg,
-    };
-}
-
 // ============================================
 // FUNÇÕES DE ENVIO
 // ============================================
 
 async function sendMessage(to, message) {
     try {
-        if (!sock || !connectionState.isConnected) {
+        const active = getChannel();
+
+        if (!active.isConnected()) {
             throw new Error('WhatsApp não conectado');
         }
 
-        const jid = to.includes('@') ? to : formatPhoneForWhatsApp(to);
-
         if (settings.bot?.typingDelay > 0) {
-            await sock.sendPresenceUpdate('composing', jid);
+            await active.sendPresence(to, 'composing').catch(() => {});
             await sleep(settings.bot.typingDelay);
         }
 
-        const result = await sock.sendMessage(jid, { text: message });
-        await sock.sendPresenceUpdate('paused', jid);
+        const result = await active.sendText(to, message);
+        await active.sendPresence(to, 'paused').catch(() => {});
+
+        const phone = extractPhoneFromJid(to);
 
-        console.log(`📤 [MSG OUT] ${extractPhoneFromJid(jid)}: "${message.substring(0, 50)}..."`);
+        console.log(`📤 [MSG OUT] ${phone}: "${message.substring(0, 50)}..."`);
 
-        logger.messageSent(extractPhoneFromJid(jid), message);
+        logger.messageSent(phone, message);
 
         sendNotification('message:sent', {
-            phone: extractPhoneFromJid(jid),
+            phone,
             text: message,
-            messageId: result.key.id
+            messageId: result.messageId
         });
 
-        return { success: true, messageId: result.key.id };
+        return { success: true, messageId: result.messageId };
     } catch (error) {
         console.error('❌ [MSG OUT] Erro:', error.message);
         return { success: false, error: error.message };
@@ -952,15 +262,11 @@ async function sendMultipleMessages(to, messages) {
 
 async function sendImage(to, image, caption = '') {
     try {
-        if (!sock || !connectionState.isConnected) {
-            throw new Error('WhatsApp não conectado');
-        }
-
-        const jid = to.includes('@') ? to : formatPhoneForWhatsApp(to);
-        let imageBuffer = typeof image === 'string' ? fs.readFileSync(image) : image;
-        const result = await sock.sendMessage(jid, { image: imageBuffer, caption });
+        const media = typeof image === 'string'
+            ? { type: 'image', path: image, caption }
+            : { type: 'image', buffer: image, caption };
 
-        return { success: true, messageId: result.key.id };
+        return await sendMediaContent(to, media);
     } catch (error) {
         return { success: false, error: error.message };
     }
@@ -968,53 +274,37 @@ async function sendImage(to, image, caption = '') {
 
 async function sendMedia(to, mediaUrl, caption = '', type = 'image') {
     try {
-        if (!sock || !connectionState.isConnected) {
-            throw new Error('WhatsApp não conectado');
-        }
-
-        const jid = to.includes('@') ? to : formatPhoneForWhatsApp(to);
+        const media = mediaUrl.startsWith('http')
+            ? { type, url: mediaUrl, caption, fileName: path.basename(new URL(mediaUrl).pathname) }
+            : { type, path: mediaUrl, caption, fileName: path.basename(mediaUrl) };
 
-        let mediaBuffer;
-        if (mediaUrl.startsWith('http')) {
-            const response = await fetch(mediaUrl);
-            mediaBuffer = Buffer.from(await response.arrayBuffer());
-        } else {
-            mediaBuffer = fs.readFileSync(mediaUrl);
-        }
-
-        let content = {};
-        switch (type) {
-            case 'image': content = { image: mediaBuffer, caption }; break;
-            case 'video': content = { video: mediaBuffer, caption }; break;
-            case 'document': content = { document: mediaBuffer, caption, fileName: path.basename(mediaUrl) }; break;
-            case 'audio': content = { audio: mediaBuffer, mimetype: 'audio/mp4' }; break;
-            default: content = { image: mediaBuffer, caption };
-        }
-
-        const result = await sock.sendMessage(jid, content);
-        return { success: true, messageId: result.key.id };
+        return await sendMediaContent(to, media);
     } catch (error) {
         return { success: false, error: error.message };
     }
 }
 
+async function sendMediaContent(to, media) {
+    const active = getChannel();
+
+    if (!active.isConnected()) {
+        throw new Error('WhatsApp não conectado');
+    }
+
+    const result = await active.sendMedia(to, media);
+    return { success: true, messageId: result.messageId };
+}
+
 async function sendLocation(to, location) {
     try {
-        if (!sock || !connectionState.isConnected) {
+        const active = getChannel();
+
+        if (!active.isConnected()) {
             throw new Error('WhatsApp não conectado');
         }
 
-        const jid = to.includes('@') ? to : formatPhoneForWhatsApp(to);
-        const result = await sock.sendMessage(jid, {
-            location: {
-                degreesLatitude: location.latitude,
-                degreesLongitude: location.longitude,
-                name: location.name || '',
-                address: location.address || '',
-            },
-        });
-
-        return { success: true, messageId: result.key.id };
+        const result = await active.sendLocation(to, location);
+        return { success: true, messageId: result.messageId };
     } catch (error) {
         return { success: false, error: error.message };
     }
@@ -1022,21 +312,17 @@ async function sendLocation(to, location) {
 
 async function sendContact(to, contact, phone = null) {
     try {
-        if (!sock || !connectionState.isConnected) {
+        const active = getChannel();
+
+        if (!active.isConnected()) {
             throw new Error('WhatsApp não conectado');
         }
 
-        const jid = to.includes('@') ? to : formatPhoneForWhatsApp(to);
-        const name = typeof contact === 'object' ? contact.name : contact;
-        const contactPhone = typeof contact === 'object' ? contact.phone : phone;
-
-        const vcard = `BEGIN:VCARD\nVERSION:3.0\nFN:${name}\nTEL;type=CELL:+${contactPhone}\nEND:VCARD`;
-
-        const result = await sock.sendMessage(jid, {
-            contacts: { displayName: name, contacts: [{ vcard }] },
+        const result = await active.sendContact(to, {
+            name: typeof contact === 'object' ? contact.name : contact,
+            phone: typeof contact === 'object' ? contact.phone : phone,
         });
-
-        return { success: true, messageId: result.key.id };
+        return { success: true, messageId: result.messageId };
     } catch (error) {
         return { success: false, error: error.message };
     }
@@ -1048,25 +334,44 @@ async function sendContact(to, contact, phone = null) {
 
 async function markAsRead(msg) {
     try {
-        if (!sock || !connectionState.isConnected) return;
-        await sock.readMessages([{ remoteJid: msg.jid, id: msg.id }]);
+        if (!isConnected()) return;
+        await getChannel().markAsRead(msg);
     } catch (error) { }
 }
 
+/**
+ * Baixa o arquivo de uma mensagem recebida
+ * @param {object} messageData - Mensagem recebida (com media)
+ * @param {object} options - { maxBytes }
+ * @returns {Buffer|null} Conteúdo (null acima do limite)
+ */
+async function downloadMedia(messageData, options = {}) {
+    const active = getChannel();
+
+    if (!active.downloadMedia) {
+        throw new Error(`Canal ${active.name} não baixa mídia`);
+    }
+
+    return active.downloadMedia(messageData, options);
+}
+
 async function updatePresence(to, presence = 'composing') {
     try {
-        if (!sock || !connectionState.isConnected) return;
-        const jid = to.includes('@') ? to : formatPhoneForWhatsApp(to);
-        await sock.sendPresenceUpdate(presence, jid);
+        if (!isConnected()) return;
+        await getChannel().sendPresence(to, presence);
     } catch (error) { }
 }
 
+/**
+ * Verifica se o número tem WhatsApp
+ * @returns {boolean|null} null quando o canal não permite consultar (API oficial)
+ */
 async function checkNumberExists(phone) {
     try {
-        if (!sock || !connectionState.isConnected) return false;
-        const jid = formatPhoneForWhatsApp(phone);
-        const [result] = await sock.onWhatsApp(jid);
-        return result?.exists || false;
+        const active = getChannel();
+        if (typeof active.checkNumber !== 'function') return null;
+        if (!active.isConnected()) return false;
+        return await active.checkNumber(phone);
     } catch (error) {
         return false;
     }
@@ -1074,11 +379,8 @@ async function checkNumberExists(phone) {
 
 async function getProfileInfo(phone) {
     try {
-        if (!sock || !connectionState.isConnected) return { phone };
-        const jid = formatPhoneForWhatsApp(phone);
-        const status = await sock.fetchStatus(jid).catch(() => null);
-        const pic = await sock.profilePictureUrl(jid, 'image').catch(() => null);
-        return { phone, status: status?.status || '', profilePicture: pic };
+        const profile = await getContactProfile(phone);
+        return { phone, status: profile.status || '', profilePicture: profile.profilePicture || null };
     } catch (error) {
         return { phone };
     }
@@ -1086,9 +388,9 @@ async function getProfileInfo(phone) {
 
 async function getProfilePicture(phone) {
     try {
-        if (!sock || !connectionState.isConnected) return null;
-        const jid = formatPhoneForWhatsApp(phone);
-        return await sock.profilePictureUrl(jid, 'image');
+        const active = getChannel();
+        if (typeof active.getProfilePicture !== 'function' || !active.isConnected()) return null;
+        return await active.getProfilePicture(phone);
     } catch (error) {
         return null;
     }
@@ -1096,18 +398,9 @@ async function getProfilePicture(phone) {
 
 async function getContactProfile(phone) {
     try {
-        if (!sock || !connectionState.isConnected) return { phone, exists: false };
-        const jid = formatPhoneForWhatsApp(phone);
-        const [exists] = await sock.onWhatsApp(jid);
-        const status = await sock.fetchStatus(jid).catch(() => null);
-        const pic = await sock.profilePictureUrl(jid, 'image').catch(() => null);
-        return {
-            phone,
-            exists: exists?.exists || false,
-            jid: exists?.jid || jid,
-            status: status?.status || '',
-            profilePicture: pic,
-        };
+        const active = getChannel();
+        if (typeof active.getProfile !== 'function' || !active.isConnected()) return { phone, exists: false };
+        return await active.getProfile(phone);
     } catch (error) {
         return { phone, exists: false };
     }
@@ -1118,48 +411,36 @@ async function getContactProfile(phone) {
 // ============================================
 
 function getConnectionState() {
-    return { 
-        ...connectionState, 
-        socketExists: sock !== null,
-        lastConflictTime: lastConflictTime > 0 ? new Date(lastConflictTime).toISOString() : null,
-        streamErrorCount: streamErrorCount
-    };
+    return { channel: getChannel().name, ...getChannel().getState() };
 }
 
 async function getConnectionStatus() {
+    const active = getChannel();
+    const status = active.getStatus();
+
     return {
-        connected: connectionState.isConnected,
-        status: connectionState.isConnected ? 'connected' : 'disconnected',
-        phoneNumber: connectionState.phoneNumber,
-        lastConnected: connectionState.lastConnected,
-        qrCode: connectionState.qrCode,
-        retryCount: connectionState.retryCount,
-        conflictCount: connectionState.conflictCount,
-        streamErrorCount: streamErrorCount,
-        lastError: connectionState.lastError,
-        uptime: connectionState.lastConnected 
-            ? Date.now() - new Date(connectionState.lastConnected).getTime() 
+        retryCount: 0,
+        conflictCount: 0,
+        streamErrorCount: 0,
+        ...status,
+        channel: active.name,
+        uptime: status.lastConnected
+            ? Date.now() - new Date(status.lastConnected).getTime()
             : null,
-        connectionHistory: connectionState.connectionHistory.slice(-20),
+        connectionHistory: (status.connectionHistory || []).slice(-20),
     };
 }
 
 async function getQRCode() {
-    return connectionState.qrCode;
+    return getChannel().getStatus().qrCode || null;
 }
 
 async function getDeviceInfo() {
-    if (!sock || !connectionState.isConnected) return null;
-    return {
-        phoneNumber: connectionState.phoneNumber,
-        platform: sock.user?.platform || 'unknown',
-        pushName: sock.user?.name || '',
-        jid: sock.user?.id || '',
-    };
+    return getChannel().getDeviceInfo();
 }
 
 function isConnected() {
-    return connectionState.isConnected && sock !== null;
+    return getChannel().isConnected();
 }
 
 // ============================================
@@ -1167,7 +448,7 @@ function isConnected() {
 // ============================================
 
 async function connect() {
-    if (connectionState.isConnected) {
+    if (isConnected()) {
         console.log('⚠️ [CONNECT] Já conectado');
         return;
     }
@@ -1176,12 +457,7 @@ async function connect() {
 
 async function disconnect() {
     try {
-        console.log('\n👋 [DISCONNECT] Desconectando...');
-        if (sock) {
-            await sock.logout();
-            cleanupSocket();
-            resetState();
-        }
+        await getChannel().disconnect();
         sendNotification('whatsapp:disconnected', { reason: 'manual' });
     } catch (error) {
         console.error('❌ Erro ao desconectar:', error.message);
@@ -1190,25 +466,8 @@ async function disconnect() {
 
 async function logout() {
     try {
-        console.log('\n🚪 [LOGOUT] Fazendo logout...');
-        
-        if (sock) {
-            try {
-                await sock.logout();
-            } catch (e) {
-                console.log('   ├─ Aviso no logout:', e.message);
-            }
-        }
-        
-        clearCredentials();
-        cleanupSocket();
-        resetState();
-        connectionState.conflictCount = 0;
-        lastConflictTime = 0;
-        streamErrorCount = 0;
-        
+        await getChannel().logout();
         sendNotification('whatsapp:logged_out', { message: 'Sessão encerrada manualmente' });
-        console.log('   └─ ✅ Logout realizado');
     } catch (error) {
         console.error('❌ Erro no logout:', error.message);
         throw error;
@@ -1216,22 +475,13 @@ async function logout() {
 }
 
 async function restart() {
-    console.log('\n🔄 [RESTART] Reiniciando...');
-    
     sendNotification('whatsapp:restarting', {});
-    
-    cleanupSocket();
-    resetState();
-    connectionState.retryCount = 0;
-    streamErrorCount = 0;
-    initializationLock = false;
-    
-    await sleep(3000);
-    await initialize(messageCallback);
+    await getChannel().restart();
 }
 
 function getSocket() {
-    return sock;
+    const active = getChannel();
+    return typeof active.getSocket === 'function' ? active.getSocket() : null;
 }
 
 function formatPhoneNumber(phone) {
@@ -1243,18 +493,21 @@ function formatPhoneNumber(phone) {
 // ============================================
 
 async function getStats() {
+    const status = getChannel().getStatus();
+
     return {
-        connected: connectionState.isConnected,
-        phoneNumber: connectionState.phoneNumber,
-        lastConnected: connectionState.lastConnected,
-        retryCount: connectionState.retryCount,
-        conflictCount: connectionState.conflictCount,
-        streamErrorCount: streamErrorCount,
-        initializationAttempts: connectionState.initializationAttempts,
-        lastError: connectionState.lastError,
+        channel: getChannel().name,
+        connected: status.connected,
+        phoneNumber: status.phoneNumber,
+        lastConnected: status.lastConnected,
+        retryCount: status.retryCount || 0,
+        conflictCount: status.conflictCount || 0,
+        streamErrorCount: status.streamErrorCount || 0,
+        initializationAttempts: status.initializationAttempts || 0,
+        lastError: status.lastError,
         memoryUsage: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
-        uptime: connectionState.lastConnected 
-            ? Math.floor((Date.now() - new Date(connectionState.lastConnected).getTime()) / 1000)
+        uptime: status.lastConnected
+            ? Math.floor((Date.now() - new Date(status.lastConnected).getTime()) / 1000)
             : 0,
     };
 }
@@ -1265,13 +518,9 @@ async function getMessageStats(period = 'today') {
 
 async function getGroups() {
     try {
-        if (!sock || !connectionState.isConnected) return [];
-        const groups = await sock.groupFetchAllParticipating();
-        return Object.values(groups).map(g => ({
-            id: g.id,
-            name: g.subject,
-            participants: g.participants?.length || 0,
-        }));
+        const active = getChannel();
+        if (typeof active.getGroups !== 'function' || !active.isConnected()) return [];
+        return await active.getGroups();
     } catch (error) {
         return [];
     }
@@ -1279,22 +528,16 @@ async function getGroups() {
 
 async function getGroupInfo(groupId) {
     try {
-        if (!sock || !connectionState.isConnected) return null;
-        const metadata = await sock.groupMetadata(groupId);
-        return {
-            id: metadata.id,
-            name: metadata.subject,
-            description: metadata.desc || '',
-            participants: metadata.participants,
-            participantCount: metadata.participants?.length || 0,
-        };
+        const active = getChannel();
+        if (typeof active.getGroupInfo !== 'function' || !active.isConnected()) return null;
+        return await active.getGroupInfo(groupId);
     } catch (error) {
         return null;
     }
 }
 
 function getConnectionHistory() {
-    return connectionState.connectionHistory;
+    return getChannel().getStatus().connectionHistory || [];
 }
 
 async function getDiagnostics() {
@@ -1304,7 +547,6 @@ async function getDiagnostics() {
             platform: process.platform,
             nodeVersion: process.version,
             pid: process.pid,
-            authPath: AUTH_PATH,
         },
         memory: {
             heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
@@ -1317,45 +559,22 @@ async function getDiagnostics() {
             cpus: os.cpus().length,
             uptime: Math.round(os.uptime() / 60),
         },
-        connection: { 
-            ...connectionState, 
-            socketExists: sock !== null,
-            lastConflictTime: lastConflictTime > 0 ? new Date(lastConflictTime).toISOString() : null,
-            streamErrorCount: streamErrorCount
-        },
-        auth: {
-            pathExists: fs.existsSync(AUTH_PATH),
-            files: fs.existsSync(AUTH_PATH) ? fs.readdirSync(AUTH_PATH) : [],
-        },
-        config: {
-            maxRetryCount: MAX_RETRY_COUNT,
-            reconnectDelay: RECONNECT_DELAY,
-            streamErrorDelay: STREAM_ERROR_DELAY,
-            conflictCooldown: CONFLICT_COOLDOWN,
-            qrTimeout: QR_TIMEOUT,
-            connectionTimeout: CONNECTION_TIMEOUT,
-        }
+        channel: getChannel().name,
+        ...getChannel().getDiagnostics(),
     };
 }
 
-// Templates (stubs)
-async function getMessageTemplates() { return []; }
-async function createMessageTemplate(t) { return Date.now(); }
-async function updateMessageTemplate(id, data) { return true; }
-async function deleteMessageTemplate(id) { return true; }
 async function getConfig() {
     return {
+        channel: getChannel().name,
+        channels: channels.listChannels(),
         typingDelay: settings.bot?.typingDelay || 0,
         messageDelay: settings.bot?.messageDelay || 0,
         autoReconnect: true,
-        maxRetries: MAX_RETRY_COUNT,
-        authPath: AUTH_PATH,
-        conflictCooldown: CONFLICT_COOLDOWN,
+        ...getChannel().getConfig(),
     };
 }
 async function updateConfig(config) { }
-async function processWebhookMessage(data) { }
-async function processMessageStatus(data) { }
 
 // ============================================
 // EXPORTS
@@ -1363,6 +582,7 @@ async function processMessageStatus(data) { }
 
 module.exports = {
     initialize,
+    getChannel,
     sendMessage,
     sendMultipleMessages,
     sendImage,
@@ -1370,6 +590,7 @@ module.exports = {
     sendLocation,
     sendContact,
     markAsRead,
+    downloadMedia,
     updatePresence,
     checkNumberExists,
     getProfileInfo,
@@ -1390,14 +611,12 @@ module.exports = {
     getMessageStats,
     getGroups,
     getGroupInfo,
-    getMessageTemplates,
-    createMessageTemplate,
-    updateMessageTemplate,
-    deleteMessageTemplate,
     getConfig,
     updateConfig,
+    processWebhook,
     processWebhookMessage,
     processMessageStatus,
+    verifyWebhookSignature,
     setNotificationCallback,
     sendNotification,
     getConnectionHistory,
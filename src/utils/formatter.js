@@ -258,6 +258,14 @@ function formatPromotion(promo) {
         text += `${promo.descricao}\n`;
     }
 
+    if (promo.tipo === 'geral') {
+        text += `🏪 Válida para toda a loja\n`;
+    } else if (promo.tipo === 'categoria' && promo.categoria_nome) {
+        text += `🏷️ Toda a categoria *${promo.categoria_nome}*\n`;
+    } else if (promo.produto_nome || promo.servico_nome) {
+        text += `📦 ${promo.produto_nome || promo.servico_nome}\n`;
+    }
+
     if (promo.desconto_percentual) {
         text += `💥 *${promo.desconto_percentual}% OFF*\n`;
     }
@@ -296,6 +304,40 @@ function formatPromotionList(promotions) {
     return text;
 }
 
+/**
+ * Formata número como emoji (1️⃣, 2️⃣...)
+ * @param {number} number - Número de 0 a 9
+ * @returns {string} Emoji do número
+ */
+function formatNumberEmoji(number) {
+    return `${number}\uFE0F\u20E3`;
+}
+
+/**
+ * Formata um nível do menu do bot
+ * @param {object} menu - Nó do menu ({ titulo, rodape, opcoes })
+ * @param {boolean} isSubmenu - Mostra opção de voltar
+ * @returns {string} Menu formatado
+ */
+function formatMenu(menu, isSubmenu = false) {
+    let text = `📋 *${menu.titulo || menu.rotulo || 'Menu'}*\n\n`;
+    text += `Digite o número da opção desejada:\n\n`;
+
+    (menu.opcoes || []).forEach((option, index) => {
+        text += `${formatNumberEmoji(index + 1)} - ${option.rotulo}\n`;
+    });
+
+    if (isSubmenu) {
+        text += `${formatNumberEmoji(0)} - Voltar\n`;
+    }
+
+    if (menu.rodape) {
+        text += `\n${menu.rodape}`;
+    }
+
+    return text.trim();
+}
+
 /**
  * Trunca texto se exceder o limite
  * @param {string} text - Texto original
@@ -404,6 +446,8 @@ module.exports = {
     formatProductList,
     formatPromotion,
     formatPromotionList,
+    formatNumberEmoji,
+    formatMenu,
     truncate,
     capitalize,
     removeAccents,
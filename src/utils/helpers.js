@@ -7,7 +7,7 @@
  * em toda a aplicação.
  */
 
-const { settings } = require('../config/settings');
+const { settings, WEEK_DAYS } = require('../config/settings');
 
 /**
  * Aguarda um tempo determinado (sleep)
@@ -44,43 +44,204 @@ function generateProductCode(prefix = 'PRD') {
     return `${prefix}${random}`;
 }
 
+/**
+ * Converte HH:MM em minutos desde 00:00
+ * @param {string} time - Horário (HH:MM)
+ * @returns {number} Minutos
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Soma dias a uma data no formato YYYY-MM-DD
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @param {number} days - Dias a somar
+ * @returns {string} Nova data (YYYY-MM-DD)
+ */
+function addDaysToDate(date, days) {
+    const d = new Date(`${date}T12:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Retorna data e hora atuais no fuso da loja
+ * (o servidor pode estar em outro fuso, ex: UTC)
+ * @param {Date} now - Momento de referência
+ * @returns {object} { date: 'YYYY-MM-DD', time: 'HH:mm:ss', weekday: 'seg', minutes, hour }
+ */
+function getZonedDateTime(now = new Date()) {
+    let parts;
+
+    try {
+        parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-CA', {
+                timeZone: settings.schedule.timezone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit',
+                hourCycle: 'h23',
+            }).formatToParts(now).map(part => [part.type, part.value])
+        );
+    } catch (error) {
+        // Fuso inválido: usa o horário do servidor
+        parts = {
+            year: String(now.getFullYear()),
+            month: String(now.getMonth() + 1).padStart(2, '0'),
+            day: String(now.getDate()).padStart(2, '0'),
+            hour: String(now.getHours()),
+            minute: String(now.getMinutes()),
+            second: String(now.getSeconds()),
+        };
+    }
+
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    const hour = parseInt(parts.hour);
+
+    return {
+        date,
+        time: [hour, parts.minute, parts.second].map(value => String(value).padStart(2, '0')).join(':'),
+        weekday: WEEK_DAYS[new Date(`${date}T12:00:00Z`).getUTCDay()],
+        hour,
+        minutes: hour * 60 + parseInt(parts.minute),
+    };
+}
+
+/**
+ * Converte data e hora do relógio da loja no instante real
+ * (ex: 14:00 em America/Sao_Paulo = 17:00 UTC)
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @param {string} time - Horário (HH:MM ou HH:MM:SS)
+ * @returns {Date} Instante correspondente
+ */
+function getZonedInstant(date, time) {
+    const wall = Date.parse(`${date}T00:00:00Z`) + timeToMinutes(time) * 60 * 1000;
+    let instant = wall;
+
+    // Ajusta pela diferença entre o relógio da loja e UTC (2 passos cobrem horário de verão)
+    for (let i = 0; i < 2; i++) {
+        const zoned = getZonedDateTime(new Date(instant));
+        instant += wall - Date.parse(`${zoned.date}T${zoned.time}Z`);
+    }
+
+    return new Date(instant);
+}
+
+/**
+ * Busca feriado/exceção cadastrado para a data
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @returns {object|null} Feriado ou null
+ */
+function getHolidayForDate(date) {
+    const holidays = settings.schedule.holidays || [];
+
+    // Data exata tem prioridade sobre feriado recorrente (todo ano)
+    return holidays.find(holiday => holiday.data === date)
+        || holidays.find(holiday => holiday.recorrente && holiday.data.slice(5) === date.slice(5))
+        || null;
+}
+
+/**
+ * Retorna intervalos de funcionamento de uma data
+ * (considera feriados e horários especiais)
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @returns {array} Intervalos [{ inicio, fim }] (vazio = fechado)
+ */
+function getBusinessIntervals(date) {
+    const holiday = getHolidayForDate(date);
+
+    if (holiday) {
+        return holiday.fechado ? [] : [{ inicio: holiday.hora_inicio, fim: holiday.hora_fim }];
+    }
+
+    const weekday = WEEK_DAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+    return settings.schedule.hours[weekday] || [];
+}
+
 /**
  * Verifica se está dentro do horário de funcionamento
+ * @param {Date} now - Momento a verificar (padrão: agora)
  * @returns {boolean} Se está no horário
  */
-function isWithinBusinessHours() {
-    const now = new Date();
-    const dayOfWeek = now.getDay();
-    const currentTime = now.getHours() * 60 + now.getMinutes();
-
-    // Mapeia dia da semana para abreviação
-    const dayMap = {
-        0: 'dom',
-        1: 'seg',
-        2: 'ter',
-        3: 'qua',
-        4: 'qui',
-        5: 'sex',
-        6: 'sab',
-    };
+function isWithinBusinessHours(now = new Date()) {
+    const { date, minutes } = getZonedDateTime(now);
 
-    const currentDay = dayMap[dayOfWeek];
-    const workDays = settings.schedule.workDays;
+    return getBusinessIntervals(date).some(interval =>
+        minutes >= timeToMinutes(interval.inicio) && minutes < timeToMinutes(interval.fim)
+    );
+}
 
-    // Verifica se é dia de funcionamento
-    if (!workDays.includes(currentDay)) {
-        return false;
+/**
+ * Calcula a próxima abertura da loja
+ * @param {Date} now - Momento de referência (padrão: agora)
+ * @param {number} maxDays - Dias à frente para procurar
+ * @returns {object|null} { date, time, daysAhead } ou null se não abre no período
+ */
+function getNextOpening(now = new Date(), maxDays = 31) {
+    const current = getZonedDateTime(now);
+
+    for (let offset = 0; offset <= maxDays; offset++) {
+        const date = addDaysToDate(current.date, offset);
+
+        const next = getBusinessIntervals(date)
+            .map(interval => interval.inicio)
+            .sort()
+            .find(inicio => offset > 0 || timeToMinutes(inicio) > current.minutes);
+
+        if (next) {
+            return { date, time: next, daysAhead: offset };
+        }
     }
 
-    // Converte horários para minutos
-    const [startHour, startMin] = settings.schedule.startTime.split(':').map(Number);
-    const [endHour, endMin] = settings.schedule.endTime.split(':').map(Number);
-    
-    const startTime = startHour * 60 + startMin;
-    const endTime = endHour * 60 + endMin;
+    return null;
+}
 
-    // Verifica se está dentro do horário
-    return currentTime >= startTime && currentTime <= endTime;
+/**
+ * Momento da próxima abertura (para agendar tarefas)
+ * @param {Date} now - Data de referência
+ * @returns {Date|null} Data/hora da abertura ou null se não encontrada
+ */
+function getNextOpeningDate(now = new Date()) {
+    const opening = getNextOpening(now);
+    if (!opening) return null;
+
+    const current = getZonedDateTime(now);
+    const minutes = opening.daysAhead * 24 * 60 + timeToMinutes(opening.time) - current.minutes;
+
+    const date = new Date(now.getTime() + minutes * 60 * 1000);
+    date.setSeconds(0, 0);
+
+    return date;
+}
+
+/**
+ * Formata próxima abertura para mensagens
+ * @param {object|null} opening - Resultado de getNextOpening
+ * @returns {string} Ex: "hoje às 13:30", "amanhã às 08:00", "segunda-feira (27/10) às 08:00"
+ */
+function formatNextOpening(opening) {
+    if (!opening) {
+        return 'em breve';
+    }
+
+    if (opening.daysAhead === 0) {
+        return `hoje às ${opening.time}`;
+    }
+
+    if (opening.daysAhead === 1) {
+        return `amanhã às ${opening.time}`;
+    }
+
+    const dayNames = ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'];
+    const [, month, day] = opening.date.split('-');
+    const weekday = dayNames[new Date(`${opening.date}T12:00:00Z`).getUTCDay()];
+
+    return `${weekday} (${day}/${month}) às ${opening.time}`;
 }
 
 /**
@@ -88,7 +249,7 @@ function isWithinBusinessHours() {
  * @returns {string} Saudação apropriada
  */
 function getGreeting() {
-    const hour = new Date().getHours();
+    const { hour } = getZonedDateTime();
 
     if (hour >= 5 && hour < 12) {
         return 'Bom dia';
@@ -198,16 +359,18 @@ function isPrivateMessage(jid) {
 /**
  * Retorna a opção do menu baseada na mensagem
  * @param {string} text - Texto da mensagem
+ * @param {number|null} maxOption - Maior opção do menu atual (null = sem limite)
  * @returns {number|null} Número da opção ou null
  */
-function getMenuOption(text) {
+function getMenuOption(text, maxOption = null) {
     if (!text) return null;
 
     const trimmed = text.trim();
+    let option = null;
 
     // Verifica se é apenas um número
     if (/^\d+$/.test(trimmed)) {
-        return parseInt(trimmed);
+        option = parseInt(trimmed);
     }
 
     // Verifica emojis de números
@@ -224,19 +387,25 @@ function getMenuOption(text) {
         '0️⃣': 0,
     };
 
-    if (emojiMap[trimmed]) {
-        return emojiMap[trimmed];
+    if (trimmed in emojiMap) {
+        option = emojiMap[trimmed];
     }
 
-    return null;
+    // Fora do intervalo do menu atual (ex: "2024" ou "12") não é opção
+    if (option !== null && maxOption !== null && option > maxOption) {
+        return null;
+    }
+
+    return option;
 }
 
 /**
  * Detecta a intenção da mensagem
  * @param {string} text - Texto da mensagem
+ * @param {number|null} maxMenuOption - Maior opção do menu atual
  * @returns {string} Tipo de intenção detectada
  */
-function detectIntent(text) {
+function detectIntent(text, maxMenuOption = null) {
     if (!text) return 'unknown';
 
     const normalizedText = text
@@ -272,8 +441,18 @@ function detectIntent(text) {
         return 'human';
     }
 
+    // Verifica pedido de orçamento
+    if (containsKeyword(normalizedText, triggers.quote)) {
+        return 'quote';
+    }
+
+    // Verifica pedido de agendamento
+    if (containsKeyword(normalizedText, triggers.schedule)) {
+        return 'schedule';
+    }
+
     // Verifica se é opção de menu (número)
-    const menuOption = getMenuOption(normalizedText);
+    const menuOption = getMenuOption(normalizedText, maxMenuOption);
     if (menuOption !== null) {
         return 'menu_option';
     }
@@ -388,7 +567,7 @@ function groupBy(array, property) {
  */
 function getCurrentDateTime() {
     return new Date().toLocaleString('pt-BR', {
-        timeZone: 'America/Sao_Paulo',
+        timeZone: settings.schedule.timezone,
         day: '2-digit',
         month: '2-digit',
         year: 'numeric',
@@ -470,7 +649,16 @@ module.exports = {
     sleep,
     generateId,
     generateProductCode,
+    timeToMinutes,
+    addDaysToDate,
+    getZonedDateTime,
+    getZonedInstant,
+    getHolidayForDate,
+    getBusinessIntervals,
     isWithinBusinessHours,
+    getNextOpening,
+    getNextOpeningDate,
+    formatNextOpening,
     getGreeting,
     containsKeyword,
     extractNumbers,
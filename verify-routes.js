@@ -6,14 +6,19 @@
 const path = require('path');
 
 const routeFiles = [
+    'agendamentos.js',
     'auth.js',
     'conversations.js',
     'customers.js',
     'dashboard.js',
     'import.js',
+    'pedidos.js',
     'products.js',
+    'promocoes.js',
+    'retornos.js',
     'services.js',
     'settings.js',
+    'simulator.js',
     'whatsapp.js'
 ];
 